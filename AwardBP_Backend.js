@@ -187,8 +187,8 @@ function addDicePoints(preferredName, amount, metadata) {
  * @param {string} preferredName - Player name
  * @param {number} amount - BP to award
  * @param {string} source - Source type (MANUAL, ATTENDANCE, TOP4, FLAG_MISSION, etc.)
- * @param {Object} metadata - {note, dfTags, timestamp}
- * @return {Object} {success, player, awarded, currentBP, overflowToPrestige, error}
+ * @param {Object} metadata - {note, dfTags, timestamp, eventId, batchId}
+ * @return {Object} {success, player, awarded, currentBP, overflowToPrestige, batchId, error}
  */
 function awardBP(preferredName, amount, source, metadata) {
   try {
@@ -212,6 +212,7 @@ function awardBP(preferredName, amount, source, metadata) {
         awarded: result.awarded || amount,
         currentBP: result.currentBP || 0,
         overflowToPrestige: result.overflow || 0,
+        batchId: result.batchId,
         error: result.error
       };
     }
@@ -9,8 +9,8 @@
  *
  * INPUTS (Fishbone Schema):
  *   - PreferredNames: Master player list (canonical names)
- *   - BP_Total: Current_BP (0-100 cap), Historical_BP
- *   - BP_Prestige: Prestige overflow when BP > 100
+ *   - BP_Ledger: Append-only BP entries (bpLedgerService.js)
+ *   - BP_Prestige: Legacy prestige overflow (read when BP_Total has no Prestige_BP)
  *   - Redeemed_BP: BP spending ledger
  *   - Dice_Points: Operational UI for dice-roll BP additions
  *   - Flag_Missions: Mission-based BP awards
@@ -18,8 +18,8 @@
  *   - Event tabs (MM-DD-YYYY): Ranked event results for Top-4 and Black Hole Survivor
  *
  * OUTPUTS:
- *   - BP_Total: Updated Current_BP and Historical_BP
- *   - BP_Prestige: Overflow tracking
+ *   - BP_Ledger: Award / redemption / cap overflow entries
+ *   - BP_Total: Projection of BP_Ledger (Current_BP, Historical_BP, Prestige_BP, ...)
  *   - Redeemed_BP: Redemption log
  *   - Integrity_Log: Audit trail
  *   - UndiscoveredNames: Unknown player names
@@ -27,7 +27,7 @@
  * INVARIANTS:
  *   - 1 BP = $.20-$1 internal accounting value
  *   - Current_BP capped at 100 (configurable via Prize_Throttle)
- *   - Overflow goes to BP_Prestige
+ *   - Overflow is booked as CAP_OVERFLOW and projected into Prestige_BP
  *   - Engine NEVER does tax math
  *   - All name resolution via PreferredNames canonical list
  *
@@ -65,7 +65,7 @@ function getBPConfig_() {
       '1-13': 'None'
     },
     hybridCap: coerceNumber(throttle.Hybrid_Roll_Cap, 50),
-    eventPattern: /^(\d{1,2}-\d{1,2}(-\d{4}|[A-Z]?-\d{4}))$/i
+    eventPattern: EVENT_ID_PATTERN
   };
 }
 
@@ -89,7 +89,8 @@ function getThrottleKV_() {
 // ============================================================================
 
 /**
- * Resolves raw player name to canonical PreferredName
+ * Resolves raw player name to canonical PreferredName (aliases on
+ * Player_Aliases resolve to the player's current display name)
  * @param {string} rawName - Raw player name from any source
  * @return {string|null} Canonical PreferredName or null if not found
  */
@@ -128,6 +129,10 @@ function resolvePlayerName(rawName) {
     }
   }
 
+  // Nickname, WER spelling or old name (Player_Aliases)
+  const aliased = resolvePlayerAlias_(rawName);
+  if (aliased) return aliased;
+
   // Not found - log to UndiscoveredNames
   logUndiscoveredName_(rawName, 'Not in PreferredNames');
   return null;
@@ -191,11 +196,12 @@ function getPlayerBPBalance(preferredName) {
   const headers = data[0];
   
   // Use header resolver
-  let nameCol, currentCol, historicalCol;
+  let nameCol, currentCol, historicalCol, prestigeCol;
   try {
     nameCol = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME);
     currentCol = resolveHeaderIndex(headers, BP_HEADERS.CURRENT_BP);
     historicalCol = resolveHeaderIndex(headers, BP_HEADERS.HISTORICAL_BP, false); // optional
+    prestigeCol = resolveHeaderIndex(headers, BP_HEADERS.PRESTIGE_BP, false); // projected from BP_Ledger
   } catch (e) {
     console.error('BP_Total schema issue in getPlayerBPBalance:', e.message);
     return { currentBP: 0, historicalBP: 0, prestige: 0 };
@@ -205,7 +211,7 @@ function getPlayerBPBalance(preferredName) {
     if (data[i][nameCol] === preferredName) {
       const currentBP = coerceNumber(data[i][currentCol], 0);
       const historicalBP = historicalCol >= 0 ? coerceNumber(data[i][historicalCol], 0) : 0;
-      const prestige = getPlayerPrestige_(preferredName);
+      const prestige = prestigeCol >= 0 ? coerceNumber(data[i][prestigeCol], 0) : getPlayerPrestige_(preferredName);
 
       return { currentBP, historicalBP, prestige };
     }
@@ -254,98 +260,6 @@ function getPlayerPrestige_(preferredName) {
   return 0;
 }
 
-/**
- * Sets player BP with cap enforcement and prestige overflow
- * @param {string} preferredName - Canonical player name
- * @param {number} newAmount - New BP amount (before clamping)
- * @param {number} deltaHistorical - Amount to add to Historical_BP (for awards, not redemptions)
- * @return {Object} {currentBP, overflow, prestige}
- * @private
- */
-function setPlayerBP_(preferredName, newAmount, deltaHistorical = 0) {
-  ensureBPTotalSchema_();
-  ensureBPPrestigeSchema_();
-
-  const config = getBPConfig_();
-  const globalCap = config.globalCap;
-
-  // Clamp to 0-globalCap
-  const clamped = clamp(newAmount, 0, globalCap);
-  const overflow = Math.max(0, newAmount - globalCap);
-
-  // Update BP_Total
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Total');
-
-  if (!sheet) {
-    throwError('BP_Total not found', 'SHEET_MISSING');
-  }
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  
-  // Use header resolver
-  let nameCol, currentCol, historicalCol, updatedCol;
-  try {
-    nameCol = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME);
-    currentCol = resolveHeaderIndex(headers, BP_HEADERS.CURRENT_BP);
-    historicalCol = resolveHeaderIndex(headers, BP_HEADERS.HISTORICAL_BP, false);
-    updatedCol = resolveHeaderIndex(headers, BP_HEADERS.LAST_UPDATED, false);
-  } catch (e) {
-    throwError('Invalid BP_Total schema: ' + e.message, 'SCHEMA_INVALID');
-  }
-
-  // Find or create player row
-  let playerRow = -1;
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      break;
-    }
-  }
-
-  if (playerRow === -1) {
-    // Create new row
-    const newRow = [];
-    newRow[nameCol] = preferredName;
-    newRow[currentCol] = clamped;
-    if (historicalCol >= 0) newRow[historicalCol] = deltaHistorical;
-    if (updatedCol >= 0) newRow[updatedCol] = dateISO();
-
-    // Pad with empty values to match column count
-    while (newRow.length < headers.length) {
-      if (newRow[newRow.length] === undefined) newRow.push('');
-    }
-
-    sheet.appendRow(newRow);
-  } else {
-    // Update existing
-    sheet.getRange(playerRow + 1, currentCol + 1).setValue(clamped);
-
-    if (historicalCol >= 0 && deltaHistorical !== 0) {
-      const oldHistorical = coerceNumber(data[playerRow][historicalCol], 0);
-      sheet.getRange(playerRow + 1, historicalCol + 1).setValue(oldHistorical + deltaHistorical);
-    }
-
-    if (updatedCol >= 0) {
-      sheet.getRange(playerRow + 1, updatedCol + 1).setValue(dateISO());
-    }
-  }
-
-  // Handle overflow to Prestige
-  let totalPrestige = getPlayerPrestige_(preferredName);
-
-  if (overflow > 0) {
-    totalPrestige = addPrestigeOverflow_(preferredName, overflow);
-  }
-
-  return {
-    currentBP: clamped,
-    overflow: overflow,
-    prestige: totalPrestige
-  };
-}
-
 /**
  * Adds prestige overflow points
  * @param {string} preferredName - Canonical player name
@@ -412,12 +326,14 @@ function addPrestigeOverflow_(preferredName, overflow) {
 // ============================================================================
 
 /**
- * Awards BP to a player, respecting cap 0-100 and prestige overflow
+ * Awards BP to a player by posting a BP_Ledger entry; anything above the cap
+ * is booked as CAP_OVERFLOW (prestige). Entries carry meta.batchId (a new
+ * batch when the caller has none) so revertBatch() can void them.
  * @param {string} rawName - Raw player name
  * @param {number} amount - BP to award
  * @param {string} source - Source (e.g., 'TOP4', 'BLACK_HOLE', 'D20', 'FLAG_MISSION')
- * @param {Object} meta - Optional metadata {eventId, note, dfTags}
- * @return {Object} Result {success, player, currentBP, prestige, awarded, overflow, error}
+ * @param {Object} meta - Optional metadata {eventId, note, dfTags, batchId}
+ * @return {Object} Result {success, player, currentBP, prestige, awarded, overflow, batchId, error}
  */
 function awardBonusPoints(rawName, amount, source, meta = {}) {
   try {
@@ -441,19 +357,27 @@ function awardBonusPoints(rawName, amount, source, meta = {}) {
       };
     }
 
-    // Get current balance
-    const balance = getPlayerBPBalance(preferredName);
-    const newTotal = balance.currentBP + amount;
-
-    // Set new BP (with cap and overflow handling)
-    const result = setPlayerBP_(preferredName, newTotal, amount);
+    // Post to BP_Ledger (cap overflow and BP_Total projection included)
+    const batchId = meta.batchId || newBatchId();
+    const balance = getBPLedgerBalance_(preferredName);
+    const posted = recordBPLedgerEntries([{
+      preferredName,
+      type: bpLedgerTypeForSource_(source),
+      amount,
+      source,
+      eventId: meta.eventId,
+      batchId,
+      note: meta.note
+    }]);
+    const result = posted.balances[preferredName];
+    const overflow = result.prestigeBP - balance.prestigeBP;
 
     // Log to Integrity_Log
     logIntegrityAction('BP_AWARD', {
       preferredName,
       eventId: meta.eventId || '',
       dfTags: meta.dfTags || [],
-      details: `Source: ${source} | Awarded: ${amount} BP | ${balance.currentBP} → ${result.currentBP} (Overflow: ${result.overflow})`,
+      details: `Source: ${source} | Awarded: ${amount} BP | ${balance.currentBP} → ${result.currentBP} (Overflow: ${overflow}) | Batch: ${batchId}`,
       status: 'SUCCESS'
     });
 
@@ -461,9 +385,10 @@ function awardBonusPoints(rawName, amount, source, meta = {}) {
       success: true,
       player: preferredName,
       currentBP: result.currentBP,
-      prestige: result.prestige,
+      prestige: result.prestigeBP,
       awarded: amount,
-      overflow: result.overflow
+      overflow,
+      batchId
     };
 
   } catch (e) {
@@ -477,7 +402,8 @@ function awardBonusPoints(rawName, amount, source, meta = {}) {
 }
 
 /**
- * Redeems BP from a player, adjusting BP_Total and Redeemed_BP
+ * Redeems BP from a player: posts a REDEMPTION ledger entry and logs the
+ * redemption to Redeemed_BP
  * @param {string} rawName - Raw player name
  * @param {number} amount - BP to redeem
  * @param {string} sink - Sink (e.g., 'STORE_CREDIT', 'PRIZE_REDEMPTION')
@@ -507,7 +433,7 @@ function redeemBonusPoints(rawName, amount, sink, meta = {}) {
     }
 
     // Get current balance
-    const balance = getPlayerBPBalance(preferredName);
+    const balance = getBPLedgerBalance_(preferredName);
 
     if (balance.currentBP < amount) {
       return {
@@ -518,24 +444,27 @@ function redeemBonusPoints(rawName, amount, sink, meta = {}) {
     }
 
     // Deduct BP (no change to Historical_BP)
-    const newTotal = balance.currentBP - amount;
-    const result = setPlayerBP_(preferredName, newTotal, 0);
-
-     // Update Redeemed_BP ledger
+    const posted = recordBPLedgerEntries([{
+      preferredName,
+      type: BP_LEDGER_TYPES.REDEMPTION,
+      amount: -amount,
+      source: sink,
+      eventId: meta.eventId,
+      note: meta.itemRedeemed || meta.note
+    }]);
+    const result = posted.balances[preferredName];
+
+    // Update Redeemed_BP log
     ensureRedeemedBPSchema_();
-    const redeemedLifetime = updateRedeemedBPLedger_(
+    updateRedeemedBPLedger_(
       preferredName,
       amount,
       meta.itemRedeemed || sink || '',
       meta.note || '',
       result.currentBP,
-      balance.historicalBP
+      result.historicalBP
     );
 
-    // Sync BP_Total: BP_Current and BP_Redeemed
-    syncBPTotalRedeemed_(preferredName, result.currentBP, redeemedLifetime);
-
-
     // Log to Integrity_Log
     logIntegrityAction('BP_REDEEM', {
       preferredName,
@@ -634,62 +563,6 @@ function updateRedeemedBPLedger_(preferredName, amount, itemRedeemed, notes, bpC
   return newLifetimeTotal;
 }
 
-/**
- * Syncs BP_Total row for a player after redemption
- * Updates:
- *  - BP_Current
- *  - BP_Redeemed (lifetime)
- *  - LastUpdated
- * @private
- */
-function syncBPTotalRedeemed_(preferredName, bpCurrent, bpRedeemedLifetime) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName('BP_Total');
-  if (!sheet || sheet.getLastRow() === 0) return;
-
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-
-  // Use header resolver
-  let nameCol, currentCol, redeemedCol, updatedCol;
-  try {
-    nameCol = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME);
-    currentCol = resolveHeaderIndex(headers, BP_HEADERS.CURRENT_BP);
-    redeemedCol = resolveHeaderIndex(headers, BP_HEADERS.REDEEMED_TOTAL, false); // optional for now
-    updatedCol = resolveHeaderIndex(headers, BP_HEADERS.LAST_UPDATED, false);
-  } catch (e) {
-    console.warn('BP_Total schema issue in syncBPTotalRedeemed_:', e.message);
-    return;
-  }
-  
-  // Fallback for legacy BP_Redeemed column
-  if (redeemedCol === -1) redeemedCol = headers.indexOf('BP_Redeemed');
-
-  // Find player row
-  let playerRow = -1;
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][nameCol] === preferredName) {
-      playerRow = i;
-      break;
-    }
-  }
-
-  if (playerRow === -1) {
-    // Create new row with minimal fields
-    const newRow = new Array(headers.length).fill('');
-    if (nameCol      >= 0) newRow[nameCol]      = preferredName;
-    if (currentCol   >= 0) newRow[currentCol]   = bpCurrent;
-    if (redeemedCol  >= 0) newRow[redeemedCol]  = bpRedeemedLifetime;
-    if (updatedCol   >= 0) newRow[updatedCol]   = dateISO();
-    sheet.appendRow(newRow);
-  } else {
-    // Update existing row
-    if (currentCol  >= 0) sheet.getRange(playerRow + 1, currentCol  + 1).setValue(bpCurrent);
-    if (redeemedCol >= 0) sheet.getRange(playerRow + 1, redeemedCol + 1).setValue(bpRedeemedLifetime);
-    if (updatedCol  >= 0) sheet.getRange(playerRow + 1, updatedCol  + 1).setValue(dateISO());
-  }
-}
-
 // ============================================================================
 // UI ENTRYPOINTS FOR ui/redeem_bp
 // ============================================================================
@@ -1183,8 +1056,9 @@ function runBonusPointsSelfTest() {
 /**
  * Ensures BP_Total has required schema
  * Current standard headers:
- * PreferredName | BP_Current | Attendance Mission Points | Flag Mission Points |
- * Dice Roll Points | LastUpdated | BP_Historical | BP_Redeemed
+ * PreferredName | Current_BP | Attendance Mission Points | Flag Mission Points |
+ * Dice Roll Points | LastUpdated | Historical_BP | Redeemed_Total
+ * (legacy BP_Current / BP_Historical / BP_Redeemed are renamed by schema migration 1)
  * @private
  */
 function ensureBPTotalSchema_() {
@@ -1192,14 +1066,14 @@ function ensureBPTotalSchema_() {
   let sheet = ss.getSheetByName('BP_Total');
 
   const requiredHeaders = [
-    'PreferredName',
-    'BP_Current',
-    'Attendance Mission Points',
-    'Flag Mission Points',
-    'Dice Roll Points',
-    'LastUpdated',
-    'BP_Historical',
-    'BP_Redeemed'
+    BP_HEADERS.PREFERRED_NAME,
+    BP_HEADERS.CURRENT_BP,
+    BP_HEADERS.ATTENDANCE_POINTS,
+    BP_HEADERS.FLAG_POINTS,
+    BP_HEADERS.DICE_POINTS,
+    BP_HEADERS.LAST_UPDATED,
+    BP_HEADERS.HISTORICAL_BP,
+    BP_HEADERS.REDEEMED_TOTAL
   ];
 
   if (!sheet) {
@@ -48,12 +48,32 @@ function onOpen(e) {
 
   );
 
+  // Tournament Submenu
+  cosmicMenu.addSubMenu(ui.createMenu('Tournament')
+    .addItem('Start Tournament', 'onStartTournament')
+    .addItem('Pair Next Round', 'onPairNextRound')
+    .addItem('Report Table Result', 'onReportTournamentResult')
+    .addItem('Drop Player', 'onDropTournamentPlayer')
+    .addSeparator()
+    .addItem('View Standings', 'onTournamentStandings')
+    .addItem('Finalize Standings', 'onFinalizeTournament')
+    .addItem('Prize Wall (Players Pick)', 'onPrizeWall')
+  );
+
   // Players Submenu
   cosmicMenu.addSubMenu(ui.createMenu('Players')
     .addItem('Add New Player', 'onAddNewPlayer')
     .addItem('Detect / Fix Player Names', 'onPlayerNameChecker')
+    .addItem('Rename Player…', 'onRenamePlayer')
+    .addItem('Add Player Alias…', 'onAddPlayerAlias')
+    .addItem('Assign Player IDs', 'onAssignPlayerIds')
     .addSeparator()
     .addItem('Add Key', 'onAddKey')
+    .addItem('Unlock Lockbox', 'onUnlockLockbox')
+    .addItem('Key Season Report', 'onKeySeasonReport')
+    .addItem('Start Key Season…', 'onStartKeySeason')
+    .addItem('Close Key Season…', 'onCloseKeySeason')
+    .addItem('Key Award Rules', 'onKeyAwardRules')
     .addSeparator()
     .addItem('Award Bonus Points', 'onAwardBP')
     .addItem('Redeem Bonus Points', 'onRedeemBP')
@@ -63,17 +83,24 @@ function onOpen(e) {
   cosmicMenu.addSubMenu(ui.createMenu('Mission Points')
     .addItem('Award Bonus Points', 'onAwardBP')
     .addItem('Sync BP from Sources', 'menuSyncBPFromSources')
+    .addItem('BP Balance As Of…', 'onBPBalanceAsOf')
+    .addItem('Rebuild BP_Total from Ledger', 'onRebuildBPTotal')
+    .addItem('Prestige Tiers', 'onPrestigeTiers')
     .addSeparator()
     .addItem('Provision All Players', 'onProvisionAllPlayers')
     .addItem('Scan Attendance / Missions', 'onScanAttendance')
+    .addItem('Full Rescan (Rebuild Scan Cache)', 'onFullRescanAttendance')
+    .addItem('Event Tabs Changed Since Last Scan', 'onEventScanChanges')
   );
 
   // Catalog Submenu
   cosmicMenu.addSubMenu(ui.createMenu('Catalog')
     .addItem('Manage Prize Catalog', 'onCatalogManager')
     .addItem('Import Preorder Allocation', 'onPreorderImport')
+    .addItem('Who Wants This? (Wishlist)', 'onWishlistDemand')
     .addSeparator()
     .addItem('Prize Throttle (Switchboard)', 'onThrottle')
+    .addItem('Prize Level Tables', 'onPrizeLevelTables')
   );
 
   // Preorders Submenu
@@ -82,6 +109,10 @@ function onOpen(e) {
     .addItem('View Preorder Status', 'onViewPreorderStatus')
     .addItem('Mark Preorder Pickup', 'onMarkPreorderPickup')
     .addItem('Cancel Preorder', 'onCancelPreorder')
+    .addItem('Record Preorder Payment…', 'onRecordPreorderPayment')
+    .addItem('Overdue Preorders', 'onOverduePreorders')
+    .addItem('Customer Preorder Statement…', 'onPreorderStatement')
+    .addItem('Allocate Short Shipment…', 'onAllocatePreorderShipment')
     .addSeparator()
     .addItem('Manage Preorder Buckets', 'onPreorderBuckets')
     .addItem('View Preorders Sold', 'onViewPreordersSold')
@@ -104,7 +135,16 @@ function onOpen(e) {
     .addSeparator()
     .addItem('Clean Old Previews', 'onCleanPreviews')
     .addItem('Organize Tabs', 'onOrganizeTabs')
+    .addItem('Suffix Registry', 'onSuffixRegistry')
+    .addItem('Schema Migrations', 'onSchemaMigrations')
     .addItem('Build / Repair', 'onBuildRepair')
+    .addSeparator()
+    .addItem('Scheduled Jobs…', 'onScheduledJobs')
+    .addItem('Run Job Now…', 'onRunJobNow')
+    .addSeparator()
+    .addItem('Take Snapshot Now', 'onTakeSnapshot')
+    .addItem('Emergency Revert…', 'onEmergencyRevert')
+    .addItem('Export Reports…', 'onExportReports')
   );
 
   cosmicMenu.addToUi();
@@ -127,7 +167,15 @@ function onOpen(e) {
   // =========================================================================
   ui.createMenu('Store Credit')
     .addItem('Spend Store Credit', 'onStoreCredit')
+    .addItem('Reconcile Ledger…', 'onReconcileStoreCredit')
+    .addSeparator()
+    .addItem('Hold Credit for Preorder…', 'onHoldStoreCredit')
+    .addItem('Capture / Release Hold…', 'onSettleStoreCreditHold')
+    .addItem('Credit Buckets & Expiry…', 'onStoreCreditExpiry')
     .addToUi();
+
+  // Flag event tabs whose suffix is unknown or retired in Suffix_Registry
+  runSuffixStartupCheck_();
 }
 
 // ============================================================================
@@ -140,6 +188,7 @@ function onOpen(e) {
  * NOTE: This implementation has been refactored into a thin router pattern
  * defined in onEditRouter.js with:
  * - Guard clauses for event validation and multi-cell pastes
+ * - Write guard for pipeline-owned columns (columnOwnershipService.js)
  * - Sheet allowlist validation
  * - LockService debouncing to prevent concurrent runs
  * - Central logging to Integrity_Log
@@ -238,6 +287,20 @@ function onGenerateEndPrizes() {
   }
 }
 
+/**
+ * Opens the Prize Wall dialog (players pick end prizes in standings order)
+ */
+function onPrizeWall() {
+  try {
+    const html = HtmlService.createHtmlOutputFromFile('ui/prize_wall')
+      .setWidth(900)
+      .setHeight(650);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Prize Wall');
+  } catch (e) {
+    showError_('Failed to open Prize Wall', e);
+  }
+}
+
 /**
  * Opens Commander Round Prizes dialog
  */
@@ -268,7 +331,10 @@ function onRevertPrizes() {
     if (result === ui.Button.YES) {
       if (typeof revertLastPrizeRun === 'function') {
         const revertResult = revertLastPrizeRun();
-        ui.alert('Revert Complete', `Reverted ${revertResult.count || 0} prize(s).`, ui.ButtonSet.OK);
+        const skipped = revertResult.skipped && revertResult.skipped.length > 0
+          ? `\n\nSkipped (left as-is):\n${revertResult.skipped.join('\n')}`
+          : '';
+        ui.alert('Revert Complete', `Reverted ${revertResult.count || 0} prize(s).${skipped}`, ui.ButtonSet.OK);
       } else {
         ui.alert('Not Available', 'Prize revert function not available.', ui.ButtonSet.OK);
       }
@@ -278,6 +344,186 @@ function onRevertPrizes() {
   }
 }
 
+// ============================================================================
+// TOURNAMENT ROUTES
+// ============================================================================
+
+/**
+ * Starts Swiss / pod pairings for the active event tab
+ */
+function onStartTournament() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('Start Tournament');
+    if (!eventId) return;
+
+    const response = ui.prompt(
+      'Start Tournament',
+      'Rounds (leave blank for the default).\nAdd "pods" or "swiss" to override the mode, e.g. "4 swiss":',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const text = response.getResponseText().trim().toLowerCase();
+    const rounds = parseInt(text, 10);
+    const mode = text.includes('pod') ? 'PODS' : (text.includes('swiss') ? 'SWISS' : null);
+
+    const result = startTournament(eventId, { rounds: isNaN(rounds) ? null : rounds, mode });
+    ui.alert('Tournament Started',
+      `${eventId}: ${result.mode}, ${result.rounds} rounds, ${result.players} players.\n\nUse Pair Next Round to seat round 1.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to start tournament', e);
+  }
+}
+
+/**
+ * Pairs the next round and shows the tables
+ */
+function onPairNextRound() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('Pair Next Round');
+    if (!eventId) return;
+
+    const result = pairNextRound(eventId);
+    const lines = result.tables.map(t => `Table ${t.table}: ${t.players.join(' vs ')}`);
+    if (result.bye) lines.push(`Bye: ${result.bye}`);
+    ui.alert(`Round ${result.round} Pairings`, lines.join('\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to pair next round', e);
+  }
+}
+
+/**
+ * Records one table's result for the current round
+ */
+function onReportTournamentResult() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('Report Table Result');
+    if (!eventId) return;
+
+    const round = getTournamentSeats_(eventId).reduce((max, s) => Math.max(max, s.round), 0);
+    const response = ui.prompt(
+      `Report Result – Round ${round}`,
+      'Table number, then each player\'s game wins, e.g.\n' +
+      '  3: Alex 2, Blake 1\n' +
+      '  5: Casey 1            (pod winner)\n' +
+      '  2: draws 1            (drawn pod / drawn games)',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const match = response.getResponseText().trim().match(/^(\d+)\s*:\s*(.*)$/);
+    if (!match) {
+      throwError('Could not read the result', 'INVALID_INPUT', 'Use "table: Name wins, Name wins"');
+    }
+
+    const gameWins = {};
+    let draws = 0;
+    match[2].split(',').map(part => part.trim()).filter(part => part).forEach(part => {
+      const entry = part.match(/^(.*?)\s+(\d+)$/);
+      if (!entry) {
+        throwError(`Could not read "${part}"`, 'INVALID_INPUT', 'Use "Name wins"');
+      }
+      if (entry[1].toLowerCase() === 'draws') {
+        draws = parseInt(entry[2], 10);
+      } else {
+        gameWins[entry[1].trim()] = parseInt(entry[2], 10);
+      }
+    });
+
+    const result = reportTournamentResult(eventId, round, parseInt(match[1], 10), gameWins, draws);
+    const summary = Object.keys(result.results).map(name => `${name}: ${result.results[name]}`).join('\n');
+    ui.alert(`Round ${result.round} Table ${result.table}`, summary, ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to report result', e);
+  }
+}
+
+/**
+ * Drops a player from future pairings
+ */
+function onDropTournamentPlayer() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('Drop Player');
+    if (!eventId) return;
+
+    const response = ui.prompt('Drop Player', 'PreferredName of the player to drop:', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const name = response.getResponseText().trim();
+    if (!name) return;
+    const result = dropTournamentPlayer(eventId, name);
+    ui.alert('Player Dropped', `${name} will not be paired again.\n\nDropped: ${result.dropped.join(', ')}`, ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to drop player', e);
+  }
+}
+
+/**
+ * Shows current standings with tiebreakers
+ */
+function onTournamentStandings() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('View Standings');
+    if (!eventId) return;
+
+    const pct = value => (value * 100).toFixed(1) + '%';
+    const lines = getTournamentStandings(eventId).map(s =>
+      `${s.rank}. ${s.preferredName}${s.dropped ? ' (drop)' : ''} – ${s.matchPoints} pts (${s.record}) ` +
+      `OMW ${pct(s.omw)} GW ${pct(s.gw)} OGW ${pct(s.ogw)}`
+    );
+    ui.alert(`Standings – ${eventId}`, lines.join('\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to load standings', e);
+  }
+}
+
+/**
+ * Writes final standings to the event tab for the end-prize preview
+ */
+function onFinalizeTournament() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const eventId = promptTournamentEventId_('Finalize Standings');
+    if (!eventId) return;
+
+    const confirm = ui.alert(
+      'Finalize Standings',
+      `Rewrite the Rank order of ${eventId} from the tournament standings?\n\nNo further rounds can be paired afterwards.`,
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    const result = finalizeTournamentStandings(eventId);
+    ui.alert('Standings Finalized',
+      `${result.written} players ranked after ${result.roundsPlayed} round(s).\n\nPreview End Prizes now uses this order.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to finalize standings', e);
+  }
+}
+
+/**
+ * Uses the active tab if it is an event, otherwise asks for the Event ID
+ * @param {string} title - Prompt title
+ * @return {string|null} Event ID or null if cancelled
+ * @private
+ */
+function promptTournamentEventId_(title) {
+  const active = SpreadsheetApp.getActiveSheet().getName();
+  if (isEventIdName_(active)) return active;
+
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(title, 'Enter the Event ID (sheet name):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+  return response.getResponseText().trim() || null;
+}
+
 // ============================================================================
 // PLAYER ROUTES
 // ============================================================================
@@ -339,6 +585,70 @@ function onPlayerNameChecker() {
   }
 }
 
+/**
+ * Changes a player's display name; the old name is kept as an alias
+ */
+function onRenamePlayer() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const playerResponse = ui.prompt('Rename Player', 'Player (name, alias or Player_ID):', ui.ButtonSet.OK_CANCEL);
+    if (playerResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const nameResponse = ui.prompt('Rename Player', 'New display name:', ui.ButtonSet.OK_CANCEL);
+    if (nameResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = renamePlayer(playerResponse.getResponseText(), nameResponse.getResponseText());
+    ui.alert('Player Renamed',
+      `${result.playerId} is now "${result.newName}". "${result.oldName}" still resolves to them as an old name; ` +
+      'event tabs and ledgers were not rewritten.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to rename player', e);
+  }
+}
+
+/**
+ * Records a nickname, WER spelling or old name for a player
+ */
+function onAddPlayerAlias() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const playerResponse = ui.prompt('Add Player Alias', 'Player (name, alias or Player_ID):', ui.ButtonSet.OK_CANCEL);
+    if (playerResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const aliasResponse = ui.prompt('Add Player Alias', 'Alias:', ui.ButtonSet.OK_CANCEL);
+    if (aliasResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const typeResponse = ui.prompt('Add Player Alias',
+      `Type: ${PLAYER_ALIAS_TYPES.join(', ')} (blank = NICKNAME):`, ui.ButtonSet.OK_CANCEL);
+    if (typeResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = addPlayerAlias(playerResponse.getResponseText(), aliasResponse.getResponseText(),
+      typeResponse.getResponseText().trim() || 'NICKNAME');
+    ui.alert('Player Alias',
+      result.added
+        ? `"${result.alias}" now resolves to ${result.playerId}.`
+        : `"${result.alias}" already resolves to ${result.playerId}.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to add player alias', e);
+  }
+}
+
+/**
+ * Gives every PreferredNames row a Player_ID
+ */
+function onAssignPlayerIds() {
+  try {
+    const result = assignPlayerIds();
+    SpreadsheetApp.getUi().alert('Player IDs',
+      `${result.assigned.length} new ID(s) assigned; ${result.total} player(s) have an ID.`,
+      SpreadsheetApp.getUi().ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to assign player IDs', e);
+  }
+}
+
 
 
 /**
@@ -375,6 +685,109 @@ function onAddKey() {
   }
 }
 
+/**
+ * Opens Unlock Lockbox dialog (prize drawn from Lockbox_Prizes)
+ */
+function onUnlockLockbox() {
+  try {
+    ensureLockboxPrizesSheet();
+    const html = HtmlService.createHtmlOutputFromFile('ui/unlock_lockbox')
+      .setWidth(600)
+      .setHeight(750);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Unlock Lockbox');
+  } catch (e) {
+    showError_('Failed to open Unlock Lockbox dialog', e);
+  }
+}
+
+/**
+ * Opens Key_Award_Rules (seeding inactive examples) and validates it
+ */
+function onKeyAwardRules() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    ss.setActiveSheet(ensureKeyAwardRulesSheet());
+
+    const rules = getKeyAwardRules();
+    const active = rules.filter(r => r.active);
+    ui.alert('Key Award Rules',
+      `${rules.length} rule(s) are valid, ${active.length} active:\n` +
+      (active.length > 0
+        ? active.map(r => `• ${r.ruleId}: ${r.trigger} ${r.match} → ${r.qty} ${r.color}`).join('\n')
+        : '• none (set Active to TRUE to start granting)') +
+      '\n\nRules are applied on every Scan Attendance / Missions run; rescans never grant twice.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to open Key Award Rules', e);
+  }
+}
+
+/**
+ * Shows the key season report (open season, or a season ID)
+ */
+function onKeySeasonReport() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const current = getCurrentKeySeason();
+    const response = ui.prompt('Key Season Report',
+      `Season ID (blank for ${current ? current.seasonId + ' "' + current.name + '"' : 'the open season'}):`,
+      ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const report = getKeySeasonReport(response.getResponseText().trim() || undefined);
+    ui.alert('Key Season Report', formatKeySeasonReport(report), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to build key season report', e);
+  }
+}
+
+/**
+ * Opens a new key season
+ */
+function onStartKeySeason() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const nameResponse = ui.prompt('Start Key Season', 'Season name (e.g. Spring 2026):', ui.ButtonSet.OK_CANCEL);
+    if (nameResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const ruleResponse = ui.prompt('Start Key Season',
+      'Carry-over at season close: NONE, ALL, RAINBOW or CAP:n (blank = NONE):',
+      ui.ButtonSet.OK_CANCEL);
+    if (ruleResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const season = startKeySeason(nameResponse.getResponseText(), ruleResponse.getResponseText().trim() || 'NONE');
+    ui.alert('Key Season Started',
+      `${season.seasonId} "${season.name}" is open (carry-over ${season.carryOver}).`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to start key season', e);
+  }
+}
+
+/**
+ * Closes the open key season after a dry-run preview
+ */
+function onCloseKeySeason() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const preview = closeKeySeason({ dryRun: true });
+    const confirm = ui.alert('Close Key Season',
+      `Close ${preview.seasonId} "${preview.name}"?\n\n` +
+      `${preview.players} player(s) hold ${preview.keysHeld} key(s): ` +
+      `${preview.keysCarried} carry over, ${preview.keysExpired} expire.\n\nContinue?`,
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const result = closeKeySeason();
+    ui.alert('Key Season Closed',
+      `${result.seasonId} archived for ${result.players} player(s). Start the next season from Players → Start Key Season.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to close key season', e);
+  }
+}
+
 /**
  * Opens Award Bonus Points dialog
  */
@@ -584,6 +997,57 @@ function onRefreshBPTotalFromSources() {
   }
 }
 
+/**
+ * Prompts for a player and date, then shows their BP balance as of that day
+ * (derived from BP_Ledger)
+ */
+function onBPBalanceAsOf() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const nameResp = ui.prompt('BP Balance As Of', 'Player name:', ui.ButtonSet.OK_CANCEL);
+    if (nameResp.getSelectedButton() !== ui.Button.OK) return;
+
+    const dateResp = ui.prompt('BP Balance As Of', 'Date (YYYY-MM-DD or MM-DD-YYYY):', ui.ButtonSet.OK_CANCEL);
+    if (dateResp.getSelectedButton() !== ui.Button.OK) return;
+
+    const balance = getBPBalanceAsOf(nameResp.getResponseText().trim(), dateResp.getResponseText().trim());
+    ui.alert(
+      'BP Balance As Of',
+      `${balance.preferredName} on ${balance.asOf}\n\n` +
+      `Current BP: ${balance.currentBP}\n` +
+      `Historical BP: ${balance.historicalBP}\n` +
+      `Redeemed: ${balance.redeemedTotal}\n` +
+      `Prestige: ${balance.prestigeBP}\n\n` +
+      `${balance.entries} ledger entr${balance.entries === 1 ? 'y' : 'ies'}`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    showError_('Failed to look up BP balance', e);
+  }
+}
+
+/**
+ * Re-projects every BP_Total row from BP_Ledger (overwrites hand edits)
+ */
+function onRebuildBPTotal() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const confirm = ui.alert(
+      'Rebuild BP_Total',
+      'This recomputes every BP_Total balance from BP_Ledger and overwrites manual edits to those columns.\n\nContinue?',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    const result = rebuildBPTotalFromLedger();
+    ui.alert('Rebuild Complete',
+      `BP_Total rebuilt for ${result.players} player(s) from ${result.entries} ledger entries.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to rebuild BP_Total', e);
+  }
+}
+
 // ============================================================================
 // CATALOG ROUTES
 // ============================================================================
@@ -616,6 +1080,28 @@ function onPreorderImport() {
   }
 }
 
+/**
+ * Lists players whose open wishlist items match a catalog code or item name
+ */
+function onWishlistDemand() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Who Wants This?', 'Item code or name (e.g. BLB Play Booster):', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const item = response.getResponseText().trim();
+    if (!item) return;
+
+    const demand = getWishlistDemand(item);
+    const lines = demand.map(d => `${d.preferredName}: ${d.itemDescription}`);
+    ui.alert('Who Wants This?',
+      lines.length > 0 ? `${item}\n\n${lines.join('\n')}` : `No open wishlist items match "${item}".`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to run wishlist report', e);
+  }
+}
+
 /**
  * Opens Prize Throttle switchboard
  */
@@ -630,6 +1116,49 @@ function onThrottle() {
   }
 }
 
+/**
+ * Opens Prize_Level_Tables (seeding it from code defaults on first use) and
+ * checks that every row parses
+ */
+function onPrizeLevelTables() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    ss.setActiveSheet(ensurePrizeLevelTablesSheet());
+
+    const table = getPrizeLevelTable('', 8);
+    ui.alert('Prize Level Tables',
+      `Tables are valid. An 8-player event with no suffix-specific rows uses ${table.rows.length} placement row(s).\n\n` +
+      'Add rows with an event suffix (e.g. DRAFT) to override the "*" rows for that suffix.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to open Prize Level Tables', e);
+  }
+}
+
+/**
+ * Opens Prestige_Tiers (seeding it from code defaults on first use), checks
+ * that it parses and lists the last week's promotions
+ */
+function onPrestigeTiers() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    ss.setActiveSheet(ensurePrestigeTiersSheet());
+
+    const tiers = getPrestigeTiers();
+    const promotions = getRecentPrestigePromotions(7);
+    ui.alert('Prestige Tiers',
+      `Tiers are valid: ${tiers.map(t => `${t.name} (${t.threshold})`).join(', ')}.\n\n` +
+      (promotions.length > 0
+        ? 'Promotions in the last 7 days:\n' + promotions.map(p => `• ${p.date} ${p.preferredName} → ${p.toTier}`).join('\n')
+        : 'No promotions in the last 7 days.'),
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to open Prestige Tiers', e);
+  }
+}
+
 // ============================================================================
 // PREORDER ROUTES
 // ============================================================================
@@ -690,6 +1219,89 @@ function onCancelPreorder() {
   }
 }
 
+/**
+ * Records an installment: "Preorder_ID, amount, method[, reference]"
+ */
+function onRecordPreorderPayment() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Record Preorder Payment',
+      'Enter "Preorder_ID, amount, method[, reference]" — method is CASH, CARD or STORE_CREDIT:',
+      ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const parts = response.getResponseText().split(',').map(p => p.trim());
+    const result = recordPreorderPayment({ preorderId: parts[0], amount: parts[1], method: parts[2], reference: parts[3] });
+    ui.alert('Payment Recorded',
+      `${result.paymentId}: ${formatCurrency(result.amount)} ${result.method} from ${result.preferredName}.\n` +
+      `Paid ${formatCurrency(result.paid)}, balance due ${formatCurrency(result.balanceDue)} (${result.status}).`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to record preorder payment', e);
+  }
+}
+
+/**
+ * Lists open preorders past their Target_Payoff with a balance still due
+ */
+function onOverduePreorders() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const overdue = getOverduePreorders();
+    ui.alert('Overdue Preorders',
+      overdue.length === 0
+        ? 'No preorders are past their target payoff date.'
+        : overdue.slice(0, 25).map(o => `• ${o.preorderId} ${o.preferredName}: ${formatCurrency(o.balanceDue)} due ` +
+          `${o.targetPayoff} (${o.daysOverdue} day(s) overdue)`).join('\n') +
+          (overdue.length > 25 ? `\n… and ${overdue.length - 25} more` : ''),
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to list overdue preorders', e);
+  }
+}
+
+/**
+ * Shows a customer's preorders, installments and balance
+ */
+function onPreorderStatement() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Customer Preorder Statement', 'Enter the customer\'s PreferredName:', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    ui.alert('Preorder Statement', formatPreorderStatement(getPreorderStatement(response.getResponseText())), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to build preorder statement', e);
+  }
+}
+
+/**
+ * Release-day allocation: "ITEM_CODE=qty; ITEM_CODE=qty" received, preview, then commit
+ */
+function onAllocatePreorderShipment() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Allocate Short Shipment',
+      'Enter the quantity received per item, e.g. "NB-BOX=12; NB-ETB=4" (Item_Code or Item_Name):',
+      ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const received = parseReceivedQuantities(response.getResponseText());
+    const plan = previewPreorderAllocation(received);
+    const confirm = ui.alert('Allocation Preview', formatPreorderAllocation(plan) + '\n\nCommit this allocation?',
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const result = commitPreorderAllocation(received);
+    ui.alert('Allocation Committed',
+      `${result.allocationId}: ${result.customers.fulfilled.length} fulfilled, ${result.customers.partial.length} partial, ` +
+      `${result.customers.waitlisted.length} waitlisted.\nRefund / credit instructions are on Preorder_Allocations.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to allocate shipment', e);
+  }
+}
+
 /**
  * Opens Preorder Buckets management dialog
  */
@@ -739,12 +1351,14 @@ function onScanAttendance() {
     const eventsScanned = result && result.eventsScanned || 0;
     const playersTracked = result && result.playersTracked || 0;
     const missionsComputed = result && result.missionsComputed || 0;
+    const keysGranted = result && result.keysGranted || 0;
 
     ui.alert(
       '✅ Mission Scan Complete',
       'Events Scanned: ' + eventsScanned + '\n' +
       'Players Tracked: ' + playersTracked + '\n' +
-      'Missions Evaluated: ' + missionsComputed,
+      'Missions Evaluated: ' + missionsComputed + '\n' +
+      'Keys Granted by Rules: ' + keysGranted,
       ui.ButtonSet.OK
     );
 
@@ -763,6 +1377,40 @@ function onScanAttendance() {
   }
 }
 
+/**
+ * Mission scan that re-parses every event tab and rebuilds Event_Scan_Cache
+ */
+function onFullRescanAttendance() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const confirm = ui.alert('Full Rescan',
+      'Re-read every event tab instead of only new or edited ones?\n\n' +
+      formatEventScanChanges(getEventScanChanges('RANKED_ROSTER')),
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    runMissionScan({ fullRebuild: true });
+  } catch (e) {
+    showError_('Failed to run full rescan', e);
+  }
+}
+
+/**
+ * Lists event tabs added, edited or removed since the last mission scan
+ */
+function onEventScanChanges() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const changes = getEventScanChanges('RANKED_ROSTER');
+    ui.alert('Event Tabs Changed Since Last Scan',
+      changes.lastScannedAt
+        ? formatEventScanChanges(changes)
+        : 'No scan has been cached yet; the next mission scan reads every tab.',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to compare event tabs', e);
+  }
+}
 
 /**
  * Internal mission recalculation logic (fallback)
@@ -929,6 +1577,53 @@ function onOrganizeTabs() {
   }
 }
 
+/**
+ * Opens Suffix_Registry (seeding it from code defaults on first use) and
+ * reports event tabs with unknown or retired suffixes
+ */
+function onSuffixRegistry() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    ss.setActiveSheet(ensureSuffixRegistrySheet());
+
+    const result = checkEventTabSuffixes();
+    const lines = [`Checked ${result.checked} event tab(s).`];
+    result.unknown.forEach(p => lines.push(`Unknown suffix ${p.suffix}: ${p.tab}`));
+    result.retired.forEach(p => lines.push(`Retired suffix ${p.suffix}: ${p.tab}`));
+    if (result.unknown.length + result.retired.length === 0) {
+      lines.push('All event tabs use active suffixes.');
+    }
+    ui.alert('Suffix Registry', lines.join('\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to open Suffix Registry', e);
+  }
+}
+
+/**
+ * Dry-runs pending schema migrations, then applies them on confirmation
+ */
+function onSchemaMigrations() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const preview = runSchemaMigrations({ dryRun: true });
+
+    if (preview.migrations.length === 0) {
+      ui.alert('Schema Migrations', formatSchemaMigrationReport(preview), ui.ButtonSet.OK);
+      return;
+    }
+
+    const response = ui.alert('Schema Migrations',
+      formatSchemaMigrationReport(preview) + '\n\nApply these migrations now?',
+      ui.ButtonSet.YES_NO);
+    if (response !== ui.Button.YES) return;
+
+    ui.alert('Schema Migrations', formatSchemaMigrationReport(runSchemaMigrations()), ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to run schema migrations', e);
+  }
+}
+
 /**
  * Opens Build/Repair health dashboard
  */
@@ -949,27 +1644,39 @@ function onBuildRepair() {
 }
 
 /**
- * Exports Integrity Log and Spent Pool as CSV
+ * Exports the audit and ledger sheets as a CSV/JSON bundle to Drive,
+ * optionally limited to one event or a date range
  */
 function onExportReports() {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
     const ui = SpreadsheetApp.getUi();
-    const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd_HHmmss');
-
-    // Export Integrity_Log
-    const logSheet = ss.getSheetByName('Integrity_Log');
-    if (logSheet) {
-      const filename = `Integrity_Log_${timestamp}.csv`;
-      ui.alert('Export Ready', `Log exported. Copy data and save as:\n${filename}\n\nOpen Integrity_Log sheet to view data.`, ui.ButtonSet.OK);
-    }
+    const response = ui.prompt('Export Reports',
+      'Optional filter — an Event ID, a date range (2026-01-01..2026-01-31), or both separated by a space.\n' +
+      'Leave blank to export everything:',
+      ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const options = {};
+    response.getResponseText().trim().split(/\s+/).filter(Boolean).forEach(part => {
+      const range = part.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/);
+      if (range) {
+        options.from = range[1];
+        options.to = range[2];
+      } else {
+        options.eventId = part;
+      }
+    });
 
-    // Export Spent_Pool
-    const spentSheet = ss.getSheetByName('Spent_Pool');
-    if (spentSheet) {
-      const filename = `Spent_Pool_${timestamp}.csv`;
-      ui.alert('Export Ready', `Spent Pool exported. Copy data and save as:\n${filename}\n\nOpen Spent_Pool sheet to view data.`, ui.ButtonSet.OK);
+    const result = exportReportsToDrive(options);
+    const lines = result.manifest.files
+      .filter(f => f.format === 'csv')
+      .map(f => `${f.sheet}: ${f.rows} row(s)` + (f.filtered.length ? ` (filtered by ${f.filtered.join(', ')})` : ''));
+    if (result.manifest.missing.length > 0) {
+      lines.push(`Not found: ${result.manifest.missing.join(', ')}`);
     }
+    ui.alert('Export Ready',
+      `Saved ${result.folderName} (CSV + JSON + manifest.json):\n\n${lines.join('\n')}\n\n${result.folderUrl}`,
+      ui.ButtonSet.OK);
   } catch (e) {
     showError_('Failed to export reports', e);
   }
@@ -1005,34 +1712,116 @@ function onForceUnlock() {
 }
 
 /**
- * Emergency revert - rolls back recent changes
+ * Shows the Jobs schedule and installs triggers to match it
  */
-function onEmergencyRevert() {
+function onScheduledJobs() {
   try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
     const ui = SpreadsheetApp.getUi();
-    const result = ui.alert(
-      'Emergency Revert',
-      'WARNING: This will attempt to revert recent changes.\n\n' +
-      'This is a last-resort option. Are you sure?',
-      ui.ButtonSet.YES_NO
-    );
+    ss.setActiveSheet(ensureJobsSheet());
+    ensureJobRunsSheet();
+
+    const jobs = getJobs();
+    const batches = getEventBatchStatus();
+    const confirm = ui.alert('Scheduled Jobs',
+      jobs.map(j => `${j.enabled ? '•' : '○'} ${j.job}: ${j.schedule}` +
+        (j.enabled ? '' : ' (disabled)')).join('\n') +
+      (batches.length ? '\n\nPart-way through:\n' +
+        batches.map(b => `${b.scan}: ${b.next}/${b.total} tabs read`).join('\n') : '') +
+      '\n\nEdit the Jobs sheet to change the schedule. Install triggers to match it now?',
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const result = installJobTriggers();
+    ui.alert('Job Triggers Installed',
+      `${result.installed.length} job trigger(s) installed, ${result.removed} removed.\nRuns are recorded on Job_Runs.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to install job triggers', e);
+  }
+}
 
-    if (result === ui.Button.YES) {
-      const confirm = ui.alert(
-        'Confirm Emergency Revert',
-        'Type "REVERT" to confirm (this cannot be undone):',
-        ui.ButtonSet.OK_CANCEL
-      );
+/**
+ * Runs one job now and shows its Job_Runs outcome
+ */
+function onRunJobNow() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Run Job Now',
+      `Enter a job: ${getJobs().map(j => j.job).join(', ')}`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const run = runJob(response.getResponseText(), 'MANUAL');
+    ui.alert(`${run.job}: ${run.status}`,
+      `${run.runId} took ${run.durationSec}s.` + (run.error ? `\n\n${run.error}` : '') +
+      (run.status === 'CONTINUED' ? '\n\nThe rest runs from a trigger in about a minute.' : ''),
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to run job', e);
+  }
+}
 
-      if (confirm === ui.Button.OK) {
-        if (typeof emergencyRevert === 'function') {
-          emergencyRevert();
-          ui.alert('Revert Complete', 'Emergency revert has been executed.', ui.ButtonSet.OK);
-        } else {
-          ui.alert('Not Available', 'Emergency revert function not available.', ui.ButtonSet.OK);
-        }
-      }
+/**
+ * Snapshots the core sheets now and schedules the daily snapshot (DAILY_SNAPSHOT job)
+ */
+function onTakeSnapshot() {
+  try {
+    const snapshot = runDailySnapshot('MANUAL');
+    ensureJobsSheet();
+    installJobTriggers();
+    SpreadsheetApp.getUi().alert('Snapshot Taken',
+      `${snapshot.snapshotId}: ${snapshot.sheets.map(s => `${s.sheet} (${s.rows} rows)`).join(', ')}\n\n` +
+      'A snapshot is also taken daily and before every commit.',
+      SpreadsheetApp.getUi().ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to take snapshot', e);
+  }
+}
+
+/**
+ * Emergency revert - restores sheets from a snapshot after showing the diff
+ */
+function onEmergencyRevert() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const recent = listSnapshots(10);
+    if (recent.length === 0) {
+      ui.alert('Emergency Revert', 'No snapshots yet. Use Ops → Take Snapshot Now.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const picked = ui.prompt('Emergency Revert',
+      recent.map(s => `${s.snapshotId}  ${s.createdAt}  ${s.trigger}` +
+        (s.logEntry ? ` → ${s.logEntry.action} ${s.logEntry.status}` : (s.action ? ` → ${s.action} (not logged)` : ''))).join('\n') +
+      '\n\nEnter the Snapshot_Id to restore (blank = latest):',
+      ui.ButtonSet.OK_CANCEL);
+    if (picked.getSelectedButton() !== ui.Button.OK) return;
+    const snapshotId = picked.getResponseText().trim() || recent[0].snapshotId;
+
+    const diff = diffSnapshot(snapshotId);
+    const changed = diff.sheets.filter(s => !s.unchanged).map(s => s.sheet);
+    if (changed.length === 0) {
+      ui.alert('Emergency Revert', formatSnapshotDiff(diff) + '\n\nNothing to restore.', ui.ButtonSet.OK);
+      return;
     }
+
+    const sheets = ui.prompt('Choose Sheets',
+      formatSnapshotDiff(diff) + `\n\nSheets to restore, comma-separated (blank = ${changed.join(', ')}):`,
+      ui.ButtonSet.OK_CANCEL);
+    if (sheets.getSelectedButton() !== ui.Button.OK) return;
+    const sheetNames = sheets.getResponseText().split(',').map(s => s.trim()).filter(Boolean);
+
+    const confirm = ui.prompt('Confirm Emergency Revert',
+      `Restore ${(sheetNames.length ? sheetNames : changed).join(', ')} from ${snapshotId}?\n` +
+      'Changes made since the snapshot are overwritten (a PRE_RESTORE snapshot is kept).\n\nType "REVERT" to confirm:',
+      ui.ButtonSet.OK_CANCEL);
+    if (confirm.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = emergencyRevert(snapshotId, sheetNames, confirm.getResponseText().trim());
+    ui.alert('Revert Complete',
+      `Restored ${result.restored.map(r => r.sheet).join(', ')} from ${result.snapshotId}.\n` +
+      `To undo, revert to ${result.preRestoreSnapshotId}.`,
+      ui.ButtonSet.OK);
   } catch (e) {
     showError_('Failed to execute emergency revert', e);
   }
@@ -1069,6 +1858,116 @@ function onStoreCreditViewer() {
   }
 }
 
+/**
+ * Reconciles Store_Credit_Ledger and offers to write corrected balances
+ */
+function onReconcileStoreCredit() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const report = reconcileStoreCreditLedger();
+
+    if (report.divergences.length === 0) {
+      ui.alert('Store Credit Reconciliation', formatStoreCreditReconciliation(report), ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert('Store Credit Reconciliation',
+      formatStoreCreditReconciliation(report) +
+      `\n\nWrite the corrected RunningBalance for ${report.divergences.length} row(s)?`,
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const applied = reconcileStoreCreditLedger({ apply: true });
+    ui.alert('Reconciliation Applied',
+      `Corrected ${applied.corrected} RunningBalance value(s). Each change is in Integrity_Log as STORE_CREDIT_BALANCE_FIX.`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to reconcile store credit', e);
+  }
+}
+
+/**
+ * Reserves a player's credit against an open preorder
+ */
+function onHoldStoreCredit() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Hold Credit for Preorder',
+      'Enter the Preorder_ID and amount to hold, e.g. "PO-1042, 25":', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const parts = response.getResponseText().split(',').map(p => p.trim());
+    const preorder = getPreorderById(parts[0]);
+    if (!preorder) {
+      throwError(`Preorder ${parts[0]} not found`, 'PREORDER_NOT_FOUND', 'Check the Preorder_ID on Preorders_Sold');
+    }
+
+    const hold = placeStoreCreditHold(preorder.PreferredName, parts[1], parts[0]);
+    ui.alert('Credit Held',
+      `${hold.holdId}: ${formatCurrency(hold.amount)} of ${hold.preferredName}'s credit is held for ${hold.preorderId}.\n` +
+      `Still available: ${formatCurrency(hold.available)}`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to hold store credit', e);
+  }
+}
+
+/**
+ * Spends (YES) or frees (NO) an open credit hold
+ */
+function onSettleStoreCreditHold() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Capture / Release Hold', 'Enter the Hold_Id (e.g. HOLD-3):', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const holdId = response.getResponseText().trim();
+    const choice = ui.alert('Capture / Release Hold',
+      `YES: capture ${holdId} (writes the OUT row for its preorder)\nNO: release ${holdId} (frees the credit)`,
+      ui.ButtonSet.YES_NO_CANCEL);
+    if (choice === ui.Button.YES) {
+      const result = captureStoreCreditHold(holdId);
+      ui.alert('Hold Captured', `${holdId} captured. New balance: ${formatCurrency(result.newBalance)}`, ui.ButtonSet.OK);
+    } else if (choice === ui.Button.NO) {
+      const hold = releaseStoreCreditHold(holdId);
+      ui.alert('Hold Released', `${formatCurrency(hold.amount)} released for ${hold.preferredName}.`, ui.ButtonSet.OK);
+    }
+  } catch (e) {
+    showError_('Failed to settle credit hold', e);
+  }
+}
+
+/**
+ * Opens Store_Credit_Buckets, then runs the expiry pass and installs the job triggers (STORE_CREDIT_EXPIRY runs nightly)
+ */
+function onStoreCreditExpiry() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    ss.setActiveSheet(ensureStoreCreditBucketsSheet());
+
+    const buckets = getStoreCreditBuckets();
+    const confirm = ui.alert('Credit Buckets & Expiry',
+      buckets.map(b => `• ${b.bucket}: ${b.categories.join(', ')} → ` +
+        (b.expiresDays ? `expires after ${b.expiresDays} day(s)` : 'never expires')).join('\n') +
+      '\n\nRun the expiry pass now and schedule it nightly?',
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const report = runStoreCreditExpiry();
+    ensureJobsSheet();
+    installJobTriggers();
+    ui.alert('Credit Expiry',
+      `${report.expired.length} lot(s) expired (${formatCurrency(report.total)}).` +
+      (report.spared > 0 ? `\n${formatCurrency(report.spared)} kept for open holds.` : '') +
+      (report.holdsReleased > 0 ? `\n${report.holdsReleased} hold(s) on cancelled preorders released.` : '') +
+      '\n\nThe expiry pass now runs nightly (STORE_CREDIT_EXPIRY on the Jobs sheet).',
+      ui.ButtonSet.OK);
+  } catch (e) {
+    showError_('Failed to run credit expiry', e);
+  }
+}
+
 // ============================================================================
 // EMPLOYEE TOOLS ROUTES
 // ============================================================================
@@ -1093,8 +1992,8 @@ function onOpenEmployeeLog() {
 function createAssignmentsFromDictation() {
   try {
     const html = HtmlService.createHtmlOutputFromFile('ui/dictation_assignments')
-      .setWidth(600)
-      .setHeight(500);
+      .setWidth(820)
+      .setHeight(600);
     SpreadsheetApp.getUi().showModalDialog(html, 'Create Assignments from Dictation');
   } catch (e) {
     showError_('Failed to open Dictation Assignments', e);
@@ -1113,10 +2012,7 @@ function onDictationAssignments() {
  */
 function createSingleAssignment() {
   try {
-    const html = HtmlService.createHtmlOutputFromFile('ui/single_assignment')
-      .setWidth(500)
-      .setHeight(400);
-    SpreadsheetApp.getUi().showModalDialog(html, 'Create Single Assignment');
+    openAssignmentModal();
   } catch (e) {
     showError_('Failed to open Single Assignment', e);
   }
@@ -1134,7 +2030,7 @@ function onSingleAssignment() {
  */
 function onViewPendingAssignments() {
   try {
-    const html = HtmlService.createHtmlOutputFromFile('ui/pending_assignments')
+    const html = HtmlService.createHtmlOutputFromFile('ui/employeeTaskLogViewier')
       .setTitle('Pending Assignments')
       .setWidth(400);
     SpreadsheetApp.getUi().showSidebar(html);
@@ -1155,7 +2051,8 @@ function onPendingAssignments() {
  */
 function showThisNeedsSidebar() {
   try {
-    const html = HtmlService.createHtmlOutputFromFile('ui/this_needs')
+    const html = HtmlService.createHtmlOutputFromFile('ui/this_needs_intake')
+      .setTitle('This Needs...')
       .setWidth(350);
     SpreadsheetApp.getUi().showSidebar(html);
   } catch (e) {
@@ -1175,7 +2072,7 @@ function onThisNeeds() {
  */
 function showThisNeedsTaskBoard() {
   try {
-    const html = HtmlService.createHtmlOutputFromFile('ui/task_board')
+    const html = HtmlService.createHtmlOutputFromFile('ui/this_needs_task_board')
       .setWidth(800)
       .setHeight(600);
     SpreadsheetApp.getUi().showModalDialog(html, 'This Needs... Task Board');
@@ -1268,306 +2165,6 @@ function checkForLedgerUpdates() {
   return false;
 }
 
-/**
- * Computes the current store credit balance for a player.
- * Supports both Store_Credit_Ledger (v7.9.7) and Store_Credit_Log (v7.9.6) structures.
- * @param {string} playerName
- * @return {number} current balance
- */
-function getCurrentBalance(playerName) {
-  if (!playerName) {
-    throw new Error('Player name is required for balance lookup.');
-  }
-
-  const ss = SpreadsheetApp.getActive();
-  
-  // Try v7.9.7 structure first
-  let sheet = ss.getSheetByName('Store_Credit_Ledger');
-  let isLedgerFormat = true;
-  
-  // Fallback to v7.9.6 structure
-  if (!sheet) {
-    sheet = ss.getSheetByName('Store_Credit_Log');
-    isLedgerFormat = false;
-  }
-  
-  if (!sheet) {
-    throw new Error('Store credit sheet not found (tried Store_Credit_Ledger and Store_Credit_Log).');
-  }
-
-  const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) return 0;
-
-  const headers = data[0];
-  
-  // Determine column indices based on format
-  let nameCol, directionCol, amountCol, typeCol;
-  
-  if (isLedgerFormat) {
-    // v7.9.7 format: PreferredName/preferred_name_id, InOut, Amount
-    nameCol = headers.indexOf('PreferredName');
-    if (nameCol === -1) nameCol = headers.indexOf('preferred_name_id');
-    directionCol = headers.indexOf('InOut');
-    amountCol = headers.indexOf('Amount');
-  } else {
-    // v7.9.6 format: column indices 1=name, 2=amount, 3=type
-    nameCol = 1;
-    amountCol = 2;
-    typeCol = 3;
-  }
-
-  let balance = 0;
-
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    const name = String(row[nameCol] || '').trim();
-    if (!name || name !== playerName) continue;
-
-    const amount = Number(row[amountCol]) || 0;
-    
-    if (isLedgerFormat) {
-      const direction = String(row[directionCol] || '').toUpperCase();
-      if (direction === 'IN') {
-        balance += amount;
-      } else if (direction === 'OUT') {
-        balance -= amount;
-      }
-    } else {
-      const type = String(row[typeCol] || '').toUpperCase();
-      if (type === 'CREDIT') {
-        balance += amount;
-      } else if (type === 'DEBIT') {
-        balance -= amount;
-      } else if (type === 'ADJUSTMENT') {
-        balance = amount;
-      }
-    }
-  }
-
-  return balance;
-}
-
-/**
- * Returns recent transactions for a player, with running balance.
- * @param {string} playerName
- * @param {number} limit
- * @return {Array<Object>}
- */
-function getPlayerHistory(playerName, limit) {
-  if (!playerName) return [];
-  limit = limit || 5;
-
-  const ss = SpreadsheetApp.getActive();
-  
-  // Try v7.9.7 structure first
-  let sheet = ss.getSheetByName('Store_Credit_Ledger');
-  let isLedgerFormat = true;
-  
-  // Fallback to v7.9.6 structure
-  if (!sheet) {
-    sheet = ss.getSheetByName('Store_Credit_Log');
-    isLedgerFormat = false;
-  }
-  
-  if (!sheet) return [];
-
-  const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) return [];
-
-  const headers = data[0];
-  
-  // Column mapping
-  let nameCol, tsCol, dirCol, amtCol, reasonCol, catCol, descCol, typeCol, operatorCol;
-  
-  if (isLedgerFormat) {
-    nameCol = headers.indexOf('PreferredName');
-    if (nameCol === -1) nameCol = headers.indexOf('preferred_name_id');
-    tsCol = headers.indexOf('Timestamp');
-    dirCol = headers.indexOf('InOut');
-    amtCol = headers.indexOf('Amount');
-    reasonCol = headers.indexOf('Reason');
-    catCol = headers.indexOf('Category');
-    descCol = headers.indexOf('Description');
-  } else {
-    // v7.9.6 fixed positions
-    tsCol = 0;
-    nameCol = 1;
-    amtCol = 2;
-    typeCol = 3;
-    reasonCol = 4;
-    operatorCol = 5;
-  }
-
-  // Build ascending history and running balance
-  let runningBalance = 0;
-  const allTx = [];
-
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    const name = String(row[nameCol] || '').trim();
-    if (name !== playerName) continue;
-
-    const amount = Number(row[amtCol]) || 0;
-    let direction;
-    
-    if (isLedgerFormat) {
-      direction = String(row[dirCol] || '').toUpperCase();
-      if (direction === 'IN') {
-        runningBalance += amount;
-      } else if (direction === 'OUT') {
-        runningBalance -= amount;
-      }
-    } else {
-      const type = String(row[typeCol] || '').toUpperCase();
-      direction = type;
-      if (type === 'CREDIT') {
-        runningBalance += amount;
-      } else if (type === 'DEBIT') {
-        runningBalance -= amount;
-      } else if (type === 'ADJUSTMENT') {
-        runningBalance = amount;
-      }
-    }
-
-    allTx.push({
-      timestamp: row[tsCol] || '',
-      direction: direction,
-      amount: amount,
-      balance: runningBalance,
-      reason: row[reasonCol] || '',
-      category: isLedgerFormat ? (row[catCol] || '') : '',
-      description: isLedgerFormat ? (row[descCol] || '') : '',
-      operator: !isLedgerFormat ? (row[operatorCol] || '') : ''
-    });
-  }
-
-  // Take the last N and reverse so newest is first
-  const recent = allTx.slice(-limit).reverse();
-  return recent;
-}
-
-/**
- * Logs a store credit transaction to Store_Credit_Ledger (v7.9.7 format).
- * Falls back to Store_Credit_Log (v7.9.6 format) if needed.
- * @param {Object} payload - Transaction data
- * @return {Object} Result
- */
-function logStoreCreditTransaction(payload) {
-  const ss = SpreadsheetApp.getActive();
-  
-  // Try v7.9.7 structure first
-  let sheet = ss.getSheetByName('Store_Credit_Ledger');
-  let isLedgerFormat = true;
-  
-  // Fallback to v7.9.6 structure
-  if (!sheet) {
-    sheet = ss.getSheetByName('Store_Credit_Log');
-    isLedgerFormat = false;
-  }
-  
-  if (!sheet) {
-    throw new Error('Store credit sheet not found.');
-  }
-
-  const timestamp = new Date();
-  const operator = Session.getActiveUser().getEmail() || 'unknown';
-
-  if (isLedgerFormat) {
-    // v7.9.7 format
-    const row = [
-      timestamp,
-      payload.preferred_name_id || payload.playerName || '',
-      payload.direction || '',
-      Number(payload.amount) || 0,
-      payload.reason || '',
-      payload.category || '',
-      payload.tenderType || '',
-      payload.description || '',
-      payload.posRefType || '',
-      payload.posRefId || '',
-      '',  // RunningBalance (formula or later calc)
-      Utilities.getUuid()  // RowId
-    ];
-    sheet.appendRow(row);
-  } else {
-    // v7.9.6 format
-    const row = [
-      timestamp,
-      payload.playerName || payload.preferred_name_id || '',
-      Number(payload.amount) || 0,
-      payload.type || payload.direction || '',
-      payload.reason || '',
-      operator,
-      payload.balance || 0
-    ];
-    sheet.appendRow(row);
-  }
-
-  return { success: true };
-}
-
-/**
- * Main entry point called by ui/store_credit.html.
- * Writes a ledger row and returns the new balance.
- * @param {Object} payload
- * @return {Object} {success, newBalance, previousBalance}
- */
-function submitStoreCredit(payload) {
-  if (!payload) {
-    throw new Error('Missing payload.');
-  }
-  
-  const playerName = payload.playerName || payload.preferred_name_id;
-  if (!playerName) {
-    throw new Error('Player is required.');
-  }
-  if (!payload.direction && !payload.type) {
-    throw new Error('Direction/Type is required.');
-  }
-  if (!payload.amount || isNaN(payload.amount) || Number(payload.amount) <= 0) {
-    throw new Error('Amount must be a positive number.');
-  }
-
-  const previousBalance = getCurrentBalance(playerName);
-  
-  // Determine new balance based on direction/type
-  let newBalance = previousBalance;
-  const direction = (payload.direction || payload.type || '').toUpperCase();
-  const amount = Number(payload.amount);
-  
-  if (direction === 'IN' || direction === 'CREDIT') {
-    newBalance += amount;
-  } else if (direction === 'OUT' || direction === 'DEBIT') {
-    newBalance -= amount;
-  } else if (direction === 'ADJUSTMENT') {
-    newBalance = amount;
-  }
-
-  // Map from UI payload to ledger payload shape
-  const ledgerPayload = {
-    preferred_name_id: playerName,
-    playerName: playerName,
-    direction: direction === 'CREDIT' ? 'IN' : (direction === 'DEBIT' ? 'OUT' : direction),
-    type: payload.type || direction,
-    amount: amount,
-    reason: payload.reason || '',
-    category: payload.category || '',
-    tenderType: payload.tenderType || '',
-    description: payload.description || '',
-    posRefType: payload.posRefType || '',
-    posRefId: payload.posRefId || '',
-    balance: newBalance
-  };
-
-  logStoreCreditTransaction(ledgerPayload);
-
-  return {
-    success: true,
-    previousBalance: previousBalance,
-    newBalance: newBalance
-  };
-}
-
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -1739,21 +2336,19 @@ function handleEmployeeLogEdit_(e) {
 
 /**
  * Gets a list of event tab names
- * Supports both MM-DD-YYYY (v7.9.7) and XXX##_ (v7.9.6) patterns
+ * Supports the event ID grammar (eventIdGrammar.js) and XXX##_ (v7.9.6) patterns
  * @return {Array<string>} Array of event tab names
  */
 function listEventTabs() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheets = ss.getSheets();
   
-  // Pattern for MM-DD-YYYY (v7.9.7)
-  const datePattern = /^\d{2}-\d{2}-\d{4}/;
   // Pattern for XXX##_ (v7.9.6)
   const codePattern = /^[A-Z]{3}\d{2}_/;
 
   return sheets
     .map(s => s.getName())
-    .filter(name => datePattern.test(name) || codePattern.test(name))
+    .filter(name => isEventIdName_(name) || codePattern.test(name))
     .sort();
 }
 
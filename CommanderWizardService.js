@@ -362,6 +362,11 @@ function commitCommanderRoundPrizes(eventId, roundNumber) {
       };
     }
 
+    // Restore point before the first write
+    if (typeof snapshotBeforeCommit === 'function') {
+      snapshotBeforeCommit(`COMMANDER_ROUND_${roundNumber}`, eventId, [eventId]);
+    }
+
     // Get headers and find/create prize column
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     const prizeColName = `R${roundNumber}_Prize`;
@@ -564,9 +569,10 @@ function previewCommanderEndPrizes(eventId) {
  * Commits Commander end-of-event prizes.
  *
  * @param {string} eventId
- * @return {Object} { success: boolean, message: string, preview?: PrizePreview }
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes, in the same batch (see awardPrizeRunBP_)
+ * @return {Object} { success: boolean, message: string, preview?: PrizePreview, batchId?: string, bpAwards?: Array }
  */
-function commitCommanderEndPrizes(eventId) {
+function commitCommanderEndPrizes(eventId, bpAwards) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(eventId);
 
@@ -606,6 +612,11 @@ function commitCommanderEndPrizes(eventId) {
       };
     }
 
+    // Restore point before the first write
+    if (typeof snapshotBeforeCommit === 'function') {
+      snapshotBeforeCommit('COMMANDER_END_PRIZES', eventId, [eventId]);
+    }
+
     // Get headers and find/create End_Prizes column
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     let endPrizeIdx = headers.findIndex(h =>
@@ -630,6 +641,7 @@ function commitCommanderEndPrizes(eventId) {
     // Build name to row map
     const lastRow = sheet.getLastRow();
     const nameData = sheet.getRange(2, prefNameIdx + 1, lastRow - 1, 1).getValues();
+    const prizeData = sheet.getRange(2, endPrizeIdx + 1, lastRow - 1, 1).getValues();
     const nameToRow = new Map();
     nameData.forEach((row, idx) => {
       const name = String(row[0]).trim();
@@ -639,11 +651,18 @@ function commitCommanderEndPrizes(eventId) {
     // Write prizes to sheet
     let awarded = 0;
     const spentPoolEntries = [];
+    const effects = [];
+    const prizeHeader = String(sheet.getRange(1, endPrizeIdx + 1).getValue());
+    const nameHeader = String(headers[prefNameIdx]);
 
     preview.items.forEach(item => {
       const rowNum = nameToRow.get(item.player);
       if (rowNum) {
         sheet.getRange(rowNum, endPrizeIdx + 1).setValue(item.prizeName);
+        effects.push({
+          sheet: eventId, keyColumn: nameHeader, keyValue: item.player,
+          column: prizeHeader, mode: 'SET', before: prizeData[rowNum - 2][0], after: item.prizeName
+        });
         awarded++;
 
         spentPoolEntries.push({
@@ -658,11 +677,15 @@ function commitCommanderEndPrizes(eventId) {
       }
     });
 
-    // Write to Spent_Pool if available
+    // Journal, Spent_Pool and BP share one batch so revertBatch() undoes them together
+    const batchId = typeof newBatchId === 'function' ? newBatchId() : `CMD-END-${Date.now()}`;
     if (typeof writeSpentPool === 'function' && spentPoolEntries.length > 0) {
-      const batchId = typeof newBatchId === 'function' ? newBatchId() : `CMD-END-${Date.now()}`;
+      if (typeof recordBatchEffects === 'function') {
+        recordBatchEffects(batchId, effects);
+      }
       writeSpentPool(spentPoolEntries, batchId);
     }
+    const bp = typeof awardPrizeRunBP_ === 'function' ? awardPrizeRunBP_(eventId, batchId, bpAwards) : [];
 
     // Update flags
     setCommanderFlag_(sheet, CMD_FLAGS.END, true);
@@ -679,7 +702,9 @@ function commitCommanderEndPrizes(eventId) {
     return {
       success: true,
       message: `Commander end prizes committed: ${awarded} player(s) awarded. Spent $${preview.estimatedCost?.toFixed(2) || '0.00'} of $${preview.budget?.toFixed(2) || '0.00'} budget.`,
-      preview: preview
+      preview: preview,
+      bpAwards: bp,
+      batchId
     };
   } catch (e) {
     logWizardAction_('COMMANDER_END_PRIZES_ERROR', eventId, {
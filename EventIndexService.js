@@ -12,7 +12,7 @@
  * @property {string} sheetName        - Event tab name (e.g., "11-29-2025")
  * @property {string} displayName      - Formatted display name with format suffix
  * @property {string} date             - ISO-style date "YYYY-MM-DD"
- * @property {string} suffix           - Suffix after date (e.g., "A", "B", "1", or "")
+ * @property {string} suffix           - Suffix after date (e.g., "A", "B", "DRAFT", or "")
  * @property {string} format           - Event format (Commander, Draft, etc.)
  * @property {number|null} playerCount - Number of players in roster
  * @property {number|null} rlPercentUsed - Percentage of RL budget used (0-100)
@@ -130,17 +130,13 @@ function listEventTabs_() {
     return listEventTabs();
   }
 
-  // Fallback implementation:
-  // - MM-DD-YYYY
-  // - MM-DDx-YYYY (suffix letter)
-  // - MM-DD-YYYY-suffix (legacy trailing suffix separated by dash)
+  // Fallback implementation: every tab that follows the event ID grammar
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheets = ss.getSheets();
-  const eventPattern = /^\d{2}-\d{2}([a-zA-Z])?-\d{4}(\b|[-_].*)?$/;
 
   return sheets
     .map(s => s.getName())
-    .filter(name => eventPattern.test(name))
+    .filter(name => isEventIdName_(name))
     .sort();
 }
 
@@ -149,50 +145,22 @@ function listEventTabs_() {
 // ============================================================================
 
 /**
- * Parses event date and suffix from sheet name.
- * Supported:
- * 1) MM-DD-YYYY
- * 2) MM-DD-YYYY-anything (legacy trailing suffix separated by dash)
- * 3) MM-DDx-YYYY (suffix letter between day and year, your standard)
+ * Parses event date and suffix from sheet name (event ID grammar, eventIdGrammar.js).
  *
  * @param {string} sheetName - Event sheet name
- * @return {Object|null} {dateStr, dateObj, suffix} or null if invalid
+ * @return {Object|null} {dateStr, dateObj, suffix, sequence} or null if invalid
  * @private
  */
 function parseEventDateFromName_(sheetName) {
-  // Case 3: MM-DDx-YYYY
-  let m = sheetName.match(/^(\d{2})-(\d{2})([a-zA-Z])-(\d{4})(.*)?$/);
-  if (m) {
-    const month = parseInt(m[1], 10);
-    const day = parseInt(m[2], 10);
-    const suffix = m[3] || '';
-    const year = parseInt(m[4], 10);
+  const parsed = parseEventIdParts_(sheetName);
+  if (!parsed) return null;
 
-    if (month < 1 || month > 12 || day < 1 || day > 31 || year < 2000 || year > 2100) return null;
-
-    const dateObj = new Date(year, month - 1, day);
-    const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-
-    return { dateStr, dateObj, suffix };
-  }
-
-  // Case 1/2: MM-DD-YYYY or MM-DD-YYYY-...
-  m = sheetName.match(/^(\d{2})-(\d{2})-(\d{4})(.*)$/);
-  if (!m) return null;
-
-  const month = parseInt(m[1], 10);
-  const day = parseInt(m[2], 10);
-  const year = parseInt(m[3], 10);
-  let suffix = m[4] || '';
-
-  if (suffix.startsWith('-')) suffix = suffix.substring(1);
-
-  if (month < 1 || month > 12 || day < 1 || day > 31 || year < 2000 || year > 2100) return null;
-
-  const dateObj = new Date(year, month - 1, day);
-  const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-
-  return { dateStr, dateObj, suffix };
+  return {
+    dateStr: parsed.dateStr,
+    dateObj: parsed.date,
+    suffix: parsed.suffix,
+    sequence: parsed.sequence
+  };
 }
 
 /**
@@ -4,7 +4,8 @@
  *
  * Service functions for the Unlock Lockbox flow.
  * Handles player key status retrieval, eligibility verification,
- * and lockbox unlock operations with key reset.
+ * and lockbox unlock operations: a seeded prize draw from Lockbox_Prizes
+ * (keySeasonService.js) followed by a key reset.
  */
 
 // =============================================================================
@@ -47,6 +48,12 @@ const LOCKBOX_HEADERS_ = {
   ELIGIBLE_RAINBOW: 'Eligible_for_rainbow_key'
 };
 
+// Header names keyService.js writes for the same columns
+const LOCKBOX_HEADER_ALIASES_ = {
+  NAME: 'PreferredName',
+  RAINBOW: 'RainbowEligible'
+};
+
 // =============================================================================
 // PUBLIC FUNCTIONS
 // =============================================================================
@@ -71,7 +78,7 @@ function getKeyTrackerPlayers() {
   }
 
   const headers = data[0];
-  const nameCol = findColumnIndex_(headers, LOCKBOX_HEADERS_.NAME);
+  const nameCol = getColumnIndices_(headers).name;
 
   if (nameCol === -1) {
     throw new Error('[SCHEMA_INVALID] Key_Tracker is missing the preferred_name_id column.');
@@ -216,19 +223,22 @@ function verifyLockboxEligibility(name) {
 }
 
 /**
- * Unlocks the Lockbox for a player: logs the unlock and resets their keys.
+ * Unlocks the Lockbox for a player: draws a prize from Lockbox_Prizes,
+ * resets their keys, decrements the prize's stock and logs the unlock.
  *
  * @param {Object} payload
  *   {
  *     preferred_name_id: string,
  *     staff?: string,
- *     prizeNote?: string
+ *     prizeNote?: string,
+ *     seed?: string        (replays a logged draw; generated if omitted)
  *   }
  * @return {Object} Result object
  *   {
  *     success: boolean,
  *     message: string,
- *     status?: PlayerKeyStatus (post-reset status)
+ *     status?: PlayerKeyStatus (post-reset status),
+ *     prize?: { prizeId, prizeName, value, seed, roll, stockLeft, seasonId }
  *   }
  */
 function unlockLockbox(payload) {
@@ -241,10 +251,13 @@ function unlockLockbox(payload) {
   }
 
   const name = String(payload.preferred_name_id).trim();
-  const staff = payload.staff || '';
+  const staff = payload.staff || getCurrentUser_();
   const prizeNote = payload.prizeNote || '';
 
+  const lock = LockService.getScriptLock();
   try {
+    lock.waitLock(30000);
+
     // Fetch current status
     const previousStatus = getPlayerKeyStatus(name);
 
@@ -256,51 +269,61 @@ function unlockLockbox(payload) {
       };
     }
 
+    // Draw first so an empty prize table leaves the keys untouched
+    const draw = drawLockboxPrize_(payload.seed);
+
+    snapshotBeforeCommit('LOCKBOX_UNLOCK', '', [LOCKBOX_SHEET_NAME_, LOCKBOX_PRIZES_SHEET, LOCKBOX_UNLOCKS_SHEET]);
     // Perform the unlock: reset keys to zero
     const newStatus = resetPlayerKeys_(name);
-
-    // Log the action if logIntegrityAction exists
-    if (typeof logIntegrityAction === 'function') {
-      try {
-        logIntegrityAction('LOCKBOX_UNLOCK', {
-          preferred_name_id: name,
-          staff: staff || getCurrentUser_(),
-          prizeNote: prizeNote,
-          before: previousStatus,
-          after: newStatus,
-          status: 'SUCCESS'
-        });
-      } catch (logError) {
-        // Don't fail the operation if logging fails
-        console.error('Failed to log LOCKBOX_UNLOCK:', logError);
-      }
-    }
+    const recorded = recordLockboxUnlock_({
+      preferredName: name,
+      keysSpent: previousStatus.totalKeys,
+      draw: draw,
+      staff: staff,
+      note: prizeNote
+    });
+
+    logIntegrityAction('LOCKBOX_UNLOCK', {
+      preferredName: name,
+      details: 'Drew ' + draw.prize.prizeName + ' (' + draw.prize.prizeId + ', ' + recorded.stockLeft + ' left)' +
+        ' | seed ' + draw.seed + ' roll ' + draw.roll.toFixed(6) +
+        ' | ' + previousStatus.totalKeys + ' keys spent | staff ' + staff +
+        (prizeNote ? ' | ' + prizeNote : ''),
+      status: 'SUCCESS'
+    });
 
     return {
       success: true,
-      message: 'Lockbox unlocked and keys reset for ' + name + '.',
-      status: newStatus
+      message: 'Lockbox unlocked: ' + name + ' won ' + draw.prize.prizeName + '. Keys reset.',
+      status: newStatus,
+      prize: {
+        prizeId: draw.prize.prizeId,
+        prizeName: draw.prize.prizeName,
+        value: draw.prize.value,
+        seed: draw.seed,
+        roll: draw.roll,
+        stockLeft: recorded.stockLeft,
+        seasonId: recorded.seasonId
+      }
     };
 
   } catch (e) {
-    // Log failure if logging exists
-    if (typeof logIntegrityAction === 'function') {
-      try {
-        logIntegrityAction('LOCKBOX_UNLOCK', {
-          preferred_name_id: name,
-          staff: staff || getCurrentUser_(),
-          error: e.message,
-          status: 'FAILURE'
-        });
-      } catch (logError) {
-        console.error('Failed to log LOCKBOX_UNLOCK failure:', logError);
-      }
+    try {
+      logIntegrityAction('LOCKBOX_UNLOCK', {
+        preferredName: name,
+        details: 'Unlock failed: ' + (e.message || String(e)) + ' | staff ' + staff,
+        status: 'FAILURE'
+      });
+    } catch (logError) {
+      console.error('Failed to log LOCKBOX_UNLOCK failure:', logError);
     }
 
     return {
       success: false,
       message: 'Unlock failed: ' + (e.message || String(e))
     };
+  } finally {
+    lock.releaseLock();
   }
 }
 
@@ -310,9 +333,11 @@ function unlockLockbox(payload) {
 
 /**
  * Finds the index of a header in the headers array.
+ * Not named findColumnIndex_: other files define that (taking an array of
+ * names) in the same global scope.
  * @private
  */
-function findColumnIndex_(headers, headerName) {
+function findLockboxHeaderIndex_(headers, headerName) {
   for (let i = 0; i < headers.length; i++) {
     if (String(headers[i]).trim() === headerName) {
       return i;
@@ -327,20 +352,33 @@ function findColumnIndex_(headers, headerName) {
  */
 function getColumnIndices_(headers) {
   return {
-    name: findColumnIndex_(headers, LOCKBOX_HEADERS_.NAME),
-    red: findColumnIndex_(headers, LOCKBOX_HEADERS_.RED),
-    blue: findColumnIndex_(headers, LOCKBOX_HEADERS_.BLUE),
-    green: findColumnIndex_(headers, LOCKBOX_HEADERS_.GREEN),
-    yellow: findColumnIndex_(headers, LOCKBOX_HEADERS_.YELLOW),
-    purple: findColumnIndex_(headers, LOCKBOX_HEADERS_.PURPLE),
-    rainbow: findColumnIndex_(headers, LOCKBOX_HEADERS_.RAINBOW),
-    total: findColumnIndex_(headers, LOCKBOX_HEADERS_.TOTAL),
-    colorsEarned: findColumnIndex_(headers, LOCKBOX_HEADERS_.COLORS_EARNED),
-    collectedAll5: findColumnIndex_(headers, LOCKBOX_HEADERS_.COLLECTED_ALL_5),
-    eligibleRainbow: findColumnIndex_(headers, LOCKBOX_HEADERS_.ELIGIBLE_RAINBOW)
+    name: findLockboxColumn_(headers, 'NAME'),
+    red: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.RED),
+    blue: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.BLUE),
+    green: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.GREEN),
+    yellow: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.YELLOW),
+    purple: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.PURPLE),
+    rainbow: findLockboxColumn_(headers, 'RAINBOW'),
+    total: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.TOTAL),
+    colorsEarned: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.COLORS_EARNED),
+    collectedAll5: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.COLLECTED_ALL_5),
+    eligibleRainbow: findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_.ELIGIBLE_RAINBOW),
+    ableToUnlock: findLockboxHeaderIndex_(headers, 'Able to Unlock?')
   };
 }
 
+/**
+ * Finds a Key_Tracker column by its LOCKBOX_HEADERS_ key, falling back to
+ * the keyService.js header name.
+ * @private
+ */
+function findLockboxColumn_(headers, key) {
+  const index = findLockboxHeaderIndex_(headers, LOCKBOX_HEADERS_[key]);
+  return index !== -1 || !LOCKBOX_HEADER_ALIASES_[key]
+    ? index
+    : findLockboxHeaderIndex_(headers, LOCKBOX_HEADER_ALIASES_[key]);
+}
+
 /**
  * Coerces a value to a number, defaulting to 0 for NaN.
  * @private
@@ -392,7 +430,7 @@ function computeLockboxEligibility_(red, blue, green, yellow, purple, rainbow, t
   if (purple > 0) distinctColors++;
 
   // Eligibility rules
-  if (collectedAll5 === 'Yes') {
+  if (collectedAll5 === 'Yes' || distinctColors === 5) {
     return {
       eligible: true,
       reason: 'Player has all five colored keys.'
@@ -473,6 +511,9 @@ function resetPlayerKeys_(name) {
   // Eligible_for_rainbow_key -> FALSE
   if (cols.eligibleRainbow !== -1) updates.push({ col: cols.eligibleRainbow, value: false });
 
+  // Able to Unlock? (keyService.js) -> 0
+  if (cols.ableToUnlock !== -1) updates.push({ col: cols.ableToUnlock, value: 0 });
+
   // Apply updates in batch (each cell individually for safety with mixed formulas)
   const sheetRow = playerRowIndex + 1; // Convert to 1-based
   updates.forEach(function(update) {
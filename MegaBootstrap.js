@@ -191,7 +191,7 @@ function megaBootstrapInstall() {
           'Flag Mission Points',
           'Dice Roll Points',
           'LastUpdated',
-          'BP_Historical'
+          'Historical_BP'
         ];
         sheet.appendRow(headers);
         sheet.setFrozenRows(1);
@@ -540,7 +540,7 @@ function megaBootstrapAddSamplePlayers() {
   if (bpSheet) {
     samplePlayers.forEach(p => {
       const total = p.att + p.flag + p.dice;
-      // PreferredName, Current_BP, Attendance Mission Points, Flag Mission Points, Dice Roll Points, LastUpdated, BP_Historical
+      // PreferredName, Current_BP, Attendance Mission Points, Flag Mission Points, Dice Roll Points, LastUpdated, Historical_BP
       bpSheet.appendRow([p.name, total, p.att, p.flag, p.dice, timestamp, total]);
     });
   }
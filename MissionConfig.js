@@ -48,24 +48,9 @@ var ATTENDANCE_CONFIG = {
     MISSION_LOG: 'MissionLog'
   },
 
-  // Event sheet name pattern: MM-DD-YYYY or MM-DD-[SUFFIX]-YYYY
-  EVENT_PATTERN: /^(\d{2})-(\d{2})(?:-([A-Z]))?\-(\d{4})$/,
-
-  // Format suffix legend
-  FORMAT_LEGEND: {
-    'C': 'Commander',
-    'D': 'Draft',
-    'S': 'Sealed',
-    'P': 'Prerelease',
-    'M': 'Modern',
-    'L': 'Legacy',
-    'V': 'Vintage',
-    'N': 'Night Event',
-    'B': 'Brawl',
-    'T': 'Two-Headed Giant',
-    'E': 'Outreach',
-    'A': 'Academy'
-  },
+  // Event sheet name pattern: the shared event ID grammar (eventIdGrammar.js)
+  // Examples: 11-23-2025 (standard), 11-23B-2025 (Commander Casual), 11-29X(B+D)-2025
+  get EVENT_PATTERN() { return EVENT_ID_PATTERN; },
 
   // Column headers expected in event sheets
   EXPECTED_HEADERS: {
@@ -78,75 +63,6 @@ var ATTENDANCE_CONFIG = {
   MAX_WEEKS_FOR_STREAK: 52 // Maximum consecutive weeks to check
 };
 
-/**
- * Suffix metadata for mission evaluation
- * Used by Mission Suffix Service to determine which missions to award
- */
-var SUFFIX_META = {
-  'B': {
-    name: 'Commander Casual',
-    requiresKitPrompt: false,
-    missionIds: ['ATTEND_CMD_CASUAL']
-  },
-  'C': {
-    name: 'Commander Transition',
-    requiresKitPrompt: false,
-    missionIds: ['ATTEND_CMD_TRANSITION']
-  },
-  'T': {
-    name: 'Commander cEDH',
-    requiresKitPrompt: false,
-    missionIds: ['ATTEND_CMD_CEDH']
-  },
-  'D': {
-    name: 'Draft',
-    requiresKitPrompt: true,
-    missionIds: ['ATTEND_LIMITED_EVENT']
-  },
-  'P': {
-    name: 'Proxy/Cube Draft',
-    requiresKitPrompt: true,
-    missionIds: ['ATTEND_LIMITED_EVENT']
-  },
-  'R': {
-    name: 'Prerelease',
-    requiresKitPrompt: true,
-    missionIds: ['ATTEND_LIMITED_EVENT']
-  },
-  'S': {
-    name: 'Sealed',
-    requiresKitPrompt: true,
-    missionIds: ['ATTEND_LIMITED_EVENT']
-  },
-  'A': {
-    name: 'Academy',
-    requiresKitPrompt: false,
-    missionIds: ['ATTEND_ACADEMY']
-  },
-  'E': {
-    name: 'Outreach',
-    requiresKitPrompt: false,
-    missionIds: ['ATTEND_OUTREACH']
-  }
-};
-
-/**
- * Get suffix metadata
- * @param {string} suffix - Event suffix (e.g., 'B', 'C', 'D')
- * @return {Object|null} Suffix metadata or null
- */
-function getSuffixMeta_(suffix) {
-  if (!suffix) return null;
-  return SUFFIX_META[suffix] || null;
-}
-
-/**
- * Extract suffix from event ID (sheet/tab name)
- * @param {string} eventId - Event sheet name (e.g., "11-23-B-2025")
- * @return {string} Suffix or empty string
- */
-function getSuffixFromEventId_(eventId) {
-  if (!eventId) return '';
-  var match = eventId.match(ATTENDANCE_CONFIG.EVENT_PATTERN);
-  return match && match[3] ? match[3] : '';
-}
\ No newline at end of file
+// Suffix metadata (names, mission IDs, categories) lives in the suffix
+// registry – see getSuffixMeta_() in suffixConfig.js. Event IDs are parsed by
+// parseEventIdParts_() in eventIdGrammar.js.
@@ -63,7 +63,7 @@ function loadPreferredNames(ss) {
 }
 
 /**
- * Resolve canonical name (fuzzy matching if needed)
+ * Resolve canonical name (fuzzy matching if needed; Player_Aliases last)
  * @param {string} name - Player name to resolve
  * @param {Set} preferredNames - Set of canonical names
  * @return {string|null} Canonical name or null
@@ -92,6 +92,10 @@ function resolveCanonicalName(name, preferredNames) {
     return name;
   }
 
+  // Nickname, WER spelling or old name (Player_Aliases)
+  var aliased = resolvePlayerAlias_(name);
+  if (aliased) return aliased;
+
   // If not found, return as-is (will be flagged in UndiscoveredNames later)
   Logger.log('Warning: Player name "' + name + '" not found in PreferredNames');
   return name;
@@ -793,128 +793,8 @@ function onDicePointCheckboxEdit(e) {
 // ============================================================================
 // BP_TOTAL CONSOLIDATION
 // ============================================================================
-
-/**
- * Ensures BP_Total has the consolidated schema with all source columns
- */
-function ensureBPTotalConsolidatedSchema() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = ss.getSheetByName('BP_Total');
-
-  const requiredHeaders = [
-    'preferred_name_id',
-    'Flag_Mission_Points',
-    'Attendance_Mission_Points',
-    'Dice_Points',
-    'Raw_Total',
-    'Capped_BP',
-    'Overflow_to_Prestige',
-    'LastUpdated'
-  ];
-
-  if (!sheet) {
-    sheet = ss.insertSheet('BP_Total');
-    sheet.appendRow(requiredHeaders);
-    sheet.setFrozenRows(1);
-    sheet.getRange('A1:H1')
-      .setFontWeight('bold')
-      .setBackground('#2196f3')
-      .setFontColor('#ffffff');
-    return;
-  }
-
-  if (sheet.getLastRow() === 0) {
-    sheet.appendRow(requiredHeaders);
-    sheet.setFrozenRows(1);
-    return;
-  }
-
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-
-  // Check for old schema (PreferredName, BP_Current, LastUpdated)
-  // and migrate if needed
-  if (headers.includes('PreferredName') && headers.includes('BP_Current')) {
-    migrateBPTotalSchema_(sheet);
-  }
-
-  const missing = requiredHeaders.filter(h => !headers.includes(h));
-
-  if (missing.length > 0) {
-    const startCol = sheet.getLastColumn() + 1;
-    missing.forEach((header, idx) => {
-      sheet.getRange(1, startCol + idx).setValue(header);
-    });
-  }
-}
-
-/**
- * Migrates old BP_Total schema to new consolidated schema
- * @param {Sheet} sheet - BP_Total sheet
- * @private
- */
-function migrateBPTotalSchema_(sheet) {
-  const data = sheet.getDataRange().getValues();
-  const oldHeaders = data[0];
-
-  const nameCol = oldHeaders.indexOf('PreferredName');
-  const bpCol = oldHeaders.indexOf('BP_Current');
-  const updatedCol = oldHeaders.indexOf('LastUpdated');
-
-  if (nameCol === -1 || bpCol === -1) return;
-
-  // Build new data
-  const newHeaders = [
-    'preferred_name_id',
-    'Flag_Mission_Points',
-    'Attendance_Mission_Points',
-    'Dice_Points',
-    'Raw_Total',
-    'Capped_BP',
-    'Overflow_to_Prestige',
-    'LastUpdated'
-  ];
-
-  const newData = [newHeaders];
-
-  for (let i = 1; i < data.length; i++) {
-    const oldName = data[i][nameCol];
-    const oldBP = coerceNumber(data[i][bpCol], 0);
-    const oldUpdated = updatedCol !== -1 ? data[i][updatedCol] : dateISO();
-
-    if (oldName) {
-      const throttle = getThrottleKV();
-      const globalCap = coerceNumber(throttle.BP_Global_Cap, 100);
-      const capped = Math.min(oldBP, globalCap);
-      const overflow = Math.max(0, oldBP - globalCap);
-
-      newData.push([
-        oldName,      // preferred_name_id
-        0,            // Flag_Mission_Points (will be synced)
-        0,            // Attendance_Mission_Points (will be synced)
-        0,            // Dice_Points (will be synced)
-        oldBP,        // Raw_Total (preserve old BP as starting point)
-        capped,       // Capped_BP
-        overflow,     // Overflow_to_Prestige
-        oldUpdated    // LastUpdated
-      ]);
-    }
-  }
-
-  // Clear and rewrite
-  sheet.clear();
-  sheet.getRange(1, 1, newData.length, newData[0].length).setValues(newData);
-  sheet.setFrozenRows(1);
-  sheet.getRange('A1:H1')
-    .setFontWeight('bold')
-    .setBackground('#2196f3')
-    .setFontColor('#ffffff');
-
-  logIntegrityAction('BP_TOTAL_MIGRATE', {
-    details: `Migrated ${newData.length - 1} players to consolidated schema`,
-    dfTags: ['DF-MIGRATE'],
-    status: 'SUCCESS'
-  });
-}
+// ensureBPTotalConsolidatedSchema() lives in bpTotalPipeline.js; legacy header
+// upgrades are numbered migrations in schemaMigrations.js.
 
 /**
  * Syncs BP_Total from all three source sheets
@@ -1118,20 +998,6 @@ function routeOverflowToPrestige_(preferredNameId, overflow) {
   }
 }
 
-/**
- * Computes prestige tier based on overflow amount
- * @param {number} overflow - Total overflow
- * @return {string} Tier name
- * @private
- */
-function computePrestigeTier_(overflow) {
-  if (overflow >= 500) return 'Diamond';
-  if (overflow >= 250) return 'Platinum';
-  if (overflow >= 100) return 'Gold';
-  if (overflow >= 50) return 'Silver';
-  return 'Bronze';
-}
-
 // ============================================================================
 // VALIDATION & INTEGRITY
 // ============================================================================
@@ -10,7 +10,7 @@
  *   - Correct column headers: "Rank" + "PreferredName" or "preferred_name_id"
  *   - Code-defined missions (no sheet dependencies)
  *   - Provides scanAttendanceForRange_() for MissionGateService
- *   - Integrates with SUFFIX_MAP from SuffixService
+ *   - Mission trigger suffixes come from the suffix registry (suffixConfig.js)
  *
  * OUTPUTS:
  *   - Attendance_Missions: Player × Mission progress matrix
@@ -26,9 +26,9 @@
 // ════════════════════════════════════════════════════════════════════════════
 
 const MISSION_SCANNER_CONFIG = {
-  // Event sheet pattern: MM-DD-YYYY or MM-DDX-YYYY (suffix attached to day)
-  // Examples: "11-23-2025", "11-23C-2025", "05-01B-2025"
-  EVENT_PATTERN: /^(\d{1,2})-(\d{1,2})([A-Za-z])?-(\d{4})$/,
+  // Event sheet pattern: the shared event ID grammar (eventIdGrammar.js)
+  // Examples: "11-23-2025", "11-23C-2025", "11-23B-2025-2", "11-29X(B+D)-2025"
+  get EVENT_PATTERN() { return EVENT_ID_PATTERN; },
   
   // Acceptable player column headers (case-insensitive)
   PLAYER_COLUMNS: ['preferredname', 'preferred_name_id', 'player', 'name', 'player name'],
@@ -113,6 +113,9 @@ const MISSION_REGISTRY = {
     trigger: { eventsInDays: { count: 2, days: 7 } }
   },
   
+  // Missions with trigger.fromRegistry are triggered by every suffix that lists
+  // the mission ID in Suffix_Registry (see getMissionTriggerSuffixes_).
+
   // ── FORMAT-SPECIFIC MISSIONS (one-time per format) ────────────────────────
   SEALED_VOYAGER: {
     id: 'SEALED_VOYAGER',
@@ -121,7 +124,7 @@ const MISSION_REGISTRY = {
     description: 'Play Sealed or Prerelease Sealed',
     pointValue: 1,
     cap: 1,
-    trigger: { suffixes: ['S', 'R','D'] }
+    trigger: { fromRegistry: true }
   },
   
   DRAFT_NAVIGATOR: {
@@ -131,7 +134,7 @@ const MISSION_REGISTRY = {
     description: 'Play Booster Draft',
     pointValue: 1,
     cap: 1,
-    trigger: { suffixes: ['D'] }
+    trigger: { fromRegistry: true }
   },
   
   STELLAR_SCHOLAR: {
@@ -141,7 +144,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Workshop/Hobby Night or Academy',
     pointValue: 1,
     cap: 1,
-    trigger: { suffixes: ['W', 'A'] }
+    trigger: { fromRegistry: true }
   },
   
   // ── COMMANDER ATTENDANCE (cumulative) ─────────────────────────────────────
@@ -152,7 +155,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Casual Commander (Bracket 1-2) events',
     pointValue: 0, // Tracked but not auto-awarded BP
     cap: 0,
-    trigger: { suffixes: ['B'] }
+    trigger: { fromRegistry: true }
   },
   
   ATTEND_CMD_TRANSITION: {
@@ -162,7 +165,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Transitional Commander (Bracket 3-4) events',
     pointValue: 0,
     cap: 0,
-    trigger: { suffixes: ['C'] }
+    trigger: { fromRegistry: true }
   },
   
   ATTEND_CMD_CEDH: {
@@ -172,7 +175,7 @@ const MISSION_REGISTRY = {
     description: 'Attend cEDH (Bracket 5) events',
     pointValue: 0,
     cap: 0,
-    trigger: { suffixes: ['T'] }
+    trigger: { fromRegistry: true }
   },
   
   // ── LIMITED FORMAT ATTENDANCE (cumulative) ────────────────────────────────
@@ -183,7 +186,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Limited format events (Draft, Sealed, Prerelease)',
     pointValue: 0,
     cap: 0,
-    trigger: { suffixes: ['D', 'P', 'R', 'S'] }
+    trigger: { fromRegistry: true }
   },
   
   // ── SPECIAL PROGRAM ATTENDANCE ────────────────────────────────────────────
@@ -194,7 +197,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Academy / Learn to Play events',
     pointValue: 0,
     cap: 0,
-    trigger: { suffixes: ['A'] }
+    trigger: { fromRegistry: true }
   },
   
   ATTEND_OUTREACH: {
@@ -204,7 +207,7 @@ const MISSION_REGISTRY = {
     description: 'Attend External / Outreach events',
     pointValue: 0,
     cap: 0,
-    trigger: { suffixes: ['E'] }
+    trigger: { fromRegistry: true }
   },
   
   ATTEND_FREE_PLAY: {
@@ -214,7 +217,7 @@ const MISSION_REGISTRY = {
     description: 'Attend Free Play events',
     pointValue: 1, // 1 BP per free play attendance
     cap: 0,
-    trigger: { suffixes: ['F'] }
+    trigger: { fromRegistry: true }
   },
   
   // ── PLACEMENT MISSIONS (cumulative) ───────────────────────────────────────
@@ -278,14 +281,19 @@ function getMissionDef_(missionId) {
  *   1. Discover all event sheets
  *   2. Extract attendance records (player, event, rank, suffix)
  *   3. Compute mission progress for all players
- *   4. Write to Attendance_Missions sheet
- *   5. Log to Integrity_Log
+ *   4. Grant keys owed by Key_Award_Rules (keyAwardRulesService.js)
+ *   5. Write to Attendance_Missions sheet
+ *   6. Log to Integrity_Log
  *
- * @return {Object} Scan results {eventsScanned, playersTracked, missionsComputed}
+ * @param {Object} [options] - {silent: true} skips the alerts (scheduled jobs have no UI);
+ *   {tabs} uses event data already read in chunks (eventBatchService.js);
+ *   {fullRebuild: true} re-parses every tab instead of using Event_Scan_Cache
+ * @return {Object} Scan results {eventsScanned, playersTracked, missionsComputed, keysGranted, tabsReparsed}
  */
-function runMissionScan() {
+function runMissionScan(options) {
   const startTime = new Date();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const silent = !!(options && options.silent);
   
   try {
     console.log('═══════════════════════════════════════════════════════');
@@ -293,15 +301,18 @@ function runMissionScan() {
     console.log('═══════════════════════════════════════════════════════');
     
     // Step 1: Scan all event sheets
-    const scanData = scanAllEvents_(ss);
+    const scanData = scanAllEvents_(ss, options && options.tabs, options);
+    const tabsReparsed = scanData.cacheReport ? scanData.cacheReport.parsed : null;
     
     if (scanData.events.length === 0) {
       console.log('No event sheets found matching pattern.');
-      SpreadsheetApp.getUi().alert(
-        'No Events Found',
-        'No event sheets matching MM-DD-YYYY or MM-DDX-YYYY format were found.',
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
+      if (!silent) {
+        SpreadsheetApp.getUi().alert(
+          'No Events Found',
+          'No event sheets matching MM-DD-YYYY or MM-DDX-YYYY format were found.',
+          SpreadsheetApp.getUi().ButtonSet.OK
+        );
+      }
       return { eventsScanned: 0, playersTracked: 0, missionsComputed: 0 };
     }
     
@@ -309,6 +320,14 @@ function runMissionScan() {
     
     // Step 2: Compute mission progress for all players
     const missionProgress = computeAllMissionProgress_(scanData);
+
+    // Step 2b: Key award rules (idempotent; a rule problem must not block the scan)
+    let keyRules = { granted: 0, failed: 0 };
+    try {
+      keyRules = applyKeyAwardRules(scanData, missionProgress);
+    } catch (e) {
+      logIntegrityAction('KEY_RULES_ERROR', { details: e.message, status: 'FAILURE' });
+    }
     
     // Step 3: Write to Attendance_Missions
     writeAttendanceMissions_(ss, missionProgress);
@@ -319,32 +338,41 @@ function runMissionScan() {
       eventsScanned: scanData.events.length,
       playersTracked: scanData.players.size,
       missionsComputed: Object.keys(MISSION_REGISTRY).length,
+      keysGranted: keyRules.granted,
       duration: duration
     });
     
     // Show success
-    SpreadsheetApp.getUi().alert(
-      '✅ Mission Scan Complete',
-      `Events Scanned: ${scanData.events.length}\n` +
-      `Players Tracked: ${scanData.players.size}\n` +
-      `Missions Evaluated: ${Object.keys(MISSION_REGISTRY).length}\n` +
-      `Duration: ${duration.toFixed(2)}s`,
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
+    if (!silent) {
+      SpreadsheetApp.getUi().alert(
+        '✅ Mission Scan Complete',
+        `Events Scanned: ${scanData.events.length}\n` +
+        `Players Tracked: ${scanData.players.size}\n` +
+        `Missions Evaluated: ${Object.keys(MISSION_REGISTRY).length}\n` +
+        `Keys Granted by Rules: ${keyRules.granted}` + (keyRules.failed ? ` (${keyRules.failed} failed)` : '') + '\n' +
+        (scanData.cacheReport ? `Tabs Re-read: ${formatEventScanChanges(scanData.cacheReport, true)}\n` : '') +
+        `Duration: ${duration.toFixed(2)}s`,
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+    }
     
     return {
       eventsScanned: scanData.events.length,
       playersTracked: scanData.players.size,
-      missionsComputed: Object.keys(MISSION_REGISTRY).length
+      missionsComputed: Object.keys(MISSION_REGISTRY).length,
+      keysGranted: keyRules.granted,
+      tabsReparsed: tabsReparsed
     };
     
   } catch (error) {
     console.error('Mission scan failed:', error);
-    SpreadsheetApp.getUi().alert(
-      '❌ Mission Scan Error',
-      error.message,
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
+    if (!silent) {
+      SpreadsheetApp.getUi().alert(
+        '❌ Mission Scan Error',
+        error.message,
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+    }
     throw error;
   }
 }
@@ -354,29 +382,38 @@ function runMissionScan() {
 // ════════════════════════════════════════════════════════════════════════════
 
 /**
- * Scan all event sheets and extract attendance data
+ * Scan all event sheets and extract attendance data. Tabs whose content is
+ * unchanged since the last scan come from Event_Scan_Cache.
  * @param {Spreadsheet} ss - Active spreadsheet
- * @return {Object} {events, players, playerHistory}
+ * @param {Array<Object>} [tabs] - [{tab, data}] already extracted by a chunked
+ *   run (data is extractEventData_ output); the sheets are read when omitted
+ * @param {Object} [options] - {fullRebuild: true} re-parses every tab
+ * @return {Object} {events, players, playerHistory, cacheReport}
  * @private
  */
-function scanAllEvents_(ss) {
-  const sheets = ss.getSheets();
+function scanAllEvents_(ss, tabs, options) {
+  let entries = tabs;
+  let cacheReport = null;
+  if (!entries) {
+    // Load PreferredNames for canonical resolution
+    const preferredNames = loadPreferredNamesSet_(ss);
+    const cached = scanEventTabsCached('RANKED_ROSTER', options);
+    cacheReport = cached.report;
+    entries = cached.tabs.map(t => ({ tab: t.tab, data: resolveEventRows_(t.data, preferredNames) }));
+  }
   const events = [];
   const players = new Set();
-  const playerHistory = new Map(); // playerId -> [{eventId, date, suffix, rank}, ...]
-  
-  // Load PreferredNames for canonical resolution
-  const preferredNames = loadPreferredNamesSet_(ss);
+  const playerHistory = new Map(); // playerId -> [{eventId, date, suffix, formats, rank}, ...]
   
-  sheets.forEach(sheet => {
-    const sheetName = sheet.getName();
+  entries.forEach(entry => {
+    const sheetName = entry.tab;
     const parsed = parseEventSheetName_(sheetName);
     
     if (!parsed) return; // Not an event sheet
     
     console.log(`Scanning event: ${sheetName} (suffix: ${parsed.suffix || 'none'})`);
     
-    const eventData = extractEventData_(sheet, preferredNames);
+    const eventData = entry.data;
     
     if (eventData.players.length === 0) {
       console.log(`  No players found in ${sheetName}`);
@@ -387,6 +424,7 @@ function scanAllEvents_(ss) {
       eventId: sheetName,
       date: parsed.date,
       suffix: parsed.suffix,
+      formats: parsed.formats,
       players: eventData.players,
       placements: eventData.placements,
       playerCount: eventData.players.length
@@ -406,6 +444,7 @@ function scanAllEvents_(ss) {
         eventId: sheetName,
         date: parsed.date,
         suffix: parsed.suffix,
+        formats: parsed.formats,
         rank: eventData.placements[playerId] || null
       });
     });
@@ -419,34 +458,21 @@ function scanAllEvents_(ss) {
     history.sort((a, b) => a.date - b.date);
   });
   
-  return { events, players, playerHistory };
+  return { events, players, playerHistory, cacheReport };
 }
 
 /**
  * Parse event sheet name into components
  * @param {string} sheetName - Sheet name
- * @return {Object|null} {date, suffix} or null if not valid event
+ * @return {Object|null} {date, suffix, formats} or null if not valid event
  * @private
  */
 function parseEventSheetName_(sheetName) {
-  const match = sheetName.match(MISSION_SCANNER_CONFIG.EVENT_PATTERN);
-  if (!match) return null;
-  
-  const month = parseInt(match[1], 10);
-  const day = parseInt(match[2], 10);
-  const suffix = match[3] ? match[3].toUpperCase() : null;
-  const year = parseInt(match[4], 10);
-  
-  // Validate date
-  const date = new Date(year, month - 1, day);
-  if (isNaN(date.getTime()) || 
-      date.getMonth() !== month - 1 || 
-      date.getDate() !== day) {
-    console.warn(`Invalid date in sheet name: ${sheetName}`);
-    return null;
-  }
-  
-  return { date, suffix };
+  const parsed = parseEventIdParts_(sheetName);
+  if (!parsed) return null;
+
+  // X tabs that declare components count as each component format
+  return { date: parsed.date, suffix: parsed.suffix || null, formats: parsed.formats };
 }
 
 /**
@@ -457,8 +483,20 @@ function parseEventSheetName_(sheetName) {
  * @private
  */
 function extractEventData_(sheet, preferredNames) {
-  const data = sheet.getDataRange().getValues();
-  if (data.length <= 1) return { players: [], placements: {} };
+  const rows = extractEventRows_(sheet.getDataRange().getValues(), sheet.getName());
+  return resolveEventRows_(rows, preferredNames);
+}
+
+/**
+ * Raw player names and ranks from an event sheet's values (no name
+ * resolution, so the result can be cached per tab – eventScanCacheService.js)
+ * @param {Array<Array>} data - Sheet values, header row first
+ * @param {string} sheetName - For the missing-column warning
+ * @return {Array<Array>} [[rawName, rank|null], ...] in sheet order
+ * @private
+ */
+function extractEventRows_(data, sheetName) {
+  if (data.length <= 1) return [];
   
   const headers = data[0].map(h => String(h).toLowerCase().trim());
   
@@ -483,12 +521,11 @@ function extractEventData_(sheet, preferredNames) {
   }
   
   if (playerCol === -1) {
-    console.warn(`No player column found in ${sheet.getName()}. Headers: ${headers.join(', ')}`);
-    return { players: [], placements: {} };
+    console.warn(`No player column found in ${sheetName}. Headers: ${headers.join(', ')}`);
+    return [];
   }
   
-  const players = [];
-  const placements = {};
+  const rows = [];
   
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
@@ -496,20 +533,40 @@ function extractEventData_(sheet, preferredNames) {
     
     if (!rawName) continue;
     
+    // Extract rank if available
+    let rank = null;
+    if (rankCol !== -1) {
+      const parsed = parseInt(row[rankCol], 10);
+      if (!isNaN(parsed) && parsed > 0) rank = parsed;
+    }
+    
+    rows.push([rawName, rank]);
+  }
+  
+  return rows;
+}
+
+/**
+ * Resolve raw event rows to canonical players and placements
+ * @param {Array<Array>} rows - extractEventRows_() output
+ * @param {Set<string>} preferredNames - Canonical name set
+ * @return {Object} {players, placements}
+ * @private
+ */
+function resolveEventRows_(rows, preferredNames) {
+  const players = [];
+  const placements = {};
+  
+  rows.forEach(([rawName, rank]) => {
     // Resolve to canonical name
     const playerId = resolveToCanonical_(rawName, preferredNames);
-    if (!playerId) continue;
+    if (!playerId) return;
     
     players.push(playerId);
-    
-    // Extract rank if available
-    if (rankCol !== -1) {
-      const rank = parseInt(row[rankCol], 10);
-      if (!isNaN(rank) && rank > 0) {
-        placements[playerId] = rank;
-      }
+    if (rank !== null) {
+      placements[playerId] = rank;
     }
-  }
+  });
   
   // Determine implicit ranks if not provided (list order)
   if (Object.keys(placements).length === 0 && players.length > 0) {
@@ -544,8 +601,13 @@ function loadPreferredNamesSet_(ss) {
       names.set(name.toLowerCase(), name);
     }
   }
-  
+
   console.log(`Loaded ${names.size} preferred names`);
+
+  // Aliases (old names, WER spellings) count as the player's current name
+  getPlayerAliasMap_().forEach((name, alias) => {
+    if (!names.has(alias)) names.set(alias, name);
+  });
   return names;
 }
 
@@ -638,7 +700,8 @@ function computeOneTimeMission_(mission, scanData, progress) {
     
     // Min formats (different suffixes)
     if (trigger.minFormats) {
-      const suffixes = new Set(history.map(e => e.suffix || 'MAIN').filter(s => s));
+      const suffixes = new Set();
+      history.forEach(e => (e.formats.length > 0 ? e.formats : ['MAIN']).forEach(f => suffixes.add(f)));
       if (suffixes.size >= trigger.minFormats) {
         earned = true;
       }
@@ -659,11 +722,11 @@ function computeOneTimeMission_(mission, scanData, progress) {
  * @private
  */
 function computeFormatMission_(mission, scanData, progress) {
-  const targetSuffixes = mission.trigger.suffixes || [];
+  const targetSuffixes = getMissionTriggerSuffixes_(mission);
   
   scanData.players.forEach(playerId => {
     const history = scanData.playerHistory.get(playerId) || [];
-    const attended = history.some(e => targetSuffixes.includes(e.suffix));
+    const attended = history.some(e => e.formats.some(f => targetSuffixes.includes(f)));
     progress[playerId][mission.id] = attended ? 1 : 0;
   });
 }
@@ -682,9 +745,10 @@ function computeAttendanceMission_(mission, scanData, progress) {
     if (trigger.all) {
       // Count all events
       count = history.length;
-    } else if (trigger.suffixes) {
-      // Count events matching specific suffixes
-      count = history.filter(e => trigger.suffixes.includes(e.suffix)).length;
+    } else {
+      // Count events whose suffix triggers this mission (Suffix_Registry)
+      const suffixes = getMissionTriggerSuffixes_(mission);
+      count = history.filter(e => e.formats.some(f => suffixes.includes(f))).length;
     }
     
     // Apply cap if set
@@ -833,7 +897,7 @@ function writeAttendanceMissions_(ss, progress) {
  * Scan attendance for a date range (required by MissionGateService)
  * @param {Date} startDate - Start of range
  * @param {Date} endDate - End of range
- * @return {Array<Object>} [{playerId, eventId, rank, suffix}, ...]
+ * @return {Array<Object>} [{playerId, eventId, rank, suffix, formats}, ...]
  */
 function scanAttendanceForRange_(startDate, endDate) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -850,6 +914,7 @@ function scanAttendanceForRange_(startDate, endDate) {
         eventId: event.eventId,
         rank: event.placements[playerId] || null,
         suffix: event.suffix,
+        formats: event.formats,
         date: event.date
       });
     });
@@ -912,7 +977,7 @@ function onScanMissions() {
  */
 function isValidSuffix_(code) {
   if (!code || typeof code !== 'string') return false;
-  return /^[A-Z]$/.test(code) && SUFFIX_MAP && SUFFIX_MAP[code];
+  return getSuffixMeta_(code) !== null;
 }
 
 /**
@@ -921,10 +986,8 @@ function isValidSuffix_(code) {
  * @return {Array<string>} Matching suffix codes
  */
 function getFilteredSuffixes_(filter) {
-  if (!SUFFIX_MAP) return [];
-  
-  return Object.keys(SUFFIX_MAP).filter(code => {
-    const meta = SUFFIX_MAP[code];
+  return getAllSuffixCodes_().filter(code => {
+    const meta = getSuffixMeta_(code);
     if (filter.requiresKitPrompt !== undefined) {
       return meta.requiresKitPrompt === filter.requiresKitPrompt;
     }
@@ -295,6 +295,7 @@ function addNewPlayerFallback_(ss, name) {
       const newRow = new Array(headers.length).fill('');
       newRow[prefCol] = name;
       prefSheet.appendRow(newRow);
+      assignNewPlayerIds_();
     }
   }
 
@@ -323,10 +324,8 @@ function addNewPlayerFallback_(ss, name) {
  */
 function getEventSheets_(ss) {
   const sheets = ss.getSheets();
-  // Pattern: MM-DD-YYYY or MM-DDx-YYYY (x = letter suffix like A, B, etc.)
-  const eventPattern = /^\d{2}-\d{2}[A-Z]?-?\d{4}$/i;
-
-  return sheets.filter(sheet => eventPattern.test(sheet.getName()));
+  // Event ID grammar (eventIdGrammar.js): MM-DD[suffix]-YYYY[-N]
+  return sheets.filter(sheet => isEventIdName_(sheet.getName()));
 }
 
 /**
@@ -37,9 +37,14 @@
  * 7. Update Attendance_Missions with computed values
  * 8. Log summary to Integrity_Log
  *
+ * Unchanged event tabs are read from Event_Scan_Cache; pass
+ * {fullRebuild: true} to re-parse every tab.
+ *
  * Menu Trigger: 🎯 Systems > Scan + Update Missions
+ *
+ * @param {Object} [options] - {fullRebuild: true}
  */
-function runOmegaAttendanceScan() {
+function runOmegaAttendanceScan(options) {
   var startTime = new Date();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var ui = SpreadsheetApp.getUi();
@@ -59,7 +64,7 @@ function runOmegaAttendanceScan() {
     }
 
     // Step 3: Scan all event sheets
-    var eventData = scanAllEventSheets(ss);
+    var eventData = scanAllEventSheets(ss, options);
     if (eventData.events.length === 0) {
       ui.alert('No Events Found',
                'No valid event sheets were found. Event sheets must follow the format MM-DD-YYYY or MM-DD-[SUFFIX]-YYYY',
@@ -94,6 +99,7 @@ function runOmegaAttendanceScan() {
              'Events Scanned: ' + eventData.events.length + '\n' +
              'Players Tracked: ' + eventData.players.size + '\n' +
              'Missions Computed: ' + Object.keys(missionDefs).length + '\n' +
+             'Tabs Re-read: ' + formatEventScanChanges(eventData.cacheReport, true) + '\n' +
              'Duration: ' + duration.toFixed(2) + 's\n\n' +
              'Date Range: ' + (eventData.events[0] ? eventData.events[0].date.toLocaleDateString() : 'N/A') +
              ' to ' + (eventData.events[eventData.events.length - 1] ? eventData.events[eventData.events.length - 1].date.toLocaleDateString() : 'N/A'),
@@ -230,6 +236,81 @@ function loadMissionDefinitions(ss) {
   return missions;
 }
 
+// ══════════════════════════════════════════════════════════════════════
+// EVENT SCANNING
+// ══════════════════════════════════════════════════════════════════════
+
+/**
+ * Scan all event sheets into attendance data. Tabs whose content is
+ * unchanged since the last scan come from Event_Scan_Cache
+ * (eventScanCacheService.js); only new or edited tabs are parsed.
+ *
+ * Returns:
+ * {
+ *   events: [{sheetName, date, suffix, format, players, placements}] (chronological),
+ *   players: Set of player names,
+ *   playerEventHistory: Map player → [{event}] (chronological),
+ *   cacheReport: tabs added / modified / removed since the last scan
+ * }
+ *
+ * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Object} [options] - {fullRebuild: true} re-parses every tab
+ */
+function scanAllEventSheets(ss, options) {
+  var cached = scanEventTabsCached('RANKED_ROSTER', options);
+  var events = [];
+  var players = new Set();
+  var playerEventHistory = new Map();
+
+  for (var t = 0; t < cached.tabs.length; t++) {
+    var parsed = parseEventIdParts_(cached.tabs[t].tab);
+    var rows = cached.tabs[t].data;
+    if (!parsed || rows.length === 0) continue;
+
+    var event = {
+      sheetName: cached.tabs[t].tab,
+      date: parsed.date,
+      suffix: parsed.suffix,
+      format: parsed.formats.map(function (code) {
+        var meta = getSuffixMeta_(code);
+        return meta ? meta.name : code;
+      }).join(' / '),
+      players: [],
+      placements: {}
+    };
+
+    // Ranks from the sheet, otherwise list order
+    var ranked = rows.some(function (row) { return row[1] !== null; });
+    for (var r = 0; r < rows.length; r++) {
+      var player = rows[r][0];
+      if (event.players.indexOf(player) !== -1) continue;
+      event.players.push(player);
+      var rank = ranked ? rows[r][1] : event.players.length;
+      if (rank !== null) event.placements[player] = rank;
+    }
+
+    events.push(event);
+  }
+
+  events.sort(function (a, b) { return a.date - b.date; });
+
+  for (var e = 0; e < events.length; e++) {
+    for (var p = 0; p < events[e].players.length; p++) {
+      var name = events[e].players[p];
+      players.add(name);
+      if (!playerEventHistory.has(name)) playerEventHistory.set(name, []);
+      playerEventHistory.get(name).push({ event: events[e] });
+    }
+  }
+
+  return {
+    events: events,
+    players: players,
+    playerEventHistory: playerEventHistory,
+    cacheReport: cached.report
+  };
+}
+
 // ══════════════════════════════════════════════════════════════════════
 // ATTENDANCE CALENDAR BUILDER
 // ══════════════════════════════════════════════════════════════════════
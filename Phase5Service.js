@@ -179,7 +179,8 @@ function isCanonicalName(name) {
 }
 
 /**
- * Gets the canonical spelling for a name (returns exact case from PreferredNames)
+ * Gets the canonical spelling for a name (returns exact case from PreferredNames);
+ * aliases on Player_Aliases resolve to the player's current display name
  * @param {string} name - Name to look up
  * @return {string|null} Canonical name or null if not found
  */
@@ -188,7 +189,7 @@ function getCanonicalName(name) {
   if (!normalized) return null;
   
   const { canonicalMap } = loadCanonicalNames_();
-  return canonicalMap.get(normalized) || null;
+  return canonicalMap.get(normalized) || resolvePlayerAlias_(normalized);
 }
 
 // ============================================================================
@@ -29,8 +29,8 @@
 // ════════════════════════════════════════════════════════════════════════════
 
 const NAME_SERVICE_CONFIG = {
-  // Event sheet pattern (same as MissionScannerService)
-  EVENT_PATTERN: /^(\d{1,2})-(\d{1,2})([A-Za-z])?-(\d{4})$/,
+  // Event sheet pattern: the shared event ID grammar (eventIdGrammar.js)
+  get EVENT_PATTERN() { return EVENT_ID_PATTERN; },
   
   // Player column headers to search (case-insensitive)
   PLAYER_COLUMNS: ['preferredname', 'preferred_name_id', 'player', 'name', 'player name'],
@@ -58,9 +58,11 @@ const NAME_SERVICE_CONFIG = {
 
 /**
  * Run full player name check across all event sheets
+ * @param {Array<Object>} [tabs] - [{tab, data}] already read in chunks
+ *   (eventBatchService.js; data is readEventTabNames_ output)
  * @return {Object} {totalNames, matched, unmatched, suggestions}
  */
-function runPlayerNameCheck() {
+function runPlayerNameCheck(tabs) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   
   console.log('═══════════════════════════════════════════════════════');
@@ -72,7 +74,7 @@ function runPlayerNameCheck() {
   console.log(`Loaded ${preferredNames.length} preferred names`);
   
   // Scan all event sheets
-  const allNames = scanAllEventNames_(ss);
+  const allNames = scanAllEventNames_(ss, tabs);
   console.log(`Found ${allNames.size} unique names across events`);
   
   // Categorize: matched vs unmatched
@@ -121,54 +123,65 @@ function runPlayerNameCheck() {
 /**
  * Scan all event sheets and collect player names with locations
  * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Array<Object>} [tabs] - [{tab, data}] already read; the sheets are read when omitted
  * @return {Map<string, Array>} Map of rawName -> [{sheet, row}, ...]
  * @private
  */
-function scanAllEventNames_(ss) {
-  const sheets = ss.getSheets();
+function scanAllEventNames_(ss, tabs) {
+  const entries = tabs || ss.getSheets()
+    .filter(sheet => NAME_SERVICE_CONFIG.EVENT_PATTERN.test(sheet.getName()))
+    .map(sheet => ({ tab: sheet.getName(), data: readEventTabNames_(sheet) }));
   const nameMap = new Map(); // rawName -> [{sheet, row}, ...]
   
-  sheets.forEach(sheet => {
-    const sheetName = sheet.getName();
-    
-    // Check if event sheet
-    if (!NAME_SERVICE_CONFIG.EVENT_PATTERN.test(sheetName)) return;
-    
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) return;
-    
-    // Find player column
-    const headers = data[0].map(h => String(h).toLowerCase().trim());
-    let playerCol = -1;
-    
-    for (const colName of NAME_SERVICE_CONFIG.PLAYER_COLUMNS) {
-      const idx = headers.indexOf(colName);
-      if (idx !== -1) {
-        playerCol = idx;
-        break;
-      }
-    }
-    
-    if (playerCol === -1) return;
-    
-    // Extract names
-    for (let i = 1; i < data.length; i++) {
-      const rawName = String(data[i][playerCol] || '').trim();
-      if (!rawName) continue;
-      
+  entries.forEach(entry => {
+    entry.data.forEach(([rawName, row]) => {
       if (!nameMap.has(rawName)) {
         nameMap.set(rawName, []);
       }
       nameMap.get(rawName).push({
-        sheet: sheetName,
-        row: i + 1 // 1-indexed for user display
+        sheet: entry.tab,
+        row: row
       });
-    }
+    });
   });
   
   return nameMap;
 }
 
+/**
+ * Player names on one event sheet
+ * @param {Sheet} sheet - Event sheet
+ * @return {Array<Array>} [[rawName, row], ...] (row is 1-indexed for user display)
+ * @private
+ */
+function readEventTabNames_(sheet) {
+  const data = sheet.getDataRange().getValues();
+  if (data.length <= 1) return [];
+  
+  // Find player column
+  const headers = data[0].map(h => String(h).toLowerCase().trim());
+  let playerCol = -1;
+  
+  for (const colName of NAME_SERVICE_CONFIG.PLAYER_COLUMNS) {
+    const idx = headers.indexOf(colName);
+    if (idx !== -1) {
+      playerCol = idx;
+      break;
+    }
+  }
+  
+  if (playerCol === -1) return [];
+  
+  // Extract names
+  const names = [];
+  for (let i = 1; i < data.length; i++) {
+    const rawName = String(data[i][playerCol] || '').trim();
+    if (rawName) names.push([rawName, i + 1]);
+  }
+  
+  return names;
+}
+
 /**
  * Load PreferredNames as array
  * @param {Spreadsheet} ss - Active spreadsheet
@@ -584,6 +597,7 @@ function addToPreferredNames(name) {
   
   // Add new name
   sheet.appendRow([name]);
+  assignNewPlayerIds_();
   
   // Update UndiscoveredNames status
   markNameResolved_(ss, name, name, 'NEW_PLAYER');
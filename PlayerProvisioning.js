@@ -21,16 +21,18 @@
  * Each entry defines: sheetName, keyColumn, and default values for new rows
  */
 const PROVISION_TARGETS = {
+  // BP_Total uses the canonical BP_HEADERS names (bpHeaderResolver.js loads
+  // after this file, so they are spelled out here)
   BP_Total: {
     sheetName: 'BP_Total',
-    keyColumn: 'preferred_name_id',
+    keyColumn: 'PreferredName',
     defaults: {
-      'BP_Historical': 0,
-      'BP_Redeemed': 0,
-      'BP_Current': 0,
-      'Flag_Points': 0,
-      'Attendance_Points': 0,
-      'Dice_Points': 0,
+      'Historical_BP': 0,
+      'Redeemed_Total': 0,
+      'Current_BP': 0,
+      'Flag Mission Points': 0,
+      'Attendance Mission Points': 0,
+      'Dice Roll Points': 0,
       'LastUpdated': function() { return new Date().toISOString(); }
     }
   },
@@ -396,6 +398,7 @@ function addNewPlayer(name) {
       }
       
       sheet.appendRow(newRow);
+      assignNewPlayerIds_();
     }
     
     // Call provisionPlayerProfile()
@@ -473,11 +476,13 @@ function getUnprovisionedPlayers() {
   const preferredNames = getAllPreferredNames();
   const preferredNamesSet = new Set(preferredNames.map(n => n.toLowerCase()));
   
-  // Get all event sheets (pattern: /^\d{2}-\d{2}[A-Za-z]+-\d{4}$/)
+  // Get all suffixed event sheets (event ID grammar, eventIdGrammar.js)
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const allSheets = ss.getSheets();
-  const EVENT_TAB_REGEX = /^\d{2}-\d{2}[A-Za-z]+-\d{4}$/;
-  const eventSheets = allSheets.filter(sheet => EVENT_TAB_REGEX.test(sheet.getName()));
+  const eventSheets = allSheets.filter(sheet => {
+    const parsed = parseEventIdParts_(sheet.getName());
+    return parsed !== null && parsed.suffix !== '';
+  });
   
   const unprovisionedSet = new Set();
   
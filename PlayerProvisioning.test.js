@@ -101,7 +101,7 @@ function testProvisionTargetsConfig_(results) {
   
   // Check structure
   assert_(PROVISION_TARGETS.BP_Total.sheetName === 'BP_Total', 'BP_Total sheetName should be correct', results);
-  assert_(PROVISION_TARGETS.BP_Total.keyColumn === 'preferred_name_id', 'BP_Total keyColumn should be correct', results);
+  assert_(PROVISION_TARGETS.BP_Total.keyColumn === 'PreferredName', 'BP_Total keyColumn should be correct', results);
   assert_(typeof PROVISION_TARGETS.BP_Total.defaults === 'object', 'BP_Total should have defaults', results);
 }
 
@@ -117,14 +117,7 @@ function runUndiscoveredNamesScan() {
   Logger.log('UndiscoveredNames scan complete. New names added: ' + rowsToAppend.length);
 }
 
-/**
- * Event sheet detection: MM-DD-YYYY or MM-DDX-YYYY
- */
-function isEventSheetName_(name) {
-  if (!name) return false;
-  const re = /^\d{2}-\d{2}[A-Z]?-\d{4}$/;
-  return re.test(name);
-}
+// Event sheet detection: isEventSheetName_() in eventService.js (event ID grammar)
 
 /**
  * Normalizes a name to a trimmed string (or '' if empty).
@@ -0,0 +1,1649 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * APPS SCRIPT EMULATOR - OFFLINE WORKBOOK FOR NODE TESTS
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview In-memory stand-ins for SpreadsheetApp, Utilities, Session,
+ * LockService, PropertiesService, CacheService, HtmlService, ScriptApp and
+ * Logger, a DriveApp backed by a temp directory, plus a loader that evaluates
+ * every project .js file into one global scope the way Apps Script does.
+ *
+ * NODE ONLY: this file is skipped by loadAppsScriptProject() and does nothing
+ * when pushed to Apps Script (it only declares classes and functions).
+ *
+ * USAGE (see runServiceTests.js):
+ *   const { installAppsScriptGlobals, loadAppsScriptProject } = require('./appsScriptEmulator.js');
+ *   const env = installAppsScriptGlobals();
+ *   const project = loadAppsScriptProject(__dirname);
+ *   env.reset({ Prize_Catalog: [['Code', 'Name', 'Qty'], ['P1', 'Pack', 3]] });
+ *
+ * FIDELITY NOTES:
+ * - Cell values are stored exactly as written. Sheets' type inference
+ *   (numeric strings → numbers, date strings → Dates) is NOT emulated.
+ * - Formulas are stored but never evaluated; their cells read back as ''.
+ * - Formatting calls (fonts, colors, widths, borders...) are accepted and ignored.
+ * - Unqueued UI dialogs are accepted (OK / YES); queue answers with
+ *   env.ui.queueResponse() to exercise cancel paths.
+ *
+ * Version: 1.0.0
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+// ============================================================================
+// A1 NOTATION HELPERS
+// ============================================================================
+
+/**
+ * Converts a column letter string (A, Z, AA) to a 1-based index
+ * @param {string} letters - Column letters
+ * @return {number} Column index
+ */
+function emuColumnToIndex_(letters) {
+  let index = 0;
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return index;
+}
+
+/**
+ * Converts a 1-based column index to letters
+ * @param {number} index - Column index
+ * @return {string} Column letters
+ */
+function emuIndexToColumn_(index) {
+  let letters = '';
+  while (index > 0) {
+    const rem = (index - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parses an A1 range (without sheet prefix) against a sheet's dimensions
+ * Supports A1, A1:C3, A:A, A2:W (open-ended) and 2:2 (whole rows)
+ * @param {string} a1 - A1 notation
+ * @param {EmuSheet} sheet - Sheet providing max rows/columns
+ * @return {Object} {row, column, numRows, numColumns}
+ */
+function emuParseA1_(a1, sheet) {
+  const match = String(a1).toUpperCase().match(/^\$?([A-Z]+)?\$?(\d+)?(?::\$?([A-Z]+)?\$?(\d+)?)?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error('Range not found: ' + a1);
+  }
+
+  const [, c1, r1, c2, r2] = match;
+  const hasEnd = String(a1).includes(':');
+
+  const startCol = c1 ? emuColumnToIndex_(c1) : 1;
+  const startRow = r1 ? parseInt(r1, 10) : 1;
+
+  let endCol = startCol;
+  let endRow = startRow;
+  if (hasEnd) {
+    endCol = c2 ? emuColumnToIndex_(c2) : sheet.getMaxColumns();
+    endRow = r2 ? parseInt(r2, 10) : sheet.getMaxRows();
+  } else if (!r1) {
+    endRow = sheet.getMaxRows();          // "A" alone = whole column
+  } else if (!c1) {
+    endCol = sheet.getMaxColumns();       // "2" alone = whole row
+  }
+
+  return {
+    row: Math.min(startRow, endRow),
+    column: Math.min(startCol, endCol),
+    numRows: Math.abs(endRow - startRow) + 1,
+    numColumns: Math.abs(endCol - startCol) + 1
+  };
+}
+
+/**
+ * Copies a cell value so callers cannot mutate stored state through it
+ * @param {*} value - Stored value
+ * @return {*} Copy
+ */
+function emuCopyValue_(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value === null || value === undefined) return '';
+  return value;
+}
+
+/**
+ * Returns a chainable object whose listed methods all return itself
+ * Used for formatting calls and builders the emulator does not model.
+ * @param {Array<string>} methods - Method names
+ * @param {Object} target - Object to decorate (default: new object)
+ * @return {Object} Chainable object
+ */
+function emuChainable_(methods, target) {
+  const obj = target || {};
+  methods.forEach(name => {
+    if (!obj[name]) {
+      obj[name] = function() { return this; };
+    }
+  });
+  return obj;
+}
+
+const EMU_FORMAT_METHODS = [
+  'setFontWeight', 'setFontWeights', 'setBackground', 'setBackgrounds', 'setBackgroundRGB',
+  'setFontColor', 'setFontColors', 'setFontSize', 'setFontSizes', 'setFontStyle',
+  'setFontFamily', 'setFontLine', 'setHorizontalAlignment', 'setHorizontalAlignments',
+  'setVerticalAlignment', 'setWrap', 'setWraps', 'setWrapStrategy', 'setBorder',
+  'setNumberFormat', 'setNumberFormats', 'setTextRotation', 'setTextStyle',
+  'setDataValidation', 'setDataValidations', 'clearDataValidations', 'clearFormat',
+  'merge', 'mergeAcross', 'mergeVertically', 'breakApart', 'applyRowBanding',
+  'setShowHyperlink', 'activate', 'autoResizeColumns'
+];
+
+const EMU_SHEET_FORMAT_METHODS = [
+  'setColumnWidth', 'setColumnWidths', 'setRowHeight', 'setRowHeights',
+  'autoResizeColumn', 'autoResizeColumns', 'autoResizeRows', 'setTabColor',
+  'hideColumns', 'showColumns', 'hideRows', 'showRows', 'clearFormats',
+  'setHiddenGridlines', 'setRightToLeft'
+];
+
+// ============================================================================
+// DEVELOPER METADATA & PROTECTION
+// ============================================================================
+
+class EmuDeveloperMetadata {
+  constructor(id, key, value, visibility, owner, location) {
+    this.id_ = id;
+    this.key_ = key;
+    this.value_ = value === undefined ? null : value;
+    this.visibility_ = visibility || 'DOCUMENT';
+    this.owner_ = owner;
+    this.location_ = location;
+  }
+  getId() { return this.id_; }
+  getKey() { return this.key_; }
+  getValue() { return this.value_; }
+  getVisibility() { return this.visibility_; }
+  getLocation() { return this.location_; }
+  setKey(key) { this.key_ = key; return this; }
+  setValue(value) { this.value_ = value; return this; }
+  setVisibility(visibility) { this.visibility_ = visibility; return this; }
+  remove() {
+    const idx = this.owner_.indexOf(this);
+    if (idx !== -1) this.owner_.splice(idx, 1);
+  }
+}
+
+class EmuDeveloperMetadataFinder {
+  constructor(sources) {
+    this.sources_ = sources;
+    this.filters_ = [];
+  }
+  withKey(key) { this.filters_.push(m => m.getKey() === key); return this; }
+  withValue(value) { this.filters_.push(m => m.getValue() === value); return this; }
+  withId(id) { this.filters_.push(m => m.getId() === id); return this; }
+  withVisibility(visibility) { this.filters_.push(m => m.getVisibility() === visibility); return this; }
+  find() {
+    const all = [].concat(...this.sources_.map(fn => fn()));
+    return all.filter(m => this.filters_.every(f => f(m)));
+  }
+}
+
+class EmuProtection {
+  constructor(owner, range) {
+    this.owner_ = owner;
+    this.range_ = range;
+    this.description_ = '';
+    this.warningOnly_ = false;
+  }
+  getRange() { return this.range_; }
+  getDescription() { return this.description_; }
+  setDescription(text) { this.description_ = text; return this; }
+  isWarningOnly() { return this.warningOnly_; }
+  setWarningOnly(flag) { this.warningOnly_ = Boolean(flag); return this; }
+  addEditor() { return this; }
+  addEditors() { return this; }
+  removeEditor() { return this; }
+  removeEditors() { return this; }
+  getEditors() { return []; }
+  setUnprotectedRanges() { return this; }
+  setDomainEdit() { return this; }
+  canEdit() { return true; }
+  remove() {
+    const idx = this.owner_.indexOf(this);
+    if (idx !== -1) this.owner_.splice(idx, 1);
+  }
+}
+
+// ============================================================================
+// RANGE
+// ============================================================================
+
+class EmuRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    }
+    this.sheet_ = sheet;
+    this.row_ = row;
+    this.column_ = column;
+    this.numRows_ = numRows;
+    this.numColumns_ = numColumns;
+  }
+
+  getSheet() { return this.sheet_; }
+  getRow() { return this.row_; }
+  getRowIndex() { return this.row_; }
+  getColumn() { return this.column_; }
+  getNumRows() { return this.numRows_; }
+  getNumColumns() { return this.numColumns_; }
+  getLastRow() { return this.row_ + this.numRows_ - 1; }
+  getLastColumn() { return this.column_ + this.numColumns_ - 1; }
+  getHeight() { return this.numRows_; }
+  getWidth() { return this.numColumns_; }
+
+  getA1Notation() {
+    const start = emuIndexToColumn_(this.column_) + this.row_;
+    if (this.numRows_ === 1 && this.numColumns_ === 1) return start;
+    return start + ':' + emuIndexToColumn_(this.getLastColumn()) + this.getLastRow();
+  }
+
+  getCell(row, column) {
+    return new EmuRange(this.sheet_, this.row_ + row - 1, this.column_ + column - 1, 1, 1);
+  }
+
+  offset(rowOffset, columnOffset, numRows, numColumns) {
+    return new EmuRange(
+      this.sheet_,
+      this.row_ + rowOffset,
+      this.column_ + columnOffset,
+      numRows || this.numRows_,
+      numColumns || this.numColumns_
+    );
+  }
+
+  // ── values ──
+
+  getValues() {
+    return this.map_(cell => emuCopyValue_(cell ? cell.value : ''));
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(v => (v === '' ? '' : String(v))));
+  }
+
+  getDisplayValue() {
+    return this.getDisplayValues()[0][0];
+  }
+
+  setValues(values) {
+    this.assertShape_(values);
+    this.sheet_.ensureSize_(this.getLastRow(), this.getLastColumn());
+    values.forEach((rowValues, r) => {
+      rowValues.forEach((value, c) => {
+        this.sheet_.writeCell_(this.row_ + r, this.column_ + c, { value: emuCopyValue_(value) });
+      });
+    });
+    return this;
+  }
+
+  setValue(value) {
+    const grid = [];
+    for (let r = 0; r < this.numRows_; r++) {
+      grid.push(new Array(this.numColumns_).fill(value));
+    }
+    return this.setValues(grid);
+  }
+
+  isBlank() {
+    return this.getValues().every(row => row.every(v => v === ''));
+  }
+
+  // ── formulas ──
+
+  getFormulas() {
+    return this.map_(cell => (cell && cell.formula) || '');
+  }
+
+  getFormula() {
+    return this.getFormulas()[0][0];
+  }
+
+  setFormulas(formulas) {
+    this.assertShape_(formulas);
+    this.sheet_.ensureSize_(this.getLastRow(), this.getLastColumn());
+    formulas.forEach((rowFormulas, r) => {
+      rowFormulas.forEach((formula, c) => {
+        this.sheet_.writeCell_(this.row_ + r, this.column_ + c, { value: '', formula: String(formula) });
+      });
+    });
+    return this;
+  }
+
+  setFormula(formula) {
+    const grid = [];
+    for (let r = 0; r < this.numRows_; r++) {
+      grid.push(new Array(this.numColumns_).fill(formula));
+    }
+    return this.setFormulas(grid);
+  }
+
+  // ── notes ──
+
+  getNotes() {
+    return this.map_(cell => (cell && cell.note) || '');
+  }
+
+  getNote() {
+    return this.getNotes()[0][0];
+  }
+
+  setNote(note) {
+    this.sheet_.ensureSize_(this.getLastRow(), this.getLastColumn());
+    this.forEachCoord_((r, c) => this.sheet_.patchCell_(r, c, { note: note === null ? '' : String(note) }));
+    return this;
+  }
+
+  setNotes(notes) {
+    this.assertShape_(notes);
+    notes.forEach((rowNotes, r) => {
+      rowNotes.forEach((note, c) => {
+        this.sheet_.patchCell_(this.row_ + r, this.column_ + c, { note: String(note || '') });
+      });
+    });
+    return this;
+  }
+
+  // ── number formats (stored only; values are never re-rendered) ──
+
+  getNumberFormats() {
+    return this.map_(cell => (cell && cell.numberFormat) || '');
+  }
+
+  getNumberFormat() {
+    return this.getNumberFormats()[0][0];
+  }
+
+  setNumberFormat(format) {
+    this.forEachCoord_((r, c) => this.sheet_.patchCell_(r, c, { numberFormat: String(format) }));
+    return this;
+  }
+
+  setNumberFormats(formats) {
+    this.assertShape_(formats);
+    formats.forEach((rowFormats, r) => {
+      rowFormats.forEach((format, c) => {
+        this.sheet_.patchCell_(this.row_ + r, this.column_ + c, { numberFormat: String(format) });
+      });
+    });
+    return this;
+  }
+
+  // ── clearing ──
+
+  clear() {
+    this.forEachCoord_((r, c) => this.sheet_.writeCell_(r, c, null));
+    return this;
+  }
+
+  clearContent() {
+    this.forEachCoord_((r, c) => this.sheet_.patchCell_(r, c, { value: '', formula: '' }));
+    return this;
+  }
+
+  clearNote() {
+    this.forEachCoord_((r, c) => this.sheet_.patchCell_(r, c, { note: '' }));
+    return this;
+  }
+
+  insertCheckboxes() {
+    this.forEachCoord_((r, c) => {
+      const cell = this.sheet_.readCell_(r, c);
+      if (!cell || cell.value === '') this.sheet_.patchCell_(r, c, { value: false });
+    });
+    return this;
+  }
+
+  // ── structure ──
+
+  sort(spec) {
+    const specs = (Array.isArray(spec) ? spec : [spec]).map(s =>
+      typeof s === 'number' ? { column: s, ascending: true } : { column: s.column, ascending: s.ascending !== false }
+    );
+    const rows = this.getValues();
+    rows.sort((a, b) => {
+      for (const s of specs) {
+        const idx = s.column - this.column_;
+        const av = a[idx];
+        const bv = b[idx];
+        if (av === bv) continue;
+        const cmp = av < bv ? -1 : 1;
+        return s.ascending ? cmp : -cmp;
+      }
+      return 0;
+    });
+    this.setValues(rows);
+    return this;
+  }
+
+  protect() {
+    const protection = new EmuProtection(this.sheet_.protections_, this);
+    this.sheet_.protections_.push(protection);
+    return protection;
+  }
+
+  addDeveloperMetadata(key, value, visibility) {
+    this.sheet_.addDeveloperMetadata(key, value, visibility);
+    return this;
+  }
+
+  // ── internals ──
+
+  map_(fn) {
+    const out = [];
+    for (let r = 0; r < this.numRows_; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns_; c++) {
+        row.push(fn(this.sheet_.readCell_(this.row_ + r, this.column_ + c)));
+      }
+      out.push(row);
+    }
+    return out;
+  }
+
+  forEachCoord_(fn) {
+    for (let r = 0; r < this.numRows_; r++) {
+      for (let c = 0; c < this.numColumns_; c++) {
+        fn(this.row_ + r, this.column_ + c);
+      }
+    }
+  }
+
+  assertShape_(grid) {
+    if (!Array.isArray(grid) || grid.length !== this.numRows_) {
+      throw new Error('The number of rows in the data does not match the number of rows in the range. ' +
+        'The data has ' + (Array.isArray(grid) ? grid.length : 0) + ' but the range has ' + this.numRows_ + '.');
+    }
+    grid.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this.numColumns_) {
+        throw new Error('The number of columns in the data does not match the number of columns in the range. ' +
+          'The data has ' + (Array.isArray(row) ? row.length : 0) + ' but the range has ' + this.numColumns_ + '.');
+      }
+    });
+  }
+}
+emuChainable_(EMU_FORMAT_METHODS, EmuRange.prototype);
+
+class EmuRangeList {
+  constructor(ranges) {
+    this.ranges_ = ranges;
+  }
+  getRanges() { return this.ranges_.slice(); }
+  setValue(value) { this.ranges_.forEach(r => r.setValue(value)); return this; }
+  setFormula(formula) { this.ranges_.forEach(r => r.setFormula(formula)); return this; }
+  clear() { this.ranges_.forEach(r => r.clear()); return this; }
+  clearContent() { this.ranges_.forEach(r => r.clearContent()); return this; }
+}
+emuChainable_(EMU_FORMAT_METHODS, EmuRangeList.prototype);
+
+// ============================================================================
+// SHEET
+// ============================================================================
+
+class EmuSheet {
+  constructor(spreadsheet, name, sheetId) {
+    this.parent_ = spreadsheet;
+    this.name_ = name;
+    this.sheetId_ = sheetId;
+    this.rows_ = [];
+    this.maxRows_ = 1000;
+    this.maxColumns_ = 26;
+    this.hidden_ = false;
+    this.frozenRows_ = 0;
+    this.frozenColumns_ = 0;
+    this.metadata_ = [];
+    this.protections_ = [];
+    this.conditionalRules_ = [];
+    this.charts_ = [];
+  }
+
+  getName() { return this.name_; }
+  getSheetName() { return this.name_; }
+  getSheetId() { return this.sheetId_; }
+  getParent() { return this.parent_; }
+  getIndex() { return this.parent_.sheets_.indexOf(this) + 1; }
+  getMaxRows() { return this.maxRows_; }
+  getMaxColumns() { return this.maxColumns_; }
+  isSheetHidden() { return this.hidden_; }
+  getFrozenRows() { return this.frozenRows_; }
+  getFrozenColumns() { return this.frozenColumns_; }
+
+  setName(name) {
+    const clash = this.parent_.getSheetByName(name);
+    if (clash && clash !== this) {
+      throw new Error('A sheet with the name "' + name + '" already exists. Please enter another name.');
+    }
+    this.name_ = name;
+    return this;
+  }
+
+  hideSheet() { this.hidden_ = true; return this; }
+  showSheet() { this.hidden_ = false; return this; }
+  setFrozenRows(n) { this.frozenRows_ = n; return this; }
+  setFrozenColumns(n) { this.frozenColumns_ = n; return this; }
+
+  activate() {
+    this.parent_.active_ = this;
+    return this;
+  }
+
+  // ── ranges ──
+
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const parsed = emuParseA1_(rowOrA1, this);
+      return new EmuRange(this, parsed.row, parsed.column, parsed.numRows, parsed.numColumns);
+    }
+    return new EmuRange(this, rowOrA1, column, numRows || 1, numColumns || 1);
+  }
+
+  getRangeList(a1Notations) {
+    return new EmuRangeList(a1Notations.map(a1 => this.getRange(a1)));
+  }
+
+  getDataRange() {
+    return new EmuRange(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  getLastRow() {
+    for (let r = this.rows_.length; r >= 1; r--) {
+      const row = this.rows_[r - 1];
+      if (row && row.some(cell => EmuSheet.hasContent_(cell))) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows_.forEach(row => {
+      if (!row) return;
+      for (let c = row.length; c > last; c--) {
+        if (EmuSheet.hasContent_(row[c - 1])) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    this.ensureSize_(row, values.length);
+    this.getRange(row, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  clear() {
+    this.rows_ = [];
+    return this;
+  }
+
+  clearContents() {
+    this.rows_.forEach(row => {
+      if (!row) return;
+      row.forEach(cell => {
+        if (cell) {
+          cell.value = '';
+          cell.formula = '';
+        }
+      });
+    });
+    return this;
+  }
+
+  clearNotes() {
+    this.rows_.forEach(row => row && row.forEach(cell => { if (cell) cell.note = ''; }));
+    return this;
+  }
+
+  // ── rows & columns ──
+
+  insertRowsBefore(beforePosition, howMany) {
+    const blanks = new Array(howMany).fill(undefined);
+    this.rows_.splice(beforePosition - 1, 0, ...blanks);
+    this.maxRows_ += howMany;
+    return this;
+  }
+
+  insertRowsAfter(afterPosition, howMany) {
+    return this.insertRowsBefore(afterPosition + 1, howMany);
+  }
+
+  insertRowBefore(beforePosition) { return this.insertRowsBefore(beforePosition, 1); }
+  insertRowAfter(afterPosition) { return this.insertRowsAfter(afterPosition, 1); }
+
+  deleteRows(rowPosition, howMany) {
+    if (rowPosition < 1 || rowPosition + howMany - 1 > this.maxRows_) {
+      throw new Error('Those rows are out of bounds.');
+    }
+    this.rows_.splice(rowPosition - 1, howMany);
+    this.maxRows_ -= howMany;
+  }
+
+  deleteRow(rowPosition) {
+    this.deleteRows(rowPosition, 1);
+    return this;
+  }
+
+  insertColumnsBefore(beforePosition, howMany) {
+    this.rows_.forEach(row => {
+      if (row && row.length >= beforePosition) {
+        row.splice(beforePosition - 1, 0, ...new Array(howMany).fill(undefined));
+      }
+    });
+    this.maxColumns_ += howMany;
+    return this;
+  }
+
+  insertColumnsAfter(afterPosition, howMany) {
+    return this.insertColumnsBefore(afterPosition + 1, howMany);
+  }
+
+  insertColumnBefore(beforePosition) { return this.insertColumnsBefore(beforePosition, 1); }
+  insertColumnAfter(afterPosition) { return this.insertColumnsAfter(afterPosition, 1); }
+
+  deleteColumns(columnPosition, howMany) {
+    this.rows_.forEach(row => row && row.splice(columnPosition - 1, howMany));
+    this.maxColumns_ -= howMany;
+  }
+
+  deleteColumn(columnPosition) {
+    this.deleteColumns(columnPosition, 1);
+    return this;
+  }
+
+  sort(columnPosition, ascending) {
+    const lastRow = this.getLastRow();
+    const lastCol = this.getLastColumn();
+    if (lastRow < 2 || lastCol < 1) return this;
+    const start = this.frozenRows_ + 1;
+    this.getRange(start, 1, lastRow - start + 1, lastCol)
+      .sort({ column: columnPosition, ascending: ascending !== false });
+    return this;
+  }
+
+  // ── metadata, protection, extras ──
+
+  addDeveloperMetadata(key, value, visibility) {
+    const md = new EmuDeveloperMetadata(
+      this.parent_.nextMetadataId_(), key, value, visibility, this.metadata_,
+      { getLocationType: () => 'SHEET', getSheet: () => this, getSpreadsheet: () => null }
+    );
+    this.metadata_.push(md);
+    return this;
+  }
+
+  getDeveloperMetadata() {
+    return this.metadata_.slice();
+  }
+
+  createDeveloperMetadataFinder() {
+    return new EmuDeveloperMetadataFinder([() => this.metadata_]);
+  }
+
+  protect() {
+    const protection = new EmuProtection(this.protections_, null);
+    this.protections_.push(protection);
+    return protection;
+  }
+
+  getProtections() {
+    return this.protections_.slice();
+  }
+
+  getConditionalFormatRules() { return this.conditionalRules_.slice(); }
+  setConditionalFormatRules(rules) { this.conditionalRules_ = rules.slice(); return this; }
+  clearConditionalFormatRules() { this.conditionalRules_ = []; return this; }
+
+  newChart() {
+    return emuChainable_(['addRange', 'setChartType', 'setPosition', 'setOption',
+      'setNumHeaders', 'setTransposeRowsAndColumns', 'asColumnChart', 'asLineChart', 'asPieChart'], {
+      build: () => ({ chart: true })
+    });
+  }
+  insertChart(chart) { this.charts_.push(chart); return this; }
+  getCharts() { return this.charts_.slice(); }
+  removeChart(chart) { this.charts_ = this.charts_.filter(c => c !== chart); return this; }
+
+  copyTo(spreadsheet) {
+    const target = spreadsheet || this.parent_;
+    const copy = target.insertSheet('Copy of ' + this.name_);
+    copy.rows_ = this.rows_.map(row => row && row.map(cell => cell && Object.assign({}, cell, { value: emuCopyValue_(cell.value) })));
+    copy.maxRows_ = this.maxRows_;
+    copy.maxColumns_ = this.maxColumns_;
+    return copy;
+  }
+
+  // ── cell storage (internal) ──
+
+  static hasContent_(cell) {
+    return Boolean(cell) && ((cell.value !== '' && cell.value !== null && cell.value !== undefined) || Boolean(cell.formula));
+  }
+
+  ensureSize_(rows, columns) {
+    if (rows > this.maxRows_) this.maxRows_ = rows;
+    if (columns > this.maxColumns_) this.maxColumns_ = columns;
+  }
+
+  readCell_(row, column) {
+    const r = this.rows_[row - 1];
+    return r ? r[column - 1] : undefined;
+  }
+
+  writeCell_(row, column, cell) {
+    if (!this.rows_[row - 1]) this.rows_[row - 1] = [];
+    if (cell === null) {
+      this.rows_[row - 1][column - 1] = undefined;
+      return;
+    }
+    const existing = this.rows_[row - 1][column - 1];
+    this.rows_[row - 1][column - 1] = {
+      value: cell.value === undefined ? '' : cell.value,
+      formula: cell.formula || '',
+      note: existing ? existing.note : '',
+      numberFormat: existing ? existing.numberFormat : ''
+    };
+  }
+
+  patchCell_(row, column, patch) {
+    const existing = this.readCell_(row, column) || { value: '', formula: '', note: '', numberFormat: '' };
+    if (!this.rows_[row - 1]) this.rows_[row - 1] = [];
+    this.rows_[row - 1][column - 1] = Object.assign({}, existing, patch);
+  }
+}
+emuChainable_(EMU_SHEET_FORMAT_METHODS, EmuSheet.prototype);
+
+// ============================================================================
+// SPREADSHEET
+// ============================================================================
+
+class EmuSpreadsheet {
+  constructor(env, name) {
+    this.env_ = env;
+    this.name_ = name || 'Emulated Workbook';
+    this.sheets_ = [];
+    this.namedRanges_ = new Map();
+    this.metadata_ = [];
+    this.active_ = null;
+    this.nextSheetId_ = 1;
+    this.metadataSeq_ = 1;
+    this.timeZone_ = env.timeZone;
+  }
+
+  getId() { return 'emulated-spreadsheet'; }
+  getName() { return this.name_; }
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/emulated-spreadsheet/edit'; }
+  getSpreadsheetTimeZone() { return this.timeZone_; }
+  setSpreadsheetTimeZone(tz) { this.timeZone_ = tz; return this; }
+  getSheets() { return this.sheets_.slice(); }
+  getNumSheets() { return this.sheets_.length; }
+
+  getSheetByName(name) {
+    return this.sheets_.find(s => s.getName() === name) || null;
+  }
+
+  getSheetById(id) {
+    return this.sheets_.find(s => s.getSheetId() === id) || null;
+  }
+
+  insertSheet(nameOrIndex, index) {
+    let name = nameOrIndex;
+    let position = index;
+    if (typeof nameOrIndex === 'number') {
+      position = nameOrIndex;
+      name = undefined;
+    }
+    if (!name) name = 'Sheet' + (this.sheets_.length + 1);
+    if (this.getSheetByName(name)) {
+      throw new Error('A sheet with the name "' + name + '" already exists. Please enter another name.');
+    }
+    const sheet = new EmuSheet(this, name, this.nextSheetId_++);
+    if (typeof position === 'number') {
+      this.sheets_.splice(position, 0, sheet);
+    } else {
+      this.sheets_.push(sheet);
+    }
+    this.active_ = sheet;
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    const idx = this.sheets_.indexOf(sheet);
+    if (idx === -1) throw new Error('Sheet not found.');
+    this.sheets_.splice(idx, 1);
+    if (this.active_ === sheet) this.active_ = this.sheets_[0] || null;
+  }
+
+  getActiveSheet() {
+    if (!this.active_) this.active_ = this.sheets_[0] || this.insertSheet('Sheet1');
+    return this.active_;
+  }
+
+  setActiveSheet(sheet) {
+    this.active_ = sheet;
+    return sheet;
+  }
+
+  moveActiveSheet(position) {
+    const sheet = this.getActiveSheet();
+    this.sheets_.splice(this.sheets_.indexOf(sheet), 1);
+    this.sheets_.splice(position - 1, 0, sheet);
+  }
+
+  getRange(a1) {
+    const bang = String(a1).lastIndexOf('!');
+    if (bang === -1) return this.getActiveSheet().getRange(a1);
+    const sheetName = a1.substring(0, bang).replace(/^'|'$/g, '');
+    const sheet = this.getSheetByName(sheetName);
+    if (!sheet) throw new Error('Range not found: ' + a1);
+    return sheet.getRange(a1.substring(bang + 1));
+  }
+
+  toast(message, title, timeoutSeconds) {
+    this.env_.toasts.push({ message: String(message), title: title || '', timeoutSeconds });
+  }
+
+  // ── named ranges ──
+
+  setNamedRange(name, range) {
+    this.namedRanges_.set(name, range);
+  }
+
+  getRangeByName(name) {
+    return this.namedRanges_.get(name) || null;
+  }
+
+  removeNamedRange(name) {
+    this.namedRanges_.delete(name);
+  }
+
+  getNamedRanges() {
+    return Array.from(this.namedRanges_.entries()).map(([name, range]) => ({
+      getName: () => name,
+      getRange: () => range,
+      setRange: (r) => this.namedRanges_.set(name, r),
+      remove: () => this.namedRanges_.delete(name)
+    }));
+  }
+
+  // ── developer metadata ──
+
+  nextMetadataId_() {
+    return this.metadataSeq_++;
+  }
+
+  addDeveloperMetadata(key, value, visibility) {
+    const md = new EmuDeveloperMetadata(
+      this.nextMetadataId_(), key, value, visibility, this.metadata_,
+      { getLocationType: () => 'SPREADSHEET', getSheet: () => null, getSpreadsheet: () => this }
+    );
+    this.metadata_.push(md);
+    return this;
+  }
+
+  getDeveloperMetadata() {
+    return this.metadata_.slice();
+  }
+
+  createDeveloperMetadataFinder() {
+    return new EmuDeveloperMetadataFinder([
+      () => this.metadata_,
+      ...this.sheets_.map(s => () => s.metadata_)
+    ]);
+  }
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+class EmuUi {
+  constructor() {
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.log = [];
+    this.responses_ = [];
+  }
+
+  /**
+   * Queues the answer for the next alert/prompt
+   * @param {string} button - One of ui.Button values
+   * @param {string} text - Prompt response text (prompts only)
+   */
+  queueResponse(button, text) {
+    this.responses_.push({ button, text: text || '' });
+  }
+
+  nextResponse_(buttons) {
+    if (this.responses_.length > 0) return this.responses_.shift();
+    const accept = (buttons === 'YES_NO' || buttons === 'YES_NO_CANCEL') ? 'YES' : 'OK';
+    return { button: accept, text: '' };
+  }
+
+  alert(a, b, c) {
+    let title = '';
+    let message = a;
+    let buttons = 'OK';
+    if (c !== undefined) {
+      title = a; message = b; buttons = c;
+    } else if (b !== undefined) {
+      if (this.ButtonSet[b]) buttons = b;
+      else { title = a; message = b; }
+    }
+    const response = this.nextResponse_(buttons);
+    this.log.push({ type: 'alert', title, message: String(message), buttons, response: response.button });
+    return response.button;
+  }
+
+  prompt(a, b, c) {
+    let title = '';
+    let message = a;
+    let buttons = 'OK';
+    if (c !== undefined) {
+      title = a; message = b; buttons = c;
+    } else if (b !== undefined) {
+      if (this.ButtonSet[b]) buttons = b;
+      else { title = a; message = b; }
+    }
+    const response = this.nextResponse_(buttons);
+    this.log.push({ type: 'prompt', title, message: String(message), buttons, response: response.button });
+    return {
+      getSelectedButton: () => response.button,
+      getResponseText: () => response.text
+    };
+  }
+
+  createMenu(caption) {
+    const ui = this;
+    const menu = {
+      caption,
+      items: [],
+      addItem(label, fn) { menu.items.push({ label, fn }); return menu; },
+      addSeparator() { menu.items.push({ separator: true }); return menu; },
+      addSubMenu(sub) { menu.items.push({ submenu: sub }); return menu; },
+      addToUi() { ui.log.push({ type: 'menu', caption, items: menu.items }); }
+    };
+    return menu;
+  }
+
+  createAddonMenu() {
+    return this.createMenu('Add-on');
+  }
+
+  showModalDialog(html, title) { this.log.push({ type: 'modal', title, html }); }
+  showModelessDialog(html, title) { this.log.push({ type: 'modeless', title, html }); }
+  showSidebar(html) { this.log.push({ type: 'sidebar', html }); }
+}
+
+// ============================================================================
+// SERVICES
+// ============================================================================
+
+/**
+ * Key/value store matching the Properties interface
+ * @return {Object} Properties object
+ */
+function emuCreateProperties_() {
+  const store = new Map();
+  const props = {
+    getProperty: (key) => (store.has(key) ? store.get(key) : null),
+    setProperty: (key, value) => { store.set(key, String(value)); return props; },
+    deleteProperty: (key) => { store.delete(key); return props; },
+    getProperties: () => Object.fromEntries(store),
+    setProperties: (obj, deleteAllOthers) => {
+      if (deleteAllOthers) store.clear();
+      Object.keys(obj).forEach(k => store.set(k, String(obj[k])));
+      return props;
+    },
+    deleteAllProperties: () => { store.clear(); return props; },
+    getKeys: () => Array.from(store.keys())
+  };
+  return props;
+}
+
+/**
+ * Cache matching the Cache interface (expiry is not enforced)
+ * @return {Object} Cache object
+ */
+function emuCreateCache_() {
+  const store = new Map();
+  return {
+    get: (key) => (store.has(key) ? store.get(key) : null),
+    getAll: (keys) => Object.fromEntries(keys.filter(k => store.has(k)).map(k => [k, store.get(k)])),
+    put: (key, value) => { store.set(key, String(value)); },
+    putAll: (values) => Object.keys(values).forEach(k => store.set(k, String(values[k]))),
+    remove: (key) => { store.delete(key); },
+    removeAll: (keys) => keys.forEach(k => store.delete(k))
+  };
+}
+
+/**
+ * Lock matching the Lock interface. Locks in the same scope contend with each
+ * other; env.holdLock(scope) simulates another execution holding it.
+ * @param {Object} env - Emulator environment
+ * @param {string} scope - 'script' | 'document' | 'user'
+ * @return {Object} Lock
+ */
+function emuCreateLock_(env, scope) {
+  const lock = {
+    tryLock: () => {
+      const holder = env.locks[scope];
+      if (holder && holder !== lock) return false;
+      env.locks[scope] = lock;
+      return true;
+    },
+    waitLock: (timeoutMs) => {
+      if (!lock.tryLock(timeoutMs)) {
+        throw new Error('Lock timeout: another process was holding the lock for too long.');
+      }
+    },
+    releaseLock: () => {
+      if (env.locks[scope] === lock) env.locks[scope] = null;
+    },
+    hasLock: () => env.locks[scope] === lock
+  };
+  return lock;
+}
+
+/**
+ * Formats a date with a Java SimpleDateFormat pattern in a time zone
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA zone (e.g., America/Chicago)
+ * @param {string} pattern - SimpleDateFormat pattern
+ * @return {string} Formatted date
+ */
+function emuFormatDate_(date, timeZone, pattern) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid argument: date');
+  }
+
+  const zone = timeZone === 'GMT' || timeZone === 'UTC' || !timeZone ? 'UTC' : timeZone;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'long', timeZoneName: 'short'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+  const hour = parseInt(parts.hour, 10) % 24;
+  const minute = parseInt(parts.minute, 10);
+  const second = parseInt(parts.second, 10);
+  const millis = date.getUTCMilliseconds();
+  const offsetMin = Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - (date.getTime() - millis)) / 60000);
+
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+  const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  const pad = (n, len) => String(n).padStart(len, '0');
+  const sign = offsetMin < 0 ? '-' : '+';
+  const absOff = Math.abs(offsetMin);
+  const offH = pad(Math.floor(absOff / 60), 2);
+  const offM = pad(absOff % 60, 2);
+
+  const token = (ch, len) => {
+    switch (ch) {
+      case 'y': return len === 2 ? pad(year % 100, 2) : pad(year, len);
+      case 'M':
+        if (len >= 4) return MONTHS[month - 1];
+        if (len === 3) return MONTHS[month - 1].substring(0, 3);
+        return pad(month, len);
+      case 'd': return pad(day, len);
+      case 'H': return pad(hour, len);
+      case 'h': return pad(hour % 12 === 0 ? 12 : hour % 12, len);
+      case 'm': return pad(minute, len);
+      case 's': return pad(second, len);
+      case 'S': return pad(millis, 3).substring(0, Math.max(len, 3));
+      case 'a': return hour < 12 ? 'AM' : 'PM';
+      case 'E': return len >= 4 ? parts.weekday : parts.weekday.substring(0, 3);
+      case 'u': return String(DAYS.indexOf(parts.weekday) + 1);
+      case 'Z': return sign + offH + offM;
+      case 'X':
+        if (offsetMin === 0) return 'Z';
+        return len === 1 ? sign + offH : (len === 2 ? sign + offH + offM : sign + offH + ':' + offM);
+      case 'z': return parts.timeZoneName || zone;
+      default: return ch.repeat(len);
+    }
+  };
+
+  let out = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+    if (ch === "'") {
+      if (pattern[i + 1] === "'") { out += "'"; i += 2; continue; }
+      const end = pattern.indexOf("'", i + 1);
+      out += pattern.substring(i + 1, end === -1 ? pattern.length : end);
+      i = end === -1 ? pattern.length : end + 1;
+      continue;
+    }
+    if (/[A-Za-z]/.test(ch)) {
+      let len = 1;
+      while (pattern[i + len] === ch) len++;
+      out += token(ch, len);
+      i += len;
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Builds the Utilities service
+ * @param {Object} env - Emulator environment
+ * @return {Object} Utilities
+ */
+function emuCreateUtilities_(env) {
+  const crypto = require('crypto');
+  const algorithms = { MD2: 'md5', MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' };
+  const toSigned = (buf) => Array.from(buf).map(b => (b > 127 ? b - 256 : b));
+  const toBuffer = (input) => (Array.isArray(input)
+    ? Buffer.from(input.map(b => (b < 0 ? b + 256 : b)))
+    : Buffer.from(String(input), 'utf8'));
+
+  const newBlob = (data, contentType, name) => {
+    let bytes = toBuffer(data);
+    let blobName = name || null;
+    const blob = {
+      getBytes: () => toSigned(bytes),
+      getDataAsString: () => bytes.toString('utf8'),
+      getContentType: () => contentType || 'text/plain',
+      getName: () => blobName,
+      setName: (n) => { blobName = n; return blob; },
+      setDataFromString: (s) => { bytes = Buffer.from(String(s), 'utf8'); return blob; },
+      copyBlob: () => newBlob(Array.from(bytes), contentType, blobName)
+    };
+    return blob;
+  };
+
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(algorithms).map(k => [k, k])),
+    Charset: { UTF_8: 'UTF_8', US_ASCII: 'US_ASCII' },
+    computeDigest: (algorithm, value) => {
+      const hash = crypto.createHash(algorithms[algorithm] || 'sha256');
+      hash.update(toBuffer(value));
+      return toSigned(hash.digest());
+    },
+    computeHmacSha256Signature: (value, key) => {
+      return toSigned(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest());
+    },
+    getUuid: () => (env.uuidFactory ? env.uuidFactory() : crypto.randomUUID()),
+    formatDate: (date, timeZone, pattern) => emuFormatDate_(date, timeZone, pattern),
+    sleep: (ms) => { env.sleptMs += ms; },
+    base64Encode: (data) => toBuffer(data).toString('base64'),
+    base64Decode: (str) => toSigned(Buffer.from(String(str), 'base64')),
+    base64EncodeWebSafe: (data) => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    newBlob: newBlob,
+    jsonStringify: (obj) => JSON.stringify(obj),
+    jsonParse: (str) => JSON.parse(str),
+    parseCsv: (csv, delimiter) => {
+      const sep = delimiter || ',';
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+      for (let i = 0; i < csv.length; i++) {
+        const ch = csv[i];
+        if (inQuotes) {
+          if (ch === '"' && csv[i + 1] === '"') { field += '"'; i++; }
+          else if (ch === '"') inQuotes = false;
+          else field += ch;
+        } else if (ch === '"') inQuotes = true;
+        else if (ch === sep) { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+          if (ch === '\r' && csv[i + 1] === '\n') i++;
+          row.push(field); rows.push(row); row = []; field = '';
+        } else field += ch;
+      }
+      if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+      return rows;
+    }
+  };
+}
+
+/**
+ * Builds the ScriptApp service (installable triggers only)
+ * @param {Object} env - Emulator environment
+ * @return {Object} ScriptApp
+ */
+function emuCreateScriptApp_(env) {
+  let triggerSeq = 1;
+
+  const newTrigger = (handlerFunction) => {
+    const spec = { handlerFunction, eventType: 'CLOCK' };
+    const timeBuilder = {
+      everyMinutes: (n) => { spec.everyMinutes = n; return timeBuilder; },
+      everyHours: (n) => { spec.everyHours = n; return timeBuilder; },
+      everyDays: (n) => { spec.everyDays = n; return timeBuilder; },
+      everyWeeks: (n) => { spec.everyWeeks = n; return timeBuilder; },
+      atHour: (h) => { spec.atHour = h; return timeBuilder; },
+      nearMinute: (m) => { spec.nearMinute = m; return timeBuilder; },
+      onWeekDay: (d) => { spec.onWeekDay = d; return timeBuilder; },
+      onMonthDay: (d) => { spec.onMonthDay = d; return timeBuilder; },
+      after: (ms) => { spec.after = ms; return timeBuilder; },
+      at: (date) => { spec.at = date; return timeBuilder; },
+      inTimezone: (tz) => { spec.timeZone = tz; return timeBuilder; },
+      create: () => {
+        const id = 'trigger-' + (triggerSeq++);
+        const trigger = {
+          spec,
+          getUniqueId: () => id,
+          getHandlerFunction: () => spec.handlerFunction,
+          getEventType: () => spec.eventType,
+          getTriggerSource: () => 'CLOCK'
+        };
+        env.triggers.push(trigger);
+        return trigger;
+      }
+    };
+    return {
+      timeBased: () => timeBuilder,
+      forSpreadsheet: () => ({
+        onEdit: () => { spec.eventType = 'ON_EDIT'; return timeBuilder; },
+        onOpen: () => { spec.eventType = 'ON_OPEN'; return timeBuilder; },
+        onChange: () => { spec.eventType = 'ON_CHANGE'; return timeBuilder; }
+      })
+    };
+  };
+
+  return {
+    WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+      FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' },
+    EventType: { CLOCK: 'CLOCK', ON_EDIT: 'ON_EDIT', ON_OPEN: 'ON_OPEN', ON_CHANGE: 'ON_CHANGE' },
+    newTrigger: newTrigger,
+    getProjectTriggers: () => env.triggers.slice(),
+    getUserTriggers: () => env.triggers.slice(),
+    deleteTrigger: (trigger) => {
+      env.triggers = env.triggers.filter(t => t.getUniqueId() !== trigger.getUniqueId());
+    },
+    getScriptId: () => 'emulated-script'
+  };
+}
+
+/**
+ * Builds the HtmlService. createHtmlOutputFromFile() checks that the .html file
+ * exists in the project so broken dialog routes fail offline too.
+ * @param {Object} env - Emulator environment
+ * @return {Object} HtmlService
+ */
+function emuCreateHtmlService_(env) {
+  const fs = require('fs');
+  const path = require('path');
+
+  const output = (content) => {
+    const state = { content: content || '', title: '', width: null, height: null };
+    const out = {
+      getContent: () => state.content,
+      setContent: (c) => { state.content = c; return out; },
+      append: (c) => { state.content += c; return out; },
+      getTitle: () => state.title,
+      setTitle: (t) => { state.title = t; return out; },
+      getWidth: () => state.width,
+      setWidth: (w) => { state.width = w; return out; },
+      getHeight: () => state.height,
+      setHeight: (h) => { state.height = h; return out; },
+      setSandboxMode: () => out,
+      setXFrameOptionsMode: () => out,
+      addMetaTag: () => out,
+      setFaviconUrl: () => out
+    };
+    return out;
+  };
+
+  const readFile = (name) => {
+    const file = path.join(env.rootDir, name.endsWith('.html') ? name : name + '.html');
+    if (!fs.existsSync(file)) {
+      throw new Error('No HTML file named ' + name + ' was found.');
+    }
+    return fs.readFileSync(file, 'utf8');
+  };
+
+  return {
+    SandboxMode: { IFRAME: 'IFRAME', NATIVE: 'NATIVE' },
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    createHtmlOutput: (html) => output(html),
+    createHtmlOutputFromFile: (name) => output(readFile(name)),
+    createTemplateFromFile: (name) => {
+      const source = readFile(name);
+      const template = { evaluate: () => output(source), getCode: () => source };
+      return template;
+    }
+  };
+}
+
+/**
+ * Builds a DriveApp backed by real files under env.driveDir, so tests can read
+ * back exactly what a service wrote. Folder and file IDs are paths relative to
+ * that directory; reset() empties it.
+ * @param {Object} env - Emulator environment
+ * @return {Object} DriveApp
+ */
+function emuCreateDriveApp_(env) {
+  const fs = require('fs');
+  const path = require('path');
+
+  const resolve = (id) => path.join(env.driveDir, id || '');
+  const iterator = (items) => {
+    let i = 0;
+    return { hasNext: () => i < items.length, next: () => items[i++] };
+  };
+
+  const file = (id) => ({
+    getId: () => id,
+    getName: () => path.basename(id),
+    getUrl: () => 'file://' + resolve(id),
+    getSize: () => fs.statSync(resolve(id)).size,
+    getMimeType: () => (id.endsWith('.json') ? 'application/json' : id.endsWith('.csv') ? 'text/csv' : 'text/plain'),
+    getBlob: () => Utilities.newBlob(Array.from(fs.readFileSync(resolve(id))), undefined, path.basename(id)),
+    setTrashed: () => { fs.rmSync(resolve(id), { force: true }); }
+  });
+
+  const entries = (id, wantDirs) => fs.readdirSync(resolve(id), { withFileTypes: true })
+    .filter(e => e.isDirectory() === wantDirs)
+    .map(e => (id ? id + '/' : '') + e.name)
+    .sort();
+
+  const folder = (id) => {
+    if (!fs.existsSync(resolve(id))) throw new Error('No item with the given ID could be found: ' + id);
+    const self = {
+      getId: () => id,
+      getName: () => (id ? path.basename(id) : 'My Drive'),
+      getUrl: () => 'file://' + resolve(id),
+      createFolder: (name) => {
+        const childId = (id ? id + '/' : '') + name;
+        fs.mkdirSync(resolve(childId), { recursive: true });
+        return folder(childId);
+      },
+      createFile: (nameOrBlob, content) => {
+        const blob = typeof nameOrBlob === 'string' ? Utilities.newBlob(content || '', undefined, nameOrBlob) : nameOrBlob;
+        const childId = (id ? id + '/' : '') + blob.getName();
+        fs.writeFileSync(resolve(childId), Buffer.from(blob.getBytes().map(b => (b < 0 ? b + 256 : b))));
+        return file(childId);
+      },
+      getFiles: () => iterator(entries(id, false).map(file)),
+      getFilesByName: (name) => iterator(entries(id, false).filter(f => path.basename(f) === name).map(file)),
+      getFolders: () => iterator(entries(id, true).map(folder)),
+      getFoldersByName: (name) => iterator(entries(id, true).filter(f => path.basename(f) === name).map(folder))
+    };
+    return self;
+  };
+
+  return {
+    getRootFolder: () => folder(''),
+    getFolderById: (id) => folder(id),
+    getFileById: (id) => {
+      if (!fs.existsSync(resolve(id))) throw new Error('No item with the given ID could be found: ' + id);
+      return file(id);
+    },
+    createFolder: (name) => folder('').createFolder(name),
+    getFoldersByName: (name) => folder('').getFoldersByName(name)
+  };
+}
+
+// ============================================================================
+// ENVIRONMENT
+// ============================================================================
+
+/**
+ * Installs the emulated Apps Script services on globalThis and returns a
+ * handle for controlling the fake workbook from tests.
+ *
+ * @param {Object} options - Optional settings
+ * @param {string} options.rootDir - Project directory (default: this file's dir)
+ * @param {string} options.timeZone - Script time zone (default: appsscript.json)
+ * @param {string} options.userEmail - Active user email
+ * @param {boolean} options.echoLogs - Print Logger.log output (default: true)
+ * @param {string} options.driveDir - Directory backing DriveApp (default: a
+ *   temp directory removed when the process exits)
+ * @return {Object} Environment handle
+ */
+function installAppsScriptGlobals(options) {
+  const opts = options || {};
+  const fs = require('fs');
+  const path = require('path');
+  const rootDir = opts.rootDir || __dirname;
+
+  let timeZone = opts.timeZone;
+  if (!timeZone) {
+    try {
+      timeZone = JSON.parse(fs.readFileSync(path.join(rootDir, 'appsscript.json'), 'utf8')).timeZone;
+    } catch (e) {
+      timeZone = 'America/Chicago';
+    }
+  }
+
+  const driveDir = opts.driveDir || fs.mkdtempSync(path.join(require('os').tmpdir(), 'gas-emu-drive-'));
+  if (!opts.driveDir) {
+    process.on('exit', () => fs.rmSync(driveDir, { recursive: true, force: true }));
+  }
+
+  const env = {
+    rootDir,
+    driveDir,
+    timeZone,
+    userEmail: opts.userEmail || 'tester@example.com',
+    echoLogs: opts.echoLogs !== false,
+    uuidFactory: null,
+    sleptMs: 0,
+    toasts: [],
+    logs: [],
+    triggers: [],
+    locks: { script: null, document: null, user: null },
+    spreadsheet: null,
+    ui: null,
+    properties: null,
+
+    /**
+     * Replaces the workbook, properties, caches, locks and triggers, and
+     * empties the Drive directory.
+     * @param {Object<string, Array<Array>>} sheets - Optional {sheetName: rows}
+     * @return {EmuSpreadsheet} The fresh spreadsheet
+     */
+    reset(sheets) {
+      env.spreadsheet = new EmuSpreadsheet(env);
+      env.ui = new EmuUi();
+      env.properties = {
+        script: emuCreateProperties_(),
+        document: emuCreateProperties_(),
+        user: emuCreateProperties_()
+      };
+      env.caches = { script: emuCreateCache_(), document: emuCreateCache_(), user: emuCreateCache_() };
+      env.locks = { script: null, document: null, user: null };
+      env.triggers = [];
+      env.toasts = [];
+      env.logs = [];
+      env.sleptMs = 0;
+      fs.rmSync(env.driveDir, { recursive: true, force: true });
+      fs.mkdirSync(env.driveDir, { recursive: true });
+      Object.keys(sheets || {}).forEach(name => env.seedSheet(name, sheets[name]));
+      return env.spreadsheet;
+    },
+
+    /**
+     * Creates (or replaces) a sheet with the given rows
+     * @param {string} name - Sheet name
+     * @param {Array<Array>} rows - Row values (first row usually headers)
+     * @return {EmuSheet} The sheet
+     */
+    seedSheet(name, rows) {
+      const existing = env.spreadsheet.getSheetByName(name);
+      if (existing) env.spreadsheet.deleteSheet(existing);
+      const sheet = env.spreadsheet.insertSheet(name);
+      (rows || []).forEach(row => sheet.appendRow(row));
+      return sheet;
+    },
+
+    /**
+     * Returns a sheet's values as a 2D array ([] if the sheet is missing)
+     * @param {string} name - Sheet name
+     * @return {Array<Array>} Values
+     */
+    dump(name) {
+      const sheet = env.spreadsheet.getSheetByName(name);
+      if (!sheet || sheet.getLastRow() === 0) return [];
+      return sheet.getDataRange().getValues();
+    },
+
+    /**
+     * Marks a lock scope as held by another execution
+     * @param {string} scope - 'script' | 'document' | 'user'
+     */
+    holdLock(scope) {
+      env.locks[scope || 'script'] = { foreign: true };
+    }
+  };
+
+  env.reset();
+
+  const logger = {
+    log: function(message, ...values) {
+      const text = values.length > 0
+        ? String(message).replace(/%s/g, () => String(values.shift()))
+        : (typeof message === 'object' ? JSON.stringify(message) : String(message));
+      env.logs.push(text);
+      if (env.echoLogs) console.log(text);
+      return logger;
+    },
+    getLog: () => env.logs.join('\n'),
+    clear: () => { env.logs = []; }
+  };
+
+  globalThis.SpreadsheetApp = {
+    getActiveSpreadsheet: () => env.spreadsheet,
+    getActive: () => env.spreadsheet,
+    getActiveSheet: () => env.spreadsheet.getActiveSheet(),
+    setActiveSheet: (sheet) => env.spreadsheet.setActiveSheet(sheet),
+    openById: () => env.spreadsheet,
+    getUi: () => env.ui,
+    flush: () => {},
+    newDataValidation: () => emuChainable_(['requireValueInList', 'requireValueInRange', 'requireCheckbox',
+      'requireNumberBetween', 'requireDate', 'setAllowInvalid', 'setHelpText'], { build: () => ({ validation: true }) }),
+    newConditionalFormatRule: () => emuChainable_(['whenTextEqualTo', 'whenTextContains', 'whenNumberGreaterThan',
+      'whenNumberLessThan', 'whenNumberBetween', 'whenFormulaSatisfied', 'whenCellEmpty', 'whenCellNotEmpty',
+      'setBackground', 'setFontColor', 'setBold', 'setRanges', 'setGradientMinpointWithValue',
+      'setGradientMidpointWithValue', 'setGradientMaxpointWithValue'], { build: () => ({ rule: true }) }),
+    DeveloperMetadataVisibility: { DOCUMENT: 'DOCUMENT', PROJECT: 'PROJECT' },
+    DeveloperMetadataLocationType: { SPREADSHEET: 'SPREADSHEET', SHEET: 'SHEET', ROW: 'ROW', COLUMN: 'COLUMN' },
+    BorderStyle: { SOLID: 'SOLID', SOLID_MEDIUM: 'SOLID_MEDIUM', SOLID_THICK: 'SOLID_THICK', DOTTED: 'DOTTED', DASHED: 'DASHED' },
+    WrapStrategy: { WRAP: 'WRAP', OVERFLOW: 'OVERFLOW', CLIP: 'CLIP' },
+    ProtectionType: { RANGE: 'RANGE', SHEET: 'SHEET' },
+    InterpolationType: { NUMBER: 'NUMBER', PERCENT: 'PERCENT', PERCENTILE: 'PERCENTILE', MIN: 'MIN', MAX: 'MAX' },
+    BandingTheme: { LIGHT_GREY: 'LIGHT_GREY', BLUE: 'BLUE', GREEN: 'GREEN' }
+  };
+
+  globalThis.Session = {
+    getActiveUser: () => ({ getEmail: () => env.userEmail }),
+    getEffectiveUser: () => ({ getEmail: () => env.userEmail }),
+    getScriptTimeZone: () => env.timeZone,
+    getTemporaryActiveUserKey: () => 'emulated-user-key'
+  };
+
+  globalThis.LockService = {
+    getScriptLock: () => emuCreateLock_(env, 'script'),
+    getDocumentLock: () => emuCreateLock_(env, 'document'),
+    getUserLock: () => emuCreateLock_(env, 'user')
+  };
+
+  globalThis.PropertiesService = {
+    getScriptProperties: () => env.properties.script,
+    getDocumentProperties: () => env.properties.document,
+    getUserProperties: () => env.properties.user
+  };
+
+  globalThis.CacheService = {
+    getScriptCache: () => env.caches.script,
+    getDocumentCache: () => env.caches.document,
+    getUserCache: () => env.caches.user
+  };
+
+  globalThis.Charts = {
+    ChartType: { BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', PIE: 'PIE', AREA: 'AREA', SCATTER: 'SCATTER' }
+  };
+
+  globalThis.Logger = logger;
+  globalThis.Utilities = emuCreateUtilities_(env);
+  globalThis.ScriptApp = emuCreateScriptApp_(env);
+  globalThis.HtmlService = emuCreateHtmlService_(env);
+  globalThis.DriveApp = emuCreateDriveApp_(env);
+
+  return env;
+}
+
+// ============================================================================
+// PROJECT LOADER
+// ============================================================================
+
+/**
+ * Files that only make sense under Node (runners, this emulator) and are
+ * therefore never evaluated as part of the Apps Script project.
+ */
+const EMU_NODE_ONLY_PATTERN = /^(run[A-Za-z]*Tests|manualVerification|appsScriptEmulator)\.js$/;
+
+/**
+ * Evaluates every project .js file into the current global scope, in
+ * push order (alphabetical), mirroring how Apps Script shares one scope
+ * across files: later function declarations win, duplicate top-level
+ * const/let declarations fail.
+ *
+ * A file that throws while loading is recorded and skipped so the remaining
+ * files still load; callers decide whether that is fatal.
+ *
+ * @param {string} rootDir - Project directory
+ * @param {Object} options - Optional settings
+ * @param {Array<string>} options.order - Explicit file order (overrides alphabetical)
+ * @param {Array<string>} options.exclude - Extra file names to skip
+ * @return {Object} {loaded: Array<string>, failed: Array<{file, error}>}
+ */
+function loadAppsScriptProject(rootDir, options) {
+  const fs = require('fs');
+  const path = require('path');
+  const vm = require('vm');
+  const opts = options || {};
+  const exclude = new Set(opts.exclude || []);
+
+  const files = opts.order || fs.readdirSync(rootDir)
+    .filter(f => f.endsWith('.js') && !EMU_NODE_ONLY_PATTERN.test(f))
+    .sort();
+
+  const result = { loaded: [], failed: [] };
+
+  files.filter(f => !exclude.has(f)).forEach(file => {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    try {
+      vm.runInThisContext(source, { filename: file });
+      result.loaded.push(file);
+    } catch (e) {
+      result.failed.push({ file, error: e.message });
+    }
+  });
+
+  return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    installAppsScriptGlobals,
+    loadAppsScriptProject,
+    EmuSpreadsheet,
+    EmuSheet,
+    EmuRange
+  };
+}
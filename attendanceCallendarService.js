@@ -52,9 +52,11 @@ const ATTENDANCE_MARKER = '✓';
  * 6. Populate Total Events formulas in Column B
  * 7. Apply formatting (rotation, banding, borders, freeze panes)
  *
+ * @param {Object} [rosters] - {sheetName: [names]} already read in chunks
+ *   (eventBatchService.js); tabs not listed are read here
  * @return {Object} Summary {playerCount, eventCount, rebuilt}
  */
-function buildAttendanceCalendarSheet() {
+function buildAttendanceCalendarSheet(rosters) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
   // Step 1: Get canonical players (sorted alphabetically)
@@ -83,7 +85,7 @@ function buildAttendanceCalendarSheet() {
   }
 
   // Step 4: Build the data matrix in memory for batch write
-  const dataMatrix = buildDataMatrix_(players, eventsMeta, ss);
+  const dataMatrix = buildDataMatrix_(players, eventsMeta, ss, rosters);
 
   // Step 5: Write data to sheet in one batch operation
   const numRows = dataMatrix.length;
@@ -95,6 +97,7 @@ function buildAttendanceCalendarSheet() {
 
   // Step 7: Apply all formatting
   applyHeaderFormatting_(sheet, eventsMeta.length);
+  applySuffixNotes_(sheet, eventsMeta);
   applyWeeklyBanding_(sheet, eventsMeta, players.length);
   applyMonthBorders_(sheet, eventsMeta, players.length);
   applyAttendanceFills_(sheet, dataMatrix, eventsMeta.length);
@@ -121,7 +124,7 @@ function buildAttendanceCalendarSheet() {
 
 /**
  * Gets all event sheets with metadata, sorted chronologically.
- * Matches patterns: MM-DD-YYYY or MM-DDX-YYYY (X = A-Z suffix)
+ * Event tabs follow the shared event ID grammar (eventIdGrammar.js)
  *
  * @return {Array<Object>} Array of {sheetName, eventDate, weekNumber, month, year}
  * @private
@@ -130,21 +133,17 @@ function getEventSheets_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheets = ss.getSheets();
 
-  // Pattern: MM-DD-YYYY or MM-DDX-YYYY (X = optional A-Z suffix)
-  // Examples: 11-26-2025, 11-26C-2025
-  const eventPattern = /^(\d{2})-(\d{2})([A-Z])?-(\d{4})$/;
-
   const events = [];
 
   sheets.forEach(sheet => {
     const name = sheet.getName();
-    const match = name.match(eventPattern);
+    const parsed = parseEventIdParts_(name);
 
-    if (match) {
-      const month = parseInt(match[1], 10);
-      const day = parseInt(match[2], 10);
-      const suffix = match[3] || ''; // Optional A-Z suffix
-      const year = parseInt(match[4], 10);
+    if (parsed) {
+      const month = parsed.month;
+      const day = parsed.day;
+      const suffix = parsed.suffix; // '' for plain events
+      const year = parsed.year;
 
       // Create date object for sorting and grouping
       const eventDate = new Date(year, month - 1, day);
@@ -159,6 +158,7 @@ function getEventSheets_() {
         year: year,
         day: day,
         suffix: suffix,
+        sequence: parsed.sequence,
         weekNumber: weekNumber,
         weekYear: getISOWeekYear_(eventDate)
       });
@@ -169,7 +169,9 @@ function getEventSheets_() {
   events.sort((a, b) => {
     const dateCompare = a.eventDate.getTime() - b.eventDate.getTime();
     if (dateCompare !== 0) return dateCompare;
-    return (a.suffix || '').localeCompare(b.suffix || '');
+    const suffixCompare = (a.suffix || '').localeCompare(b.suffix || '');
+    if (suffixCompare !== 0) return suffixCompare;
+    return a.sequence - b.sequence;
   });
 
   return events;
@@ -271,10 +273,11 @@ function getEventRoster_(sheet) {
  * @param {Array<string>} players - Sorted player names
  * @param {Array<Object>} eventsMeta - Event metadata array
  * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Object} [rosters] - {sheetName: [names]} already read
  * @return {Array<Array>} 2D array for batch writing
  * @private
  */
-function buildDataMatrix_(players, eventsMeta, ss) {
+function buildDataMatrix_(players, eventsMeta, ss, rosters) {
   const numRows = players.length + 1; // +1 for header
   const numCols = 2 + eventsMeta.length; // PreferredName + Total Events + events
 
@@ -291,6 +294,10 @@ function buildDataMatrix_(players, eventsMeta, ss) {
   // Pre-load all event rosters for efficiency
   const eventRosters = new Map();
   eventsMeta.forEach(event => {
+    if (rosters && rosters[event.sheetName]) {
+      eventRosters.set(event.sheetName, new Set(rosters[event.sheetName]));
+      return;
+    }
     const sheet = ss.getSheetByName(event.sheetName);
     eventRosters.set(event.sheetName, getEventRoster_(sheet));
   });
@@ -375,6 +382,20 @@ function applyHeaderFormatting_(sheet, eventCount) {
   sheet.getRange(1, 1, 1, 2).setTextRotation(0);
 }
 
+/**
+ * Notes each event header with its suffix name from the suffix registry
+ * (e.g. "B – Casual Commander (Brk 1–2)").
+ *
+ * @param {Sheet} sheet - Calendar sheet
+ * @param {Array<Object>} eventsMeta - Event metadata array
+ * @private
+ */
+function applySuffixNotes_(sheet, eventsMeta) {
+  if (eventsMeta.length === 0) return;
+  const notes = eventsMeta.map(event => event.suffix ? getSuffixDisplayName_(event.suffix) : '');
+  sheet.getRange(1, 3, 1, eventsMeta.length).setNotes([notes]);
+}
+
 /**
  * Applies alternating week banding to event columns.
  * Odd weeks get light gray background.
@@ -292,39 +292,9 @@ var ATTENDANCE_CONFIG = {
     INTEGRITY_LOG: 'Integrity_Log'
   },
 
-  // Event sheet name pattern: MM-DD-YYYY or MM-DDX-YYYY
-  // Examples: 11-23-2025 (standard) or 11-23B-2025 (Commander Casual)
-  EVENT_PATTERN: /^(\d{2})-(\d{2})([A-Z])?\-(\d{4})$/,
-
-  // Format suffix legend (A-Z complete, v7.9.6+ official standard)
-  FORMAT_LEGEND: {
-    'A': 'Academy / Learn to Play',
-    'B': 'Casual Commander (Brackets 1-2)',
-    'C': 'Transitional Commander (Brackets 3-4)',
-    'D': 'Booster Draft',
-    'E': 'External / Outreach',
-    'F': 'Free Play Event',
-    'G': 'Gundam / Gunpla',
-    'H': 'Historic / Legacy MTG',
-    'I': 'Yu-Gi-Oh! TCG',
-    'J': 'Junior / Youth Events',
-    'K': 'Kill Team',
-    'L': 'Commander League',
-    'M': 'Modern Constructed',
-    'N': 'Pokémon TCG',
-    'O': 'One Piece TCG',
-    'P': 'Proxy / Cube Draft',
-    'Q': 'Precon Event',
-    'R': 'Prerelease Sealed',
-    'S': 'Sealed',
-    'T': 'cEDH / High-Power Commander (Bracket 5)',
-    'U': 'Star Wars: Unlimited',
-    'V': 'Rift (custom / special format)',
-    'W': 'Workshop / Hobby Night',
-    'X': 'Multi-Event Day',
-    'Y': 'Lorcana TCG',
-    'Z': 'Staff / Internal Use'
-  },
+  // Event sheet name pattern: the shared event ID grammar (eventIdGrammar.js)
+  // Examples: 11-23-2025 (standard), 11-23B-2025 (Commander Casual), 11-29X(B+D)-2025
+  get EVENT_PATTERN() { return EVENT_ID_PATTERN; },
 
   // Column headers expected in event sheets
   EXPECTED_HEADERS: {
@@ -337,56 +307,6 @@ var ATTENDANCE_CONFIG = {
   MAX_WEEKS_FOR_STREAK: 52 // Maximum consecutive weeks to check
 };
 
-/**
- * Suffix metadata for mission evaluation
- * Complete A-Z legend (v7.9.6+ official standard)
- */
-var SUFFIX_META = {
-  'A': { name: 'Academy / Learn to Play', category: 'educational' },
-  'B': { name: 'Casual Commander (Brackets 1-2)', category: 'commander' },
-  'C': { name: 'Transitional Commander (Brackets 3-4)', category: 'commander' },
-  'D': { name: 'Booster Draft', category: 'limited' },
-  'E': { name: 'External / Outreach', category: 'special' },
-  'F': { name: 'Free Play Event', category: 'casual' },
-  'G': { name: 'Gundam / Gunpla', category: 'other_tcg' },
-  'H': { name: 'Historic / Legacy MTG', category: 'constructed' },
-  'I': { name: 'Yu-Gi-Oh! TCG', category: 'other_tcg' },
-  'J': { name: 'Junior / Youth Events', category: 'educational' },
-  'K': { name: 'Kill Team', category: 'miniatures' },
-  'L': { name: 'Commander League', category: 'commander' },
-  'M': { name: 'Modern Constructed', category: 'constructed' },
-  'N': { name: 'Pokémon TCG', category: 'other_tcg' },
-  'O': { name: 'One Piece TCG', category: 'other_tcg' },
-  'P': { name: 'Proxy / Cube Draft', category: 'limited' },
-  'Q': { name: 'Precon Event', category: 'commander' },
-  'R': { name: 'Prerelease Sealed', category: 'limited' },
-  'S': { name: 'Sealed', category: 'limited' },
-  'T': { name: 'cEDH / High-Power Commander (Bracket 5)', category: 'commander' },
-  'U': { name: 'Star Wars: Unlimited', category: 'other_tcg' },
-  'V': { name: 'Riftbound ', category: 'Riftbound' },
-  'W': { name: 'Workshop / Hobby Night', category: 'educational' },
-  'X': { name: 'Multi-Event Day', category: 'special' },
-  'Y': { name: 'Lorcana TCG', category: 'other_tcg' },
-  'Z': { name: 'Staff / Internal Use', category: 'internal' }
-};
-
-/**
- * Get suffix metadata
- * @param {string} suffix - Event suffix (e.g., 'B', 'C', 'D')
- * @return {Object|null} Suffix metadata or null
- */
-function getSuffixMeta_(suffix) {
-  if (!suffix) return null;
-  return SUFFIX_META[suffix] || null;
-}
-
-/**
- * Extract suffix from event ID (sheet/tab name)
- * @param {string} eventId - Event sheet name (e.g., "11-23-B-2025")
- * @return {string} Suffix or empty string
- */
-function getSuffixFromEventId_(eventId) {
-  if (!eventId) return '';
-  var match = eventId.match(ATTENDANCE_CONFIG.EVENT_PATTERN);
-  return match && match[3] ? match[3] : '';
-}
\ No newline at end of file
+// Suffix metadata (names, mission IDs, categories) lives in the suffix
+// registry – see getSuffixMeta_() in suffixConfig.js. Event IDs are parsed by
+// parseEventIdParts_() in eventIdGrammar.js.
@@ -23,45 +23,39 @@
 
 /**
  * Returns all event sheets from the spreadsheet
- * Event tabs match pattern: MM-DD<suffix>-YYYY
+ * Event tabs follow the event ID grammar (eventIdGrammar.js) and carry a suffix
  * @return {Array<Sheet>} Array of event sheets
  */
 function getEventSheets() {
-  // Regex: 2 digits - 2 digits + any suffix + dash + 4 digits
-  // Example matches: 05-10C-2025, 12-01Draft-2025, 07-26q-2025
-  const EVENT_TAB_REGEX = /^\d{2}-\d{2}[A-Za-z]+-\d{4}$/;
-  
+  // Example matches: 05-10C-2025, 12-01Draft-2025, 07-26q-2025, 11-29X(B+D)-2025-2
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const allSheets = ss.getSheets();
   
-  return allSheets.filter(sheet => EVENT_TAB_REGEX.test(sheet.getName()));
+  return allSheets.filter(sheet => parseEventSheetName(sheet.getName()) !== null);
 }
 
 /**
  * Parses event sheet name into components
  * @param {string} name - Sheet name like "05-10C-2025"
- * @return {Object} {date: Date, suffix: string, monthKey: string, isoWeekKey: string}
+ * @return {Object} {date: Date, suffix: string, formats: Array<string>, sequence: number,
+ *   monthKey: string, isoWeekKey: string} or null for non-event or suffix-less tabs
  */
 function parseEventSheetName(name) {
-  // Pattern: MM-DD<suffix>-YYYY
-  const match = name.match(/^(\d{2})-(\d{2})([A-Za-z]+)-(\d{4})$/);
+  const parsed = parseEventIdParts_(name);
   
-  if (!match) {
+  // The scanner only counts suffixed events
+  if (!parsed || !parsed.suffix) {
     return null;
   }
   
-  const month = parseInt(match[1], 10);
-  const day = parseInt(match[2], 10);
-  const suffix = match[3].toUpperCase(); // Normalize to uppercase
-  const year = parseInt(match[4], 10);
-  
-  const date = new Date(year, month - 1, day);
-  const monthKey = year + '-' + String(month).padStart(2, '0'); // "2025-05"
-  const isoWeekKey = getISOWeekKey(date); // "2025-W19"
+  const monthKey = parsed.year + '-' + String(parsed.month).padStart(2, '0'); // "2025-05"
+  const isoWeekKey = getISOWeekKey(parsed.date); // "2025-W19"
   
   return {
-    date: date,
-    suffix: suffix,
+    date: parsed.date,
+    suffix: parsed.suffix,
+    formats: parsed.formats,
+    sequence: parsed.sequence,
     monthKey: monthKey,
     isoWeekKey: isoWeekKey
   };
@@ -85,81 +79,15 @@ function getISOWeekKey(date) {
 
 /**
  * Maps event suffix to category
- * @param {string} suffix - Uppercase suffix like "C", "D", "S"
- * @return {string} Category name
- * 
- * COSMIC GAMES SUFFIX CODES (Authoritative):
- *   A = Academy / Learn to Play
- *   B = Casual Commander (Brackets 1–2)
- *   C = Transitional Commander (Brackets 3–4)
- *   D = Booster Draft
- *   E = External / Outreach
- *   F = Commander Free Play
- *   G = Gundam / Gunpla
- *   H = Helped Out
- *   I = Yu-Gi-Oh TCG
- *   J = Riftbound Skirmish
- *   K = Kill Team
- *   L = Commander League
- *   M = Modern
- *   N = Pokémon TCG
- *   O = One Piece TCG
- *   P = Proxy / Cube Draft
- *   Q = Precon Event
- *   R = Prerelease
- *   S = Sealed
- *   T = Two-Headed Giant
- *   U = cEDH / High-Power Commander (Bracket 5)
- *   V = Riftbound Nexus Nights
- *   W = Workshop
- *   X = Multi-Event
- *   Y = Lorcana
- *   Z = Staff / Internal
+ * @param {string} suffix - Suffix like "C", "D", "S" (case-insensitive)
+ * @return {string} Category name, or 'OTHER' for unknown suffixes
+ *
+ * Categories come from the suffix registry (SUFFIX_MAP defaults plus the
+ * Suffix_Registry sheet) – see suffixConfig.js.
  */
 function getEventCategoryFromSuffix(suffix) {
-  const SUFFIX_MAP = {
-    // Commander variants
-    'B': 'CASUAL_COMMANDER',
-    'C': 'TRANSITIONAL_COMMANDER',
-    'U': 'CEDH',
-    'F': 'FREE_PLAY',
-    'L': 'COMMANDER_LEAGUE',
-    'Q': 'PRECON_EVENT',
-    
-    // Limited formats (count toward LIMITED missions)
-    'D': 'DRAFT',
-    'P': 'DRAFT',        // Proxy/Cube Draft counts as draft
-    'S': 'SEALED',
-    'R': 'PRERELEASE',
-    
-    // Academy / Learning
-    'A': 'ACADEMY',
-    'W': 'WORKSHOP',
-    
-    // Outreach
-    'E': 'OUTREACH',
-    
-    // Other TCGs
-    'G': 'GUNDAM',
-    'I': 'YUGIOH',
-    'J': 'RIFTBOUND',
-    'K': 'KILL_TEAM',
-    'N': 'POKEMON',
-    'O': 'ONE_PIECE',
-    'V': 'RIFTBOUND',
-    'Y': 'LORCANA',
-    
-    // Constructed formats
-    'M': 'MODERN',
-    'T': 'TWO_HEADED_GIANT',
-    
-    // Internal / Special
-    'H': 'HELPED_OUT',
-    'X': 'MULTI_EVENT',
-    'Z': 'STAFF_INTERNAL'
-  };
-  
-  return SUFFIX_MAP[suffix.toUpperCase()] || 'OTHER';
+  const meta = getSuffixMeta_(suffix);
+  return meta && meta.category ? meta.category : 'OTHER';
 }
 
 /**
@@ -191,12 +119,20 @@ function getStandings(sheet) {
   
   // Column B = preferred_name_id
   const data = sheet.getRange(2, 2, lastRow - 1, 1).getValues();
-  
+  return dedupeStandings_(data.map(r => r[0]));
+}
+
+/**
+ * Trims names and drops blanks and repeats, keeping finishing order
+ * @param {Array} names - Column B values below the header
+ * @return {Array<string>} Ordered standings
+ */
+function dedupeStandings_(names) {
   const seen = new Set();
   const standings = [];
   
-  for (let i = 0; i < data.length; i++) {
-    const name = String(data[i][0] || '').trim();
+  for (let i = 0; i < names.length; i++) {
+    const name = String(names[i] || '').trim();
     if (name && !seen.has(name)) {
       seen.add(name);
       standings.push(name);
@@ -211,25 +147,28 @@ function getStandings(sheet) {
 // ════════════════════════════════════════════════════════════════════════════
 
 /**
- * Scans all event tabs and builds attendance data
+ * Scans all event tabs and builds attendance data. Tabs whose content is
+ * unchanged since the last scan come from Event_Scan_Cache.
+ * @param {Object} [options] - {fullRebuild: true} re-parses every tab
  * @return {Object} {
  *   events: [{name, date, suffix, category, monthKey, isoWeekKey, standings}],
- *   playerEvents: Map<playerId, [{eventName, position, isTop4, isLast}]>
+ *   playerEvents: Map<playerId, [{eventName, position, isTop4, isLast}]>,
+ *   cacheReport: tabs added / modified / removed since the last scan
  * }
  */
-function scanAllEvents() {
-  const eventSheets = getEventSheets();
+function scanAllEvents(options) {
+  const cached = scanEventTabsCached('STANDINGS', options);
   const events = [];
   const playerEvents = new Map();
   
-  for (const sheet of eventSheets) {
-    const name = sheet.getName();
+  for (const tab of cached.tabs) {
+    const name = tab.tab;
     const parsed = parseEventSheetName(name);
     
     if (!parsed) continue;
     
     const category = getEventCategoryFromSuffix(parsed.suffix);
-    const standings = getStandings(sheet);
+    const standings = tab.data;
     
     const eventInfo = {
       name: name,
@@ -264,7 +203,7 @@ function scanAllEvents() {
     }
   }
   
-  return { events, playerEvents };
+  return { events, playerEvents, cacheReport: cached.report };
 }
 
 /**
@@ -423,9 +362,10 @@ function computeAttendanceMissionPoints(stats) {
 
 /**
  * Main function: Scans events and updates Attendance_Missions sheet
+ * @param {Object} [options] - {fullRebuild: true} re-parses every tab instead of using Event_Scan_Cache
  * @return {number} Number of players updated
  */
-function syncAttendanceMissions() {
+function syncAttendanceMissions(options) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName('Attendance_Missions');
@@ -436,8 +376,9 @@ function syncAttendanceMissions() {
     
     // Scan all events
     Logger.log('Scanning event tabs...');
-    const { events, playerEvents } = scanAllEvents();
+    const { events, playerEvents, cacheReport } = scanAllEvents(options);
     Logger.log('Found ' + events.length + ' events, ' + playerEvents.size + ' players');
+    Logger.log('Tabs re-read: ' + formatEventScanChanges(cacheReport, true));
     
     // Get current sheet data
     const data = sheet.getDataRange().getValues();
@@ -131,6 +131,12 @@ function testEventNameParsing(results) {
   const parsed3 = parseEventSheetName('12-01Draft-2025');
   assert(parsed3.suffix === 'DRAFT', 'Multi-char suffix should be DRAFT', results);
   
+  // Test same-day sequence and multi-event tabs
+  const parsed5 = parseEventSheetName('11-23B-2025-2');
+  assert(parsed5 !== null && parsed5.suffix === 'B' && parsed5.sequence === 2, 'Should parse -2 sequence', results);
+  const parsed6 = parseEventSheetName('11-29X(B+D)-2025');
+  assert(parsed6 !== null && parsed6.formats.join(',') === 'B,D', 'X tab should expose component formats', results);
+  
   // Test invalid patterns
   const parsed4 = parseEventSheetName('11-23-2025');
   assert(parsed4 === null, 'Should return null for event without suffix', results);
@@ -0,0 +1,533 @@
+/**
+ * BP Ledger Service - Append-Only Bonus Point Journal
+ * @fileoverview Every BP change is an immutable BP_Ledger row; BP_Total is a
+ * projection of the ledger that can be rebuilt at any time.
+ *
+ * LEDGER SEMANTICS:
+ * - Amount is the entry's effect on Current_BP, so Current_BP = SUM(Amount)
+ * - ATTENDANCE / FLAG / DICE / MANUAL: earned points (negative = correction)
+ * - REDEMPTION: negative; Redeemed_Total = -SUM(REDEMPTION)
+ * - CAP_OVERFLOW: negative; points moved above BP_Global_Cap into Prestige_BP
+ * - Historical_BP = highest cumulative earned total seen while replaying
+ * - A row with Reverses_Entry voids itself and the entry it names (batch revert)
+ *
+ * Source sync (updateBPTotalFromSources) posts the difference between each
+ * mission sheet total and the SOURCE_SYNC entries already on the ledger.
+ * The first write to a workbook without BP_Ledger carries existing BP_Total
+ * balances over as opening entries, so history starts at that date.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BP_LEDGER_SHEET = 'BP_Ledger';
+
+const BP_LEDGER_HEADERS = [
+  'Entry_ID', 'Timestamp', 'Effective_Date', 'PreferredName', 'Type', 'Amount',
+  'Source', 'Event_ID', 'Batch_ID', 'Reverses_Entry', 'Note', 'Operator'
+];
+
+const BP_LEDGER_TYPES = {
+  ATTENDANCE: 'ATTENDANCE',
+  FLAG: 'FLAG',
+  DICE: 'DICE',
+  MANUAL: 'MANUAL',
+  REDEMPTION: 'REDEMPTION',
+  CAP_OVERFLOW: 'CAP_OVERFLOW'
+};
+
+/** Source tag for entries that mirror the mission source sheets */
+const BP_SOURCE_SYNC = 'SOURCE_SYNC';
+
+/** Earn types and the BP_Total column each one is mirrored into */
+const BP_EARN_COLUMNS = {
+  ATTENDANCE: BP_HEADERS.ATTENDANCE_POINTS,
+  FLAG: BP_HEADERS.FLAG_POINTS,
+  DICE: BP_HEADERS.DICE_POINTS,
+  MANUAL: BP_HEADERS.MANUAL_ADJUSTMENT
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Appends entries, books any cap overflow they cause and re-projects the
+ * players they touch into BP_Total.
+ *
+ * @param {Array<Object>} entries - [{preferredName, type, amount, source, eventId, batchId, note, effectiveDate}]
+ * @return {Object} {entries: appended rows (incl. CAP_OVERFLOW), balances: {name: balance}}
+ * @throws {Error} BP_LEDGER_INVALID for an unknown type or non-numeric amount
+ */
+function recordBPLedgerEntries(entries) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const appended = appendBPLedgerEntries_(entries);
+    const names = unique(appended.map(e => e.preferredName));
+    const balances = projectBPLedger_(readBPLedger_());
+    writeBPTotalProjection_(balances, names);
+
+    const touched = {};
+    names.forEach(name => { touched[name] = balances.get(name); });
+    return { entries: appended, balances: touched };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rebuilds every BP_Total state column from the ledger. Players on BP_Total
+ * with no ledger entries are zeroed.
+ *
+ * @return {Object} {players, entries}
+ */
+function rebuildBPTotalFromLedger() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    ensureBPLedgerSheet_();
+    const ledger = readBPLedger_();
+    const balances = projectBPLedger_(ledger);
+    const players = writeBPTotalProjection_(balances, null);
+
+    logIntegrityAction('BP_PROJECT', {
+      details: `Rebuilt BP_Total for ${players} player(s) from ${ledger.length} ledger entries`,
+      status: 'SUCCESS'
+    });
+    return { players, entries: ledger.length };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Player balance as of the end of a day, replayed from the ledger.
+ *
+ * @param {string} rawName - Player name (resolved against PreferredNames)
+ * @param {Date|string} asOf - Date, 'YYYY-MM-DD', 'MM-DD-YYYY' or 'MM-DD' (this year)
+ * @return {Object} {preferredName, asOf, currentBP, historicalBP, redeemedTotal, prestigeBP, entries}
+ * @throws {Error} PLAYER_NOT_FOUND, INVALID_DATE
+ */
+function getBPBalanceAsOf(rawName, asOf) {
+  const preferredName = resolvePlayerName(rawName);
+  if (!preferredName) {
+    throwError(`Unknown player: ${rawName}`, 'PLAYER_NOT_FOUND');
+  }
+  const day = parseBPAsOfDate_(asOf);
+  const entries = readBPLedger_().filter(e => e.preferredName === preferredName && e.effectiveDate <= day);
+  const balance = projectBPLedger_(entries).get(preferredName) || emptyBPBalance_(preferredName);
+
+  return {
+    preferredName,
+    asOf: day,
+    currentBP: balance.currentBP,
+    historicalBP: balance.historicalBP,
+    redeemedTotal: balance.redeemedTotal,
+    prestigeBP: balance.prestigeBP,
+    entries: balance.entries
+  };
+}
+
+// ============================================================================
+// LEDGER WRITES
+// ============================================================================
+
+/**
+ * Appends validated entries plus a CAP_OVERFLOW entry for each player whose
+ * wallet ends above BP_Global_Cap. Caller holds the script lock.
+ *
+ * @param {Array<Object>} entries - See recordBPLedgerEntries()
+ * @param {boolean} [bookOverflow=true] - False for opening balances, which are copied as-is
+ * @return {Array<Object>} Appended entries
+ * @private
+ */
+function appendBPLedgerEntries_(entries, bookOverflow = true) {
+  const sheet = ensureBPLedgerSheet_();
+  const ledger = readBPLedger_();
+  let nextId = ledger.reduce((max, e) => Math.max(max, e.entryId), 0) + 1;
+  const timestamp = dateISO();
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const operator = Session.getActiveUser().getEmail() || 'unknown';
+
+  const build = entry => {
+    if (!BP_LEDGER_TYPES[entry.type]) {
+      throwError(`Unknown BP ledger type: ${entry.type}`, 'BP_LEDGER_INVALID');
+    }
+    const amount = Number(entry.amount);
+    if (entry.amount === '' || entry.amount === null || isNaN(amount)) {
+      throwError(`BP ledger amount must be a number (got ${entry.amount})`, 'BP_LEDGER_INVALID');
+    }
+    return {
+      entryId: nextId++,
+      timestamp,
+      effectiveDate: entry.effectiveDate || today,
+      preferredName: entry.preferredName,
+      type: entry.type,
+      amount,
+      source: entry.source || '',
+      eventId: entry.eventId || '',
+      batchId: entry.batchId || '',
+      reverses: entry.reverses || '',
+      note: entry.note || ''
+    };
+  };
+
+  const appended = entries.map(build);
+
+  // Book overflow above the cap as its own entry so later cap changes never rewrite history
+  const cap = getBPGlobalCap_();
+  const balances = projectBPLedger_(ledger.concat(appended));
+  unique(bookOverflow ? appended.map(e => e.preferredName) : []).forEach(name => {
+    const balance = balances.get(name);
+    if (balance && balance.currentBP > cap) {
+      const last = appended.filter(e => e.preferredName === name).pop();
+      appended.push(build({
+        preferredName: name,
+        type: BP_LEDGER_TYPES.CAP_OVERFLOW,
+        amount: cap - balance.currentBP,
+        source: last.source,
+        eventId: last.eventId,
+        batchId: last.batchId,
+        effectiveDate: last.effectiveDate,
+        note: `Above BP_Global_Cap ${cap} → Prestige_BP`
+      }));
+    }
+  });
+
+  if (appended.length > 0) {
+    const rows = appended.map(e => [
+      e.entryId, e.timestamp, e.effectiveDate, e.preferredName, e.type, e.amount,
+      e.source, e.eventId, e.batchId, e.reverses, e.note, operator
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, BP_LEDGER_HEADERS.length).setValues(rows);
+  }
+  return appended;
+}
+
+/**
+ * Voids every live entry of a batch with a reversing entry and re-projects
+ * the affected players. Called by revertBatch(), which holds the lock.
+ *
+ * @param {string} batchId - Batch to reverse
+ * @return {number} Entries reversed
+ * @private
+ */
+function reverseBPLedgerBatch_(batchId) {
+  const live = getBPLedgerBatchEntries_(batchId);
+  if (live.length === 0) return 0;
+
+  appendBPLedgerEntries_(live.map(e => ({
+    preferredName: e.preferredName,
+    type: e.type,
+    amount: -e.amount,
+    source: e.source,
+    eventId: e.eventId,
+    batchId,
+    reverses: e.entryId,
+    effectiveDate: e.effectiveDate,
+    note: `Revert of entry ${e.entryId}`
+  })));
+
+  writeBPTotalProjection_(projectBPLedger_(readBPLedger_()), unique(live.map(e => e.preferredName)));
+  return live.length;
+}
+
+/**
+ * Batch entries that have not been reversed yet
+ * @param {string} batchId - Batch ID
+ * @return {Array<Object>} Ledger entries
+ * @private
+ */
+function getBPLedgerBatchEntries_(batchId) {
+  const ledger = readBPLedger_();
+  const reversed = new Set(ledger.filter(e => e.reverses).map(e => String(e.reverses)));
+  return ledger.filter(e => e.batchId === batchId && !e.reverses && !reversed.has(String(e.entryId)));
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Replays ledger entries in order into per-player balances (pure)
+ *
+ * @param {Array<Object>} ledger - readBPLedger_() entries
+ * @return {Map<string, Object>} name → {currentBP, historicalBP, redeemedTotal, prestigeBP, earned: {TYPE: n}, lastUpdated, entries}
+ * @private
+ */
+function projectBPLedger_(ledger) {
+  const voided = new Set();
+  ledger.forEach(e => {
+    if (e.reverses) {
+      voided.add(String(e.reverses));
+      voided.add(String(e.entryId));
+    }
+  });
+
+  const balances = new Map();
+  ledger.forEach(e => {
+    if (!balances.has(e.preferredName)) {
+      balances.set(e.preferredName, emptyBPBalance_(e.preferredName));
+    }
+    const balance = balances.get(e.preferredName);
+    balance.entries++;
+    balance.lastUpdated = e.timestamp;
+    if (voided.has(String(e.entryId))) return;
+
+    balance.currentBP += e.amount;
+    if (e.type === BP_LEDGER_TYPES.REDEMPTION) {
+      balance.redeemedTotal -= e.amount;
+    } else if (e.type === BP_LEDGER_TYPES.CAP_OVERFLOW) {
+      balance.prestigeBP -= e.amount;
+    } else {
+      balance.earned[e.type] += e.amount;
+      balance.earnedTotal += e.amount;
+      balance.historicalBP = Math.max(balance.historicalBP, balance.earnedTotal);
+    }
+  });
+  return balances;
+}
+
+/**
+ * Writes projected balances into BP_Total's state columns, then records any
+ * prestige tier changes (prestigeTierService.js). Only the projected columns
+ * are written, one column range each, so formulas and hand-kept columns on
+ * BP_Total are left alone.
+ *
+ * @param {Map<string, Object>} balances - projectBPLedger_() result
+ * @param {Array<string>|null} names - Players to write (null = every player, zeroing unknown rows)
+ * @return {number} Rows written
+ * @private
+ */
+function writeBPTotalProjection_(balances, names) {
+  ensureBPTotalSchemaEnhanced_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const nameCol = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME, false);
+  const updatedCol = resolveHeaderIndex(headers, BP_HEADERS.LAST_UPDATED, false);
+
+  const projected = balance => {
+    const values = {
+      [BP_HEADERS.PREFERRED_NAME]: balance.preferredName,
+      [BP_HEADERS.CURRENT_BP]: balance.currentBP,
+      [BP_HEADERS.HISTORICAL_BP]: balance.historicalBP,
+      [BP_HEADERS.REDEEMED_TOTAL]: balance.redeemedTotal,
+      [BP_HEADERS.PRESTIGE_BP]: balance.prestigeBP,
+      [BP_HEADERS.LAST_UPDATED]: balance.lastUpdated
+    };
+    Object.keys(BP_EARN_COLUMNS).forEach(type => { values[BP_EARN_COLUMNS[type]] = balance.earned[type]; });
+    return values;
+  };
+
+  // Sheet row (1-based) → projected values, for existing rows then appended players
+  const wanted = names ? new Set(names) : null;
+  const seen = new Set();
+  const updates = new Map();
+  data.slice(1).forEach((row, i) => {
+    const name = String(row[nameCol] || '').trim();
+    if (!name || (wanted && !wanted.has(name))) return;
+    seen.add(name);
+    const balance = balances.get(name) || emptyBPBalance_(name);
+    if (!balances.has(name)) balance.lastUpdated = row[updatedCol];
+    updates.set(i + 2, projected(balance));
+  });
+  let nextRow = data.length + 1;
+  balances.forEach((balance, name) => {
+    if (seen.has(name) || (wanted && !wanted.has(name))) return;
+    updates.set(nextRow++, projected(balance));
+  });
+
+  // Contiguous runs of touched rows, so untouched rows are never rewritten
+  const runs = [];
+  Array.from(updates.keys()).sort((a, b) => a - b).forEach(row => {
+    const run = runs[runs.length - 1];
+    if (run && row === run.start + run.rows.length) run.rows.push(updates.get(row));
+    else runs.push({ start: row, rows: [updates.get(row)] });
+  });
+  getBPTotalV8Headers().forEach(header => {
+    const col = resolveHeaderIndex(headers, header, false);
+    if (col < 0) return;
+    runs.forEach(run => {
+      sheet.getRange(run.start, col + 1, run.rows.length, 1).setValues(run.rows.map(values => [values[header]]));
+    });
+  });
+
+  // Tier changes never block the projection; a bad Prestige_Tiers sheet is logged
+  try {
+    detectPrestigeTierChanges_(balances, names);
+  } catch (e) {
+    logIntegrityAction('PRESTIGE_TIER_ERROR', { details: e.message, status: 'ERROR' });
+  }
+  return updates.size;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Reads BP_Ledger in entry order
+ * @return {Array<Object>} Entries
+ * @private
+ */
+function readBPLedger_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BP_LEDGER_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, BP_LEDGER_HEADERS.length).getValues()
+    .filter(r => r[0] !== '' && r[3] !== '')
+    .map(r => ({
+      entryId: coerceNumber(r[0], 0),
+      timestamp: String(r[1]),
+      effectiveDate: r[2] instanceof Date
+        ? Utilities.formatDate(r[2], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+        : String(r[2]).slice(0, 10),
+      preferredName: String(r[3]).trim(),
+      type: String(r[4]).trim().toUpperCase(),
+      amount: coerceNumber(r[5], 0),
+      source: String(r[6] || ''),
+      eventId: String(r[7] || ''),
+      batchId: String(r[8] || ''),
+      reverses: r[9] === '' || r[9] === null ? '' : String(r[9]),
+      note: String(r[10] || '')
+    }));
+}
+
+/**
+ * Ledger balance for one player (zeros if they have no entries)
+ * @param {string} preferredName - Canonical player name
+ * @return {Object} projectBPLedger_() balance
+ * @private
+ */
+function getBPLedgerBalance_(preferredName) {
+  const entries = readBPLedger_().filter(e => e.preferredName === preferredName);
+  return projectBPLedger_(entries).get(preferredName) || emptyBPBalance_(preferredName);
+}
+
+/** @private */
+function emptyBPBalance_(preferredName) {
+  return {
+    preferredName,
+    currentBP: 0,
+    historicalBP: 0,
+    redeemedTotal: 0,
+    prestigeBP: 0,
+    earned: { ATTENDANCE: 0, FLAG: 0, DICE: 0, MANUAL: 0 },
+    earnedTotal: 0,
+    lastUpdated: '',
+    entries: 0
+  };
+}
+
+/**
+ * Maps an award source ('D20_ROLL', 'FLAG_MISSION', 'TOP4', ...) to a ledger type
+ * @param {string} source - Award source
+ * @return {string} BP_LEDGER_TYPES value
+ * @private
+ */
+function bpLedgerTypeForSource_(source) {
+  const code = String(source || '').toUpperCase();
+  if (/D20|HYBRID|DICE/.test(code)) return BP_LEDGER_TYPES.DICE;
+  if (/FLAG/.test(code)) return BP_LEDGER_TYPES.FLAG;
+  if (/ATTEND/.test(code)) return BP_LEDGER_TYPES.ATTENDANCE;
+  return BP_LEDGER_TYPES.MANUAL;
+}
+
+/**
+ * Normalizes an as-of date to 'YYYY-MM-DD'
+ * @private
+ */
+function parseBPAsOfDate_(asOf) {
+  const tz = Session.getScriptTimeZone();
+  if (asOf instanceof Date && !isNaN(asOf)) {
+    return Utilities.formatDate(asOf, tz, 'yyyy-MM-dd');
+  }
+  const text = String(asOf || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  const match = text.match(/^(\d{1,2})[-\/](\d{1,2})(?:[-\/](\d{4}))?$/);
+  if (match) {
+    const year = match[3] || Utilities.formatDate(new Date(), tz, 'yyyy');
+    const pad = n => ('0' + n).slice(-2);
+    return `${year}-${pad(match[1])}-${pad(match[2])}`;
+  }
+  throwError(`Cannot read date "${asOf}"`, 'INVALID_DATE', 'Use YYYY-MM-DD, MM-DD-YYYY or MM-DD');
+}
+
+/**
+ * Creates BP_Ledger. If BP_Total already holds balances they are carried
+ * over as opening entries (mission columns as SOURCE_SYNC entries, the rest
+ * as MANUAL) so the first projection reproduces them exactly.
+ *
+ * @return {Sheet} BP_Ledger sheet
+ * @private
+ */
+function ensureBPLedgerSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(BP_LEDGER_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(BP_LEDGER_SHEET);
+  sheet.getRange(1, 1, 1, BP_LEDGER_HEADERS.length).setValues([BP_LEDGER_HEADERS]);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, BP_LEDGER_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#2196f3')
+    .setFontColor('#ffffff');
+
+  const opening = readBPTotalOpeningEntries_();
+  if (opening.length > 0) {
+    appendBPLedgerEntries_(opening, false);
+  }
+
+  logIntegrityAction('BP_LEDGER_CREATE', {
+    details: `Created BP_Ledger with ${opening.length} opening entries from BP_Total`,
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+
+/**
+ * Opening entries that reproduce each existing BP_Total row
+ * @return {Array<Object>} Entries for appendBPLedgerEntries_()
+ * @private
+ */
+function readBPTotalOpeningEntries_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = {};
+  getBPTotalV8Headers().forEach(h => { col[h] = resolveHeaderIndex(headers, h, false); });
+  const nameCol = col[BP_HEADERS.PREFERRED_NAME];
+  if (nameCol === -1) return [];
+  const read = (row, header) => (col[header] >= 0 ? coerceNumber(row[col[header]], 0) : 0);
+  const prestigeCol = col[BP_HEADERS.PRESTIGE_BP];
+
+  const entries = [];
+  data.slice(1).forEach(row => {
+    const preferredName = String(row[nameCol] || '').trim();
+    if (!preferredName) return;
+    const add = (type, amount, source) => {
+      if (amount !== 0) entries.push({ preferredName, type, amount, source, note: 'Opening balance from BP_Total' });
+    };
+
+    const current = read(row, BP_HEADERS.CURRENT_BP);
+    const redeemed = read(row, BP_HEADERS.REDEEMED_TOTAL);
+    const prestige = prestigeCol >= 0 ? read(row, BP_HEADERS.PRESTIGE_BP) : getPlayerPrestige_(preferredName);
+    const mission = ['ATTENDANCE', 'FLAG', 'DICE'].map(type => read(row, BP_EARN_COLUMNS[type]));
+    const earned = Math.max(read(row, BP_HEADERS.HISTORICAL_BP), current + redeemed + prestige, mission[0] + mission[1] + mission[2]);
+
+    ['ATTENDANCE', 'FLAG', 'DICE'].forEach((type, i) => add(type, mission[i], BP_SOURCE_SYNC));
+    add(BP_LEDGER_TYPES.MANUAL, earned - mission[0] - mission[1] - mission[2], 'OPENING_BALANCE');
+    add(BP_LEDGER_TYPES.REDEMPTION, -redeemed, 'OPENING_BALANCE');
+    add(BP_LEDGER_TYPES.CAP_OVERFLOW, -prestige, 'OPENING_BALANCE');
+    // Earned points no longer in the wallet, redeemed or prestige (legacy drift)
+    add(BP_LEDGER_TYPES.MANUAL, current - (earned - redeemed - prestige), 'OPENING_BALANCE');
+  });
+  return entries;
+}
@@ -0,0 +1,241 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * BP LEDGER SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the append-only BP_Ledger: award and
+ * redemption entries, cap overflow, opening balances, deterministic
+ * BP_Total rebuilds, as-of balances and batch reverts.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testBPLedgerService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testBPLedgerService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('BP LEDGER SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Award and Redeem', testBPLedgerAwardRedeem_, results);
+  runTestSuite_('Cap Overflow', testBPLedgerCapOverflow_, results);
+  runTestSuite_('Opening Balances', testBPLedgerOpening_, results);
+  runTestSuite_('Deterministic Rebuild', testBPLedgerRebuild_, results);
+  runTestSuite_('Projection Owns Its Columns', testBPLedgerProjectionColumns_, results);
+  runTestSuite_('Balance As Of', testBPLedgerAsOf_, results);
+  runTestSuite_('Batch Revert', testBPLedgerRevert_, results);
+  runTestSuite_('Validation', testBPLedgerValidation_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Empty workbook with two known players
+ * @private
+ */
+function resetBPLedgerWorkbook_(sheets) {
+  GAS_EMULATOR.reset(Object.assign({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake']]
+  }, sheets || {}));
+}
+
+/** @private */
+function bpLedgerRows_() {
+  return toObjects(GAS_EMULATOR.dump(BP_LEDGER_SHEET));
+}
+
+/** @private */
+function bpLedgerError_(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message;
+  }
+  return '';
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testBPLedgerAwardRedeem_(results) {
+  resetBPLedgerWorkbook_();
+
+  const award = awardBonusPoints('alex', 12, 'FLAG_MISSION', { eventId: 'EVT-1' });
+  const redeem = redeemBonusPoints('Alex', 5, 'STORE_CREDIT');
+  const rows = bpLedgerRows_();
+
+  assert_(award.success && award.currentBP === 12, 'Award posts and returns the new balance', results);
+  assert_(rows.length === 2 && rows[0].Type === 'FLAG' && rows[0].Amount === 12 && rows[0].Event_ID === 'EVT-1',
+    'Award is a typed FLAG entry', results);
+  assert_(redeem.success && rows[1].Type === 'REDEMPTION' && rows[1].Amount === -5,
+    'Redemption is a negative REDEMPTION entry', results);
+  assert_(rows[0].Entry_ID === 1 && rows[1].Entry_ID === 2, 'Entry IDs are sequential', results);
+
+  const alex = toObjects(GAS_EMULATOR.dump('BP_Total')).find(r => r.PreferredName === 'Alex');
+  assert_(alex.Current_BP === 7 && alex.Historical_BP === 12 && alex.Redeemed_Total === 5 &&
+    alex['Flag Mission Points'] === 12, 'BP_Total is the projection of the ledger', results);
+  assert_(!redeemBonusPoints('Alex', 50, 'STORE_CREDIT').success && bpLedgerRows_().length === 2,
+    'Over-redemption posts nothing', results);
+}
+
+function testBPLedgerCapOverflow_(results) {
+  resetBPLedgerWorkbook_({ Prize_Throttle: [['Parameter', 'Value'], ['BP_Global_Cap', 20]] });
+
+  const award = awardBonusPoints('Alex', 25, 'TOP4');
+  const rows = bpLedgerRows_();
+
+  assert_(award.currentBP === 20 && award.overflow === 5 && award.prestige === 5, 'Award reports the overflow', results);
+  assert_(rows.length === 2 && rows[1].Type === 'CAP_OVERFLOW' && rows[1].Amount === -5,
+    'Overflow is booked as its own entry', results);
+  assert_(rows[1].Source === 'TOP4', 'Overflow entry carries the award source', results);
+
+  const alex = toObjects(GAS_EMULATOR.dump('BP_Total')).find(r => r.PreferredName === 'Alex');
+  assert_(alex.Prestige_BP === 5 && alex.Historical_BP === 25, 'Prestige_BP and Historical_BP project from the ledger', results);
+}
+
+function testBPLedgerOpening_(results) {
+  resetBPLedgerWorkbook_({
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'Historical_BP', 'Redeemed_Total', 'Prestige_BP', 'Attendance Mission Points'],
+      ['Alex', 30, 50, 15, 5, 20],
+      ['Blake', 4, 4, 0, 0, 0]
+    ]
+  });
+
+  const before = GAS_EMULATOR.dump('BP_Total').slice(1).map(r => r.slice(0, 6).join('|'));
+  rebuildBPTotalFromLedger();
+  const after = GAS_EMULATOR.dump('BP_Total').slice(1).map(r => r.slice(0, 6).join('|'));
+  const rows = bpLedgerRows_();
+
+  assert_(after.join(',') === before.join(','), 'Opening entries reproduce existing BP_Total balances', results);
+  assert_(rows.some(r => r.PreferredName === 'Alex' && r.Type === 'ATTENDANCE' && r.Source === BP_SOURCE_SYNC && r.Amount === 20),
+    'Mission columns open as SOURCE_SYNC entries', results);
+  assert_(rows.some(r => r.PreferredName === 'Alex' && r.Type === 'REDEMPTION' && r.Amount === -15),
+    'Redeemed_Total opens as a REDEMPTION entry', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'BP_LEDGER_CREATE') && log.some(r => r.Action === 'BP_PROJECT'),
+    'Ledger creation and projection are logged', results);
+}
+
+function testBPLedgerRebuild_(results) {
+  resetBPLedgerWorkbook_();
+  awardBonusPoints('Alex', 10, 'D20_ROLL');
+  awardBonusPoints('Blake', 3, 'MANUAL');
+  const projected = GAS_EMULATOR.dump('BP_Total');
+
+  // Hand edit: Alex's balance overwritten, a stray player added
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+  sheet.getRange(2, resolveHeaderIndex(projected[0], BP_HEADERS.CURRENT_BP) + 1).setValue(999);
+  sheet.appendRow(['Casey', 7]);
+
+  const result = rebuildBPTotalFromLedger();
+  const rows = toObjects(GAS_EMULATOR.dump('BP_Total'));
+
+  assert_(result.players === 3 && result.entries === 2, 'Rebuild reports players and entries', results);
+  assert_(rows.find(r => r.PreferredName === 'Alex').Current_BP === 10 &&
+    rows.find(r => r.PreferredName === 'Alex')['Dice Roll Points'] === 10, 'Hand edits are replaced by the projection', results);
+  assert_(rows.find(r => r.PreferredName === 'Casey').Current_BP === 0, 'Players without entries are zeroed', results);
+
+  const first = JSON.stringify(GAS_EMULATOR.dump('BP_Total'));
+  rebuildBPTotalFromLedger();
+  assert_(JSON.stringify(GAS_EMULATOR.dump('BP_Total')) === first, 'Rebuilding twice gives the same sheet', results);
+}
+
+function testBPLedgerProjectionColumns_(results) {
+  resetBPLedgerWorkbook_({
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'Staff_Notes', 'Rank'],
+      ['Alex', 0, 'VIP', ''],
+      ['Blake', 0, 'new', '']
+    ]
+  });
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+  sheet.getRange(2, 4, 2, 1).setFormulas([['=RANK(B2,B:B)'], ['=RANK(B3,B:B)']]);
+  sheet.getRange(3, 2).setValue(77); // Concurrent hand edit on another player's row
+
+  awardBonusPoints('Alex', 5, 'MANUAL');
+  const rows = toObjects(GAS_EMULATOR.dump('BP_Total'));
+
+  assert_(rows[0].Current_BP === 5, 'Awarded player is projected', results);
+  assert_(rows[0].Staff_Notes === 'VIP' && rows[1].Staff_Notes === 'new', 'Columns the projection does not own are kept', results);
+  assert_(sheet.getRange(2, 4).getFormula() === '=RANK(B2,B:B)' && sheet.getRange(3, 4).getFormula() === '=RANK(B3,B:B)',
+    'Formulas in other columns survive', results);
+  assert_(rows[1].Current_BP === 77, 'Rows of players not being projected are not rewritten', results);
+}
+
+function testBPLedgerAsOf_(results) {
+  resetBPLedgerWorkbook_({
+    BP_Ledger: [
+      BP_LEDGER_HEADERS,
+      [1, '2026-01-05T10:00:00Z', '2026-01-05', 'Alex', 'ATTENDANCE', 10, 'SOURCE_SYNC', '', '', '', '', 'a@x'],
+      [2, '2026-02-01T10:00:00Z', '2026-02-01', 'Alex', 'REDEMPTION', -4, 'STORE_CREDIT', '', '', '', '', 'a@x'],
+      [3, '2026-03-01T10:00:00Z', '2026-03-01', 'Alex', 'DICE', 6, 'D20_ROLL', '', '', '', '', 'a@x'],
+      [4, '2026-03-02T10:00:00Z', '2026-03-02', 'Blake', 'MANUAL', 2, 'MANUAL', '', '', '', '', 'a@x']
+    ]
+  });
+
+  const jan = getBPBalanceAsOf('Alex', '2026-01-31');
+  const feb = getBPBalanceAsOf('alex', '02-15-2026');
+  const now = getBPBalanceAsOf('Alex', new Date(2026, 11, 31));
+
+  assert_(jan.currentBP === 10 && jan.redeemedTotal === 0 && jan.entries === 1, 'January balance ignores later entries', results);
+  assert_(feb.asOf === '2026-02-15' && feb.currentBP === 6 && feb.redeemedTotal === 4 && feb.historicalBP === 10,
+    'MM-DD-YYYY dates and redemptions are applied', results);
+  assert_(now.currentBP === 12 && now.historicalBP === 16 && now.entries === 3, 'Year-end balance includes every entry', results);
+  assert_(getBPBalanceAsOf('Alex', '2025-12-31').currentBP === 0, 'Before the first entry the balance is zero', results);
+
+  assert_(bpLedgerError_(() => getBPBalanceAsOf('Alex', 'someday')).indexOf('[INVALID_DATE]') === 0,
+    'Unreadable dates are rejected', results);
+  assert_(bpLedgerError_(() => getBPBalanceAsOf('Nobody', '2026-01-01')).indexOf('[PLAYER_NOT_FOUND]') === 0,
+    'Unknown players are rejected', results);
+}
+
+function testBPLedgerRevert_(results) {
+  resetBPLedgerWorkbook_();
+  awardBonusPoints('Alex', 4, 'MANUAL');
+  awardBonusPoints('Alex', 6, 'TOP4', { batchId: 'B-1', eventId: 'EVT-1' });
+  awardBonusPoints('Blake', 2, 'TOP4', { batchId: 'B-1', eventId: 'EVT-1' });
+
+  const result = revertBatch('B-1');
+  const rows = bpLedgerRows_();
+  const totals = toObjects(GAS_EMULATOR.dump('BP_Total'));
+
+  assert_(result.bpEntriesReverted === 2, 'revertBatch reverses the batch entries', results);
+  assert_(rows.length === 5 && rows.slice(3).every(r => r.Reverses_Entry !== '' && r.Batch_ID === 'B-1'),
+    'Reversals are appended, originals stay', results);
+  assert_(totals.find(r => r.PreferredName === 'Alex').Current_BP === 4 &&
+    totals.find(r => r.PreferredName === 'Blake').Current_BP === 0, 'Balances drop back', results);
+  assert_(totals.find(r => r.PreferredName === 'Alex').Historical_BP === 4, 'Voided entries leave no history', results);
+  assert_(getBPLedgerBatchEntries_('B-1').length === 0, 'Nothing left to revert in the batch', results);
+}
+
+function testBPLedgerValidation_(results) {
+  resetBPLedgerWorkbook_();
+
+  assert_(bpLedgerError_(() => recordBPLedgerEntries([{ preferredName: 'Alex', type: 'BOGUS', amount: 1 }]))
+    .indexOf('[BP_LEDGER_INVALID]') === 0, 'Unknown entry types are rejected', results);
+  assert_(bpLedgerError_(() => recordBPLedgerEntries([{ preferredName: 'Alex', type: 'MANUAL', amount: 'x' }]))
+    .indexOf('[BP_LEDGER_INVALID]') === 0, 'Non-numeric amounts are rejected', results);
+  assert_(bpLedgerRows_().length === 0, 'Rejected entries write nothing', results);
+
+  assert_(bpLedgerTypeForSource_('D20_ROLL') === 'DICE' && bpLedgerTypeForSource_('ATTENDANCE_MISSION') === 'ATTENDANCE' &&
+    bpLedgerTypeForSource_('TOP4') === 'MANUAL', 'Award sources map to ledger types', results);
+}
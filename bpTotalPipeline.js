@@ -1,6 +1,6 @@
 /**
  * BP Total Pipeline Service v8.0.0
- * @fileoverview CANONICAL pipeline for synchronizing BP_Total from source sheets:
+ * @fileoverview CANONICAL pipeline for synchronizing BP from source sheets:
  *   - Attendance_Missions (Attendance Mission Points)
  *   - Flag_Missions (Flag Mission Points)
  *   - Dice Roll Points (Dice Roll Points)
@@ -10,10 +10,12 @@
  *   Attendance Mission Points | Flag Mission Points | Dice Roll Points | 
  *   Manual_Adjustment_Points | LastUpdated
  *
- * This is the ONLY file that should write to the BP_Total state columns.
+ * Source changes are posted to BP_Ledger (bpLedgerService.js); BP_Total's
+ * state columns are only ever written by the ledger projection.
  * 
  * DEPENDENCIES:
  *   - bpHeaderResolver.js (BP_HEADERS, resolveHeaderIndex)
+ *   - bpLedgerService.js (BP_Ledger, projection)
  */
 
 // ============================================================================
@@ -21,44 +23,32 @@
 // ============================================================================
 
 /**
- * Synchronizes BP_Total from the three mission source sheets.
+ * Synchronizes BP from the three mission source sheets.
  * This is the CANONICAL entry point for BP sync operations.
  *
  * Pipeline:
  *   1. Reads mission totals from Attendance_Missions, Flag_Missions, Dice Roll Points
- *   2. Writes them into BP_Total mission columns
- *   3. Computes totalFromSources = att + flag + dice
- *   4. Applies BP_Global_Cap from Prize_Throttle to clamp Current_BP
- *   5. Updates BP_Historical as monotonic lifetime max
- *   6. Updates LastUpdated timestamp
+ *   2. Posts the difference from the SOURCE_SYNC entries already on BP_Ledger
+ *      (ATTENDANCE / FLAG / DICE; negative when a source total went down)
+ *   3. Books anything above BP_Global_Cap as CAP_OVERFLOW (→ Prestige_BP)
+ *   4. Re-projects the changed players into BP_Total
  *
  * @return {number} Count of players updated
  */
 function updateBPTotalFromSources() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sources = {
+    ATTENDANCE: getAttendanceMissionPoints_(),
+    FLAG: getFlagMissionPoints_(),
+    DICE: getDiceRollPoints_()
+  };
 
   // Ensure BP_Total has correct schema
   ensureBPTotalSchemaEnhanced_();
 
-  const bpSheet = ss.getSheetByName('BP_Total');
-  if (!bpSheet) {
-    console.error('BP_Total sheet not found after schema ensure');
-    return 0;
-  }
-
-  // Get throttle cap
-  const globalCap = getBPGlobalCap_();
-
-  // Read source data
-  const attendanceMap = getAttendanceMissionPoints_();
-  const flagMap = getFlagMissionPoints_();
-  const diceMap = getDiceRollPoints_();
-
-  // Build set of all player names across all sources
   const allNames = new Set([
-    ...attendanceMap.keys(),
-    ...flagMap.keys(),
-    ...diceMap.keys()
+    ...sources.ATTENDANCE.keys(),
+    ...sources.FLAG.keys(),
+    ...sources.DICE.keys()
   ]);
 
   if (allNames.size === 0) {
@@ -66,110 +56,55 @@ function updateBPTotalFromSources() {
     return 0;
   }
 
-  // Read BP_Total data
-  const bpData = bpSheet.getDataRange().getValues();
-  const headers = bpData[0];
-
-  // Use header resolver for column mapping
-  const colMap = {};
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
   try {
-    colMap[BP_HEADERS.PREFERRED_NAME] = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME);
-    colMap[BP_HEADERS.CURRENT_BP] = resolveHeaderIndex(headers, BP_HEADERS.CURRENT_BP);
-    colMap[BP_HEADERS.ATTENDANCE_POINTS] = resolveHeaderIndex(headers, BP_HEADERS.ATTENDANCE_POINTS);
-    colMap[BP_HEADERS.FLAG_POINTS] = resolveHeaderIndex(headers, BP_HEADERS.FLAG_POINTS);
-    colMap[BP_HEADERS.DICE_POINTS] = resolveHeaderIndex(headers, BP_HEADERS.DICE_POINTS);
-    colMap[BP_HEADERS.LAST_UPDATED] = resolveHeaderIndex(headers, BP_HEADERS.LAST_UPDATED);
-    colMap[BP_HEADERS.HISTORICAL_BP] = resolveHeaderIndex(headers, BP_HEADERS.HISTORICAL_BP);
-  } catch (e) {
-    console.error('BP_Total schema validation failed:', e.message);
-    return 0;
-  }
+    ensureBPLedgerSheet_();
+
+    // What the ledger already holds from earlier syncs, per player and type
+    const synced = new Map();
+    readBPLedger_()
+      .filter(e => e.source === BP_SOURCE_SYNC)
+      .forEach(e => {
+        const key = `${e.preferredName}|${e.type}`;
+        synced.set(key, (synced.get(key) || 0) + e.amount);
+      });
 
-  // Build map of existing BP_Total rows by PreferredName
-  const existingRows = new Map();
-  for (let i = 1; i < bpData.length; i++) {
-    const name = String(bpData[i][colMap[BP_HEADERS.PREFERRED_NAME]] || '').trim();
-    if (name) {
-      existingRows.set(name, i); // Row index in data array (0-based)
+    const entries = [];
+    for (const playerName of allNames) {
+      Object.keys(sources).forEach(type => {
+        const delta = (sources[type].get(playerName) || 0) - (synced.get(`${playerName}|${type}`) || 0);
+        if (Math.abs(delta) > 1e-9) {
+          entries.push({
+            preferredName: playerName,
+            type,
+            amount: delta,
+            source: BP_SOURCE_SYNC,
+            note: `${BP_EARN_COLUMNS[type]} now ${sources[type].get(playerName) || 0}`
+          });
+        }
+      });
     }
-  }
 
-  const now = new Date();
-  let updatedCount = 0;
-  const newRows = [];
-
-  // Process all players
-  for (const playerName of allNames) {
-    const attPoints = attendanceMap.get(playerName) || 0;
-    const flagPts = flagMap.get(playerName) || 0;
-    const dicePts = diceMap.get(playerName) || 0;
-
-    const totalFromSources = attPoints + flagPts + dicePts;
-    const newCurrentBP = Math.min(totalFromSources, globalCap);
-
-    if (existingRows.has(playerName)) {
-      // Update existing row
-      const rowIdx = existingRows.get(playerName);
-      const rowNum = rowIdx + 1; // 1-based for sheet
-
-      // Get current values
-      const oldAttendance = coerceNumber(bpData[rowIdx][colMap[BP_HEADERS.ATTENDANCE_POINTS]], 0);
-      const oldFlag = coerceNumber(bpData[rowIdx][colMap[BP_HEADERS.FLAG_POINTS]], 0);
-      const oldDice = coerceNumber(bpData[rowIdx][colMap[BP_HEADERS.DICE_POINTS]], 0);
-      const currentHistorical = coerceNumber(bpData[rowIdx][colMap[BP_HEADERS.HISTORICAL_BP]], 0);
-
-      // Check if anything changed
-      const hasChanges = (
-        oldAttendance !== attPoints ||
-        oldFlag !== flagPts ||
-        oldDice !== dicePts
-      );
-
-      if (hasChanges) {
-        // Update BP_Historical as monotonic max
-        const newHistorical = Math.max(currentHistorical, totalFromSources);
-
-        // Write updates
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.ATTENDANCE_POINTS] + 1).setValue(attPoints);
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.FLAG_POINTS] + 1).setValue(flagPts);
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.DICE_POINTS] + 1).setValue(dicePts);
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.CURRENT_BP] + 1).setValue(newCurrentBP);
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.HISTORICAL_BP] + 1).setValue(newHistorical);
-        bpSheet.getRange(rowNum, colMap[BP_HEADERS.LAST_UPDATED] + 1).setValue(now);
-
-        updatedCount++;
-      }
-    } else {
-      // New player - prepare row for batch append
-      const newRow = new Array(headers.length).fill('');
-      newRow[colMap[BP_HEADERS.PREFERRED_NAME]] = playerName;
-      newRow[colMap[BP_HEADERS.CURRENT_BP]] = newCurrentBP;
-      newRow[colMap[BP_HEADERS.ATTENDANCE_POINTS]] = attPoints;
-      newRow[colMap[BP_HEADERS.FLAG_POINTS]] = flagPts;
-      newRow[colMap[BP_HEADERS.DICE_POINTS]] = dicePts;
-      newRow[colMap[BP_HEADERS.LAST_UPDATED]] = now;
-      newRow[colMap[BP_HEADERS.HISTORICAL_BP]] = totalFromSources;
-
-      newRows.push(newRow);
-      updatedCount++;
+    if (entries.length === 0) {
+      return 0;
     }
-  }
 
-  // Batch append new rows
-  if (newRows.length > 0) {
-    const startRow = bpSheet.getLastRow() + 1;
-    bpSheet.getRange(startRow, 1, newRows.length, headers.length).setValues(newRows);
-  }
+    snapshotBeforeCommit('BP_TOTAL_SYNC', '', [BP_LEDGER_SHEET, 'BP_Total']);
+    const appended = appendBPLedgerEntries_(entries);
+    const names = unique(entries.map(e => e.preferredName));
+    writeBPTotalProjection_(projectBPLedger_(readBPLedger_()), names);
 
-  // Log the sync
-  if (typeof logIntegrityAction === 'function') {
+    // Log the sync
     logIntegrityAction('BP_TOTAL_SYNC', {
-      details: `Synced ${updatedCount} player(s) from sources. Cap: ${globalCap}`,
+      details: `Synced ${names.length} player(s) from sources: ${appended.length} ledger entries. Cap: ${getBPGlobalCap_()}`,
       status: 'SUCCESS'
     });
-  }
 
-  return updatedCount;
+    return names.length;
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 // ============================================================================
@@ -309,7 +244,7 @@ function ensureBPTotalSchemaEnhanced_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName('BP_Total');
 
-  const requiredHeaders = getBPTotalRequiredHeaders();
+  const requiredHeaders = getBPTotalV8Headers();
 
   if (!sheet) {
     // Create new sheet with full schema
@@ -406,11 +341,12 @@ function ensureBPTotalConsolidatedSchema() {
 }
 
 /**
- * @deprecated No longer needed
- * Legacy migration function - now a no-op
+ * @deprecated Use runSchemaMigrations() instead
+ * Legacy migration entry point - runs the numbered schema migrations
  */
 function migrateBPTotalSchema_() {
-  console.warn('migrateBPTotalSchema_ is deprecated. Schema is now managed by ensureBPTotalSchemaEnhanced_.');
+  console.warn('migrateBPTotalSchema_ is deprecated. BP_Total headers are migrated by runSchemaMigrations().');
+  runSchemaMigrations();
   ensureBPTotalSchemaEnhanced_();
 }
 
@@ -0,0 +1,137 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * BP TOTAL PIPELINE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for updateBPTotalFromSources().
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testBPTotalPipeline() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testBPTotalPipeline() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('BP TOTAL PIPELINE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Schema Creation', testBPPipelineSchema_, results);
+  runTestSuite_('Source Aggregation', testBPPipelineAggregation_, results);
+  runTestSuite_('Global Cap & Historical', testBPPipelineCap_, results);
+  runTestSuite_('Idempotency', testBPPipelineIdempotency_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Seeds the three mission source sheets
+ * @param {Object} points - {name: [attendance, flag, dice]}
+ */
+function seedBPSources_(points) {
+  const attendance = [['PreferredName', 'Attendance Mission Points']];
+  const flags = [['PreferredName', 'Flag Mission Points']];
+  const dice = [['PreferredName', 'Dice Roll Points']];
+  Object.keys(points).forEach(name => {
+    attendance.push([name, points[name][0]]);
+    flags.push([name, points[name][1]]);
+    dice.push([name, points[name][2]]);
+  });
+  GAS_EMULATOR.seedSheet('Attendance_Missions', attendance);
+  GAS_EMULATOR.seedSheet('Flag_Missions', flags);
+  GAS_EMULATOR.seedSheet('Dice Roll Points', dice);
+}
+
+/**
+ * Returns BP_Total rows keyed by PreferredName
+ * @return {Object} {name: rowObject}
+ */
+function readBPTotalByName_() {
+  const byName = {};
+  toObjects(GAS_EMULATOR.dump('BP_Total')).forEach(row => {
+    byName[row.PreferredName] = row;
+  });
+  return byName;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testBPPipelineSchema_(results) {
+  GAS_EMULATOR.reset();
+  assert_(updateBPTotalFromSources() === 0, 'No source rows → nothing updated', results);
+
+  const headers = GAS_EMULATOR.dump('BP_Total')[0];
+  assert_(getBPTotalRequiredHeaders().every(h => headers.includes(h)),
+    'BP_Total is created with every required header', results);
+
+  GAS_EMULATOR.reset({ BP_Total: [['PreferredName', 'Current_BP']] });
+  seedBPSources_({ Alex: [1, 0, 0] });
+  updateBPTotalFromSources();
+  const patched = GAS_EMULATOR.dump('BP_Total')[0];
+  assert_(patched[0] === 'PreferredName' && patched[1] === 'Current_BP' && patched.includes('Historical_BP'),
+    'Missing columns are appended without moving existing ones', results);
+}
+
+function testBPPipelineAggregation_(results) {
+  GAS_EMULATOR.reset();
+  seedBPSources_({ Alex: [10, 5, 2], Blake: [3, 0, 0] });
+
+  const updated = updateBPTotalFromSources();
+  const rows = readBPTotalByName_();
+
+  assert_(updated === 2, 'Both players are written', results);
+  assert_(rows.Alex.Current_BP === 17, 'Current_BP = attendance + flag + dice', results);
+  assert_(rows.Alex['Attendance Mission Points'] === 10 && rows.Alex['Flag Mission Points'] === 5 &&
+    rows.Alex['Dice Roll Points'] === 2, 'Source columns are mirrored into BP_Total', results);
+  assert_(rows.Blake.Historical_BP === 3, 'New players start with Historical_BP = total', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'BP_TOTAL_SYNC'), 'The sync is logged to Integrity_Log', results);
+}
+
+function testBPPipelineCap_(results) {
+  GAS_EMULATOR.reset({
+    Prize_Throttle: [['Parameter', 'Value'], ['BP_Global_Cap', 50]]
+  });
+  seedBPSources_({ Alex: [40, 20, 5] });
+
+  updateBPTotalFromSources();
+  let alex = readBPTotalByName_().Alex;
+  assert_(alex.Current_BP === 50, 'Current_BP is clamped to BP_Global_Cap', results);
+  assert_(alex.Historical_BP === 65, 'Historical_BP keeps the uncapped total', results);
+  assert_(alex.Prestige_BP === 15, 'Overflow above the cap is booked to Prestige_BP', results);
+
+  // Corrections post negative ledger deltas; booked overflow stays in prestige
+  seedBPSources_({ Alex: [30, 10, 5] });
+  updateBPTotalFromSources();
+  alex = readBPTotalByName_().Alex;
+  assert_(alex.Current_BP === 30, 'Current_BP follows source corrections downward', results);
+  assert_(alex.Historical_BP === 65, 'Historical_BP never decreases', results);
+  assert_(alex.Prestige_BP === 15, 'Prestige_BP is not clawed back', results);
+}
+
+function testBPPipelineIdempotency_(results) {
+  GAS_EMULATOR.reset();
+  seedBPSources_({ Alex: [4, 4, 4] });
+
+  assert_(updateBPTotalFromSources() === 1, 'First sync updates the player', results);
+  assert_(updateBPTotalFromSources() === 0, 'Second sync with unchanged sources updates nobody', results);
+  assert_(GAS_EMULATOR.dump('BP_Total').length === 2, 'No duplicate rows are appended', results);
+}
@@ -124,6 +124,11 @@ function checkGateA_() {
     });
   });
 
+  const schema = getSchemaMigrationStatus();
+  if (schema.behind) {
+    issues.push(`Schema_Version v${schema.current} behind code v${schema.expected} (pending: ${schema.pending.join(', ')})`);
+  }
+
   return {
     gate: 'A',
     name: 'Headers/Schema',
@@ -139,9 +144,12 @@ function checkGateA_() {
  * @private
  */
 function fixGateA_() {
+  // Migrate legacy headers before ensure* appends any missing canonical ones
+  const migration = runSchemaMigrations();
+
   ensureCatalogSchema();
   ensureKeyTrackerSchema();
-  ensureBPTotalSchema();
+  ensureBPTotalSchemaEnhanced_();
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
@@ -169,7 +177,7 @@ function fixGateA_() {
     createThrottleSheet_();
   }
 
-  return 'Headers and schemas repaired';
+  return `Headers and schemas repaired (schema v${migration.toVersion})`;
 }
 
 // ============================================================================
@@ -201,7 +209,7 @@ function checkGateB_() {
  */
 function fixGateB_() {
   ensureKeyTrackerSchema();
-  ensureBPTotalSchema();
+  ensureBPTotalSchemaEnhanced_();
   return 'Canonical name sheets ensured';
 }
 
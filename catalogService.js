@@ -76,6 +76,7 @@ function updateItems(edits) {
     throwError('Code column not found', 'CATALOG_INVALID');
   }
   let changeCount = 0;
+  const arrivals = [];
   edits.forEach(edit => {
     const { code, field, value } = edit;
     const fieldCol = headers.indexOf(field);
@@ -91,12 +92,37 @@ function updateItems(edits) {
             details: `${code}.${field}: ${oldValue} → ${value}`,
             status: 'SUCCESS'
           });
+          // Restocked (Qty from 0) or back in stock → wishlist "who wants this"
+          const restocked = field === 'Qty' && coerceNumber(oldValue, 0) <= 0 && coerceNumber(value, 0) > 0;
+          const backInStock = field === 'InStock' && !coerceBoolean(oldValue) && coerceBoolean(value);
+          if (restocked || backInStock) {
+            arrivals.push({ source: 'CATALOG', code, name: String(data[i][headers.indexOf('Name')] || code) });
+          }
+          data[i][fieldCol] = value;
         }
         break;
       }
     }
   });
-  return { changed: changeCount };
+  return { changed: changeCount, wishlistDemand: reportWishlistDemandSafe_(arrivals, 'STOCK_ARRIVED') };
+}
+
+/**
+ * Runs the wishlist "who wants this" report without letting a wishlist
+ * problem fail the catalog / bucket write that triggered it
+ * @param {Array<Object>} items - [{source, code, name}]
+ * @param {string} trigger - Report trigger
+ * @return {Array<Object>} Report entries ([] on error)
+ * @private
+ */
+function reportWishlistDemandSafe_(items, trigger) {
+  if (items.length === 0) return [];
+  try {
+    return reportWishlistDemand(items, trigger);
+  } catch (e) {
+    Logger.log('Wishlist demand report failed: ' + e.message);
+    return [];
+  }
 }
 // ============================================================================
 // DRY RUN
@@ -270,6 +296,12 @@ function importPreorderAllocationFromUI(payload) {
     status: 'SUCCESS'
   });
 
+  const opened = items.map(item => ({
+    source: 'PREORDER',
+    code: item.itemCode || '',
+    name: setName + ' ' + item.itemName
+  }));
+
   return {
     success: true,
     imported: items.length,
@@ -278,7 +310,8 @@ function importPreorderAllocationFromUI(payload) {
       name: item.itemName,
       code: item.itemCode,
       qty: item.quantity
-    }))
+    })),
+    wishlistDemand: reportWishlistDemandSafe_(opened, 'BUCKET_OPENED')
   };
 }
 
@@ -0,0 +1,278 @@
+/**
+ * Column Ownership Service - Pipeline-Only Write Guard
+ * @fileoverview Declares which service owns which column on which sheet and
+ * enforces it from onEditRouter(): a hand edit to an owned column is put back
+ * to its old value, turned into a proper adjustment where one exists (BP
+ * edits become MANUAL BP_Ledger entries), and logged to Integrity_Log as
+ * OWNED_COLUMN_EDIT with the editor's identity.
+ *
+ * Header rows are not guarded (schema repairs edit them). Multi-cell pastes
+ * carry no old values: BP_Total rows are re-projected from BP_Ledger, other
+ * sheets are logged as WARNING for a manual fix.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Owned columns per sheet. `adjust` maps a column to the handler that turns
+ * an edit into a ledger adjustment; other owned columns are only reverted.
+ * @const {Object<string, {owner: string, columns: Array<string>, adjust: Object<string, Function>}>}
+ */
+const COLUMN_OWNERSHIP = {
+  BP_Total: {
+    owner: 'bpLedgerService',
+    columns: [
+      BP_HEADERS.CURRENT_BP,
+      BP_HEADERS.HISTORICAL_BP,
+      BP_HEADERS.REDEEMED_TOTAL,
+      BP_HEADERS.PRESTIGE_BP,
+      BP_HEADERS.ATTENDANCE_POINTS,
+      BP_HEADERS.FLAG_POINTS,
+      BP_HEADERS.DICE_POINTS,
+      BP_HEADERS.MANUAL_ADJUSTMENT,
+      BP_HEADERS.LAST_UPDATED
+    ],
+    adjust: {
+      [BP_HEADERS.CURRENT_BP]: adjustBPFromEdit_,
+      [BP_HEADERS.MANUAL_ADJUSTMENT]: adjustBPFromEdit_
+    }
+  },
+  Key_Tracker: {
+    owner: 'keyService',
+    columns: [
+      'Total_Number_of_Keys',
+      'Colors_of_Keys_Earned',
+      'Collected_All_5',
+      'Eligible_for_rainbow_key',
+      'RainbowEligible',
+      'Able to Unlock?'
+    ],
+    adjust: {}
+  },
+  Store_Credit_Ledger: {
+    owner: 'storeCreditService',
+    columns: ['RunningBalance'],
+    adjust: {}
+  }
+};
+
+/** Source tag on ledger entries created from a guarded edit */
+const DIRECT_EDIT_SOURCE = 'DIRECT_EDIT';
+
+// ============================================================================
+// ENFORCEMENT (called by onEditRouter)
+// ============================================================================
+
+/**
+ * Owned columns touched by an edited range (header row excluded)
+ *
+ * @param {Range} range - Edited range
+ * @return {Array<Object>} [{column, header, owner, adjust}] (empty when nothing owned)
+ */
+function findOwnedColumns_(range) {
+  const sheet = range.getSheet();
+  const ownership = COLUMN_OWNERSHIP[sheet.getName()];
+  if (!ownership || range.getLastRow() < 2) return [];
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const owned = [];
+  for (let column = range.getColumn(); column <= range.getLastColumn(); column++) {
+    const header = String(headers[column - 1] || '').trim();
+    if (ownership.columns.includes(header)) {
+      owned.push({ column, header, owner: ownership.owner, adjust: ownership.adjust[header] || null });
+    }
+  }
+  return owned;
+}
+
+/**
+ * Reverts an edit to owned columns, applies any adjustment and logs it.
+ * Caller (onEditRouter) holds the script lock.
+ *
+ * @param {Object} e - Edit event object
+ * @param {Array<Object>} owned - findOwnedColumns_() result
+ * @return {Object} {reverted, adjusted, status}
+ */
+function enforceColumnOwnership_(e, owned) {
+  const range = e.range;
+  const sheet = range.getSheet();
+  const sheetName = sheet.getName();
+  const editor = (e.user && typeof e.user.getEmail === 'function' && e.user.getEmail()) || currentUser();
+  const cell = `${sheetName}!${range.getA1Notation()}`;
+
+  if (range.getNumRows() > 1 || range.getNumColumns() > 1) {
+    return enforcePastedOwnership_(range, owned, editor, cell);
+  }
+
+  const target = owned[0];
+  const edit = {
+    sheet,
+    row: range.getRow(),
+    header: target.header,
+    oldValue: e.oldValue,
+    value: e.value,
+    editor
+  };
+
+  // Put the pipeline value back before anything reads the row
+  restoreEditedCell_(range, e.oldValue);
+  const note = target.adjust ? target.adjust(edit) : '';
+
+  logIntegrityAction('OWNED_COLUMN_EDIT', {
+    preferredName: edit.preferredName || '',
+    details: `Editor: ${editor} | ${cell} | ${target.header} is owned by ${target.owner} | ` +
+      `${formatEditedValue_(e.oldValue)} → ${formatEditedValue_(e.value)} reverted` + (note ? ` | ${note}` : ''),
+    status: 'BLOCKED'
+  });
+  return { reverted: 1, adjusted: note ? 1 : 0, status: 'BLOCKED' };
+}
+
+// ============================================================================
+// ADJUSTMENTS
+// ============================================================================
+
+/**
+ * Turns a typed Current_BP / Manual_Adjustment_Points value into a MANUAL
+ * BP_Ledger entry for the difference and re-projects the player's row.
+ *
+ * @param {Object} edit - {sheet, row, header, value, editor}; preferredName is set on it
+ * @return {string} Note for the log ('' when nothing was posted)
+ * @private
+ */
+function adjustBPFromEdit_(edit) {
+  const headers = edit.sheet.getRange(1, 1, 1, edit.sheet.getLastColumn()).getValues()[0];
+  const nameCol = resolveHeaderIndex(headers, BP_HEADERS.PREFERRED_NAME, false);
+  const preferredName = nameCol === -1 ? '' : String(edit.sheet.getRange(edit.row, nameCol + 1).getValue() || '').trim();
+  const typed = Number(edit.value);
+  if (!preferredName || edit.value === undefined || edit.value === '' || isNaN(typed)) return '';
+  edit.preferredName = preferredName;
+
+  ensureBPLedgerSheet_();
+  const balance = getBPLedgerBalance_(preferredName);
+  const delta = edit.header === BP_HEADERS.CURRENT_BP
+    ? typed - balance.currentBP
+    : typed - balance.earned.MANUAL;
+  if (delta === 0) return '';
+
+  const appended = appendBPLedgerEntries_([{
+    preferredName,
+    type: BP_LEDGER_TYPES.MANUAL,
+    amount: delta,
+    source: DIRECT_EDIT_SOURCE,
+    note: `${edit.header} typed as ${typed} by ${edit.editor}`
+  }]);
+  writeBPTotalProjection_(projectBPLedger_(readBPLedger_()), [preferredName]);
+  return `Posted MANUAL ${delta > 0 ? '+' : ''}${delta} BP (entry ${appended[0].entryId})`;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Multi-cell paste over owned columns: re-project BP_Total rows from the
+ * ledger; elsewhere old values are unknown, so only log.
+ * @private
+ */
+function enforcePastedOwnership_(range, owned, editor, cell) {
+  const sheet = range.getSheet();
+  const headers = owned.map(o => o.header).join(', ');
+  const nameCol = sheet.getName() === 'BP_Total'
+    ? resolveHeaderIndex(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0], BP_HEADERS.PREFERRED_NAME, false)
+    : -1;
+  const canRestore = nameCol !== -1 &&
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BP_LEDGER_SHEET) !== null;
+
+  if (!canRestore) {
+    logIntegrityAction('OWNED_COLUMN_EDIT', {
+      details: `Editor: ${editor} | ${cell} | Paste over owned column(s) ${headers} could not be reverted`,
+      status: 'WARNING'
+    });
+    return { reverted: 0, adjusted: 0, status: 'WARNING' };
+  }
+
+  const firstRow = Math.max(range.getRow(), 2);
+  const names = unique(sheet.getRange(firstRow, nameCol + 1, range.getLastRow() - firstRow + 1, 1).getValues()
+    .map(r => String(r[0] || '').trim())
+    .filter(Boolean));
+  writeBPTotalProjection_(projectBPLedger_(readBPLedger_()), names);
+
+  logIntegrityAction('OWNED_COLUMN_EDIT', {
+    details: `Editor: ${editor} | ${cell} | Paste over owned column(s) ${headers} reverted from BP_Ledger for ${names.length} player(s)`,
+    status: 'BLOCKED'
+  });
+  return { reverted: names.length, adjusted: 0, status: 'BLOCKED' };
+}
+
+/**
+ * Writes an onEdit oldValue back without changing its type. The column's
+ * number format (taken from a neighbouring data row, since typing a date can
+ * reformat the edited cell) decides how: text columns get the raw string so
+ * "001" stays "001", date/time columns turn the serial number Sheets reports
+ * back into a Date, anything else goes through parseEditedValue_(). The
+ * format is re-applied afterwards.
+ *
+ * @param {Range} range - Single edited cell
+ * @param {*} oldValue - e.oldValue
+ * @private
+ */
+function restoreEditedCell_(range, oldValue) {
+  const sheet = range.getSheet();
+  const row = range.getRow();
+  const neighbour = row > 2 ? row - 1 : row + 1;
+  const columnFormat = neighbour <= sheet.getLastRow()
+    ? String(sheet.getRange(neighbour, range.getColumn()).getNumberFormat() || '')
+    : '';
+  const format = columnFormat || String(range.getNumberFormat() || '');
+
+  if (oldValue === undefined || oldValue === null || oldValue === '') {
+    range.setValue('');
+  } else if (format === '@') {
+    range.setValue(String(oldValue));
+  } else if (isDateNumberFormat_(format) && !(oldValue instanceof Date) && !isNaN(Number(oldValue))) {
+    range.setValue(sheetSerialToDate_(Number(oldValue)));
+  } else {
+    range.setValue(parseEditedValue_(oldValue));
+  }
+  if (format) range.setNumberFormat(format);
+}
+
+/**
+ * True for number formats that render dates or times ("yyyy-mm-dd", "M/d/yyyy H:mm")
+ * @private
+ */
+function isDateNumberFormat_(format) {
+  const pattern = String(format || '').replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return /[dyhs]/i.test(pattern);
+}
+
+/**
+ * Converts a Sheets date serial (days since 1899-12-30, wall clock in the
+ * spreadsheet's time zone) to a Date
+ * @private
+ */
+function sheetSerialToDate_(serial) {
+  const wallClock = new Date(Math.round((serial - 25569) * 86400000));
+  const tz = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const offset = Utilities.formatDate(wallClock, tz, 'Z'); // e.g. "-0600"
+  const minutes = (offset[0] === '-' ? -1 : 1) * (Number(offset.substr(1, 2)) * 60 + Number(offset.substr(3, 2)));
+  return new Date(wallClock.getTime() - minutes * 60000);
+}
+
+/**
+ * Converts an onEdit oldValue (string or undefined) back to a cell value
+ * @private
+ */
+function parseEditedValue_(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') return value;
+  if (value === 'TRUE' || value === 'FALSE') return value === 'TRUE';
+  return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/** @private */
+function formatEditedValue_(value) {
+  return value === undefined || value === '' ? '(blank)' : String(value);
+}
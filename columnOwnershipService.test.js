@@ -0,0 +1,198 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * COLUMN OWNERSHIP SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the pipeline-owned column write guard:
+ * revert, BP adjustment entries, pastes and logging of the editor.
+ * Edits are simulated by writing the cell and calling onEditRouter().
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testColumnOwnershipService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testColumnOwnershipService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('COLUMN OWNERSHIP SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Owned Column Lookup', testOwnershipLookup_, results);
+  runTestSuite_('BP Adjustments', testOwnershipBPAdjust_, results);
+  runTestSuite_('Revert Only', testOwnershipRevertOnly_, results);
+  runTestSuite_('Typed Restores', testOwnershipTypedRestore_, results);
+  runTestSuite_('Pastes', testOwnershipPaste_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Workbook with a ledger-backed BP_Total, Key_Tracker and Store_Credit_Ledger
+ * @private
+ */
+function seedOwnershipWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake']],
+    Key_Tracker: [
+      ['PreferredName', 'Red', 'Blue', 'Total_Number_of_Keys'],
+      ['Alex', 2, 1, 3]
+    ],
+    Store_Credit_Ledger: [
+      ['Timestamp', 'preferred_name_id', 'InOut', 'Amount', 'Reason', 'Category', 'TenderType',
+        'Description', 'POSRefType', 'POSRefId', 'RunningBalance', 'RowId'],
+      ['2026-01-01', 'Alex', 'IN', 10, 'Prize', '', '', '', '', '', 10, 'R1']
+    ]
+  });
+  awardBonusPoints('Alex', 10, 'TOP4');
+  awardBonusPoints('Blake', 4, 'TOP4');
+}
+
+/**
+ * Writes a value the way a user would and fires the router
+ * @private
+ */
+function simulateOwnershipEdit_(sheetName, a1, value) {
+  const range = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName).getRange(a1);
+  const old = range.getValue();
+  range.setValue(value);
+  onEditRouter({
+    range,
+    value: String(value),
+    oldValue: old === '' ? undefined : String(old),
+    user: { getEmail: () => 'staff@store.test' }
+  });
+  return range;
+}
+
+/** @private */
+function bpTotalCell_(name, header) {
+  return toObjects(GAS_EMULATOR.dump('BP_Total')).find(r => r.PreferredName === name)[header];
+}
+
+/** @private */
+function bpTotalA1_(name, header) {
+  const rows = GAS_EMULATOR.dump('BP_Total');
+  const col = rows[0].indexOf(header);
+  const row = rows.findIndex(r => r[0] === name);
+  return String.fromCharCode(65 + col) + (row + 1);
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testOwnershipLookup_(results) {
+  seedOwnershipWorkbook_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+
+  const owned = findOwnedColumns_(sheet.getRange(bpTotalA1_('Alex', 'Current_BP')));
+  assert_(owned.length === 1 && owned[0].header === 'Current_BP' && owned[0].adjust === adjustBPFromEdit_,
+    'Current_BP is owned and adjustable', results);
+  assert_(findOwnedColumns_(sheet.getRange('A2')).length === 0, 'PreferredName is not owned', results);
+  assert_(findOwnedColumns_(sheet.getRange('B1')).length === 0, 'Header row is not guarded', results);
+  assert_(findOwnedColumns_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('PreferredNames').getRange('A2')).length === 0,
+    'Sheets without an ownership entry are not guarded', results);
+}
+
+function testOwnershipBPAdjust_(results) {
+  seedOwnershipWorkbook_();
+
+  simulateOwnershipEdit_('BP_Total', bpTotalA1_('Alex', 'Current_BP'), 15);
+  const ledger = toObjects(GAS_EMULATOR.dump(BP_LEDGER_SHEET));
+  const entry = ledger[ledger.length - 1];
+
+  assert_(entry.Type === 'MANUAL' && entry.Amount === 5 && entry.Source === 'DIRECT_EDIT',
+    'Typed Current_BP becomes a MANUAL entry for the difference', results);
+  assert_(bpTotalCell_('Alex', 'Current_BP') === 15 && bpTotalCell_('Alex', 'Manual_Adjustment_Points') === 15,
+    'BP_Total is re-projected from the ledger', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'OWNED_COLUMN_EDIT');
+  assert_(log.length === 1 && log[0].Status === 'BLOCKED' && log[0].PreferredName === 'Alex' &&
+    log[0].Details.indexOf('Editor: staff@store.test') === 0 && log[0].Details.indexOf('Posted MANUAL +5 BP') !== -1,
+    'Edit is logged with the editor and the adjustment', results);
+
+  simulateOwnershipEdit_('BP_Total', bpTotalA1_('Blake', 'Manual_Adjustment_Points'), 1);
+  assert_(bpTotalCell_('Blake', 'Current_BP') === 1 && bpTotalCell_('Blake', 'Manual_Adjustment_Points') === 1,
+    'Manual_Adjustment_Points edits post the difference', results);
+
+  simulateOwnershipEdit_('BP_Total', bpTotalA1_('Alex', 'Current_BP'), 'lots');
+  assert_(bpTotalCell_('Alex', 'Current_BP') === 15 && toObjects(GAS_EMULATOR.dump(BP_LEDGER_SHEET)).length === ledger.length + 1,
+    'Non-numeric edits are only reverted', results);
+}
+
+function testOwnershipRevertOnly_(results) {
+  seedOwnershipWorkbook_();
+
+  simulateOwnershipEdit_('BP_Total', bpTotalA1_('Alex', 'Historical_BP'), 999);
+  assert_(bpTotalCell_('Alex', 'Historical_BP') === 10, 'Historical_BP edits are reverted', results);
+
+  simulateOwnershipEdit_('Key_Tracker', 'D2', 12);
+  assert_(GAS_EMULATOR.dump('Key_Tracker')[1][3] === 3, 'Key_Tracker totals are reverted', results);
+  simulateOwnershipEdit_('Key_Tracker', 'B2', 5);
+  assert_(GAS_EMULATOR.dump('Key_Tracker')[1][1] === 5, 'Key color counts stay editable', results);
+
+  simulateOwnershipEdit_('Store_Credit_Ledger', 'K2', 500);
+  assert_(GAS_EMULATOR.dump('Store_Credit_Ledger')[1][10] === 10, 'RunningBalance edits are reverted', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'OWNED_COLUMN_EDIT');
+  assert_(log.length === 3 && log.some(r => r.Details.indexOf('RunningBalance is owned by storeCreditService') !== -1),
+    'Each blocked edit names the owning service', results);
+}
+
+function testOwnershipTypedRestore_(results) {
+  seedOwnershipWorkbook_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tz = ss.getSpreadsheetTimeZone();
+  const bp = ss.getSheetByName('BP_Total');
+  const updatedCol = GAS_EMULATOR.dump('BP_Total')[0].indexOf(BP_HEADERS.LAST_UPDATED) + 1;
+  const stamped = new Date(Date.UTC(2026, 0, 5, 6)); // 2026-01-05 00:00 in America/Chicago
+  bp.getRange(2, updatedCol, 2, 1).setValues([[stamped], [stamped]]).setNumberFormat('yyyy-mm-dd');
+
+  // Sheets reports a Date cell's oldValue as its serial number
+  const cell = bp.getRange(2, updatedCol);
+  cell.setValue('yesterday');
+  onEditRouter({ range: cell, value: 'yesterday', oldValue: '46027', user: { getEmail: () => 'staff@store.test' } });
+  const restored = cell.getValue();
+  assert_(restored instanceof Date && Utilities.formatDate(restored, tz, 'yyyy-MM-dd HH:mm') === '2026-01-05 00:00',
+    'Protected Date column gets a Date back, not a serial number', results);
+  assert_(cell.getNumberFormat() === 'yyyy-mm-dd', 'The column number format is kept', results);
+
+  const keys = ss.getSheetByName('Key_Tracker');
+  keys.getRange('D2').setNumberFormat('@').setValue('003');
+  simulateOwnershipEdit_('Key_Tracker', 'D2', 4);
+  assert_(GAS_EMULATOR.dump('Key_Tracker')[1][3] === '003', 'Plain-text cells keep leading zeros', results);
+}
+
+function testOwnershipPaste_(results) {
+  seedOwnershipWorkbook_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('BP_Total');
+  const col = GAS_EMULATOR.dump('BP_Total')[0].indexOf('Current_BP') + 1;
+
+  const range = sheet.getRange(2, col, 2, 1);
+  range.setValues([[100], [200]]);
+  onEditRouter({ range, user: { getEmail: () => 'staff@store.test' } });
+  assert_(bpTotalCell_('Alex', 'Current_BP') === 10 && bpTotalCell_('Blake', 'Current_BP') === 4,
+    'BP_Total pastes are re-projected from the ledger', results);
+
+  const keys = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Key_Tracker').getRange('C2:D2');
+  keys.setValues([[7, 7]]);
+  onEditRouter({ range: keys });
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'OWNED_COLUMN_EDIT');
+  assert_(log.length === 2 && log[1].Status === 'WARNING', 'Other pastes are logged for a manual fix', results);
+}
@@ -225,8 +225,8 @@ class CommanderRoundPrizeService {
     const sheet = SpreadsheetApp.getActiveSheet();
     const name = sheet.getName();
 
-    // Check if matches event pattern MM-DD-YYYY
-    if (/^\d{2}-\d{2}-\d{4}/.test(name)) {
+    // Check if the name follows the event ID grammar
+    if (isEventIdName_(name)) {
       return sheet;
     }
 
@@ -1,5 +1,5 @@
 /**
- * Award Dice Points - Routes through Dice_Points → BP_Total
+ * Award Dice Points - Routes through Dice_Points → BP_Ledger → BP_Total
  * Called by Award BP UI when source is D20 or HYBRID
  * 
  * @param {string} playerName - Player's preferred name
@@ -39,16 +39,28 @@ function awardDicePoints(playerName, amount, source, metadata) {
       return diceResult;
     }
     
-    // Step 2: Aggregate Dice_Points → BP_Total
-    const aggregateResult = aggregateDiceToBPTotal_(ss, canonicalName);
-    if (!aggregateResult.success) {
-      return aggregateResult;
-    }
-    
-    // Step 3: Apply governor layer (cap at 100, overflow to prestige)
-    const governorResult = applyBPGovernor_(ss, canonicalName);
+    // Step 2: Post the Dice_Points change to BP_Ledger as a source-sync entry
+    // (so updateBPTotalFromSources does not count it twice), booking any cap
+    // overflow to prestige, then re-project BP_Total. The lock is already held.
+    const appended = appendBPLedgerEntries_([{
+      preferredName: canonicalName,
+      type: BP_LEDGER_TYPES.DICE,
+      amount: amount,
+      source: BP_SOURCE_SYNC,
+      note: [source, metadata?.note].filter(Boolean).join(': ')
+    }]);
+    const balances = projectBPLedger_(readBPLedger_());
+    writeBPTotalProjection_(balances, [canonicalName]);
+    const balance = balances.get(canonicalName);
+    const governorResult = {
+      currentBP: balance.currentBP,
+      prestige: balance.prestigeBP,
+      overflow: appended
+        .filter(e => e.type === BP_LEDGER_TYPES.CAP_OVERFLOW)
+        .reduce((sum, e) => sum - e.amount, 0)
+    };
     
-    // Step 4: Log to Integrity_Log
+    // Step 3: Log to Integrity_Log
     logToIntegrityLog_(ss, {
       timestamp: new Date(),
       player: canonicalName,
@@ -57,7 +69,7 @@ function awardDicePoints(playerName, amount, source, metadata) {
       source: source,
       note: metadata?.note || '',
       dfTags: metadata?.dfTags?.join(', ') || 'DF-080, DF-081, DF-110, DF-115',
-      route: 'Dice_Points → BP_Total → Prestige',
+      route: 'Dice_Points → BP_Ledger → BP_Total',
       resultBP: governorResult.currentBP,
       resultPrestige: governorResult.prestige,
       overflow: governorResult.overflow
@@ -70,7 +82,7 @@ function awardDicePoints(playerName, amount, source, metadata) {
       currentBP: governorResult.currentBP,
       prestige: governorResult.prestige,
       overflow: governorResult.overflow,
-      route: 'Dice_Points → BP_Total'
+      route: 'Dice_Points → BP_Ledger'
     };
     
   } catch (e) {
@@ -146,235 +158,6 @@ function writeToDicePoints_(ss, playerName, amount, source, metadata) {
 }
 
 
-/**
- * Aggregate Dice_Points into BP_Total for a specific player
- * @private
- */
-function aggregateDiceToBPTotal_(ss, playerName) {
-  try {
-    // Read current Dice_Points for player
-    const diceSheet = ss.getSheetByName('Dice_Points');
-    const bpTotalSheet = ss.getSheetByName('BP_Total');
-    
-    if (!diceSheet || !bpTotalSheet) {
-      return { success: false, error: 'Required sheets not found (Dice_Points or BP_Total)' };
-    }
-    
-    // Get dice points for player
-    const diceData = diceSheet.getDataRange().getValues();
-    const diceHeaders = diceData[0];
-    const dicePlayerCol = diceHeaders.indexOf('preferred_name_id');
-    const dicePointsCol = diceHeaders.indexOf('Points');
-    
-    let dicePoints = 0;
-    for (let i = 1; i < diceData.length; i++) {
-      if (diceData[i][dicePlayerCol] === playerName) {
-        dicePoints = Number(diceData[i][dicePointsCol]) || 0;
-        break;
-      }
-    }
-    
-    // Update BP_Total
-    const bpData = bpTotalSheet.getDataRange().getValues();
-    const bpHeaders = bpData[0];
-    const bpPlayerCol = bpHeaders.indexOf('Player');
-    const bpDiceCol = bpHeaders.indexOf('Dice Roll Points');
-    
-    if (bpPlayerCol === -1) {
-      return { success: false, error: 'BP_Total missing Player column' };
-    }
-    
-    // Find or create player row in BP_Total
-    let bpPlayerRow = -1;
-    for (let i = 1; i < bpData.length; i++) {
-      if (bpData[i][bpPlayerCol] === playerName) {
-        bpPlayerRow = i + 1;
-        break;
-      }
-    }
-    
-    if (bpPlayerRow === -1) {
-      // Create new row
-      const newRow = new Array(bpHeaders.length).fill('');
-      newRow[bpPlayerCol] = playerName;
-      if (bpDiceCol !== -1) newRow[bpDiceCol] = dicePoints;
-      bpTotalSheet.appendRow(newRow);
-    } else if (bpDiceCol !== -1) {
-      // Update existing row
-      bpTotalSheet.getRange(bpPlayerRow, bpDiceCol + 1).setValue(dicePoints);
-    }
-    
-    return { success: true, dicePoints: dicePoints };
-    
-  } catch (e) {
-    console.error('aggregateDiceToBPTotal_ error:', e);
-    return { success: false, error: 'Failed to aggregate to BP_Total: ' + e.message };
-  }
-}
-
-
-/**
- * Apply BP Governor Layer - enforce 0-100 cap, overflow to Prestige
- * Per DF-080 (cap) and DF-081 (prestige overflow)
- * @private
- */
-function applyBPGovernor_(ss, playerName) {
-  const BP_CAP = 100;
-  
-  try {
-    const bpTotalSheet = ss.getSheetByName('BP_Total');
-    const prestigeSheet = ss.getSheetByName('BP_Prestige');
-    
-    if (!bpTotalSheet) {
-      return { success: false, error: 'BP_Total sheet not found' };
-    }
-    
-    const bpData = bpTotalSheet.getDataRange().getValues();
-    const bpHeaders = bpData[0];
-    
-    // Find columns
-    const playerCol = bpHeaders.indexOf('Player');
-    const attendanceCol = bpHeaders.indexOf('Attendance Missions');
-    const flagCol = bpHeaders.indexOf('Flag Missions');
-    const diceCol = bpHeaders.indexOf('Dice Roll Points');
-    const totalCol = bpHeaders.indexOf('Total_Points');
-    const currentBPCol = bpHeaders.indexOf('Current_BP');
-    const historicalCol = bpHeaders.indexOf('Historical_BP');
-    
-    // Find player row
-    let playerRow = -1;
-    let rowData = null;
-    for (let i = 1; i < bpData.length; i++) {
-      if (bpData[i][playerCol] === playerName) {
-        playerRow = i + 1;
-        rowData = bpData[i];
-        break;
-      }
-    }
-    
-    if (playerRow === -1 || !rowData) {
-      return { success: false, error: 'Player not found in BP_Total' };
-    }
-    
-    // Calculate total from rivers
-    const attendance = Number(rowData[attendanceCol]) || 0;
-    const flags = Number(rowData[flagCol]) || 0;
-    const dice = Number(rowData[diceCol]) || 0;
-    const rawTotal = attendance + flags + dice;
-    
-    // Get current historical and calculate current BP
-    let historical = Number(rowData[historicalCol]) || 0;
-    historical = Math.max(historical, rawTotal); // Historical never decreases
-    
-    // Get redeemed BP
-    const redeemedSheet = ss.getSheetByName('Redeemed_BP');
-    let redeemed = 0;
-    if (redeemedSheet) {
-      const redeemedData = redeemedSheet.getDataRange().getValues();
-      const redeemedHeaders = redeemedData[0];
-      const redPlayerCol = redeemedHeaders.indexOf('Player');
-      const redTotalCol = redeemedHeaders.indexOf('Total_Redeemed');
-      
-      for (let i = 1; i < redeemedData.length; i++) {
-        if (redeemedData[i][redPlayerCol] === playerName) {
-          redeemed = Number(redeemedData[i][redTotalCol]) || 0;
-          break;
-        }
-      }
-    }
-    
-    // Calculate current BP (before cap)
-    let currentBP = historical - redeemed;
-    let overflow = 0;
-    let prestige = 0;
-    
-    // Apply DF-080: Cap at 100
-    if (currentBP > BP_CAP) {
-      overflow = currentBP - BP_CAP;
-      currentBP = BP_CAP;
-      
-      // Apply DF-081: Overflow → Prestige
-      if (prestigeSheet) {
-        prestige = updatePrestige_(prestigeSheet, playerName, overflow);
-      }
-    }
-    
-    // Update BP_Total with calculated values
-    if (totalCol !== -1) {
-      bpTotalSheet.getRange(playerRow, totalCol + 1).setValue(rawTotal);
-    }
-    if (currentBPCol !== -1) {
-      bpTotalSheet.getRange(playerRow, currentBPCol + 1).setValue(currentBP);
-    }
-    if (historicalCol !== -1) {
-      bpTotalSheet.getRange(playerRow, historicalCol + 1).setValue(historical);
-    }
-    
-    return {
-      success: true,
-      currentBP: currentBP,
-      prestige: prestige,
-      overflow: overflow,
-      historical: historical
-    };
-    
-  } catch (e) {
-    console.error('applyBPGovernor_ error:', e);
-    return { success: false, error: 'Governor layer error: ' + e.message, currentBP: 0, prestige: 0, overflow: 0 };
-  }
-}
-
-
-/**
- * Update prestige for overflow points
- * @private
- */
-function updatePrestige_(prestigeSheet, playerName, overflowAmount) {
-  try {
-    const data = prestigeSheet.getDataRange().getValues();
-    const headers = data[0];
-    const playerCol = headers.indexOf('Player');
-    const prestigeCol = headers.indexOf('Prestige');
-    const overflowCol = headers.indexOf('Total_Overflow');
-    
-    if (playerCol === -1 || prestigeCol === -1) {
-      return 0;
-    }
-    
-    // Find player
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][playerCol] === playerName) {
-        const currentPrestige = Number(data[i][prestigeCol]) || 0;
-        const totalOverflow = (Number(data[i][overflowCol]) || 0) + overflowAmount;
-        
-        // 1 Prestige per 100 overflow (or your desired ratio)
-        const newPrestige = Math.floor(totalOverflow / 100);
-        
-        prestigeSheet.getRange(i + 1, prestigeCol + 1).setValue(newPrestige);
-        if (overflowCol !== -1) {
-          prestigeSheet.getRange(i + 1, overflowCol + 1).setValue(totalOverflow);
-        }
-        
-        return newPrestige;
-      }
-    }
-    
-    // Player not in prestige sheet - add them
-    const newRow = new Array(headers.length).fill('');
-    newRow[playerCol] = playerName;
-    newRow[prestigeCol] = 0;
-    if (overflowCol !== -1) newRow[overflowCol] = overflowAmount;
-    prestigeSheet.appendRow(newRow);
-    
-    return 0;
-    
-  } catch (e) {
-    console.error('updatePrestige_ error:', e);
-    return 0;
-  }
-}
-
-
 /**
  * Log action to Integrity_Log
  * @private
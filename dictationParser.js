@@ -0,0 +1,416 @@
+/**
+ * Dictation Parser - Free-form Notes → Employee_Log Assignments
+ * @fileoverview Deterministic, offline parser behind "Create Assignments from
+ * Dictation". Splits a paragraph of dictated notes into tasks and pulls out
+ * assignee initials, due dates, urgency keywords and player names. Nothing
+ * is written until the user confirms the preview (confirmDictationAssignments).
+ *
+ * Example:
+ *   "JD: call Blake about his preorder by Friday. SK restock sleeves ASAP;
+ *    order more Foundations boxes whenever"
+ *
+ *   → 1. "Call Blake about his preorder"  JD → Jordan Diaz, due Friday, Medium, player Blake
+ *     2. "Restock sleeves"                SK → Sam Kim, ASAP
+ *     3. "Order more Foundations boxes"   unassigned, Low
+ *
+ * Same text + same reference date + same rosters → same preview.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Urgency keywords, checked in order (first level with a match wins)
+ * @const {Array<Object>}
+ */
+const DICTATION_URGENCY_KEYWORDS = [
+  { urgency: 'ASAP', pattern: /\b(asap|as soon as possible|urgent(?:ly)?|immediately|right away|critical|emergency)\b/i },
+  { urgency: 'High', pattern: /\b(high priority|important|(?<!low )priority|soon)\b/i },
+  { urgency: 'Low', pattern: /\b(low priority|no rush|whenever|when you get a chance|eventually)\b/i }
+];
+
+const DICTATION_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DICTATION_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+/** Capitalized words that are never player names */
+const DICTATION_STOP_WORDS = [
+  'a', 'an', 'and', 'also', 'ask', 'about', 'at', 'by', 'call', 'check', 'email', 'for', 'from',
+  'get', 'he', 'her', 'his', 'i', 'in', 'is', 'it', 'make', 'need', 'needs', 'of', 'on', 'order',
+  'please', 'pull', 'remind', 'she', 'tell', 'text', 'that', 'the', 'their', 'them', 'then',
+  'they', 'this', 'to', 'we', 'with', 'today', 'tonight', 'tomorrow', 'next', 'week', 'eod', 'eow'
+];
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parses dictated notes into task previews.
+ *
+ * @param {string} text - Dictated notes
+ * @param {Object} context - {referenceDate: Date, employees: string[],
+ *   preferredNames: string[]}
+ * @return {Object} {tasks: Array<Object>, warnings: string[]}
+ *   Each task: {index, text, task_summary, details, initials, assigned_employee,
+ *   due_date, due_phrase, urgency, urgency_keyword, preferred_name_id,
+ *   player_suggestions, warnings}
+ */
+function parseDictation(text, context = {}) {
+  const referenceDate = context.referenceDate || new Date();
+  const employees = context.employees || [];
+  const preferredNames = context.preferredNames || [];
+
+  const segments = splitDictationSegments_(text);
+  const tasks = segments.map((segment, i) => {
+    const task = {
+      index: i + 1,
+      text: segment,
+      task_summary: '',
+      details: segment,
+      initials: '',
+      assigned_employee: '',
+      due_date: '',
+      due_phrase: '',
+      urgency: 'Medium',
+      urgency_keyword: '',
+      preferred_name_id: '',
+      player_suggestions: [],
+      warnings: []
+    };
+
+    let rest = segment;
+
+    const assignee = extractDictationAssignee_(rest, employees);
+    if (assignee) {
+      task.initials = assignee.initials;
+      task.assigned_employee = assignee.employee || '';
+      rest = assignee.rest;
+      if (!assignee.employee) {
+        task.warnings.push(`Unknown initials "${assignee.initials}"`);
+      }
+    }
+
+    const due = extractDictationDueDate_(rest, referenceDate);
+    if (due) {
+      task.due_date = due.date;
+      task.due_phrase = due.phrase;
+      rest = rest.replace(due.phrase, ' ');
+    }
+
+    for (const level of DICTATION_URGENCY_KEYWORDS) {
+      const match = rest.match(level.pattern);
+      if (match) {
+        task.urgency = level.urgency;
+        task.urgency_keyword = match[0];
+        rest = rest.replace(match[0], ' ');
+        break;
+      }
+    }
+
+    task.task_summary = cleanDictationSummary_(rest);
+
+    const player = findDictationPlayer_(task.task_summary, preferredNames, employees);
+    task.preferred_name_id = player.name;
+    task.player_suggestions = player.suggestions;
+    if (!player.name && player.suggestions.length > 0) {
+      task.warnings.push(`Player "${player.raw}" not in PreferredNames – did you mean ${player.suggestions[0]}?`);
+    }
+
+    if (!task.task_summary) {
+      task.warnings.push('Nothing left to do after removing assignee, date and urgency');
+    }
+    return task;
+  });
+
+  return {
+    tasks: tasks,
+    warnings: tasks.length === 0 ? ['No tasks found in the dictation'] : []
+  };
+}
+
+/**
+ * Splits notes into one segment per task: lines, bullets, numbered items,
+ * semicolons and sentence ends.
+ * @param {string} text - Dictated notes
+ * @return {Array<string>} Segments
+ * @private
+ */
+function splitDictationSegments_(text) {
+  if (!text) return [];
+  return String(text)
+    .split(/\r?\n|;|(?<=[.!?])\s+(?=[A-Z0-9@])/)
+    .map(s => s.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .map(s => s.replace(/^(?:and |also |then )/i, '').trim())
+    .filter(s => /[A-Za-z]/.test(s));
+}
+
+/**
+ * Finds the assignee: a leading "JD:" / "@JD" / "JD -" tag, a leading
+ * employee first name followed by ":" or " to ", or "@JD" anywhere.
+ *
+ * @param {string} segment - Task text
+ * @param {Array<string>} employees - Known employee names
+ * @return {Object|null} {initials, employee, rest}
+ * @private
+ */
+function extractDictationAssignee_(segment, employees) {
+  const byInitials = {};
+  const byFirstName = {};
+  employees.forEach(name => {
+    const parts = String(name).trim().split(/\s+/).filter(p => p);
+    if (parts.length === 0) return;
+    const initials = parts.map(p => p[0].toUpperCase()).join('');
+    if (!(initials in byInitials)) byInitials[initials] = name;
+    byFirstName[parts[0].toLowerCase()] = name;
+  });
+
+  const lead = segment.match(/^@?([A-Z]{2,3})(?:\s*[:\-–]\s*|\s+(?=[a-z]))/);
+  if (lead && (lead[0].includes(':') || lead[0].includes('-') || lead[0].includes('–') ||
+      lead[0].startsWith('@') || byInitials[lead[1]])) {
+    return { initials: lead[1], employee: byInitials[lead[1]] || null, rest: segment.slice(lead[0].length) };
+  }
+
+  const named = segment.match(/^([A-Z][a-z]+)(?:\s*:\s*|\s+to\s+)/);
+  if (named && byFirstName[named[1].toLowerCase()]) {
+    const employee = byFirstName[named[1].toLowerCase()];
+    const initials = employee.split(/\s+/).map(p => p[0].toUpperCase()).join('');
+    return { initials: initials, employee: employee, rest: segment.slice(named[0].length) };
+  }
+
+  const tagged = segment.match(/(?:^|\s)@([A-Z]{2,3})\b/);
+  if (tagged) {
+    return {
+      initials: tagged[1],
+      employee: byInitials[tagged[1]] || null,
+      rest: segment.replace(tagged[0], ' ')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Finds a due date phrase and resolves it against the reference date.
+ * Understands today/tonight/EOD, tomorrow, weekdays ("by Friday", "next
+ * Tuesday"), end of week/EOW (Friday), next week (Monday), "in N days/weeks",
+ * M/D[/YYYY], YYYY-MM-DD and month names ("Dec 5th").
+ *
+ * @param {string} segment - Task text
+ * @param {Date} referenceDate - "Today"
+ * @return {Object|null} {date: 'yyyy-MM-dd', phrase}
+ * @private
+ */
+function extractDictationDueDate_(segment, referenceDate) {
+  const today = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+  const addDays = n => new Date(today.getFullYear(), today.getMonth(), today.getDate() + n);
+  const lead = '(?:(?:by|on|due|before|for)\\s+)?';
+
+  const rules = [
+    {
+      pattern: new RegExp(lead + '(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b', 'i'),
+      resolve: m => new Date(+m[1], +m[2] - 1, +m[3])
+    },
+    {
+      pattern: new RegExp(lead + '(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b', 'i'),
+      resolve: m => dictationMonthDay_(today, +m[1] - 1, +m[2], m[3])
+    },
+    {
+      pattern: new RegExp(lead + '(' + DICTATION_MONTHS.map(mo => mo.slice(0, 3) + '(?:' + mo.slice(3) + ')?').join('|') +
+        ')\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b', 'i'),
+      resolve: m => dictationMonthDay_(today, DICTATION_MONTHS.findIndex(mo => mo.startsWith(m[1].slice(0, 3).toLowerCase())), +m[2])
+    },
+    {
+      pattern: new RegExp(lead + '(today|tonight|end of (?:the )?day|eod)\\b', 'i'),
+      resolve: () => today
+    },
+    {
+      pattern: new RegExp(lead + '(tomorrow)\\b', 'i'),
+      resolve: () => addDays(1)
+    },
+    {
+      pattern: new RegExp(lead + '(end of (?:the )?week|eow)\\b', 'i'),
+      resolve: () => addDays((5 - today.getDay() + 7) % 7)
+    },
+    {
+      pattern: new RegExp(lead + 'in\\s+(\\d+|a|one|two|three)\\s+(day|week)s?\\b', 'i'),
+      resolve: m => {
+        const words = { a: 1, one: 1, two: 2, three: 3 };
+        const n = words[m[1].toLowerCase()] || +m[1];
+        return addDays(m[2].toLowerCase() === 'week' ? n * 7 : n);
+      }
+    },
+    {
+      pattern: new RegExp(lead + '(next\\s+)?(' + DICTATION_WEEKDAYS.join('|') + ')\\b', 'i'),
+      resolve: m => {
+        const target = DICTATION_WEEKDAYS.indexOf(m[2].toLowerCase());
+        const ahead = (target - today.getDay() + 7) % 7;
+        return addDays(m[1] ? (ahead === 0 ? 7 : ahead + 7) : ahead);
+      }
+    },
+    {
+      pattern: new RegExp(lead + '(next week)\\b', 'i'),
+      resolve: () => addDays(((1 - today.getDay() + 7) % 7) || 7)
+    }
+  ];
+
+  for (const rule of rules) {
+    const match = segment.match(rule.pattern);
+    if (!match) continue;
+    const date = rule.resolve(match);
+    if (!date || isNaN(date.getTime())) continue;
+    return { date: formatDictationDate_(date), phrase: match[0] };
+  }
+  return null;
+}
+
+/**
+ * Month/day without a year rolls to next year once the date has passed
+ * @private
+ */
+function dictationMonthDay_(today, monthIndex, day, year) {
+  if (monthIndex < 0 || day < 1 || day > 31) return null;
+  if (year) {
+    const y = +year < 100 ? 2000 + +year : +year;
+    const explicit = new Date(y, monthIndex, day);
+    return explicit.getMonth() === monthIndex ? explicit : null;
+  }
+  let date = new Date(today.getFullYear(), monthIndex, day);
+  if (date.getMonth() !== monthIndex) return null;
+  if (date < today) date = new Date(today.getFullYear() + 1, monthIndex, day);
+  return date;
+}
+
+/** @private */
+function formatDictationDate_(date) {
+  return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' +
+    String(date.getDate()).padStart(2, '0');
+}
+
+/**
+ * Tidies the remaining text into a task summary
+ * @private
+ */
+function cleanDictationSummary_(text) {
+  const summary = text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/^[\s,:\-–]+|[\s,:\-–.!?]+$/g, '')
+    .replace(/\b(?:by|on|due|before)$/i, '')
+    .trim();
+  return summary ? summary[0].toUpperCase() + summary.slice(1) : '';
+}
+
+/**
+ * Finds the player a task is about, through the canonical-name services
+ * (exact match first, then fuzzy suggestions from PlayerNameService).
+ * Tries the longest capitalized run of words first.
+ *
+ * @param {string} summary - Task summary
+ * @param {Array<string>} preferredNames - Canonical names
+ * @param {Array<string>} employees - Employee names (never players)
+ * @return {Object} {name, raw, suggestions}
+ * @private
+ */
+function findDictationPlayer_(summary, preferredNames, employees) {
+  const result = { name: '', raw: '', suggestions: [] };
+  if (!summary || preferredNames.length === 0) return result;
+
+  const words = summary.split(/\s+/).map(w => w.replace(/['’]s$/i, '').replace(/[^A-Za-z0-9'’\-]/g, ''));
+  const staff = employees.map(e => String(e).toLowerCase());
+  const ignored = w => !w || DICTATION_STOP_WORDS.includes(w.toLowerCase()) ||
+    DICTATION_WEEKDAYS.includes(w.toLowerCase()) || DICTATION_MONTHS.includes(w.toLowerCase());
+
+  // Exact (case-insensitive) match on any 3/2/1-word window
+  for (let size = 3; size >= 1; size--) {
+    for (let i = 0; i + size <= words.length; i++) {
+      const window = words.slice(i, i + size);
+      if (window.some(ignored)) continue;
+      const candidate = window.join(' ');
+      if (staff.includes(candidate.toLowerCase())) continue;
+      const match = findExactMatch_(candidate, preferredNames);
+      if (match) {
+        result.name = match;
+        result.raw = candidate;
+        return result;
+      }
+    }
+  }
+
+  // Fuzzy suggestions only for capitalized words past the first (the first
+  // word is usually the verb: "Call", "Hold", "Order")
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i];
+    if (ignored(word) || !/^[A-Z][a-z]/.test(word) || staff.includes(word.toLowerCase())) continue;
+    const suggestions = findFuzzySuggestions_(word, preferredNames)
+      .filter(s => s.similarity >= NAME_SERVICE_CONFIG.FUZZY.MIN_SIMILARITY)
+      .map(s => s.name);
+    if (suggestions.length > 0) {
+      result.raw = word;
+      result.suggestions = suggestions;
+      return result;
+    }
+  }
+
+  return result;
+}
+
+// ============================================================================
+// UI ENTRYPOINTS (ui/dictation_assignments)
+// ============================================================================
+
+/**
+ * Parses dictation against the live rosters for the preview step
+ * @param {string} text - Dictated notes
+ * @return {Object} parseDictation() result plus {employees}
+ */
+function previewDictationAssignments(text) {
+  const employees = getEmployeeLogAssignees();
+  const preview = parseDictation(text, {
+    referenceDate: new Date(),
+    employees: employees,
+    preferredNames: loadPreferredNamesList_(SpreadsheetApp.getActiveSpreadsheet())
+  });
+  preview.employees = employees;
+  return preview;
+}
+
+/**
+ * Writes the confirmed (and possibly edited) preview rows to Employee_Log.
+ * Every row is validated first so a bad row does not leave half a batch.
+ *
+ * @param {Array<Object>} tasks - Preview tasks the user kept
+ * @return {Object} {created: number, assignmentIds: number[]}
+ */
+function confirmDictationAssignments(tasks) {
+  const rows = tasks || [];
+  const problems = [];
+  rows.forEach((task, i) => {
+    try {
+      if (!String(task.task_summary || '').trim()) {
+        throwError('Task summary is required', 'TASK_SUMMARY_REQUIRED');
+      }
+      normalizeTaskUrgency_(task.urgency);
+      resolveTaskPlayer_(task.preferred_name_id, '');
+    } catch (e) {
+      problems.push(`Row ${i + 1}: ${e.message.split('\n')[0]}`);
+    }
+  });
+  if (problems.length > 0) {
+    throwError('Some dictated tasks need fixing', 'DICTATION_INVALID', problems.join('; '));
+  }
+
+  const ids = rows.map(task => createTask({
+    task_summary: task.task_summary,
+    details: task.details || task.text || '',
+    assigned_employee: task.assigned_employee,
+    due_date: task.due_date,
+    urgency: task.urgency,
+    preferred_name_id: task.preferred_name_id,
+    source: 'Dictation'
+  }).assignment_id);
+
+  return { created: ids.length, assignmentIds: ids };
+}
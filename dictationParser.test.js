@@ -0,0 +1,166 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * DICTATION PARSER - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for splitting dictated notes into tasks,
+ * assignee/due date/urgency/player extraction and the confirm step.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testDictationParser() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testDictationParser() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('DICTATION PARSER TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Segmenting', testDictationSegments_, results);
+  runTestSuite_('Assignees', testDictationAssignees_, results);
+  runTestSuite_('Due Dates', testDictationDueDates_, results);
+  runTestSuite_('Urgency and Players', testDictationUrgencyAndPlayers_, results);
+  runTestSuite_('Preview and Confirm', testDictationConfirm_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** Wednesday 2026-01-14 */
+const DICTATION_TEST_DATE = new Date(2026, 0, 14);
+
+const DICTATION_TEST_CONTEXT = {
+  referenceDate: DICTATION_TEST_DATE,
+  employees: ['Jordan Diaz', 'Sam Kim'],
+  preferredNames: ['Blake', 'Casey Jones', 'Harper']
+};
+
+/** @private */
+function dictationDue_(phrase) {
+  const due = extractDictationDueDate_('do it ' + phrase, DICTATION_TEST_DATE);
+  return due ? due.date : '';
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testDictationSegments_(results) {
+  const text = 'JD: call Blake about his preorder by Friday. SK restock sleeves ASAP; order more boxes whenever\n' +
+    '- pull Harper\'s commander deck\n2) also email the distributor';
+  const preview = parseDictation(text, DICTATION_TEST_CONTEXT);
+  const summaries = preview.tasks.map(t => t.task_summary);
+
+  assert_(preview.tasks.length === 5, 'Sentences, semicolons, lines and bullets split into 5 tasks', results);
+  assert_(summaries[0] === 'Call Blake about his preorder', 'Assignee and due phrase are removed from the summary', results);
+  assert_(summaries[1] === 'Restock sleeves', 'Urgency keyword is removed from the summary', results);
+  assert_(summaries[3] === 'Pull Harper\'s commander deck', 'Bullet marker is stripped', results);
+  assert_(summaries[4] === 'Email the distributor', 'Numbering and leading "also" are stripped', results);
+  assert_(preview.tasks[0].details === 'JD: call Blake about his preorder by Friday.', 'Original sentence kept as details', results);
+
+  assert_(JSON.stringify(parseDictation(text, DICTATION_TEST_CONTEXT)) === JSON.stringify(preview),
+    'Same input → same preview', results);
+  assert_(parseDictation('   ', DICTATION_TEST_CONTEXT).warnings.length === 1, 'Empty dictation warns', results);
+}
+
+function testDictationAssignees_(results) {
+  const parse = text => parseDictation(text, DICTATION_TEST_CONTEXT).tasks[0];
+
+  assert_(parse('JD: count the till').assigned_employee === 'Jordan Diaz', '"JD:" prefix resolves initials', results);
+  assert_(parse('SK restock sleeves').assigned_employee === 'Sam Kim', 'Known initials without colon resolve', results);
+  assert_(parse('Sam to order dice').assigned_employee === 'Sam Kim', 'Employee first name + "to" resolves', results);
+  assert_(parse('order dice @JD').assigned_employee === 'Jordan Diaz', '@initials anywhere resolve', results);
+
+  const unknown = parse('QX: sweep the floor');
+  assert_(unknown.initials === 'QX' && unknown.assigned_employee === '' && unknown.warnings.length === 1,
+    'Unknown initials are kept and flagged', results);
+  assert_(parse('TV needs new batteries').assigned_employee === '', 'Unknown capitals without a colon are not initials', results);
+  assert_(parse('ASAP call Blake').initials === '', 'ASAP is not read as initials', results);
+}
+
+function testDictationDueDates_(results) {
+  assert_(dictationDue_('today') === '2026-01-14', 'today', results);
+  assert_(dictationDue_('by EOD') === '2026-01-14', 'EOD', results);
+  assert_(dictationDue_('tomorrow') === '2026-01-15', 'tomorrow', results);
+  assert_(dictationDue_('by Friday') === '2026-01-16', 'by Friday → this Friday', results);
+  assert_(dictationDue_('on Wednesday') === '2026-01-14', 'Same weekday → today', results);
+  assert_(dictationDue_('by Monday') === '2026-01-19', 'Past weekday rolls to next week', results);
+  assert_(dictationDue_('next Friday') === '2026-01-23', 'next Friday skips this week', results);
+  assert_(dictationDue_('by end of week') === '2026-01-16', 'End of week → Friday', results);
+  assert_(dictationDue_('next week') === '2026-01-19', 'next week → Monday', results);
+  assert_(dictationDue_('in 3 days') === '2026-01-17', 'in N days', results);
+  assert_(dictationDue_('in two weeks') === '2026-01-28', 'in N weeks', results);
+  assert_(dictationDue_('by 2/3') === '2026-02-03', 'M/D', results);
+  assert_(dictationDue_('by 1/2') === '2027-01-02', 'Past M/D rolls to next year', results);
+  assert_(dictationDue_('by Dec 5th') === '2026-12-05', 'Month name + ordinal', results);
+  assert_(dictationDue_('2026-03-01') === '2026-03-01', 'ISO date', results);
+  assert_(dictationDue_('by 2/30') === '', 'Impossible dates are ignored', results);
+  assert_(dictationDue_('sometime') === '', 'No date phrase → no due date', results);
+}
+
+function testDictationUrgencyAndPlayers_(results) {
+  const parse = text => parseDictation(text, DICTATION_TEST_CONTEXT).tasks[0];
+
+  assert_(parse('call Blake asap').urgency === 'ASAP', 'asap → ASAP', results);
+  assert_(parse('urgent: fix the register').urgency === 'ASAP', 'urgent → ASAP', results);
+  assert_(parse('important: reorder sleeves').urgency === 'High', 'important → High', results);
+  assert_(parse('low priority, dust shelves').urgency === 'Low', '"low priority" is Low, not High', results);
+  assert_(parse('restock dice').urgency === 'Medium', 'No keyword → Medium', results);
+
+  assert_(parse('call Blake about his order').preferred_name_id === 'Blake', 'Exact player name is linked', results);
+  assert_(parse('hold a box for casey jones').preferred_name_id === 'Casey Jones', 'Multi-word names match case-insensitively', results);
+  assert_(parse('pull Harper\'s deck').preferred_name_id === 'Harper', 'Possessive names match', results);
+
+  const typo = parse('call Blakke about singles');
+  assert_(typo.preferred_name_id === '' && typo.player_suggestions[0] === 'Blake',
+    'Misspelled player gets a suggestion, not a link', results);
+  assert_(parse('restock sleeves').preferred_name_id === '', 'Store tasks have no player', results);
+}
+
+function testDictationConfirm_(results) {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Blake'], ['Harper']]
+  });
+  createTask({ task_summary: 'Seed assignee', assigned_employee: 'Sam Kim' });
+
+  const preview = previewDictationAssignments('SK: call Blake by tomorrow. Dust shelves no rush');
+  assert_(preview.tasks.length === 2 && preview.tasks[0].assigned_employee === 'Sam Kim',
+    'Preview resolves initials against Employee_Log assignees', results);
+  assert_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Employee_Log').getLastRow() === 2,
+    'Preview writes nothing', results);
+
+  const bad = preview.tasks.concat([{ task_summary: 'Ghost', urgency: 'Medium', preferred_name_id: 'Nobody' }]);
+  let error = null;
+  try {
+    confirmDictationAssignments(bad);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[DICTATION_INVALID]') === 0 && error.message.indexOf('Row 3') !== -1,
+    'Invalid rows are reported by row number', results);
+  assert_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Employee_Log').getLastRow() === 2,
+    'A bad row blocks the whole batch', results);
+
+  const confirmed = confirmDictationAssignments(preview.tasks);
+  const first = getTask(confirmed.assignmentIds[0]);
+  const second = getTask(confirmed.assignmentIds[1]);
+  assert_(confirmed.created === 2, 'Confirm creates one task per row', results);
+  assert_(first.preferred_name_id === 'Blake' && first.assigned_employee === 'Sam Kim' && first.source === 'Dictation',
+    'Confirmed task keeps player, assignee and source', results);
+  assert_(second.urgency === 'Low' && second.assigned_employee === 'Unassigned', 'Unassigned low-urgency task', results);
+}
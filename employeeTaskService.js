@@ -0,0 +1,703 @@
+/**
+ * Employee Task Service - Employee_Log Task Board Backend
+ * @fileoverview Staff task subsystem ("This Needs…"). Employee_Log is the one
+ * task sheet: the intake dialogs create rows, the task board / Employee Log
+ * sidebar / task viewer read and update them, and Player Lookup lists a
+ * player's open tasks through getOpenTasksForPlayer().
+ *
+ * LIFECYCLE:
+ *   New ──claim──▶ In Progress ──complete──▶ Completed ──reopen──▶ In Progress / New
+ *   Any open status can also move to Waiting on Customer or Canceled.
+ *
+ * URGENCY: ASAP > High > Medium > Low (URGENCY_PRIORITY in playerLookupService.js).
+ * The dialogs' older labels (CRITICAL, MED, Normal) are accepted as aliases.
+ *
+ * PLAYER LINK: preferred_name_id holds the player's PreferredName, or
+ * STORE_TASK for store-internal work. Tasks created with only a customer
+ * name are linked when the name matches a PreferredName.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const EMPLOYEE_LOG_SHEET = 'Employee_Log';
+
+const EMPLOYEE_LOG_HEADERS = [
+  'assignment_id', 'created_at', 'created_by', 'preferred_name_id', 'customer_name',
+  'task_summary', 'details', 'urgency', 'status', 'assigned_employee',
+  'claimed_at', 'due_date', 'how_did_they_reach_out', 'contact_information',
+  'ok_to_text', 'expecting_callback', 'pickup_date', 'picked_up',
+  'completed', 'completed_at', 'source', 'LastUpdated'
+];
+
+/** Task statuses */
+const TASK_STATUS = {
+  NEW: 'New',
+  IN_PROGRESS: 'In Progress',
+  WAITING: 'Waiting on Customer',
+  COMPLETED: 'Completed',
+  CANCELED: 'Canceled'
+};
+
+/** Statuses that no longer count as open work */
+const CLOSED_TASK_STATUSES = [TASK_STATUS.COMPLETED, TASK_STATUS.CANCELED];
+
+/** Status labels used by the older dialogs → canonical status */
+const TASK_STATUS_ALIASES = {
+  'NEW': TASK_STATUS.NEW,
+  'OPEN': TASK_STATUS.NEW,
+  'PENDING': TASK_STATUS.NEW,
+  'IN PROGRESS': TASK_STATUS.IN_PROGRESS,
+  'CLAIMED': TASK_STATUS.IN_PROGRESS,
+  'WAITING ON CUSTOMER': TASK_STATUS.WAITING,
+  'WAITING': TASK_STATUS.WAITING,
+  'ON HOLD': TASK_STATUS.WAITING,
+  'COMPLETED': TASK_STATUS.COMPLETED,
+  'COMPLETE': TASK_STATUS.COMPLETED,
+  'DONE': TASK_STATUS.COMPLETED,
+  'CANCELED': TASK_STATUS.CANCELED,
+  'CANCELLED': TASK_STATUS.CANCELED,
+  'DROPPED': TASK_STATUS.CANCELED
+};
+
+/** Urgency labels used by the older dialogs → URGENCY_PRIORITY key */
+const TASK_URGENCY_ALIASES = {
+  'ASAP': 'ASAP',
+  'CRITICAL': 'ASAP',
+  'URGENT': 'ASAP',
+  'HIGH': 'High',
+  'MEDIUM': 'Medium',
+  'MED': 'Medium',
+  'NORMAL': 'Medium',
+  'LOW': 'Low'
+};
+
+const DEFAULT_TASK_URGENCY = 'Medium';
+
+/** preferred_name_id for tasks that are not about a player */
+const STORE_TASK_ID = 'STORE_TASK';
+
+/** assigned_employee value for tasks nobody has picked up */
+const UNASSIGNED_EMPLOYEE = 'Unassigned';
+
+// ============================================================================
+// TASK LIFECYCLE
+// ============================================================================
+
+/**
+ * Creates a task row in Employee_Log.
+ *
+ * @param {Object} fields - Employee_Log fields (snake_case, as in the headers).
+ *   task_summary is required; urgency defaults to Medium, assigned_employee
+ *   to Unassigned. preferred_name_id may be a PreferredName or STORE_TASK.
+ * @return {Object} Created task
+ */
+function createTask(fields) {
+  const summary = String(fields.task_summary || '').trim();
+  if (!summary) {
+    throwError('Task summary is required', 'TASK_SUMMARY_REQUIRED', 'Describe what needs doing');
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const sheet = ensureEmployeeLogSheet_();
+    const now = dateISO();
+    const task = {
+      assignment_id: nextAssignmentId_(sheet),
+      created_at: now,
+      created_by: fields.created_by || Session.getActiveUser().getEmail() || 'system',
+      preferred_name_id: resolveTaskPlayer_(fields.preferred_name_id, fields.customer_name),
+      customer_name: String(fields.customer_name || '').trim(),
+      task_summary: summary,
+      details: String(fields.details || '').trim(),
+      urgency: normalizeTaskUrgency_(fields.urgency),
+      status: TASK_STATUS.NEW,
+      assigned_employee: String(fields.assigned_employee || '').trim() || UNASSIGNED_EMPLOYEE,
+      claimed_at: '',
+      due_date: formatTaskDate_(fields.due_date),
+      how_did_they_reach_out: fields.how_did_they_reach_out || '',
+      contact_information: String(fields.contact_information || '').trim(),
+      ok_to_text: coerceBoolean(fields.ok_to_text || false),
+      expecting_callback: coerceBoolean(fields.expecting_callback || false),
+      pickup_date: formatTaskDate_(fields.pickup_date),
+      picked_up: coerceBoolean(fields.picked_up || false),
+      completed: false,
+      completed_at: '',
+      source: fields.source || '',
+      LastUpdated: now
+    };
+    if (!task.customer_name && task.preferred_name_id !== STORE_TASK_ID) {
+      task.customer_name = task.preferred_name_id;
+    }
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    sheet.appendRow(headers.map(h => (h in task ? task[h] : '')));
+
+    logIntegrityAction('TASK_CREATE', {
+      preferredName: task.preferred_name_id,
+      details: `Task #${task.assignment_id}: ${summary} (${task.urgency}, ${task.assigned_employee})`,
+      status: 'SUCCESS'
+    });
+
+    task.rowNumber = sheet.getLastRow();
+    return task;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Assigns a task to an employee (or back to Unassigned).
+ * @param {number} assignmentId - Task ID
+ * @param {string} employee - Employee name; blank unassigns
+ * @return {Object} Updated task
+ */
+function assignTask(assignmentId, employee) {
+  const assignee = String(employee || '').trim() || UNASSIGNED_EMPLOYEE;
+  return updateTask_(assignmentId, 'TASK_ASSIGN', task => {
+    requireOpenTask_(task);
+    return { assigned_employee: assignee };
+  }, `→ ${assignee}`);
+}
+
+/**
+ * Claims a task for an employee and moves it to In Progress.
+ * A task already assigned to someone else cannot be claimed.
+ *
+ * @param {number} assignmentId - Task ID
+ * @param {string} employee - Employee claiming the task
+ * @return {Object} Updated task
+ */
+function claimTask(assignmentId, employee) {
+  const claimant = String(employee || '').trim();
+  if (!claimant) {
+    throwError('Employee name is required to claim a task', 'EMPLOYEE_REQUIRED');
+  }
+
+  return updateTask_(assignmentId, 'TASK_CLAIM', task => {
+    requireOpenTask_(task);
+    const current = String(task.assigned_employee || '').trim();
+    if (current && current !== UNASSIGNED_EMPLOYEE && current.toLowerCase() !== claimant.toLowerCase()) {
+      throwError(`Task #${task.assignment_id} is assigned to ${current}`, 'TASK_ALREADY_CLAIMED',
+        'Reassign the task first');
+    }
+    return {
+      assigned_employee: current && current !== UNASSIGNED_EMPLOYEE ? current : claimant,
+      claimed_at: dateISO(),
+      status: TASK_STATUS.IN_PROGRESS
+    };
+  }, `claimed by ${claimant}`);
+}
+
+/**
+ * Marks a task completed. Completing a completed task is a no-op.
+ * @param {number} assignmentId - Task ID
+ * @return {Object} Updated task
+ */
+function completeTask(assignmentId) {
+  return updateTask_(assignmentId, 'TASK_COMPLETE', task => {
+    if (task.status === TASK_STATUS.COMPLETED) return null;
+    if (task.status === TASK_STATUS.CANCELED) {
+      throwError(`Task #${task.assignment_id} was canceled`, 'TASK_CLOSED', 'Reopen it first');
+    }
+    return { status: TASK_STATUS.COMPLETED, completed: true, completed_at: dateISO() };
+  });
+}
+
+/**
+ * Reopens a completed or canceled task. It returns to In Progress when
+ * someone is assigned, otherwise to New.
+ *
+ * @param {number} assignmentId - Task ID
+ * @return {Object} Updated task
+ */
+function reopenTask(assignmentId) {
+  return updateTask_(assignmentId, 'TASK_REOPEN', task => {
+    if (!CLOSED_TASK_STATUSES.includes(task.status)) {
+      throwError(`Task #${task.assignment_id} is still open`, 'TASK_NOT_CLOSED');
+    }
+    const assigned = task.assigned_employee && task.assigned_employee !== UNASSIGNED_EMPLOYEE;
+    return {
+      status: assigned ? TASK_STATUS.IN_PROGRESS : TASK_STATUS.NEW,
+      completed: false,
+      completed_at: ''
+    };
+  });
+}
+
+/**
+ * Moves a task to any status, routing Completed and reopening through
+ * completeTask() / reopenTask() so completion fields stay consistent.
+ *
+ * @param {number} assignmentId - Task ID
+ * @param {string} status - Status or alias
+ * @return {Object} Updated task
+ */
+function changeTaskStatus(assignmentId, status) {
+  const target = normalizeTaskStatus_(status);
+  const task = getTask(assignmentId);
+
+  if (target === TASK_STATUS.COMPLETED) return completeTask(assignmentId);
+  if (CLOSED_TASK_STATUSES.includes(task.status) && !CLOSED_TASK_STATUSES.includes(target)) {
+    reopenTask(assignmentId);
+  }
+
+  return updateTask_(assignmentId, 'TASK_STATUS', current =>
+    current.status === target ? null : { status: target, completed: false, completed_at: '' },
+    `→ ${target}`);
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Reads one task.
+ * @param {number} assignmentId - Task ID
+ * @return {Object} Task (with rowNumber)
+ */
+function getTask(assignmentId) {
+  const id = Number(assignmentId);
+  const task = readTasks_().find(t => t.assignment_id === id);
+  if (!task) {
+    throwError(`Task #${assignmentId} not found`, 'TASK_NOT_FOUND', 'Refresh the task list');
+  }
+  return task;
+}
+
+/**
+ * Lists tasks, most urgent first, then by due date.
+ *
+ * @param {Object} filters - {onlyOpen, urgency, status, assignedTo,
+ *   preferredName, search, sortBy ('due_date'|'urgency'|'created_at'|'LastUpdated'),
+ *   sortDir ('asc'|'desc'), limit}
+ * @return {Array<Object>} Tasks
+ */
+function getTasks(filters = {}) {
+  const urgency = filters.urgency ? normalizeTaskUrgency_(filters.urgency) : null;
+  const status = filters.status ? normalizeTaskStatus_(filters.status) : null;
+  const assignedTo = String(filters.assignedTo || '').trim().toLowerCase();
+  const player = String(filters.preferredName || '').trim().toLowerCase();
+  const search = String(filters.search || '').trim().toLowerCase();
+
+  const tasks = readTasks_().filter(task => {
+    if (filters.onlyOpen && !task.isOpen) return false;
+    if (urgency && task.urgency !== urgency) return false;
+    if (status && task.status !== status) return false;
+    if (assignedTo && task.assigned_employee.toLowerCase() !== assignedTo) return false;
+    if (player && task.preferred_name_id.toLowerCase() !== player) return false;
+    if (search) {
+      const haystack = [task.task_summary, task.details, task.customer_name, task.preferred_name_id]
+        .join(' ').toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+
+  const sortBy = filters.sortBy || 'urgency';
+  const dir = filters.sortDir === 'desc' ? -1 : 1;
+  const byDue = (a, b) => (a.due_date || '9999-99-99').localeCompare(b.due_date || '9999-99-99');
+  const byUrgency = (a, b) => taskUrgencyRank_(b.urgency) - taskUrgencyRank_(a.urgency);
+
+  tasks.sort((a, b) => {
+    let cmp;
+    if (sortBy === 'urgency') {
+      cmp = byUrgency(a, b) || byDue(a, b);
+    } else if (sortBy === 'due_date') {
+      cmp = byDue(a, b) || byUrgency(a, b);
+    } else {
+      cmp = String(a[sortBy] || '').localeCompare(String(b[sortBy] || ''));
+    }
+    return dir * cmp || a.assignment_id - b.assignment_id;
+  });
+
+  return filters.limit ? tasks.slice(0, filters.limit) : tasks;
+}
+
+/**
+ * Open tasks linked to a player, most urgent first.
+ * Matches preferred_name_id, or customer_name for tasks created before the
+ * player link existed.
+ *
+ * @param {string} preferredName - Player's PreferredName
+ * @return {Array<Object>} Open tasks
+ */
+function getOpenTasksForPlayer(preferredName) {
+  const key = String(preferredName || '').trim().toLowerCase();
+  if (!key) return [];
+
+  return getTasks({ onlyOpen: true }).filter(task =>
+    task.preferred_name_id.toLowerCase() === key ||
+    (!task.preferred_name_id && task.customer_name.toLowerCase() === key)
+  );
+}
+
+// ============================================================================
+// UI ENTRYPOINTS (task board, Employee Log sidebar, viewer, intake dialogs)
+// ============================================================================
+
+/**
+ * Task list for ui/this_needs_task_board and ui/employee_log
+ * @param {Object} filters - See getTasks()
+ * @return {Array<Object>} Tasks
+ */
+function getEmployeeLogTasks(filters) {
+  return getTasks(filters || {});
+}
+
+/**
+ * Employees that tasks are or were assigned to, for assignee filters
+ * @return {Array<string>} Sorted names
+ */
+function getEmployeeLogAssignees() {
+  return unique(readTasks_()
+    .map(t => t.assigned_employee)
+    .filter(name => name && name !== UNASSIGNED_EMPLOYEE))
+    .sort();
+}
+
+/**
+ * Status change from the task board / Employee Log sidebar (row-addressed)
+ * @param {number} rowNumber - Employee_Log row
+ * @param {string} status - New status
+ * @return {Object} Updated task
+ */
+function setTaskStatus(rowNumber, status) {
+  const task = readTasks_().find(t => t.rowNumber === Number(rowNumber));
+  if (!task) {
+    throwError(`No task on Employee_Log row ${rowNumber}`, 'TASK_NOT_FOUND', 'Refresh the task list');
+  }
+  return changeTaskStatus(task.assignment_id, status);
+}
+
+/**
+ * Checkbox toggle from ui/employeeTaskLogViewier
+ * @param {number} assignmentId - Task ID
+ * @param {boolean} isComplete - true completes, false reopens
+ * @return {Object} Updated task
+ */
+function setTaskComplete(assignmentId, isComplete) {
+  return isComplete ? completeTask(assignmentId) : reopenTask(assignmentId);
+}
+
+/**
+ * Task list and header counts for ui/employeeTaskLogViewier
+ * @return {Object} {tasks, stats: {pending, inProgress, dueToday}}
+ */
+function getTasksForViewer() {
+  const tasks = getTasks({ sortBy: 'urgency' });
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  return {
+    tasks: tasks,
+    stats: {
+      pending: tasks.filter(t => t.status === TASK_STATUS.NEW).length,
+      inProgress: tasks.filter(t => t.status === TASK_STATUS.IN_PROGRESS).length,
+      dueToday: tasks.filter(t => t.isOpen && t.due_date === today).length
+    }
+  };
+}
+
+/**
+ * Submit handler for ui/this_needs_intake and ui/this_needs_dialog
+ * @param {Object} payload - {taskSummary, customerName, dueDate, assignedEmployee,
+ *   urgency, reachSource, contactInfo, okToText, expectingCallback, pickupDate, details}
+ * @return {Object} {assignmentId, customerName, dueDate}
+ */
+function createThisNeedsAssignment(payload) {
+  const task = createTask({
+    task_summary: payload.taskSummary,
+    customer_name: payload.customerName,
+    due_date: payload.dueDate,
+    assigned_employee: payload.assignedEmployee,
+    urgency: payload.urgency,
+    how_did_they_reach_out: payload.reachSource,
+    contact_information: payload.contactInfo,
+    ok_to_text: payload.okToText,
+    expecting_callback: payload.expectingCallback,
+    pickup_date: payload.pickupDate,
+    details: payload.details,
+    source: 'This Needs'
+  });
+  return {
+    assignmentId: task.assignment_id,
+    customerName: task.customer_name || task.preferred_name_id,
+    dueDate: task.due_date || 'no due date'
+  };
+}
+
+/**
+ * Save handler for ui/single_assignment: creates a task, or updates the
+ * editable fields of an existing one (status changes go through
+ * changeTaskStatus so completion fields stay consistent).
+ *
+ * @param {Object} formData - Employee_Log fields; assignment_id set when editing
+ * @return {Object} {assignmentId}
+ */
+function saveSingleAssignment(formData) {
+  if (!formData.assignment_id) {
+    const created = createTask(Object.assign({}, formData, { source: formData.source || 'Single Assignment' }));
+    if (formData.status && normalizeTaskStatus_(formData.status) !== TASK_STATUS.NEW) {
+      changeTaskStatus(created.assignment_id, formData.status);
+    }
+    return { assignmentId: created.assignment_id };
+  }
+
+  const id = Number(formData.assignment_id);
+  updateTask_(id, 'TASK_EDIT', task => ({
+    task_summary: String(formData.task_summary || task.task_summary).trim(),
+    details: String(formData.details || '').trim(),
+    urgency: normalizeTaskUrgency_(formData.urgency || task.urgency),
+    assigned_employee: String(formData.assigned_employee || '').trim() || UNASSIGNED_EMPLOYEE,
+    due_date: formatTaskDate_(formData.due_date),
+    preferred_name_id: resolveTaskPlayer_(formData.preferred_name_id, task.customer_name),
+    how_did_they_reach_out: formData.how_did_they_reach_out || '',
+    contact_information: String(formData.contact_information || '').trim(),
+    ok_to_text: coerceBoolean(formData.ok_to_text || false),
+    expecting_callback: coerceBoolean(formData.expecting_callback || false),
+    pickup_date: formatTaskDate_(formData.pickup_date),
+    picked_up: coerceBoolean(formData.picked_up || false),
+    source: formData.source || task.source
+  }));
+  if (formData.status) {
+    changeTaskStatus(id, formData.status);
+  }
+  return { assignmentId: id };
+}
+
+/**
+ * Opens ui/single_assignment for a new task or for editing an existing one
+ * @param {number} assignmentId - Task ID (omit for a new task)
+ */
+function openAssignmentModal(assignmentId) {
+  const template = HtmlService.createTemplateFromFile('ui/single_assignment');
+  template.assignmentId = assignmentId || null;
+  template.assignmentData = assignmentId ? getTask(assignmentId) : null;
+  template.employees = getEmployeeLogAssignees();
+  template.preferredNames = getPreferredNamesForUI();
+
+  const html = template.evaluate()
+    .setWidth(560)
+    .setHeight(720);
+  SpreadsheetApp.getUi().showModalDialog(html, assignmentId ? `Task #${assignmentId}` : 'New Task');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalizes an urgency label to a URGENCY_PRIORITY key
+ * @param {string} urgency - Urgency or alias (blank → Medium)
+ * @return {string} ASAP | High | Medium | Low
+ * @private
+ */
+function normalizeTaskUrgency_(urgency) {
+  const raw = String(urgency || '').trim();
+  if (!raw) return DEFAULT_TASK_URGENCY;
+  const level = TASK_URGENCY_ALIASES[raw.toUpperCase()];
+  if (!level) {
+    throwError(`Unknown urgency "${raw}"`, 'INVALID_URGENCY', 'Use ASAP, High, Medium or Low');
+  }
+  return level;
+}
+
+/**
+ * Normalizes a status label to a TASK_STATUS value
+ * @param {string} status - Status or alias
+ * @return {string} Canonical status
+ * @private
+ */
+function normalizeTaskStatus_(status) {
+  const raw = String(status || '').trim();
+  const canonical = TASK_STATUS_ALIASES[raw.toUpperCase()];
+  if (!canonical) {
+    throwError(`Unknown task status "${raw}"`, 'INVALID_TASK_STATUS',
+      `Use one of: ${Object.values(TASK_STATUS).join(', ')}`);
+  }
+  return canonical;
+}
+
+/** @private */
+function taskUrgencyRank_(urgency) {
+  return URGENCY_PRIORITY[urgency] || 0;
+}
+
+/**
+ * Resolves the player a task belongs to.
+ * An explicit preferred_name_id must exist in PreferredNames (or be
+ * STORE_TASK); a bare customer name is linked only when it matches.
+ *
+ * @param {string} preferredNameId - Requested link
+ * @param {string} customerName - Free-text customer name
+ * @return {string} PreferredName, STORE_TASK, or '' when unlinked
+ * @private
+ */
+function resolveTaskPlayer_(preferredNameId, customerName) {
+  const requested = String(preferredNameId || '').trim();
+  if (requested === STORE_TASK_ID) return STORE_TASK_ID;
+
+  const names = getPreferredNamesForUI();
+  const find = name => names.find(n => n.toLowerCase() === name.toLowerCase()) || null;
+
+  if (requested) {
+    const match = find(requested);
+    if (!match) {
+      throwError(`"${requested}" is not in PreferredNames`, 'PLAYER_NOT_FOUND',
+        'Pick the player from the list or mark the task as a store task');
+    }
+    return match;
+  }
+
+  const customer = String(customerName || '').trim();
+  return (customer && find(customer)) || '';
+}
+
+/**
+ * Formats a date field as yyyy-MM-dd ('' when blank)
+ * @private
+ */
+function formatTaskDate_(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  return String(value).trim().slice(0, 10);
+}
+
+/**
+ * Creates Employee_Log, or appends any canonical columns an older sheet lacks
+ * @return {Sheet}
+ * @private
+ */
+function ensureEmployeeLogSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EMPLOYEE_LOG_SHEET);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(EMPLOYEE_LOG_SHEET);
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, EMPLOYEE_LOG_HEADERS.length).setValues([EMPLOYEE_LOG_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    return sheet;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = EMPLOYEE_LOG_HEADERS.filter(h => !headers.includes(h));
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+  }
+  return sheet;
+}
+
+/** @private */
+function nextAssignmentId_(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const col = data[0].indexOf('assignment_id');
+  let max = 0;
+  for (let i = 1; i < data.length; i++) {
+    max = Math.max(max, coerceNumber(data[i][col], 0));
+  }
+  return max + 1;
+}
+
+/**
+ * Reads every task row as a normalized task object
+ * @return {Array<Object>} Tasks with rowNumber and isOpen
+ * @private
+ */
+function readTasks_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EMPLOYEE_LOG_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const tasks = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const raw = {};
+    headers.forEach((h, j) => { raw[h] = data[i][j]; });
+    if (!raw.assignment_id && !raw.task_summary) continue;
+
+    const status = TASK_STATUS_ALIASES[String(raw.status || '').trim().toUpperCase()] || TASK_STATUS.NEW;
+    const task = {
+      rowNumber: i + 1,
+      assignment_id: coerceNumber(raw.assignment_id, 0),
+      created_at: raw.created_at instanceof Date ? raw.created_at.toISOString() : String(raw.created_at || ''),
+      created_by: String(raw.created_by || ''),
+      preferred_name_id: String(raw.preferred_name_id || '').trim(),
+      customer_name: String(raw.customer_name || '').trim(),
+      task_summary: String(raw.task_summary || ''),
+      details: String(raw.details || ''),
+      urgency: TASK_URGENCY_ALIASES[String(raw.urgency || '').trim().toUpperCase()] || DEFAULT_TASK_URGENCY,
+      status: status,
+      assigned_employee: String(raw.assigned_employee || '').trim() || UNASSIGNED_EMPLOYEE,
+      claimed_at: String(raw.claimed_at || ''),
+      due_date: formatTaskDate_(raw.due_date),
+      how_did_they_reach_out: String(raw.how_did_they_reach_out || ''),
+      contact_information: String(raw.contact_information || ''),
+      ok_to_text: coerceBoolean(raw.ok_to_text || false),
+      expecting_callback: coerceBoolean(raw.expecting_callback || false),
+      pickup_date: formatTaskDate_(raw.pickup_date),
+      picked_up: coerceBoolean(raw.picked_up || false),
+      completed: status === TASK_STATUS.COMPLETED,
+      completed_at: String(raw.completed_at || ''),
+      source: String(raw.source || ''),
+      LastUpdated: raw.LastUpdated instanceof Date ? raw.LastUpdated.toISOString() : String(raw.LastUpdated || ''),
+      isOpen: !CLOSED_TASK_STATUSES.includes(status)
+    };
+    task.row = task.rowNumber;
+    tasks.push(task);
+  }
+
+  return tasks;
+}
+
+/**
+ * Applies a change to one task row under the script lock.
+ *
+ * @param {number} assignmentId - Task ID
+ * @param {string} action - Integrity_Log action
+ * @param {Function} buildChanges - (task) → {field: value} or null for no-op
+ * @param {string} note - Extra log detail
+ * @return {Object} Updated task
+ * @private
+ */
+function updateTask_(assignmentId, action, buildChanges, note = '') {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const task = getTask(assignmentId);
+    const changes = buildChanges(task);
+    if (!changes) return task;
+
+    const sheet = ensureEmployeeLogSheet_();
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const row = sheet.getRange(task.rowNumber, 1, 1, headers.length).getValues()[0];
+    changes.LastUpdated = dateISO();
+    Object.keys(changes).forEach(field => {
+      const col = headers.indexOf(field);
+      if (col !== -1) row[col] = changes[field];
+    });
+    sheet.getRange(task.rowNumber, 1, 1, headers.length).setValues([row]);
+
+    logIntegrityAction(action, {
+      preferredName: task.preferred_name_id,
+      details: `Task #${task.assignment_id}: ${task.task_summary}${note ? ' ' + note : ''}`,
+      status: 'SUCCESS'
+    });
+
+    return getTask(assignmentId);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** @private */
+function requireOpenTask_(task) {
+  if (!task.isOpen) {
+    throwError(`Task #${task.assignment_id} is ${task.status.toLowerCase()}`, 'TASK_CLOSED', 'Reopen it first');
+  }
+}
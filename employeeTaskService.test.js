@@ -0,0 +1,240 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * EMPLOYEE TASK SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the Employee_Log task lifecycle, urgency
+ * and status normalization, player linkage and the dialog entrypoints.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testEmployeeTaskService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testEmployeeTaskService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('EMPLOYEE TASK SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Task Creation', testTaskCreation_, results);
+  runTestSuite_('Task Lifecycle', testTaskLifecycle_, results);
+  runTestSuite_('Task Queries', testTaskQueries_, results);
+  runTestSuite_('Dialog Entrypoints', testTaskDialogEntrypoints_, results);
+  runTestSuite_('Player Lookup Tasks', testPlayerLookupTasks_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resets the workbook to a PreferredNames roster and no Employee_Log
+ */
+function seedTaskWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake'], ['Casey']]
+  });
+}
+
+/**
+ * Runs fn and returns the error code it threw ('' if none)
+ * @private
+ */
+function taskErrorCode_(fn) {
+  try {
+    fn();
+  } catch (e) {
+    const match = String(e.message).match(/^\[([A-Z_]+)\]/);
+    return match ? match[1] : e.message;
+  }
+  return '';
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testTaskCreation_(results) {
+  seedTaskWorkbook_();
+
+  const first = createTask({ task_summary: 'Hold Foundations box', customer_name: 'alex', urgency: 'CRITICAL' });
+  const second = createTask({ task_summary: 'Restock sleeves', preferred_name_id: 'STORE_TASK' });
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Employee_Log');
+  assert_(sheet !== null, 'Employee_Log is created on first task', results);
+  assert_(JSON.stringify(sheet.getRange(1, 1, 1, EMPLOYEE_LOG_HEADERS.length).getValues()[0]) ===
+    JSON.stringify(EMPLOYEE_LOG_HEADERS), 'Employee_Log uses the canonical headers', results);
+  assert_(first.assignment_id === 1 && second.assignment_id === 2, 'Assignment IDs are sequential', results);
+  assert_(first.urgency === 'ASAP', 'CRITICAL is stored as ASAP', results);
+  assert_(second.urgency === 'Medium', 'Urgency defaults to Medium', results);
+  assert_(first.status === 'New' && first.assigned_employee === 'Unassigned', 'New tasks start New and Unassigned', results);
+  assert_(first.preferred_name_id === 'Alex', 'Customer name matching a PreferredName links the player', results);
+  assert_(second.preferred_name_id === 'STORE_TASK', 'Store tasks keep STORE_TASK', results);
+
+  const walkIn = createTask({ task_summary: 'Call back about singles', customer_name: 'Jordan Walk-in' });
+  assert_(walkIn.preferred_name_id === '' && walkIn.customer_name === 'Jordan Walk-in',
+    'Unknown customers stay unlinked', results);
+
+  assert_(taskErrorCode_(() => createTask({ task_summary: '  ' })) === 'TASK_SUMMARY_REQUIRED',
+    'Blank summary is rejected', results);
+  assert_(taskErrorCode_(() => createTask({ task_summary: 'x', urgency: 'Someday' })) === 'INVALID_URGENCY',
+    'Unknown urgency is rejected', results);
+  assert_(taskErrorCode_(() => createTask({ task_summary: 'x', preferred_name_id: 'Nobody' })) === 'PLAYER_NOT_FOUND',
+    'Unknown preferred_name_id is rejected', results);
+
+  // Legacy sheet: missing canonical columns are appended, existing rows kept
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex']],
+    Employee_Log: [['assignment_id', 'task_summary', 'status'], [7, 'Old task', 'Pending']]
+  });
+  const next = createTask({ task_summary: 'After migration' });
+  const headers = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Employee_Log').getDataRange().getValues()[0];
+  assert_(EMPLOYEE_LOG_HEADERS.every(h => headers.includes(h)), 'Older Employee_Log gains missing columns', results);
+  assert_(next.assignment_id === 8, 'IDs continue after existing rows', results);
+  assert_(getTask(7).status === 'New', 'Legacy "Pending" reads as New', results);
+}
+
+function testTaskLifecycle_(results) {
+  seedTaskWorkbook_();
+  const task = createTask({ task_summary: 'Call Blake about preorder', customer_name: 'Blake', urgency: 'High' });
+
+  const claimed = claimTask(task.assignment_id, 'Sam');
+  assert_(claimed.status === 'In Progress' && claimed.assigned_employee === 'Sam' && claimed.claimed_at !== '',
+    'Claim assigns the claimant and starts the task', results);
+  assert_(taskErrorCode_(() => claimTask(task.assignment_id, 'Riley')) === 'TASK_ALREADY_CLAIMED',
+    'Another employee cannot claim a claimed task', results);
+
+  const reassigned = assignTask(task.assignment_id, 'Riley');
+  assert_(reassigned.assigned_employee === 'Riley' && reassigned.status === 'In Progress',
+    'Assign changes the assignee without touching status', results);
+
+  const done = completeTask(task.assignment_id);
+  assert_(done.status === 'Completed' && done.completed === true && done.completed_at !== '',
+    'Complete sets status and completion fields', results);
+  assert_(completeTask(task.assignment_id).completed_at === done.completed_at, 'Completing twice is a no-op', results);
+  assert_(taskErrorCode_(() => assignTask(task.assignment_id, 'Sam')) === 'TASK_CLOSED',
+    'Closed tasks cannot be reassigned', results);
+
+  const reopened = reopenTask(task.assignment_id);
+  assert_(reopened.status === 'In Progress' && reopened.completed === false && reopened.completed_at === '',
+    'Reopen returns an assigned task to In Progress', results);
+  assert_(taskErrorCode_(() => reopenTask(task.assignment_id)) === 'TASK_NOT_CLOSED',
+    'Open tasks cannot be reopened', results);
+
+  const canceled = changeTaskStatus(task.assignment_id, 'Cancelled');
+  assert_(canceled.status === 'Canceled', 'Status aliases are normalized', results);
+  assert_(taskErrorCode_(() => completeTask(task.assignment_id)) === 'TASK_CLOSED',
+    'Canceled tasks must be reopened before completing', results);
+  const renewed = changeTaskStatus(task.assignment_id, 'New');
+  assert_(renewed.status === 'New' && renewed.completed === false, 'Moving a closed task to an open status reopens it', results);
+  assert_(taskErrorCode_(() => changeTaskStatus(task.assignment_id, 'Someday')) === 'INVALID_TASK_STATUS',
+    'Unknown status is rejected', results);
+  assert_(taskErrorCode_(() => getTask(99)) === 'TASK_NOT_FOUND', 'Unknown task ID is rejected', results);
+
+  const actions = GAS_EMULATOR.dump('Integrity_Log').slice(1).map(r => r.join('|'));
+  ['TASK_CREATE', 'TASK_CLAIM', 'TASK_ASSIGN', 'TASK_COMPLETE', 'TASK_REOPEN', 'TASK_STATUS'].forEach(action => {
+    assert_(actions.some(a => a.indexOf(action) !== -1), action + ' is logged to Integrity_Log', results);
+  });
+}
+
+function testTaskQueries_(results) {
+  seedTaskWorkbook_();
+  createTask({ task_summary: 'Low task', urgency: 'Low', due_date: '2026-01-05', assigned_employee: 'Sam' });
+  createTask({ task_summary: 'ASAP task', urgency: 'ASAP', due_date: '2026-01-09', customer_name: 'Casey' });
+  createTask({ task_summary: 'High task', urgency: 'High', due_date: '2026-01-01', assigned_employee: 'Riley' });
+  const done = createTask({ task_summary: 'Finished task', urgency: 'ASAP', assigned_employee: 'Sam' });
+  completeTask(done.assignment_id);
+
+  const byUrgency = getTasks({ onlyOpen: true }).map(t => t.task_summary);
+  assert_(JSON.stringify(byUrgency) === JSON.stringify(['ASAP task', 'High task', 'Low task']),
+    'Open tasks sort ASAP > High > Medium > Low', results);
+
+  const byDue = getTasks({ onlyOpen: true, sortBy: 'due_date' }).map(t => t.task_summary);
+  assert_(byDue[0] === 'High task' && byDue[2] === 'ASAP task', 'sortBy due_date orders by due date', results);
+
+  assert_(getTasks({ urgency: 'critical' }).length === 2, 'Urgency filter accepts aliases', results);
+  assert_(getTasks({ status: 'Done' }).length === 1, 'Status filter accepts aliases', results);
+  assert_(getTasks({ assignedTo: 'sam' }).length === 2, 'Assignee filter is case-insensitive', results);
+  assert_(getTasks({ search: 'casey' }).length === 1, 'Search covers customer names', results);
+  assert_(getTasks({ limit: 2 }).length === 2, 'Limit caps the result', results);
+
+  assert_(JSON.stringify(getEmployeeLogAssignees()) === JSON.stringify(['Riley', 'Sam']),
+    'Assignees are unique, sorted and exclude Unassigned', results);
+}
+
+function testTaskDialogEntrypoints_(results) {
+  seedTaskWorkbook_();
+
+  const intake = createThisNeedsAssignment({
+    taskSummary: 'Hold preorder', customerName: 'Blake', dueDate: '2026-02-01',
+    assignedEmployee: 'Unassigned', urgency: 'MED', reachSource: 'Phone', contactInfo: '555-0100',
+    okToText: true, expectingCallback: false, pickupDate: '', details: 'Two boxes'
+  });
+  const created = getTask(intake.assignmentId);
+  assert_(intake.assignmentId === 1 && intake.customerName === 'Blake' && intake.dueDate === '2026-02-01',
+    'createThisNeedsAssignment returns ID, customer and due date', results);
+  assert_(created.urgency === 'Medium' && created.ok_to_text === true && created.how_did_they_reach_out === 'Phone' &&
+    created.source === 'This Needs', 'Intake payload is mapped to Employee_Log fields', results);
+
+  const saved = saveSingleAssignment({
+    assignment_id: null, task_summary: 'Order sleeves', urgency: 'Normal', status: 'In Progress',
+    assigned_employee: 'Sam', preferred_name_id: 'STORE_TASK'
+  });
+  assert_(getTask(saved.assignmentId).status === 'In Progress', 'New single assignment keeps its chosen status', results);
+
+  saveSingleAssignment({
+    assignment_id: intake.assignmentId, task_summary: 'Hold preorder (2 boxes)', urgency: 'High',
+    status: 'Completed', assigned_employee: 'Riley', preferred_name_id: 'Blake', details: 'Paid'
+  });
+  const edited = getTask(intake.assignmentId);
+  assert_(edited.task_summary === 'Hold preorder (2 boxes)' && edited.urgency === 'High' &&
+    edited.assigned_employee === 'Riley' && edited.status === 'Completed' && edited.completed === true,
+    'Editing a single assignment updates fields and status', results);
+
+  setTaskStatus(edited.rowNumber, 'In Progress');
+  assert_(getTask(intake.assignmentId).status === 'In Progress', 'setTaskStatus addresses tasks by row', results);
+  assert_(taskErrorCode_(() => setTaskStatus(99, 'New')) === 'TASK_NOT_FOUND', 'setTaskStatus rejects empty rows', results);
+
+  setTaskComplete(intake.assignmentId, true);
+  assert_(getTask(intake.assignmentId).status === 'Completed', 'setTaskComplete(true) completes', results);
+  setTaskComplete(intake.assignmentId, false);
+  assert_(getTask(intake.assignmentId).status === 'In Progress', 'setTaskComplete(false) reopens', results);
+
+  const viewer = getTasksForViewer();
+  assert_(viewer.tasks.length === 2 && viewer.stats.inProgress === 2 && viewer.stats.pending === 0,
+    'Viewer returns tasks with status counts', results);
+
+  assert_(getEmployeeLogTasks({ onlyOpen: true, limit: 200 }).length === 2, 'getEmployeeLogTasks applies filters', results);
+  assert_(getEmployeeLogTasks()[0].row === getEmployeeLogTasks()[0].rowNumber, 'Tasks expose row and rowNumber', results);
+}
+
+function testPlayerLookupTasks_(results) {
+  seedTaskWorkbook_();
+  createTask({ task_summary: 'Low for Alex', customer_name: 'Alex', urgency: 'Low' });
+  createTask({ task_summary: 'ASAP for Alex', preferred_name_id: 'alex', urgency: 'ASAP' });
+  createTask({ task_summary: 'For Blake', customer_name: 'Blake' });
+  const closed = createTask({ task_summary: 'Closed for Alex', customer_name: 'Alex' });
+  completeTask(closed.assignment_id);
+
+  const errors = [];
+  const info = getOpenTasksInfo_('Alex', errors);
+  assert_(errors.length === 0, 'Open task lookup reports no errors', results);
+  assert_(info.count === 2, 'Only the player\'s open tasks are counted', results);
+  assert_(info.items[0].taskSummary === 'ASAP for Alex', 'Most urgent task is listed first', results);
+  assert_(info.hasUrgent === true, 'ASAP tasks flag the player as having urgent work', results);
+  assert_(getOpenTasksInfo_('Casey', []).count === 0, 'Players without tasks have none', results);
+}
@@ -0,0 +1,287 @@
+/**
+ * Event Batch Service - Chunked Full-History Scans
+ * @fileoverview Reads every event tab for the full-history scans (mission
+ * scan, attendance calendar, event dashboard, player name check) in chunks
+ * that fit an execution, and commits each scan's outputs only once every tab
+ * has been read.
+ *
+ * - Cursor: script property EVENT_BATCH_<SCAN> ({runId, signature, next, total}).
+ *   A run that stops (time budget, error, 6-minute kill) resumes from the
+ *   cursor on its next call; if the event tabs changed in between, it restarts.
+ * - Event_Batch_Staging (hidden): one row per tab read (JSON), cleared on commit.
+ * - Scheduled jobs return {continuation} until the scan commits
+ *   (jobSchedulerService.js schedules the next chunk).
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const EVENT_BATCH_STAGING_SHEET = 'Event_Batch_Staging';
+
+const EVENT_BATCH_STAGING_HEADERS = ['Scan', 'Run_Id', 'Tab', 'Read_At', 'Data'];
+
+const EVENT_BATCH_SCANS = ['MISSION_SCAN', 'ATTENDANCE_CALENDAR', 'EVENT_DASHBOARD', 'PLAYER_NAME_CHECK'];
+
+const EVENT_BATCH_PROPERTY_PREFIX = 'EVENT_BATCH_';
+
+/** Time a call spends when the caller gives no deadline */
+const EVENT_BATCH_BUDGET_MS = 240000;
+
+/** Time kept back from reading for the commit */
+const EVENT_BATCH_COMMIT_RESERVE_MS = 60000;
+
+// ============================================================================
+// SCANS
+// ============================================================================
+
+/**
+ * Scan → {tabs(ss), read(sheet, cache), commit(tabs)}. read returns JSON-safe
+ * data for one tab; commit gets [{tab, data}] in tab order.
+ * Built on call so every service file is loaded.
+ * @return {Object} Scans
+ * @private
+ */
+function getEventBatchScans_() {
+  return {
+    MISSION_SCAN: {
+      tabs: ss => ss.getSheets().map(s => s.getName()).filter(name => parseEventSheetName_(name)),
+      read: (sheet, cache) => extractEventData_(sheet,
+        cache.preferredNames || (cache.preferredNames = loadPreferredNamesSet_(cache.ss))),
+      commit: tabs => runMissionScan({ silent: true, tabs })
+    },
+    ATTENDANCE_CALENDAR: {
+      tabs: () => getEventSheets_().map(e => e.sheetName),
+      read: sheet => Array.from(getEventRoster_(sheet)),
+      commit: tabs => buildAttendanceCalendarSheet(eventBatchDataByTab_(tabs))
+    },
+    EVENT_DASHBOARD: {
+      tabs: ss => getEventSheetsFlexible_(ss).map(e => e.sheetName),
+      read: sheet => getEventRosterArray_(sheet),
+      commit: tabs => buildEventDashboard({ silent: true, rosters: eventBatchDataByTab_(tabs) }) || { events: 0 }
+    },
+    PLAYER_NAME_CHECK: {
+      tabs: ss => ss.getSheets().map(s => s.getName()).filter(name => NAME_SERVICE_CONFIG.EVENT_PATTERN.test(name)),
+      read: sheet => readEventTabNames_(sheet),
+      commit: tabs => {
+        const check = runPlayerNameCheck(tabs);
+        return { totalNames: check.totalNames, matched: check.matched, unmatched: check.unmatched.length };
+      }
+    }
+  };
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Reads the next chunk of event tabs for a scan; once every tab is read,
+ * commits the scan's outputs and clears its progress.
+ *
+ * @param {string} scanName - One of EVENT_BATCH_SCANS
+ * @param {Object} [options] - {deadline (ms epoch), maxTabs, restart}
+ * @return {Object} {scan, runId, done, read, next, total, restarted, result}
+ * @throws {Error} VALIDATION_ERROR for an unknown scan; EVENT_BATCH_INCOMPLETE
+ *   if staged tabs went missing (the next call starts over); read and commit
+ *   errors are logged and rethrown with the cursor kept
+ */
+function runEventBatch(scanName, options) {
+  const opts = options || {};
+  const scan = String(scanName || '').trim().toUpperCase();
+  const def = getEventBatchScans_()[scan];
+  if (!def) {
+    throwError(`Unknown batch scan "${scanName}"`, 'VALIDATION_ERROR', `Scans are ${EVENT_BATCH_SCANS.join(', ')}`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const readUntil = (opts.deadline || Date.now() + EVENT_BATCH_BUDGET_MS) - EVENT_BATCH_COMMIT_RESERVE_MS;
+  const tabs = def.tabs(ss);
+  const signature = computeHash({ tabs });
+
+  let cursor = readEventBatchCursor_(scan);
+  let restarted = false;
+  if (cursor && (opts.restart || cursor.signature !== signature)) {
+    clearEventBatchStaging_(scan, cursor.runId);
+    cursor = null;
+    restarted = true;
+  }
+  if (!cursor) {
+    const runId = `${scan}-${Utilities.getUuid().slice(0, 8)}`;
+    cursor = { runId, signature, next: 0, total: tabs.length, startedAt: dateISO(), calls: 0 };
+  }
+  cursor.calls++;
+
+  // Always read at least one tab so every call makes progress
+  const maxTabs = opts.maxTabs || tabs.length;
+  const cache = { ss };
+  const rows = [];
+  try {
+    while (cursor.next < tabs.length && rows.length < maxTabs && (rows.length === 0 || Date.now() < readUntil)) {
+      const tab = tabs[cursor.next];
+      rows.push([scan, cursor.runId, tab, dateISO(), JSON.stringify(def.read(ss.getSheetByName(tab), cache))]);
+      cursor.next++;
+    }
+  } catch (e) {
+    logIntegrityAction('EVENT_BATCH', {
+      details: `${cursor.runId} failed reading ${tabs[cursor.next]}: ${e.message}`,
+      status: 'FAILURE'
+    });
+    throw e;
+  } finally {
+    stageEventBatchRows_(rows);
+    saveEventBatchCursor_(scan, cursor);
+  }
+
+  const summary = { scan, runId: cursor.runId, done: false, read: rows.length, next: cursor.next, total: cursor.total, restarted };
+  if (cursor.next < cursor.total || (rows.length > 0 && Date.now() >= readUntil)) {
+    return summary;
+  }
+
+  const staged = readEventBatchStaging_(scan, cursor.runId, tabs);
+  try {
+    summary.result = def.commit(staged);
+  } catch (e) {
+    logIntegrityAction('EVENT_BATCH', { details: `${cursor.runId} failed to commit ${scan}: ${e.message}`, status: 'FAILURE' });
+    throw e;
+  }
+
+  clearEventBatchStaging_(scan, cursor.runId);
+  PropertiesService.getScriptProperties().deleteProperty(EVENT_BATCH_PROPERTY_PREFIX + scan);
+  logIntegrityAction('EVENT_BATCH', {
+    details: `${cursor.runId}: ${scan} committed ${cursor.total} tab(s) read in ${cursor.calls} run(s)`,
+    status: 'SUCCESS'
+  });
+  summary.done = true;
+  return summary;
+}
+
+/**
+ * Runs a scan as a scheduled job: CONTINUED until every tab is read
+ * @param {string} scan - One of EVENT_BATCH_SCANS
+ * @param {Object} context - Job context ({deadline})
+ * @return {Object} The scan result, or {tabsRead, tabs, continuation}
+ * @private
+ */
+function runEventBatchJob_(scan, context) {
+  const batch = runEventBatch(scan, { deadline: context.deadline });
+  if (batch.done) return batch.result;
+  return { tabsRead: batch.next, tabs: batch.total, continuation: `${batch.runId}@${batch.next}` };
+}
+
+/**
+ * Scans that are part-way through
+ * @return {Array<Object>} [{scan, runId, next, total, startedAt, calls}]
+ */
+function getEventBatchStatus() {
+  return EVENT_BATCH_SCANS
+    .map(scan => {
+      const cursor = readEventBatchCursor_(scan);
+      return cursor ? { scan, runId: cursor.runId, next: cursor.next, total: cursor.total, startedAt: cursor.startedAt, calls: cursor.calls } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Drops a scan's progress so its next call starts from the first tab
+ * @param {string} scanName - One of EVENT_BATCH_SCANS
+ * @return {boolean} true if there was progress to drop
+ */
+function resetEventBatch(scanName) {
+  const scan = String(scanName || '').trim().toUpperCase();
+  const cursor = readEventBatchCursor_(scan);
+  if (!cursor) return false;
+  clearEventBatchStaging_(scan, cursor.runId);
+  PropertiesService.getScriptProperties().deleteProperty(EVENT_BATCH_PROPERTY_PREFIX + scan);
+  return true;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function readEventBatchCursor_(scan) {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(EVENT_BATCH_PROPERTY_PREFIX + scan) || 'null');
+}
+
+/** @private */
+function saveEventBatchCursor_(scan, cursor) {
+  PropertiesService.getScriptProperties().setProperty(EVENT_BATCH_PROPERTY_PREFIX + scan, JSON.stringify(cursor));
+}
+
+/** @private */
+function stageEventBatchRows_(rows) {
+  if (rows.length === 0) return;
+  const sheet = ensureEventBatchStagingSheet();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, EVENT_BATCH_STAGING_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Staged data for a run in tab order (a tab read twice keeps its last read)
+ * @return {Array<Object>} [{tab, data}]
+ * @private
+ */
+function readEventBatchStaging_(scan, runId, tabs) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EVENT_BATCH_STAGING_SHEET);
+  const rows = sheet && sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, EVENT_BATCH_STAGING_HEADERS.length).getValues()
+    : [];
+
+  const byTab = {};
+  rows.filter(r => String(r[0]) === scan && String(r[1]) === runId).forEach(r => {
+    byTab[String(r[2])] = String(r[4]);
+  });
+
+  const missing = tabs.filter(tab => byTab[tab] === undefined);
+  if (missing.length > 0) {
+    resetEventBatch(scan);
+    throwError(`${runId} is missing staged data for ${missing.join(', ')}`, 'EVENT_BATCH_INCOMPLETE',
+      'The next run reads every tab again');
+  }
+  return tabs.map(tab => ({ tab, data: JSON.parse(byTab[tab]) }));
+}
+
+/**
+ * Removes a run's staged rows
+ * @return {number} Rows removed
+ * @private
+ */
+function clearEventBatchStaging_(scan, runId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EVENT_BATCH_STAGING_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return 0;
+
+  const width = EVENT_BATCH_STAGING_HEADERS.length;
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+  const kept = rows.filter(r => !(String(r[0]) === scan && String(r[1]) === runId));
+  if (kept.length === rows.length) return 0;
+
+  sheet.deleteRows(2, rows.length);
+  if (kept.length > 0) {
+    sheet.getRange(2, 1, kept.length, width).setValues(kept);
+  }
+  return rows.length - kept.length;
+}
+
+/** [{tab, data}] → {tab: data} @private */
+function eventBatchDataByTab_(tabs) {
+  const byTab = {};
+  tabs.forEach(t => { byTab[t.tab] = t.data; });
+  return byTab;
+}
+
+/**
+ * Creates Event_Batch_Staging (hidden)
+ * @return {Sheet}
+ */
+function ensureEventBatchStagingSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EVENT_BATCH_STAGING_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(EVENT_BATCH_STAGING_SHEET);
+    sheet.appendRow(EVENT_BATCH_STAGING_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
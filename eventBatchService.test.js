@@ -0,0 +1,201 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * EVENT BATCH - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for chunked full-history scans: the cursor,
+ * resuming, restarts when tabs change, failures that keep progress, outputs
+ * that match a one-shot run and the scheduled-job continuation.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testEventBatchService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testEventBatchService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('EVENT BATCH TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Chunks and Resume', testEventBatchChunks_, results);
+  runTestSuite_('Tab Changes', testEventBatchRestart_, results);
+  runTestSuite_('Failures', testEventBatchFailures_, results);
+  runTestSuite_('Same Outputs', testEventBatchOutputs_, results);
+  runTestSuite_('Scheduled Jobs', testEventBatchJobs_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Three event nights; "Caseyy" is a misspelling for the name check
+ * @private
+ */
+function resetEventBatchWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake'], ['Casey']],
+    '10-02D-2026': [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Blake'], [3, 'Casey']],
+    '10-09D-2026': [['Rank', 'PreferredName'], [1, 'Blake'], [2, 'Caseyy']],
+    '10-11C-2026': [['Rank', 'PreferredName'], [1, 'Casey'], [2, 'Alex']]
+  });
+}
+
+/** @private */
+function eventBatchStaged_(scan) {
+  return toObjects(GAS_EMULATOR.dump(EVENT_BATCH_STAGING_SHEET)).filter(r => r.Scan === scan);
+}
+
+/**
+ * Runs fn with a global function swapped out
+ * @private
+ */
+function withEventBatchStub_(name, stub, fn) {
+  const original = globalThis[name];
+  globalThis[name] = stub(original);
+  try {
+    return fn();
+  } finally {
+    globalThis[name] = original;
+  }
+}
+
+/** @private */
+function runEventBatchToEnd_(scan) {
+  let batch = runEventBatch(scan, { maxTabs: 1 });
+  while (!batch.done) batch = runEventBatch(scan, { maxTabs: 1 });
+  return batch;
+}
+
+/** @private */
+function expectEventBatchError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return code ? e.message.indexOf('[' + code + ']') !== -1 : true;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testEventBatchChunks_(results) {
+  resetEventBatchWorkbook_();
+  const first = runEventBatch('mission_scan', { maxTabs: 1 });
+  assert_(!first.done && first.read === 1 && first.next === 1 && first.total === 3 &&
+    eventBatchStaged_('MISSION_SCAN').length === 1, 'A chunk reads its tabs and stages them', results);
+  assert_(GAS_EMULATOR.dump('Attendance_Missions').length === 0 && getEventBatchStatus()[0].next === 1,
+    'Nothing is written until every tab is read; progress is kept', results);
+
+  const second = runEventBatch('MISSION_SCAN', { maxTabs: 1 });
+  assert_(second.runId === first.runId && second.next === 2 && eventBatchStaged_('MISSION_SCAN')[1].Tab === '10-09D-2026',
+    'The next call resumes from the cursor', results);
+
+  const last = runEventBatch('MISSION_SCAN', { maxTabs: 1 });
+  assert_(last.done && last.result.eventsScanned === 3 && last.result.playersTracked === 4 &&
+    toObjects(GAS_EMULATOR.dump('Attendance_Missions')).length === 4, 'The last chunk commits the scan', results);
+  // The mission scan's own log row creates Integrity_Log with its layout, so match on cell values
+  assert_(eventBatchStaged_('MISSION_SCAN').length === 0 && getEventBatchStatus().length === 0 &&
+    GAS_EMULATOR.dump('Integrity_Log').some(r => r.includes('EVENT_BATCH') && r.includes('SUCCESS') &&
+      r.some(c => String(c).indexOf('in 3 run(s)') !== -1)), 'A committed scan clears its progress and is logged', results);
+  assert_(expectEventBatchError_(() => runEventBatch('EVERYTHING'), 'VALIDATION_ERROR'), 'Unknown scans are refused', results);
+}
+
+function testEventBatchRestart_(results) {
+  resetEventBatchWorkbook_();
+  const first = runEventBatch('ATTENDANCE_CALENDAR', { maxTabs: 2 });
+  GAS_EMULATOR.seedSheet('10-16D-2026', [['Rank', 'PreferredName'], [1, 'Alex']]);
+
+  const next = runEventBatch('ATTENDANCE_CALENDAR', { maxTabs: 1 });
+  assert_(next.restarted && next.runId !== first.runId && next.next === 1 && next.total === 4 &&
+    eventBatchStaged_('ATTENDANCE_CALENDAR').length === 1, 'A new event tab restarts the scan from the first tab', results);
+
+  runEventBatch('EVENT_DASHBOARD', { maxTabs: 1 });
+  assert_(resetEventBatch('ATTENDANCE_CALENDAR') && eventBatchStaged_('ATTENDANCE_CALENDAR').length === 0 &&
+    eventBatchStaged_('EVENT_DASHBOARD').length === 1 && !resetEventBatch('ATTENDANCE_CALENDAR'),
+    "Resetting drops one scan's progress and leaves the others", results);
+}
+
+function testEventBatchFailures_(results) {
+  resetEventBatchWorkbook_();
+  let calls = 0;
+  const flaky = original => sheet => {
+    if (sheet.getName() === '10-09D-2026' && calls++ === 0) throw new Error('Service timed out');
+    return original(sheet);
+  };
+  const failed = withEventBatchStub_('getEventRosterArray_', flaky,
+    () => expectEventBatchError_(() => runEventBatch('EVENT_DASHBOARD')));
+  const status = getEventBatchStatus()[0];
+  assert_(failed && status.next === 1 && eventBatchStaged_('EVENT_DASHBOARD').length === 1 &&
+    toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'EVENT_BATCH' && r.Status === 'FAILURE'),
+    'A tab that fails to read keeps the tabs before it and is logged', results);
+
+  const broken = () => () => { throw new Error('Dashboard write failed'); };
+  const commitFailed = withEventBatchStub_('buildEventDashboard', broken,
+    () => expectEventBatchError_(() => runEventBatch('EVENT_DASHBOARD')));
+  assert_(commitFailed && getEventBatchStatus()[0].next === 3 && eventBatchStaged_('EVENT_DASHBOARD').length === 3,
+    'A failed commit keeps every tab read', results);
+
+  const retried = runEventBatch('EVENT_DASHBOARD');
+  assert_(retried.done && retried.read === 0 && retried.result.events === 3 && retried.result.players === 4,
+    'The retry commits without reading the tabs again', results);
+
+  runEventBatch('PLAYER_NAME_CHECK', { maxTabs: 1 });
+  GAS_EMULATOR.seedSheet(EVENT_BATCH_STAGING_SHEET, [EVENT_BATCH_STAGING_HEADERS]);
+  assert_(expectEventBatchError_(() => runEventBatch('PLAYER_NAME_CHECK'), 'EVENT_BATCH_INCOMPLETE') &&
+    getEventBatchStatus().length === 0, 'Lost staged tabs fail the commit and start the scan over', results);
+}
+
+function testEventBatchOutputs_(results) {
+  resetEventBatchWorkbook_();
+  buildAttendanceCalendarSheet();
+  const calendar = GAS_EMULATOR.dump('Attendance_Calendar');
+  runPlayerNameCheck();
+  const names = GAS_EMULATOR.dump('UndiscoveredNames').map(r => r.slice(0, 6));
+
+  resetEventBatchWorkbook_();
+  runEventBatchToEnd_('ATTENDANCE_CALENDAR');
+  const chunkedNames = runEventBatchToEnd_('PLAYER_NAME_CHECK');
+  assert_(JSON.stringify(GAS_EMULATOR.dump('Attendance_Calendar')) === JSON.stringify(calendar),
+    'A chunked calendar matches a one-shot build', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump('UndiscoveredNames').map(r => r.slice(0, 6))) === JSON.stringify(names) &&
+    chunkedNames.result.unmatched === 1, 'A chunked name check matches a one-shot check', results);
+}
+
+function testEventBatchJobs_(results) {
+  resetEventBatchWorkbook_();
+  ensureJobsSheet();
+  const rows = GAS_EMULATOR.dump(JOBS_SHEET);
+  rows.find(r => r[0] === 'MISSION_SCAN')[5] = 0.01; // no time left after the first tab
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, rows);
+
+  const first = runJob('MISSION_SCAN');
+  assert_(first.status === 'CONTINUED' && first.result.tabsRead === 1 && first.result.tabs === 3,
+    'A scan that runs out of time is CONTINUED', results);
+
+  let run = first;
+  for (let i = 0; i < 5 && run && run.status === 'CONTINUED'; i++) {
+    const pending = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === 'onJobTrigger' && t.spec.after);
+    onJobTrigger({ triggerUid: pending[0].getUniqueId() });
+    run = getJobRuns('MISSION_SCAN')[0];
+  }
+  assert_(run.status === 'SUCCESS' && JSON.parse(run.result).eventsScanned === 3 &&
+    getJobRuns('MISSION_SCAN').filter(r => r.status === 'CONTINUED').length === 3,
+    'Continuation triggers resume the scan until it commits', results);
+}
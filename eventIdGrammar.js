@@ -0,0 +1,140 @@
+/**
+ * Event ID Grammar
+ * @fileoverview The one grammar for event tab names (event IDs). Every parser
+ * in the project – attendance scanner, mission scanner, event index, tab
+ * organizer, onEdit router – delegates here instead of keeping its own regex.
+ *
+ * Grammar (case-insensitive, surrounding whitespace ignored):
+ *
+ *   MM-DD[SUFFIX[(COMPONENTS)]]-YYYY[-SEQ]
+ *
+ *   MM, DD      1–2 digits, must form a real calendar date
+ *   SUFFIX      Letter followed by letters/digits: "B", "CL", "Draft"
+ *   COMPONENTS  Only on X (multi-event) tabs: "+"-separated suffixes, e.g. X(B+D)
+ *   YYYY        4-digit year, 2000–2100
+ *   SEQ         Sequence for several events with the same date and suffix (-2, -3 …)
+ *
+ * Examples:
+ *   11-23-2025         plain event
+ *   11-23B-2025        Casual Commander
+ *   12-01Draft-2025    multi-character suffix
+ *   11-23B-2025-2      second Casual Commander event that day
+ *   11-29X(B+D)-2025   multi-event day running Casual Commander and a Draft
+ *
+ * The legacy hyphenated form MM-DD-S-YYYY (e.g. "12-25-A-2024") is still
+ * accepted and reported with legacy = true; formatEventId_() always writes
+ * the canonical form.
+ */
+
+// ============================================================================
+// GRAMMAR
+// ============================================================================
+
+/**
+ * Event ID pattern.
+ * Groups: 1 month, 2 day, 3 suffix, 4 components, 5 year, 6 sequence.
+ * @const {RegExp}
+ */
+const EVENT_ID_PATTERN = /^(\d{1,2})-(\d{1,2})(?:-?([A-Za-z][A-Za-z0-9]*)(?:\(([A-Za-z0-9+ ]*)\))?)?-(\d{4})(?:-(\d{1,3}))?$/;
+
+/**
+ * Suffix that marks a multi-event tab
+ * @const {string}
+ */
+const MULTI_EVENT_SUFFIX = 'X';
+
+/**
+ * Parses an event tab name against the event ID grammar.
+ *
+ * @param {string} name - Sheet/tab name
+ * @return {Object|null} Parsed event ID or null if the name is not an event:
+ *   {eventId, canonicalId, month, day, year, date, dateStr,
+ *    suffix, components, formats, sequence, isMultiEvent, legacy}
+ *   - suffix: uppercase suffix or '' for plain events
+ *   - components: declared component suffixes of an X tab ([] otherwise)
+ *   - formats: suffixes the event counts as (components for X tabs that
+ *     declare them, otherwise [suffix], or [] for plain events)
+ *   - sequence: 1 unless the name ends in -N
+ */
+function parseEventIdParts_(name) {
+  if (name === null || name === undefined) return null;
+  const eventId = String(name).trim();
+  const match = eventId.match(EVENT_ID_PATTERN);
+  if (!match) return null;
+
+  const month = parseInt(match[1], 10);
+  const day = parseInt(match[2], 10);
+  const year = parseInt(match[5], 10);
+  if (year < 2000 || year > 2100) return null;
+
+  const date = new Date(year, month - 1, day);
+  if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  const suffix = match[3] ? match[3].toUpperCase() : '';
+  const isMultiEvent = suffix === MULTI_EVENT_SUFFIX;
+
+  // Component lists are only meaningful on multi-event tabs
+  if (match[4] !== undefined && !isMultiEvent) return null;
+  const components = isMultiEvent && match[4]
+    ? match[4].split('+').map(c => c.trim().toUpperCase()).filter(c => c)
+    : [];
+  if (components.some(c => c === MULTI_EVENT_SUFFIX || !/^[A-Z][A-Z0-9]*$/.test(c))) {
+    return null;
+  }
+
+  const sequence = match[6] ? parseInt(match[6], 10) : 1;
+  if (sequence < 1) return null;
+
+  const parsed = {
+    eventId: eventId,
+    month: month,
+    day: day,
+    year: year,
+    date: date,
+    dateStr: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    suffix: suffix,
+    components: components,
+    formats: components.length > 0 ? components : (suffix ? [suffix] : []),
+    sequence: sequence,
+    isMultiEvent: isMultiEvent,
+    legacy: /^\d{1,2}-\d{1,2}-[A-Za-z]/.test(eventId)
+  };
+  parsed.canonicalId = formatEventId_(parsed);
+  return parsed;
+}
+
+/**
+ * True if the name follows the event ID grammar
+ * @param {string} name - Sheet/tab name
+ * @return {boolean}
+ */
+function isEventIdName_(name) {
+  return parseEventIdParts_(name) !== null;
+}
+
+/**
+ * Builds the canonical event ID.
+ *
+ * @param {Object} parts - {month, day, year, suffix?, components?, sequence?}
+ *   (a Date may be passed as parts.date instead of month/day/year)
+ * @return {string} e.g. "11-29X(B+D)-2025-2"
+ */
+function formatEventId_(parts) {
+  const month = parts.date ? parts.date.getMonth() + 1 : parts.month;
+  const day = parts.date ? parts.date.getDate() : parts.day;
+  const year = parts.date ? parts.date.getFullYear() : parts.year;
+  const suffix = String(parts.suffix || '').toUpperCase();
+  const components = (parts.components || []).map(c => String(c).toUpperCase());
+
+  let id = String(month).padStart(2, '0') + '-' + String(day).padStart(2, '0') + suffix;
+  if (suffix === MULTI_EVENT_SUFFIX && components.length > 0) {
+    id += '(' + components.join('+') + ')';
+  }
+  id += '-' + year;
+  if (parts.sequence && parts.sequence > 1) {
+    id += '-' + parts.sequence;
+  }
+  return id;
+}
@@ -0,0 +1,216 @@
+/**
+ * Event Scan Cache Service - Incremental Attendance Scans
+ * @fileoverview Keeps each event tab's content hash and extracted attendance
+ * on Event_Scan_Cache, so the attendance scans (runMissionScan,
+ * syncAttendanceMissions, runOmegaAttendanceScan) only parse tabs that are
+ * new or were edited since the last scan.
+ *
+ * - Extractors: RANKED_ROSTER (player + rank columns, raw names – resolved
+ *   against PreferredNames at scan time) and STANDINGS (column B in order).
+ * - A tab is re-parsed when computeHash of its values differs from the cached
+ *   hash; tabs that no longer exist are dropped. {fullRebuild: true} re-parses
+ *   every tab.
+ * - Every scan returns a report of the tabs added, modified and removed since
+ *   the last one; getEventScanChanges() gives the same report without scanning.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const EVENT_SCAN_CACHE_SHEET = 'Event_Scan_Cache';
+
+const EVENT_SCAN_CACHE_HEADERS = ['Tab', 'Extractor', 'Content_Hash', 'Scanned_At', 'Attendance'];
+
+const EVENT_SCAN_EXTRACTORS = ['RANKED_ROSTER', 'STANDINGS'];
+
+// ============================================================================
+// EXTRACTORS
+// ============================================================================
+
+/**
+ * Extractor → {sheets(ss), extract(values, tab)}. extract returns JSON-safe
+ * attendance for one tab. Built on call so every service file is loaded.
+ * @return {Object} Extractors
+ * @private
+ */
+function getEventScanExtractors_() {
+  return {
+    RANKED_ROSTER: {
+      sheets: ss => ss.getSheets().filter(sheet => parseEventSheetName_(sheet.getName())),
+      extract: (values, tab) => extractEventRows_(values, tab)
+    },
+    STANDINGS: {
+      sheets: () => getEventSheets(),
+      extract: values => dedupeStandings_(values.slice(1).map(r => r[1]))
+    }
+  };
+}
+
+// ============================================================================
+// SCAN
+// ============================================================================
+
+/**
+ * Attendance for every event tab, parsing only new or edited tabs
+ *
+ * @param {string} extractor - One of EVENT_SCAN_EXTRACTORS
+ * @param {Object} [options] - {fullRebuild: true} re-parses every tab
+ * @return {Object} {tabs: [{tab, data}] in sheet order, report}
+ *   report: {extractor, fullRebuild, added, modified, removed, unchanged, parsed}
+ * @throws {Error} VALIDATION_ERROR for an unknown extractor
+ */
+function scanEventTabsCached(extractor, options) {
+  const fullRebuild = !!(options && options.fullRebuild);
+  const state = compareEventScanCache_(extractor);
+  const def = getEventScanExtractors_()[state.extractor];
+  const scannedAt = dateISO();
+
+  const report = Object.assign(state.report, { fullRebuild, parsed: 0 });
+  const entries = state.tabs.map(t => {
+    if (!fullRebuild && t.cached && t.cached.hash === t.hash) {
+      return { tab: t.tab, hash: t.hash, scannedAt: t.cached.scannedAt, json: t.cached.json };
+    }
+    report.parsed++;
+    return { tab: t.tab, hash: t.hash, scannedAt, json: JSON.stringify(def.extract(t.values, t.tab)) };
+  });
+
+  if (report.parsed > 0 || report.removed.length > 0) {
+    writeEventScanCache_(state.extractor, entries);
+  }
+  if (report.added.length + report.modified.length + report.removed.length > 0 || fullRebuild) {
+    logIntegrityAction('EVENT_SCAN_CACHE', {
+      details: `${state.extractor}: ${formatEventScanChanges(report, true)}`,
+      status: 'SUCCESS'
+    });
+  }
+
+  return { tabs: entries.map(e => ({ tab: e.tab, data: JSON.parse(e.json) })), report };
+}
+
+/**
+ * Event tabs added, modified or removed since the last scan (nothing is parsed or written)
+ *
+ * @param {string} [extractor] - One of EVENT_SCAN_EXTRACTORS (default RANKED_ROSTER)
+ * @return {Object} {extractor, added, modified, removed, unchanged, lastScannedAt}
+ * @throws {Error} VALIDATION_ERROR for an unknown extractor
+ */
+function getEventScanChanges(extractor) {
+  const state = compareEventScanCache_(extractor || 'RANKED_ROSTER');
+  const scanned = state.tabs.filter(t => t.cached).map(t => t.cached.scannedAt).sort();
+  return Object.assign(state.report, { lastScannedAt: scanned.length ? scanned[scanned.length - 1] : '' });
+}
+
+/**
+ * Scan report as text
+ * @param {Object} report - From scanEventTabsCached or getEventScanChanges
+ * @param {boolean} [brief] - One line of counts instead of tab names
+ * @return {string}
+ */
+function formatEventScanChanges(report, brief) {
+  if (!report) return '';
+  const counts = `${report.added.length} added, ${report.modified.length} modified, ` +
+    `${report.removed.length} removed, ${report.unchanged} unchanged`;
+  if (brief) {
+    return (report.parsed !== undefined ? `${report.parsed} parsed (${counts})` : counts) +
+      (report.fullRebuild ? ' – full rebuild' : '');
+  }
+
+  const lines = [`${report.extractor}: ${counts}`];
+  if (report.lastScannedAt) lines.push(`Last scan: ${report.lastScannedAt}`);
+  [['Added', report.added], ['Modified', report.modified], ['Removed', report.removed]].forEach(([label, tabs]) => {
+    if (tabs.length > 0) lines.push(`${label}: ${tabs.join(', ')}`);
+  });
+  return lines.join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Hashes the live event tabs and matches them against the cache
+ * @return {Object} {extractor, tabs: [{tab, values, hash, cached}], report}
+ * @private
+ */
+function compareEventScanCache_(extractorName) {
+  const extractor = String(extractorName || '').trim().toUpperCase();
+  const def = getEventScanExtractors_()[extractor];
+  if (!def) {
+    throwError(`Unknown scan extractor "${extractorName}"`, 'VALIDATION_ERROR',
+      `Extractors are ${EVENT_SCAN_EXTRACTORS.join(', ')}`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const cache = readEventScanCache_(extractor);
+  const report = { extractor, added: [], modified: [], removed: [], unchanged: 0 };
+
+  const tabs = def.sheets(ss).map(sheet => {
+    const tab = sheet.getName();
+    const values = sheet.getDataRange().getValues();
+    const hash = computeHash({ values });
+    const cached = cache[tab] || null;
+    if (!cached) report.added.push(tab);
+    else if (cached.hash !== hash) report.modified.push(tab);
+    else report.unchanged++;
+    return { tab, values, hash, cached };
+  });
+
+  const live = new Set(tabs.map(t => t.tab));
+  report.removed = Object.keys(cache).filter(tab => !live.has(tab));
+  return { extractor, tabs, report };
+}
+
+/**
+ * Cached rows for one extractor
+ * @return {Object} {tab: {hash, scannedAt, json}}
+ * @private
+ */
+function readEventScanCache_(extractor) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EVENT_SCAN_CACHE_SHEET);
+  const rows = sheet && sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, EVENT_SCAN_CACHE_HEADERS.length).getValues()
+    : [];
+
+  const cache = {};
+  rows.filter(r => String(r[1]) === extractor).forEach(r => {
+    cache[String(r[0])] = { hash: String(r[2]), scannedAt: String(r[3]), json: String(r[4] || '[]') };
+  });
+  return cache;
+}
+
+/**
+ * Replaces one extractor's rows (other extractors' rows are kept)
+ * @private
+ */
+function writeEventScanCache_(extractor, entries) {
+  const sheet = ensureEventScanCacheSheet();
+  const width = EVENT_SCAN_CACHE_HEADERS.length;
+  const kept = sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues().filter(r => String(r[1]) !== extractor)
+    : [];
+  const rows = kept.concat(entries.map(e => [e.tab, extractor, e.hash, e.scannedAt, e.json]));
+
+  if (sheet.getLastRow() > 1) {
+    sheet.deleteRows(2, sheet.getLastRow() - 1);
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, width).setValues(rows);
+  }
+}
+
+/**
+ * Creates Event_Scan_Cache (hidden)
+ * @return {Sheet}
+ */
+function ensureEventScanCacheSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EVENT_SCAN_CACHE_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(EVENT_SCAN_CACHE_SHEET);
+    sheet.appendRow(EVENT_SCAN_CACHE_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
@@ -0,0 +1,181 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * EVENT SCAN CACHE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for incremental attendance scans: per-tab
+ * hashes on Event_Scan_Cache, re-parsing only new or edited tabs, full
+ * rebuilds, the change report and the three scans that use the cache.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testEventScanCacheService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testEventScanCacheService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('EVENT SCAN CACHE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('First and Repeat Scans', testEventScanCacheRepeat_, results);
+  runTestSuite_('Changed Tabs', testEventScanCacheChanges_, results);
+  runTestSuite_('Full Rebuild and Report', testEventScanCacheRebuild_, results);
+  runTestSuite_('Scans Using the Cache', testEventScanCacheConsumers_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Three event nights; "alex" on the commander night is lower-case
+ * @private
+ */
+function resetEventScanCacheWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake'], ['Casey']],
+    '10-02D-2026': [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Blake'], [3, 'Casey']],
+    '10-09D-2026': [['Rank', 'PreferredName'], [2, 'Blake'], [1, 'Casey']],
+    '10-11C-2026': [['Rank', 'PreferredName'], [1, 'Casey'], [2, 'alex']]
+  });
+}
+
+/**
+ * Runs fn while counting extractEventRows_ calls
+ * @return {number} Tabs parsed
+ * @private
+ */
+function countEventScanParses_(fn) {
+  const original = extractEventRows_;
+  let parses = 0;
+  globalThis.extractEventRows_ = (values, tab) => {
+    parses++;
+    return original(values, tab);
+  };
+  try {
+    fn();
+  } finally {
+    globalThis.extractEventRows_ = original;
+  }
+  return parses;
+}
+
+/** @private */
+function eventScanCacheRows_(extractor) {
+  return toObjects(GAS_EMULATOR.dump(EVENT_SCAN_CACHE_SHEET)).filter(r => r.Extractor === extractor);
+}
+
+/** @private */
+function expectEventScanCacheError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testEventScanCacheRepeat_(results) {
+  resetEventScanCacheWorkbook_();
+  let first = null;
+  const firstParses = countEventScanParses_(() => { first = scanEventTabsCached('RANKED_ROSTER'); });
+  assert_(firstParses === 3 && first.report.added.length === 3 && first.report.parsed === 3 &&
+    eventScanCacheRows_('RANKED_ROSTER').length === 3 && eventScanCacheRows_('RANKED_ROSTER')[0].Content_Hash.length === 16,
+    'The first scan parses every tab and caches its hash', results);
+  assert_(first.tabs[1].data[0][0] === 'Blake' && first.tabs[1].data[0][1] === 2,
+    'Attendance is cached as raw names and ranks', results);
+
+  let second = null;
+  const secondParses = countEventScanParses_(() => { second = scanEventTabsCached('RANKED_ROSTER'); });
+  assert_(secondParses === 0 && second.report.unchanged === 3 && second.report.parsed === 0 &&
+    JSON.stringify(second.tabs) === JSON.stringify(first.tabs), 'Unchanged tabs come from the cache', results);
+
+  scanEventTabsCached('STANDINGS');
+  assert_(eventScanCacheRows_('STANDINGS').length === 3 && eventScanCacheRows_('RANKED_ROSTER').length === 3,
+    'Each extractor keeps its own rows', results);
+  assert_(expectEventScanCacheError_(() => scanEventTabsCached('EVERYTHING'), 'VALIDATION_ERROR'),
+    'Unknown extractors are refused', results);
+}
+
+function testEventScanCacheChanges_(results) {
+  resetEventScanCacheWorkbook_();
+  scanEventTabsCached('RANKED_ROSTER');
+
+  GAS_EMULATOR.seedSheet('10-09D-2026', [['Rank', 'PreferredName'], [1, 'Blake'], [2, 'Casey']]);
+  GAS_EMULATOR.seedSheet('10-16D-2026', [['Rank', 'PreferredName'], [1, 'Alex']]);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  ss.deleteSheet(ss.getSheetByName('10-02D-2026'));
+
+  let scan = null;
+  const parses = countEventScanParses_(() => { scan = scanEventTabsCached('RANKED_ROSTER'); });
+  assert_(parses === 2 && scan.report.modified.join() === '10-09D-2026' && scan.report.added.join() === '10-16D-2026' &&
+    scan.report.removed.join() === '10-02D-2026' && scan.report.unchanged === 1,
+    'Only new and edited tabs are parsed; removed tabs are reported', results);
+  assert_(scan.tabs.find(t => t.tab === '10-09D-2026').data[0][0] === 'Blake' &&
+    eventScanCacheRows_('RANKED_ROSTER').map(r => r.Tab).sort().join() === '10-09D-2026,10-11C-2026,10-16D-2026',
+    'The cache holds the edited data and drops removed tabs', results);
+}
+
+function testEventScanCacheRebuild_(results) {
+  resetEventScanCacheWorkbook_();
+  scanEventTabsCached('RANKED_ROSTER');
+  GAS_EMULATOR.seedSheet('10-11C-2026', [['Rank', 'PreferredName'], [1, 'Casey'], [2, 'Alex'], [3, 'Blake']]);
+
+  const cacheBefore = GAS_EMULATOR.dump(EVENT_SCAN_CACHE_SHEET);
+  const changes = getEventScanChanges();
+  assert_(changes.modified.join() === '10-11C-2026' && changes.unchanged === 2 && changes.lastScannedAt !== '' &&
+    JSON.stringify(GAS_EMULATOR.dump(EVENT_SCAN_CACHE_SHEET)) === JSON.stringify(cacheBefore),
+    'The change report reads the tabs without touching the cache', results);
+  assert_(formatEventScanChanges(changes).indexOf('Modified: 10-11C-2026') !== -1, 'The report reads as text', results);
+
+  let rebuilt = null;
+  const parses = countEventScanParses_(() => { rebuilt = scanEventTabsCached('RANKED_ROSTER', { fullRebuild: true }); });
+  assert_(parses === 3 && rebuilt.report.fullRebuild && rebuilt.report.modified.length === 1 && rebuilt.report.unchanged === 2,
+    'A full rebuild parses every tab and still reports what changed', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'EVENT_SCAN_CACHE').length === 2 &&
+    getEventScanChanges().modified.length === 0, 'Scans that change the cache are logged', results);
+}
+
+function testEventScanCacheConsumers_(results) {
+  resetEventScanCacheWorkbook_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const before = scanAllEvents_(ss);
+  assert_(before.events.length === 3 && before.cacheReport.parsed === 3 &&
+    before.events[2].players.join() === 'Casey,Alex', 'The mission scan resolves cached rows to canonical names', results);
+
+  // A new preferred name applies without re-parsing the tabs
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName'], ['Alex'], ['Blake'], ['Casey'], ['Dana']]);
+  const rescanned = runMissionScan({ silent: true });
+  assert_(rescanned.eventsScanned === 3 && rescanned.tabsReparsed === 0 && rescanned.playersTracked === 3,
+    'runMissionScan re-parses nothing when no tab changed', results);
+
+  const omega = scanAllEventSheets(ss);
+  const draft = omega.events.find(e => e.sheetName === '10-09D-2026');
+  assert_(omega.cacheReport.parsed === 0 && draft.placements.Casey === 1 && draft.placements.Blake === 2 &&
+    draft.format !== '' && omega.playerEventHistory.get('Casey').length === 3,
+    'The Omega scan builds its event data from the same cache', results);
+
+  const standings = scanAllEvents();
+  const again = scanAllEvents();
+  assert_(standings.cacheReport.parsed === 3 && again.cacheReport.parsed === 0 &&
+    again.events[1].standings.join() === 'Blake,Casey' && again.playerEvents.get('Casey').length === 3,
+    'syncAttendanceMissions scans standings through the cache', results);
+}
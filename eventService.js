@@ -17,36 +17,10 @@ const CONFIG = {
     LOG: 'Integrity_Log'
   },
   
-  EVENT_PATTERN: /^\d{1,2}-\d{1,2}[a-z]?-\d{4}$/i,
-  
-  SUFFIXES: {
-  'A': 'Academy / Learn to Play',
-  'B': 'Casual Commander (Brackets 1–2)',
-  'C': 'Transitional Commander (Brackets 3–4)',
-  'D': 'Booster Draft',
-  'E': 'External / Outreach (offsite / partner events)',
-  'F': 'Free Play Event',
-  'G': 'Gundam / Gunpla',
-  'H': 'Historic / Legacy MTG',
-  'I': 'Yu-Gi-Oh! TCG',
-  'J': 'Junior / Youth Events',
-  'K': 'Kill Team',
-  'L': 'Commander League',
-  'M': 'Modern Constructed',
-  'N': 'Pokémon TCG',
-  'O': 'One Piece TCG',
-  'P': 'Proxy / Cube Draft',
-  'Q': 'Precon Event',
-  'R': 'Prerelease Sealed',
-  'S': 'Sealed',
-  'T': 'cEDH / High-Power Commander (Bracket 5)',
-  'U': 'Star Wars: Unlimited',
-  'V': 'Riftbound',
-  'W': 'Workshop / Hobby Night',
-  'X': 'Multi-Event Day / Multi-Flight',
-  'Y': 'Lorcana TCG',
-  'Z': 'Staff / Internal Use'
-  }
+  // Shared event ID grammar (eventIdGrammar.js)
+  get EVENT_PATTERN() { return EVENT_ID_PATTERN; }
+
+  // Suffix names come from the suffix registry (getSuffixMeta_ in suffixConfig.js)
 };
 
 // ============================================================================
@@ -66,9 +40,9 @@ function testConnection() {
  * @return {Array<Object>} Suffix legend
  */
 function getSuffixLegend() {
-  return Object.entries(CONFIG.SUFFIXES).map(([code, label]) => ({ 
-    code, 
-    label 
+  return getActiveSuffixCodes_().map(code => ({
+    code,
+    label: getSuffixMeta_(code).name
   }));
 }
 
@@ -81,18 +55,37 @@ function createEventSheet(sheetName) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   
   // Validate format
-  if (!CONFIG.EVENT_PATTERN.test(sheetName)) {
-    throw new Error('Invalid sheet name format. Expected MM-DD[suffix]-YYYY');
+  const parsed = parseEventIdParts_(sheetName);
+  if (!parsed) {
+    throw new Error('Invalid sheet name format. Expected MM-DD[suffix]-YYYY[-N], e.g. 11-23B-2025 or 11-29X(B+D)-2025');
   }
   
-  // Check if exists
-  if (ss.getSheetByName(sheetName)) {
-    throw new Error(`Sheet "${sheetName}" already exists!`);
+  // Check if exists (same canonical event ID, e.g. "11-23b-2025" vs "11-23B-2025")
+  const taken = ss.getSheets().some(existing => {
+    const other = parseEventIdParts_(existing.getName());
+    return existing.getName() === sheetName || (other && other.canonicalId === parsed.canonicalId);
+  });
+  if (taken) {
+    const next = formatEventId_(Object.assign({}, parsed, { sequence: parsed.sequence + 1 }));
+    throw new Error(`Sheet "${sheetName}" already exists! For another event that day use a sequence, e.g. "${next}".`);
   }
   
   // Parse event type from name
   const type = parseEventType(sheetName);
-  const eventType = CONFIG.SUFFIXES[type] || 'Unknown Event';
+  const suffixMeta = getSuffixMeta_(type);
+  if (type && !suffixMeta) {
+    throw new Error(`Unknown suffix "${type}". Add it to Suffix_Registry first.`);
+  }
+  if (suffixMeta && suffixMeta.status === 'RETIRED') {
+    throw new Error(`Suffix "${type}" (${suffixMeta.name}) is retired and cannot be used for new events.`);
+  }
+  parsed.components.forEach(code => {
+    const meta = getSuffixMeta_(code);
+    if (!meta || meta.status === 'RETIRED') {
+      throw new Error(`Multi-event component "${code}" is not an active suffix.`);
+    }
+  });
+  const eventType = suffixMeta ? suffixMeta.name : 'Unknown Event';
   
   // Create sheet
   const sheet = ss.insertSheet(sheetName);
@@ -668,64 +661,33 @@ function findCanonicalName_(input, canonicalNames) {
 // ============================================================================
 
 /**
- * Validates if a sheet name is an event sheet
- * Supports: MM-DD-YYYY or MM-DDX-YYYY (X = single letter suffix)
+ * Validates if a sheet name is an event sheet (event ID grammar, eventIdGrammar.js)
  * @param {string} name - Sheet name to validate
  * @return {boolean} True if valid event sheet name
  */
 function isEventSheetName_(name) {
-  if (!name) return false;
-
-  // Pattern 1: MM-DD-YYYY (e.g., 11-23-2025)
-  const plain = /^\d{2}-\d{2}-\d{4}$/;
-
-  // Pattern 2: MM-DDX-YYYY (e.g., 11-23B-2025, where X is single letter)
-  const suffixed = /^\d{2}-\d{2}[A-Z]-\d{4}$/;
-
-  return plain.test(name) || suffixed.test(name);
+  return isEventIdName_(name);
 }
 
 /**
  * Parses event ID to extract date, suffix, and id
  * @param {string} sheetName - Event sheet name
- * @return {Object|null} {date: Date, id: string, suffix: string|null}
+ * @return {Object|null} {date: Date, id: string, suffix: string|null,
+ *   formats: Array<string>, sequence: number}
  */
 function parseEventId_(sheetName) {
-  if (!isEventSheetName_(sheetName)) {
+  const parsed = parseEventIdParts_(sheetName);
+  if (!parsed) {
     return null;
   }
 
-  // Check if suffixed (MM-DDX-YYYY)
-  const suffixMatch = sheetName.match(/^(\d{2})-(\d{2})([A-Z])-(\d{4})$/);
-
-  if (suffixMatch) {
-    const [, month, day, suffix, year] = suffixMatch;
-    const dateStr = `${month}/${day}/${year}`;
-    const date = new Date(dateStr);
-
-    return {
-      date: date,
-      id: sheetName,
-      suffix: suffix
-    };
-  }
-
-  // Plain format (MM-DD-YYYY)
-  const plainMatch = sheetName.match(/^(\d{2})-(\d{2})-(\d{4})$/);
-
-  if (plainMatch) {
-    const [, month, day, year] = plainMatch;
-    const dateStr = `${month}/${day}/${year}`;
-    const date = new Date(dateStr);
-
-    return {
-      date: date,
-      id: sheetName,
-      suffix: null
-    };
-  }
-
-  return null;
+  return {
+    date: parsed.date,
+    id: sheetName,
+    suffix: parsed.suffix || null,
+    formats: parsed.formats,
+    sequence: parsed.sequence
+  };
 }
 
 /**
@@ -791,19 +753,18 @@ function indexEvents() {
  * @return {Date|null} Parsed date
  */
 function parseEventDate(name) {
-  const match = name.match(/^(\d{1,2})-(\d{1,2})([a-z])?-(\d{4})$/i);
-  if (!match) return null;
-  return new Date(parseInt(match[4]), parseInt(match[1]) - 1, parseInt(match[2]));
+  const parsed = parseEventIdParts_(name);
+  return parsed ? parsed.date : null;
 }
 
 /**
  * Parses event type suffix from sheet name
  * @param {string} name - Sheet name
- * @return {string} Event type code (A-Z or empty)
+ * @return {string} Event type code (suffix such as "B", "DRAFT", "X", or empty)
  */
 function parseEventType(name) {
-  const match = name.match(/[a-z](?=-\d{4}$)/i);
-  return match ? match[0].toUpperCase() : '';
+  const parsed = parseEventIdParts_(name);
+  return parsed ? parsed.suffix : '';
 }
 
 /**
@@ -0,0 +1,290 @@
+/**
+ * Export Service - CSV/JSON Report Bundles
+ * @fileoverview Serializes the audit and ledger sheets to RFC-4180 CSV and
+ * JSON, optionally filtered by date range and event, and saves them to a
+ * Drive folder together with a manifest of row counts and checksums.
+ *
+ * BUNDLE (one Drive folder per export, Export_yyyy-MM-dd_HHmmss):
+ * - <Sheet>.csv and/or <Sheet>.json for every exported sheet that exists
+ * - manifest.json: filters, and per file {file, sheet, format, rows, checksum}
+ *
+ * A manifest checksum is computeChecksum() of the file's text exactly as
+ * written, so a saved bundle can be re-verified later.
+ *
+ * Filters apply only where a sheet has the column: Integrity_Log and
+ * Spent_Pool filter by date and event, the ledgers by date. BP_Total and
+ * Key_Tracker are current balances and always export in full.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Sheets in a bundle, with the columns their filters read (null = not filterable) */
+const EXPORT_SHEETS = [
+  { sheet: 'Integrity_Log', dateColumn: 'Timestamp', eventColumn: 'Event_ID' },
+  { sheet: 'Spent_Pool', dateColumn: 'Timestamp', eventColumn: 'Event_ID' },
+  { sheet: 'Store_Credit_Ledger', dateColumn: 'Timestamp', eventColumn: null },
+  { sheet: 'BP_Total', dateColumn: null, eventColumn: null },
+  { sheet: 'Key_Tracker', dateColumn: null, eventColumn: null },
+  { sheet: 'Preorders_Sold', dateColumn: 'Created_At', eventColumn: null }
+];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/** Script property holding the Drive folder ID bundles are saved under */
+const EXPORT_FOLDER_PROPERTY = 'EXPORT_FOLDER_ID';
+
+/** Folder created in My Drive when EXPORT_FOLDER_ID is not set */
+const EXPORT_DEFAULT_FOLDER = 'Cosmic Exports';
+
+const EXPORT_MANIFEST_FILE = 'manifest.json';
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Serializes rows as RFC-4180 CSV: fields containing a comma, double quote,
+ * CR or LF are quoted with embedded quotes doubled; records end in CRLF.
+ * Text starting with =, +, - or @ gets a leading apostrophe so Sheets and
+ * Excel show it instead of evaluating it as a formula.
+ *
+ * @param {Array<Array>} rows - Rows (first row usually headers)
+ * @return {string} CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(csvField_).join(',') + '\r\n').join('');
+}
+
+/**
+ * Formats one CSV field
+ * @param {*} value - Cell value
+ * @return {string} Field text, quoted when needed
+ * @private
+ */
+function csvField_(value) {
+  const exported = exportCellValue_(value);
+  const text = typeof exported === 'string' && /^[=+\-@]/.test(exported) ? "'" + exported : String(exported);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Serializes rows as a JSON array of objects keyed by the header row
+ * @param {Array<Array>} rows - Rows, headers first
+ * @return {string} JSON text
+ */
+function toExportJson(rows) {
+  if (rows.length === 0) return '[]';
+  const headers = rows[0].map(String);
+  const records = rows.slice(1).map(row => {
+    const record = {};
+    headers.forEach((h, i) => { record[h] = exportCellValue_(row[i]); });
+    return record;
+  });
+  return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Dates become script-time-zone text (yyyy-MM-dd[ HH:mm:ss]); blanks become
+ * ''; everything else keeps its type.
+ * @param {*} value - Cell value
+ * @return {*} Exported value
+ * @private
+ */
+function exportCellValue_(value) {
+  if (value instanceof Date) return normalizeCellValue(value);
+  if (value === null || value === undefined) return '';
+  return value;
+}
+
+// ============================================================================
+// FILTERING
+// ============================================================================
+
+/**
+ * Reads a sheet and applies the date-range and event filters
+ *
+ * @param {Object} spec - EXPORT_SHEETS entry
+ * @param {Object} filters - {from, to, eventId}
+ * @return {Object|null} {rows (headers first), dataRows, filtered: Array<string>}, or null if the sheet is missing
+ */
+function readExportSheet_(spec, filters) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(spec.sheet);
+  if (!sheet) return null;
+
+  const values = sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+  if (values.length === 0) return { rows: [], dataRows: 0, filtered: [] };
+
+  const headers = values[0];
+  const dateIdx = spec.dateColumn ? headers.indexOf(spec.dateColumn) : -1;
+  const eventIdx = spec.eventColumn ? headers.indexOf(spec.eventColumn) : -1;
+  const byDate = dateIdx !== -1 && Boolean(filters.from || filters.to);
+  const byEvent = eventIdx !== -1 && Boolean(filters.eventId);
+  const eventId = byEvent ? String(filters.eventId).trim().toUpperCase() : '';
+
+  const data = values.slice(1).filter(row => {
+    if (byDate) {
+      const day = exportDay_(row[dateIdx]);
+      if (!day || (filters.from && day < filters.from) || (filters.to && day > filters.to)) return false;
+    }
+    if (byEvent && String(row[eventIdx]).trim().toUpperCase() !== eventId) return false;
+    return true;
+  });
+
+  const filtered = [];
+  if (byDate) filtered.push('date');
+  if (byEvent) filtered.push('event');
+  return { rows: [headers].concat(data), dataRows: data.length, filtered };
+}
+
+/**
+ * Calendar day of a Date or ISO-like timestamp cell
+ * @param {*} value - Cell value
+ * @return {string} yyyy-MM-dd, or '' when the cell holds no date
+ * @private
+ */
+function exportDay_(value) {
+  const match = normalizeCellValue(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Validates the filter options and turns Dates into yyyy-MM-dd
+ * @param {Object} options - {from, to, eventId}
+ * @return {Object} {from, to, eventId}
+ * @private
+ */
+function normalizeExportFilters_(options) {
+  const filters = {
+    from: options.from ? exportDay_(options.from) : '',
+    to: options.to ? exportDay_(options.to) : '',
+    eventId: options.eventId ? String(options.eventId).trim() : ''
+  };
+  if ((options.from && !filters.from) || (options.to && !filters.to)) {
+    throwError('Export date filters must be dates or yyyy-MM-dd text', 'EXPORT_BAD_FILTER',
+      'Use e.g. from: "2026-01-01", to: "2026-01-31"');
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throwError(`Export range starts after it ends (${filters.from} > ${filters.to})`, 'EXPORT_BAD_FILTER',
+      'Swap the from and to dates');
+  }
+  return filters;
+}
+
+// ============================================================================
+// BUNDLES
+// ============================================================================
+
+/**
+ * Builds an export bundle in memory (nothing is written)
+ *
+ * @param {Object} [options] - {from, to, eventId, sheets, formats}
+ *   from/to: inclusive yyyy-MM-dd (or Date) bounds; eventId: exact Event_ID
+ *   sheets: subset of EXPORT_SHEETS names; formats: subset of ['csv', 'json']
+ * @return {Object} {files: [{name, mimeType, content}], manifest}
+ */
+function buildExportBundle(options) {
+  const opts = options || {};
+  const filters = normalizeExportFilters_(opts);
+  const formats = opts.formats || EXPORT_FORMATS;
+  const wanted = opts.sheets || EXPORT_SHEETS.map(s => s.sheet);
+
+  const unknown = formats.filter(f => EXPORT_FORMATS.indexOf(f) === -1)
+    .concat(wanted.filter(name => !EXPORT_SHEETS.some(s => s.sheet === name)));
+  if (unknown.length > 0) {
+    throwError(`Unknown export sheet or format: ${unknown.join(', ')}`, 'EXPORT_BAD_FILTER',
+      `Sheets: ${EXPORT_SHEETS.map(s => s.sheet).join(', ')}. Formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const files = [];
+  const manifest = {
+    exportedAt: dateISO(),
+    exportedBy: currentUser(),
+    filters,
+    files: [],
+    missing: []
+  };
+
+  EXPORT_SHEETS.filter(spec => wanted.indexOf(spec.sheet) !== -1).forEach(spec => {
+    const data = readExportSheet_(spec, filters);
+    if (!data) {
+      manifest.missing.push(spec.sheet);
+      return;
+    }
+    formats.forEach(format => {
+      const name = `${spec.sheet}.${format}`;
+      const content = format === 'csv' ? toCsv(data.rows) : toExportJson(data.rows);
+      files.push({ name, mimeType: format === 'csv' ? 'text/csv' : 'application/json', content });
+      manifest.files.push({
+        file: name,
+        sheet: spec.sheet,
+        format,
+        rows: data.dataRows,
+        filtered: data.filtered,
+        checksum: computeChecksum(content)
+      });
+    });
+  });
+
+  return { files, manifest };
+}
+
+/**
+ * Builds a bundle and saves it, with manifest.json, to a new folder under
+ * the export folder (options.folderId, else the EXPORT_FOLDER_ID script
+ * property, else "Cosmic Exports" in My Drive).
+ *
+ * @param {Object} [options] - buildExportBundle() options plus {folderId}
+ * @return {Object} {folderId, folderUrl, folderName, manifest}
+ */
+function exportReportsToDrive(options) {
+  const opts = options || {};
+  const bundle = buildExportBundle(opts);
+  const parent = getExportFolder_(opts.folderId);
+  const folderName = 'Export_' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd_HHmmss');
+  const folder = parent.createFolder(folderName);
+
+  bundle.files.forEach(f => folder.createFile(Utilities.newBlob(f.content, f.mimeType, f.name)));
+  folder.createFile(Utilities.newBlob(JSON.stringify(bundle.manifest, null, 2), 'application/json', EXPORT_MANIFEST_FILE));
+
+  const filters = bundle.manifest.filters;
+  logIntegrityAction('EXPORT_REPORTS', {
+    eventId: filters.eventId,
+    checksumAfter: computeChecksum(bundle.manifest.files.map(f => f.checksum)),
+    details: `${folderName}: ` + bundle.manifest.files
+      .filter(f => f.format === bundle.manifest.files[0].format)
+      .map(f => `${f.sheet} ${f.rows} row(s)`).join(', ') +
+      (filters.from || filters.to ? ` | Range: ${filters.from || '…'} to ${filters.to || '…'}` : ''),
+    status: 'SUCCESS'
+  });
+
+  return { folderId: folder.getId(), folderUrl: folder.getUrl(), folderName, manifest: bundle.manifest };
+}
+
+/**
+ * Resolves the Drive folder bundles are saved under
+ * @param {string} [folderId] - Explicit folder ID
+ * @return {Folder} Export folder
+ * @private
+ */
+function getExportFolder_(folderId) {
+  const id = folderId || PropertiesService.getScriptProperties().getProperty(EXPORT_FOLDER_PROPERTY);
+  if (id) return DriveApp.getFolderById(id);
+  const existing = DriveApp.getFoldersByName(EXPORT_DEFAULT_FOLDER);
+  return existing.hasNext() ? existing.next() : DriveApp.createFolder(EXPORT_DEFAULT_FOLDER);
+}
+
+// ============================================================================
+// UI ENTRY POINTS
+// ============================================================================
+
+/**
+ * Integrity_Log as CSV text (ui/log_viewer.html downloads it in the browser)
+ * @param {Object} [options] - {from, to, eventId}
+ * @return {string} CSV text ('' when the log does not exist yet)
+ */
+function exportIntegrityLogCSV(options) {
+  const bundle = buildExportBundle(Object.assign({}, options, { sheets: ['Integrity_Log'], formats: ['csv'] }));
+  return bundle.files.length > 0 ? bundle.files[0].content : '';
+}
@@ -0,0 +1,181 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * EXPORTS - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the CSV/JSON export bundle: RFC-4180
+ * quoting, date-range and event filters, and Drive bundles whose manifest
+ * checksums match the files actually written.
+ * Runs against the offline workbook and file-backed Drive from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testExportService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testExportService() writes to Drive; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('EXPORTS TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('CSV Quoting', testExportCsvQuoting_, results);
+  runTestSuite_('Filters', testExportFilters_, results);
+  runTestSuite_('Drive Bundle', testExportDriveBundle_, results);
+  runTestSuite_('Log Viewer Download', testExportLogViewer_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** @private */
+function resetExportWorkbook_() {
+  GAS_EMULATOR.reset({
+    Integrity_Log: [
+      ['Timestamp', 'StoreID', 'Event_ID', 'Action', 'Operator', 'PreferredName', 'Seed', 'Checksum_Before',
+        'Checksum_After', 'RL_Band', 'DF_Tags', 'Details', 'Status'],
+      ['2026-10-01T18:00:00Z', 'MAIN', 'EVT-1', 'COMMIT', 'a@x.com', 'Alex', '', '', '', '', '', 'Spent: $4.00, 2 items', 'SUCCESS'],
+      ['2026-10-02T18:00:00Z', 'MAIN', 'EVT-2', 'COMMIT', 'a@x.com', 'Blake', '', '', '', '', '', 'Note said "rush"', 'SUCCESS'],
+      [new Date('2026-10-05T17:00:00Z'), 'MAIN', 'evt-1', 'REVERT', 'b@x.com', '', '', '', '', '', '', 'line one\nline two', 'SUCCESS']
+    ],
+    Spent_Pool: [
+      ['Event_ID', 'Item_Code', 'Qty', 'Timestamp'],
+      ['EVT-1', 'P-1', 2, '2026-10-01T18:00:00Z'],
+      ['EVT-2', 'P-2', 1, '2026-10-02T18:00:00Z']
+    ],
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'LastUpdated'],
+      ['Alex', 10, '2026-09-01'],
+      ['Blake', 5, '2026-10-02']
+    ],
+    Preorders_Sold: [
+      ['Preorder_ID', 'PreferredName', 'Item_Name', 'Created_At'],
+      ['PO-1', 'Alex', 'Box, Collector', '2026-10-01']
+    ]
+  });
+}
+
+/** @private */
+function expectExportError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+/** @private */
+function readExportFile_(folder, name) {
+  const files = folder.getFilesByName(name);
+  return files.hasNext() ? files.next().getBlob().getDataAsString() : null;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testExportCsvQuoting_(results) {
+  const csv = toCsv([
+    ['plain', 'a,b', 'say "hi"', 'two\nlines', 'cr\rhere', ''],
+    [42, true, '  padded  ', null, 'x', new Date('2026-10-05T17:00:00Z')]
+  ]);
+  assert_(csv === 'plain,"a,b","say ""hi""","two\nlines","cr\rhere",\r\n' +
+    '42,true,  padded  ,,x,2026-10-05 12:00:00\r\n',
+    'Commas, quotes, CR and LF are quoted, quotes doubled, records end in CRLF', results);
+
+  const parsed = Utilities.parseCsv(csv);
+  assert_(parsed[0][1] === 'a,b' && parsed[0][2] === 'say "hi"' && parsed[0][3] === 'two\nlines' && parsed[1][3] === '',
+    'A CSV parser reads the original values back', results);
+  assert_(toCsv([]) === '' && toExportJson([]) === '[]', 'Empty sheets serialize to nothing', results);
+
+  const risky = toCsv([['=HYPERLINK("http://x")', '+1', '-cmd', '@SUM(A1)', -5, 'a=b']]);
+  assert_(risky === '"\'=HYPERLINK(""http://x"")",\'+1,\'-cmd,\'@SUM(A1),-5,a=b\r\n',
+    'Text that would run as a formula is escaped; numbers and inner = are left alone', results);
+
+  const json = JSON.parse(toExportJson([['Name', 'BP', 'When'], ['Alex', 10, new Date('2026-10-05T05:00:00Z')]]));
+  assert_(json.length === 1 && json[0].Name === 'Alex' && json[0].BP === 10 && json[0].When === '2026-10-05',
+    'JSON keys rows by header, keeps numbers and formats dates', results);
+}
+
+function testExportFilters_(results) {
+  resetExportWorkbook_();
+  const byEvent = buildExportBundle({ eventId: 'EVT-1', formats: ['json'] });
+  const rowsOf = sheet => byEvent.manifest.files.find(f => f.sheet === sheet);
+  assert_(rowsOf('Integrity_Log').rows === 2 && rowsOf('Spent_Pool').rows === 1,
+    'The event filter matches Event_ID case-insensitively', results);
+  assert_(rowsOf('BP_Total').rows === 2 && rowsOf('BP_Total').filtered.length === 0,
+    'Balance sheets are never filtered', results);
+  assert_(byEvent.manifest.missing.join() === 'Store_Credit_Ledger,Key_Tracker',
+    'Missing sheets are listed, not fatal', results);
+
+  const byDate = buildExportBundle({ from: '2026-10-02', to: new Date('2026-10-05T12:00:00Z'), formats: ['csv'] });
+  const log = Utilities.parseCsv(byDate.files.find(f => f.name === 'Integrity_Log.csv').content);
+  assert_(log.length === 3 && log[1][2] === 'EVT-2' && log[2][3] === 'REVERT',
+    'The date range is inclusive and reads text and Date timestamps', results);
+  assert_(byDate.manifest.files.find(f => f.sheet === 'Preorders_Sold').rows === 0,
+    'Preorders_Sold filters by Created_At', results);
+
+  assert_(expectExportError_(() => buildExportBundle({ from: '2026-10-05', to: '2026-10-01' }), 'EXPORT_BAD_FILTER') &&
+    expectExportError_(() => buildExportBundle({ from: 'last week' }), 'EXPORT_BAD_FILTER') &&
+    expectExportError_(() => buildExportBundle({ formats: ['xlsx'] }), 'EXPORT_BAD_FILTER'),
+    'Backwards ranges, unparseable dates and unknown formats are rejected', results);
+}
+
+function testExportDriveBundle_(results) {
+  resetExportWorkbook_();
+  const result = exportReportsToDrive({ eventId: 'EVT-1' });
+  const folder = DriveApp.getFolderById(result.folderId);
+
+  const manifest = JSON.parse(readExportFile_(folder, EXPORT_MANIFEST_FILE));
+  assert_(manifest.files.length === 8 && manifest.filters.eventId === 'EVT-1',
+    'The bundle holds a CSV and JSON per existing sheet plus manifest.json', results);
+
+  const mismatched = manifest.files.filter(f => computeChecksum(readExportFile_(folder, f.file)) !== f.checksum);
+  assert_(mismatched.length === 0, 'Every manifest checksum matches the file written to Drive', results);
+
+  const counts = manifest.files.filter(f => f.format === 'csv')
+    .every(f => Utilities.parseCsv(readExportFile_(folder, f.file)).length - 1 === f.rows);
+  const jsonCounts = manifest.files.filter(f => f.format === 'json')
+    .every(f => JSON.parse(readExportFile_(folder, f.file)).length === f.rows);
+  assert_(counts && jsonCounts, 'Manifest row counts match the rows in each file', results);
+
+  const again = exportReportsToDrive();
+  const exportsFolder = DriveApp.getFoldersByName(EXPORT_DEFAULT_FOLDER).next().getId();
+  assert_([result, again].every(r => r.folderId.indexOf(exportsFolder + '/') === 0),
+    'Without EXPORT_FOLDER_ID bundles go under one Cosmic Exports folder', results);
+
+  PropertiesService.getScriptProperties().setProperty(EXPORT_FOLDER_PROPERTY, DriveApp.createFolder('Audits').getId());
+  const configured = exportReportsToDrive({ sheets: ['BP_Total'], formats: ['csv'] });
+  assert_(configured.folderId.indexOf('Audits/') === 0 && configured.manifest.files.length === 1,
+    'EXPORT_FOLDER_ID picks the export folder', results);
+
+  const logged = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'EXPORT_REPORTS');
+  assert_(logged.length === 3 && logged[0].Event_ID === 'EVT-1', 'Each export is logged', results);
+}
+
+function testExportLogViewer_(results) {
+  resetExportWorkbook_();
+  const csv = exportIntegrityLogCSV();
+  const rows = Utilities.parseCsv(csv);
+  assert_(rows.length === 4 && rows[0][0] === 'Timestamp' && rows[3][11] === 'line one\nline two',
+    'exportIntegrityLogCSV returns the whole log as CSV', results);
+  assert_(Utilities.parseCsv(exportIntegrityLogCSV({ eventId: 'EVT-2' })).length === 2,
+    'exportIntegrityLogCSV accepts the same filters', results);
+
+  GAS_EMULATOR.reset();
+  assert_(exportIntegrityLogCSV() === '', 'No log yet exports an empty file', results);
+}
@@ -1,6 +1,7 @@
 /**
  * Integrity Service - Logging and Audit Trail
- * @fileoverview Manages Integrity_Log and Spent_Pool writes, checksums, batch IDs
+ * @fileoverview Manages Integrity_Log and Spent_Pool writes, checksums, batch IDs,
+ * and the Batch_Effects journal used to revert committed batches
  */
 // ============================================================================
 // INTEGRITY LOG
@@ -188,31 +189,354 @@ function getEventSpent(eventId) {
   return total;
 }
 /**
- * Reverts a batch from Spent_Pool
+ * Reverts a committed batch across every sheet it touched.
+ * Replays the batch's Batch_Effects rows in reverse (catalog stock, event tab
+ * prize columns), voids its BP_Ledger entries, flags its Spent_Pool rows,
+ * then logs a compensating REVERT_BATCH entry with per-sheet checksums. If anything fails midway the
+ * touched sheets are restored from the snapshot taken before the first write.
  * @param {string} batchId - Batch ID to revert
- * @return {number} Count of reverted entries
+ * @return {Object} {batchId, eventId, count, effectsReverted, bpEntriesReverted, skipped, checksumBefore, checksumAfter}
  */
 function revertBatch(batchId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const effects = getBatchEffects_(batchId).filter(effect => !effect.revertedAt);
+    const bpEntries = getBPLedgerBatchEntries_(batchId);
+    const spentSheet = ss.getSheetByName('Spent_Pool');
+    const spentData = spentSheet ? spentSheet.getDataRange().getValues() : [];
+    const spentRows = [];
+    let eventId = '';
+    for (let i = 1; i < spentData.length; i++) { // Skip header
+      const batchCol = 8; // Batch_ID column (0-indexed: 8)
+      const revertedCol = 9; // Reverted column
+      if (spentData[i][batchCol] === batchId && !spentData[i][revertedCol]) {
+        spentRows.push(i + 1);
+        eventId = eventId || spentData[i][0];
+      }
+    }
+    const result = {
+      batchId,
+      eventId,
+      count: spentRows.length,
+      effectsReverted: 0,
+      bpEntriesReverted: 0,
+      skipped: [],
+      checksumBefore: '',
+      checksumAfter: ''
+    };
+    if (spentRows.length === 0 && effects.length === 0 && bpEntries.length === 0) {
+      return result;
+    }
+    const tampered = effects.filter(effect => effect.checksum !== batchEffectChecksum_(effect));
+    if (tampered.length > 0) {
+      logIntegrityAction('REVERT_BATCH', {
+        eventId,
+        details: `Batch ${batchId}: ${tampered.length} effect row(s) failed checksum verification`,
+        status: 'FAILURE'
+      });
+      throwError('Batch effects failed checksum verification', 'CHECKSUM_MISMATCH',
+        `Batch_Effects rows for ${batchId} were edited after commit. Revert manually.`);
+    }
+    // Snapshot every touched sheet before the first write
+    const sheetNames = unique(effects.map(effect => effect.sheet)
+      .concat(spentSheet ? ['Spent_Pool'] : [])
+      .concat(bpEntries.length > 0 ? [BP_LEDGER_SHEET, 'BP_Total'] : []));
+    const snapshots = snapshotSheets_(sheetNames);
+    const applied = [];
+    try {
+      effects.slice().reverse().forEach(effect => {
+        const outcome = applyBatchEffectReverse_(ss, effect);
+        if (outcome.skipped) {
+          result.skipped.push(`${effect.sheet}!${effect.column}[${effect.keyValue}]: ${outcome.reason}`);
+        } else {
+          applied.push(outcome);
+        }
+      });
+      result.bpEntriesReverted = reverseBPLedgerBatch_(batchId);
+      spentRows.forEach(row => spentSheet.getRange(row, 10).setValue(true));
+      markBatchEffectsReverted_(effects);
+      // Verify every restored cell reads back as expected
+      applied.forEach(outcome => {
+        const actual = outcome.sheet.getRange(outcome.row, outcome.col).getValue();
+        if (normalizeCellValue(actual) !== normalizeCellValue(outcome.expected)) {
+          throwError(`Revert verification failed at ${outcome.sheet.getName()}!R${outcome.row}C${outcome.col}`,
+            'REVERT_VERIFY_FAILED');
+        }
+      });
+    } catch (e) {
+      restoreSheetSnapshots_(snapshots);
+      logIntegrityAction('REVERT_BATCH', {
+        eventId,
+        checksumBefore: snapshots.combined,
+        details: `Batch ${batchId} rolled back: ${e.message}`,
+        status: 'ABORTED'
+      });
+      throw e;
+    }
+    const after = snapshotSheets_(sheetNames);
+    result.effectsReverted = applied.length;
+    result.checksumBefore = snapshots.combined;
+    result.checksumAfter = after.combined;
+    const perSheet = sheetNames.map(name => `${name} ${snapshots.checksums[name]}→${after.checksums[name]}`);
+    logIntegrityAction('REVERT_BATCH', {
+      eventId,
+      checksumBefore: result.checksumBefore,
+      checksumAfter: result.checksumAfter,
+      dfTags: ['DF-010'],
+      details: `Reverted batch ${batchId}: ${result.count} spent entries, ${result.effectsReverted} effects, ` +
+        `${result.bpEntriesReverted} BP ledger entries` +
+        (result.skipped.length ? ` | Skipped: ${result.skipped.join('; ')}` : '') +
+        ` | ${perSheet.join(', ')}`,
+      status: 'SUCCESS'
+    });
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+/**
+ * Reverts the most recent prize batch that has not been reverted yet
+ * @return {Object} revertBatch() result, or {count: 0} when nothing is left to revert
+ */
+function revertLastPrizeRun() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Spent_Pool');
-  if (!sheet) return 0;
+  if (!sheet) return { count: 0 };
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i > 0; i--) { // Reverse search, skip header
+    if (data[i][8] && !data[i][9]) {
+      return revertBatch(data[i][8]);
+    }
+  }
+  return { count: 0 };
+}
+// ============================================================================
+// BATCH EFFECTS
+// ============================================================================
+/**
+ * Batch_Effects columns (hidden sheet). Before/After are JSON so numbers and
+ * booleans survive the round trip.
+ * @const {Array<string>}
+ */
+const BATCH_EFFECTS_HEADERS = [
+  'Batch_ID',
+  'Seq',
+  'Timestamp',
+  'Sheet',
+  'Key_Column',
+  'Key_Value',
+  'Column',
+  'Mode',
+  'Before',
+  'After',
+  'Checksum',
+  'Reverted_At'
+];
+/**
+ * Records the cell-level effects of a commit so revertBatch() can undo them.
+ * Rows are located by key (not row number) so sorting a sheet between
+ * commit and revert is safe.
+ * @param {string} batchId - Batch ID the effects belong to
+ * @param {Array<Object>} effects - Effects in the order they were applied
+ * @param {string} effects[].sheet - Sheet name
+ * @param {string} effects[].keyColumn - Header identifying the row (e.g. 'PreferredName', 'Code')
+ * @param {string} effects[].keyValue - Row key
+ * @param {string} effects[].column - Header of the changed cell
+ * @param {string} effects[].mode - SET (restore Before if the cell still holds After) or DELTA (subtract After - Before)
+ * @param {*} effects[].before - Value before the commit
+ * @param {*} effects[].after - Value written by the commit
+ */
+function recordBatchEffects(batchId, effects) {
+  if (!effects || effects.length === 0) return;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Batch_Effects');
+  // Create hidden sheet if missing
+  if (!sheet) {
+    sheet = ss.insertSheet('Batch_Effects');
+    sheet.hideSheet();
+    sheet.appendRow(BATCH_EFFECTS_HEADERS);
+  }
+  const timestamp = dateISO();
+  const firstSeq = getBatchEffects_(batchId).length; // Commits may journal in several calls
+  const rows = effects.map((effect, i) => {
+    const entry = {
+      batchId,
+      seq: firstSeq + i,
+      sheet: effect.sheet,
+      keyColumn: effect.keyColumn,
+      keyValue: String(effect.keyValue),
+      column: effect.column,
+      mode: effect.mode || 'SET',
+      before: JSON.stringify(effect.before === undefined ? '' : effect.before),
+      after: JSON.stringify(effect.after === undefined ? '' : effect.after)
+    };
+    return [
+      entry.batchId,
+      entry.seq,
+      timestamp,
+      entry.sheet,
+      entry.keyColumn,
+      entry.keyValue,
+      entry.column,
+      entry.mode,
+      entry.before,
+      entry.after,
+      batchEffectChecksum_(entry),
+      ''
+    ];
+  });
+  // Keep the payload as plain text so Sheets does not coerce "001" or date strings
+  const startRow = sheet.getLastRow() + 1;
+  const keyValueCol = BATCH_EFFECTS_HEADERS.indexOf('Key_Value') + 1;
+  sheet.getRange(startRow, keyValueCol, rows.length, BATCH_EFFECTS_HEADERS.indexOf('After') + 2 - keyValueCol)
+    .setNumberFormat('@');
+  sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+}
+/**
+ * Reads the recorded effects for a batch, in Seq order
+ * @param {string} batchId - Batch ID
+ * @return {Array<Object>} Effects with {rowIndex, checksum, revertedAt}
+ * @private
+ */
+function getBatchEffects_(batchId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Batch_Effects');
+  if (!sheet) return [];
   const data = sheet.getDataRange().getValues();
-  let revertCount = 0;
+  const effects = [];
   for (let i = 1; i < data.length; i++) { // Skip header
-    const batchCol = 8; // Batch_ID column (0-indexed: 8)
-    const revertedCol = 9; // Reverted column
-    if (data[i][batchCol] === batchId && !data[i][revertedCol]) {
-      sheet.getRange(i + 1, revertedCol + 1).setValue(true);
-      revertCount++;
+    const [bId, seq, , sheetName, keyColumn, keyValue, column, mode, before, after, checksum, revertedAt] = data[i];
+    if (bId === batchId) {
+      effects.push({
+        rowIndex: i + 1,
+        batchId: bId,
+        seq: coerceNumber(seq, 0),
+        sheet: sheetName,
+        keyColumn,
+        keyValue: String(keyValue),
+        column,
+        mode,
+        before: String(before),
+        after: String(after),
+        checksum,
+        revertedAt
+      });
     }
   }
-  if (revertCount > 0) {
-    logIntegrityAction('REVERT_BATCH', {
-      details: `Reverted batch ${batchId}: ${revertCount} entries`,
-      status: 'SUCCESS'
-    });
+  return effects.sort((a, b) => a.seq - b.seq);
+}
+/**
+ * Checksum over the fields of one effect row (Before/After as stored JSON).
+ * Values are normalized first, so a row Sheets coerced on write ("001" → 1,
+ * date text → Date) still verifies.
+ * @param {Object} effect - Effect entry
+ * @return {string} 12-char checksum
+ * @private
+ */
+function batchEffectChecksum_(effect) {
+  return computeChecksum([
+    effect.batchId,
+    effect.seq,
+    effect.sheet,
+    effect.keyColumn,
+    effect.keyValue,
+    effect.column,
+    effect.mode,
+    effect.before,
+    effect.after
+  ].map(normalizeCellValue));
+}
+/**
+ * Undoes one effect on its sheet
+ * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Object} effect - Effect from getBatchEffects_()
+ * @return {Object} {sheet, row, col, expected} or {skipped: true, reason}
+ * @private
+ */
+function applyBatchEffectReverse_(ss, effect) {
+  const sheet = ss.getSheetByName(effect.sheet);
+  if (!sheet) return { skipped: true, reason: 'sheet missing' };
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const keyCol = headers.indexOf(effect.keyColumn);
+  const col = headers.indexOf(effect.column);
+  if (keyCol === -1 || col === -1) return { skipped: true, reason: 'column missing' };
+  // Keys match as text: "001" and "1" are different rows
+  let rowIdx = -1;
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][keyCol]) === String(effect.keyValue)) {
+      rowIdx = i;
+      break;
+    }
   }
-  return revertCount;
+  if (rowIdx === -1) return { skipped: true, reason: 'row missing' };
+  const before = JSON.parse(effect.before);
+  const after = JSON.parse(effect.after);
+  const current = data[rowIdx][col];
+  let expected;
+  if (effect.mode === 'DELTA') {
+    const delta = coerceNumber(after, 0) - coerceNumber(before, 0);
+    expected = Math.max(0, coerceNumber(current, 0) - delta);
+  } else {
+    if (normalizeCellValue(current) !== normalizeCellValue(after)) {
+      return { skipped: true, reason: 'changed since commit' };
+    }
+    expected = before;
+  }
+  sheet.getRange(rowIdx + 1, col + 1).setValue(expected);
+  return { sheet, row: rowIdx + 1, col: col + 1, expected };
+}
+/**
+ * Stamps Reverted_At on the given effect rows
+ * @param {Array<Object>} effects - Effects from getBatchEffects_()
+ * @private
+ */
+function markBatchEffectsReverted_(effects) {
+  if (effects.length === 0) return;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Batch_Effects');
+  const revertedCol = BATCH_EFFECTS_HEADERS.indexOf('Reverted_At') + 1;
+  const timestamp = dateISO();
+  effects.forEach(effect => sheet.getRange(effect.rowIndex, revertedCol).setValue(timestamp));
+}
+/**
+ * Captures values, formulas and checksums of the named sheets
+ * @param {Array<string>} sheetNames - Sheet names
+ * @return {Object} {values: {name: 2D array}, formulas: {name: formula cells}, checksums: {name: checksum}, combined}
+ * @private
+ */
+function snapshotSheets_(sheetNames) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const snapshot = { values: {}, formulas: {}, checksums: {}, combined: '' };
+  sheetNames.forEach(name => {
+    const sheet = ss.getSheetByName(name);
+    const values = sheet ? sheet.getDataRange().getValues() : [];
+    snapshot.values[name] = values;
+    snapshot.formulas[name] = sheet ? snapshotFormulaCells_(sheet) : [];
+    snapshot.checksums[name] = computeChecksum(values);
+  });
+  snapshot.combined = computeChecksum(sheetNames.map(name => snapshot.checksums[name]));
+  return snapshot;
+}
+/**
+ * Writes snapshot values back over their sheets (rollback path)
+ * @param {Object} snapshot - From snapshotSheets_()
+ * @private
+ */
+function restoreSheetSnapshots_(snapshot) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  Object.keys(snapshot.values).forEach(name => {
+    const sheet = ss.getSheetByName(name);
+    const values = snapshot.values[name];
+    if (!sheet || values.length === 0) return;
+    sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+    writeSnapshotFormulaCells_(sheet, snapshot.formulas[name]);
+    // Drop rows appended after the snapshot (e.g. BP_Ledger reversals)
+    if (sheet.getLastRow() > values.length) {
+      sheet.getRange(values.length + 1, 1, sheet.getLastRow() - values.length, sheet.getLastColumn()).clearContent();
+    }
+  });
 }
 // ============================================================================
 // PREVIEW ARTIFACTS
@@ -0,0 +1,564 @@
+/**
+ * Job Scheduler Service - Time-Driven Automation
+ * @fileoverview Runs the maintenance jobs that used to be menu-only on
+ * Apps Script time-driven triggers.
+ *
+ * SHEETS:
+ * - Jobs: one row per job (Enabled, Cadence, Hour, Weekday, Timeout_Minutes);
+ *   seeded from JOB_DEFAULTS, and default jobs missing from an existing sheet
+ *   are appended. installJobTriggers() makes the triggers match and refuses
+ *   invalid rows; at run time they are logged and skipped.
+ * - Job_Runs: history, one row per run (RUNNING → SUCCESS / FAILED /
+ *   CONTINUED / TIMEOUT, or SKIPPED)
+ *
+ * Cadence: HOURLY, EVERY_<2|4|6|8|12>_HOURS, DAILY (at Hour) or WEEKLY (Weekday at Hour).
+ *
+ * Runner:
+ * - Per-job lease in script properties: a second run of the same job while
+ *   one is live is SKIPPED; a lease older than Timeout_Minutes means the run
+ *   was killed (6-minute limit) and its RUNNING row becomes TIMEOUT.
+ * - Handlers get {cursor, deadline, timeLeft()}. A handler that returns
+ *   {continuation} is CONTINUED: the cursor is kept and a one-off trigger
+ *   resumes it a minute later (any earlier run of the job resumes it too).
+ * - Job_Runs rows are found by Run_Id when a run finishes, so rows added,
+ *   sorted or deleted meanwhile do not misplace the update.
+ *
+ * installJobTriggers() is the only trigger installer: the store-credit expiry
+ * pass and the daily snapshot are jobs too, and their old standalone
+ * triggers (JOB_LEGACY_HANDLERS) are removed with the job triggers.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const JOBS_SHEET = 'Jobs';
+const JOB_RUNS_SHEET = 'Job_Runs';
+
+const JOB_HEADERS = ['Job', 'Enabled', 'Cadence', 'Hour', 'Weekday', 'Timeout_Minutes', 'Last_Run', 'Last_Status', 'Notes'];
+
+const JOB_RUN_HEADERS = [
+  'Run_Id', 'Job', 'Trigger', 'Started_At', 'Finished_At', 'Duration_Sec', 'Status', 'Result', 'Error'
+];
+
+/** Code defaults (same columns as the sheet) */
+const JOB_DEFAULTS = [
+  ['CLEAN_PREVIEWS', true, 'DAILY', 3, '', 2, '', '', 'Removes preview artifacts older than 24h'],
+  ['MISSION_SCAN', true, 'DAILY', 4, '', 5, '', '', 'Attendance_Missions and Key_Award_Rules'],
+  ['BP_TOTAL_SYNC', true, 'DAILY', 5, '', 5, '', '', 'BP_Ledger source sync → BP_Total (after the mission scan)'],
+  ['UNDISCOVERED_NAMES', true, 'DAILY', 5, '', 5, '', '', 'Unknown names on event tabs → UndiscoveredNames'],
+  ['ATTENDANCE_CALENDAR', true, 'DAILY', 6, '', 5, '', '', 'Rebuilds Attendance_Calendar'],
+  ['EVENT_DASHBOARD', true, 'WEEKLY', 6, 'MONDAY', 5, '', '', 'Rebuilds the event dashboard'],
+  ['PLAYER_NAME_CHECK', true, 'WEEKLY', 5, 'SUNDAY', 5, '', '', 'Event-tab names vs PreferredNames → UndiscoveredNames with suggestions'],
+  ['STORE_CREDIT_EXPIRY', true, 'DAILY', 2, '', 5, '', '', 'Expires store credit lots and releases holds on closed preorders'],
+  ['DAILY_SNAPSHOT', true, 'DAILY', 3, '', 5, '', '', 'Snapshots the core sheets (Emergency Revert)']
+];
+
+/** Handlers of the standalone triggers that jobs replaced (deleted on install) */
+const JOB_LEGACY_HANDLERS = ['onStoreCreditExpiryTrigger', 'onSnapshotTrigger'];
+
+const JOB_HOURLY_STEPS = [1, 2, 4, 6, 8, 12];
+const JOB_WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+/** Time a handler gets per execution (Apps Script stops scripts at 6 minutes) */
+const JOB_RUNTIME_BUDGET_MS = 270000;
+
+/** Continuations before a job is failed as runaway */
+const JOB_MAX_CONTINUATIONS = 20;
+
+/** Delay before a continuation trigger fires */
+const JOB_CONTINUATION_DELAY_MS = 60000;
+
+const JOB_PROPERTY_PREFIX = {
+  LEASE: 'JOB_LEASE_',
+  CURSOR: 'JOB_CURSOR_',
+  TRIGGER: 'JOB_TRIGGER_'
+};
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Job name → handler(context). Built on call so every service file is loaded.
+ * Full-history scans read event tabs in chunks (eventBatchService.js).
+ * @return {Object} Handlers
+ * @private
+ */
+function getJobHandlers_() {
+  return {
+    STORE_CREDIT_EXPIRY: () => {
+      const report = runStoreCreditExpiry();
+      return { expired: report.expired.length, total: report.total, spared: report.spared, holdsReleased: report.holdsReleased };
+    },
+    DAILY_SNAPSHOT: () => {
+      const snapshot = runDailySnapshot('DAILY');
+      return { snapshotId: snapshot.snapshotId, sheets: snapshot.sheets.length };
+    },
+    CLEAN_PREVIEWS: () => ({ removed: cleanOldPreviews_(24) }),
+    MISSION_SCAN: context => runEventBatchJob_('MISSION_SCAN', context),
+    BP_TOTAL_SYNC: () => ({ playersUpdated: updateBPTotalFromSources() }),
+    UNDISCOVERED_NAMES: () => runUndiscoveredNamesScan() || {},
+    ATTENDANCE_CALENDAR: context => runEventBatchJob_('ATTENDANCE_CALENDAR', context),
+    EVENT_DASHBOARD: context => runEventBatchJob_('EVENT_DASHBOARD', context),
+    PLAYER_NAME_CHECK: context => runEventBatchJob_('PLAYER_NAME_CHECK', context)
+  };
+}
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Job configuration from the Jobs sheet (code defaults when it is missing).
+ * Rows that cannot be scheduled are left out; installJobTriggers() refuses
+ * them and runJob() logs them.
+ *
+ * @return {Array<Object>} [{job, enabled, cadence, hour, weekday, timeoutMinutes, row, schedule}]
+ */
+function getJobs() {
+  return readJobConfig_().jobs;
+}
+
+/**
+ * Parses the Jobs rows
+ * @return {Object} {jobs, problems: [{row, job, problem}]}
+ * @private
+ */
+function readJobConfig_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOBS_SHEET);
+  const fromSheet = sheet && sheet.getLastRow() > 1;
+  const raw = fromSheet
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, JOB_HEADERS.length).getValues()
+    : JOB_DEFAULTS;
+
+  const handlers = getJobHandlers_();
+  const problems = [];
+  const jobs = [];
+  raw.forEach((r, i) => {
+    const job = String(r[0] || '').trim().toUpperCase();
+    if (!job) return;
+    const entry = {
+      job,
+      enabled: coerceBoolean(r[1]),
+      cadence: String(r[2] || '').trim().toUpperCase(),
+      hour: coerceNumber(r[3], 0),
+      weekday: String(r[4] || '').trim().toUpperCase(),
+      timeoutMinutes: coerceNumber(r[5], 5),
+      row: fromSheet ? i + 2 : 0
+    };
+    const problem = !handlers[job] ? `unknown job "${r[0]}"`
+      : jobs.some(j => j.job === job) ? `duplicate job ${job}`
+        : jobCadenceProblem_(entry);
+    if (problem) {
+      problems.push({ row: i + 2, job, problem });
+      return;
+    }
+    jobs.push(Object.assign(entry, { schedule: describeJobCadence_(entry) }));
+  });
+  return { jobs, problems };
+}
+
+/** "row 3: unknown job ..." @private */
+function describeJobProblems_(problems) {
+  return problems.map(p => `row ${p.row}: ${p.problem}`).join('; ');
+}
+
+/**
+ * Replaces the job triggers with one per enabled job (pending continuations are kept)
+ * @return {Object} {installed: [{job, cadence, triggerId}], removed}
+ * @throws {Error} JOBS_INVALID if any Jobs row cannot be scheduled
+ */
+function installJobTriggers() {
+  const config = readJobConfig_();
+  if (config.problems.length > 0) {
+    throwError(`Jobs has invalid rows: ${describeJobProblems_(config.problems)}`, 'JOBS_INVALID',
+      `Jobs are ${Object.keys(getJobHandlers_()).join(', ')}; cadence is HOURLY, EVERY_n_HOURS, DAILY or WEEKLY`);
+  }
+  const jobs = config.jobs;
+  const props = PropertiesService.getScriptProperties();
+  const removed = deleteJobTriggers_(false);
+
+  const installed = jobs.filter(j => j.enabled).map(j => {
+    const trigger = buildJobTrigger_(j);
+    props.setProperty(JOB_PROPERTY_PREFIX.TRIGGER + trigger.getUniqueId(), JSON.stringify({ job: j.job }));
+    return { job: j.job, cadence: j.schedule, triggerId: trigger.getUniqueId() };
+  });
+
+  logIntegrityAction('JOB_TRIGGERS_INSTALLED', {
+    details: `${installed.length} job trigger(s): ${installed.map(i => `${i.job} ${i.cadence}`).join(', ') || 'none'}` +
+      ` | ${removed} removed`,
+    status: 'SUCCESS'
+  });
+  return { installed, removed };
+}
+
+/**
+ * Removes every job trigger, continuations included (the Jobs sheet is kept)
+ * @return {number} Triggers removed
+ */
+function removeJobTriggers() {
+  const removed = deleteJobTriggers_(true);
+  logIntegrityAction('JOB_TRIGGERS_REMOVED', { details: `${removed} job trigger(s) removed`, status: 'SUCCESS' });
+  return removed;
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Time-driven trigger handler for every job (the trigger ID names the job)
+ * @param {Object} e - Trigger event {triggerUid}
+ */
+function onJobTrigger(e) {
+  const uid = e && e.triggerUid;
+  const props = PropertiesService.getScriptProperties();
+  const mapped = uid ? props.getProperty(JOB_PROPERTY_PREFIX.TRIGGER + uid) : null;
+  if (!mapped) {
+    logIntegrityAction('JOB_RUN', { details: `No job for trigger ${uid || '(none)'}; reinstall job triggers`, status: 'FAILURE' });
+    return;
+  }
+
+  const target = JSON.parse(mapped);
+  if (target.continuation) {
+    props.deleteProperty(JOB_PROPERTY_PREFIX.TRIGGER + uid);
+    ScriptApp.getProjectTriggers().filter(t => t.getUniqueId() === uid).forEach(t => ScriptApp.deleteTrigger(t));
+  }
+  runJob(target.job, target.continuation ? 'CONTINUATION' : 'TRIGGER');
+}
+
+/**
+ * Runs one job with its lease, time budget and Job_Runs record. Invalid
+ * Jobs rows are logged and skipped; the other jobs still run.
+ *
+ * @param {string} jobName - Job (e.g. MISSION_SCAN)
+ * @param {string} [trigger] - TRIGGER, CONTINUATION or MANUAL (default)
+ * @return {Object} {runId, job, status, durationSec, result, error}
+ * @throws {Error} JOB_NOT_FOUND
+ */
+function runJob(jobName, trigger) {
+  const source = trigger || 'MANUAL';
+  const name = String(jobName || '').trim().toUpperCase();
+  const config = readJobConfig_();
+  if (config.problems.length > 0) {
+    logIntegrityAction('JOB_RUN', {
+      details: `Jobs rows skipped: ${describeJobProblems_(config.problems)}`,
+      status: 'WARNING'
+    });
+  }
+  const job = config.jobs.find(j => j.job === name);
+  if (!job) {
+    const invalid = config.problems.find(p => p.job === name);
+    if (invalid) {
+      return recordSkippedJobRun_({ job: name }, source, `Invalid Jobs row ${invalid.row}: ${invalid.problem}`);
+    }
+    throwError(`Job ${jobName} not found`, 'JOB_NOT_FOUND', 'Check the Jobs sheet');
+  }
+  if (source === 'TRIGGER' && !job.enabled) {
+    return recordSkippedJobRun_(job, source, 'Disabled on the Jobs sheet');
+  }
+
+  const lease = acquireJobLease_(job, source);
+  if (lease.skipped) {
+    return recordSkippedJobRun_(job, source, lease.skipped);
+  }
+
+  const props = PropertiesService.getScriptProperties();
+  const saved = JSON.parse(props.getProperty(JOB_PROPERTY_PREFIX.CURSOR + job.job) || 'null');
+  const started = Date.now();
+  const deadline = started + Math.min(JOB_RUNTIME_BUDGET_MS, job.timeoutMinutes * 60000);
+  const context = {
+    job: job.job,
+    runId: lease.runId,
+    cursor: saved ? saved.cursor : null,
+    deadline,
+    timeLeft: () => deadline - Date.now()
+  };
+
+  let status = 'SUCCESS';
+  let result = null;
+  let error = '';
+  try {
+    result = getJobHandlers_()[job.job](context);
+    if (result && result.continuation !== undefined && result.continuation !== null) {
+      const continuations = (saved ? saved.continuations : 0) + 1;
+      if (continuations > JOB_MAX_CONTINUATIONS) {
+        throwError(`Still unfinished after ${JOB_MAX_CONTINUATIONS} continuations`, 'JOB_RUNAWAY',
+          'Check the job for a cursor that does not advance');
+      }
+      props.setProperty(JOB_PROPERTY_PREFIX.CURSOR + job.job, JSON.stringify({ cursor: result.continuation, continuations }));
+      scheduleJobContinuation_(job.job);
+      status = 'CONTINUED';
+    } else {
+      props.deleteProperty(JOB_PROPERTY_PREFIX.CURSOR + job.job);
+    }
+  } catch (e) {
+    status = 'FAILED';
+    error = e.message;
+    props.deleteProperty(JOB_PROPERTY_PREFIX.CURSOR + job.job);
+  } finally {
+    props.deleteProperty(JOB_PROPERTY_PREFIX.LEASE + job.job);
+  }
+
+  const durationSec = Math.round((Date.now() - started) / 100) / 10;
+  const summary = summarizeJobResult_(result);
+  updateJobRun_(lease.runId, { finishedAt: dateISO(), durationSec, status, result: summary, error });
+  updateJobStatus_(job, lease.startedAt, status);
+  if (status === 'FAILED') {
+    logIntegrityAction('JOB_RUN', { details: `${lease.runId} ${job.job} failed: ${error}`, status: 'FAILURE' });
+  }
+  return { runId: lease.runId, job: job.job, status, durationSec, result, error };
+}
+
+/**
+ * Recent Job_Runs, newest first
+ * @param {string} [jobName] - One job only
+ * @param {number} [limit] - Most recent N (default 50)
+ * @return {Array<Object>} [{runId, job, trigger, startedAt, finishedAt, durationSec, status, result, error}]
+ */
+function getJobRuns(jobName, limit) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOB_RUNS_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  const wanted = jobName ? String(jobName).trim().toUpperCase() : '';
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, JOB_RUN_HEADERS.length).getValues()
+    .map(r => ({
+      runId: String(r[0]),
+      job: String(r[1]),
+      trigger: String(r[2]),
+      startedAt: String(r[3]),
+      finishedAt: String(r[4] || ''),
+      durationSec: r[5] === '' ? null : coerceNumber(r[5], 0),
+      status: String(r[6]),
+      result: String(r[7] || ''),
+      error: String(r[8] || '')
+    }))
+    .filter(run => !wanted || run.job === wanted)
+    .reverse()
+    .slice(0, limit || 50);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function jobCadenceProblem_(entry) {
+  const every = entry.cadence.match(/^EVERY_(\d+)_HOURS$/);
+  if (every && !JOB_HOURLY_STEPS.includes(Number(every[1]))) {
+    return `${entry.cadence}: hours must be one of ${JOB_HOURLY_STEPS.join(', ')}`;
+  }
+  if (!every && !['HOURLY', 'DAILY', 'WEEKLY'].includes(entry.cadence)) {
+    return `unknown cadence "${entry.cadence}"`;
+  }
+  if ((entry.cadence === 'DAILY' || entry.cadence === 'WEEKLY') &&
+    !(Number.isInteger(entry.hour) && entry.hour >= 0 && entry.hour <= 23)) {
+    return `hour ${entry.hour} is not 0-23`;
+  }
+  if (entry.cadence === 'WEEKLY' && !JOB_WEEKDAYS.includes(entry.weekday)) {
+    return `weekday "${entry.weekday}" is not ${JOB_WEEKDAYS.join('/')}`;
+  }
+  if (!(entry.timeoutMinutes > 0)) {
+    return 'Timeout_Minutes must be positive';
+  }
+  return '';
+}
+
+/**
+ * Deletes onJobTrigger triggers and their job mappings, and any legacy
+ * standalone triggers the jobs replaced
+ * @param {boolean} includeContinuations - Also delete pending one-off continuations
+ * @return {number} Triggers deleted
+ * @private
+ */
+function deleteJobTriggers_(includeContinuations) {
+  const props = PropertiesService.getScriptProperties();
+  const doomed = ScriptApp.getProjectTriggers().filter(t => {
+    if (JOB_LEGACY_HANDLERS.includes(t.getHandlerFunction())) return true;
+    if (t.getHandlerFunction() !== 'onJobTrigger') return false;
+    const mapped = JSON.parse(props.getProperty(JOB_PROPERTY_PREFIX.TRIGGER + t.getUniqueId()) || '{}');
+    return includeContinuations || !mapped.continuation;
+  });
+  doomed.forEach(t => {
+    props.deleteProperty(JOB_PROPERTY_PREFIX.TRIGGER + t.getUniqueId());
+    ScriptApp.deleteTrigger(t);
+  });
+  return doomed.length;
+}
+
+/** @private */
+function buildJobTrigger_(job) {
+  const builder = ScriptApp.newTrigger('onJobTrigger').timeBased();
+  const every = job.cadence.match(/^EVERY_(\d+)_HOURS$/);
+  if (job.cadence === 'HOURLY' || every) {
+    return builder.everyHours(every ? Number(every[1]) : 1).create();
+  }
+  if (job.cadence === 'WEEKLY') {
+    return builder.onWeekDay(ScriptApp.WeekDay[job.weekday]).atHour(job.hour).create();
+  }
+  return builder.everyDays(1).atHour(job.hour).create();
+}
+
+/** @private */
+function describeJobCadence_(job) {
+  if (job.cadence === 'DAILY') return `daily at ${job.hour}:00`;
+  if (job.cadence === 'WEEKLY') return `${job.weekday.toLowerCase()}s at ${job.hour}:00`;
+  return job.cadence.toLowerCase().replace(/_/g, ' ');
+}
+
+/**
+ * Takes the job's lease and writes its RUNNING row. A live lease means the
+ * job is already running; an expired one is a run that was killed.
+ * @return {Object} {runId, startedAt} or {skipped: reason}
+ * @private
+ */
+function acquireJobLease_(job, source) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { skipped: 'Script lock busy' };
+  }
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const key = JOB_PROPERTY_PREFIX.LEASE + job.job;
+    const held = JSON.parse(props.getProperty(key) || 'null');
+    if (held && held.expiresAt > Date.now()) {
+      return { skipped: `Already running (${held.runId})` };
+    }
+    if (held) {
+      updateJobRun_(held.runId, { status: 'TIMEOUT', error: `No finish recorded within ${job.timeoutMinutes} minute(s)` });
+      logIntegrityAction('JOB_RUN', { details: `${held.runId} ${job.job} timed out`, status: 'FAILURE' });
+    }
+
+    const startedAt = dateISO();
+    const runId = appendJobRun_([job.job, source, startedAt, '', '', 'RUNNING', '', '']);
+    props.setProperty(key, JSON.stringify({ runId, expiresAt: Date.now() + job.timeoutMinutes * 60000 }));
+    return { runId, startedAt };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Records a SKIPPED run under the script lock. When the lock stays busy the
+ * skip is logged instead, so a skipped run never races another run's row.
+ * @private
+ */
+function recordSkippedJobRun_(job, source, reason) {
+  const skipped = { runId: '', job: job.job, status: 'SKIPPED', durationSec: 0, result: null, error: reason };
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    logIntegrityAction('JOB_RUN', { details: `${job.job} skipped (${reason}); Job_Runs busy`, status: 'WARNING' });
+    return skipped;
+  }
+  try {
+    const now = dateISO();
+    skipped.runId = appendJobRun_([job.job, source, now, now, 0, 'SKIPPED', reason, '']);
+    return skipped;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Appends a Job_Runs row with the next Run_Id. Callers hold the script lock.
+ * @param {Array} fields - Row values after Run_Id
+ * @return {string} Run_Id
+ * @private
+ */
+function appendJobRun_(fields) {
+  const sheet = ensureJobRunsSheet();
+  const runId = nextSequentialId(sheet, 1, 'RUN-');
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, JOB_RUN_HEADERS.length).setValues([[runId].concat(fields)]);
+  return runId;
+}
+
+/** @private */
+function scheduleJobContinuation_(jobName) {
+  const trigger = ScriptApp.newTrigger('onJobTrigger').timeBased().after(JOB_CONTINUATION_DELAY_MS).create();
+  PropertiesService.getScriptProperties().setProperty(JOB_PROPERTY_PREFIX.TRIGGER + trigger.getUniqueId(),
+    JSON.stringify({ job: jobName, continuation: true }));
+}
+
+/**
+ * Updates a run's Job_Runs row, found by Run_Id now rather than remembered:
+ * the sheet may have been sorted or trimmed while the job ran
+ * @param {string} runId - Run_Id
+ * @param {Object} fields - {finishedAt, durationSec, status, result, error}
+ * @private
+ */
+function updateJobRun_(runId, fields) {
+  const sheet = ensureJobRunsSheet();
+  if (sheet.getLastRow() <= 1) return;
+  const ids = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+  const index = ids.findIndex(r => String(r[0]) === String(runId));
+  if (index === -1) {
+    logIntegrityAction('JOB_RUN', {
+      details: `${runId} not found on ${JOB_RUNS_SHEET}; ${fields.status || 'update'} not recorded`,
+      status: 'WARNING'
+    });
+    return;
+  }
+  const row = index + 2;
+  const set = (header, value) => sheet.getRange(row, JOB_RUN_HEADERS.indexOf(header) + 1).setValue(value);
+  if (fields.finishedAt !== undefined) set('Finished_At', fields.finishedAt);
+  if (fields.durationSec !== undefined) set('Duration_Sec', fields.durationSec);
+  if (fields.status !== undefined) set('Status', fields.status);
+  if (fields.result !== undefined) set('Result', fields.result);
+  if (fields.error !== undefined) set('Error', fields.error);
+}
+
+/** Last_Run / Last_Status on the Jobs sheet (skipped when running from code defaults) @private */
+function updateJobStatus_(job, startedAt, status) {
+  if (!job.row) return;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOBS_SHEET);
+  sheet.getRange(job.row, JOB_HEADERS.indexOf('Last_Run') + 1).setValue(startedAt);
+  sheet.getRange(job.row, JOB_HEADERS.indexOf('Last_Status') + 1).setValue(status);
+}
+
+/** @private */
+function summarizeJobResult_(result) {
+  if (result === null || result === undefined) return '';
+  const shown = typeof result === 'object' ? Object.assign({}, result) : { value: result };
+  delete shown.continuation;
+  return JSON.stringify(shown).slice(0, 500);
+}
+
+/**
+ * Creates Jobs seeded with JOB_DEFAULTS; on an existing sheet, appends the
+ * default rows of jobs it does not list yet
+ * @return {Sheet}
+ */
+function ensureJobsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(JOBS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(JOBS_SHEET);
+    sheet.appendRow(JOB_HEADERS);
+    sheet.getRange(2, 1, JOB_DEFAULTS.length, JOB_HEADERS.length).setValues(JOB_DEFAULTS);
+    sheet.setFrozenRows(1);
+    return sheet;
+  }
+  const listed = sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(r => String(r[0] || '').trim().toUpperCase())
+    : [];
+  const missing = JOB_DEFAULTS.filter(d => !listed.includes(d[0]));
+  if (missing.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, JOB_HEADERS.length).setValues(missing);
+  }
+  return sheet;
+}
+
+/**
+ * Creates Job_Runs
+ * @return {Sheet}
+ */
+function ensureJobRunsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(JOB_RUNS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(JOB_RUNS_SHEET);
+    sheet.appendRow(JOB_RUN_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,304 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * JOB SCHEDULER - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for scheduled jobs: Jobs config, trigger
+ * installation, the runner (leases, timeouts, failures), continuations and
+ * the Job_Runs history.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testJobSchedulerService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testJobSchedulerService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('JOB SCHEDULER TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Config', testJobConfig_, results);
+  runTestSuite_('Trigger Installer', testJobTriggerInstaller_, results);
+  runTestSuite_('Runner', testJobRunner_, results);
+  runTestSuite_('Leases and Timeouts', testJobLeases_, results);
+  runTestSuite_('Continuations', testJobContinuations_, results);
+  runTestSuite_('Invalid Rows at Run Time', testJobInvalidRows_, results);
+  runTestSuite_('Run IDs and Skips', testJobRunIds_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** One stale preview artifact for CLEAN_PREVIEWS to remove @private */
+function resetJobWorkbook_() {
+  GAS_EMULATOR.reset({
+    Preview_Artifacts: [
+      ['Artifact_ID', 'Event_ID', 'Seed', 'Preview_Hash', 'Created_At', 'Expires_At'],
+      ['A-1', 'EVT-1', 'seed', 'hash', '2020-01-01T00:00:00Z', '2020-01-02T00:00:00Z']
+    ]
+  });
+}
+
+/** @private */
+function jobTriggers_() {
+  return ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === 'onJobTrigger');
+}
+
+/**
+ * Runs fn with CLEAN_PREVIEWS swapped for a test handler
+ * @private
+ */
+function withJobHandler_(handler, fn) {
+  const original = getJobHandlers_;
+  globalThis.getJobHandlers_ = () => Object.assign(original(), { CLEAN_PREVIEWS: handler });
+  try {
+    return fn();
+  } finally {
+    globalThis.getJobHandlers_ = original;
+  }
+}
+
+/** @private */
+function expectJobError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testJobConfig_(results) {
+  resetJobWorkbook_();
+  const defaults = getJobs();
+  assert_(defaults.length === JOB_DEFAULTS.length && defaults.every(j => j.row === 0) &&
+    defaults.find(j => j.job === 'EVENT_DASHBOARD').schedule === 'mondays at 6:00',
+    'Code defaults apply without a Jobs sheet', results);
+
+  ensureJobsSheet();
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, [
+    JOB_HEADERS,
+    ['mission_scan', 'TRUE', 'every_6_hours', '', '', 5, '', '', ''],
+    ['CLEAN_PREVIEWS', false, 'DAILY', 2, '', 1, '', '', '']
+  ]);
+  ensureJobsSheet();
+  const listed = toObjects(GAS_EMULATOR.dump(JOBS_SHEET));
+  assert_(listed.length === JOB_DEFAULTS.length && listed[0].Job === 'mission_scan' && listed[1].Enabled === false &&
+    listed[2].Job === 'BP_TOTAL_SYNC', 'An existing Jobs sheet gets the missing default jobs appended, its rows kept', results);
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, [
+    JOB_HEADERS,
+    ['mission_scan', 'TRUE', 'every_6_hours', '', '', 5, '', '', ''],
+    ['CLEAN_PREVIEWS', false, 'DAILY', 2, '', 1, '', '', '']
+  ]);
+  const jobs = getJobs();
+  assert_(jobs.length === 2 && jobs[0].job === 'MISSION_SCAN' && jobs[0].schedule === 'every 6 hours' &&
+    jobs[1].enabled === false && jobs[1].row === 3, 'The Jobs sheet sets job, cadence and enabled flag', results);
+
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, [
+    JOB_HEADERS,
+    ['MISSION_SCAN', true, 'EVERY_3_HOURS', '', '', 5, '', '', ''],
+    ['WEEKLY_BACKUP', true, 'DAILY', 2, '', 5, '', '', ''],
+    ['EVENT_DASHBOARD', true, 'WEEKLY', 25, 'FUNDAY', 5, '', '', ''],
+    ['CLEAN_PREVIEWS', true, 'DAILY', 2, '', 1, '', '', '']
+  ]);
+  assert_(getJobs().map(j => j.job).join() === 'CLEAN_PREVIEWS', 'Unschedulable rows and unknown jobs are left out', results);
+  assert_(expectJobError_(() => installJobTriggers(), 'JOBS_INVALID') && jobTriggers_().length === 0,
+    'Installing triggers refuses a Jobs sheet with invalid rows', results);
+}
+
+function testJobTriggerInstaller_(results) {
+  resetJobWorkbook_();
+  ensureJobsSheet();
+  const rows = GAS_EMULATOR.dump(JOBS_SHEET);
+  rows[2][1] = false; // MISSION_SCAN off
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, rows);
+
+  const first = installJobTriggers();
+  const triggers = jobTriggers_();
+  const dashboard = triggers.find(t => t.getUniqueId() === first.installed.find(i => i.job === 'EVENT_DASHBOARD').triggerId);
+  assert_(first.installed.length === JOB_DEFAULTS.length - 1 && triggers.length === first.installed.length &&
+    !first.installed.some(i => i.job === 'MISSION_SCAN'), 'One trigger per enabled job', results);
+  assert_(dashboard.spec.onWeekDay === 'MONDAY' && dashboard.spec.atHour === 6,
+    'Weekly jobs trigger on their weekday and hour', results);
+
+  scheduleJobContinuation_('CLEAN_PREVIEWS');
+  const second = installJobTriggers();
+  assert_(second.removed === first.installed.length && jobTriggers_().length === first.installed.length + 1,
+    'Reinstalling replaces the job triggers and keeps pending continuations', results);
+
+  ['onStoreCreditExpiryTrigger', 'onSnapshotTrigger'].forEach(handler =>
+    ScriptApp.newTrigger(handler).timeBased().everyDays(1).atHour(2).create());
+  const third = installJobTriggers();
+  assert_(third.removed === first.installed.length + 2 &&
+    !ScriptApp.getProjectTriggers().some(t => JOB_LEGACY_HANDLERS.includes(t.getHandlerFunction())) &&
+    ['STORE_CREDIT_EXPIRY', 'DAILY_SNAPSHOT'].every(job => third.installed.some(i => i.job === job)),
+    'Expiry and snapshot run as jobs and their standalone triggers are removed', results);
+
+  assert_(removeJobTriggers() === first.installed.length + 1 && jobTriggers_().length === 0 &&
+    PropertiesService.getScriptProperties().getKeys().filter(k => k.indexOf(JOB_PROPERTY_PREFIX.TRIGGER) === 0).length === 0,
+    'Removing clears every job trigger and its mapping', results);
+}
+
+function testJobRunner_(results) {
+  resetJobWorkbook_();
+  ensureJobsSheet();
+  const manual = runJob('clean_previews');
+  const runs = toObjects(GAS_EMULATOR.dump(JOB_RUNS_SHEET));
+  assert_(manual.status === 'SUCCESS' && manual.result.removed === 1 && runs[0].Run_Id === 'RUN-1' &&
+    runs[0].Trigger === 'MANUAL' && runs[0].Status === 'SUCCESS' && runs[0].Result === '{"removed":1}' &&
+    runs[0].Duration_Sec !== '', 'A run is recorded on Job_Runs with status, result and duration', results);
+  assert_(toObjects(GAS_EMULATOR.dump(JOBS_SHEET)).find(j => j.Job === 'CLEAN_PREVIEWS').Last_Status === 'SUCCESS',
+    'The Jobs sheet shows the last status', results);
+
+  const installed = installJobTriggers().installed.find(i => i.job === 'CLEAN_PREVIEWS');
+  onJobTrigger({ triggerUid: installed.triggerId });
+  assert_(getJobRuns('CLEAN_PREVIEWS')[0].trigger === 'TRIGGER', 'Triggers run the job they were installed for', results);
+
+  const rows = GAS_EMULATOR.dump(JOBS_SHEET);
+  rows[1][1] = false;
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, rows);
+  onJobTrigger({ triggerUid: installed.triggerId });
+  assert_(getJobRuns('CLEAN_PREVIEWS')[0].status === 'SKIPPED' && runJob('CLEAN_PREVIEWS').status === 'SUCCESS',
+    'Disabled jobs skip their trigger but can still be run by hand', results);
+
+  const failed = runJob('UNDISCOVERED_NAMES');
+  assert_(failed.status === 'FAILED' && failed.error.indexOf('PreferredNames') !== -1 &&
+    toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'JOB_RUN' && r.Status === 'FAILURE'),
+    'A failing job is recorded and logged instead of thrown', results);
+  assert_(expectJobError_(() => runJob('NOPE'), 'JOB_NOT_FOUND'), 'Unknown jobs are refused', results);
+}
+
+function testJobLeases_(results) {
+  resetJobWorkbook_();
+  const props = PropertiesService.getScriptProperties();
+  props.setProperty(JOB_PROPERTY_PREFIX.LEASE + 'CLEAN_PREVIEWS',
+    JSON.stringify({ runId: 'RUN-0', expiresAt: Date.now() + 60000 }));
+  const skipped = runJob('CLEAN_PREVIEWS');
+  assert_(skipped.status === 'SKIPPED' && skipped.error === 'Already running (RUN-0)',
+    'A job that is already running is skipped', results);
+  assert_(runJob('MISSION_SCAN').status !== 'SKIPPED', 'Leases are per job', results);
+
+  // A run that took its lease and was then killed before finishing
+  props.deleteProperty(JOB_PROPERTY_PREFIX.LEASE + 'CLEAN_PREVIEWS');
+  const killed = acquireJobLease_(getJobs().find(j => j.job === 'CLEAN_PREVIEWS'), 'TRIGGER');
+  const lease = JSON.parse(props.getProperty(JOB_PROPERTY_PREFIX.LEASE + 'CLEAN_PREVIEWS'));
+  lease.expiresAt = Date.now() - 1;
+  props.setProperty(JOB_PROPERTY_PREFIX.LEASE + 'CLEAN_PREVIEWS', JSON.stringify(lease));
+
+  const next = runJob('CLEAN_PREVIEWS');
+  const stale = getJobRuns('CLEAN_PREVIEWS').find(r => r.runId === killed.runId);
+  assert_(next.status === 'SUCCESS' && stale.status === 'TIMEOUT',
+    'An expired lease marks the killed run TIMEOUT and the job runs again', results);
+  assert_(!props.getProperty(JOB_PROPERTY_PREFIX.LEASE + 'CLEAN_PREVIEWS'), 'Finished runs release their lease', results);
+
+  // Job_Runs rows move while a job runs (an older row is deleted)
+  resetJobWorkbook_();
+  const moved = withJobHandler_(() => {
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOB_RUNS_SHEET).deleteRow(2);
+    return { done: true };
+  }, () => {
+    runJob('MISSION_SCAN');
+    return runJob('CLEAN_PREVIEWS');
+  });
+  const after = toObjects(GAS_EMULATOR.dump(JOB_RUNS_SHEET));
+  assert_(after.length === 1 && after[0].Run_Id === moved.runId && after[0].Status === 'SUCCESS' &&
+    after[0].Result === '{"done":true}', 'A finishing run updates its own row by Run_Id after rows shift', results);
+}
+
+function testJobContinuations_(results) {
+  resetJobWorkbook_();
+  const seen = [];
+  const chunked = context => {
+    seen.push(context.cursor);
+    const next = (context.cursor || 0) + 1;
+    return next < 3 ? { processed: next, continuation: next } : { processed: next };
+  };
+
+  const first = withJobHandler_(chunked, () => runJob('CLEAN_PREVIEWS'));
+  const pending = jobTriggers_();
+  assert_(first.status === 'CONTINUED' && pending.length === 1 && pending[0].spec.after === JOB_CONTINUATION_DELAY_MS &&
+    getJobRuns()[0].result === '{"processed":1}', 'An unfinished job is CONTINUED with a one-off trigger', results);
+
+  withJobHandler_(chunked, () => onJobTrigger({ triggerUid: pending[0].getUniqueId() }));
+  const last = withJobHandler_(chunked, () => onJobTrigger({ triggerUid: jobTriggers_()[0].getUniqueId() }));
+  const runs = getJobRuns('CLEAN_PREVIEWS');
+  assert_(seen.join() === ',1,2' && runs[0].status === 'SUCCESS' && runs[0].trigger === 'CONTINUATION' &&
+    runs[1].status === 'CONTINUED', 'Continuations resume from the saved cursor until done', results);
+  assert_(last === undefined && jobTriggers_().length === 0 &&
+    !PropertiesService.getScriptProperties().getProperty(JOB_PROPERTY_PREFIX.CURSOR + 'CLEAN_PREVIEWS'),
+    'Fired continuation triggers and finished cursors are cleaned up', results);
+
+  let runaway = null;
+  withJobHandler_(() => ({ continuation: 'same' }), () => {
+    for (let i = 0; i <= JOB_MAX_CONTINUATIONS; i++) runaway = runJob('CLEAN_PREVIEWS');
+  });
+  assert_(runaway.status === 'FAILED' && runaway.error.indexOf('JOB_RUNAWAY') !== -1,
+    'A job that never finishes is failed after the continuation limit', results);
+}
+
+function testJobInvalidRows_(results) {
+  resetJobWorkbook_();
+  ensureJobsSheet();
+  const rows = GAS_EMULATOR.dump(JOBS_SHEET);
+  rows[2][2] = 'EVERY_5_HOURS'; // MISSION_SCAN
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, rows);
+
+  const ok = runJob('CLEAN_PREVIEWS', 'TRIGGER');
+  const warnings = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'JOB_RUN' && r.Status === 'WARNING');
+  assert_(ok.status === 'SUCCESS' && warnings.length === 1 && warnings[0].Details.indexOf('row 3: EVERY_5_HOURS') !== -1,
+    'One bad row is logged and the other jobs still run', results);
+
+  const bad = runJob('MISSION_SCAN', 'TRIGGER');
+  assert_(bad.status === 'SKIPPED' && bad.error.indexOf('Invalid Jobs row 3') === 0 &&
+    getJobRuns('MISSION_SCAN')[0].status === 'SKIPPED', 'The invalid job itself is recorded as skipped', results);
+}
+
+function testJobRunIds_(results) {
+  resetJobWorkbook_();
+  runJob('CLEAN_PREVIEWS');
+  runJob('CLEAN_PREVIEWS');
+  runJob('CLEAN_PREVIEWS');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  ss.getSheetByName(JOB_RUNS_SHEET).deleteRow(2);
+  const next = runJob('CLEAN_PREVIEWS');
+  assert_(next.runId === 'RUN-4', 'Run IDs are not reused after Job_Runs rows are deleted', results);
+
+  ensureJobsSheet();
+  const rows = GAS_EMULATOR.dump(JOBS_SHEET);
+  rows[1][1] = false;
+  GAS_EMULATOR.seedSheet(JOBS_SHEET, rows);
+  const skipped = runJob('CLEAN_PREVIEWS', 'TRIGGER');
+  assert_(skipped.runId === 'RUN-5' && getJobRuns('CLEAN_PREVIEWS')[0].runId === 'RUN-5',
+    'Skipped runs take the next ID too', results);
+
+  const before = GAS_EMULATOR.dump(JOB_RUNS_SHEET).length;
+  GAS_EMULATOR.holdLock('script');
+  let busy;
+  try {
+    busy = runJob('CLEAN_PREVIEWS', 'TRIGGER');
+  } finally {
+    GAS_EMULATOR.locks.script = null;
+  }
+  assert_(busy.status === 'SKIPPED' && busy.runId === '' && GAS_EMULATOR.dump(JOB_RUNS_SHEET).length === before &&
+    toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'JOB_RUN' && r.Details.indexOf('Job_Runs busy') !== -1),
+    'A skip that cannot take the script lock is logged instead of appended', results);
+}
@@ -0,0 +1,332 @@
+/**
+ * Key Award Rules Service - Automatic Key Grants from Events and Missions
+ * @fileoverview Evaluates Key_Award_Rules during every mission/attendance scan
+ * (runMissionScan) and grants keys through addKey(). Each grant is recorded
+ * in Key_Award_Grants under a grant key (rule + event + player), so rescanning
+ * the same events never grants twice and every key traces back to its rule
+ * and event.
+ *
+ * SHEET: Key_Award_Rules (one row per rule; only Active rows are evaluated)
+ * - ATTENDANCE: Match = suffix code ('*' = any event); one grant per event
+ * - PLACEMENT:  Match = max rank (4 = top 4); one grant per event
+ * - MISSION:    Match = MISSION_REGISTRY id; one grant per player, on the
+ *               scan that first sees the mission completed
+ * - Start_Date: events before it are ignored (blank = all history, so set it
+ *   when adding a rule to a store with past events)
+ *
+ * Without the Key_Award_Rules sheet no keys are granted.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const KEY_AWARD_RULES_SHEET = 'Key_Award_Rules';
+const KEY_AWARD_GRANTS_SHEET = 'Key_Award_Grants';
+
+const KEY_AWARD_RULE_HEADERS = ['Rule_Id', 'Trigger', 'Match', 'Color', 'Qty', 'Start_Date', 'Active', 'Notes'];
+
+const KEY_AWARD_GRANT_HEADERS = ['Timestamp', 'Grant_Key', 'Rule_Id', 'Event_Id', 'PreferredName', 'Color', 'Qty', 'Status', 'Details'];
+
+const KEY_AWARD_TRIGGERS = ['ATTENDANCE', 'PLACEMENT', 'MISSION'];
+
+/** Seeded inactive so nothing is granted until staff switch a rule on */
+const KEY_AWARD_RULE_DEFAULTS = [
+  ['KR-DRAFT', 'ATTENDANCE', 'D', 'Blue', 1, '', false, 'Play a Booster Draft'],
+  ['KR-TOP4', 'PLACEMENT', 4, 'Red', 1, '', false, 'Top 4 at any event'],
+  ['KR-EXPLORER', 'MISSION', 'STELLAR_EXPLORER', 'Purple', 1, '', false, 'Attend 5 distinct events']
+];
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Active and inactive rules in sheet order
+ *
+ * @return {Array<Object>} [{ruleId, trigger, match, color, qty, startDate, active, notes}]
+ * @throws {Error} KEY_RULES_INVALID if a row cannot be read
+ */
+function getKeyAwardRules() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_AWARD_RULES_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, KEY_AWARD_RULE_HEADERS.length).getValues();
+  const rules = [];
+  const problems = [];
+  const seen = {};
+
+  rows.forEach((r, i) => {
+    const ruleId = String(r[0]).trim();
+    if (!ruleId) return;
+
+    const rule = {
+      ruleId,
+      trigger: String(r[1]).trim().toUpperCase(),
+      match: String(r[2]).trim().toUpperCase(),
+      color: String(r[3]).trim(),
+      qty: coerceNumber(r[4], 0),
+      startDate: r[5] instanceof Date
+        ? Utilities.formatDate(r[5], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+        : String(r[5] || '').trim().slice(0, 10),
+      active: r[6] === true || String(r[6]).trim().toUpperCase() === 'TRUE',
+      notes: String(r[7] || '')
+    };
+
+    const problem = validateKeyAwardRule_(rule);
+    if (seen[ruleId]) {
+      problems.push(`row ${i + 2}: duplicate Rule_Id ${ruleId}`);
+    } else if (problem) {
+      problems.push(`row ${i + 2} (${ruleId}): ${problem}`);
+    }
+    seen[ruleId] = true;
+    rules.push(rule);
+  });
+
+  if (problems.length > 0) {
+    throwError('Key_Award_Rules has invalid rows', 'KEY_RULES_INVALID', problems.join('; '));
+  }
+  return rules;
+}
+
+/**
+ * Grants every key the active rules owe for a scan. Grants already in
+ * Key_Award_Grants are skipped, so this is safe to run on every scan.
+ *
+ * @param {Object} scanData - scanAllEvents_() result
+ * @param {Object} missionProgress - computeAllMissionProgress_() result
+ * @param {Object} [options] - {dryRun?: boolean}
+ * @return {Object} {rules, granted, skipped, failed, grants: [{grantKey, ruleId, eventId, preferredName, color, qty, status}]}
+ */
+function applyKeyAwardRules(scanData, missionProgress, options) {
+  const dryRun = !!(options && options.dryRun);
+  const rules = getKeyAwardRules().filter(r => r.active);
+  const summary = { rules: rules.length, granted: 0, skipped: 0, failed: 0, grants: [] };
+  if (rules.length === 0) return summary;
+
+  const granted = readKeyAwardGrantKeys_();
+  const pending = evaluateKeyAwardRules_(rules, scanData, missionProgress);
+  const rows = [];
+
+  pending.forEach(grant => {
+    if (granted[grant.grantKey]) {
+      summary.skipped++;
+      return;
+    }
+    granted[grant.grantKey] = true;
+
+    if (dryRun) {
+      summary.grants.push(Object.assign(grant, { status: 'PENDING' }));
+      return;
+    }
+
+    let status = 'GRANTED';
+    let details = grant.reason;
+    try {
+      addKey(grant.preferredName, grant.color, grant.qty, {
+        note: `Rule ${grant.ruleId} @ ${grant.eventId}`,
+        silent: true
+      });
+      summary.granted++;
+    } catch (e) {
+      // Not recorded as granted: the next scan retries it
+      status = 'FAILED';
+      details = e.message;
+      summary.failed++;
+      delete granted[grant.grantKey];
+    }
+
+    summary.grants.push(Object.assign(grant, { status }));
+    rows.push([new Date().toISOString(), grant.grantKey, grant.ruleId, grant.eventId, grant.preferredName,
+      grant.color, grant.qty, status, details]);
+  });
+
+  if (rows.length > 0) {
+    const sheet = ensureKeyAwardGrantsSheet_();
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, KEY_AWARD_GRANT_HEADERS.length).setValues(rows);
+  }
+
+  if (!dryRun && (summary.granted > 0 || summary.failed > 0)) {
+    logIntegrityAction('KEY_RULES_APPLY', {
+      details: `${summary.granted} grant(s) from ${summary.rules} active rule(s), ` +
+        `${summary.skipped} already granted, ${summary.failed} failed`,
+      status: summary.failed > 0 ? 'PARTIAL' : 'SUCCESS'
+    });
+  }
+  return summary;
+}
+
+/**
+ * Grants recorded for a player, newest first
+ * @param {string} preferredName - Player
+ * @return {Array<Object>} [{timestamp, ruleId, eventId, color, qty, status}]
+ */
+function getPlayerKeyAwardGrants(preferredName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_AWARD_GRANTS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, KEY_AWARD_GRANT_HEADERS.length).getValues()
+    .filter(r => String(r[4]).trim() === preferredName)
+    .map(r => ({
+      timestamp: String(r[0]),
+      ruleId: String(r[2]),
+      eventId: String(r[3]),
+      color: String(r[5]),
+      qty: coerceNumber(r[6], 0),
+      status: String(r[7])
+    }))
+    .reverse();
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Every grant the rules call for across the scanned events (before dedupe)
+ *
+ * @param {Array<Object>} rules - Active rules
+ * @param {Object} scanData - {events, playerHistory}
+ * @param {Object} missionProgress - playerId -> {missionId: count}
+ * @return {Array<Object>} [{grantKey, ruleId, eventId, preferredName, color, qty, reason}]
+ * @private
+ */
+function evaluateKeyAwardRules_(rules, scanData, missionProgress) {
+  const grants = [];
+  const grant = (rule, eventId, preferredName, reason, keyPart) => grants.push({
+    grantKey: [rule.ruleId, keyPart || eventId, preferredName].join('|'),
+    ruleId: rule.ruleId,
+    eventId,
+    preferredName,
+    color: rule.color,
+    qty: rule.qty,
+    reason
+  });
+
+  rules.forEach(rule => {
+    if (rule.trigger === 'MISSION') {
+      Object.keys(missionProgress || {}).forEach(preferredName => {
+        if (coerceNumber(missionProgress[preferredName][rule.match], 0) < 1) return;
+
+        // Traced to the player's latest event at the scan that saw it complete
+        const history = (scanData.playerHistory.get(preferredName) || [])
+          .filter(h => keyAwardEventDate_(h.date) >= rule.startDate);
+        if (history.length === 0) return;
+        const latest = history[history.length - 1];
+        grant(rule, latest.eventId, preferredName, `Completed mission ${rule.match}`, `MISSION:${rule.match}`);
+      });
+      return;
+    }
+
+    scanData.events.forEach(event => {
+      if (keyAwardEventDate_(event.date) < rule.startDate) return;
+
+      if (rule.trigger === 'ATTENDANCE') {
+        const formats = (event.formats || []).concat(event.suffix ? [event.suffix] : []);
+        if (rule.match !== '*' && !formats.includes(rule.match)) return;
+        event.players.forEach(p => grant(rule, event.eventId, p, `Attended ${event.eventId}`));
+      } else if (rule.trigger === 'PLACEMENT') {
+        const maxRank = Number(rule.match);
+        event.players.forEach(p => {
+          const rank = event.placements[p];
+          if (rank && rank <= maxRank) grant(rule, event.eventId, p, `Placed #${rank} at ${event.eventId}`);
+        });
+      }
+    });
+  });
+
+  return grants;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Why a rule row is invalid ('' when valid)
+ * @private
+ */
+function validateKeyAwardRule_(rule) {
+  if (!KEY_AWARD_TRIGGERS.includes(rule.trigger)) {
+    return `Trigger must be one of ${KEY_AWARD_TRIGGERS.join(', ')}`;
+  }
+  if (!['Red', 'Blue', 'Green', 'Yellow', 'Purple'].includes(rule.color)) {
+    return `unknown key color "${rule.color}"`;
+  }
+  if (!Number.isInteger(rule.qty) || rule.qty < 1) {
+    return 'Qty must be a whole number of at least 1';
+  }
+  if (rule.startDate && !/^\d{4}-\d{2}-\d{2}$/.test(rule.startDate)) {
+    return 'Start_Date must be a date (yyyy-MM-dd)';
+  }
+  if (rule.trigger === 'ATTENDANCE' && rule.match !== '*' && !isValidSuffix_(rule.match)) {
+    return `unknown suffix "${rule.match}"`;
+  }
+  if (rule.trigger === 'PLACEMENT' && !(Number.isInteger(Number(rule.match)) && Number(rule.match) >= 1)) {
+    return 'Match must be the highest rank that earns the key (e.g. 4)';
+  }
+  if (rule.trigger === 'MISSION' && !MISSION_REGISTRY[rule.match]) {
+    return `unknown mission "${rule.match}"`;
+  }
+  return '';
+}
+
+/** Grant keys already recorded as GRANTED @private */
+function readKeyAwardGrantKeys_() {
+  const keys = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_AWARD_GRANTS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return keys;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, KEY_AWARD_GRANT_HEADERS.length).getValues()
+    .forEach(r => {
+      if (String(r[7]) === 'GRANTED') keys[String(r[1])] = true;
+    });
+  return keys;
+}
+
+/** @private */
+function keyAwardEventDate_(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+// ============================================================================
+// SHEETS
+// ============================================================================
+
+/**
+ * Creates Key_Award_Rules seeded with inactive example rules (no-op if it exists)
+ * @return {Sheet} Key_Award_Rules sheet
+ */
+function ensureKeyAwardRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(KEY_AWARD_RULES_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(KEY_AWARD_RULES_SHEET);
+  sheet.getRange(1, 1, 1, KEY_AWARD_RULE_HEADERS.length).setValues([KEY_AWARD_RULE_HEADERS]);
+  sheet.getRange(2, 1, KEY_AWARD_RULE_DEFAULTS.length, KEY_AWARD_RULE_HEADERS.length)
+    .setValues(KEY_AWARD_RULE_DEFAULTS);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, KEY_AWARD_RULE_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+
+  logIntegrityAction('KEY_RULES_CREATE', {
+    details: `Seeded ${KEY_AWARD_RULE_DEFAULTS.length} inactive example rules`,
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+
+/** @private */
+function ensureKeyAwardGrantsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(KEY_AWARD_GRANTS_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(KEY_AWARD_GRANTS_SHEET);
+  sheet.getRange(1, 1, 1, KEY_AWARD_GRANT_HEADERS.length).setValues([KEY_AWARD_GRANT_HEADERS]);
+  sheet.setFrozenRows(1);
+  return sheet;
+}
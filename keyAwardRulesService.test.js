@@ -0,0 +1,182 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * KEY AWARD RULES - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for Key_Award_Rules: validation, attendance /
+ * placement / mission grants, Start_Date cut-off, rescan idempotency and the
+ * runMissionScan() hook.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testKeyAwardRulesService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testKeyAwardRulesService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('KEY AWARD RULES TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Rule Validation', testKeyRulesValidation_, results);
+  runTestSuite_('Attendance and Placement', testKeyRulesEvents_, results);
+  runTestSuite_('Mission Completion', testKeyRulesMission_, results);
+  runTestSuite_('Rescan Idempotency', testKeyRulesIdempotent_, results);
+  runTestSuite_('Mission Scan Hook', testKeyRulesScanHook_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Two draft nights and a commander night; Alex wins both drafts
+ * @private
+ */
+function resetKeyRulesWorkbook_(rules) {
+  GAS_EMULATOR.reset({
+    Key_Award_Rules: [KEY_AWARD_RULE_HEADERS].concat(rules),
+    '10-02D-2026': [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Blake'], [3, 'Casey'], [4, 'Drew'], [5, 'Emery']],
+    '10-09D-2026': [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Casey']],
+    '10-11B-2026': [['Rank', 'PreferredName'], [1, 'Blake'], [2, 'Alex']]
+  });
+}
+
+/** scanAllEvents_ + mission progress, as runMissionScan() computes them @private */
+function scanForKeyRules_() {
+  const scanData = scanAllEvents_(SpreadsheetApp.getActiveSpreadsheet());
+  return { scanData, progress: computeAllMissionProgress_(scanData) };
+}
+
+/** @private */
+function keyCount_(preferredName, color) {
+  const keys = getPlayerKeys(preferredName);
+  return keys ? coerceNumber(keys[color], 0) : 0;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testKeyRulesValidation_(results) {
+  GAS_EMULATOR.reset();
+  assert_(getKeyAwardRules().length === 0, 'No rules sheet means no rules', results);
+
+  ensureKeyAwardRulesSheet();
+  const seeded = getKeyAwardRules();
+  assert_(seeded.length === KEY_AWARD_RULE_DEFAULTS.length && seeded.every(r => !r.active),
+    'Example rules are seeded inactive', results);
+
+  resetKeyRulesWorkbook_([
+    ['R1', 'ATTENDANCE', 'ZZ9', 'Blue', 1, '', true, ''],
+    ['R2', 'PLACEMENT', 'top', 'Red', 1, '', true, ''],
+    ['R3', 'MISSION', 'NOPE', 'Red', 1, '', true, ''],
+    ['R4', 'ATTENDANCE', 'D', 'Orange', 1, '', true, ''],
+    ['R4', 'ATTENDANCE', 'D', 'Blue', 0, '', true, '']
+  ]);
+  let error = null;
+  try {
+    getKeyAwardRules();
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[KEY_RULES_INVALID]') === 0, 'Invalid rows are rejected', results);
+  assert_(error && ['unknown suffix "ZZ9"', 'highest rank', 'unknown mission "NOPE"', 'unknown key color', 'duplicate Rule_Id R4']
+    .every(text => error.message.indexOf(text) !== -1), 'Every problem row is named', results);
+}
+
+function testKeyRulesEvents_(results) {
+  resetKeyRulesWorkbook_([
+    ['KR-DRAFT', 'ATTENDANCE', 'D', 'Blue', 1, '', true, ''],
+    ['KR-ANY', 'ATTENDANCE', '*', 'Green', 1, '2026-10-05', true, ''],
+    ['KR-TOP4', 'PLACEMENT', 4, 'Red', 2, '', true, ''],
+    ['KR-OFF', 'ATTENDANCE', 'B', 'Yellow', 1, '', false, '']
+  ]);
+  const scan = scanForKeyRules_();
+  const result = applyKeyAwardRules(scan.scanData, scan.progress);
+
+  assert_(keyCount_('Alex', 'Blue') === 2 && keyCount_('Emery', 'Blue') === 1 && keyCount_('Blake', 'Blue') === 1,
+    'ATTENDANCE grants one key per matching event', results);
+  assert_(keyCount_('Alex', 'Green') === 2 && keyCount_('Emery', 'Green') === 0,
+    "'*' matches any event on or after Start_Date", results);
+  assert_(keyCount_('Alex', 'Red') === 6 && keyCount_('Drew', 'Red') === 2 && keyCount_('Emery', 'Red') === 0,
+    'PLACEMENT grants Qty keys for each top-4 finish', results);
+  assert_(keyCount_('Blake', 'Yellow') === 0, 'Inactive rules grant nothing', results);
+  assert_(result.rules === 3 && result.granted === result.grants.length && result.failed === 0,
+    'Summary counts the grants', results);
+
+  const grants = getPlayerKeyAwardGrants('Alex');
+  assert_(grants.some(g => g.ruleId === 'KR-TOP4' && g.eventId === '10-09D-2026' && g.qty === 2 && g.status === 'GRANTED'),
+    'Each grant is traceable to its rule and event', results);
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'KEY_AWARD' && String(r.Details).indexOf('Rule KR-DRAFT @ 10-02D-2026') !== -1),
+    'KEY_AWARD log entries name the rule and event', results);
+  assert_(log.some(r => r.Action === 'KEY_RULES_APPLY'), 'The batch is logged', results);
+}
+
+function testKeyRulesMission_(results) {
+  resetKeyRulesWorkbook_([
+    ['KR-FIRST', 'MISSION', 'FIRST_CONTACT', 'Purple', 1, '', true, ''],
+    ['KR-METEOR', 'MISSION', 'METEOR_SHOWER', 'Yellow', 1, '', true, '']
+  ]);
+  const scan = scanForKeyRules_();
+  applyKeyAwardRules(scan.scanData, scan.progress);
+
+  assert_(['Alex', 'Blake', 'Casey', 'Drew', 'Emery'].every(p => keyCount_(p, 'Purple') === 1),
+    'A completed mission grants once per player, not per event', results);
+  assert_(keyCount_('Alex', 'Yellow') === 1 && keyCount_('Emery', 'Yellow') === 0,
+    'Only players who completed the mission are granted', results);
+
+  const alex = getPlayerKeyAwardGrants('Alex').find(g => g.ruleId === 'KR-METEOR');
+  assert_(alex && alex.eventId === '10-11B-2026', 'Mission grants trace to the latest event at completion', results);
+}
+
+function testKeyRulesIdempotent_(results) {
+  resetKeyRulesWorkbook_([
+    ['KR-DRAFT', 'ATTENDANCE', 'D', 'Blue', 1, '', true, ''],
+    ['KR-FIRST', 'MISSION', 'FIRST_CONTACT', 'Purple', 1, '', true, '']
+  ]);
+  let scan = scanForKeyRules_();
+  const first = applyKeyAwardRules(scan.scanData, scan.progress);
+  const second = applyKeyAwardRules(scan.scanData, scan.progress);
+
+  assert_(first.granted === 12 && second.granted === 0 && second.skipped === 12,
+    'Rescanning the same events grants nothing', results);
+  assert_(keyCount_('Alex', 'Blue') === 2 && keyCount_('Alex', 'Purple') === 1, 'Key counts are unchanged by a rescan', results);
+
+  GAS_EMULATOR.seedSheet('10-16D-2026', [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Finley']]);
+  scan = scanForKeyRules_();
+  const preview = applyKeyAwardRules(scan.scanData, scan.progress, { dryRun: true });
+  assert_(preview.grants.length === 3 && preview.grants.every(g => g.status === 'PENDING') && keyCount_('Finley', 'Blue') === 0,
+    'Dry run lists only the new event without granting', results);
+
+  const third = applyKeyAwardRules(scan.scanData, scan.progress);
+  assert_(third.granted === 3 && keyCount_('Alex', 'Blue') === 3 && keyCount_('Finley', 'Purple') === 1,
+    'A new event grants only its own keys', results);
+}
+
+function testKeyRulesScanHook_(results) {
+  resetKeyRulesWorkbook_([['KR-DRAFT', 'ATTENDANCE', 'D', 'Blue', 1, '', true, '']]);
+  const first = runMissionScan();
+  const second = runMissionScan();
+  assert_(first.keysGranted === 7 && second.keysGranted === 0, 'runMissionScan applies the rules once', results);
+
+  GAS_EMULATOR.seedSheet('Key_Award_Rules', [KEY_AWARD_RULE_HEADERS, ['BAD', 'ATTENDANCE', 'D', 'Orange', 1, '', true, '']]);
+  const broken = runMissionScan();
+  assert_(broken.eventsScanned === 3 && broken.keysGranted === 0, 'A broken rules sheet does not stop the scan', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'KEY_RULES_ERROR'),
+    'The rules problem is logged', results);
+}
@@ -0,0 +1,594 @@
+/**
+ * Key Season Service - Key Seasons, Lockbox Prizes and Season Report
+ * @fileoverview Turns Key_Tracker from a forever counter into seasons: keys
+ * earned and spent are logged against the open season, closing a season
+ * archives every player's keys and applies the season's carry-over rule, and
+ * a Lockbox unlock draws its prize from Lockbox_Prizes.
+ *
+ * SHEET: Key_Seasons (one row per season; at most one OPEN)
+ * - Carry_Over: NONE (all keys expire), ALL, RAINBOW (only Rainbow keys
+ *   carry) or CAP:n (each color and Rainbow carry up to n keys)
+ *
+ * SHEET: Key_Season_Log (append-only EARNED / SPENT / CARRIED / EXPIRED rows)
+ * SHEET: Key_Season_Archive (one row per player per closed season)
+ *
+ * SHEET: Lockbox_Prizes (Weight = relative draw chance, Stock decremented)
+ * SHEET: Lockbox_Unlocks (one row per unlock with the draw's Seed and Roll,
+ * so any draw can be replayed with drawLockboxPrize_(seed))
+ *
+ * Seasons are opt-in: with no OPEN season, keys are not logged and unlocks
+ * are recorded with a blank Season_Id.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const KEY_SEASONS_SHEET = 'Key_Seasons';
+const KEY_SEASON_LOG_SHEET = 'Key_Season_Log';
+const KEY_SEASON_ARCHIVE_SHEET = 'Key_Season_Archive';
+const LOCKBOX_PRIZES_SHEET = 'Lockbox_Prizes';
+const LOCKBOX_UNLOCKS_SHEET = 'Lockbox_Unlocks';
+
+const KEY_SEASON_HEADERS = ['Season_Id', 'Name', 'Start_Date', 'End_Date', 'Carry_Over', 'Status', 'Closed_At', 'Closed_By'];
+
+const KEY_SEASON_LOG_HEADERS = ['Timestamp', 'Season_Id', 'PreferredName', 'Event', 'Color', 'Qty', 'Note'];
+
+const KEY_SEASON_ARCHIVE_HEADERS = [
+  'Season_Id', 'PreferredName', 'Keys_Earned', 'Unlocks',
+  'Red', 'Blue', 'Green', 'Yellow', 'Purple', 'Rainbow',
+  'Keys_Held', 'Keys_Carried', 'Keys_Expired', 'Eligible_After_Carry', 'Archived_At'
+];
+
+const LOCKBOX_PRIZE_HEADERS = ['Prize_Id', 'Prize_Name', 'Weight', 'Stock', 'Value', 'Active'];
+
+const LOCKBOX_UNLOCK_HEADERS = [
+  'Timestamp', 'Season_Id', 'PreferredName', 'Keys_Spent',
+  'Prize_Id', 'Prize_Name', 'Prize_Value', 'Seed', 'Roll', 'Staff', 'Note'
+];
+
+const KEY_SEASON_EVENTS = {
+  EARNED: 'EARNED',
+  SPENT: 'SPENT',
+  CARRIED: 'CARRIED',
+  EXPIRED: 'EXPIRED'
+};
+
+/** Key_Tracker key columns in season order; RainbowEligible holds Rainbow keys */
+const KEY_SEASON_COLORS = ['Red', 'Blue', 'Green', 'Yellow', 'Purple'];
+const KEY_SEASON_RAINBOW_COLUMN = 'RainbowEligible';
+
+// ============================================================================
+// SEASONS
+// ============================================================================
+
+/**
+ * All seasons, oldest first
+ * @return {Array<Object>} [{seasonId, name, startDate, endDate, carryOver, status, closedAt, closedBy}]
+ */
+function getKeySeasons() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_SEASONS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, KEY_SEASON_HEADERS.length).getValues()
+    .filter(r => String(r[0]).trim() !== '')
+    .map(r => ({
+      seasonId: String(r[0]).trim(),
+      name: String(r[1]),
+      startDate: formatKeySeasonDate_(r[2]),
+      endDate: formatKeySeasonDate_(r[3]),
+      carryOver: String(r[4] || 'NONE').trim().toUpperCase(),
+      status: String(r[5]).trim().toUpperCase(),
+      closedAt: String(r[6] || ''),
+      closedBy: String(r[7] || '')
+    }));
+}
+
+/**
+ * The OPEN season
+ * @return {Object|null} Season, or null when seasons are not in use
+ */
+function getCurrentKeySeason() {
+  return getKeySeasons().find(s => s.status === 'OPEN') || null;
+}
+
+/**
+ * Opens a new key season
+ *
+ * @param {string} name - Display name (e.g. "Spring 2026")
+ * @param {string} [carryOver='NONE'] - NONE, ALL, RAINBOW or CAP:n
+ * @return {Object} The new season
+ * @throws {Error} SEASON_ALREADY_OPEN, INVALID_CARRY_OVER
+ */
+function startKeySeason(name, carryOver) {
+  const seasonName = String(name || '').trim();
+  if (!seasonName) {
+    throwError('Season name is required', 'INVALID_INPUT');
+  }
+  const rule = String(carryOver || 'NONE').trim().toUpperCase();
+  parseCarryOverRule_(rule);
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const open = getCurrentKeySeason();
+    if (open) {
+      throwError('A key season is already open', 'SEASON_ALREADY_OPEN',
+        `Close ${open.seasonId} (${open.name}) first`);
+    }
+
+    const sheet = ensureKeySeasonsSheet_();
+    const seasonId = nextSequentialId(sheet, KEY_SEASON_HEADERS.indexOf('Season_Id') + 1, 'KS-');
+    sheet.appendRow([seasonId, seasonName, dateISO(), '', rule, 'OPEN', '', '']);
+
+    logIntegrityAction('KEY_SEASON_START', {
+      details: `${seasonId} "${seasonName}" opened (carry-over ${rule})`,
+      status: 'SUCCESS'
+    });
+    return getCurrentKeySeason();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Closes the OPEN season: archives each Key_Tracker player, applies the
+ * carry-over rule to their keys and logs what carried and what expired.
+ *
+ * @param {Object} [options] - {dryRun?: boolean}
+ * @return {Object} {seasonId, dryRun, players, keysHeld, keysCarried, keysExpired, archive}
+ * @throws {Error} NO_OPEN_SEASON
+ */
+function closeKeySeason(options) {
+  const dryRun = !!(options && options.dryRun);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const season = getCurrentKeySeason();
+    if (!season) {
+      throwError('No key season is open', 'NO_OPEN_SEASON', 'Start one from Players → Key Seasons');
+    }
+    const rule = parseCarryOverRule_(season.carryOver);
+
+    ensureKeyTrackerSchema();
+    const keySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Key_Tracker');
+    const data = keySheet.getDataRange().getValues();
+    const headers = data[0];
+    const nameCol = headers.indexOf('PreferredName');
+    const keyCols = KEY_SEASON_COLORS.concat(KEY_SEASON_RAINBOW_COLUMN).map(h => headers.indexOf(h));
+    const unlockCol = headers.indexOf('Able to Unlock?');
+    const lastUpdatedCol = headers.indexOf('LastUpdated');
+    const ratio = getKeyConversionRatio_();
+
+    const events = readKeySeasonLog_().filter(e => e.seasonId === season.seasonId);
+    const unlocks = readLockboxUnlocks_().filter(u => u.seasonId === season.seasonId);
+    const now = new Date().toISOString();
+    const archive = [];
+    const logRows = [];
+    if (!dryRun) {
+      snapshotBeforeCommit('KEY_SEASON_CLOSE', '',
+        ['Key_Tracker', KEY_SEASONS_SHEET, KEY_SEASON_ARCHIVE_SHEET, KEY_SEASON_LOG_SHEET]);
+    }
+
+    for (let i = 1; i < data.length; i++) {
+      const preferredName = String(data[i][nameCol] || '').trim();
+      if (!preferredName) continue;
+
+      const held = keyCols.map(col => col === -1 ? 0 : coerceNumber(data[i][col], 0));
+      const carried = held.map((qty, idx) => carryOverQty_(rule, idx === KEY_SEASON_COLORS.length, qty));
+      const heldTotal = held.reduce((sum, q) => sum + q, 0);
+      const carriedTotal = carried.reduce((sum, q) => sum + q, 0);
+      const eligible = calculateUnlockEligibility_(carried.slice(0, 5), carried[5], ratio).eligible;
+
+      archive.push([
+        season.seasonId,
+        preferredName,
+        events.filter(e => e.preferredName === preferredName && e.event === KEY_SEASON_EVENTS.EARNED)
+          .reduce((sum, e) => sum + e.qty, 0),
+        unlocks.filter(u => u.preferredName === preferredName).length
+      ].concat(held, [heldTotal, carriedTotal, heldTotal - carriedTotal, eligible, now]));
+
+      held.forEach((qty, idx) => {
+        const color = idx === KEY_SEASON_COLORS.length ? 'Rainbow' : KEY_SEASON_COLORS[idx];
+        if (carried[idx] > 0) {
+          logRows.push([now, season.seasonId, preferredName, KEY_SEASON_EVENTS.CARRIED, color, carried[idx], `Carry-over ${season.carryOver}`]);
+        }
+        if (qty - carried[idx] > 0) {
+          logRows.push([now, season.seasonId, preferredName, KEY_SEASON_EVENTS.EXPIRED, color, qty - carried[idx], 'Season closed']);
+        }
+      });
+
+      if (!dryRun && carriedTotal !== heldTotal) {
+        carried.forEach((qty, idx) => {
+          if (keyCols[idx] !== -1) keySheet.getRange(i + 1, keyCols[idx] + 1).setValue(qty);
+        });
+        if (unlockCol !== -1) keySheet.getRange(i + 1, unlockCol + 1).setValue(eligible);
+        if (lastUpdatedCol !== -1) keySheet.getRange(i + 1, lastUpdatedCol + 1).setValue(dateISO());
+      }
+    }
+
+    const summary = {
+      seasonId: season.seasonId,
+      name: season.name,
+      dryRun,
+      players: archive.length,
+      keysHeld: archive.reduce((sum, r) => sum + r[10], 0),
+      keysCarried: archive.reduce((sum, r) => sum + r[11], 0),
+      keysExpired: archive.reduce((sum, r) => sum + r[12], 0),
+      archive: archive.map(r => ({ preferredName: r[1], keysHeld: r[10], keysCarried: r[11], keysExpired: r[12] }))
+    };
+    if (dryRun) return summary;
+
+    if (archive.length > 0) {
+      const archiveSheet = ensureKeySeasonSheet_(KEY_SEASON_ARCHIVE_SHEET, KEY_SEASON_ARCHIVE_HEADERS);
+      archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, archive.length, KEY_SEASON_ARCHIVE_HEADERS.length)
+        .setValues(archive);
+    }
+    if (logRows.length > 0) {
+      const logSheet = ensureKeySeasonSheet_(KEY_SEASON_LOG_SHEET, KEY_SEASON_LOG_HEADERS);
+      logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, KEY_SEASON_LOG_HEADERS.length)
+        .setValues(logRows);
+    }
+
+    const seasonSheet = ensureKeySeasonsSheet_();
+    const row = getKeySeasons().findIndex(s => s.seasonId === season.seasonId) + 2;
+    seasonSheet.getRange(row, 4).setValue(dateISO());
+    seasonSheet.getRange(row, 6, 1, 3).setValues([['CLOSED', now, currentUser()]]);
+
+    logIntegrityAction('KEY_SEASON_CLOSE', {
+      details: `${season.seasonId} "${season.name}" closed: ${summary.players} player(s), ` +
+        `${summary.keysCarried} key(s) carried, ${summary.keysExpired} expired (${season.carryOver})`,
+      status: 'SUCCESS'
+    });
+    return summary;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Logs keys against the OPEN season (no-op when no season is open).
+ * Called by addKey() and unlockLockbox().
+ *
+ * @param {string} preferredName - Player
+ * @param {string} event - KEY_SEASON_EVENTS value
+ * @param {string} color - Key color ('All' for an unlock)
+ * @param {number} qty - Keys
+ * @param {string} [note] - Free text
+ * @return {string} Season_Id logged against ('' when none open)
+ * @private
+ */
+function recordKeySeasonEvent_(preferredName, event, color, qty, note) {
+  const season = getCurrentKeySeason();
+  if (!season) return '';
+
+  ensureKeySeasonSheet_(KEY_SEASON_LOG_SHEET, KEY_SEASON_LOG_HEADERS)
+    .appendRow([new Date().toISOString(), season.seasonId, preferredName, event, color, qty, note || '']);
+  return season.seasonId;
+}
+
+// ============================================================================
+// LOCKBOX PRIZES
+// ============================================================================
+
+/**
+ * Lockbox prize table in sheet order
+ * @return {Array<Object>} [{prizeId, prizeName, weight, stock, value, active}]
+ */
+function getLockboxPrizes() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LOCKBOX_PRIZES_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, LOCKBOX_PRIZE_HEADERS.length).getValues()
+    .map((r, i) => ({
+      row: i + 2,
+      prizeId: String(r[0]).trim(),
+      prizeName: String(r[1]).trim(),
+      weight: coerceNumber(r[2], 0),
+      stock: coerceNumber(r[3], 0),
+      value: coerceNumber(r[4], 0),
+      active: r[5] === true || String(r[5]).trim().toUpperCase() === 'TRUE'
+    }))
+    .filter(p => p.prizeId !== '');
+}
+
+/**
+ * Seeded weighted draw over active, in-stock prizes. Deterministic for a
+ * given seed and prize table, so a logged draw can be replayed.
+ *
+ * @param {string} [seed] - Draw seed (generated if omitted)
+ * @return {Object} {prize, seed, roll}
+ * @throws {Error} LOCKBOX_EMPTY if nothing can be drawn
+ * @private
+ */
+function drawLockboxPrize_(seed) {
+  const pool = getLockboxPrizes().filter(p => p.active && p.stock > 0 && p.weight > 0);
+  if (pool.length === 0) {
+    throwError('No Lockbox prizes in stock', 'LOCKBOX_EMPTY', `Restock ${LOCKBOX_PRIZES_SHEET} before unlocking`);
+  }
+
+  const drawSeed = seed || generateSeed();
+  const roll = createSeededRandom(drawSeed)();
+  const totalWeight = pool.reduce((sum, p) => sum + p.weight, 0);
+  let threshold = roll * totalWeight;
+  const prize = pool.find(p => (threshold -= p.weight) < 0) || pool[pool.length - 1];
+
+  return { prize, seed: drawSeed, roll };
+}
+
+/**
+ * Decrements the drawn prize's stock and appends the Lockbox_Unlocks row.
+ * Caller holds the script lock.
+ *
+ * @param {Object} unlock - {preferredName, keysSpent, draw, staff, note}
+ * @return {Object} {seasonId, prizeId, prizeName, stockLeft}
+ * @private
+ */
+function recordLockboxUnlock_(unlock) {
+  const prize = unlock.draw.prize;
+  const prizeSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LOCKBOX_PRIZES_SHEET);
+  prizeSheet.getRange(prize.row, 4).setValue(prize.stock - 1);
+
+  const seasonId = recordKeySeasonEvent_(unlock.preferredName, KEY_SEASON_EVENTS.SPENT, 'All',
+    unlock.keysSpent, `Lockbox unlock: ${prize.prizeName}`);
+
+  ensureKeySeasonSheet_(LOCKBOX_UNLOCKS_SHEET, LOCKBOX_UNLOCK_HEADERS).appendRow([
+    new Date().toISOString(),
+    seasonId,
+    unlock.preferredName,
+    unlock.keysSpent,
+    prize.prizeId,
+    prize.prizeName,
+    prize.value,
+    unlock.draw.seed,
+    unlock.draw.roll,
+    unlock.staff || '',
+    unlock.note || ''
+  ]);
+
+  return { seasonId, prizeId: prize.prizeId, prizeName: prize.prizeName, stockLeft: prize.stock - 1 };
+}
+
+// ============================================================================
+// SEASON REPORT
+// ============================================================================
+
+/**
+ * Season summary: unlocks, prizes, average keys-to-unlock and the
+ * outstanding liability (keys still held and the prize value they can claim).
+ * An OPEN season reads live Key_Tracker counts; a CLOSED one reads what
+ * carried out of it from Key_Season_Archive.
+ *
+ * @param {string} [seasonId] - Season (defaults to the OPEN season)
+ * @return {Object} {season, unlocks, players, keysEarned, keysSpent, avgKeysToUnlock,
+ *   prizes: [{prizeName, count, value}], prizeValue, liability: {players, keys, eligiblePlayers, expectedPrizeValue, estimatedValue}}
+ * @throws {Error} SEASON_NOT_FOUND
+ */
+function getKeySeasonReport(seasonId) {
+  const seasons = getKeySeasons();
+  const season = seasonId
+    ? seasons.find(s => s.seasonId === seasonId)
+    : seasons.find(s => s.status === 'OPEN');
+  if (!season) {
+    throwError('Key season not found', 'SEASON_NOT_FOUND', seasonId ? `No season ${seasonId}` : 'No season is open');
+  }
+
+  const events = readKeySeasonLog_().filter(e => e.seasonId === season.seasonId);
+  const unlocks = readLockboxUnlocks_().filter(u => u.seasonId === season.seasonId);
+  const keysSpent = unlocks.reduce((sum, u) => sum + u.keysSpent, 0);
+
+  const prizes = [];
+  unlocks.forEach(u => {
+    let entry = prizes.find(p => p.prizeName === u.prizeName);
+    if (!entry) {
+      entry = { prizeName: u.prizeName, count: 0, value: 0 };
+      prizes.push(entry);
+    }
+    entry.count++;
+    entry.value += u.prizeValue;
+  });
+
+  const holdings = season.status === 'OPEN'
+    ? readKeyTrackerHoldings_()
+    : readKeySeasonArchive_().filter(a => a.seasonId === season.seasonId)
+      .map(a => ({ keys: a.keysCarried, eligible: a.eligibleAfterCarry }));
+  const expectedPrizeValue = getExpectedLockboxPrizeValue_();
+  const eligiblePlayers = holdings.filter(h => h.eligible).length;
+
+  return {
+    season,
+    unlocks: unlocks.length,
+    players: unique(unlocks.map(u => u.preferredName)).length,
+    keysEarned: events.filter(e => e.event === KEY_SEASON_EVENTS.EARNED).reduce((sum, e) => sum + e.qty, 0),
+    keysSpent,
+    avgKeysToUnlock: unlocks.length > 0 ? Math.round((keysSpent / unlocks.length) * 10) / 10 : 0,
+    prizes: prizes.sort((a, b) => b.count - a.count),
+    prizeValue: prizes.reduce((sum, p) => sum + p.value, 0),
+    liability: {
+      players: holdings.filter(h => h.keys > 0).length,
+      keys: holdings.reduce((sum, h) => sum + h.keys, 0),
+      eligiblePlayers,
+      expectedPrizeValue,
+      estimatedValue: Math.round(eligiblePlayers * expectedPrizeValue * 100) / 100
+    }
+  };
+}
+
+/**
+ * Plain-text season report for alerts
+ * @param {Object} report - getKeySeasonReport() result
+ * @return {string} Report text
+ */
+function formatKeySeasonReport(report) {
+  const s = report.season;
+  const lines = [
+    `${s.seasonId} "${s.name}" (${s.status}) ${s.startDate} → ${s.endDate || 'now'}, carry-over ${s.carryOver}`,
+    '',
+    `Keys earned: ${report.keysEarned}`,
+    `Unlocks: ${report.unlocks} by ${report.players} player(s)`,
+    `Average keys to unlock: ${report.avgKeysToUnlock}`,
+    `Prize value handed out: ${formatCurrency(report.prizeValue)}`
+  ];
+  report.prizes.forEach(p => lines.push(`  • ${p.prizeName} × ${p.count}`));
+  lines.push('',
+    `Outstanding liability${s.status === 'OPEN' ? '' : ' (carried out of season)'}:`,
+    `  ${report.liability.keys} key(s) held by ${report.liability.players} player(s)`,
+    `  ${report.liability.eligiblePlayers} player(s) can unlock now ≈ ${formatCurrency(report.liability.estimatedValue)} ` +
+      `at ${formatCurrency(report.liability.expectedPrizeValue)} expected per unlock`);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Parses a Carry_Over rule
+ * @param {string} rule - NONE, ALL, RAINBOW or CAP:n
+ * @return {Object} {type, cap}
+ * @throws {Error} INVALID_CARRY_OVER
+ * @private
+ */
+function parseCarryOverRule_(rule) {
+  const text = String(rule || 'NONE').trim().toUpperCase();
+  if (text === 'NONE' || text === 'ALL' || text === 'RAINBOW') {
+    return { type: text, cap: 0 };
+  }
+  const match = text.match(/^CAP:(\d+)$/);
+  if (match) {
+    return { type: 'CAP', cap: Number(match[1]) };
+  }
+  throwError('Invalid carry-over rule', 'INVALID_CARRY_OVER', `"${rule}" — use NONE, ALL, RAINBOW or CAP:n`);
+}
+
+/** Keys of one column that survive a season close @private */
+function carryOverQty_(rule, isRainbow, qty) {
+  switch (rule.type) {
+    case 'ALL': return qty;
+    case 'RAINBOW': return isRainbow ? qty : 0;
+    case 'CAP': return Math.min(qty, rule.cap);
+    default: return 0;
+  }
+}
+
+/** Keys per Rainbow from Prize_Throttle's Rainbow_Rate (X:1) @private */
+function getKeyConversionRatio_() {
+  const ratio = parseRatio(getThrottleKV().Rainbow_Rate || '3:1');
+  return ratio && ratio.den === 1 ? ratio.num : 3;
+}
+
+/**
+ * Weighted average Value of the prizes an unlock can currently draw
+ * @private
+ */
+function getExpectedLockboxPrizeValue_() {
+  const pool = getLockboxPrizes().filter(p => p.active && p.stock > 0 && p.weight > 0);
+  const totalWeight = pool.reduce((sum, p) => sum + p.weight, 0);
+  if (totalWeight === 0) return 0;
+  return Math.round(pool.reduce((sum, p) => sum + p.weight * p.value, 0) / totalWeight * 100) / 100;
+}
+
+/** Live Key_Tracker holdings [{keys, eligible}] @private */
+function readKeyTrackerHoldings_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Key_Tracker');
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const keyCols = KEY_SEASON_COLORS.concat(KEY_SEASON_RAINBOW_COLUMN).map(h => headers.indexOf(h));
+  const ratio = getKeyConversionRatio_();
+
+  return data.slice(1)
+    .filter(r => String(r[headers.indexOf('PreferredName')] || '').trim() !== '')
+    .map(r => {
+      const qtys = keyCols.map(col => col === -1 ? 0 : coerceNumber(r[col], 0));
+      return {
+        keys: qtys.reduce((sum, q) => sum + q, 0),
+        eligible: calculateUnlockEligibility_(qtys.slice(0, 5), qtys[5], ratio).eligible === 1
+      };
+    });
+}
+
+/** @private */
+function readKeySeasonLog_() {
+  return readKeySeasonRows_(KEY_SEASON_LOG_SHEET, KEY_SEASON_LOG_HEADERS).map(r => ({
+    seasonId: String(r[1]).trim(),
+    preferredName: String(r[2]).trim(),
+    event: String(r[3]).trim(),
+    color: String(r[4]),
+    qty: coerceNumber(r[5], 0)
+  }));
+}
+
+/** @private */
+function readLockboxUnlocks_() {
+  return readKeySeasonRows_(LOCKBOX_UNLOCKS_SHEET, LOCKBOX_UNLOCK_HEADERS).map(r => ({
+    timestamp: String(r[0]),
+    seasonId: String(r[1]).trim(),
+    preferredName: String(r[2]).trim(),
+    keysSpent: coerceNumber(r[3], 0),
+    prizeId: String(r[4]),
+    prizeName: String(r[5]),
+    prizeValue: coerceNumber(r[6], 0),
+    seed: String(r[7]),
+    roll: coerceNumber(r[8], 0)
+  }));
+}
+
+/** @private */
+function readKeySeasonArchive_() {
+  return readKeySeasonRows_(KEY_SEASON_ARCHIVE_SHEET, KEY_SEASON_ARCHIVE_HEADERS).map(r => ({
+    seasonId: String(r[0]).trim(),
+    preferredName: String(r[1]).trim(),
+    keysCarried: coerceNumber(r[11], 0),
+    eligibleAfterCarry: coerceNumber(r[13], 0) === 1
+  }));
+}
+
+/** Data rows of a season sheet ([] if missing) @private */
+function readKeySeasonRows_(sheetName, headers) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+}
+
+/** @private */
+function formatKeySeasonDate_(value) {
+  if (!value) return '';
+  return value instanceof Date
+    ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+    : String(value).slice(0, 10);
+}
+
+// ============================================================================
+// SHEETS
+// ============================================================================
+
+/**
+ * Creates Lockbox_Prizes with headers only (no-op if it exists)
+ * @return {Sheet} Lockbox_Prizes sheet
+ */
+function ensureLockboxPrizesSheet() {
+  return ensureKeySeasonSheet_(LOCKBOX_PRIZES_SHEET, LOCKBOX_PRIZE_HEADERS);
+}
+
+/** @private */
+function ensureKeySeasonsSheet_() {
+  return ensureKeySeasonSheet_(KEY_SEASONS_SHEET, KEY_SEASON_HEADERS);
+}
+
+/** @private */
+function ensureKeySeasonSheet_(sheetName, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(sheetName);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  return sheet;
+}
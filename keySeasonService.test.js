@@ -0,0 +1,238 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * KEY SEASON SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for key seasons (earned-key logging,
+ * carry-over at close, archive), the seeded Lockbox_Prizes draw wired into
+ * unlockLockbox() and the season report.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testKeySeasonService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testKeySeasonService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('KEY SEASON SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Start Season', testKeySeasonStart_, results);
+  runTestSuite_('Earned Keys', testKeySeasonEarned_, results);
+  runTestSuite_('Prize Draw', testKeySeasonPrizeDraw_, results);
+  runTestSuite_('Lockbox Unlock', testKeySeasonUnlock_, results);
+  runTestSuite_('Close Season', testKeySeasonClose_, results);
+  runTestSuite_('Season Report', testKeySeasonReport_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prize table: one dead row (out of stock), one inactive, two drawable
+ * @private
+ */
+function resetLockboxWorkbook_() {
+  GAS_EMULATOR.reset({
+    Lockbox_Prizes: [
+      LOCKBOX_PRIZE_HEADERS,
+      ['LB-1', 'Dragon Plushie', 1, 0, 25, true],
+      ['LB-2', 'Foil Promo', 3, 4, 10, true],
+      ['LB-3', 'Playmat', 1, 2, 40, true],
+      ['LB-4', 'Retired Dice', 5, 9, 5, false]
+    ]
+  });
+}
+
+/** Gives a player one key of every color (unlockable) @private */
+function giveFullKeySet_(preferredName) {
+  KEY_SEASON_COLORS.forEach(color => addKey(preferredName, color, 1));
+}
+
+/** @private */
+function expectKeySeasonError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf(`[${code}]`) === 0;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testKeySeasonStart_(results) {
+  GAS_EMULATOR.reset();
+  assert_(getCurrentKeySeason() === null, 'No season is open on a fresh workbook', results);
+
+  const season = startKeySeason('Spring 2026', 'cap:2');
+  assert_(season.seasonId === 'KS-1' && season.status === 'OPEN' && season.carryOver === 'CAP:2',
+    'Starting a season opens KS-1 with the normalized rule', results);
+  assert_(expectKeySeasonError_(() => startKeySeason('Summer 2026'), 'SEASON_ALREADY_OPEN'),
+    'Only one season can be open', results);
+  assert_(expectKeySeasonError_(() => parseCarryOverRule_('HALF'), 'INVALID_CARRY_OVER'),
+    'Unknown carry-over rules are rejected', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'KEY_SEASON_START'),
+    'Season start is logged', results);
+}
+
+function testKeySeasonEarned_(results) {
+  GAS_EMULATOR.reset();
+  addKey('Alex', 'Red', 2);
+  assert_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_SEASON_LOG_SHEET) === null,
+    'Without an open season, awards are not logged', results);
+
+  startKeySeason('Spring 2026');
+  addKey('Alex', 'Blue', 3);
+  addKey('Blake', 'Red', 1);
+  const log = readKeySeasonLog_();
+  assert_(log.length === 2 && log.every(e => e.seasonId === 'KS-1' && e.event === KEY_SEASON_EVENTS.EARNED),
+    'Awards during a season log EARNED rows', results);
+  assert_(log[0].preferredName === 'Alex' && log[0].color === 'Blue' && log[0].qty === 3,
+    'EARNED rows carry player, color and qty', results);
+}
+
+function testKeySeasonPrizeDraw_(results) {
+  resetLockboxWorkbook_();
+  const first = drawLockboxPrize_('SEED123');
+  const again = drawLockboxPrize_('SEED123');
+  assert_(first.prize.prizeId === again.prize.prizeId && first.roll === again.roll,
+    'The same seed replays the same draw', results);
+  assert_(['LB-2', 'LB-3'].includes(first.prize.prizeId), 'Out-of-stock and inactive prizes are never drawn', results);
+
+  const drawn = {};
+  for (let i = 0; i < 40; i++) {
+    drawn[drawLockboxPrize_('S' + i).prize.prizeId] = true;
+  }
+  assert_(drawn['LB-2'] && drawn['LB-3'] && !drawn['LB-1'] && !drawn['LB-4'],
+    'Draws cover every drawable prize and nothing else', results);
+  assert_(typeof drawLockboxPrize_().seed === 'string', 'A seed is generated when none is given', results);
+
+  GAS_EMULATOR.reset();
+  assert_(expectKeySeasonError_(() => drawLockboxPrize_('X'), 'LOCKBOX_EMPTY'),
+    'An empty prize table cannot be drawn from', results);
+}
+
+function testKeySeasonUnlock_(results) {
+  GAS_EMULATOR.reset();
+  giveFullKeySet_('Alex');
+  const empty = unlockLockbox({ preferred_name_id: 'Alex' });
+  assert_(!empty.success && empty.message.indexOf('LOCKBOX_EMPTY') !== -1, 'Unlock fails with no prizes stocked', results);
+  assert_(getPlayerKeys('Alex').Red === 1, 'A failed draw leaves the keys alone', results);
+
+  resetLockboxWorkbook_();
+  startKeySeason('Spring 2026');
+  giveFullKeySet_('Alex');
+  addKey('Alex', 'Red', 2);
+
+  const result = unlockLockbox({ preferred_name_id: 'Alex', staff: 'JD', seed: 'SEED123' });
+  const expected = drawLockboxPrize_('SEED123');
+  assert_(result.success && result.prize.seed === 'SEED123' && result.prize.seasonId === 'KS-1',
+    'Unlock succeeds and reports the seeded draw', results);
+  assert_(result.message.indexOf(result.prize.prizeName) !== -1, 'The message names the prize', results);
+
+  const keys = getPlayerKeys('Alex');
+  assert_(KEY_SEASON_COLORS.every(c => keys[c] === 0) && keys['Able to Unlock?'] === 0,
+    'Keys and the unlock flag are reset', results);
+
+  const prize = getLockboxPrizes().find(p => p.prizeId === result.prize.prizeId);
+  const stockBefore = result.prize.prizeId === 'LB-2' ? 4 : 2;
+  assert_(prize.stock === stockBefore - 1 && result.prize.stockLeft === prize.stock, 'Stock is decremented', results);
+  assert_(expected.prize.prizeId === result.prize.prizeId, 'The logged seed replays to the drawn prize', results);
+
+  const unlocks = readLockboxUnlocks_();
+  assert_(unlocks.length === 1 && unlocks[0].keysSpent === 7 && unlocks[0].seed === 'SEED123',
+    'Lockbox_Unlocks records keys spent and the seed', results);
+  assert_(readKeySeasonLog_().some(e => e.event === KEY_SEASON_EVENTS.SPENT && e.qty === 7),
+    'Spent keys are logged against the season', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'LOCKBOX_UNLOCK' && r.Status === 'SUCCESS'),
+    'Integrity_Log records the unlock', results);
+
+  const again = unlockLockbox({ preferred_name_id: 'Alex' });
+  assert_(!again.success && again.message.indexOf('not eligible') !== -1, 'A reset player cannot unlock again', results);
+}
+
+function testKeySeasonClose_(results) {
+  GAS_EMULATOR.reset();
+  startKeySeason('Spring 2026', 'CAP:1');
+  addKey('Alex', 'Red', 3);
+  addKey('Alex', 'Blue', 1);
+  addKey('Blake', 'Green', 2);
+
+  const preview = closeKeySeason({ dryRun: true });
+  assert_(preview.dryRun && preview.keysHeld === 6 && preview.keysCarried === 3 && preview.keysExpired === 3,
+    'Dry run reports held, carried and expired keys', results);
+  assert_(getPlayerKeys('Alex').Red === 3 && getCurrentKeySeason() !== null, 'Dry run changes nothing', results);
+
+  const closed = closeKeySeason();
+  assert_(closed.players === 2 && closed.keysCarried === 3, 'Close archives every player', results);
+  assert_(getPlayerKeys('Alex').Red === 1 && getPlayerKeys('Alex').Blue === 1 && getPlayerKeys('Blake').Green === 1,
+    'CAP:1 leaves one key per color', results);
+
+  const archive = toObjects(GAS_EMULATOR.dump(KEY_SEASON_ARCHIVE_SHEET));
+  const alex = archive.find(r => r.PreferredName === 'Alex');
+  assert_(alex.Season_Id === 'KS-1' && alex.Keys_Earned === 4 && alex.Red === 3 && alex.Keys_Expired === 2,
+    'Archive keeps earned, held and expired counts', results);
+
+  const log = readKeySeasonLog_();
+  assert_(log.some(e => e.preferredName === 'Alex' && e.event === KEY_SEASON_EVENTS.EXPIRED && e.color === 'Red' && e.qty === 2) &&
+    log.some(e => e.preferredName === 'Blake' && e.event === KEY_SEASON_EVENTS.CARRIED && e.qty === 1),
+    'Carried and expired keys are logged per color', results);
+
+  const season = getKeySeasons()[0];
+  assert_(season.status === 'CLOSED' && season.endDate !== '' && getCurrentKeySeason() === null,
+    'The season is marked CLOSED', results);
+  assert_(expectKeySeasonError_(() => closeKeySeason(), 'NO_OPEN_SEASON'), 'Nothing left to close', results);
+  assert_(startKeySeason('Summer 2026').seasonId === 'KS-2', 'The next season gets the next ID', results);
+
+  closeKeySeason();
+  SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KEY_SEASONS_SHEET).deleteRow(2);
+  assert_(startKeySeason('Fall 2026').seasonId === 'KS-3', 'Season IDs are not reused after a row is deleted', results);
+}
+
+function testKeySeasonReport_(results) {
+  resetLockboxWorkbook_();
+  startKeySeason('Spring 2026', 'ALL');
+  giveFullKeySet_('Alex');
+  addKey('Alex', 'Red', 1);
+  giveFullKeySet_('Blake');
+  unlockLockbox({ preferred_name_id: 'Alex', seed: 'A' });
+  unlockLockbox({ preferred_name_id: 'Blake', seed: 'B' });
+  giveFullKeySet_('Casey');
+  addKey('Drew', 'Purple', 2);
+
+  const report = getKeySeasonReport();
+  assert_(report.season.seasonId === 'KS-1' && report.unlocks === 2 && report.players === 2,
+    'Report counts unlocks and players', results);
+  assert_(report.keysEarned === 18 && report.keysSpent === 11 && report.avgKeysToUnlock === 5.5,
+    'Average keys-to-unlock uses keys spent per unlock', results);
+  assert_(report.prizes.reduce((sum, p) => sum + p.count, 0) === 2, 'Prize breakdown covers every unlock', results);
+  assert_(report.liability.keys === 7 && report.liability.players === 2 && report.liability.eligiblePlayers === 1,
+    'Liability counts keys still held and who can unlock', results);
+  assert_(report.liability.estimatedValue === report.liability.expectedPrizeValue && report.liability.expectedPrizeValue > 0,
+    'Liability is valued at the expected prize value', results);
+  assert_(formatKeySeasonReport(report).indexOf('Average keys to unlock: 5.5') !== -1, 'Report text includes the average', results);
+
+  closeKeySeason();
+  const closed = getKeySeasonReport('KS-1');
+  assert_(closed.season.status === 'CLOSED' && closed.liability.keys === 7 && closed.liability.eligiblePlayers === 1,
+    'A closed season reports what carried out of it', results);
+  assert_(expectKeySeasonError_(() => getKeySeasonReport('KS-9'), 'SEASON_NOT_FOUND'), 'Unknown seasons are rejected', results);
+}
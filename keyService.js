@@ -1,6 +1,7 @@
 /**
  * Key Service - Player Key Management
  * @fileoverview Manages Key_Tracker: add keys, rainbow conversion
+ * (awards are logged against the open key season, see keySeasonService.js)
  * 
  * UNLOCK RULES:
  * - Player needs to cover all 5 colors (Red, Blue, Green, Yellow, Purple)
@@ -25,9 +26,10 @@
  * @param {string} preferredName - Player name
  * @param {string} color - Key color: Red, Blue, Green, Yellow, Purple
  * @param {number} qty - Quantity (default: 1)
+ * @param {Object} options - {note?: string (appended to the KEY_AWARD log), silent?: boolean (no unlock popup)}
  * @return {Object} Result {before, after, added}
  */
-function addKey(preferredName, color, qty = 1) {
+function addKey(preferredName, color, qty = 1, options = {}) {
   ensureKeyTrackerSchema();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Key_Tracker');
@@ -72,9 +74,10 @@ function addKey(preferredName, color, qty = 1) {
     
     logIntegrityAction('KEY_AWARD', {
       preferredName,
-      details: `Added ${qty} ${color} (new player)`,
+      details: `Added ${qty} ${color} (new player)` + (options.note ? ` | ${options.note}` : ''),
       status: 'SUCCESS'
     });
+    recordKeySeasonEvent_(preferredName, KEY_SEASON_EVENTS.EARNED, color, qty);
     
     // Update eligibility for new player
     const throttle = getThrottleKV();
@@ -104,16 +107,17 @@ function addKey(preferredName, color, qty = 1) {
   const ratio = parseRatio(ratioStr);
   if (ratio && ratio.den === 1) {
     const justUnlocked = updatePlayerEligibility_(preferredName, sheet, headers, ratio.num);
-    if (justUnlocked) {
+    if (justUnlocked && !options.silent) {
       showUnlockEligiblePopup_(preferredName, sheet, headers);
     }
   }
 
   logIntegrityAction('KEY_AWARD', {
     preferredName,
-    details: `${color}: ${currentQty} → ${newQty} (+${qty})`,
+    details: `${color}: ${currentQty} → ${newQty} (+${qty})` + (options.note ? ` | ${options.note}` : ''),
     status: 'SUCCESS'
   });
+  recordKeySeasonEvent_(preferredName, KEY_SEASON_EVENTS.EARNED, color, qty);
   
   return {
     before: currentQty,
@@ -679,6 +683,8 @@ function clearPlayerKeys(preferredName) {
 
   for (let i = 1; i < data.length; i++) {
     if (data[i][nameCol] === preferredName) {
+      snapshotBeforeCommit('PLAYER_KEYS_CLEARED', '', ['Key_Tracker']);
+
       // Clear all color keys
       colorCols.forEach(col => {
         if (col !== -1) sheet.getRange(i + 1, col + 1).setValue(0);
@@ -715,7 +721,7 @@ function clearAllKeys() {
 
   const response = ui.alert(
     'Clear All Keys?',
-    'This will reset ALL players\' keys to ZERO.\n\nThis action cannot be undone!\n\nAre you sure?',
+    'This will reset ALL players\' keys to ZERO.\n\nA snapshot is taken first; undo with Emergency Revert.\n\nAre you sure?',
     ui.ButtonSet.YES_NO
   );
 
@@ -740,6 +746,7 @@ function clearAllKeys() {
   const unlockCol = headers.indexOf('Able to Unlock?');
   const lastUpdatedCol = headers.indexOf('LastUpdated');
 
+  snapshotBeforeCommit('KEYS_CLEARED', '', ['Key_Tracker']);
   for (let i = 1; i < data.length; i++) {
     colorCols.forEach(col => {
       if (col !== -1) sheet.getRange(i + 1, col + 1).setValue(0);
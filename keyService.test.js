@@ -0,0 +1,111 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * KEY SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for Key_Tracker awards, Rainbow conversion
+ * and unlock eligibility.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testKeyService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testKeyService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('KEY SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Add Key', testKeyAdd_, results);
+  runTestSuite_('Rainbow Conversion', testKeyRainbowConversion_, results);
+  runTestSuite_('Unlock Eligibility', testKeyEligibility_, results);
+  runTestSuite_('Clear Keys', testKeyClear_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testKeyAdd_(results) {
+  GAS_EMULATOR.reset();
+
+  const created = addKey('Alex', 'Red', 2);
+  assert_(created.before === 0 && created.after === 2, 'First award creates the player row', results);
+
+  const updated = addKey('Alex', 'Red');
+  assert_(updated.before === 2 && updated.after === 3 && updated.added === 1, 'Default qty adds one key', results);
+  assert_(getPlayerKeys('Alex').Red === 3, 'getPlayerKeys reflects the new count', results);
+  assert_(GAS_EMULATOR.dump('Key_Tracker').length === 2, 'Repeat awards reuse the same row', results);
+
+  let error = null;
+  try {
+    addKey('Alex', 'Orange', 1);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[INVALID_COLOR]') === 0, 'Unknown colors are rejected', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.filter(r => r.Action === 'KEY_AWARD').length === 2, 'Each award is logged as KEY_AWARD', results);
+}
+
+function testKeyRainbowConversion_(results) {
+  GAS_EMULATOR.reset();
+  addKey('Blake', 'Blue', 7);
+
+  const converted = convertRainbow('Blake', 'Blue', 2, '3:1');
+  assert_(converted.rainbowCount === 2 && converted.remainingSourceKeys === 1,
+    '2 sets of 3 Blue → 2 Rainbow, 1 Blue left', results);
+
+  let error = null;
+  try {
+    convertRainbow('Blake', 'Blue', 1, '3:1');
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[INSUFFICIENT_KEYS]') === 0,
+    'Converting without enough keys is rejected', results);
+}
+
+function testKeyEligibility_(results) {
+  GAS_EMULATOR.reset();
+  ['Red', 'Blue', 'Green', 'Yellow'].forEach(color => addKey('Casey', color, 1));
+  assert_(getPlayerKeys('Casey')['Able to Unlock?'] === 0, '4 colors, no extras → not eligible', results);
+  assert_(!GAS_EMULATOR.ui.log.some(entry => entry.type === 'alert'), 'No unlock popup yet', results);
+
+  addKey('Casey', 'Purple', 1);
+  assert_(getPlayerKeys('Casey')['Able to Unlock?'] === 1, 'All 5 colors → eligible', results);
+  assert_(GAS_EMULATOR.ui.log.some(entry => entry.type === 'alert' && entry.message.indexOf('Casey is ELIGIBLE') !== -1),
+    'Crossing into eligibility shows the unlock popup', results);
+}
+
+function testKeyClear_(results) {
+  GAS_EMULATOR.reset();
+  addKey('Drew', 'Green', 4);
+  addKey('Emery', 'Red', 1);
+
+  clearPlayerKeys('Drew');
+  assert_(getPlayerKeys('Drew').Green === 0, 'clearPlayerKeys zeroes the player', results);
+  assert_(getPlayerKeys('Emery').Red === 1, 'Other players are untouched', results);
+
+  GAS_EMULATOR.ui.queueResponse('NO');
+  clearAllKeys();
+  assert_(getPlayerKeys('Emery').Red === 1, 'clearAllKeys respects a NO answer', results);
+
+  clearAllKeys();
+  assert_(getPlayerKeys('Emery').Red === 0, 'clearAllKeys zeroes everyone after YES', results);
+}
@@ -19,7 +19,7 @@
  * Called during MissionLog sync / after Prize Engine commit.
  *
  * @param {string} playerId - canonical PreferredNames ID
- * @param {string} eventId - sheet/tab name (e.g. "11-23-B-2025")
+ * @param {string} eventId - sheet/tab name (e.g. "11-23B-2025", "11-29X(B+D)-2025")
  * @param {number|null} rank - final rank (1 = first, etc.) or null
  */
 function evaluateSuffixMissions_(playerId, eventId, rank) {
@@ -28,65 +28,32 @@ function evaluateSuffixMissions_(playerId, eventId, rank) {
     return;
   }
 
-  var suffix = getSuffixFromEventId_(eventId);
-  var meta = getSuffixMeta_(suffix);
+  var parsed = parseEventIdParts_(eventId);
+  var formats = parsed ? parsed.formats : [];
 
   // If no suffix or invalid suffix, still log but don't award missions
-  if (!meta) {
+  if (!formats.some(function(code) { return getSuffixMeta_(code); })) {
     Logger.log('No suffix meta for event ' + eventId + ', skipping mission evaluation');
     return;
   }
 
-  // Commander bracketed missions
-  if (suffix === 'B') {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_CMD_CASUAL, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
+  // Award every MissionLog mission the registry maps this suffix to.
+  // X(B+D) tabs award each component format once.
+  var awarded = {};
+  formats.forEach(function(suffix) {
+    var meta = getSuffixMeta_(suffix);
+    if (!meta) return;
+    (meta.missionIds || []).forEach(function(missionId) {
+      if (!MISSION_IDS[missionId]) return; // Not a MissionLog column (scanner-only mission)
+      if (awarded[missionId]) return;
+      awarded[missionId] = true;
+      awardMissionProgress_(playerId, MISSION_IDS[missionId], {
+        eventId: eventId,
+        rank: rank,
+        suffix: suffix
+      });
     });
-  }
-
-  if (suffix === 'C') {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_CMD_TRANSITION, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
-    });
-  }
-
-  if (suffix === 'T') {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_CMD_CEDH, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
-    });
-  }
-
-  // Limited formats: Draft, Proxy/Cube Draft, Prerelease, Sealed
-  if (meta.requiresKitPrompt) {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_LIMITED_EVENT, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
-    });
-  }
-
-  // Academy / Outreach
-  if (suffix === 'A') {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_ACADEMY, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
-    });
-  }
-
-  if (suffix === 'E') {
-    awardMissionProgress_(playerId, MISSION_IDS.ATTEND_OUTREACH, {
-      eventId: eventId,
-      rank: rank,
-      suffix: suffix
-    });
-  }
+  });
 
   // Future: non-suffix missions (streaks, Nth event, etc.) can be added here.
 }
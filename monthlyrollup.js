@@ -142,17 +142,24 @@ function getCostPerPlayerFromSheet_(ss) {
 // =============================================================================
 // ENTRY POINT
 // =============================================================================
-function buildEventDashboard() {
+/**
+ * Builds the event dashboard
+ * @param {Object} [options] - {silent: true} skips the alerts (scheduled jobs have no UI);
+ *   {rosters: {sheetName: [names]}} uses rosters already read in chunks (eventBatchService.js)
+ * @return {Object|undefined} {events, months, players}; undefined when there are no event tabs
+ */
+function buildEventDashboard(options) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const ui = SpreadsheetApp.getUi();
+  const silent = !!(options && options.silent);
+  const ui = silent ? null : SpreadsheetApp.getUi();
   
   // Show progress
-  ui.alert('Building Dashboard', 'Analyzing event data... This may take a moment.', ui.ButtonSet.OK);
+  if (ui) ui.alert('Building Dashboard', 'Analyzing event data... This may take a moment.', ui.ButtonSet.OK);
   
   // Collect all data
   const events = getEventSheetsFlexible_(ss);
   if (!events.length) {
-    ui.alert('No event sheets found. Make sure your event tabs have a date-based name (e.g., 11-26-2025 or 11-26C-2025).');
+    if (ui) ui.alert('No event sheets found. Make sure your event tabs have a date-based name (e.g., 11-26-2025 or 11-26C-2025).');
     return;
   }
   
@@ -163,24 +170,32 @@ function buildEventDashboard() {
   const costPerPlayer = getCostPerPlayerFromSheet_(ss);
   
   // Build comprehensive analytics
-  const analytics = buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, costPerPlayer);
+  const analytics = buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, costPerPlayer,
+    options && options.rosters);
   
   // Write the dashboard
   writeDashboard_(ss, analytics, hasSpentPool, costPerPlayer);
   
-  ui.alert('Dashboard Complete!', 
-    `Analyzed ${events.length} events across ${analytics.monthly.length} months.\n` +
-    `Tracked ${analytics.playerStats.totalUniquePlayers} unique players.\n` +
-    `Dashboard written to "${DASHBOARD_CONFIG.REPORT_SHEET_NAME}".\n\n` +
-    `💡 TIP: Use "💰 Update Cost Per Player" from the menu to change cost assumptions!`,
-    ui.ButtonSet.OK
-  );
+  if (ui) {
+    ui.alert('Dashboard Complete!', 
+      `Analyzed ${events.length} events across ${analytics.monthly.length} months.\n` +
+      `Tracked ${analytics.playerStats.totalUniquePlayers} unique players.\n` +
+      `Dashboard written to "${DASHBOARD_CONFIG.REPORT_SHEET_NAME}".\n\n` +
+      `💡 TIP: Use "💰 Update Cost Per Player" from the menu to change cost assumptions!`,
+      ui.ButtonSet.OK
+    );
+  }
+  return {
+    events: events.length,
+    months: analytics.monthly.length,
+    players: analytics.playerStats.totalUniquePlayers
+  };
 }
 
 // =============================================================================
 // ANALYTICS ENGINE
 // =============================================================================
-function buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, costPerPlayer) {
+function buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, costPerPlayer, rosters) {
   // Use provided cost per player for estimates
   const estimateCostPerPlayer = costPerPlayer || DASHBOARD_CONFIG.DEFAULT_AVG_COST_PER_PLAYER;
   // Master player tracking: playerName -> { firstSeen: Date, events: [sheetName], totalEvents: n }
@@ -208,8 +223,9 @@ function buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, cos
   
   // Process each event
   events.forEach(ev => {
-    const sheet = ss.getSheetByName(ev.sheetName);
-    const rosterNames = getEventRosterArray_(sheet); // Array for order preservation
+    const rosterNames = rosters && rosters[ev.sheetName]
+      ? rosters[ev.sheetName]
+      : getEventRosterArray_(ss.getSheetByName(ev.sheetName)); // Array for order preservation
     const playerCount = rosterNames.length;
     
     // Date components
@@ -218,7 +234,7 @@ function buildAnalyticsWithCost_(ss, events, spentPoolCostMap, hasSpentPool, cos
     const dd = String(ev.eventDate.getDate()).padStart(2, '0');
     const monthKey = `${yyyy}-${mm}`;
     const dayOfWeek = ev.eventDate.getDay();
-    const eventType = ev.suffix || 'Standard';
+    const eventType = ev.suffix ? getSuffixDisplayName_(ev.suffix) : 'Standard';
     
     // Cost calculation (uses dynamic costPerPlayer for estimates)
     const actualCost = hasSpentPool ? (spentPoolCostMap.get(ev.sheetName) ?? null) : null;
@@ -1202,25 +1218,15 @@ function linearRegressionSlope_(xs, ys) {
 // =============================================================================
 function getEventSheetsFlexible_(ss) {
   const sheets = ss.getSheets();
-  const re = /^(\d{1,2})-(\d{1,2})([A-Za-z])?-(\d{4})$/;
-  
   const events = [];
   
   sheets.forEach(sh => {
     const name = sh.getName().trim();
-    const m = name.match(re);
-    if (!m) return;
-    
-    const month = parseInt(m[1], 10);
-    const day = parseInt(m[2], 10);
-    const suffix = (m[3] || '').toUpperCase();
-    const year = parseInt(m[4], 10);
-    
-    if (month < 1 || month > 12) return;
-    if (day < 1 || day > 31) return;
+    const parsed = parseEventIdParts_(name);
+    if (!parsed) return;
     
-    const d = new Date(year, month - 1, day);
-    if (d.getFullYear() !== year || d.getMonth() !== (month - 1) || d.getDate() !== day) return;
+    const { month, day, year, suffix } = parsed;
+    const d = parsed.date;
     
     events.push({ sheetName: name, eventDate: d, month, day, year, suffix });
   });
@@ -1,7 +1,9 @@
 /**
  * OnEdit Router - Thin routing layer for onEdit triggers
  * @fileoverview Routes onEdit events to appropriate handlers with guard clauses,
- * sheet allowlist validation, debouncing via LockService, and centralized logging
+ * sheet allowlist validation, debouncing via LockService, and centralized logging.
+ * Edits to pipeline-owned columns (COLUMN_OWNERSHIP in columnOwnershipService.js)
+ * are reverted before any routing.
  */
 
 // ============================================================================
@@ -10,6 +12,7 @@
 
 /**
  * Sheet allowlist configuration
+ * Event tabs are allowed through isEventSheet() (shared event ID grammar)
  * @const {Array<string|RegExp>}
  */
 const ALLOWED_SHEETS = [
@@ -17,8 +20,6 @@ const ALLOWED_SHEETS = [
   'Player\'s Bonus Points',
   'Players_Prize-Wall-Points',
   'Player\'s Prize-Wall-Points',
-  // Event sheet pattern: MM-DD-YYYY or MM-DD-X-YYYY (e.g., 01-15-2024, 12-25-A-2024)
-  /^\d{2}-\d{2}(-|[A-Za-z]-)\d{4}$/,
   // Mission source sheets
   'Attendance_Missions',
   'Flag_Missions',
@@ -83,6 +84,21 @@ function onEditRouter(e) {
       return;
     }
 
+    // ========================================================================
+    // GUARD CLAUSE: Pipeline-owned columns
+    // ========================================================================
+    // Runs before the multi-cell and allowlist guards: owned sheets are not
+    // routed, and pastes over owned columns must be undone too
+    const owned = findOwnedColumns_(e.range);
+    if (owned.length > 0) {
+      logContext.sheet = e.range.getSheet().getName();
+      logContext.range = e.range.getA1Notation();
+      logContext.action = 'OWNED_COLUMN_EDIT';
+      // enforceColumnOwnership_ logs the outcome itself
+      withEditLock_(logContext, () => enforceColumnOwnership_(e, owned));
+      return;
+    }
+
     // ========================================================================
     // GUARD CLAUSE: Multi-cell paste check
     // ========================================================================
@@ -129,37 +145,9 @@ function onEditRouter(e) {
     logContext.range = e.range.getA1Notation();
 
     // ========================================================================
-    // DEBOUNCE: LockService to prevent concurrent runs
+    // DEBOUNCE + ROUTING: Dispatch to appropriate handlers under the lock
     // ========================================================================
-    // Use script-level lock to prevent concurrent onEdit executions
-    // Note: Apps Script only supports script-level locks, not per-location locks
-    const lock = LockService.getScriptLock();
-    
-    try {
-      if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
-        logEvent({
-          ...logContext,
-          action: 'ONEDIT_LOCKED',
-          endedAt: new Date(),
-          status: 'SKIPPED',
-          error: 'Another onEdit is already running for this location'
-        });
-        return;
-      }
-
-      // ======================================================================
-      // ROUTING: Dispatch to appropriate handlers
-      // ======================================================================
-      routeEditEvent(e, logContext);
-
-    } finally {
-      // Always release the lock
-      try {
-        lock.releaseLock();
-      } catch (unlockErr) {
-        console.error('Failed to release lock:', unlockErr);
-      }
-    }
+    withEditLock_(logContext, () => routeEditEvent(e, logContext));
 
   } catch (err) {
     // Top-level error handler
@@ -171,6 +159,39 @@ function onEditRouter(e) {
   }
 }
 
+/**
+ * Runs fn under the script lock, logging ONEDIT_LOCKED if another onEdit holds it
+ * Note: Apps Script only supports script-level locks, not per-location locks
+ * @param {Object} logContext - Logging context
+ * @param {Function} fn - Work to run while locked
+ */
+function withEditLock_(logContext, fn) {
+  const lock = LockService.getScriptLock();
+
+  try {
+    if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+      logEvent({
+        ...logContext,
+        action: 'ONEDIT_LOCKED',
+        endedAt: new Date(),
+        status: 'SKIPPED',
+        error: 'Another onEdit is already running for this location'
+      });
+      return;
+    }
+
+    fn();
+
+  } finally {
+    // Always release the lock
+    try {
+      lock.releaseLock();
+    } catch (unlockErr) {
+      console.error('Failed to release lock:', unlockErr);
+    }
+  }
+}
+
 // ============================================================================
 // ROUTING LOGIC
 // ============================================================================
@@ -392,6 +413,9 @@ function handleEventSheetEdit(e, logContext) {
  * @return {boolean} True if sheet is allowed
  */
 function isSheetAllowed(sheetName) {
+  if (isEventSheet(sheetName)) {
+    return true;
+  }
   for (const allowed of ALLOWED_SHEETS) {
     if (typeof allowed === 'string') {
       if (sheetName === allowed) {
@@ -407,13 +431,13 @@ function isSheetAllowed(sheetName) {
 }
 
 /**
- * Checks if a sheet name matches the event sheet pattern
+ * Checks if a sheet name follows the event ID grammar (eventIdGrammar.js)
+ * e.g. 01-15-2024, 12-25A-2024, 12-01Draft-2025, 11-23B-2025-2, 11-29X(B+D)-2025
  * @param {string} sheetName - Name of the sheet
  * @return {boolean} True if sheet matches event pattern
  */
 function isEventSheet(sheetName) {
-  const eventPattern = /^\d{2}-\d{2}(-|[A-Za-z]-)\d{4}$/;
-  return eventPattern.test(sheetName);
+  return isEventIdName_(sheetName);
 }
 
 // ============================================================================
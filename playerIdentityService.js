@@ -0,0 +1,389 @@
+/**
+ * Player Identity Service - Stable Player IDs and Aliases
+ * @fileoverview Gives every PreferredNames row an immutable Player_ID and keeps
+ * the other names a player goes by (nicknames, WER spellings, old names) on
+ * Player_Aliases, so any of them resolves to the same person.
+ *
+ * - Player_ID (PLR-n) is a column on PreferredNames; IDs are never changed or
+ *   reused. The PreferredName cell is the player's current display name.
+ * - renamePlayer() changes only the display name and keeps the old one as an
+ *   OLD_NAME alias, so event tabs and ledgers that still hold it keep resolving
+ *   (resolveCanonicalName, getCanonicalName, resolvePlayerName and the mission
+ *   scan all fall back to aliases).
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PLAYER_ALIASES_SHEET = 'Player_Aliases';
+
+const PLAYER_ALIASES_HEADERS = ['Alias', 'Player_ID', 'Alias_Type', 'Added_At', 'Note'];
+
+const PLAYER_ALIAS_TYPES = ['NICKNAME', 'WER', 'OLD_NAME'];
+
+const PLAYER_ID_HEADER = 'Player_ID';
+
+const PLAYER_ID_PREFIX = 'PLR-';
+
+/** Script property holding the highest Player_ID number ever assigned */
+const PLAYER_ID_SEQ_PROPERTY = 'PLAYER_ID_SEQ';
+
+// ============================================================================
+// PLAYER IDS
+// ============================================================================
+
+/**
+ * Gives every PreferredNames row without a Player_ID the next free ID
+ * (adds the Player_ID column the first time). Numbering continues from a
+ * high-water mark, so deleting the newest player never frees its ID.
+ *
+ * @return {Object} {assigned: [{playerId, name}], total}
+ * @throws {Error} SHEET_NOT_FOUND if PreferredNames is missing
+ */
+function assignPlayerIds() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('PreferredNames');
+  if (!sheet) {
+    throwError('PreferredNames sheet not found', 'SHEET_NOT_FOUND', 'Create PreferredNames before assigning player IDs');
+  }
+
+  const cols = getPreferredNamesColumns_(sheet);
+  if (cols.id === -1) {
+    cols.id = sheet.getLastColumn();
+    sheet.getRange(1, cols.id + 1).setValue(PLAYER_ID_HEADER);
+  }
+
+  const lastRow = sheet.getLastRow();
+  const values = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, cols.id + 1).getValues() : [];
+  const props = PropertiesService.getScriptProperties();
+  let seq = values.reduce((max, r) => Math.max(max, playerIdSeq_(r[cols.id])),
+    coerceNumber(props.getProperty(PLAYER_ID_SEQ_PROPERTY), 0));
+
+  const assigned = [];
+  values.forEach((r, i) => {
+    const name = String(r[cols.name] || '').trim();
+    if (!name || String(r[cols.id] || '').trim()) return;
+    const playerId = PLAYER_ID_PREFIX + (++seq);
+    sheet.getRange(i + 2, cols.id + 1).setValue(playerId);
+    assigned.push({ playerId, name });
+  });
+
+  props.setProperty(PLAYER_ID_SEQ_PROPERTY, String(seq));
+  if (assigned.length > 0) {
+    logIntegrityAction('PLAYER_IDS', {
+      details: `Assigned ${assigned.length} player ID(s): ${assigned.map(a => `${a.playerId} ${a.name}`).join(', ')}`,
+      status: 'SUCCESS'
+    });
+  }
+  return { assigned, total: values.filter(r => String(r[cols.name] || '').trim()).length };
+}
+
+/**
+ * Assigns IDs to newly added players once PreferredNames has a Player_ID column
+ * (workbooks that never assigned IDs are left as they are)
+ * @private
+ */
+function assignNewPlayerIds_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('PreferredNames');
+  if (sheet && getPreferredNamesColumns_(sheet).id !== -1) {
+    assignPlayerIds();
+  }
+}
+
+/**
+ * Player ID for any name a player goes by (display name or alias, any case)
+ * @param {string} name - Display name, alias or Player_ID
+ * @return {string|null} Player_ID, or null if unknown or not yet assigned
+ */
+function resolvePlayerId(name) {
+  const player = findPlayer_(loadPlayerIdentity_(), name);
+  return player && player.playerId ? player.playerId : null;
+}
+
+/**
+ * Current display name for a Player_ID
+ * @param {string} playerId - e.g. PLR-12
+ * @return {string|null}
+ */
+function getPlayerDisplayName(playerId) {
+  const player = loadPlayerIdentity_().byId[String(playerId || '').trim().toUpperCase()];
+  return player ? player.name : null;
+}
+
+// ============================================================================
+// ALIASES
+// ============================================================================
+
+/**
+ * Records another name a player goes by
+ *
+ * @param {string} player - Player_ID, display name or existing alias
+ * @param {string} alias - The other name
+ * @param {string} [type] - One of PLAYER_ALIAS_TYPES (default NICKNAME)
+ * @param {string} [note]
+ * @return {Object} {playerId, alias, type, added} – added is false if the
+ *   player already had this alias
+ * @throws {Error} VALIDATION_ERROR, PLAYER_NOT_FOUND, ALIAS_CONFLICT
+ */
+function addPlayerAlias(player, alias, type, note) {
+  const aliasName = normalizePlayerName(String(alias || ''));
+  const aliasType = String(type || 'NICKNAME').trim().toUpperCase();
+  if (!aliasName) {
+    throwError('Alias is required', 'VALIDATION_ERROR', 'Enter the other name the player goes by');
+  }
+  if (PLAYER_ALIAS_TYPES.indexOf(aliasType) === -1) {
+    throwError(`Unknown alias type "${type}"`, 'VALIDATION_ERROR', `Alias types are ${PLAYER_ALIAS_TYPES.join(', ')}`);
+  }
+
+  const identity = loadPlayerIdentityWithIds_();
+  const target = requirePlayer_(identity, player);
+  const existing = findPlayer_(identity, aliasName);
+  if (existing && existing.playerId !== target.playerId) {
+    throwError(`"${aliasName}" already belongs to ${existing.playerId} ${existing.name}`, 'ALIAS_CONFLICT',
+      'Remove it from that player first');
+  }
+  if (existing) {
+    return { playerId: target.playerId, alias: aliasName, type: aliasType, added: false };
+  }
+
+  appendPlayerAlias_(aliasName, target.playerId, aliasType, note);
+  logIntegrityAction('PLAYER_ALIAS', {
+    details: `${target.playerId} ${target.name}: added ${aliasType} alias "${aliasName}"`,
+    status: 'SUCCESS'
+  });
+  return { playerId: target.playerId, alias: aliasName, type: aliasType, added: true };
+}
+
+/**
+ * Removes an alias
+ * @param {string} alias
+ * @return {boolean} true if the alias existed
+ */
+function removePlayerAlias(alias) {
+  const lower = normalizePlayerName(String(alias || '')).toLowerCase();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLAYER_ALIASES_SHEET);
+  if (!lower || !sheet || sheet.getLastRow() <= 1) return false;
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, PLAYER_ALIASES_HEADERS.length).getValues();
+  const index = rows.findIndex(r => String(r[0]).trim().toLowerCase() === lower);
+  if (index === -1) return false;
+
+  sheet.deleteRow(index + 2);
+  logIntegrityAction('PLAYER_ALIAS', {
+    details: `${rows[index][1]}: removed ${rows[index][2]} alias "${rows[index][0]}"`,
+    status: 'SUCCESS'
+  });
+  return true;
+}
+
+/**
+ * Aliases recorded for a player
+ * @param {string} player - Player_ID, display name or alias
+ * @return {Array<Object>} [{alias, type, addedAt, note}]
+ * @throws {Error} PLAYER_NOT_FOUND
+ */
+function getPlayerAliases(player) {
+  const identity = loadPlayerIdentity_();
+  const target = requirePlayer_(identity, player);
+  return identity.aliases
+    .filter(a => target.playerId && a.playerId === target.playerId)
+    .map(a => ({ alias: a.alias, type: a.type, addedAt: a.addedAt, note: a.note }));
+}
+
+// ============================================================================
+// RENAME
+// ============================================================================
+
+/**
+ * Changes a player's display name. Only the PreferredName cell changes; the
+ * old name becomes an OLD_NAME alias so event tabs and ledgers that hold it
+ * still resolve to the player.
+ *
+ * @param {string} player - Player_ID, display name or alias
+ * @param {string} newName - New display name
+ * @return {Object} {playerId, oldName, newName}
+ * @throws {Error} VALIDATION_ERROR, PLAYER_NOT_FOUND, ALIAS_CONFLICT if the new
+ *   name belongs to another player
+ */
+function renamePlayer(player, newName) {
+  const displayName = normalizePlayerName(String(newName || ''));
+  if (!displayName) {
+    throwError('New name is required', 'VALIDATION_ERROR', 'Enter the new display name');
+  }
+
+  const identity = loadPlayerIdentityWithIds_();
+  const target = requirePlayer_(identity, player);
+  const owner = findPlayer_(identity, displayName);
+  if (owner && owner.playerId !== target.playerId) {
+    throwError(`"${displayName}" already belongs to ${owner.playerId} ${owner.name}`, 'ALIAS_CONFLICT',
+      'Pick a different display name');
+  }
+  if (target.name === displayName) {
+    return { playerId: target.playerId, oldName: target.name, newName: displayName };
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('PreferredNames');
+  sheet.getRange(target.row, getPreferredNamesColumns_(sheet).name + 1).setValue(displayName);
+
+  // The new name stops being an alias; the old one starts being one
+  removePlayerAlias(displayName);
+  if (target.name.toLowerCase() !== displayName.toLowerCase()) {
+    appendPlayerAlias_(target.name, target.playerId, 'OLD_NAME', `Renamed to ${displayName}`);
+  }
+
+  logIntegrityAction('PLAYER_RENAME', {
+    details: `${target.playerId}: "${target.name}" → "${displayName}"`,
+    status: 'SUCCESS'
+  });
+  return { playerId: target.playerId, oldName: target.name, newName: displayName };
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Current display name for an alias
+ * @param {string} name - Any name
+ * @return {string|null} Display name, or null if name is not an alias
+ * @private
+ */
+function resolvePlayerAlias_(name) {
+  const lower = normalizePlayerName(String(name || '')).toLowerCase();
+  if (!lower) return null;
+  return getPlayerAliasMap_().get(lower) || null;
+}
+
+/**
+ * lowercase alias → current display name, for resolvers that hold a name map
+ * @return {Map<string,string>}
+ * @private
+ */
+function getPlayerAliasMap_() {
+  const identity = loadPlayerIdentity_();
+  const map = new Map();
+  identity.aliases.forEach(a => {
+    const player = identity.byId[a.playerId];
+    if (player) map.set(a.alias.toLowerCase(), player.name);
+  });
+  return map;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * PreferredNames players and Player_Aliases rows
+ * @return {Object} {players: [{playerId, name, row}], byId, byName (lowercase), aliases}
+ * @private
+ */
+function loadPlayerIdentity_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const identity = { players: [], byId: {}, byName: {}, aliases: [] };
+
+  const sheet = ss.getSheetByName('PreferredNames');
+  if (sheet && sheet.getLastRow() > 1) {
+    const cols = getPreferredNamesColumns_(sheet);
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues().forEach((r, i) => {
+      const name = String(r[cols.name] || '').trim();
+      if (!name) return;
+      const player = { playerId: cols.id === -1 ? '' : String(r[cols.id] || '').trim().toUpperCase(), name, row: i + 2 };
+      identity.players.push(player);
+      if (player.playerId) identity.byId[player.playerId] = player;
+      identity.byName[name.toLowerCase()] = player;
+    });
+  }
+
+  const aliasSheet = ss.getSheetByName(PLAYER_ALIASES_SHEET);
+  if (aliasSheet && aliasSheet.getLastRow() > 1) {
+    aliasSheet.getRange(2, 1, aliasSheet.getLastRow() - 1, PLAYER_ALIASES_HEADERS.length).getValues().forEach(r => {
+      const alias = String(r[0] || '').trim();
+      if (!alias) return;
+      identity.aliases.push({
+        alias,
+        playerId: String(r[1] || '').trim().toUpperCase(),
+        type: String(r[2] || ''),
+        addedAt: String(r[3] || ''),
+        note: String(r[4] || '')
+      });
+    });
+  }
+  return identity;
+}
+
+/**
+ * loadPlayerIdentity_ after making sure every player has an ID
+ * @private
+ */
+function loadPlayerIdentityWithIds_() {
+  assignPlayerIds();
+  return loadPlayerIdentity_();
+}
+
+/**
+ * Player for a Player_ID, display name or alias (display names win)
+ * @return {Object|null} {playerId, name, row}
+ * @private
+ */
+function findPlayer_(identity, name) {
+  const key = normalizePlayerName(String(name || ''));
+  if (!key) return null;
+
+  const byId = identity.byId[key.toUpperCase()];
+  if (byId) return byId;
+
+  const lower = key.toLowerCase();
+  if (identity.byName[lower]) return identity.byName[lower];
+
+  const alias = identity.aliases.find(a => a.alias.toLowerCase() === lower);
+  return alias ? identity.byId[alias.playerId] || null : null;
+}
+
+/** @private */
+function requirePlayer_(identity, player) {
+  const found = findPlayer_(identity, player);
+  if (!found) {
+    throwError(`No player "${player}"`, 'PLAYER_NOT_FOUND', 'Use a Player_ID, PreferredName or known alias');
+  }
+  return found;
+}
+
+/** @private */
+function appendPlayerAlias_(alias, playerId, type, note) {
+  ensurePlayerAliasesSheet().appendRow([alias, playerId, type, dateISO(), note || '']);
+}
+
+/**
+ * Name and Player_ID column indexes (0-based) on PreferredNames; the name is
+ * PreferredName / preferred_name_id, else column A
+ * @private
+ */
+function getPreferredNamesColumns_(sheet) {
+  const headers = sheet.getLastColumn() > 0
+    ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim().toLowerCase())
+    : [];
+  const name = ['preferredname', 'preferred_name_id'].map(h => headers.indexOf(h)).find(i => i !== -1);
+  return { name: name === undefined ? 0 : name, id: headers.indexOf(PLAYER_ID_HEADER.toLowerCase()) };
+}
+
+/** PLR-12 → 12 @private */
+function playerIdSeq_(playerId) {
+  const match = String(playerId || '').trim().toUpperCase().match(/^PLR-(\d+)$/);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Creates Player_Aliases
+ * @return {Sheet}
+ */
+function ensurePlayerAliasesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PLAYER_ALIASES_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PLAYER_ALIASES_SHEET);
+    sheet.appendRow(PLAYER_ALIASES_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,149 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PLAYER IDENTITY - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for stable player IDs: assigning Player_IDs,
+ * the Player_Aliases table, renames that only change the display name and
+ * alias resolution in the name resolvers and the mission scan.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPlayerIdentityService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPlayerIdentityService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PLAYER IDENTITY TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Player IDs', testPlayerIds_, results);
+  runTestSuite_('Aliases', testPlayerAliases_, results);
+  runTestSuite_('Rename', testPlayerRename_, results);
+  runTestSuite_('Resolvers', testPlayerAliasResolvers_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Three players and an event night that still spells Alex the old way
+ * @private
+ */
+function resetPlayerIdentityWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake'], ['Casey']],
+    '10-02D-2026': [['Rank', 'PreferredName'], [1, 'Alex'], [2, 'Blake'], [3, 'Casey']]
+  });
+}
+
+/** @private */
+function expectPlayerIdentityError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPlayerIds_(results) {
+  resetPlayerIdentityWorkbook_();
+  const first = assignPlayerIds();
+  const rows = GAS_EMULATOR.dump('PreferredNames');
+  assert_(first.assigned.length === 3 && rows[0][1] === 'Player_ID' && rows[1][1] === 'PLR-1' && rows[3][1] === 'PLR-3',
+    'Every player gets an ID in a new Player_ID column', results);
+  assert_(assignPlayerIds().assigned.length === 0 && resolvePlayerId('blake') === 'PLR-2' && getPlayerDisplayName('plr-3') === 'Casey',
+    'IDs are assigned once and resolve both ways', results);
+
+  // A deleted player's ID is not handed out again
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName', 'Player_ID'], ['Alex', 'PLR-1'], ['Casey', 'PLR-3']]);
+  addToPreferredNames('Dana');
+  assert_(resolvePlayerId('Dana') === 'PLR-4', 'New players get the next ID when they are added', results);
+
+  // Nor is the newest player's, once that row is gone
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName', 'Player_ID'], ['Alex', 'PLR-1'], ['Casey', 'PLR-3']]);
+  addToPreferredNames('Eve');
+  assert_(resolvePlayerId('Eve') === 'PLR-5', 'The highest ID is not reused after its player is deleted', results);
+  assert_(resolvePlayerId('Nobody') === null, 'Unknown names have no ID', results);
+}
+
+function testPlayerAliases_(results) {
+  resetPlayerIdentityWorkbook_();
+  const added = addPlayerAlias('Alex', 'AJ', 'nickname', 'Goes by AJ');
+  assert_(added.added && added.playerId === 'PLR-1' && resolvePlayerId('aj') === 'PLR-1' &&
+    getPlayerAliases('PLR-1')[0].note === 'Goes by AJ', 'An alias resolves to the player ID', results);
+  assert_(!addPlayerAlias('PLR-1', 'aj').added && GAS_EMULATOR.dump(PLAYER_ALIASES_SHEET).length === 2,
+    'Adding the same alias again changes nothing', results);
+
+  assert_(expectPlayerIdentityError_(() => addPlayerAlias('Blake', 'AJ'), 'ALIAS_CONFLICT') &&
+    expectPlayerIdentityError_(() => addPlayerAlias('Blake', 'casey', 'WER'), 'ALIAS_CONFLICT'),
+    "Another player's alias or display name is refused", results);
+  assert_(expectPlayerIdentityError_(() => addPlayerAlias('Blake', 'B', 'HANDLE'), 'VALIDATION_ERROR') &&
+    expectPlayerIdentityError_(() => addPlayerAlias('Nobody', 'N'), 'PLAYER_NOT_FOUND'),
+    'Unknown alias types and players are refused', results);
+
+  assert_(removePlayerAlias('aj') && resolvePlayerId('AJ') === null && !removePlayerAlias('AJ') &&
+    toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'PLAYER_ALIAS').length === 2,
+    'Removing an alias stops it resolving; changes are logged', results);
+}
+
+function testPlayerRename_(results) {
+  resetPlayerIdentityWorkbook_();
+  addPlayerAlias('Alex', 'Alexander', 'WER');
+  const eventBefore = JSON.stringify(GAS_EMULATOR.dump('10-02D-2026'));
+
+  const renamed = renamePlayer('Alex', 'Alexander');
+  const prefs = toObjects(GAS_EMULATOR.dump('PreferredNames'));
+  assert_(renamed.playerId === 'PLR-1' && renamed.oldName === 'Alex' && prefs[0].PreferredName === 'Alexander' &&
+    prefs[0].Player_ID === 'PLR-1', 'A rename changes the display name and keeps the ID', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump('10-02D-2026')) === eventBefore,
+    'Event tabs are not rewritten', results);
+
+  const aliases = getPlayerAliases('PLR-1');
+  assert_(aliases.length === 1 && aliases[0].alias === 'Alex' && aliases[0].type === 'OLD_NAME' &&
+    resolvePlayerId('Alex') === 'PLR-1', 'The old name becomes an alias; the new name stops being one', results);
+
+  assert_(expectPlayerIdentityError_(() => renamePlayer('Blake', 'alex'), 'ALIAS_CONFLICT') &&
+    expectPlayerIdentityError_(() => renamePlayer('Blake', ' '), 'VALIDATION_ERROR'),
+    "A rename to another player's name is refused", results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'PLAYER_RENAME' &&
+    r.Details.indexOf('PLR-1') !== -1), 'Renames are logged', results);
+}
+
+function testPlayerAliasResolvers_(results) {
+  resetPlayerIdentityWorkbook_();
+  renamePlayer('Alex', 'Alexander');
+  addPlayerAlias('Casey', 'KC', 'NICKNAME');
+
+  assert_(getCanonicalName('alex') === 'Alexander' && getCanonicalName('KC') === 'Casey' && getCanonicalName('Nobody') === null,
+    'getCanonicalName resolves aliases to the display name', results);
+  assert_(resolvePlayerName('Alex') === 'Alexander' && resolvePlayerName('kc') === 'Casey',
+    'resolvePlayerName resolves aliases to the display name', results);
+  assert_(resolveCanonicalName('Alex', new Set(['Alexander', 'Blake', 'Casey'])) === 'Alexander',
+    'resolveCanonicalName resolves aliases to the display name', results);
+
+  const scan = runMissionScan({ silent: true });
+  const missions = toObjects(GAS_EMULATOR.dump('Attendance_Missions')).map(r => r.PreferredName);
+  assert_(scan.playersTracked === 3 && missions.indexOf('Alexander') !== -1 && missions.indexOf('Alex') === -1,
+    'The mission scan counts an old name on an event tab as the renamed player', results);
+}
@@ -440,6 +440,9 @@ function buildPlayerProfile_(canonicalName, query) {
   // Get flags info
   const flags = getFlagsInfo_(canonicalName, errors);
 
+  // Get prestige tier and recent promotions
+  const prestige = getPrestigeInfo_(canonicalName, errors);
+
   // Build summary line
   const summary = buildSummaryLine_(identity, bonusPoints, keys, storeCredit, attendance);
 
@@ -463,6 +466,7 @@ function buildPlayerProfile_(canonicalName, query) {
     attendance: attendance,
     missions: missions,
     wishlist: wishlist,    // v8.0.0: New field
+    prestige: prestige,
     leagues: [],
     flags: flags,
 
@@ -697,10 +701,12 @@ function getStoreCreditInfo_(name, errors) {
       const directionCol = findColumnIndex_(headers, ['InOut', 'Direction']);
       const amountCol = findColumnIndex_(headers, ['Amount']);
 
+      let ledgerName = '';
       if (nameCol !== -1 && balanceCol !== -1) {
         // Scan from bottom up for last transaction
         for (let i = data.length - 1; i >= 1; i--) {
           if (String(data[i][nameCol]).toLowerCase() === name.toLowerCase()) {
+            ledgerName = String(data[i][nameCol]).trim();
             result.balance = coerceNumber(data[i][balanceCol], 0);
             if (timestampCol !== -1 && data[i][timestampCol]) {
               result.lastUpdated = formatDateSafe_(data[i][timestampCol]);
@@ -714,6 +720,16 @@ function getStoreCreditInfo_(name, errors) {
           }
         }
       }
+
+      // Balance from the signed amounts, split into buckets and holds
+      if (ledgerName) {
+        const breakdown = getStoreCreditBreakdown(ledgerName);
+        result.balance = breakdown.balance;
+        result.held = breakdown.held;
+        result.available = breakdown.available;
+        result.buckets = breakdown.buckets.filter(b => b.amount > 0);
+        result.expiringSoon = breakdown.expiringSoon;
+      }
     } else {
       // Fallback: Try Store_Credit sheet
       scSheet = ss.getSheetByName('Store_Credit');
@@ -838,7 +854,7 @@ function getPreordersInfo_(name, errors) {
 }
 
 /**
- * Gets open tasks from Communication_Log (formerly Employee_Log)
+ * Gets open tasks linked to the player from Employee_Log (employeeTaskService.js)
  * @param {string} name - Player's PreferredName
  * @param {string[]} errors - Error array to append to
  * @return {Object} { count, items[], hasUrgent }
@@ -852,61 +868,20 @@ function getOpenTasksInfo_(name, errors) {
   };
 
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-
-    // Try Communication_Log first, fallback to Employee_Log for migration
-    let taskSheet = ss.getSheetByName('Communication_Log');
-    if (!taskSheet || taskSheet.getLastRow() <= 1) {
-      taskSheet = ss.getSheetByName('Employee_Log');
-    }
-
-    if (taskSheet && taskSheet.getLastRow() > 1) {
-      const data = taskSheet.getDataRange().getValues();
-      const headers = data[0];
-      const customerCol = findColumnIndex_(headers, ['customer_name', 'Customer_Name', 'PreferredName', 'Name']);
-      const statusCol = findColumnIndex_(headers, ['status', 'Status']);
-      const taskCol = findColumnIndex_(headers, ['task_summary', 'Task_Summary', 'Summary']);
-      const urgencyCol = findColumnIndex_(headers, ['urgency', 'Urgency']);
-      const dueDateCol = findColumnIndex_(headers, ['due_date', 'Due_Date', 'DueDate']);
-      const assignedCol = findColumnIndex_(headers, ['assigned_employee', 'Assigned_Employee', 'AssignedTo']);
-
-      if (customerCol !== -1 && statusCol !== -1) {
-        const matchingTasks = [];
-        
-        for (let i = 1; i < data.length; i++) {
-          const customerName = String(data[i][customerCol] || '').trim();
-          const status = String(data[i][statusCol] || '').trim();
-          
-          // Match customer name and status = "Open"
-          if (customerName.toLowerCase() === name.toLowerCase() && status.toLowerCase() === 'open') {
-            const urgency = urgencyCol !== -1 ? String(data[i][urgencyCol] || 'Low') : 'Low';
-            
-            // Check if urgent using constant
-            if (URGENT_LEVELS.includes(urgency)) {
-              result.hasUrgent = true;
-            }
-
-            matchingTasks.push({
-              taskSummary: taskCol !== -1 ? String(data[i][taskCol] || '') : '',
-              urgency: urgency,
-              dueDate: dueDateCol !== -1 ? formatDateSafe_(data[i][dueDateCol]) : '',
-              assignedEmployee: assignedCol !== -1 ? String(data[i][assignedCol] || '') : '',
-              rowIndex: i + 1
-            });
-          }
-        }
-
-        // Sort by urgency priority (ASAP > High > Medium > Low) and return up to 5
-        matchingTasks.sort((a, b) => {
-          const priorityA = URGENCY_PRIORITY[a.urgency] || 0;
-          const priorityB = URGENCY_PRIORITY[b.urgency] || 0;
-          return priorityB - priorityA;
-        });
-
-        result.count = matchingTasks.length;
-        result.items = matchingTasks.slice(0, 5);
-      }
-    }
+    // Already sorted ASAP > High > Medium > Low, then by due date
+    const tasks = getOpenTasksForPlayer(name);
+
+    result.count = tasks.length;
+    result.hasUrgent = tasks.some(t => URGENT_LEVELS.includes(t.urgency));
+    result.items = tasks.slice(0, 5).map(t => ({
+      assignmentId: t.assignment_id,
+      taskSummary: t.task_summary,
+      urgency: t.urgency,
+      status: t.status,
+      dueDate: t.due_date,
+      assignedEmployee: t.assigned_employee,
+      rowIndex: t.rowNumber
+    }));
   } catch (e) {
     errors.push('Open tasks lookup error: ' + e.message);
     Logger.log('Open tasks lookup error: ' + e.message);
@@ -1067,49 +1042,24 @@ function getMissionsInfo_(name, errors) {
 }
 
 /**
- * Gets wishlist items from Wishlist sheet
+ * Gets open wishlist items and their stock matches
  * @param {string} name - Player's PreferredName
  * @param {string[]} errors - Error array to append to
- * @return {Object} { count, items[] }
+ * @return {Object} { count, items[], hasAvailableMatch }
  * @private
  */
 function getWishlistInfo_(name, errors) {
   const result = {
     count: 0,
-    items: []
+    items: [],
+    hasAvailableMatch: false
   };
 
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const wishlistSheet = ss.getSheetByName('Wishlist');
-
-    if (wishlistSheet && wishlistSheet.getLastRow() > 1) {
-      const data = wishlistSheet.getDataRange().getValues();
-      const headers = data[0];
-      const nameCol = findColumnIndex_(headers, ['PreferredName', 'Preferred_Name', 'Name']);
-      const itemCol = findColumnIndex_(headers, ['Item_Description', 'ItemDescription', 'Item', 'Description']);
-      const dateCol = findColumnIndex_(headers, ['Date_Added', 'DateAdded', 'Date']);
-      const statusCol = findColumnIndex_(headers, ['Status', 'status']);
-      const notesCol = findColumnIndex_(headers, ['Notes', 'notes', 'Note']);
-
-      if (nameCol !== -1) {
-        for (let i = 1; i < data.length; i++) {
-          const playerName = String(data[i][nameCol] || '').trim();
-          const status = statusCol !== -1 ? String(data[i][statusCol] || 'Open').trim() : 'Open';
-          
-          // Match PreferredName and status = "Open"
-          if (playerName.toLowerCase() === name.toLowerCase() && status.toLowerCase() === 'open') {
-            result.items.push({
-              itemDescription: itemCol !== -1 ? String(data[i][itemCol] || '') : '',
-              dateAdded: dateCol !== -1 ? formatDateSafe_(data[i][dateCol]) : '',
-              notes: notesCol !== -1 ? String(data[i][notesCol] || '') : ''
-            });
-          }
-        }
-        
-        result.count = result.items.length;
-      }
-    }
+    // Open items with their Prize_Catalog / Preorders_Buckets matches (wishlistService.js)
+    result.items = getPlayerWishlist(name);
+    result.count = result.items.length;
+    result.hasAvailableMatch = result.items.some(item => item.matches.some(m => m.available));
   } catch (e) {
     errors.push('Wishlist lookup error: ' + e.message);
     Logger.log('Wishlist lookup error: ' + e.message);
@@ -1118,6 +1068,24 @@ function getWishlistInfo_(name, errors) {
   return result;
 }
 
+/**
+ * Gets prestige tier, next tier and recent tier changes
+ * @param {string} name - Player's PreferredName
+ * @param {string[]} errors - Error array to append to
+ * @return {Object} getPlayerPrestigeSummary() result (tier null on error)
+ * @private
+ */
+function getPrestigeInfo_(name, errors) {
+  try {
+    // Configurable ladder from Prestige_Tiers (prestigeTierService.js)
+    return getPlayerPrestigeSummary(name);
+  } catch (e) {
+    errors.push('Prestige lookup error: ' + e.message);
+    Logger.log('Prestige lookup error: ' + e.message);
+    return { preferredName: name, prestigeBP: 0, tier: null, nextTier: null, promotions: [] };
+  }
+}
+
 /**
  * Gets flags and notes info
  * @param {string} name - Player name
@@ -1230,7 +1198,7 @@ function computeAlerts_(profile) {
     readyForPickup: profile.preorders?.hasReadyPickup || false,
     urgentTask: profile.openTasks?.hasUrgent || false,
     creditOwed: profile.preorders?.items?.some(p => p.balanceDue < 0) || false,
-    wishlistMatch: false  // Future: implement Prize_Catalog cross-ref
+    wishlistMatch: profile.wishlist?.hasAvailableMatch || false
   };
 }
 
@@ -0,0 +1,512 @@
+/**
+ * Preorder Allocation Service - Release-Day Shortage Allocator
+ * @fileoverview Decides who gets product when the distributor ships less than
+ * was preordered. Staff enter the quantity received per item; open
+ * Preorders_Sold lines for that item are ranked by the allocation policy and
+ * filled in order. The preview lists fulfilled / partial / waitlisted
+ * customers; committing writes the outcome back.
+ *
+ * SHEET: Preorder_Allocation_Policy (optional; PREORDER_ALLOCATION_POLICY_DEFAULTS apply)
+ * - Criteria, highest Priority first: PAID_IN_FULL (Balance_Due 0 first),
+ *   LOYALTY_TIER (higher prestige tier first), ORDER_DATE (earliest first).
+ *   Ties always fall back to order date, then sheet order.
+ *
+ * On commit:
+ * - Preorders_Sold gains Allocated_Qty / Allocation_Status per line
+ *   (FULFILLED, PARTIAL, WAITLISTED); waitlisted lines get Status Waitlisted.
+ *   A later shipment tops up PARTIAL and WAITLISTED lines.
+ * - Preorders_Buckets: Quantity becomes the quantity received (added to on
+ *   later shipments), Reserved the quantity allocated, Available the rest.
+ * - Preorder_Allocations logs every line with the refund / credit
+ *   instruction for short preorders. Money is never moved automatically.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PREORDER_ALLOCATION_POLICY_SHEET = 'Preorder_Allocation_Policy';
+const PREORDER_ALLOCATIONS_SHEET = 'Preorder_Allocations';
+
+const PREORDER_ALLOCATION_POLICY_HEADERS = ['Priority', 'Criterion', 'Enabled', 'Notes'];
+
+const PREORDER_ALLOCATION_HEADERS = [
+  'Timestamp', 'Allocation_Id', 'Preorder_ID', 'PreferredName', 'Set_Name', 'Item_Name', 'Item_Code',
+  'Qty_Needed', 'Qty_Allocated', 'Outcome', 'Short_Value', 'Instruction'
+];
+
+const PREORDER_ALLOCATION_CRITERIA = ['PAID_IN_FULL', 'LOYALTY_TIER', 'ORDER_DATE'];
+
+/** Code defaults (same columns as the sheet) */
+const PREORDER_ALLOCATION_POLICY_DEFAULTS = [
+  [1, 'PAID_IN_FULL', true, 'Customers with nothing left to pay first'],
+  [2, 'LOYALTY_TIER', true, 'Higher prestige tier first'],
+  [3, 'ORDER_DATE', true, 'Earliest order first']
+];
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Enabled allocation criteria, highest priority first
+ *
+ * @return {Array<string>} e.g. ['PAID_IN_FULL', 'LOYALTY_TIER', 'ORDER_DATE']
+ * @throws {Error} ALLOCATION_POLICY_INVALID if a sheet row cannot be read
+ */
+function getPreorderAllocationPolicy() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PREORDER_ALLOCATION_POLICY_SHEET);
+  const fromSheet = sheet && sheet.getLastRow() > 1;
+  const raw = fromSheet
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, PREORDER_ALLOCATION_POLICY_HEADERS.length).getValues()
+    : PREORDER_ALLOCATION_POLICY_DEFAULTS;
+
+  const problems = [];
+  const rows = [];
+  raw.forEach((r, i) => {
+    const criterion = String(r[1] || '').trim().toUpperCase();
+    if (!criterion) return;
+    if (!PREORDER_ALLOCATION_CRITERIA.includes(criterion)) {
+      problems.push(`row ${i + 2}: unknown criterion "${r[1]}"`);
+    } else if (rows.some(row => row.criterion === criterion)) {
+      problems.push(`row ${i + 2}: duplicate criterion ${criterion}`);
+    }
+    rows.push({ priority: coerceNumber(r[0], i + 1), criterion, enabled: coerceBoolean(r[2]) });
+  });
+  if (problems.length > 0) {
+    throwError(`Preorder_Allocation_Policy has invalid rows: ${problems.join('; ')}`, 'ALLOCATION_POLICY_INVALID',
+      `Criteria are ${PREORDER_ALLOCATION_CRITERIA.join(', ')}`);
+  }
+
+  return rows
+    .filter(row => row.enabled)
+    .sort((a, b) => a.priority - b.priority)
+    .map(row => row.criterion);
+}
+
+// ============================================================================
+// PREVIEW + COMMIT
+// ============================================================================
+
+/**
+ * Plans an allocation without writing anything
+ *
+ * @param {Array<Object>} received - [{item: Item_Code or Item_Name, qty, setName?}]
+ * @param {Object} [options] - {policy?: Array<string>} criteria override
+ * @return {Object} {policy, items, customers: {fulfilled, partial, waitlisted}, instructions}
+ *   items: [{item, setName, received, needed, allocated, leftover, previouslyAllocated, lines (in allocation order)}]
+ *   lines: [{row, preorderId, preferredName, setName, itemName, itemCode, status, unitPrice, needed, allocated, outcome, paidInFull, tier, orderDate}]
+ *   instructions: [{preorderId, preferredName, shortValue, paid, refundable, waitlisted, instruction}]
+ * @throws {Error} VALIDATION_ERROR, ALLOCATION_POLICY_INVALID, SCHEMA_INVALID
+ */
+function previewPreorderAllocation(received, options) {
+  const wanted = normalizeReceivedQuantities_(received);
+  const policy = options && options.policy
+    ? options.policy.map(c => String(c).trim().toUpperCase())
+    : getPreorderAllocationPolicy();
+  const unknown = policy.filter(c => !PREORDER_ALLOCATION_CRITERIA.includes(c));
+  if (unknown.length > 0) {
+    throwError(`Unknown allocation criteria: ${unknown.join(', ')}`, 'ALLOCATION_POLICY_INVALID',
+      `Criteria are ${PREORDER_ALLOCATION_CRITERIA.join(', ')}`);
+  }
+
+  const lines = readAllocatableLines_();
+  const accounts = {};
+  readPreorderAccounts_().forEach(a => { accounts[a.preorderId] = a; });
+  const tierOf = preorderLoyaltyTierLookup_();
+
+  const items = wanted.map(w => {
+    const matching = lines.filter(line => matchesReceivedItem_(line, w));
+    const candidates = matching.filter(line => line.needed > 0);
+    candidates.forEach(line => {
+      const account = accounts[line.preorderId];
+      line.paidInFull = !!account && account.totalDue > 0 && account.balanceDue <= 0;
+      line.tier = tierOf(line.preferredName);
+    });
+
+    const ranked = rankAllocationLines_(candidates, policy);
+    let remaining = w.qty;
+    ranked.forEach(line => {
+      line.allocated = Math.min(line.needed, remaining);
+      remaining -= line.allocated;
+      line.outcome = line.allocated === line.needed ? 'FULFILLED' : (line.allocated > 0 ? 'PARTIAL' : 'WAITLISTED');
+    });
+
+    return {
+      item: w.item,
+      setName: w.setName,
+      received: w.qty,
+      needed: candidates.reduce((sum, line) => sum + line.needed, 0),
+      allocated: w.qty - remaining,
+      previouslyAllocated: matching.reduce((sum, line) => sum + line.alreadyAllocated, 0),
+      leftover: remaining,
+      lines: ranked
+    };
+  });
+
+  return Object.assign({ policy, items }, summarizeAllocation_(items, accounts));
+}
+
+/**
+ * Re-plans under the script lock and writes the outcome: line statuses,
+ * bucket quantities and the Preorder_Allocations log
+ *
+ * @param {Array<Object>} received - As for previewPreorderAllocation()
+ * @param {Object} [options] - As for previewPreorderAllocation()
+ * @return {Object} The preview plus allocationId
+ */
+function commitPreorderAllocation(received, options) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const plan = previewPreorderAllocation(received, options);
+    snapshotBeforeCommit('PREORDER_ALLOCATION', '', ['Preorders_Sold', 'Preorders_Buckets']);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const log = ensurePreorderAllocationsSheet();
+    const allocationId = nextSequentialId(log, PREORDER_ALLOCATION_HEADERS.indexOf('Allocation_Id') + 1, 'ALLOC-');
+    const now = new Date().toISOString();
+
+    const soldSheet = ss.getSheetByName('Preorders_Sold');
+    const cols = ensureAllocationColumns_(soldSheet);
+    const accounts = {};
+    readPreorderAccounts_().forEach(a => { accounts[a.preorderId] = a; });
+    const instructionFor = {};
+    plan.instructions.forEach(ins => { instructionFor[ins.preorderId] = ins.instruction; });
+
+    const logRows = [];
+    plan.items.forEach(item => {
+      item.lines.forEach(line => {
+        const allocatedTotal = line.alreadyAllocated + line.allocated;
+        soldSheet.getRange(line.row, cols.allocatedQty + 1).setValue(allocatedTotal);
+        soldSheet.getRange(line.row, cols.allocationStatus + 1).setValue(line.outcome);
+        if (line.outcome === 'WAITLISTED') {
+          soldSheet.getRange(line.row, cols.status + 1).setValue('Waitlisted');
+        } else if (line.status.toLowerCase() === 'waitlisted') {
+          soldSheet.getRange(line.row, cols.status + 1).setValue(preorderPaymentStatus_(accounts[line.preorderId]));
+        }
+        logRows.push([
+          now, allocationId, line.preorderId, line.preferredName, line.setName, line.itemName, line.itemCode,
+          line.needed, line.allocated, line.outcome,
+          roundPreorderAmount_((line.needed - line.allocated) * line.unitPrice),
+          line.outcome === 'FULFILLED' ? '' : instructionFor[line.preorderId] || ''
+        ]);
+      });
+      adjustAllocationBucket_(ss, item);
+    });
+
+    if (logRows.length > 0) {
+      log.getRange(log.getLastRow() + 1, 1, logRows.length, PREORDER_ALLOCATION_HEADERS.length).setValues(logRows);
+    }
+
+    logIntegrityAction('PREORDER_ALLOCATION', {
+      details: `${allocationId}: ${plan.items.map(i => `${i.item} ${i.allocated}/${i.needed}`).join(', ')} | ` +
+        `${plan.customers.fulfilled.length} fulfilled, ${plan.customers.partial.length} partial, ` +
+        `${plan.customers.waitlisted.length} waitlisted | policy ${plan.policy.join(' > ')}`,
+      status: plan.instructions.length > 0 ? 'WARNING' : 'SUCCESS'
+    });
+    return Object.assign(plan, { allocationId });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Plain-text preview for alerts
+ * @param {Object} plan - previewPreorderAllocation() result
+ * @return {string} Preview text
+ */
+function formatPreorderAllocation(plan) {
+  const lines = [`Policy: ${plan.policy.join(' > ') || 'order date'}`];
+  plan.items.forEach(item => {
+    lines.push('', `${item.item}: received ${item.received}, preordered ${item.needed}` +
+      (item.leftover > 0 ? `, ${item.leftover} left over` : ''));
+    item.lines.forEach(line => lines.push(
+      `  ${line.outcome === 'FULFILLED' ? '✓' : line.outcome === 'PARTIAL' ? '½' : '✗'} ` +
+      `${line.preferredName} (${line.preorderId}): ${line.allocated}/${line.needed}`));
+  });
+  if (plan.instructions.length > 0) {
+    lines.push('', 'Refund / credit instructions:');
+    plan.instructions.forEach(ins => lines.push(`  • ${ins.preferredName} (${ins.preorderId}): ${ins.instruction}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parses "CODE=qty; CODE=qty" (Item_Code or Item_Name) into received quantities
+ * @param {string} text - Staff input
+ * @return {Array<Object>} [{item, qty}]
+ */
+function parseReceivedQuantities(text) {
+  return String(text || '').split(/[;\n]/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(.+?)\s*[=:]\s*(\d+)$/);
+      if (!match) {
+        throwError(`Cannot read "${part}"`, 'VALIDATION_ERROR', 'Use ITEM_CODE=qty, separated by semicolons');
+      }
+      return { item: match[1].trim(), qty: Number(match[2]) };
+    });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function normalizeReceivedQuantities_(received) {
+  const list = (received || []).map(r => ({
+    item: String(r.item || '').trim(),
+    setName: String(r.setName || '').trim(),
+    qty: Number(r.qty)
+  }));
+  const bad = list.filter(r => !r.item || !Number.isInteger(r.qty) || r.qty < 0);
+  if (list.length === 0 || bad.length > 0) {
+    throwError('Enter a whole, non-negative quantity received for each item', 'VALIDATION_ERROR',
+      'e.g. [{item: "NB-BOX", qty: 12}]');
+  }
+  return list;
+}
+
+/**
+ * Open Preorders_Sold lines with the quantity they still need
+ * @private
+ */
+function readAllocatableLines_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preorders_Sold');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = names => findHeaderIndex(headers, names);
+  const c = {
+    id: col(['Preorder_ID']), name: col(['PreferredName']), setName: col(['Set_Name']), itemName: col(['Item_Name']),
+    itemCode: col(['Item_Code']), qty: col(['Qty']), unitPrice: col(['Unit_Price']), status: col(['Status']),
+    createdAt: col(['Created_At']), allocatedQty: col(['Allocated_Qty'])
+  };
+  if (c.id === -1 || c.qty === -1 || c.status === -1) {
+    throwError('Preorders_Sold is missing required columns', 'SCHEMA_INVALID', 'Needs Preorder_ID, Qty and Status');
+  }
+  const cell = (r, key) => (c[key] === -1 ? '' : r[c[key]]);
+
+  const lines = [];
+  for (let i = 1; i < data.length; i++) {
+    const preorderId = String(data[i][c.id] || '').trim();
+    const status = String(data[i][c.status] || '').trim().toLowerCase();
+    if (!preorderId || PREORDER_CLOSED_STATUSES.includes(status)) continue;
+
+    const qty = coerceNumber(data[i][c.qty], 0);
+    const alreadyAllocated = coerceNumber(cell(data[i], 'allocatedQty'), 0);
+    lines.push({
+      row: i + 1,
+      preorderId,
+      preferredName: String(cell(data[i], 'name') || '').trim(),
+      setName: String(cell(data[i], 'setName') || '').trim(),
+      itemName: String(cell(data[i], 'itemName') || '').trim(),
+      itemCode: String(cell(data[i], 'itemCode') || '').trim(),
+      status: String(data[i][c.status] || '').trim(),
+      unitPrice: coerceNumber(cell(data[i], 'unitPrice'), 0),
+      orderDate: preorderPaymentDay_(cell(data[i], 'createdAt')),
+      alreadyAllocated,
+      needed: Math.max(0, qty - alreadyAllocated),
+      allocated: 0,
+      outcome: ''
+    });
+  }
+  return lines;
+}
+
+/**
+ * Same rule as the bucket helpers: Set_Name (if given) plus Item_Code or Item_Name
+ * @private
+ */
+function matchesReceivedItem_(line, wanted) {
+  const item = wanted.item.toLowerCase();
+  const setMatch = !wanted.setName || line.setName.toLowerCase() === wanted.setName.toLowerCase();
+  return setMatch && (line.itemCode.toLowerCase() === item || line.itemName.toLowerCase() === item);
+}
+
+/**
+ * Sorts lines by the policy criteria, then order date, then sheet order
+ * @private
+ */
+function rankAllocationLines_(lines, policy) {
+  const compare = {
+    PAID_IN_FULL: (a, b) => (b.paidInFull ? 1 : 0) - (a.paidInFull ? 1 : 0),
+    LOYALTY_TIER: (a, b) => b.tier - a.tier,
+    ORDER_DATE: (a, b) => (a.orderDate || '9999') < (b.orderDate || '9999') ? -1 : (a.orderDate === b.orderDate ? 0 : 1)
+  };
+  return lines.slice().sort((a, b) => {
+    for (const criterion of policy.concat(['ORDER_DATE'])) {
+      const diff = compare[criterion](a, b);
+      if (diff !== 0) return diff;
+    }
+    return a.row - b.row;
+  });
+}
+
+/**
+ * Prestige tier index per customer (-1 below the lowest tier), cached per run
+ * @private
+ */
+function preorderLoyaltyTierLookup_() {
+  const tiers = getPrestigeTiers();
+  const cache = {};
+  return preferredName => {
+    if (!(preferredName in cache)) {
+      const tier = getPrestigeTierFor(getPlayerBPBalance(preferredName).prestige, tiers);
+      cache[preferredName] = tier ? tiers.indexOf(tier) : -1;
+    }
+    return cache[preferredName];
+  };
+}
+
+/**
+ * Customers by outcome plus one refund / credit instruction per short preorder
+ * @private
+ */
+function summarizeAllocation_(items, accounts) {
+  const byCustomer = {};
+  const short = {};
+  items.forEach(item => item.lines.forEach(line => {
+    (byCustomer[line.preferredName] = byCustomer[line.preferredName] || []).push(line.outcome);
+    if (line.outcome === 'FULFILLED') return;
+
+    const entry = short[line.preorderId] || (short[line.preorderId] = {
+      preorderId: line.preorderId, preferredName: line.preferredName, shortValue: 0, waitlisted: true
+    });
+    entry.shortValue = roundPreorderAmount_(entry.shortValue + (line.needed - line.allocated) * line.unitPrice);
+    entry.waitlisted = entry.waitlisted && line.outcome === 'WAITLISTED';
+  }));
+
+  const customers = { fulfilled: [], partial: [], waitlisted: [] };
+  Object.keys(byCustomer).sort().forEach(name => {
+    const outcomes = byCustomer[name];
+    if (outcomes.every(o => o === 'FULFILLED')) customers.fulfilled.push(name);
+    else if (outcomes.every(o => o === 'WAITLISTED')) customers.waitlisted.push(name);
+    else customers.partial.push(name);
+  });
+
+  const instructions = Object.keys(short).map(id => {
+    const entry = short[id];
+    const account = accounts[id];
+    const paid = account ? roundPreorderAmount_(account.totalDue - account.balanceDue) : 0;
+    const keeps = account ? account.totalDue - entry.shortValue : 0;
+    const refundable = roundPreorderAmount_(Math.max(0, paid - keeps));
+    const action = refundable > 0
+      ? `refund or credit ${formatCurrency(refundable)}`
+      : `reduce balance due by ${formatCurrency(entry.shortValue)}`;
+    return Object.assign(entry, {
+      paid,
+      refundable,
+      instruction: (entry.waitlisted ? 'Waitlisted: keep on the list, or ' : 'Short: ') + action
+    });
+  });
+
+  return { customers, instructions };
+}
+
+/**
+ * Payment status a waitlisted line returns to once stock is allocated
+ * @private
+ */
+function preorderPaymentStatus_(account) {
+  if (!account) return 'Pending';
+  const paid = account.totalDue - account.balanceDue;
+  return account.balanceDue <= 0 && account.totalDue > 0 ? 'Paid_In_Full' : (paid > 0 ? 'Deposit_Paid' : 'Pending');
+}
+
+/**
+ * Adds Allocated_Qty / Allocation_Status to Preorders_Sold if missing
+ * @return {Object} {allocatedQty, allocationStatus, status} 0-based columns
+ * @private
+ */
+function ensureAllocationColumns_(sheet) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  ['Allocated_Qty', 'Allocation_Status'].forEach(name => {
+    if (headers.indexOf(name) === -1) {
+      sheet.getRange(1, headers.length + 1).setValue(name);
+      headers.push(name);
+    }
+  });
+  return {
+    allocatedQty: headers.indexOf('Allocated_Qty'),
+    allocationStatus: headers.indexOf('Allocation_Status'),
+    status: headers.indexOf('Status')
+  };
+}
+
+/**
+ * Quantity = received (added to once the item has been allocated before),
+ * Reserved = allocated, Available = the rest
+ * @private
+ */
+function adjustAllocationBucket_(ss, item) {
+  const sheet = ss.getSheetByName('Preorders_Buckets');
+  if (!sheet || sheet.getLastRow() <= 1) return;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const c = {
+    setName: findHeaderIndex(headers, ['Set_Name', 'SetName', 'Set']),
+    itemName: findHeaderIndex(headers, ['Item_Name', 'ItemName', 'Name', 'Product_Name']),
+    itemCode: findHeaderIndex(headers, ['Item_Code', 'ItemCode', 'Code', 'SKU']),
+    quantity: findHeaderIndex(headers, ['Quantity', 'Qty']),
+    reserved: findHeaderIndex(headers, ['Reserved']),
+    available: findHeaderIndex(headers, ['Available']),
+    notes: findHeaderIndex(headers, ['Notes']),
+    updated: findHeaderIndex(headers, ['LastUpdated'])
+  };
+  if (c.quantity === -1 || c.reserved === -1) return;
+
+  const cell = (r, key) => (c[key] === -1 ? '' : String(r[c[key]] || '').trim());
+  for (let i = 1; i < data.length; i++) {
+    const line = { setName: cell(data[i], 'setName'), itemName: cell(data[i], 'itemName'), itemCode: cell(data[i], 'itemCode') };
+    if (!matchesReceivedItem_(line, item)) continue;
+
+    const topUp = item.previouslyAllocated > 0;
+    const quantity = (topUp ? coerceNumber(data[i][c.quantity], 0) : 0) + item.received;
+    const reserved = item.previouslyAllocated + item.allocated;
+    sheet.getRange(i + 1, c.quantity + 1).setValue(quantity);
+    sheet.getRange(i + 1, c.reserved + 1).setValue(reserved);
+    if (c.available !== -1) sheet.getRange(i + 1, c.available + 1).setValue(Math.max(0, quantity - reserved));
+    if (c.notes !== -1 && item.needed > item.allocated) {
+      const note = `Short ${dateISO().slice(0, 10)}: ${item.allocated} of ${item.needed} allocated`;
+      sheet.getRange(i + 1, c.notes + 1).setValue(data[i][c.notes] ? `${data[i][c.notes]}; ${note}` : note);
+    }
+    if (c.updated !== -1) sheet.getRange(i + 1, c.updated + 1).setValue(dateISO());
+    return;
+  }
+}
+
+/**
+ * Creates Preorder_Allocation_Policy seeded with PREORDER_ALLOCATION_POLICY_DEFAULTS
+ * @return {Sheet}
+ */
+function ensurePreorderAllocationPolicySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PREORDER_ALLOCATION_POLICY_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PREORDER_ALLOCATION_POLICY_SHEET);
+    sheet.appendRow(PREORDER_ALLOCATION_POLICY_HEADERS);
+    sheet.getRange(2, 1, PREORDER_ALLOCATION_POLICY_DEFAULTS.length, PREORDER_ALLOCATION_POLICY_HEADERS.length)
+      .setValues(PREORDER_ALLOCATION_POLICY_DEFAULTS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Creates Preorder_Allocations
+ * @return {Sheet}
+ */
+function ensurePreorderAllocationsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PREORDER_ALLOCATIONS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PREORDER_ALLOCATIONS_SHEET);
+    sheet.appendRow(PREORDER_ALLOCATION_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
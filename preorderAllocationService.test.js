@@ -0,0 +1,201 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PREORDER ALLOCATION - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the release-day shortage allocator:
+ * policy ranking, preview outcomes, refund / credit instructions and the
+ * committed line, bucket and log writes.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPreorderAllocationService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPreorderAllocationService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PREORDER ALLOCATION TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Policy', testPreorderAllocationPolicy_, results);
+  runTestSuite_('Preview', testPreorderAllocationPreview_, results);
+  runTestSuite_('Commit', testPreorderAllocationCommit_, results);
+  runTestSuite_('Later Shipments', testPreorderAllocationTopUp_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Six Booster Boxes (NB) preordered, four open lines:
+ * PO-1 Alex (Silver) 2 × $40, $60 paid; PO-2 Blake (Bronze) 1, paid in full;
+ * PO-3 Casey (Gold) 2, nothing paid, earliest; PO-4 Dana cancelled;
+ * PO-5 Eli (no BP) 1, nothing paid, latest
+ * @private
+ */
+function resetPreorderAllocationWorkbook_() {
+  GAS_EMULATOR.reset({
+    Preorders_Sold: [
+      ['Preorder_ID', 'PreferredName', 'Contact_Info', 'Set_Name', 'Item_Name', 'Item_Code', 'Qty', 'Unit_Price',
+        'Line_Total', 'Total_Due', 'Deposit_Paid', 'Balance_Due', 'Target_Payoff', 'Status', 'Notes', 'Created_At', 'Created_By'],
+      ['PO-1', 'Alex', '', 'Nova', 'Booster Box', 'NB', 2, 40, 80, 80, 60, 20, '', 'Deposit_Paid', '', '2026-09-01', 'staff'],
+      ['PO-2', 'Blake', '', 'Nova', 'Booster Box', 'NB', 1, 40, 40, 40, 40, 0, '', 'Paid_In_Full', '', '2026-09-10', 'staff'],
+      ['PO-3', 'Casey', '', 'Nova', 'Booster Box', 'NB', 2, 40, 80, 80, 0, 80, '', 'Pending', '', '2026-08-20', 'staff'],
+      ['PO-4', 'Dana', '', 'Nova', 'Booster Box', 'NB', 1, 40, 40, 40, 0, 40, '', 'Cancelled', '', '2026-08-01', 'staff'],
+      ['PO-5', 'Eli', '', 'Nova', 'Booster Box', 'NB', 1, 40, 40, 40, 0, 40, '', 'Pending', '', '2026-09-15', 'staff']
+    ],
+    Preorders_Buckets: [
+      ['Set_Name', 'Item_Name', 'Item_Code', 'Unit_Cost', 'Preorder_Price', 'Quantity', 'Status', 'Date_Added', 'Notes',
+        'Reserved', 'Available', 'Release_Date', 'LastUpdated'],
+      ['Nova', 'Booster Box', 'NB', 25, 40, 6, 'Active', '2026-08-01', '', 6, 0, '2026-10-20', '']
+    ],
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'Historical_BP', 'Prestige_BP'],
+      ['Alex', 10, 60, 60],
+      ['Blake', 5, 5, 5],
+      ['Casey', 20, 120, 120]
+    ]
+  });
+}
+
+/** @private */
+function allocationLineFor_(plan, preorderId) {
+  return plan.items[0].lines.find(l => l.preorderId === preorderId);
+}
+
+/** @private */
+function expectAllocationError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPreorderAllocationPolicy_(results) {
+  resetPreorderAllocationWorkbook_();
+  assert_(getPreorderAllocationPolicy().join() === 'PAID_IN_FULL,LOYALTY_TIER,ORDER_DATE',
+    'Code defaults apply without a policy sheet', results);
+
+  ensurePreorderAllocationPolicySheet();
+  GAS_EMULATOR.seedSheet(PREORDER_ALLOCATION_POLICY_SHEET, [
+    PREORDER_ALLOCATION_POLICY_HEADERS,
+    [2, 'order_date', true, ''],
+    [1, 'LOYALTY_TIER', true, ''],
+    [3, 'PAID_IN_FULL', false, '']
+  ]);
+  assert_(getPreorderAllocationPolicy().join() === 'LOYALTY_TIER,ORDER_DATE',
+    'The sheet sets priority and can disable criteria', results);
+
+  GAS_EMULATOR.seedSheet(PREORDER_ALLOCATION_POLICY_SHEET, [
+    PREORDER_ALLOCATION_POLICY_HEADERS,
+    [1, 'LOUDEST_CUSTOMER', true, '']
+  ]);
+  assert_(expectAllocationError_(() => getPreorderAllocationPolicy(), 'ALLOCATION_POLICY_INVALID'),
+    'Unknown criteria are refused', results);
+
+  const parsed = parseReceivedQuantities('NB=4; Booster Box: 2');
+  assert_(parsed.length === 2 && parsed[0].item === 'NB' && parsed[0].qty === 4 && parsed[1].item === 'Booster Box',
+    'Received quantities parse from staff input', results);
+  assert_(expectAllocationError_(() => parseReceivedQuantities('NB'), 'VALIDATION_ERROR') &&
+    expectAllocationError_(() => previewPreorderAllocation([{ item: 'NB', qty: -1 }]), 'VALIDATION_ERROR'),
+    'Unreadable or negative quantities are refused', results);
+}
+
+function testPreorderAllocationPreview_(results) {
+  resetPreorderAllocationWorkbook_();
+  const headersBefore = GAS_EMULATOR.dump('Preorders_Sold')[0].length;
+
+  const plan = previewPreorderAllocation([{ item: 'NB', qty: 4 }]);
+  const order = plan.items[0].lines.map(l => l.preferredName).join();
+  assert_(order === 'Blake,Casey,Alex,Eli', 'Paid in full first, then loyalty tier, then order date', results);
+  assert_(plan.items[0].needed === 6 && plan.items[0].allocated === 4 && !allocationLineFor_(plan, 'PO-4'),
+    'Cancelled preorders take no stock', results);
+  assert_(plan.customers.fulfilled.join() === 'Blake,Casey' && plan.customers.partial.join() === 'Alex' &&
+    plan.customers.waitlisted.join() === 'Eli', 'Customers are grouped by outcome', results);
+
+  const alex = plan.instructions.find(i => i.preorderId === 'PO-1');
+  const eli = plan.instructions.find(i => i.preorderId === 'PO-5');
+  assert_(alex.shortValue === 40 && alex.refundable === 20 && alex.instruction === 'Short: refund or credit $20.00',
+    'Money paid beyond the reduced order is refunded or credited', results);
+  assert_(eli.refundable === 0 && eli.instruction.indexOf('Waitlisted') === 0 && eli.instruction.indexOf('$40.00') !== -1,
+    'Waitlisted customers with nothing paid get a balance reduction', results);
+
+  const byDate = previewPreorderAllocation([{ item: 'booster box', qty: 4 }], { policy: ['ORDER_DATE'] });
+  assert_(byDate.customers.fulfilled.join() === 'Alex,Casey' && byDate.customers.waitlisted.join() === 'Blake,Eli',
+    'A policy override ranks by order date alone; items match by name too', results);
+
+  assert_(GAS_EMULATOR.dump('Preorders_Sold')[0].length === headersBefore && GAS_EMULATOR.dump(PREORDER_ALLOCATIONS_SHEET).length === 0,
+    'The preview writes nothing', results);
+}
+
+function testPreorderAllocationCommit_(results) {
+  resetPreorderAllocationWorkbook_();
+  const result = commitPreorderAllocation([{ item: 'NB', qty: 4 }]);
+  const sold = toObjects(GAS_EMULATOR.dump('Preorders_Sold'));
+  const line = id => sold.find(r => r.Preorder_ID === id);
+
+  assert_(result.allocationId === 'ALLOC-1' && line('PO-1').Allocated_Qty === 1 && line('PO-1').Allocation_Status === 'PARTIAL' &&
+    line('PO-3').Allocated_Qty === 2 && line('PO-3').Allocation_Status === 'FULFILLED',
+    'Allocated_Qty and Allocation_Status are written per line', results);
+  assert_(line('PO-5').Status === 'Waitlisted' && line('PO-1').Status === 'Deposit_Paid' && line('PO-4').Status === 'Cancelled',
+    'Only waitlisted lines change status', results);
+
+  const bucket = toObjects(GAS_EMULATOR.dump('Preorders_Buckets'))[0];
+  assert_(bucket.Quantity === 4 && bucket.Reserved === 4 && bucket.Available === 0 && bucket.Notes.indexOf('4 of 6') !== -1,
+    'The bucket holds what was received', results);
+
+  const log = toObjects(GAS_EMULATOR.dump(PREORDER_ALLOCATIONS_SHEET));
+  assert_(log.length === 4 && log.every(r => r.Allocation_Id === 'ALLOC-1') &&
+    log.find(r => r.Preorder_ID === 'PO-1').Instruction === 'Short: refund or credit $20.00' &&
+    log.find(r => r.Preorder_ID === 'PO-2').Instruction === '', 'Every line is logged with its instruction', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'PREORDER_ALLOCATION').length === 1,
+    'The allocation is logged', results);
+  assert_(listSnapshots()[0].trigger === 'COMMIT' && listSnapshots()[0].logEntry.action === 'PREORDER_ALLOCATION',
+    'A snapshot is taken before the allocation writes', results);
+}
+
+function testPreorderAllocationTopUp_(results) {
+  resetPreorderAllocationWorkbook_();
+  commitPreorderAllocation([{ item: 'NB', qty: 4 }]);
+
+  const plan = previewPreorderAllocation([{ item: 'NB', qty: 1 }]);
+  assert_(plan.items[0].needed === 2 && allocationLineFor_(plan, 'PO-1').needed === 1 &&
+    allocationLineFor_(plan, 'PO-1').allocated === 1, 'A later shipment tops up short lines first by policy', results);
+
+  const result = commitPreorderAllocation([{ item: 'NB', qty: 2 }]);
+  const sold = toObjects(GAS_EMULATOR.dump('Preorders_Sold'));
+  const eli = sold.find(r => r.Preorder_ID === 'PO-5');
+  assert_(result.allocationId === 'ALLOC-2' && result.instructions.length === 0 &&
+    eli.Allocation_Status === 'FULFILLED' && eli.Status === 'Pending', 'Waitlisted lines return to their payment status', results);
+
+  const bucket = toObjects(GAS_EMULATOR.dump('Preorders_Buckets'))[0];
+  assert_(bucket.Quantity === 6 && bucket.Reserved === 6 && bucket.Available === 0,
+    'Later shipments add to the bucket', results);
+
+  // Dropping ALLOC-1's log rows must not hand out ALLOC-2 again
+  const log = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PREORDER_ALLOCATIONS_SHEET);
+  log.deleteRows(2, toObjects(GAS_EMULATOR.dump(PREORDER_ALLOCATIONS_SHEET)).filter(r => r.Allocation_Id === 'ALLOC-1').length);
+  assert_(commitPreorderAllocation([{ item: 'NB', qty: 1 }]).allocationId === 'ALLOC-3',
+    'Allocation IDs are not reused after log rows are deleted', results);
+}
@@ -0,0 +1,507 @@
+/**
+ * Preorder Payment Service - Installments, Balances and Statements
+ * @fileoverview Records installment payments against Preorders_Sold, keeps
+ * each preorder's Balance_Due and Status in step with them, finds preorders
+ * past their Target_Payoff and builds a per-customer statement.
+ *
+ * SHEET: Preorder_Payments (append-only; one row per installment)
+ * - Method: CASH, CARD or STORE_CREDIT. Store credit payments post an OUT row
+ *   to Store_Credit_Ledger (POSRefType OrderID, POSRefId = Preorder_ID) and
+ *   capture the amount paid from any open store credit hold on the preorder.
+ *   If the payment row cannot be written the OUT row and hold are undone.
+ *
+ * Preorders_Sold keeps Total_Due, Deposit_Paid and Balance_Due on the first
+ * row of each preorder: Balance_Due = Total_Due - Deposit_Paid - payments.
+ * Status moves Pending → Deposit_Paid → Paid_In_Full as money comes in; any
+ * other status (Picked Up, Cancelled, ...) is left alone.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PREORDER_PAYMENTS_SHEET = 'Preorder_Payments';
+
+const PREORDER_PAYMENT_HEADERS = [
+  'Payment_Id', 'Timestamp', 'Preorder_ID', 'PreferredName', 'Amount', 'Method', 'Reference',
+  'Store_Credit_RowId', 'Staff', 'Note'
+];
+
+const PREORDER_PAYMENT_METHODS = ['CASH', 'CARD', 'STORE_CREDIT'];
+
+/** Statuses recomputed from payments; anything else is set by staff and kept */
+const PREORDER_PAYMENT_STATUSES = ['Pending', 'Deposit_Paid', 'Paid_In_Full'];
+
+/** Statuses left out of statement totals (lowercase) */
+const PREORDER_VOID_STATUSES = ['cancelled', 'canceled', 'refunded'];
+
+/** Statuses that take no payments and are never overdue (lowercase) */
+const PREORDER_CLOSED_STATUSES = PREORDER_VOID_STATUSES.concat(['picked up', 'completed']);
+
+// ============================================================================
+// PAYMENTS
+// ============================================================================
+
+/**
+ * Records an installment against a preorder
+ *
+ * @param {Object} payment
+ * @param {string} payment.preorderId - Preorder_ID
+ * @param {number} payment.amount - Amount paid (no more than Balance_Due)
+ * @param {string} payment.method - CASH, CARD or STORE_CREDIT
+ * @param {string} [payment.reference] - Receipt / card slip reference
+ * @param {string} [payment.staff] - Staff initials (default current user)
+ * @param {string} [payment.note] - Note
+ * @return {Object} {paymentId, preorderId, preferredName, amount, method, paid, balanceDue, status, storeCreditRowId}
+ * @throws {Error} VALIDATION_ERROR, PREORDER_NOT_FOUND, PREORDER_CLOSED, PAYMENT_EXCEEDS_BALANCE, INSUFFICIENT_CREDIT
+ */
+function recordPreorderPayment(payment) {
+  const p = payment || {};
+  const preorderId = String(p.preorderId || '').trim();
+  const amount = Math.round(parseFloat(p.amount) * 100) / 100;
+  const method = String(p.method || '').trim().toUpperCase().replace(/\s+/g, '_');
+  if (!preorderId || isNaN(amount) || amount <= 0) {
+    throwError('A payment needs a Preorder_ID and a positive amount', 'VALIDATION_ERROR');
+  }
+  if (!PREORDER_PAYMENT_METHODS.includes(method)) {
+    throwError(`Unknown payment method "${p.method}"`, 'VALIDATION_ERROR', `Use one of ${PREORDER_PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const account = getPreorderAccount_(preorderId);
+    if (PREORDER_CLOSED_STATUSES.includes(account.status.toLowerCase())) {
+      throwError(`Preorder ${preorderId} is ${account.status}`, 'PREORDER_CLOSED', 'Payments can only be taken on open preorders');
+    }
+    if (amount > account.balanceDue + 0.005) {
+      throwError(`${formatCurrency(amount)} is more than the ${formatCurrency(account.balanceDue)} due on ${preorderId}`,
+        'PAYMENT_EXCEEDS_BALANCE', 'Take at most the balance due');
+    }
+
+    const sheet = ensurePreorderPaymentsSheet();
+    const paymentId = nextSequentialId(sheet, 1, 'PAY-');
+    let credit = null;
+    try {
+      if (method === 'STORE_CREDIT') {
+        credit = payPreorderWithStoreCredit_(account, amount, paymentId);
+      }
+      sheet.appendRow([
+        paymentId, new Date().toISOString(), preorderId, account.preferredName, amount, method,
+        p.reference || '', credit ? credit.rowId : '', p.staff || currentUser(), p.note || ''
+      ]);
+    } catch (e) {
+      // Never leave credit spent without the payment that spent it
+      if (credit) undoPreorderStoreCreditPayment_(credit);
+      logIntegrityAction('PREORDER_PAYMENT', {
+        preferredName: account.preferredName,
+        details: `${paymentId}: ${formatCurrency(amount)} ${method} on ${preorderId} rolled back: ${e.message}`,
+        status: 'ABORTED'
+      });
+      throw e;
+    }
+    const storeCreditRowId = credit ? credit.rowId : '';
+
+    const updated = recomputePreorderBalance_(preorderId);
+    logIntegrityAction('PREORDER_PAYMENT', {
+      preferredName: account.preferredName,
+      details: `${paymentId}: ${formatCurrency(amount)} ${method} on ${preorderId}; ` +
+        `balance ${formatCurrency(updated.balanceDue)} (${updated.status})`,
+      status: 'SUCCESS'
+    });
+
+    return {
+      paymentId,
+      preorderId,
+      preferredName: account.preferredName,
+      amount,
+      method,
+      paid: updated.paid,
+      balanceDue: updated.balanceDue,
+      status: updated.status,
+      storeCreditRowId
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Recomputes Balance_Due and Status from Deposit_Paid and Preorder_Payments
+ * (for repairs after hand edits)
+ *
+ * @param {string} preorderId - Preorder_ID
+ * @return {Object} {preorderId, totalDue, paid, balanceDue, status}
+ * @throws {Error} PREORDER_NOT_FOUND
+ */
+function recomputePreorderBalance(preorderId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    return recomputePreorderBalance_(String(preorderId || '').trim());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Payments recorded against a preorder, oldest first
+ *
+ * @param {string} preorderId - Preorder_ID
+ * @return {Array<Object>} [{paymentId, timestamp, preorderId, preferredName, amount, method, reference, storeCreditRowId, staff, note}]
+ */
+function getPreorderPayments(preorderId) {
+  const id = String(preorderId || '').trim();
+  return readPreorderPayments_().filter(pay => pay.preorderId === id);
+}
+
+/** @private */
+function recomputePreorderBalance_(preorderId) {
+  const account = getPreorderAccount_(preorderId);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preorders_Sold');
+
+  const paid = roundPreorderAmount_(account.depositPaid +
+    getPreorderPayments(preorderId).reduce((sum, pay) => sum + pay.amount, 0));
+  const balanceDue = roundPreorderAmount_(Math.max(0, account.totalDue - paid));
+  sheet.getRange(account.row, account.cols.balanceDue + 1).setValue(balanceDue);
+
+  let status = account.status;
+  if (status === '' || PREORDER_PAYMENT_STATUSES.includes(status)) {
+    const next = balanceDue <= 0 && account.totalDue > 0 ? 'Paid_In_Full' : (paid > 0 ? 'Deposit_Paid' : 'Pending');
+    if (next !== status) {
+      setPreorderPaymentStatus_(account, next);
+      status = next;
+    }
+  }
+  return { preorderId, totalDue: account.totalDue, paid, balanceDue, status };
+}
+
+/**
+ * Writes a recomputed Status on every line of a preorder. Kept separate from
+ * the global updatePreorderStatus(), which has two signatures in the project.
+ * @private
+ */
+function setPreorderPaymentStatus_(account, status) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preorders_Sold');
+  account.rows.forEach(row => sheet.getRange(row, account.cols.status + 1).setValue(status));
+  logIntegrityAction('PREORDER_STATUS_UPDATE', {
+    preferredName: account.preferredName,
+    details: `Preorder ${account.preorderId} status updated to ${status}`,
+    status: 'SUCCESS'
+  });
+}
+
+/**
+ * Posts the store credit OUT row. An open hold on the preorder funds the
+ * payment: only the amount paid is captured, the rest stays held.
+ * Caller holds the script lock.
+ * @return {Object} {rowId, preferredName, preorderId, paymentId, amount, hold, holdBefore} for undoPreorderStoreCreditPayment_()
+ * @private
+ */
+function payPreorderWithStoreCredit_(account, amount, paymentId) {
+  const hold = getStoreCreditHolds(account.preferredName).find(h => h.preorderId === account.preorderId);
+  const available = roundPreorderAmount_(getStoreCreditBreakdown(account.preferredName).available + (hold ? hold.amount : 0));
+  if (amount > available + 0.005) {
+    throwError(`${account.preferredName} has ${formatCurrency(available)} of store credit available`, 'INSUFFICIENT_CREDIT',
+      'Take the rest as cash or card');
+  }
+  const result = logStoreCreditTransaction({
+    preferred_name_id: account.preferredName,
+    direction: 'OUT',
+    amount,
+    reason: 'Preorder Payment',
+    category: 'Sales',
+    tenderType: 'Store Credit',
+    description: `${paymentId} on ${account.preorderId}`,
+    posRefType: 'OrderID',
+    posRefId: account.preorderId,
+    holdId: hold ? hold.holdId : ''
+  });
+  const credit = {
+    rowId: result.rowId,
+    preferredName: account.preferredName,
+    preorderId: account.preorderId,
+    paymentId,
+    amount,
+    hold: null,
+    holdBefore: null
+  };
+  if (hold) {
+    credit.hold = hold;
+    credit.holdBefore = applyStoreCreditHoldCapture_(hold, Math.min(amount, hold.amount),
+      `${formatCurrency(amount)} paid via ${paymentId}`);
+  }
+  return credit;
+}
+
+/**
+ * Reverses the OUT row written by payPreorderWithStoreCredit_() with a
+ * compensating IN row (the ledger is append-only) and puts its hold back,
+ * when the payment row could not be written
+ * @private
+ */
+function undoPreorderStoreCreditPayment_(credit) {
+  const reversal = logStoreCreditTransaction({
+    preferred_name_id: credit.preferredName,
+    direction: 'IN',
+    amount: credit.amount,
+    reason: 'Payment Reversal',
+    category: 'Adjustment',
+    tenderType: 'Store Credit',
+    description: `Reverses ${credit.rowId}: ${credit.paymentId} on ${credit.preorderId} was not recorded`,
+    posRefType: 'RowId',
+    posRefId: credit.rowId
+  });
+  if (credit.hold) restoreStoreCreditHoldRow_(credit.hold, credit.holdBefore);
+  logIntegrityAction('STORE_CREDIT_REVERSAL', {
+    preferredName: credit.preferredName,
+    details: `${reversal.rowId} reverses ${credit.rowId}: ${formatCurrency(credit.amount)} returned` +
+      (credit.hold ? `, ${credit.hold.holdId} reopened` : ''),
+    status: 'SUCCESS'
+  });
+}
+
+// ============================================================================
+// OVERDUE + STATEMENTS
+// ============================================================================
+
+/**
+ * Open preorders with a balance still due after their Target_Payoff
+ *
+ * @param {string} [asOf] - yyyy-MM-dd (default today); due on this day is not yet overdue
+ * @return {Array<Object>} [{preorderId, preferredName, balanceDue, targetPayoff, daysOverdue, lastPaymentAt}] most overdue first
+ */
+function getOverduePreorders(asOf) {
+  const day = asOf ? String(asOf) : preorderPaymentDay_(new Date());
+  const payments = readPreorderPayments_();
+  return readPreorderAccounts_()
+    .filter(a => isPreorderOverdue_(a, day))
+    .map(a => {
+      const last = payments.filter(pay => pay.preorderId === a.preorderId).pop();
+      return {
+        preorderId: a.preorderId,
+        preferredName: a.preferredName,
+        balanceDue: a.balanceDue,
+        targetPayoff: a.targetPayoff,
+        daysOverdue: preorderDaysBetween_(a.targetPayoff, day),
+        lastPaymentAt: last ? last.timestamp : ''
+      };
+    })
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+}
+
+/**
+ * Every preorder a customer has, with its payments and balance
+ *
+ * @param {string} preferredName - Customer
+ * @param {string} [asOf] - yyyy-MM-dd for overdue flags (default today)
+ * @return {Object} {preferredName, asOf, preorders, totals: {due, paid, balance, overdue}}
+ *   preorders: [{preorderId, status, items, totalDue, depositPaid, payments, paid, balanceDue, targetPayoff, overdue}]
+ */
+function getPreorderStatement(preferredName, asOf) {
+  const name = String(preferredName || '').trim();
+  if (!name) {
+    throwError('Customer name is required', 'VALIDATION_ERROR');
+  }
+  const day = asOf ? String(asOf) : preorderPaymentDay_(new Date());
+  const payments = readPreorderPayments_();
+
+  const preorders = readPreorderAccounts_()
+    .filter(a => a.preferredName.toLowerCase() === name.toLowerCase())
+    .map(a => {
+      const own = payments.filter(pay => pay.preorderId === a.preorderId);
+      return {
+        preorderId: a.preorderId,
+        status: a.status,
+        items: a.items,
+        totalDue: a.totalDue,
+        depositPaid: a.depositPaid,
+        payments: own,
+        paid: roundPreorderAmount_(a.depositPaid + own.reduce((sum, pay) => sum + pay.amount, 0)),
+        balanceDue: a.balanceDue,
+        targetPayoff: a.targetPayoff,
+        overdue: isPreorderOverdue_(a, day)
+      };
+    });
+
+  const counted = preorders.filter(po => !PREORDER_VOID_STATUSES.includes(po.status.toLowerCase()));
+  return {
+    preferredName: name,
+    asOf: day,
+    preorders,
+    totals: {
+      due: roundPreorderAmount_(counted.reduce((sum, po) => sum + po.totalDue, 0)),
+      paid: roundPreorderAmount_(counted.reduce((sum, po) => sum + po.paid, 0)),
+      balance: roundPreorderAmount_(counted.reduce((sum, po) => sum + po.balanceDue, 0)),
+      overdue: preorders.filter(po => po.overdue).length
+    }
+  };
+}
+
+/**
+ * Plain-text statement for alerts and printing
+ * @param {Object} statement - getPreorderStatement() result
+ * @return {string} Statement text
+ */
+function formatPreorderStatement(statement) {
+  const lines = [`Preorder statement for ${statement.preferredName} (as of ${statement.asOf})`];
+  if (statement.preorders.length === 0) {
+    lines.push('', 'No preorders on file.');
+    return lines.join('\n');
+  }
+
+  statement.preorders.forEach(po => {
+    lines.push('', `${po.preorderId} — ${po.status || 'Pending'}${po.overdue ? ' — OVERDUE' : ''}`);
+    po.items.forEach(item => lines.push(`  ${item.qty} × ${item.itemName}${item.setName ? ` (${item.setName})` : ''}`));
+    lines.push(`  Total ${formatCurrency(po.totalDue)}, deposit ${formatCurrency(po.depositPaid)}`);
+    po.payments.forEach(pay => lines.push(
+      `  ${preorderPaymentDay_(pay.timestamp)}  ${pay.paymentId}  ${formatCurrency(pay.amount)} ${pay.method}`));
+    lines.push(`  Balance due ${formatCurrency(po.balanceDue)}${po.targetPayoff ? ` by ${po.targetPayoff}` : ''}`);
+  });
+
+  lines.push('', `Total due ${formatCurrency(statement.totals.due)} · paid ${formatCurrency(statement.totals.paid)} · ` +
+    `balance ${formatCurrency(statement.totals.balance)}`);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function isPreorderOverdue_(account, day) {
+  return account.balanceDue > 0 && !!account.targetPayoff && account.targetPayoff < day &&
+    !PREORDER_CLOSED_STATUSES.includes(account.status.toLowerCase());
+}
+
+/**
+ * One account per Preorder_ID from Preorders_Sold (money columns from its first row)
+ * @return {Array<Object>} [{preorderId, row, preferredName, status, totalDue, depositPaid, balanceDue, targetPayoff, items, cols}]
+ * @private
+ */
+function readPreorderAccounts_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preorders_Sold');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const cols = {
+    id: findHeaderIndex(headers, ['Preorder_ID', 'PreorderID', 'ID']),
+    name: findHeaderIndex(headers, ['PreferredName', 'Preferred_Name']),
+    status: findHeaderIndex(headers, ['Status']),
+    totalDue: findHeaderIndex(headers, ['Total_Due']),
+    depositPaid: findHeaderIndex(headers, ['Deposit_Paid']),
+    balanceDue: findHeaderIndex(headers, ['Balance_Due']),
+    targetPayoff: findHeaderIndex(headers, ['Target_Payoff']),
+    qty: findHeaderIndex(headers, ['Qty']),
+    itemName: findHeaderIndex(headers, ['Item_Name']),
+    setName: findHeaderIndex(headers, ['Set_Name'])
+  };
+  const missing = ['id', 'name', 'status', 'totalDue', 'depositPaid', 'balanceDue'].filter(k => cols[k] === -1);
+  if (missing.length > 0) {
+    throwError('Preorders_Sold is missing payment columns', 'SCHEMA_INVALID',
+      'Needs Preorder_ID, PreferredName, Status, Total_Due, Deposit_Paid and Balance_Due');
+  }
+  const cell = (r, key) => (cols[key] === -1 ? '' : r[cols[key]]);
+
+  const accounts = [];
+  const byId = {};
+  for (let i = 1; i < data.length; i++) {
+    const id = String(data[i][cols.id] || '').trim();
+    if (!id) continue;
+
+    let account = byId[id];
+    if (!account) {
+      account = byId[id] = {
+        preorderId: id,
+        row: i + 1,
+        preferredName: String(data[i][cols.name] || '').trim(),
+        status: String(data[i][cols.status] || '').trim(),
+        totalDue: roundPreorderAmount_(coerceNumber(data[i][cols.totalDue], 0)),
+        depositPaid: roundPreorderAmount_(coerceNumber(data[i][cols.depositPaid], 0)),
+        balanceDue: roundPreorderAmount_(coerceNumber(data[i][cols.balanceDue], 0)),
+        targetPayoff: preorderPaymentDay_(cell(data[i], 'targetPayoff')),
+        items: [],
+        rows: [],
+        cols
+      };
+      accounts.push(account);
+    }
+    account.rows.push(i + 1);
+    account.items.push({
+      qty: coerceNumber(cell(data[i], 'qty'), 0),
+      itemName: String(cell(data[i], 'itemName') || ''),
+      setName: String(cell(data[i], 'setName') || '')
+    });
+  }
+  return accounts;
+}
+
+/** @private */
+function getPreorderAccount_(preorderId) {
+  const account = readPreorderAccounts_().find(a => a.preorderId === preorderId);
+  if (!account) {
+    throwError(`Preorder ${preorderId} not found`, 'PREORDER_NOT_FOUND', 'Check the Preorder_ID on Preorders_Sold');
+  }
+  return account;
+}
+
+/** @private */
+function readPreorderPayments_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PREORDER_PAYMENTS_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PREORDER_PAYMENT_HEADERS.length).getValues()
+    .filter(r => String(r[0] || '').trim())
+    .map(r => ({
+      paymentId: String(r[0]).trim(),
+      timestamp: String(r[1] || ''),
+      preorderId: String(r[2] || '').trim(),
+      preferredName: String(r[3] || '').trim(),
+      amount: roundPreorderAmount_(coerceNumber(r[4], 0)),
+      method: String(r[5] || ''),
+      reference: String(r[6] || ''),
+      storeCreditRowId: String(r[7] || ''),
+      staff: String(r[8] || ''),
+      note: String(r[9] || '')
+    }));
+}
+
+/**
+ * yyyy-MM-dd for a date cell (Date, ISO or any string Date can parse)
+ * @private
+ */
+function preorderPaymentDay_(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  const iso = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? '' : Utilities.formatDate(parsed, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/** Whole days from one yyyy-MM-dd to another @private */
+function preorderDaysBetween_(from, to) {
+  return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000);
+}
+
+/** @private */
+function roundPreorderAmount_(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Creates Preorder_Payments
+ * @return {Sheet}
+ */
+function ensurePreorderPaymentsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PREORDER_PAYMENTS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PREORDER_PAYMENTS_SHEET);
+    sheet.appendRow(PREORDER_PAYMENT_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
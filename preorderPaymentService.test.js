@@ -0,0 +1,239 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PREORDER PAYMENTS - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for Preorder_Payments: installments, balance
+ * and status recomputation, store credit payments (and holds), overdue
+ * detection and customer statements.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPreorderPaymentService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPreorderPaymentService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PREORDER PAYMENTS TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Installments', testPreorderInstallments_, results);
+  runTestSuite_('Validation', testPreorderPaymentValidation_, results);
+  runTestSuite_('Store Credit Payments', testPreorderStoreCreditPayments_, results);
+  runTestSuite_('Partial Hold Capture', testPreorderPartialHoldCapture_, results);
+  runTestSuite_('Failed Payment Write', testPreorderPaymentWriteFailure_, results);
+  runTestSuite_('Recompute', testPreorderRecompute_, results);
+  runTestSuite_('Overdue and Statements', testPreorderOverdueAndStatement_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * PO-1: Alex, two lines, $20 deposit on $100, due 2026-10-01
+ * PO-2: Alex, nothing paid on $50, due 2026-12-01
+ * PO-3: Blake, cancelled; PO-4: Casey, paid in full
+ * @private
+ */
+function resetPreorderPaymentWorkbook_() {
+  GAS_EMULATOR.reset({
+    Preorders_Sold: [
+      ['Preorder_ID', 'PreferredName', 'Contact_Info', 'Set_Name', 'Item_Name', 'Item_Code', 'Qty', 'Unit_Price',
+        'Line_Total', 'Total_Due', 'Deposit_Paid', 'Balance_Due', 'Target_Payoff', 'Status', 'Notes', 'Created_At', 'Created_By'],
+      ['PO-1', 'Alex', '', 'Nova', 'Booster Box', 'NB', 1, 80, 80, 100, 20, 80, '2026-10-01', 'Deposit_Paid', '', '2026-09-01', 'staff'],
+      ['PO-1', 'Alex', '', 'Nova', 'Sleeves', 'SL', 2, 10, 20, '', '', '', '2026-10-01', 'Deposit_Paid', '', '2026-09-01', 'staff'],
+      ['PO-2', 'Alex', '', 'Nova', 'Bundle', 'BU', 1, 50, 50, 50, 0, 50, '2026-12-01', 'Pending', '', '2026-09-05', 'staff'],
+      ['PO-3', 'Blake', '', 'Nova', 'Bundle', 'BU', 1, 30, 30, 30, 0, 30, '2026-09-01', 'Cancelled', '', '2026-08-01', 'staff'],
+      ['PO-4', 'Casey', '', 'Nova', 'Bundle', 'BU', 1, 40, 40, 40, 40, 0, '2026-09-01', 'Paid_In_Full', '', '2026-08-01', 'staff']
+    ]
+  });
+}
+
+/** @private */
+function preorderSoldRows_() {
+  return toObjects(GAS_EMULATOR.dump('Preorders_Sold'));
+}
+
+/** @private */
+function expectPreorderError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPreorderInstallments_(results) {
+  resetPreorderPaymentWorkbook_();
+
+  const first = recordPreorderPayment({ preorderId: 'PO-1', amount: 30, method: 'cash', reference: 'R-1' });
+  assert_(first.paymentId === 'PAY-1' && first.paid === 50 && first.balanceDue === 50 && first.status === 'Deposit_Paid',
+    'An installment reduces the balance due', results);
+  assert_(preorderSoldRows_()[0].Balance_Due === 50 && preorderSoldRows_()[1].Balance_Due === '',
+    'Balance_Due is written on the first row only', results);
+
+  const second = recordPreorderPayment({ preorderId: 'PO-1', amount: 50, method: 'Card' });
+  assert_(second.balanceDue === 0 && second.status === 'Paid_In_Full' &&
+    preorderSoldRows_().filter(r => r.Preorder_ID === 'PO-1').every(r => r.Status === 'Paid_In_Full'),
+    'The final installment marks every line Paid_In_Full', results);
+
+  const pending = recordPreorderPayment({ preorderId: 'PO-2', amount: 10, method: 'CASH' });
+  assert_(pending.status === 'Deposit_Paid', 'A first payment moves Pending to Deposit_Paid', results);
+
+  const payments = getPreorderPayments('PO-1');
+  assert_(payments.length === 2 && payments[0].method === 'CASH' && payments[0].reference === 'R-1' &&
+    payments[1].method === 'CARD', 'Installments are kept on Preorder_Payments', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'PREORDER_PAYMENT').length === 3,
+    'Each payment is logged', results);
+
+  ensurePreorderPaymentsSheet().deleteRow(2);
+  const afterDelete = recordPreorderPayment({ preorderId: 'PO-2', amount: 5, method: 'CASH' });
+  assert_(afterDelete.paymentId === 'PAY-4', 'Payment IDs are never reused after a row is deleted', results);
+}
+
+function testPreorderPaymentValidation_(results) {
+  resetPreorderPaymentWorkbook_();
+  assert_(expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-2', amount: 60, method: 'CASH' }),
+    'PAYMENT_EXCEEDS_BALANCE'), 'Payments above the balance due are refused', results);
+  assert_(expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-2', amount: 5, method: 'BITCOIN' }),
+    'VALIDATION_ERROR') && expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-2', amount: 0, method: 'CASH' }),
+    'VALIDATION_ERROR'), 'Unknown methods and empty amounts are refused', results);
+  assert_(expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-3', amount: 5, method: 'CASH' }), 'PREORDER_CLOSED') &&
+    expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-9', amount: 5, method: 'CASH' }), 'PREORDER_NOT_FOUND'),
+    'Cancelled and unknown preorders take no payments', results);
+  assert_(!GAS_EMULATOR.dump('Preorder_Payments') || GAS_EMULATOR.dump('Preorder_Payments').length <= 1,
+    'Refused payments write nothing', results);
+}
+
+function testPreorderStoreCreditPayments_(results) {
+  resetPreorderPaymentWorkbook_();
+  ensureStoreCreditLedger();
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 40, reason: 'Refund' });
+
+  const paid = recordPreorderPayment({ preorderId: 'PO-2', amount: 25, method: 'STORE_CREDIT' });
+  const ledger = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME));
+  const out = ledger[ledger.length - 1];
+  assert_(out.InOut === 'OUT' && out.Amount === -25 && out.POSRefId === 'PO-2' && out.RowId === paid.storeCreditRowId,
+    'A store credit payment posts an OUT row linked to the payment', results);
+  assert_(getStoreCreditBalance('Alex').balance === 15 && paid.balanceDue === 25, 'Both balances move', results);
+
+  placeStoreCreditHold('Alex', 10, 'PO-2');
+  const fromHold = recordPreorderPayment({ preorderId: 'PO-2', amount: 15, method: 'STORE_CREDIT' });
+  const hold = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET))[0];
+  assert_(fromHold.balanceDue === 10 && hold.Status === 'CAPTURED' && getStoreCreditBalance('Alex').balance === 0,
+    "The preorder's own hold funds a store credit payment and is captured", results);
+
+  const rowsBefore = GAS_EMULATOR.dump('Preorder_Payments').length;
+  assert_(expectPreorderError_(() => recordPreorderPayment({ preorderId: 'PO-2', amount: 5, method: 'STORE_CREDIT' }),
+    'INSUFFICIENT_CREDIT') && GAS_EMULATOR.dump('Preorder_Payments').length === rowsBefore,
+    'Store credit payments cannot overdraw the ledger', results);
+}
+
+function testPreorderPartialHoldCapture_(results) {
+  resetPreorderPaymentWorkbook_();
+  ensureStoreCreditLedger();
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 40, reason: 'Refund' });
+  const hold = placeStoreCreditHold('Alex', 30, 'PO-2');
+
+  const paid = recordPreorderPayment({ preorderId: 'PO-2', amount: 10, method: 'STORE_CREDIT' });
+  const row = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET))[0];
+  const breakdown = getStoreCreditBreakdown('Alex');
+  assert_(paid.balanceDue === 40 && getStoreCreditBalance('Alex').balance === 30, 'Only the amount paid is spent', results);
+  assert_(row.Hold_Id === hold.holdId && row.Status === 'OPEN' && row.Amount === 20 && breakdown.held === 20 &&
+    breakdown.available === 10, 'The rest of the hold stays reserved', results);
+
+  const rest = recordPreorderPayment({ preorderId: 'PO-2', amount: 25, method: 'STORE_CREDIT' });
+  assert_(rest.balanceDue === 15 && toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET))[0].Status === 'CAPTURED' &&
+    getStoreCreditBreakdown('Alex').held === 0 && getStoreCreditBalance('Alex').balance === 5,
+    'Paying past the hold captures it and spends free credit for the rest', results);
+}
+
+function testPreorderPaymentWriteFailure_(results) {
+  resetPreorderPaymentWorkbook_();
+  ensureStoreCreditLedger();
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 40, reason: 'Refund' });
+  placeStoreCreditHold('Alex', 30, 'PO-2');
+  const ledgerBefore = GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME);
+  const holdsBefore = GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET);
+
+  const payments = ensurePreorderPaymentsSheet();
+  payments.appendRow = () => { throw new Error('Service invoked too many times'); };
+  let error = null;
+  try {
+    recordPreorderPayment({ preorderId: 'PO-2', amount: 10, method: 'STORE_CREDIT' });
+  } catch (e) {
+    error = e;
+  }
+  delete payments.appendRow;
+
+  const ledger = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME));
+  const out = ledger[ledger.length - 2];
+  const reversal = ledger[ledger.length - 1];
+  assert_(error !== null && ledger.length === ledgerBefore.length + 1 && out.InOut === 'OUT' && out.Amount === -10,
+    'The failed OUT row stays on the ledger', results);
+  assert_(reversal.InOut === 'IN' && reversal.Amount === 10 && reversal.POSRefType === 'RowId' && reversal.POSRefId === out.RowId,
+    'A compensating IN row references the failed OUT row', results);
+  assert_(getStoreCreditBalance('Alex').balance === 40, 'The credit is returned', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET)) === JSON.stringify(holdsBefore),
+    'The hold is put back', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'PREORDER_PAYMENT' && r.Status === 'ABORTED'),
+    'The rollback is logged', results);
+  const logged = toObjects(GAS_EMULATOR.dump('Integrity_Log')).find(r => r.Action === 'STORE_CREDIT_REVERSAL');
+  assert_(logged && String(logged.Details).indexOf(out.RowId) !== -1, 'The reversal is logged against the failed row', results);
+}
+
+function testPreorderRecompute_(results) {
+  resetPreorderPaymentWorkbook_();
+  recordPreorderPayment({ preorderId: 'PO-1', amount: 30, method: 'CASH' });
+
+  const rows = GAS_EMULATOR.dump('Preorders_Sold');
+  rows[1][11] = 999;
+  rows[1][13] = 'Ready';
+  rows[2][13] = 'Ready';
+  GAS_EMULATOR.seedSheet('Preorders_Sold', rows);
+
+  const fixed = recomputePreorderBalance('PO-1');
+  assert_(fixed.balanceDue === 50 && preorderSoldRows_()[0].Balance_Due === 50, 'A hand-edited balance is recomputed', results);
+  assert_(fixed.status === 'Ready' && preorderSoldRows_()[0].Status === 'Ready', 'Staff-set statuses are kept', results);
+}
+
+function testPreorderOverdueAndStatement_(results) {
+  resetPreorderPaymentWorkbook_();
+  recordPreorderPayment({ preorderId: 'PO-1', amount: 30, method: 'CASH' });
+
+  const overdue = getOverduePreorders('2026-10-19');
+  assert_(overdue.length === 1 && overdue[0].preorderId === 'PO-1' && overdue[0].balanceDue === 50 &&
+    overdue[0].daysOverdue === 18 && overdue[0].lastPaymentAt !== '',
+    'Only open preorders past Target_Payoff with a balance are overdue', results);
+  assert_(getOverduePreorders('2026-10-01').length === 0, 'A preorder due today is not overdue yet', results);
+
+  const statement = getPreorderStatement('alex', '2026-10-19');
+  assert_(statement.preorders.length === 2 && statement.totals.due === 150 && statement.totals.paid === 50 &&
+    statement.totals.balance === 100 && statement.totals.overdue === 1, 'The statement totals every preorder', results);
+
+  const text = formatPreorderStatement(statement);
+  assert_(text.indexOf('PO-1 — Deposit_Paid — OVERDUE') !== -1 && text.indexOf('2 × Sleeves (Nova)') !== -1 &&
+    text.indexOf('PAY-1  $30.00 CASH') !== -1, 'The statement lists items, installments and overdue flags', results);
+  assert_(formatPreorderStatement(getPreorderStatement('Nobody')).indexOf('No preorders on file') !== -1,
+    'Customers without preorders get an empty statement', results);
+}
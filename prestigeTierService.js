@@ -0,0 +1,384 @@
+/**
+ * Prestige Tier Service - Configurable Tiers, Promotions and Rewards
+ * @fileoverview Maps Prestige_BP (BP booked above BP_Global_Cap) to a named
+ * tier, records tier changes when the BP pipeline re-projects BP_Total, and
+ * grants an optional one-time reward on promotion.
+ *
+ * SHEET: Prestige_Tiers (one row per tier)
+ * - Tier / Threshold:  name and the Prestige_BP needed to hold it
+ * - Perks / Badge_Color: shown in player lookup and the daily close
+ * - Reward_Type:  blank, STORE_CREDIT, KEY or FLAG_MISSION
+ * - Reward_Value: credit amount, key color or Flag_Missions column
+ *
+ * SHEET: Prestige_Promotions (append-only; last row per player = recorded tier)
+ * Each crossed tier is its own PROMOTION row; drops (batch reverts) are one
+ * DEMOTION row. A tier's reward is granted at most once per player.
+ * Without the Prestige_Tiers sheet, PRESTIGE_TIER_DEFAULTS apply.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PRESTIGE_TIERS_SHEET = 'Prestige_Tiers';
+const PRESTIGE_PROMOTIONS_SHEET = 'Prestige_Promotions';
+
+const PRESTIGE_TIER_HEADERS = ['Tier', 'Threshold', 'Perks', 'Badge_Color', 'Reward_Type', 'Reward_Value'];
+
+const PRESTIGE_PROMOTION_HEADERS = [
+  'Timestamp', 'Promotion_Date', 'PreferredName', 'Direction', 'From_Tier', 'To_Tier',
+  'Prestige_BP', 'Reward', 'Reward_Status'
+];
+
+const PRESTIGE_REWARD_TYPES = ['STORE_CREDIT', 'KEY', 'FLAG_MISSION'];
+
+/** Code defaults (same columns as the sheet); the old fixed ladder, no rewards */
+const PRESTIGE_TIER_DEFAULTS = [
+  ['Bronze', 0, '', '#cd7f32', '', ''],
+  ['Silver', 50, 'Name on the prestige board', '#c0c0c0', '', ''],
+  ['Gold', 100, 'Name on the prestige board', '#d4af37', '', ''],
+  ['Platinum', 250, 'Name on the prestige board', '#6a8caf', '', ''],
+  ['Diamond', 500, 'Name on the prestige board', '#4fc3f7', '', '']
+];
+
+// ============================================================================
+// TIER LOOKUP
+// ============================================================================
+
+/**
+ * Tier ladder, lowest threshold first
+ *
+ * @return {Array<Object>} [{name, threshold, perks, badgeColor, rewardType, rewardValue}]
+ * @throws {Error} PRESTIGE_TIERS_INVALID if a sheet row cannot be read
+ */
+function getPrestigeTiers() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRESTIGE_TIERS_SHEET);
+  const fromSheet = sheet && sheet.getLastRow() > 1;
+  const raw = fromSheet
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, PRESTIGE_TIER_HEADERS.length).getValues()
+    : PRESTIGE_TIER_DEFAULTS;
+
+  return parsePrestigeTierRows_(raw, fromSheet ? 2 : 1);
+}
+
+/**
+ * Tier held at a Prestige_BP amount
+ *
+ * @param {number} prestigeBP - Prestige_BP
+ * @param {Array<Object>} [tiers] - getPrestigeTiers() result (read if omitted)
+ * @return {Object|null} Tier, or null below the lowest threshold
+ */
+function getPrestigeTierFor(prestigeBP, tiers) {
+  const ladder = tiers || getPrestigeTiers();
+  const index = prestigeTierIndex_(ladder, prestigeBP);
+  return index === -1 ? null : ladder[index];
+}
+
+/**
+ * Tier name for the Prestige_Overflow sheet's Prestige_Tier column
+ * @param {number} overflow - Total overflow
+ * @return {string} Tier name ('' below the lowest threshold)
+ * @private
+ */
+function computePrestigeTier_(overflow) {
+  const tier = getPrestigeTierFor(coerceNumber(overflow, 0));
+  return tier ? tier.name : '';
+}
+
+/**
+ * Player's tier, the next one up and their recent tier changes
+ *
+ * @param {string} preferredName - Canonical player name
+ * @return {Object} {preferredName, prestigeBP, tier, nextTier: {name, threshold, needed}|null, promotions}
+ */
+function getPlayerPrestigeSummary(preferredName) {
+  const tiers = getPrestigeTiers();
+  const prestigeBP = getPlayerBPBalance(preferredName).prestige;
+  const index = prestigeTierIndex_(tiers, prestigeBP);
+  const next = tiers[index + 1] || null;
+
+  return {
+    preferredName,
+    prestigeBP,
+    tier: index === -1 ? null : tiers[index],
+    nextTier: next ? { name: next.name, threshold: next.threshold, needed: next.threshold - prestigeBP } : null,
+    promotions: readPrestigePromotions_()
+      .filter(p => p.preferredName === preferredName)
+      .reverse()
+      .slice(0, 5)
+  };
+}
+
+/**
+ * Promotions recorded in the last N days, newest first
+ *
+ * @param {number} [days=7] - Look-back window (today counts as day 1)
+ * @return {Array<Object>} [{timestamp, date, preferredName, fromTier, toTier, prestigeBP, reward, rewardStatus, badgeColor, perks}]
+ */
+function getRecentPrestigePromotions(days) {
+  const window = Math.max(1, coerceNumber(days, 7));
+  const since = new Date();
+  since.setDate(since.getDate() - (window - 1));
+  const sinceDay = Utilities.formatDate(since, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+  const tiers = getPrestigeTiers();
+  return readPrestigePromotions_()
+    .filter(p => p.direction === 'PROMOTION' && p.date >= sinceDay)
+    .reverse()
+    .map(p => {
+      const tier = tiers.find(t => t.name === p.toTier);
+      return Object.assign(p, {
+        badgeColor: tier ? tier.badgeColor : '',
+        perks: tier ? tier.perks : ''
+      });
+    });
+}
+
+// ============================================================================
+// TIER-CHANGE DETECTION (called by the BP pipeline)
+// ============================================================================
+
+/**
+ * Compares each player's projected Prestige_BP tier with the last recorded
+ * one, appends PROMOTION / DEMOTION rows and grants promotion rewards.
+ * Called by writeBPTotalProjection_() after BP_Total is written.
+ *
+ * @param {Map<string, Object>} balances - projectBPLedger_() result
+ * @param {Array<string>|null} names - Players to check (null = every balance)
+ * @return {Array<Object>} Recorded changes
+ * @private
+ */
+function detectPrestigeTierChanges_(balances, names) {
+  const tiers = getPrestigeTiers();
+  const history = readPrestigePromotions_();
+  const recordedTier = new Map();
+  history.forEach(p => recordedTier.set(p.preferredName, p.toTier));
+
+  const changes = [];
+  (names || Array.from(balances.keys())).forEach(name => {
+    const balance = balances.get(name);
+    if (!balance) return;
+
+    const now = prestigeTierIndex_(tiers, balance.prestigeBP);
+    const was = recordedTier.has(name)
+      ? tiers.findIndex(t => t.name === recordedTier.get(name))
+      : prestigeTierIndex_(tiers, 0);
+    if (now === was) return;
+
+    const tierName = i => (i === -1 ? '' : tiers[i].name);
+    if (now < was) {
+      changes.push({ preferredName: name, direction: 'DEMOTION', fromTier: tierName(was), toTier: tierName(now), prestigeBP: balance.prestigeBP });
+      return;
+    }
+    for (let i = was + 1; i <= now; i++) {
+      changes.push({ preferredName: name, direction: 'PROMOTION', fromTier: tierName(i - 1), toTier: tiers[i].name, prestigeBP: balance.prestigeBP, tier: tiers[i] });
+    }
+  });
+
+  if (changes.length === 0) return changes;
+
+  const sheet = ensurePrestigePromotionsSheet_();
+  const timestamp = dateISO();
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+  changes.forEach(change => {
+    const reward = change.direction === 'PROMOTION'
+      ? grantPrestigeReward_(change.preferredName, change.tier, history)
+      : { label: '', status: '' };
+    change.reward = reward.label;
+    change.rewardStatus = reward.status;
+
+    sheet.appendRow([
+      timestamp, today, change.preferredName, change.direction, change.fromTier, change.toTier,
+      change.prestigeBP, reward.label, reward.status
+    ]);
+    logIntegrityAction('PRESTIGE_' + change.direction, {
+      preferredName: change.preferredName,
+      details: `${change.fromTier || '(none)'} → ${change.toTier || '(none)'} at ${change.prestigeBP} Prestige_BP` +
+        (reward.label ? ` | Reward: ${reward.label} (${reward.status})` : ''),
+      status: reward.status === 'FAILED' ? 'WARNING' : 'SUCCESS'
+    });
+  });
+  return changes;
+}
+
+/**
+ * Grants a tier's reward unless the player already received it
+ *
+ * @param {string} preferredName - Player
+ * @param {Object} tier - Tier promoted into
+ * @param {Array<Object>} history - readPrestigePromotions_() rows
+ * @return {Object} {label, status: ''|GRANTED|ALREADY_GRANTED|FAILED}
+ * @private
+ */
+function grantPrestigeReward_(preferredName, tier, history) {
+  if (!tier.rewardType) return { label: '', status: '' };
+
+  const label = tier.rewardType === 'STORE_CREDIT'
+    ? `STORE_CREDIT ${formatCurrency(tier.rewardValue)}`
+    : `${tier.rewardType} ${tier.rewardValue}`;
+  const granted = history.some(p => p.preferredName === preferredName && p.toTier === tier.name && p.rewardStatus === 'GRANTED');
+  if (granted) return { label, status: 'ALREADY_GRANTED' };
+
+  try {
+    if (tier.rewardType === 'STORE_CREDIT') {
+      logStoreCreditTransaction({
+        preferred_name_id: preferredName,
+        direction: 'IN',
+        amount: tier.rewardValue,
+        reason: 'Prestige reward',
+        category: 'PRESTIGE',
+        description: `Promoted to ${tier.name}`
+      });
+    } else if (tier.rewardType === 'KEY') {
+      addKey(preferredName, tier.rewardValue, 1);
+    } else {
+      const result = awardFlagMission(preferredName, tier.rewardValue);
+      if (!result.success) throw new Error(result.message);
+    }
+    return { label, status: 'GRANTED' };
+  } catch (e) {
+    console.error('Prestige reward failed:', e);
+    return { label: `${label} (${e.message})`, status: 'FAILED' };
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function prestigeTierIndex_(tiers, prestigeBP) {
+  let index = -1;
+  tiers.forEach((tier, i) => {
+    if (prestigeBP >= tier.threshold) index = i;
+  });
+  return index;
+}
+
+/**
+ * Reads tier rows, rejecting the whole ladder if any row is malformed
+ *
+ * @param {Array<Array>} raw - Rows in PRESTIGE_TIER_HEADERS order
+ * @param {number} firstRow - Sheet row number of raw[0] (for messages)
+ * @return {Array<Object>} Tiers sorted by threshold
+ * @private
+ */
+function parsePrestigeTierRows_(raw, firstRow) {
+  const tiers = [];
+  const problems = [];
+  const isBlank = v => v === '' || v === null || v === undefined;
+
+  raw.forEach((r, i) => {
+    if (r.every(isBlank)) return;
+    const [name, threshold, perks, badgeColor, rewardType, rewardValue] = r;
+    const row = `Row ${firstRow + i}`;
+    const tier = {
+      name: String(name || '').trim(),
+      threshold: isBlank(threshold) ? NaN : Number(threshold),
+      perks: String(perks || '').trim(),
+      badgeColor: String(badgeColor || '').trim(),
+      rewardType: String(rewardType || '').trim().toUpperCase(),
+      rewardValue: isBlank(rewardValue) ? '' : rewardValue
+    };
+
+    if (!tier.name) {
+      problems.push(`${row}: Tier name is required`);
+    } else if (isNaN(tier.threshold) || tier.threshold < 0) {
+      problems.push(`${row}: Threshold must be a number ≥ 0`);
+    } else if (tier.rewardType && !PRESTIGE_REWARD_TYPES.includes(tier.rewardType)) {
+      problems.push(`${row}: Reward_Type must be blank or one of ${PRESTIGE_REWARD_TYPES.join(', ')}`);
+    } else if (tier.rewardType === 'STORE_CREDIT' && !(Number(tier.rewardValue) > 0)) {
+      problems.push(`${row}: STORE_CREDIT reward needs a positive amount`);
+    } else if (tier.rewardType && isBlank(tier.rewardValue)) {
+      problems.push(`${row}: ${tier.rewardType} reward needs a Reward_Value`);
+    } else {
+      if (tier.rewardType === 'STORE_CREDIT') tier.rewardValue = Number(tier.rewardValue);
+      else tier.rewardValue = String(tier.rewardValue).trim();
+      tiers.push(tier);
+    }
+  });
+
+  tiers.sort((a, b) => a.threshold - b.threshold);
+  tiers.forEach((tier, i) => {
+    if (i > 0 && tiers[i - 1].threshold === tier.threshold) {
+      problems.push(`${tiers[i - 1].name} and ${tier.name} share threshold ${tier.threshold}`);
+    }
+    if (tiers.findIndex(t => t.name === tier.name) !== i) {
+      problems.push(`Tier "${tier.name}" is listed twice`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throwError('Prestige_Tiers has invalid rows', 'PRESTIGE_TIERS_INVALID', problems.join('; '));
+  }
+  return tiers;
+}
+
+/**
+ * Reads Prestige_Promotions in row order
+ * @return {Array<Object>} [{timestamp, date, preferredName, direction, fromTier, toTier, prestigeBP, reward, rewardStatus}]
+ * @private
+ */
+function readPrestigePromotions_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRESTIGE_PROMOTIONS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PRESTIGE_PROMOTION_HEADERS.length).getValues()
+    .filter(r => r[2] !== '')
+    .map(r => ({
+      timestamp: String(r[0]),
+      date: r[1] instanceof Date
+        ? Utilities.formatDate(r[1], Session.getScriptTimeZone(), 'yyyy-MM-dd')
+        : String(r[1]).slice(0, 10),
+      preferredName: String(r[2]).trim(),
+      direction: String(r[3]),
+      fromTier: String(r[4]),
+      toTier: String(r[5]),
+      prestigeBP: coerceNumber(r[6], 0),
+      reward: String(r[7] || ''),
+      rewardStatus: String(r[8] || '')
+    }));
+}
+
+// ============================================================================
+// SHEETS
+// ============================================================================
+
+/**
+ * Creates Prestige_Tiers seeded with the code defaults (no-op if it exists)
+ * @return {Sheet} Prestige_Tiers sheet
+ */
+function ensurePrestigeTiersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRESTIGE_TIERS_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PRESTIGE_TIERS_SHEET);
+  sheet.getRange(1, 1, 1, PRESTIGE_TIER_HEADERS.length).setValues([PRESTIGE_TIER_HEADERS]);
+  sheet.getRange(2, 1, PRESTIGE_TIER_DEFAULTS.length, PRESTIGE_TIER_HEADERS.length)
+    .setValues(PRESTIGE_TIER_DEFAULTS);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, PRESTIGE_TIER_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+
+  logIntegrityAction('PRESTIGE_TIERS_CREATE', {
+    details: `Seeded ${PRESTIGE_TIER_DEFAULTS.length} tiers from code defaults`,
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+
+/** @private */
+function ensurePrestigePromotionsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRESTIGE_PROMOTIONS_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PRESTIGE_PROMOTIONS_SHEET);
+  sheet.getRange(1, 1, 1, PRESTIGE_PROMOTION_HEADERS.length).setValues([PRESTIGE_PROMOTION_HEADERS]);
+  sheet.setFrozenRows(1);
+  return sheet;
+}
@@ -0,0 +1,180 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PRESTIGE TIER SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for configurable prestige tiers: ladder
+ * parsing, promotion/demotion detection from the BP pipeline, one-time
+ * rewards and the recent-promotions views.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPrestigeTierService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPrestigeTierService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PRESTIGE TIER SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Tier Ladder', testPrestigeLadder_, results);
+  runTestSuite_('Promotions and Rewards', testPrestigePromotions_, results);
+  runTestSuite_('Demotion and Re-promotion', testPrestigeDemotion_, results);
+  runTestSuite_('Recent Promotions', testPrestigeRecent_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cap 20 with Silver at 10 (credit reward), Gold at 30 (key) and Legend at
+ * 100 (flag mission that does not exist)
+ * @private
+ */
+function seedPrestigeWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Alex'], ['Blake'], ['Casey']],
+    Prize_Throttle: [['Parameter', 'Value'], ['BP_Global_Cap', 20]],
+    Prestige_Tiers: [
+      PRESTIGE_TIER_HEADERS,
+      ['Gold', 30, 'Free sleeves', '#d4af37', 'KEY', 'Red'],
+      ['Bronze', 0, '', '#cd7f32', '', ''],
+      ['Silver', 10, 'Early preorder access', '#c0c0c0', 'STORE_CREDIT', 5],
+      ['Legend', 100, '', '#000000', 'FLAG_MISSION', 'No Such Mission']
+    ]
+  });
+  ensureStoreCreditLedger();
+}
+
+/** @private */
+function prestigeRows_() {
+  return toObjects(GAS_EMULATOR.dump(PRESTIGE_PROMOTIONS_SHEET));
+}
+
+/** @private */
+function prestigeError_(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message;
+  }
+  return '';
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPrestigeLadder_(results) {
+  GAS_EMULATOR.reset({});
+  assert_(getPrestigeTiers().map(t => t.name).join(',') === 'Bronze,Silver,Gold,Platinum,Diamond',
+    'Defaults keep the old ladder', results);
+  assert_(computePrestigeTier_(0) === 'Bronze' && computePrestigeTier_(50) === 'Silver' &&
+    computePrestigeTier_(499) === 'Platinum' && computePrestigeTier_(500) === 'Diamond',
+    'Default thresholds match the old 50/100/250/500', results);
+
+  seedPrestigeWorkbook_();
+  const tiers = getPrestigeTiers();
+  assert_(tiers.map(t => t.name).join(',') === 'Bronze,Silver,Gold,Legend', 'Sheet tiers are sorted by threshold', results);
+  assert_(tiers[1].rewardType === 'STORE_CREDIT' && tiers[1].rewardValue === 5 && tiers[1].badgeColor === '#c0c0c0',
+    'Perks, badge color and rewards are read', results);
+  assert_(getPrestigeTierFor(29, tiers).name === 'Silver', 'Tier is the highest threshold reached', results);
+
+  GAS_EMULATOR.seedSheet(PRESTIGE_TIERS_SHEET, [
+    PRESTIGE_TIER_HEADERS,
+    ['Bronze', 0, '', '', 'CASH', 5],
+    ['Silver', 0, '', '', '', '']
+  ]);
+  const message = prestigeError_(() => getPrestigeTiers());
+  assert_(message.indexOf('[PRESTIGE_TIERS_INVALID]') === 0 && message.indexOf('Row 2') !== -1,
+    'Malformed rows reject the ladder', results);
+
+  const award = awardBonusPoints('Alex', 25, 'TOP4');
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(award.success && log.some(r => r.Action === 'PRESTIGE_TIER_ERROR'),
+    'A bad ladder is logged without blocking awards', results);
+}
+
+function testPrestigePromotions_(results) {
+  seedPrestigeWorkbook_();
+
+  awardBonusPoints('Alex', 25, 'TOP4'); // prestige 5: still Bronze
+  assert_(GAS_EMULATOR.dump(PRESTIGE_PROMOTIONS_SHEET).length === 0, 'No row while the tier is unchanged', results);
+
+  awardBonusPoints('Alex', 10, 'TOP4'); // prestige 15: Silver
+  let rows = prestigeRows_();
+  assert_(rows.length === 1 && rows[0].Direction === 'PROMOTION' && rows[0].From_Tier === 'Bronze' &&
+    rows[0].To_Tier === 'Silver' && rows[0].Prestige_BP === 15, 'Crossing a threshold records a promotion', results);
+  assert_(rows[0].Promotion_Date === Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    'Promotion is dated', results);
+  assert_(rows[0].Reward_Status === 'GRANTED' && getStoreCreditBalance('Alex').balance === 5,
+    'STORE_CREDIT reward is granted', results);
+
+  awardBonusPoints('Blake', 60, 'TOP4'); // prestige 40: Silver and Gold at once
+  rows = prestigeRows_().filter(r => r.PreferredName === 'Blake');
+  assert_(rows.map(r => r.To_Tier).join(',') === 'Silver,Gold', 'Each crossed tier gets its own row', results);
+  assert_(getPlayerKeys('Blake').Red === 1, 'KEY reward adds the key', results);
+
+  awardBonusPoints('Casey', 130, 'TOP4'); // prestige 110: Legend reward fails
+  const legend = prestigeRows_().find(r => r.PreferredName === 'Casey' && r.To_Tier === 'Legend');
+  assert_(legend.Reward_Status === 'FAILED' && legend.Reward.indexOf('No Such Mission') !== -1,
+    'A failed reward is recorded, not thrown', results);
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'PRESTIGE_PROMOTION' && r.PreferredName === 'Casey' && r.Status === 'WARNING'),
+    'Promotions are logged to Integrity_Log', results);
+}
+
+function testPrestigeDemotion_(results) {
+  seedPrestigeWorkbook_();
+  awardBonusPoints('Alex', 35, 'TOP4', { batchId: 'B-1' }); // prestige 15: Silver
+  revertBatch('B-1');
+
+  let rows = prestigeRows_();
+  assert_(rows.length === 2 && rows[1].Direction === 'DEMOTION' && rows[1].To_Tier === 'Bronze',
+    'Reverting the batch records a demotion', results);
+
+  awardBonusPoints('Alex', 35, 'TOP4');
+  rows = prestigeRows_();
+  assert_(rows.length === 3 && rows[2].To_Tier === 'Silver' && rows[2].Reward_Status === 'ALREADY_GRANTED',
+    'Re-promotion does not grant the reward twice', results);
+  assert_(getStoreCreditBalance('Alex').balance === 5, 'Only one credit was issued', results);
+
+  rebuildBPTotalFromLedger();
+  assert_(prestigeRows_().length === 3, 'Rebuilding BP_Total records nothing new', results);
+}
+
+function testPrestigeRecent_(results) {
+  seedPrestigeWorkbook_();
+  GAS_EMULATOR.seedSheet(PRESTIGE_PROMOTIONS_SHEET, [
+    PRESTIGE_PROMOTION_HEADERS,
+    ['2020-01-01T00:00:00Z', '2020-01-01', 'Blake', 'PROMOTION', 'Bronze', 'Silver', 12, '', '']
+  ]);
+  awardBonusPoints('Alex', 35, 'TOP4');
+
+  const recent = getRecentPrestigePromotions(7);
+  assert_(recent.length === 1 && recent[0].preferredName === 'Alex' && recent[0].badgeColor === '#c0c0c0' &&
+    recent[0].perks === 'Early preorder access', 'Recent list carries badge and perks, old rows excluded', results);
+
+  const summary = getPlayerPrestigeSummary('Alex');
+  assert_(summary.tier.name === 'Silver' && summary.prestigeBP === 15, 'Summary shows the current tier', results);
+  assert_(summary.nextTier.name === 'Gold' && summary.nextTier.needed === 15, 'Summary shows the next tier', results);
+  assert_(summary.promotions.length === 1 && summary.promotions[0].toTier === 'Silver', 'Summary lists the player\'s tier changes', results);
+
+  const blake = getPlayerPrestigeSummary('Blake');
+  assert_(blake.promotions.length === 1 && blake.tier.name === 'Bronze', 'History and current tier are independent', results);
+}
@@ -0,0 +1,189 @@
+/**
+ * Prize Level Tables - Placement → Level Configuration
+ * @fileoverview Decides which prize level (L0–L13) each finishing place earns
+ * for an event, by suffix and player count. previewEndPrizes() reads the
+ * table; allocatePrizes_() picks the actual items.
+ *
+ * SHEET: Prize_Level_Tables (one row per placement band)
+ * - Suffix:       event suffix ("B", "DRAFT", ...) or "*" for any suffix
+ * - Min_Players / Max_Players: player-count band (blank max = no limit)
+ * - Place_From / Place_To:     finishing places (blank Place_To = everyone below)
+ * - Level / Qty:  prize level and how many picks at that level
+ *
+ * Rows for an event's own suffix win over "*" rows when any of them cover the
+ * player count. Without the sheet, PRIZE_LEVEL_TABLE_DEFAULTS apply.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PRIZE_LEVEL_TABLES_SHEET = 'Prize_Level_Tables';
+
+const PRIZE_LEVEL_TABLE_HEADERS = [
+  'Suffix', 'Min_Players', 'Max_Players', 'Place_From', 'Place_To', 'Level', 'Qty', 'Notes'
+];
+
+/** The prize level ladder, lowest first */
+const PRIZE_LEVELS = ['L0', 'L1', 'L2', 'L3', 'L4', 'L5', 'L6', 'L7', 'L8', 'L9', 'L10', 'L11', 'L12', 'L13'];
+
+/** Suffix value that applies to every event */
+const ANY_SUFFIX = '*';
+
+/**
+ * Code defaults (same columns as the sheet). Top 4 earn L3 once the event
+ * reaches Threshold_L3 (8 players) and 1st earns L4 at Threshold_L4 (12).
+ */
+const PRIZE_LEVEL_TABLE_DEFAULTS = [
+  ['*', 1, 7, 1, 2, 'L2', 1, 'Small event: top 2'],
+  ['*', 1, 7, 3, '', 'L1', 1, 'Small event: everyone else'],
+  ['*', 8, 11, 1, 4, 'L3', 1, 'Top 4'],
+  ['*', 8, 11, 5, 8, 'L2', 1, 'Top 8'],
+  ['*', 8, 11, 9, '', 'L1', 1, 'Participation'],
+  ['*', 12, '', 1, 1, 'L4', 1, '1st at 12+'],
+  ['*', 12, '', 2, 4, 'L3', 1, 'Top 4'],
+  ['*', 12, '', 5, 8, 'L2', 1, 'Top 8'],
+  ['*', 12, '', 9, '', 'L1', 1, 'Participation']
+];
+
+// ============================================================================
+// TABLE LOOKUP
+// ============================================================================
+
+/**
+ * Resolves the placement table for an event.
+ *
+ * @param {string} suffix - Event suffix (getSuffixFromEventId_), '' for none
+ * @param {number} playerCount - Players in the event
+ * @return {Object} {suffix, source: 'SHEET'|'DEFAULT', rows: [{placeFrom, placeTo, level, qty, label}]}
+ * @throws {Error} PRIZE_TABLE_INVALID if a sheet row cannot be read
+ */
+function getPrizeLevelTable(suffix, playerCount) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRIZE_LEVEL_TABLES_SHEET);
+  const fromSheet = sheet && sheet.getLastRow() > 1;
+  const raw = fromSheet
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, PRIZE_LEVEL_TABLE_HEADERS.length).getValues()
+    : PRIZE_LEVEL_TABLE_DEFAULTS;
+
+  const rows = parsePrizeLevelTableRows_(raw, fromSheet ? 2 : 1);
+  const covers = row => playerCount >= row.minPlayers && playerCount <= row.maxPlayers;
+  const code = String(suffix || '').trim().toUpperCase();
+
+  let matched = code ? rows.filter(r => r.suffix === code && covers(r)) : [];
+  const tableSuffix = matched.length > 0 ? code : ANY_SUFFIX;
+  if (matched.length === 0) {
+    matched = rows.filter(r => r.suffix === ANY_SUFFIX && covers(r));
+  }
+
+  return {
+    suffix: tableSuffix,
+    source: fromSheet ? 'SHEET' : 'DEFAULT',
+    rows: matched
+  };
+}
+
+/**
+ * Levels earned by one finishing place.
+ *
+ * @param {Object} table - getPrizeLevelTable() result
+ * @param {number} placement - Finishing place (1 = winner)
+ * @return {Array<Object>} [{level, qty, label}]
+ */
+function getPlacementLevels(table, placement) {
+  return table.rows
+    .filter(r => placement >= r.placeFrom && placement <= r.placeTo)
+    .map(r => ({ level: r.level, qty: r.qty, label: r.label }));
+}
+
+/**
+ * Normalizes a level cell ("L3", "l3", 3) to the ladder spelling.
+ *
+ * @param {*} value - Level cell
+ * @return {string|null} 'L0'–'L13', or null if not on the ladder
+ */
+function normalizePrizeLevel_(value) {
+  const match = String(value === null || value === undefined ? '' : value).trim().toUpperCase().match(/^L?(\d{1,2})$/);
+  if (!match) return null;
+  const level = 'L' + parseInt(match[1], 10);
+  return PRIZE_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Reads table rows, rejecting the whole table if any row is malformed so a
+ * typo never silently changes who gets what.
+ *
+ * @param {Array<Array>} raw - Rows in PRIZE_LEVEL_TABLE_HEADERS order
+ * @param {number} firstRow - Sheet row number of raw[0] (for messages)
+ * @return {Array<Object>} Parsed rows
+ * @private
+ */
+function parsePrizeLevelTableRows_(raw, firstRow) {
+  const rows = [];
+  const problems = [];
+  const isBlank = v => v === '' || v === null || v === undefined;
+  const whole = (v, def) => (isBlank(v) ? def : Number(v));
+
+  raw.forEach((r, i) => {
+    const [suffix, minPlayers, maxPlayers, placeFrom, placeTo, level, qty] = r;
+    if (r.every(isBlank)) return;
+
+    const row = {
+      suffix: String(suffix || '').trim().toUpperCase() || ANY_SUFFIX,
+      minPlayers: whole(minPlayers, 0),
+      maxPlayers: whole(maxPlayers, Infinity),
+      placeFrom: whole(placeFrom, NaN),
+      placeTo: whole(placeTo, Infinity),
+      level: normalizePrizeLevel_(level),
+      qty: whole(qty, 1)
+    };
+
+    const numbers = [row.minPlayers, row.maxPlayers, row.placeFrom, row.placeTo, row.qty];
+    if (!row.level) {
+      problems.push(`Row ${firstRow + i}: level "${level}" is not L0–L13`);
+    } else if (numbers.some(n => isNaN(n) || n < 0 || (isFinite(n) && n !== Math.floor(n)))) {
+      problems.push(`Row ${firstRow + i}: players, places and qty must be whole numbers (Place_From is required)`);
+    } else if (row.minPlayers > row.maxPlayers || row.placeFrom < 1 || row.placeFrom > row.placeTo) {
+      problems.push(`Row ${firstRow + i}: range is empty`);
+    } else {
+      const players = row.maxPlayers === Infinity ? `${row.minPlayers}+` : `${row.minPlayers}–${row.maxPlayers}`;
+      const places = row.placeTo === Infinity ? `${row.placeFrom}+` : (row.placeFrom === row.placeTo ? `${row.placeFrom}` : `${row.placeFrom}–${row.placeTo}`);
+      row.label = `${row.suffix} table, ${players} players, place ${places}`;
+      rows.push(row);
+    }
+  });
+
+  if (problems.length > 0) {
+    throwError('Prize_Level_Tables has invalid rows', 'PRIZE_TABLE_INVALID', problems.join('; '));
+  }
+  return rows;
+}
+
+// ============================================================================
+// SHEET
+// ============================================================================
+
+/**
+ * Creates Prize_Level_Tables seeded with the code defaults (no-op if it exists)
+ * @return {Sheet} Prize_Level_Tables sheet
+ */
+function ensurePrizeLevelTablesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRIZE_LEVEL_TABLES_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PRIZE_LEVEL_TABLES_SHEET);
+  sheet.getRange(1, 1, 1, PRIZE_LEVEL_TABLE_HEADERS.length).setValues([PRIZE_LEVEL_TABLE_HEADERS]);
+  sheet.getRange(2, 1, PRIZE_LEVEL_TABLE_DEFAULTS.length, PRIZE_LEVEL_TABLE_HEADERS.length)
+    .setValues(PRIZE_LEVEL_TABLE_DEFAULTS);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, PRIZE_LEVEL_TABLE_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+
+  logIntegrityAction('PRIZE_TABLE_CREATE', {
+    details: `Seeded ${PRIZE_LEVEL_TABLE_DEFAULTS.length} placement rows from code defaults`,
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
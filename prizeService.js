@@ -10,7 +10,7 @@
  * @param {string} eventId - Event tab name
  * @param {Object} throttle - Throttle parameters (optional, will fetch if not provided)
  * @param {string} seed - Seed (optional, will use event seed if not provided)
- * @return {Object} Preview object {allocations, spend, hash, rlBand}
+ * @return {Object} Preview object {allocations, skipped, spend, hash, rlBand, prizeTable}
  */
 function previewEndPrizes(eventId, throttle = null, seed = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -20,14 +20,7 @@ function previewEndPrizes(eventId, throttle = null, seed = null) {
   }
   const eventProps = getEventProps(sheet);
   const data = sheet.getDataRange().getValues();
-  const players = [];
-  // Extract players (skip header)
-  for (let i = 1; i < data.length; i++) {
-    const preferredName = data[i][1]; // Column B
-    if (preferredName) {
-      players.push({ preferredName, rank: i });
-    }
-  }
+  const players = readEventPlacements_(data);
   if (players.length === 0) {
     throwError('No players in roster', 'NO_PLAYERS');
   }
@@ -41,18 +34,11 @@ function previewEndPrizes(eventId, throttle = null, seed = null) {
   const budgetInfo = derivedBudgetForEvent(eventProps, players.length);
   const budget = budgetInfo.budget;
   // Get catalog
-  const catalog = getCatalog();
-  const eligibleItems = catalog.filter(item =>
-    coerceBoolean(item.Eligible_End) &&
-    coerceBoolean(item.InStock) &&
-    coerceNumber(item.Qty, 0) > 0 &&
-    players.length >= coerceNumber(item.Player_Threshold, 0)
-  );
-  if (eligibleItems.length === 0) {
-    throwError('No eligible prizes in catalog', 'NO_PRIZES');
-  }
+  const eligibleItems = getEndPrizeEligibleItems_(players.length);
+  // Placement → level table for this suffix and player count
+  const table = getPrizeLevelTable(getSuffixFromEventId_(eventId), players.length);
   // Allocate prizes deterministically
-  const allocations = allocatePrizes_(players, eligibleItems, budget, throttle, useSeed);
+  const { allocations, skipped } = allocatePrizes_(players, eligibleItems, budget, throttle, useSeed, table);
   // Compute spend
   const spend = sumBy(allocations, a => coerceNumber(a.cogs, 0) * a.qty);
   // Compute hash
@@ -72,76 +58,150 @@ function previewEndPrizes(eventId, throttle = null, seed = null) {
     eventId,
     seed: useSeed,
     allocations,
+    skipped,
     spend,
     budget,
     hash,
     rlBand: rlBand.band,
     rlPercent: rlBand.percent,
-    players: players.length
+    players: players.length,
+    prizeTable: { suffix: table.suffix, source: table.source }
   };
 }
 /**
- * Allocates prizes deterministically
- * @param {Array<Object>} players - Player list
+ * End-prize eligible catalog items for an event of this size
+ * @param {number} playerCount - Players in the event
+ * @return {Array<Object>} Catalog items (Eligible_End, in stock, threshold met)
+ * @throws {Error} NO_PRIZES if nothing qualifies
+ * @private
+ */
+function getEndPrizeEligibleItems_(playerCount) {
+  const eligibleItems = getCatalog().filter(item =>
+    coerceBoolean(item.Eligible_End) &&
+    coerceBoolean(item.InStock) &&
+    coerceNumber(item.Qty, 0) > 0 &&
+    playerCount >= coerceNumber(item.Player_Threshold, 0)
+  );
+  if (eligibleItems.length === 0) {
+    throwError('No eligible prizes in catalog', 'NO_PRIZES');
+  }
+  return eligibleItems;
+}
+/**
+ * Reads finishing places from an event tab. The Rank column wins (ties share
+ * a place); rows without a rank fall back to their row order.
+ * @param {Array<Array>} data - Event tab values (header row first)
+ * @return {Array<Object>} [{preferredName, placement, priorCodes}] best first
+ * @private
+ */
+function readEventPlacements_(data) {
+  const headers = data[0];
+  const nameCol = headers.indexOf('PreferredName') !== -1 ? headers.indexOf('PreferredName') : 1;
+  const rankCol = headers.indexOf('Rank') !== -1 ? headers.indexOf('Rank') : 0;
+  const roundCols = ['R1_Prize', 'R2_Prize', 'R3_Prize'].map(h => headers.indexOf(h)).filter(c => c !== -1);
+  const players = [];
+  for (let i = 1; i < data.length; i++) {
+    const preferredName = data[i][nameCol];
+    if (!preferredName) continue;
+    const rank = coerceNumber(data[i][rankCol], 0);
+    players.push({
+      preferredName,
+      placement: rank >= 1 ? Math.floor(rank) : players.length + 1,
+      row: i,
+      // Round prizes already handed out count against duplicates
+      priorCodes: roundCols
+        .map(c => String(data[i][c] || ''))
+        .join(',')
+        .split(',')
+        .map(code => code.trim())
+        .filter(code => code)
+    });
+  }
+  return players.sort((a, b) => a.placement - b.placement || a.row - b.row);
+}
+/**
+ * Allocates prizes deterministically. Each place earns the levels its table
+ * row names; when nothing fits at a level (none eligible, out of stock, over
+ * budget or already received) the pick steps down the ladder toward L0.
+ * @param {Array<Object>} players - readEventPlacements_() output, best first
  * @param {Array<Object>} eligibleItems - Eligible catalog items
  * @param {number} budget - Budget in COGS
  * @param {Object} throttle - Throttle params
  * @param {string} seed - Seed
- * @return {Array<Object>} Allocations [{preferredName, code, name, level, qty, cogs}]
+ * @param {Object} table - getPrizeLevelTable() result
+ * @return {Object} {allocations: [{preferredName, code, name, level, qty, cogs,
+ *   placement, targetLevel, reason}], skipped: [{preferredName, placement, targetLevel, reason}]}
  * @private
  */
-function allocatePrizes_(players, eligibleItems, budget, throttle, seed) {
+function allocatePrizes_(players, eligibleItems, budget, throttle, seed, table) {
   const rng = createSeededRandom(seed);
   const allocations = [];
+  const skipped = [];
   const efMin = parseFloat(throttle.EF_Clamp_Min || 0.80);
   const efMax = parseFloat(throttle.EF_Clamp_Max || 2.25);
-  const consolationRatio = parseFloat(throttle.Consolation_L1_Ratio || 0.20);
+  const allowDuplicates = coerceBoolean(throttle.Allow_Duplicate_Items);
   let remainingBudget = budget;
   const itemStock = new Map();
   // Initialize stock tracking
   eligibleItems.forEach(item => {
     itemStock.set(item.Code, coerceNumber(item.Qty, 0));
   });
-  // Sort items by level for stratified allocation
-  const itemsByLevel = groupBy(eligibleItems, item => item.Level || 'L0');
-  // Allocate to each player
+  // Group items by ladder level
+  const itemsByLevel = groupBy(eligibleItems, item => normalizePrizeLevel_(item.Level) || 'L0');
   players.forEach(player => {
-    // Determine target level based on rank (simplified logic)
-    let targetLevel = 'L1';
-    if (player.rank <= 4) {
-      targetLevel = 'L3'; // Top 4
-    } else if (player.rank <= 8) {
-      targetLevel = 'L2'; // Top 8
-    }
-    // Get available items at target level
-    let levelItems = itemsByLevel.get(targetLevel) || [];
-    levelItems = levelItems.filter(item => itemStock.get(item.Code) > 0);
-    if (levelItems.length === 0) {
-      // Fall back to consolation (L1 or L0)
-      const useL1 = rng() < consolationRatio;
-      targetLevel = useL1 ? 'L1' : 'L0';
-      levelItems = (itemsByLevel.get(targetLevel) || []).filter(item => itemStock.get(item.Code) > 0);
-    }
-    if (levelItems.length === 0) return; // No items available
-    // Select item using EF clamp (weighted by EV_Cost)
-    const item = selectItemWithEF_(levelItems, efMin, efMax, rng);
-    if (!item) return;
-    const itemCOGS = coerceNumber(item.COGS, 0);
-    // Check budget and stock
-    if (itemCOGS <= remainingBudget && itemStock.get(item.Code) > 0) {
-      allocations.push({
-        preferredName: player.preferredName,
-        code: item.Code,
-        name: item.Name,
-        level: item.Level || 'L0',
-        qty: 1,
-        cogs: itemCOGS
-      });
-      remainingBudget -= itemCOGS;
-      itemStock.set(item.Code, itemStock.get(item.Code) - 1);
+    const place = `Place ${player.placement} of ${players.length}`;
+    const received = new Set(allowDuplicates ? [] : player.priorCodes);
+    const picks = getPlacementLevels(table, player.placement);
+    if (picks.length === 0) {
+      skipped.push({ preferredName: player.preferredName, placement: player.placement, targetLevel: '',
+        reason: `${place}: no ${table.suffix} table row covers this place` });
+      return;
     }
+    picks.forEach(pick => {
+      for (let n = 0; n < pick.qty; n++) {
+        const steps = [];
+        let item = null;
+        let pool = [];
+        // Walk down the ladder from the table level
+        for (let idx = PRIZE_LEVELS.indexOf(pick.level); idx >= 0 && !item; idx--) {
+          const level = PRIZE_LEVELS[idx];
+          const atLevel = itemsByLevel.get(level) || [];
+          const inStock = atLevel.filter(i => itemStock.get(i.Code) > 0);
+          const affordable = inStock.filter(i => coerceNumber(i.COGS, 0) <= remainingBudget);
+          pool = affordable.filter(i => !received.has(i.Code));
+          if (pool.length > 0) {
+            item = selectItemWithEF_(pool, efMin, efMax, rng);
+          } else {
+            steps.push(`${level} ${atLevel.length === 0 ? 'none eligible' :
+              inStock.length === 0 ? 'out of stock' : affordable.length === 0 ? 'over budget' : 'already received'}`);
+          }
+        }
+        const why = `${place} → ${pick.level} (${pick.label})` + (steps.length > 0 ? `; ${steps.join(', ')}` : '');
+        if (!item) {
+          skipped.push({ preferredName: player.preferredName, placement: player.placement, targetLevel: pick.level,
+            reason: `${why}; nothing left down to L0` });
+          continue;
+        }
+        const itemCOGS = coerceNumber(item.COGS, 0);
+        const level = normalizePrizeLevel_(item.Level) || 'L0';
+        allocations.push({
+          preferredName: player.preferredName,
+          code: item.Code,
+          name: item.Name,
+          level,
+          qty: 1,
+          cogs: itemCOGS,
+          placement: player.placement,
+          targetLevel: pick.level,
+          reason: `${why}${level !== pick.level ? ` → ${level}` : ''}; seeded pick from ${pool.length} item(s)`
+        });
+        remainingBudget -= itemCOGS;
+        itemStock.set(item.Code, itemStock.get(item.Code) - 1);
+        if (!allowDuplicates) received.add(item.Code);
+      }
+    });
   });
-  return allocations;
+  return { allocations, skipped };
 }
 /**
  * Selects item using EF clamp (weighted random)
@@ -176,9 +236,10 @@ function selectItemWithEF_(items, efMin, efMax, rng) {
  * Commits end prizes (with hash verification)
  * @param {string} eventId - Event tab name
  * @param {string} previewHash - Hash from preview
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes (see awardPrizeRunBP_)
  * @return {Object} Commit result
  */
-function commitEndPrizes(eventId, previewHash) {
+function commitEndPrizes(eventId, previewHash, bpAwards) {
   // Get preview artifact
   const artifact = getPreviewArtifact(eventId);
   if (!artifact) {
@@ -197,6 +258,31 @@ function commitEndPrizes(eventId, previewHash) {
   if (preview.rlBand === 'RED') {
     throwError('Budget exceeded', 'BUDGET_RED', 'Reduce allocations or increase budget');
   }
+  snapshotBeforeCommit('COMMIT', eventId, ['Prize_Catalog', eventId]);
+  const batchId = writeEndPrizeAllocations_(eventId, preview.allocations);
+  const bp = awardPrizeRunBP_(eventId, batchId, bpAwards);
+  // Log commit
+  logCommit(eventId, artifact.seed, previewHash, preview.hash, preview.rlBand, preview.spend);
+  // Delete artifact
+  deletePreviewArtifact(artifact.artifactId);
+  return {
+    success: true,
+    allocated: preview.allocations.length,
+    spend: preview.spend,
+    budget: preview.budget,
+    bpAwards: bp,
+    batchId
+  };
+}
+/**
+ * Writes committed end prizes: End_Prizes cells, catalog stock, the batch
+ * journal and Spent_Pool. Shared by commitEndPrizes() and commitPrizeWall().
+ * @param {string} eventId - Event tab name
+ * @param {Array<Object>} allocations - [{preferredName, code, name, level, qty, cogs}]
+ * @return {string} Batch ID
+ * @private
+ */
+function writeEndPrizeAllocations_(eventId, allocations) {
   // Write to event sheet (column F: End_Prizes)
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(eventId);
@@ -210,9 +296,10 @@ function commitEndPrizes(eventId, previewHash) {
   if (nameCol === -1 || endCol === -1) {
     throwError('Invalid event schema', 'SCHEMA_INVALID');
   }
+  const nameHeader = String(headers[nameCol]);
   // Group allocations by player
   const allocationMap = new Map();
-  preview.allocations.forEach(alloc => {
+  allocations.forEach(alloc => {
     if (!allocationMap.has(alloc.preferredName)) {
       allocationMap.set(alloc.preferredName, []);
     }
@@ -221,17 +308,23 @@ function commitEndPrizes(eventId, previewHash) {
     }
   });
   // Write to sheet
+  const effects = [];
   for (let i = 1; i < data.length; i++) {
     const preferredName = data[i][nameCol];
     const codes = allocationMap.get(preferredName) || [];
-    sheet.getRange(i + 1, endCol + 1).setValue(codes.join(', '));
+    const value = codes.join(', ');
+    sheet.getRange(i + 1, endCol + 1).setValue(value);
+    if (data[i][endCol] !== value) {
+      effects.push(eventCellEffect_(eventId, nameHeader, preferredName, 'End_Prizes', data[i][endCol], value));
+    }
   }
   // Decrement catalog stock
-  decrementCatalogStock_(preview.allocations);
+  effects.push(...decrementCatalogStock_(allocations));
   // Write to Spent_Pool
   const batchId = newBatchId();
+  recordBatchEffects(batchId, effects);
   const eventProps = getEventProps(sheet);
-  const spentEntries = preview.allocations.map(alloc => ({
+  const spentEntries = allocations.map(alloc => ({
     eventId,
     itemCode: alloc.code,
     itemName: alloc.name,
@@ -241,33 +334,25 @@ function commitEndPrizes(eventId, previewHash) {
     eventType: eventProps.event_type || 'CONSTRUCTED'
   }));
   writeSpentPool(spentEntries, batchId);
-  // Log commit
-  logCommit(eventId, artifact.seed, previewHash, preview.hash, preview.rlBand, preview.spend);
-  // Delete artifact
-  deletePreviewArtifact(artifact.artifactId);
-  return {
-    success: true,
-    allocated: preview.allocations.length,
-    spend: preview.spend,
-    budget: preview.budget,
-    batchId
-  };
+  return batchId;
 }
 /**
  * Decrements catalog stock for allocations
  * @param {Array<Object>} allocations - Allocations
+ * @return {Array<Object>} Batch effects for recordBatchEffects()
  * @private
  */
 function decrementCatalogStock_(allocations) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Prize_Catalog');
-  if (!sheet) return;
+  if (!sheet) return [];
   const data = sheet.getDataRange().getValues();
   const headers = data[0];
   const codeCol = headers.indexOf('Code');
   const qtyCol = headers.indexOf('Qty');
   const inStockCol = headers.indexOf('InStock');
-  if (codeCol === -1 || qtyCol === -1) return;
+  if (codeCol === -1 || qtyCol === -1) return [];
+  const effects = [];
   // Group by code
   const qtyMap = new Map();
   allocations.forEach(alloc => {
@@ -282,12 +367,51 @@ function decrementCatalogStock_(allocations) {
       const currentQty = coerceNumber(data[i][qtyCol], 0);
       const newQty = Math.max(0, currentQty - deduct);
       sheet.getRange(i + 1, qtyCol + 1).setValue(newQty);
+      effects.push({
+        sheet: 'Prize_Catalog', keyColumn: 'Code', keyValue: code,
+        column: 'Qty', mode: 'DELTA', before: currentQty, after: newQty
+      });
       // Update InStock
       if (inStockCol !== -1) {
         sheet.getRange(i + 1, inStockCol + 1).setValue(newQty > 0);
+        effects.push({
+          sheet: 'Prize_Catalog', keyColumn: 'Code', keyValue: code,
+          column: 'InStock', mode: 'SET', before: data[i][inStockCol], after: newQty > 0
+        });
       }
     }
   }
+  return effects;
+}
+/**
+ * Builds a SET effect for a prize cell on an event tab
+ * @param {string} eventId - Event tab name
+ * @param {string} keyColumn - Header of the player name column, as read from the tab
+ * @param {string} preferredName - Row key
+ * @param {string} column - Prize column header
+ * @param {*} before - Previous cell value
+ * @param {*} after - Written cell value
+ * @return {Object} Batch effect
+ * @private
+ */
+function eventCellEffect_(eventId, keyColumn, preferredName, column, before, after) {
+  return { sheet: eventId, keyColumn, keyValue: preferredName, column, mode: 'SET', before, after };
+}
+/**
+ * Awards the BP that goes with a prize run under the run's batch ID, so
+ * revertBatch() voids it together with the prizes
+ * @param {string} eventId - Event tab name
+ * @param {string} batchId - Prize run batch ID
+ * @param {Array<Object>} [bpAwards] - [{preferredName, amount, source, note}]
+ * @return {Array<Object>} awardBonusPoints() results
+ * @private
+ */
+function awardPrizeRunBP_(eventId, batchId, bpAwards) {
+  return (bpAwards || []).map(award => awardBonusPoints(award.preferredName, award.amount, award.source || 'PRIZE_RUN', {
+    eventId,
+    batchId,
+    note: award.note || `Prize run ${batchId}`
+  }));
 }
 // ============================================================================
 // COMMANDER ROUNDS
@@ -362,9 +486,10 @@ function previewCommanderRound(eventId, roundId, throttle = null, seed = null) {
  * @param {string} eventId - Event ID
  * @param {number} roundId - Round number
  * @param {string} previewHash - Preview hash
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes (see awardPrizeRunBP_)
  * @return {Object} Commit result
  */
-function commitCommanderRound(eventId, roundId, previewHash) {
+function commitCommanderRound(eventId, roundId, previewHash, bpAwards) {
   // Similar to commitEndPrizes but writes to R1_Prize, R2_Prize, or R3_Prize column
   const colName = `R${roundId}_Prize`;
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -384,19 +509,24 @@ function commitCommanderRound(eventId, roundId, previewHash) {
   if (nameCol === -1 || roundCol === -1) {
     throwError('Invalid schema', 'SCHEMA_INVALID');
   }
+  const nameHeader = String(headers[nameCol]);
+  snapshotBeforeCommit('COMMIT', eventId, ['Prize_Catalog', eventId]);
   // Write allocations
+  const effects = [];
   preview.allocations.forEach(alloc => {
     for (let i = 1; i < data.length; i++) {
       if (data[i][nameCol] === alloc.preferredName) {
         sheet.getRange(i + 1, roundCol + 1).setValue(alloc.code);
+        effects.push(eventCellEffect_(eventId, nameHeader, alloc.preferredName, colName, data[i][roundCol], alloc.code));
         break;
       }
     }
   });
   // Decrement stock
-  decrementCatalogStock_(preview.allocations);
+  effects.push(...decrementCatalogStock_(preview.allocations));
   // Spent_Pool
   const batchId = newBatchId();
+  recordBatchEffects(batchId, effects);
   const eventProps = getEventProps(sheet);
   const spentEntries = preview.allocations.map(alloc => ({
     eventId,
@@ -408,15 +538,18 @@ function commitCommanderRound(eventId, roundId, previewHash) {
     eventType: eventProps.event_type || 'CONSTRUCTED'
   }));
   writeSpentPool(spentEntries, batchId);
+  const bp = awardPrizeRunBP_(eventId, batchId, bpAwards);
   logIntegrityAction('ROUND_ALLOCATE', {
     eventId,
-    details: `Round ${roundId}: ${preview.allocations.length} prizes`,
+    details: `Round ${roundId}: ${preview.allocations.length} prizes | Batch: ${batchId}`,
     status: 'SUCCESS'
   });
   return {
     success: true,
     allocated: preview.allocations.length,
-    spend: preview.spend
+    spend: preview.spend,
+    bpAwards: bp,
+    batchId
   };
 }
 
@@ -586,9 +719,10 @@ function previewCommanderPrizesFromTemplate(eventId) {
  * Commits Commander prizes from template to event sheet
  * @param {string} eventId - Event ID
  * @param {string} previewHash - Hash from preview
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes (see awardPrizeRunBP_)
  * @return {Object} Commit result
  */
-function commitCommanderPrizesFromTemplate(eventId, previewHash) {
+function commitCommanderPrizesFromTemplate(eventId, previewHash, bpAwards) {
   // Get preview artifact
   const artifact = getPreviewArtifact(eventId + '_COMMANDER');
 
@@ -631,6 +765,9 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
   if (nameCol === -1) {
     throwError('Invalid event schema', 'SCHEMA_INVALID', 'PreferredName column not found');
   }
+  const nameHeader = String(headers[nameCol]);
+
+  snapshotBeforeCommit('COMMIT', eventId, ['Prize_Catalog', eventId]);
 
   // Group allocations by player and round
   const allocationsByPlayer = {};
@@ -655,31 +792,34 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
   });
 
   // Write to sheet
+  const effects = [];
+  const columns = [
+    { key: 'R1', col: r1Col, header: 'R1_Prize' },
+    { key: 'R2', col: r2Col, header: 'R2_Prize' },
+    { key: 'R3', col: r3Col, header: 'R3_Prize' },
+    { key: 'End', col: endCol, header: 'End_Prizes' }
+  ];
+
   for (let i = 1; i < data.length; i++) {
     const preferredName = data[i][nameCol];
     const playerAllocs = allocationsByPlayer[preferredName];
 
     if (!playerAllocs) continue;
 
-    if (r1Col !== -1 && playerAllocs.R1.length > 0) {
-      sheet.getRange(i + 1, r1Col + 1).setValue(playerAllocs.R1.join(', '));
-    }
-    if (r2Col !== -1 && playerAllocs.R2.length > 0) {
-      sheet.getRange(i + 1, r2Col + 1).setValue(playerAllocs.R2.join(', '));
-    }
-    if (r3Col !== -1 && playerAllocs.R3.length > 0) {
-      sheet.getRange(i + 1, r3Col + 1).setValue(playerAllocs.R3.join(', '));
-    }
-    if (endCol !== -1 && playerAllocs.End.length > 0) {
-      sheet.getRange(i + 1, endCol + 1).setValue(playerAllocs.End.join(', '));
-    }
+    columns.forEach(({ key, col, header }) => {
+      if (col === -1 || playerAllocs[key].length === 0) return;
+      const value = playerAllocs[key].join(', ');
+      sheet.getRange(i + 1, col + 1).setValue(value);
+      effects.push(eventCellEffect_(eventId, nameHeader, preferredName, header, data[i][col], value));
+    });
   }
 
   // Decrement catalog stock
-  decrementCatalogStock_(preview.allocations);
+  effects.push(...decrementCatalogStock_(preview.allocations));
 
   // Write to Spent_Pool
   const batchId = newBatchId();
+  recordBatchEffects(batchId, effects);
   const eventProps = getEventProps(sheet);
   const spentEntries = preview.allocations.map(alloc => ({
     eventId,
@@ -692,6 +832,7 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
   }));
 
   writeSpentPool(spentEntries, batchId);
+  const bp = awardPrizeRunBP_(eventId, batchId, bpAwards);
 
   // Log commit
   logCommit(eventId + '_COMMANDER', preview.seed, previewHash, preview.hash, preview.rlBand, preview.expectedCOGS);
@@ -705,6 +846,7 @@ function commitCommanderPrizesFromTemplate(eventId, previewHash) {
     spend: preview.expectedCOGS,
     budget: preview.rlBudget,
     rlBand: preview.rlBand,
+    bpAwards: bp,
     batchId
   };
 }
\ No newline at end of file
@@ -0,0 +1,457 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PRIZE SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the end-prize Preview→Commit flow.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPrizeService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPrizeService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PRIZE SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Preview Determinism', testPrizePreviewDeterminism_, results);
+  runTestSuite_('Preview Budget & Levels', testPrizePreviewBudget_, results);
+  runTestSuite_('Placement Tables', testPrizePlacementTables_, results);
+  runTestSuite_('Ladder Fallback', testPrizeLadderFallback_, results);
+  runTestSuite_('Duplicate Avoidance', testPrizeDuplicateAvoidance_, results);
+  runTestSuite_('Commit Writes', testPrizeCommitWrites_, results);
+  runTestSuite_('Commit Hash Guard', testPrizeCommitHashGuard_, results);
+  runTestSuite_('Revert Batch', testPrizeRevertBatch_, results);
+  runTestSuite_('Revert Across Sheets', testPrizeRevertAcrossSheets_, results);
+  runTestSuite_('Revert Checksum Guard', testPrizeRevertChecksumGuard_, results);
+  runTestSuite_('Revert Coerced Journal', testPrizeRevertCoercedJournal_, results);
+  runTestSuite_('Standalone BP Award Batch', testPrizeStandaloneBPBatch_, results);
+  runTestSuite_('Prize Run BP Revert', testPrizeRunBPRevert_, results);
+  runTestSuite_('Revert Text Keys', testPrizeRevertTextKeys_, results);
+  runTestSuite_('Revert Rollback Keeps Formulas', testPrizeRevertRollbackFormulas_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Seeds an 8-player constructed event ($20 entry) and a small catalog
+ * @return {string} Event ID
+ */
+function seedPrizeWorkbook_() {
+  const eventId = '11-02C-2025';
+  const roster = [['Rank', 'PreferredName', 'R1_Prize', 'R2_Prize', 'R3_Prize', 'End_Prizes']];
+  ['Alex', 'Blake', 'Casey', 'Drew', 'Emery', 'Finley', 'Gray', 'Harper'].forEach((name, i) => {
+    roster.push([i + 1, name, '', '', '', '']);
+  });
+
+  GAS_EMULATOR.reset({
+    Prize_Catalog: [
+      ['Code', 'Name', 'Level', 'COGS', 'EV_Cost', 'Qty', 'Eligible_Rounds', 'Eligible_End', 'Player_Threshold', 'InStock'],
+      ['L3-BOX', 'Collector Booster', 'L3', 10, 1.5, 4, false, true, 0, true],
+      ['L2-PACK', 'Set Booster', 'L2', 5, 1.2, 4, false, true, 0, true],
+      ['L1-PROMO', 'Promo Card', 'L1', 1, 1.0, 10, true, true, 0, true],
+      ['L0-SLEEVE', 'Sleeves', 'L0', 0.5, 1.0, 10, false, true, 0, true],
+      ['L3-HIDDEN', 'Not For End', 'L3', 10, 1.0, 5, false, false, 0, true]
+    ],
+    [eventId]: roster
+  });
+
+  setEventProps(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId), {
+    entry: 20,
+    event_type: 'CONSTRUCTED'
+  });
+
+  return eventId;
+}
+
+/**
+ * Replaces the catalog rows of the seeded workbook
+ * @param {Array<Array>} rows - Catalog rows (without header)
+ */
+function seedPrizeCatalog_(rows) {
+  GAS_EMULATOR.seedSheet('Prize_Catalog', [
+    ['Code', 'Name', 'Level', 'COGS', 'EV_Cost', 'Qty', 'Eligible_Rounds', 'Eligible_End', 'Player_Threshold', 'InStock']
+  ].concat(rows));
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPrizePreviewDeterminism_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const first = previewEndPrizes(eventId, null, 'SEED000001');
+  const second = previewEndPrizes(eventId, null, 'SEED000001');
+
+  assert_(first.hash === second.hash, 'Same seed produces the same preview hash', results);
+  assert_(JSON.stringify(first.allocations) === JSON.stringify(second.allocations),
+    'Same seed produces identical allocations', results);
+  assert_(first.players === 8, 'Preview counts 8 players from column B', results);
+}
+
+function testPrizePreviewBudget_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000002');
+
+  assert_(Math.abs(preview.budget - 152) < 0.001, 'Budget = $20 × 8 × 0.95', results);
+  assert_(preview.spend <= preview.budget, 'Spend stays within budget', results);
+  assert_(preview.allocations.every(a => a.code !== 'L3-HIDDEN'),
+    'Items with Eligible_End = false are never allocated', results);
+
+  const topFour = preview.allocations.filter(a => ['Alex', 'Blake', 'Casey', 'Drew'].includes(a.preferredName));
+  assert_(topFour.length === 4 && topFour.every(a => a.level === 'L3'), 'Top 4 receive L3 prizes', results);
+}
+
+function testPrizePlacementTables_(results) {
+  const eventId = seedPrizeWorkbook_();
+
+  // Rank column wins over row order
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  sheet.getRange(2, 1).setValue(8);
+  sheet.getRange(9, 1).setValue(1);
+  let preview = previewEndPrizes(eventId, null, 'SEED000010');
+  const byName = name => preview.allocations.filter(a => a.preferredName === name);
+  assert_(byName('Harper')[0].placement === 1 && byName('Harper')[0].level === 'L3', 'Rank 1 in column A is placed first', results);
+  assert_(byName('Alex')[0].placement === 8 && byName('Alex')[0].level === 'L2', 'Row 1 with Rank 8 is placed 8th', results);
+  assert_(preview.prizeTable.suffix === '*' && preview.prizeTable.source === 'DEFAULT',
+    'Without Prize_Level_Tables the "*" code defaults apply', results);
+  assert_(byName('Harper')[0].reason.indexOf('Place 1 of 8 → L3') === 0, 'Each pick explains place and target level', results);
+
+  // Suffix rows override "*" rows for that suffix only
+  GAS_EMULATOR.seedSheet('Prize_Level_Tables', [
+    PRIZE_LEVEL_TABLE_HEADERS,
+    ['*', 1, '', 1, '', 'L0', 1, ''],
+    ['C', 8, 8, 1, 1, 'L3', 2, 'Winner gets two'],
+    ['C', 8, 8, 2, 8, 'L1', 1, '']
+  ]);
+  preview = previewEndPrizes(eventId, null, 'SEED000010');
+  assert_(preview.prizeTable.suffix === 'C' && preview.prizeTable.source === 'SHEET', 'Suffix C rows are used for a C event', results);
+  assert_(byName('Harper').length === 2 && byName('Harper').map(a => a.level).join(',') === 'L3,L2',
+    'Qty 2 gives two picks; the second steps down rather than repeat the only L3 item', results);
+  assert_(byName('Blake').every(a => a.level === 'L1'), 'Other places follow their row', results);
+  assert_(getPrizeLevelTable('B', 8).suffix === '*', 'Suffixes without rows fall back to "*"', results);
+  assert_(getPrizeLevelTable('C', 12).rows[0].level === 'L0', 'Suffix rows only apply inside their player band', results);
+
+  GAS_EMULATOR.seedSheet('Prize_Level_Tables', [PRIZE_LEVEL_TABLE_HEADERS, ['*', 1, '', 1, '', 'L14', 1, '']]);
+  let error = null;
+  try {
+    previewEndPrizes(eventId, null, 'SEED000010');
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[PRIZE_TABLE_INVALID]') === 0 && error.message.indexOf('Row 2') !== -1,
+    'Levels off the L0–L13 ladder are rejected with the row number', results);
+}
+
+function testPrizeLadderFallback_(results) {
+  const eventId = seedPrizeWorkbook_();
+  seedPrizeCatalog_([
+    ['L3-BOX', 'Collector Booster', 'L3', 10, 1.5, 2, false, true, 0, true],
+    ['L2-PACK', 'Set Booster', 'L2', 5, 1.2, 1, false, true, 0, true],
+    ['L1-PROMO', 'Promo Card', 'L1', 1, 1.0, 3, true, true, 0, true]
+  ]);
+
+  const preview = previewEndPrizes(eventId, null, 'SEED000011');
+  const levels = preview.allocations.map(a => a.preferredName + ':' + a.level).join(',');
+  assert_(levels === 'Alex:L3,Blake:L3,Casey:L2,Drew:L1,Emery:L1,Finley:L1', 'Picks step down the ladder as stock runs out', results);
+
+  const casey = preview.allocations.find(a => a.preferredName === 'Casey');
+  assert_(casey.targetLevel === 'L3' && casey.reason.indexOf('L3 out of stock') !== -1 && casey.reason.indexOf('→ L2') !== -1,
+    'Fallback is explained', results);
+  assert_(preview.skipped.length === 2 && preview.skipped[0].preferredName === 'Gray' &&
+    preview.skipped[0].reason.indexOf('nothing left down to L0') !== -1, 'Players left without a prize are listed with why', results);
+
+  const budgetPreview = previewEndPrizes(eventId, { EF_Clamp_Min: 0.8, EF_Clamp_Max: 2.25 }, 'SEED000011');
+  assert_(JSON.stringify(budgetPreview.allocations) === JSON.stringify(preview.allocations), 'Explicit throttle gives the same picks', results);
+}
+
+function testPrizeDuplicateAvoidance_(results) {
+  const eventId = seedPrizeWorkbook_();
+  seedPrizeCatalog_([
+    ['L3-BOX', 'Collector Booster', 'L3', 10, 1.5, 10, false, true, 0, true],
+    ['L3-DECK', 'Commander Deck', 'L3', 10, 1.0, 10, false, true, 0, true],
+    ['L2-PACK', 'Set Booster', 'L2', 5, 1.2, 10, false, true, 0, true],
+    ['L1-PROMO', 'Promo Card', 'L1', 1, 1.0, 20, true, true, 0, true]
+  ]);
+  GAS_EMULATOR.seedSheet('Prize_Level_Tables', [
+    PRIZE_LEVEL_TABLE_HEADERS,
+    ['*', 1, '', 1, 1, 'L3', 3, ''],
+    ['*', 1, '', 2, '', 'L1', 1, '']
+  ]);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  sheet.getRange(3, 3).setValue('L1-PROMO');
+
+  const preview = previewEndPrizes(eventId, null, 'SEED000012');
+  const alex = preview.allocations.filter(a => a.preferredName === 'Alex').map(a => a.code);
+  assert_(alex.length === 3 && new Set(alex).size === 3, 'One player never gets the same item twice', results);
+  assert_(alex.filter(c => c.indexOf('L3') === 0).length === 2 && alex.includes('L2-PACK'),
+    'Third L3 pick steps down once both L3 items are taken', results);
+
+  const blake = preview.allocations.filter(a => a.preferredName === 'Blake');
+  assert_(blake.length === 0 && preview.skipped.some(s => s.preferredName === 'Blake' && s.reason.indexOf('already received') !== -1),
+    'Round prizes already on the event tab count as received', results);
+
+  const allowed = previewEndPrizes(eventId, { Allow_Duplicate_Items: 'TRUE' }, 'SEED000012');
+  assert_(allowed.allocations.some(a => a.preferredName === 'Blake' && a.code === 'L1-PROMO'),
+    'Allow_Duplicate_Items = TRUE lifts the rule', results);
+}
+
+function testPrizeCommitWrites_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000003');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+
+  const commit = commitEndPrizes(eventId, preview.hash);
+  assert_(commit.success === true && commit.allocated === preview.allocations.length,
+    'Commit reports every previewed allocation', results);
+
+  const eventRows = GAS_EMULATOR.dump(eventId);
+  const alexRow = eventRows.find(r => r[1] === 'Alex');
+  const alexAlloc = preview.allocations.find(a => a.preferredName === 'Alex');
+  assert_(alexRow[5] === alexAlloc.code, 'End_Prizes column holds the allocated code', results);
+
+  const catalog = toObjects(GAS_EMULATOR.dump('Prize_Catalog'));
+  const l3 = catalog.find(item => item.Code === 'L3-BOX');
+  const l3Allocated = preview.allocations.filter(a => a.code === 'L3-BOX').length;
+  assert_(l3.Qty === 4 - l3Allocated, 'Prize_Catalog.Qty is decremented by the allocated quantity', results);
+  assert_(l3.InStock === (l3.Qty > 0), 'InStock follows the remaining quantity', results);
+
+  const spent = toObjects(GAS_EMULATOR.dump('Spent_Pool'));
+  assert_(spent.length === preview.allocations.length, 'One Spent_Pool row per allocation', results);
+  assert_(spent.every(row => row.Batch_ID === commit.batchId && row.Reverted === false),
+    'Spent_Pool rows carry the batch ID and are not reverted', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(row => row.Action === 'COMMIT' && row.Event_ID === eventId && row.Status === 'SUCCESS'),
+    'Integrity_Log records a successful COMMIT', results);
+  assert_(getPreviewArtifact(eventId) === null, 'Preview artifact is consumed by the commit', results);
+}
+
+function testPrizeCommitHashGuard_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000004');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+
+  let error = null;
+  try {
+    commitEndPrizes(eventId, 'not-the-hash');
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[HASH_MISMATCH]') === 0, 'Stale hash is rejected', results);
+  assert_(GAS_EMULATOR.dump('Spent_Pool').length === 0, 'Rejected commit writes nothing to Spent_Pool', results);
+
+  error = null;
+  try {
+    commitEndPrizes('12-31-2099', preview.hash);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[NO_PREVIEW]') === 0, 'Commit without a preview is rejected', results);
+}
+
+function testPrizeRevertBatch_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const catalogBefore = GAS_EMULATOR.dump('Prize_Catalog');
+  const eventBefore = GAS_EMULATOR.dump(eventId);
+  const preview = previewEndPrizes(eventId, null, 'SEED000005');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+  const commit = commitEndPrizes(eventId, preview.hash);
+
+  assert_(getEventSpent(eventId) === preview.spend, 'getEventSpent matches the committed spend', results);
+
+  const reverted = revertBatch(commit.batchId);
+  assert_(reverted.count === preview.allocations.length, 'revertBatch flags every Spent_Pool row in the batch', results);
+  assert_(reverted.skipped.length === 0, 'Nothing is skipped when the workbook is untouched', results);
+  assert_(getEventSpent(eventId) === 0, 'Reverted rows no longer count as spent', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump('Prize_Catalog')) === JSON.stringify(catalogBefore),
+    'Prize_Catalog Qty/InStock are restored', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump(eventId)) === JSON.stringify(eventBefore),
+    'End_Prizes column on the event tab is restored', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  const entry = log.find(row => row.Action === 'REVERT_BATCH');
+  assert_(entry && entry.Status === 'SUCCESS' && entry.Checksum_Before && entry.Checksum_After &&
+    entry.Checksum_Before !== entry.Checksum_After, 'Compensating entry carries before/after checksums', results);
+
+  assert_(revertBatch(commit.batchId).count === 0, 'Reverting the same batch twice is a no-op', results);
+}
+
+function testPrizeRevertAcrossSheets_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000006');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+  const commit = commitEndPrizes(eventId, preview.hash);
+
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName'], ['Alex']]);
+  GAS_EMULATOR.seedSheet('BP_Total', [['PreferredName', 'Current_BP', 'Historical_BP'], ['Alex', 10, 40]]);
+  const award = awardBonusPoints('Alex', 5, 'TOP4', { eventId, batchId: commit.batchId });
+  assert_(award.success && award.batchId === commit.batchId, 'BP award joins the prize batch', results);
+
+  // Restock between commit and revert: DELTA effects must keep the new stock
+  const catalog = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  const l1Row = GAS_EMULATOR.dump('Prize_Catalog').findIndex(r => r[0] === 'L1-PROMO') + 1;
+  const l1Allocated = preview.allocations.filter(a => a.code === 'L1-PROMO').length;
+  catalog.getRange(l1Row, 6).setValue(10 - l1Allocated + 20);
+
+  // Hand-edit one prize cell: SET effects must not clobber it
+  const eventSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  eventSheet.getRange(2, 6).setValue('MANUAL');
+
+  const reverted = revertBatch(commit.batchId);
+  const bp = toObjects(GAS_EMULATOR.dump('BP_Total'))[0];
+  assert_(bp.Current_BP === 10 && bp.Historical_BP === 40, 'BP awarded with the batch is reverted', results);
+  assert_(GAS_EMULATOR.dump('Prize_Catalog')[l1Row - 1][5] === 30, 'Catalog revert is a delta on top of later restock', results);
+  assert_(GAS_EMULATOR.dump(eventId)[1][5] === 'MANUAL' && reverted.skipped.length === 1,
+    'Cells edited after commit are skipped and reported', results);
+
+  const effects = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Batch_Effects');
+  assert_(effects.isSheetHidden(), 'Batch_Effects is a hidden journal sheet', results);
+}
+
+function testPrizeRevertChecksumGuard_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000007');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+  const commit = commitEndPrizes(eventId, preview.hash);
+  const catalogAfterCommit = GAS_EMULATOR.dump('Prize_Catalog');
+
+  // Tamper with a journaled Before value
+  const journal = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Batch_Effects');
+  journal.getRange(2, 9).setValue('"tampered"');
+
+  let error = null;
+  try {
+    revertBatch(commit.batchId);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[CHECKSUM_MISMATCH]') === 0, 'Tampered journal rows block the revert', results);
+  assert_(JSON.stringify(GAS_EMULATOR.dump('Prize_Catalog')) === JSON.stringify(catalogAfterCommit),
+    'A blocked revert writes nothing', results);
+  assert_(getEventSpent(eventId) === preview.spend, 'Spent_Pool rows stay live', results);
+}
+
+function testPrizeRevertCoercedJournal_(results) {
+  seedPrizeWorkbook_();
+  seedPrizeCatalog_([['001', 'Numbered Promo', 'L1', 1, 1.0, 2, true, true, 0, true]]);
+  const batchId = newBatchId();
+  recordBatchEffects(batchId, [
+    { sheet: 'Prize_Catalog', keyColumn: 'Code', keyValue: '001', column: 'Qty', mode: 'SET', before: 3, after: 2 },
+    { sheet: 'Prize_Catalog', keyColumn: 'Code', keyValue: '001', column: 'Name', mode: 'SET',
+      before: '2026-01-05', after: 'Numbered Promo' }
+  ]);
+
+  // What Sheets does to text it can parse: "001" → 1 in the journal and on the catalog
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  ss.getSheetByName('Batch_Effects').getRange(2, 6, 2, 1).setValues([[1], [1]]);
+  ss.getSheetByName('Prize_Catalog').getRange(2, 1).setValue(1);
+
+  let error = null;
+  let reverted = null;
+  try {
+    reverted = revertBatch(batchId);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error === null, 'Coerced journal rows still verify (no CHECKSUM_MISMATCH)', results);
+  assert_(reverted && reverted.effectsReverted === 2 && reverted.skipped.length === 0,
+    'Both effects are replayed against the coerced key', results);
+  const row = toObjects(GAS_EMULATOR.dump('Prize_Catalog'))[0];
+  assert_(row.Qty === 3 && row.Name === '2026-01-05', 'Before values are restored', results);
+}
+
+function testPrizeStandaloneBPBatch_(results) {
+  seedPrizeWorkbook_();
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName'], ['Alex']]);
+  GAS_EMULATOR.seedSheet('BP_Total', [['PreferredName', 'Current_BP', 'Historical_BP'], ['Alex', 10, 40]]);
+
+  const award = awardBonusPoints('Alex', 5, 'TOP4', { eventId: '11-02C-2025' });
+  assert_(award.success && award.batchId, 'An award without a batch gets its own batch ID', results);
+  assert_(toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 15, 'Award is projected to BP_Total', results);
+
+  const reverted = revertBatch(award.batchId);
+  assert_(reverted.bpEntriesReverted === 1, 'revertBatch voids the award', results);
+  assert_(toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 10, 'BP_Total is back to the pre-award balance', results);
+}
+
+function testPrizeRunBPRevert_(results) {
+  const eventId = seedPrizeWorkbook_();
+  GAS_EMULATOR.seedSheet('PreferredNames', [['PreferredName'], ['Alex'], ['Blake']]);
+  GAS_EMULATOR.seedSheet('BP_Total', [['PreferredName', 'Current_BP', 'Historical_BP'], ['Alex', 10, 40], ['Blake', 2, 2]]);
+  const bpBefore = GAS_EMULATOR.dump('BP_Total');
+
+  const preview = previewEndPrizes(eventId, null, 'SEED000008');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+  const commit = commitEndPrizes(eventId, preview.hash, [
+    { preferredName: 'Alex', amount: 3, source: 'TOP4' },
+    { preferredName: 'Blake', amount: 1, source: 'TOP4' }
+  ]);
+  assert_(commit.bpAwards.length === 2 && commit.bpAwards.every(r => r.success && r.batchId === commit.batchId),
+    'Every BP award the commit makes carries the prize batch ID', results);
+  assert_(toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 13, 'The awards reach BP_Total', results);
+
+  const reverted = revertBatch(commit.batchId);
+  assert_(reverted.bpEntriesReverted === 2, 'Reverting the prize run voids its BP awards', results);
+  const bpAfter = toObjects(GAS_EMULATOR.dump('BP_Total'));
+  const before = toObjects(bpBefore);
+  assert_(bpAfter.every((row, i) => row.Current_BP === before[i].Current_BP && row.Historical_BP === before[i].Historical_BP),
+    'BP_Total is back to its pre-commit balances', results);
+}
+
+function testPrizeRevertTextKeys_(results) {
+  seedPrizeWorkbook_();
+  seedPrizeCatalog_([
+    ['001', 'Numbered Promo', 'L1', 1, 1.0, 2, true, true, 0, true],
+    ['1', 'Plain Promo', 'L1', 1, 1.0, 5, true, true, 0, true]
+  ]);
+  const batchId = newBatchId();
+  recordBatchEffects(batchId, [
+    { sheet: 'Prize_Catalog', keyColumn: 'Code', keyValue: '1', column: 'Name', mode: 'SET', before: 'Old Promo', after: 'Plain Promo' }
+  ]);
+
+  revertBatch(batchId);
+  const rows = toObjects(GAS_EMULATOR.dump('Prize_Catalog'));
+  assert_(rows[0].Name === 'Numbered Promo' && rows[1].Name === 'Old Promo',
+    'Keys match as text: "1" does not revert the "001" row', results);
+}
+
+function testPrizeRevertRollbackFormulas_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const preview = previewEndPrizes(eventId, null, 'SEED000009');
+  storePreviewArtifact(eventId, preview.seed, preview.hash);
+  const commit = commitEndPrizes(eventId, preview.hash);
+  const catalog = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  catalog.getRange(1, 11).setValue('Stock_Value');
+  catalog.getRange(2, 11).setFormula('=F2*D2');
+
+  const original = reverseBPLedgerBatch_;
+  reverseBPLedgerBatch_ = () => { throw new Error('ledger unavailable'); };
+  let error = null;
+  try {
+    revertBatch(commit.batchId);
+  } catch (e) {
+    error = e;
+  } finally {
+    reverseBPLedgerBatch_ = original;
+  }
+  assert_(error !== null && catalog.getRange(2, 11).getFormula() === '=F2*D2',
+    'A rolled-back revert puts formula cells back as formulas', results);
+}
@@ -0,0 +1,361 @@
+/**
+ * Prize Wall Service - Players Pick Their End Prizes
+ * @fileoverview "Draft the wall" alternative to the seeded end-prize preview.
+ * Players walk up in standings order and choose from the wall; staff record
+ * each pick (or pass) from the Prize Wall dialog. Stock and budget are checked
+ * on every pick, and the finished wall commits through the same End_Prizes /
+ * Spent_Pool / Batch_Effects / Integrity_Log path as commitEndPrizes().
+ *
+ * SHEET: Prize_Wall_Picks – one row per pick while the wall is open
+ *   Status: PICKED | PASSED → COMMITTED once the wall is committed. COMMITTED
+ *   rows are history only: reverting the prize batch clears End_Prizes and
+ *   the wall can be run again from an empty board.
+ *
+ * ORDER: placements come from readEventPlacements_() (Rank column, then row
+ * order), so the wall follows the same standings as the seeded preview.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PRIZE_WALL_SHEET = 'Prize_Wall_Picks';
+
+const PRIZE_WALL_HEADERS = [
+  'Event_ID', 'Pick_No', 'PreferredName', 'Placement', 'Code', 'Name', 'Level', 'COGS',
+  'Status', 'Picked_At', 'Picked_By'
+];
+
+const PRIZE_WALL_STATUS = {
+  PICKED: 'PICKED',
+  PASSED: 'PASSED',
+  COMMITTED: 'COMMITTED'
+};
+
+// ============================================================================
+// WALL STATE
+// ============================================================================
+
+/**
+ * Current state of an event's prize wall.
+ *
+ * @param {string} eventId - Event tab name
+ * @return {Object} {eventId, status: 'OPEN'|'COMPLETE'|'AWARDED', budget, spend,
+ *   remainingBudget, rlBand, players: [{preferredName, placement, pick}], onClock,
+ *   pool: [{code, name, level, cogs, remaining, pickable}], hash}
+ */
+function getPrizeWall(eventId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(eventId);
+  if (!sheet) {
+    throwError('Event not found', 'EVENT_NOT_FOUND');
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const players = readEventPlacements_(data);
+  if (players.length === 0) {
+    throwError('No players in roster', 'NO_PLAYERS');
+  }
+
+  const budget = derivedBudgetForEvent(getEventProps(sheet), players.length).budget;
+  const awarded = endPrizesWritten_(data);
+  const picks = readPrizeWallPicks_(eventId);
+  const spend = sumBy(picks, p => p.cogs);
+
+  // The wall: end-eligible items that fit the event's budget on their own
+  const taken = new Map();
+  picks.filter(p => p.code).forEach(p => taken.set(p.code, (taken.get(p.code) || 0) + 1));
+  const pool = getEndPrizeEligibleItems_(players.length)
+    .filter(item => prizeWallFits_(0, coerceNumber(item.COGS, 0), budget))
+    .map(item => {
+      const cogs = coerceNumber(item.COGS, 0);
+      const remaining = coerceNumber(item.Qty, 0) - (taken.get(item.Code) || 0);
+      return {
+        code: item.Code,
+        name: item.Name,
+        level: normalizePrizeLevel_(item.Level) || 'L0',
+        cogs,
+        remaining,
+        pickable: remaining > 0 && prizeWallFits_(spend, cogs, budget)
+      };
+    })
+    .sort((a, b) => PRIZE_LEVELS.indexOf(b.level) - PRIZE_LEVELS.indexOf(a.level) ||
+      String(a.name).localeCompare(String(b.name)));
+
+  const pickByName = new Map(picks.map(p => [p.preferredName, p]));
+  const roster = players.map(p => ({
+    preferredName: p.preferredName,
+    placement: p.placement,
+    pick: pickByName.has(p.preferredName) ? {
+      code: pickByName.get(p.preferredName).code,
+      name: pickByName.get(p.preferredName).name,
+      cogs: pickByName.get(p.preferredName).cogs,
+      status: pickByName.get(p.preferredName).status
+    } : null
+  }));
+  const onClock = awarded ? null : roster.find(p => !p.pick) || null;
+
+  return {
+    eventId,
+    status: awarded ? 'AWARDED' : (onClock ? 'OPEN' : 'COMPLETE'),
+    budget,
+    spend,
+    remainingBudget: budget - spend,
+    rlBand: getRLBandInfo(spend, budget).band,
+    players: roster,
+    onClock,
+    pool,
+    hash: computeHash({
+      eventId,
+      mode: 'WALL',
+      allocations: picks.map(p => ({ preferredName: p.preferredName, code: p.code, qty: p.code ? 1 : 0 }))
+    })
+  };
+}
+
+// ============================================================================
+// PICKS
+// ============================================================================
+
+/**
+ * Records the on-the-clock player's pick.
+ *
+ * @param {string} eventId - Event tab name
+ * @param {string} preferredName - Player making the pick (must be on the clock)
+ * @param {string} code - Prize_Catalog code from the wall
+ * @return {Object} Updated getPrizeWall() state
+ */
+function recordPrizeWallPick(eventId, preferredName, code) {
+  return recordPrizeWallRow_(eventId, preferredName, code);
+}
+
+/**
+ * Records that the on-the-clock player takes nothing from the wall.
+ *
+ * @param {string} eventId - Event tab name
+ * @param {string} preferredName - Player passing (must be on the clock)
+ * @return {Object} Updated getPrizeWall() state
+ */
+function passPrizeWallPick(eventId, preferredName) {
+  return recordPrizeWallRow_(eventId, preferredName, null);
+}
+
+/**
+ * Removes the most recent pick or pass, putting that player back on the clock.
+ *
+ * @param {string} eventId - Event tab name
+ * @return {Object} Updated getPrizeWall() state
+ */
+function undoPrizeWallPick(eventId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    assertEndPrizesOpen_(eventId);
+    const picks = readPrizeWallPicks_(eventId);
+    if (picks.length === 0) {
+      throwError('No picks to undo', 'WALL_EMPTY');
+    }
+
+    const last = picks[picks.length - 1];
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRIZE_WALL_SHEET).deleteRow(last.row);
+    logIntegrityAction('PRIZE_WALL_UNDO', {
+      eventId,
+      preferredName: last.preferredName,
+      details: `Pick ${last.pickNo} removed (${last.code || 'pass'})`,
+      status: 'SUCCESS'
+    });
+  } finally {
+    lock.releaseLock();
+  }
+  return getPrizeWall(eventId);
+}
+
+// ============================================================================
+// COMMIT
+// ============================================================================
+
+/**
+ * Commits a finished wall (with hash verification against the dialog's view).
+ *
+ * @param {string} eventId - Event tab name
+ * @param {string} wallHash - getPrizeWall().hash the staff member confirmed
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes (see awardPrizeRunBP_)
+ * @return {Object} {success, allocated, spend, budget, bpAwards, batchId}
+ */
+function commitPrizeWall(eventId, wallHash, bpAwards) {
+  assertEndPrizesOpen_(eventId);
+  const wall = getPrizeWall(eventId);
+  if (wall.hash !== wallHash) {
+    throwError('Prize wall hash mismatch', 'HASH_MISMATCH', 'Picks changed since you opened the wall. Reload it.');
+  }
+  if (wall.onClock) {
+    throwError(`${wall.onClock.preferredName} has not picked yet`, 'WALL_INCOMPLETE',
+      'Record a pick or a pass for every player');
+  }
+  if (wall.rlBand === 'RED') {
+    throwError('Budget exceeded', 'BUDGET_RED', 'Undo picks until the wall is back under budget');
+  }
+
+  const picks = readPrizeWallPicks_(eventId);
+  const allocations = picks.filter(p => p.code).map(p => ({
+    preferredName: p.preferredName,
+    code: p.code,
+    name: p.name,
+    level: p.level,
+    qty: 1,
+    cogs: p.cogs
+  }));
+
+  snapshotBeforeCommit('COMMIT', eventId, ['Prize_Catalog', PRIZE_WALL_SHEET, eventId]);
+  const batchId = writeEndPrizeAllocations_(eventId, allocations);
+  const bp = awardPrizeRunBP_(eventId, batchId, bpAwards);
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRIZE_WALL_SHEET);
+  const statusCol = PRIZE_WALL_HEADERS.indexOf('Status') + 1;
+  picks.forEach(p => sheet.getRange(p.row, statusCol).setValue(PRIZE_WALL_STATUS.COMMITTED));
+
+  logCommit(eventId, 'WALL', wallHash, wall.hash, wall.rlBand, wall.spend);
+
+  return {
+    success: true,
+    allocated: allocations.length,
+    spend: wall.spend,
+    budget: wall.budget,
+    bpAwards: bp,
+    batchId
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Validates and appends one pick / pass row
+ * @private
+ */
+function recordPrizeWallRow_(eventId, preferredName, code) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    assertEndPrizesOpen_(eventId);
+    const wall = getPrizeWall(eventId);
+    if (!wall.onClock) {
+      throwError('Every player has already picked', 'WALL_COMPLETE', 'Commit the wall or undo a pick');
+    }
+    if (wall.onClock.preferredName !== preferredName) {
+      throwError(`It is ${wall.onClock.preferredName}'s pick, not ${preferredName}'s`, 'WALL_OUT_OF_TURN',
+        'Players pick in standings order');
+    }
+
+    let item = null;
+    if (code) {
+      item = wall.pool.find(i => i.code === code);
+      if (!item) {
+        throwError(`${code} is not on the prize wall`, 'WALL_ITEM_NOT_ELIGIBLE',
+          'Only end-eligible, in-stock items within the event budget can be picked');
+      }
+      if (item.remaining <= 0) {
+        throwError(`${item.name} is gone`, 'WALL_OUT_OF_STOCK', 'Pick another item');
+      }
+      if (!prizeWallFits_(wall.spend, item.cogs, wall.budget)) {
+        throwError(`${item.name} would push the event over budget`, 'WALL_OVER_BUDGET',
+          `Remaining budget: ${formatCurrency(wall.remainingBudget)}`);
+      }
+    }
+
+    const sheet = ensurePrizeWallSheet_();
+    const pickNo = wall.players.filter(p => p.pick).length + 1;
+    sheet.appendRow([
+      eventId,
+      pickNo,
+      preferredName,
+      wall.onClock.placement,
+      item ? item.code : '',
+      item ? item.name : '',
+      item ? item.level : '',
+      item ? item.cogs : 0,
+      item ? PRIZE_WALL_STATUS.PICKED : PRIZE_WALL_STATUS.PASSED,
+      dateISO(),
+      Session.getActiveUser().getEmail() || 'system'
+    ]);
+
+    logIntegrityAction('PRIZE_WALL_PICK', {
+      eventId,
+      preferredName,
+      details: item ? `Pick ${pickNo}: ${item.code} (${item.level}, ${formatCurrency(item.cogs)})` : `Pick ${pickNo}: pass`,
+      status: 'SUCCESS'
+    });
+  } finally {
+    lock.releaseLock();
+  }
+  return getPrizeWall(eventId);
+}
+
+/**
+ * True if adding cogs to spend stays out of the RED band
+ * @private
+ */
+function prizeWallFits_(spend, cogs, budget) {
+  return budget > 0 && computeRLBand((spend + cogs) / budget) !== 'RED';
+}
+
+/**
+ * Refuses to run a wall over an event whose End_Prizes are already written
+ * @private
+ */
+function assertEndPrizesOpen_(eventId) {
+  if (endPrizesWritten_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId).getDataRange().getValues())) {
+    throwError('End prizes already awarded', 'ALREADY_AWARDED', 'Revert the prize batch before running the wall');
+  }
+}
+
+/**
+ * True if any row of the event tab has End_Prizes filled in
+ * @private
+ */
+function endPrizesWritten_(data) {
+  const endCol = data[0].indexOf('End_Prizes');
+  return endCol !== -1 && data.slice(1).some(row => row[endCol] !== '' && row[endCol] !== null);
+}
+
+/**
+ * Reads an event's open (not yet committed) wall rows in pick order
+ * @return {Array<Object>} [{row, pickNo, preferredName, placement, code, name, level, cogs, status}]
+ * @private
+ */
+function readPrizeWallPicks_(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRIZE_WALL_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const col = name => data[0].indexOf(name);
+  const picks = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][col('Event_ID')] !== eventId || data[i][col('Status')] === PRIZE_WALL_STATUS.COMMITTED) continue;
+    picks.push({
+      row: i + 1,
+      pickNo: coerceNumber(data[i][col('Pick_No')], 0),
+      preferredName: data[i][col('PreferredName')],
+      placement: coerceNumber(data[i][col('Placement')], 0),
+      code: String(data[i][col('Code')] || ''),
+      name: String(data[i][col('Name')] || ''),
+      level: String(data[i][col('Level')] || ''),
+      cogs: coerceNumber(data[i][col('COGS')], 0),
+      status: String(data[i][col('Status')] || '')
+    });
+  }
+  return picks.sort((a, b) => a.pickNo - b.pickNo);
+}
+
+/** @private */
+function ensurePrizeWallSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRIZE_WALL_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PRIZE_WALL_SHEET);
+    sheet.getRange(1, 1, 1, PRIZE_WALL_HEADERS.length).setValues([PRIZE_WALL_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
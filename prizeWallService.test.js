@@ -0,0 +1,153 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * PRIZE WALL SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the "draft the wall" end-prize mode:
+ * pick order, live stock/budget checks, undo and the hash-guarded commit.
+ * Reuses seedPrizeWorkbook_() from prizeService.test.js.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testPrizeWallService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testPrizeWallService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('PRIZE WALL SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Wall Pool', testPrizeWallPool_, results);
+  runTestSuite_('Pick Order', testPrizeWallPickOrder_, results);
+  runTestSuite_('Stock and Budget', testPrizeWallLimits_, results);
+  runTestSuite_('Commit', testPrizeWallCommit_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** @private */
+function prizeWallError_(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message;
+  }
+  return '';
+}
+
+/**
+ * Picks for every player in order; null = pass
+ * @private
+ */
+function draftPrizeWall_(eventId, codes) {
+  let wall = getPrizeWall(eventId);
+  codes.forEach(code => {
+    wall = code
+      ? recordPrizeWallPick(eventId, wall.onClock.preferredName, code)
+      : passPrizeWallPick(eventId, wall.onClock.preferredName);
+  });
+  return wall;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testPrizeWallPool_(results) {
+  const eventId = seedPrizeWorkbook_();
+  const wall = getPrizeWall(eventId);
+
+  assert_(wall.status === 'OPEN' && wall.onClock.preferredName === 'Alex', 'Rank 1 is on the clock first', results);
+  assert_(Math.abs(wall.budget - 152) < 0.001 && wall.spend === 0, 'Budget matches the end-prize preview', results);
+  assert_(wall.pool.map(i => i.code).join(',') === 'L3-BOX,L2-PACK,L1-PROMO,L0-SLEEVE',
+    'Pool is the end-eligible items, highest level first', results);
+  assert_(wall.pool.every(i => i.pickable), 'Everything starts pickable', results);
+  assert_(getPrizeWall(eventId).hash === wall.hash, 'Unchanged wall keeps its hash', results);
+}
+
+function testPrizeWallPickOrder_(results) {
+  const eventId = seedPrizeWorkbook_();
+
+  let wall = recordPrizeWallPick(eventId, 'Alex', 'L3-BOX');
+  assert_(wall.onClock.preferredName === 'Blake' && wall.players[0].pick.code === 'L3-BOX', 'Pick moves the clock', results);
+  assert_(wall.pool[0].remaining === 3 && wall.spend === 10, 'Stock and spend update live', results);
+
+  assert_(prizeWallError_(() => recordPrizeWallPick(eventId, 'Casey', 'L2-PACK')).indexOf('[WALL_OUT_OF_TURN]') === 0,
+    'Players cannot pick out of standings order', results);
+  assert_(prizeWallError_(() => recordPrizeWallPick(eventId, 'Blake', 'L3-HIDDEN')).indexOf('[WALL_ITEM_NOT_ELIGIBLE]') === 0,
+    'Items not on the wall are rejected', results);
+
+  wall = passPrizeWallPick(eventId, 'Blake');
+  assert_(wall.onClock.preferredName === 'Casey' && wall.players[1].pick.status === 'PASSED', 'Pass records no prize', results);
+
+  wall = undoPrizeWallPick(eventId);
+  assert_(wall.onClock.preferredName === 'Blake' && wall.players[1].pick === null, 'Undo puts the last player back on the clock', results);
+  assert_(GAS_EMULATOR.dump('Prize_Wall_Picks').length === 2, 'Undo deletes the pick row', results);
+}
+
+function testPrizeWallLimits_(results) {
+  const eventId = seedPrizeWorkbook_();
+  // Top 4 take all four L3-BOX ($40)
+  const wall = draftPrizeWall_(eventId, ['L3-BOX', 'L3-BOX', 'L3-BOX', 'L3-BOX']);
+  assert_(wall.pool[0].remaining === 0 && wall.pool[0].pickable === false, 'Sold-out items are not pickable', results);
+  assert_(prizeWallError_(() => recordPrizeWallPick(eventId, 'Emery', 'L3-BOX')).indexOf('[WALL_OUT_OF_STOCK]') === 0,
+    'Sold-out picks are rejected', results);
+
+  // Shrink the budget: $20 × 8 × 0.95 → $5 × 8 × 0.95 = $38, already over with $40 spent
+  setEventProps(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId), { entry: 5 });
+  const tight = getPrizeWall(eventId);
+  assert_(tight.rlBand === 'RED' && tight.pool.every(i => !i.pickable), 'Nothing is pickable once the budget is spent', results);
+  assert_(prizeWallError_(() => recordPrizeWallPick(eventId, 'Emery', 'L0-SLEEVE')).indexOf('[WALL_OVER_BUDGET]') === 0,
+    'Picks that break the budget are rejected', results);
+}
+
+function testPrizeWallCommit_(results) {
+  const eventId = seedPrizeWorkbook_();
+  let wall = draftPrizeWall_(eventId, ['L3-BOX', 'L2-PACK', null, 'L1-PROMO', 'L1-PROMO', 'L0-SLEEVE', null]);
+
+  assert_(prizeWallError_(() => commitPrizeWall(eventId, wall.hash)).indexOf('[WALL_INCOMPLETE]') === 0,
+    'A wall with a player still to pick cannot commit', results);
+
+  wall = passPrizeWallPick(eventId, 'Harper');
+  assert_(wall.status === 'COMPLETE', 'Wall completes when every player picked or passed', results);
+  assert_(prizeWallError_(() => commitPrizeWall(eventId, 'stale')).indexOf('[HASH_MISMATCH]') === 0,
+    'Stale hash is rejected', results);
+
+  const commit = commitPrizeWall(eventId, wall.hash);
+  assert_(commit.success && commit.allocated === 5 && commit.spend === 17.5, 'Commit allocates every pick', results);
+
+  const rows = GAS_EMULATOR.dump(eventId);
+  assert_(rows[1][5] === 'L3-BOX' && rows[3][5] === '', 'End_Prizes holds picks; passes stay blank', results);
+  const catalog = toObjects(GAS_EMULATOR.dump('Prize_Catalog'));
+  assert_(catalog.find(i => i.Code === 'L1-PROMO').Qty === 8, 'Catalog stock is decremented', results);
+  const spent = toObjects(GAS_EMULATOR.dump('Spent_Pool'));
+  assert_(spent.length === 5 && spent.every(r => r.Batch_ID === commit.batchId), 'Spent_Pool rows carry the batch', results);
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'COMMIT' && r.Event_ID === eventId && r.Seed === 'WALL' && r.Status === 'SUCCESS'),
+    'Integrity_Log records the wall COMMIT', results);
+
+  assert_(getPrizeWall(eventId).status === 'AWARDED', 'Committed wall reports AWARDED', results);
+  assert_(prizeWallError_(() => undoPrizeWallPick(eventId)).indexOf('[ALREADY_AWARDED]') === 0,
+    'Picks cannot change after commit', results);
+
+  revertBatch(commit.batchId);
+  wall = getPrizeWall(eventId);
+  assert_(wall.status === 'OPEN' && wall.onClock.preferredName === 'Alex' && wall.pool[0].remaining === 4,
+    'After reverting the batch the wall starts over', results);
+}
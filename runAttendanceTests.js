@@ -10,7 +10,9 @@ global.Logger = {
   }
 };
 
-// Load the implementation
+// Load the implementation (event ID grammar and suffix categories)
+eval(require('fs').readFileSync('./eventIdGrammar.js', 'utf8'));
+eval(require('fs').readFileSync('./suffixConfig.js', 'utf8'));
 eval(require('fs').readFileSync('./attendanceMissionScanner.js', 'utf8'));
 
 // Load the tests
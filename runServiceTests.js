@@ -0,0 +1,78 @@
+/**
+ * Test runner for the sheet-backed service regression suites.
+ * Loads every project file into the offline Apps Script emulator
+ * (appsScriptEmulator.js), then runs the suites against an in-memory workbook.
+ *
+ *   node runServiceTests.js            # all suites
+ *   node runServiceTests.js Prize Key  # only suites whose name matches
+ */
+
+const path = require('path');
+const { installAppsScriptGlobals, loadAppsScriptProject } = require('./appsScriptEmulator.js');
+
+const SERVICE_SUITES = [
+  ['Prize Service', 'testPrizeService'],
+  ['Store Credit Service', 'testStoreCreditService'],
+  ['BP Total Pipeline', 'testBPTotalPipeline'],
+  ['Key Service', 'testKeyService'],
+  ['Suffix System', 'testSuffixSystem'],
+  ['Tournament Service', 'testTournamentService'],
+  ['Employee Task Service', 'testEmployeeTaskService'],
+  ['Dictation Parser', 'testDictationParser'],
+  ['Wishlist Service', 'testWishlistService'],
+  ['Prize Wall Service', 'testPrizeWallService'],
+  ['Schema Migrations', 'testSchemaMigrations'],
+  ['BP Ledger Service', 'testBPLedgerService'],
+  ['Column Ownership', 'testColumnOwnershipService'],
+  ['Prestige Tiers', 'testPrestigeTierService'],
+  ['Key Seasons', 'testKeySeasonService'],
+  ['Key Award Rules', 'testKeyAwardRulesService'],
+  ['Store Credit Reconciliation', 'testStoreCreditReconciliation'],
+  ['Store Credit Buckets', 'testStoreCreditBuckets'],
+  ['Preorder Payments', 'testPreorderPaymentService'],
+  ['Preorder Allocation', 'testPreorderAllocationService'],
+  ['Snapshots', 'testSnapshotService'],
+  ['Job Scheduler', 'testJobSchedulerService'],
+  ['Event Batch', 'testEventBatchService'],
+  ['Event Scan Cache', 'testEventScanCacheService'],
+  ['Player Identity', 'testPlayerIdentityService'],
+  ['Exports', 'testExportService']
+];
+
+const env = installAppsScriptGlobals({ rootDir: __dirname });
+const load = loadAppsScriptProject(__dirname);
+
+console.log('Loaded ' + load.loaded.length + ' project files into the emulator.');
+if (load.failed.length > 0) {
+  console.log('\n❌ Some project files failed to load (Apps Script would reject them too):');
+  load.failed.forEach(f => console.log('  ' + path.basename(f.file) + ': ' + f.error));
+}
+
+global.GAS_EMULATOR = env;
+
+const filters = process.argv.slice(2).map(f => f.toLowerCase());
+const selected = SERVICE_SUITES.filter(([name]) =>
+  filters.length === 0 || filters.some(f => name.toLowerCase().includes(f))
+);
+
+let failed = load.failed.length;
+
+selected.forEach(([name, fnName]) => {
+  console.log('\nRunning ' + name + ' tests...\n');
+  try {
+    const results = global[fnName]();
+    failed += results.failed;
+  } catch (e) {
+    console.error('\n❌ ' + name + ' execution failed:', e.message);
+    console.error(e.stack);
+    failed++;
+  }
+});
+
+if (failed > 0) {
+  console.log('\n❌ Tests FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests PASSED');
+  process.exit(0);
+}
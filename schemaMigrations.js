@@ -0,0 +1,268 @@
+/**
+ * Schema Migrations - Versioned Header/Data Upgrades
+ * @fileoverview Numbered, idempotent migrations that bring workbook sheets up
+ * to the headers SCHEMA_REGISTRY / BP_HEADERS expect. Applied versions are
+ * recorded in the hidden Schema_Version sheet; Ship-Gate A fails while the
+ * workbook is behind EXPECTED_SCHEMA_VERSION and its auto-fix runs them.
+ *
+ * MIGRATION SHAPE:
+ * - version:     sequential number (never renumber a shipped migration)
+ * - sheet:       sheet the migration rewrites
+ * - from / to:   legacy headers and the headers that replace them (same order)
+ * - transform:   fn({headers, rows}, migration) → {headers, rows, notes, rowsChanged}
+ *
+ * A migration whose sheet is missing, or already uses the new headers, is
+ * recorded as NO_CHANGE so the version still advances.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SCHEMA_VERSION_SHEET = 'Schema_Version';
+
+const SCHEMA_VERSION_HEADERS = [
+  'Version', 'Migration_ID', 'Sheet', 'Description', 'Result', 'Rows_Changed', 'Applied_At', 'Applied_By'
+];
+
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    id: 'bp_total_canonical_headers',
+    sheet: 'BP_Total',
+    description: 'Rename legacy BP_Total columns (preferred_name_id, BP_Current, BP_Historical, ...) to BP_HEADERS names',
+    from: ['preferred_name_id', 'BP_Current', 'BP_Historical', 'BP_Redeemed', 'Attendance_Points', 'Flag_Points', 'Dice_Points'],
+    to: ['PreferredName', 'Current_BP', 'Historical_BP', 'Redeemed_Total', 'Attendance Mission Points', 'Flag Mission Points', 'Dice Roll Points'],
+    transform: renameSchemaColumns_
+  }
+];
+
+/** Schema version this code expects the workbook to be at */
+const EXPECTED_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Highest migration version recorded in Schema_Version
+ * @return {number} Version (0 when no migration has run)
+ */
+function getSchemaVersion() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCHEMA_VERSION_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+    .reduce((max, r) => Math.max(max, coerceNumber(r[0], 0)), 0);
+}
+
+/**
+ * Compares the workbook's schema version with the code's
+ * @return {Object} {current, expected, behind, pending: [migration ids]}
+ */
+function getSchemaMigrationStatus() {
+  const current = getSchemaVersion();
+  return {
+    current,
+    expected: EXPECTED_SCHEMA_VERSION,
+    behind: current < EXPECTED_SCHEMA_VERSION,
+    pending: SCHEMA_MIGRATIONS.filter(m => m.version > current).map(m => `${m.version}:${m.id}`)
+  };
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Runs every migration newer than the workbook's version, in order.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @return {Object} {dryRun, fromVersion, toVersion, expectedVersion, migrations: [{version, id, sheet, description, result, notes, rowsChanged}]}
+ * @throws {Error} SCHEMA_MIGRATION_FAILED if a migration leaves legacy headers behind
+ */
+function runSchemaMigrations(options) {
+  const dryRun = !!(options && options.dryRun);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    const fromVersion = getSchemaVersion();
+    const report = {
+      dryRun,
+      fromVersion,
+      toVersion: fromVersion,
+      expectedVersion: EXPECTED_SCHEMA_VERSION,
+      migrations: []
+    };
+
+    SCHEMA_MIGRATIONS
+      .filter(m => m.version > fromVersion)
+      .forEach(migration => {
+        const entry = applySchemaMigration_(migration, dryRun);
+        report.migrations.push(entry);
+        report.toVersion = migration.version;
+
+        if (!dryRun) {
+          recordSchemaVersion_(migration, entry);
+        }
+      });
+
+    if (!dryRun && report.migrations.length > 0) {
+      logIntegrityAction('SCHEMA_MIGRATE', {
+        details: `Schema v${fromVersion} → v${report.toVersion}: ` +
+          report.migrations.map(m => `${m.id} ${m.result}`).join(', '),
+        status: 'SUCCESS'
+      });
+    }
+
+    return report;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Formats a runSchemaMigrations() report for an alert
+ * @param {Object} report - runSchemaMigrations() result
+ * @return {string} Multi-line summary
+ */
+function formatSchemaMigrationReport(report) {
+  if (report.migrations.length === 0) {
+    return `Workbook schema is at v${report.fromVersion} (code expects v${report.expectedVersion}). Nothing to migrate.`;
+  }
+
+  const lines = [
+    `${report.dryRun ? 'Would migrate' : 'Migrated'} schema v${report.fromVersion} → v${report.toVersion}:`
+  ];
+  report.migrations.forEach(m => {
+    lines.push('', `#${m.version} ${m.sheet} – ${m.result}`, m.description);
+    m.notes.forEach(note => lines.push(`  • ${note}`));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Runs one migration's transform against its sheet
+ * @param {Object} migration - SCHEMA_MIGRATIONS entry
+ * @param {boolean} dryRun - Skip the write
+ * @return {Object} Report entry
+ * @private
+ */
+function applySchemaMigration_(migration, dryRun) {
+  const entry = {
+    version: migration.version,
+    id: migration.id,
+    sheet: migration.sheet,
+    description: migration.description,
+    result: 'NO_CHANGE',
+    notes: [],
+    rowsChanged: 0
+  };
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(migration.sheet);
+  if (!sheet || sheet.getLastRow() === 0) {
+    entry.notes.push(`${migration.sheet} not found; nothing to migrate`);
+    return entry;
+  }
+
+  const width = sheet.getLastColumn();
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), width).getValues();
+  const out = migration.transform({ headers: values[0], rows: values.slice(1) }, migration);
+
+  const leftover = migration.from.filter(h => out.headers.includes(h));
+  if (leftover.length > 0) {
+    throwError(`Migration ${migration.version} left legacy headers on ${migration.sheet}`,
+      'SCHEMA_MIGRATION_FAILED', `Still present: ${leftover.join(', ')}`);
+  }
+
+  entry.notes = out.notes;
+  entry.rowsChanged = out.rowsChanged;
+  if (out.notes.length === 0) return entry;
+
+  entry.result = dryRun ? 'PENDING' : 'APPLIED';
+  if (dryRun) return entry;
+
+  const table = [out.headers].concat(out.rows);
+  sheet.getRange(1, 1, table.length, out.headers.length).setValues(table);
+  if (width > out.headers.length) {
+    sheet.getRange(1, out.headers.length + 1, table.length, width - out.headers.length).clearContent();
+  }
+  return entry;
+}
+
+/**
+ * Appends one applied migration to the hidden Schema_Version sheet
+ * @private
+ */
+function recordSchemaVersion_(migration, entry) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SCHEMA_VERSION_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SCHEMA_VERSION_SHEET);
+    sheet.hideSheet();
+    sheet.appendRow(SCHEMA_VERSION_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet.appendRow([
+    migration.version,
+    migration.id,
+    migration.sheet,
+    migration.description,
+    entry.result,
+    entry.rowsChanged,
+    dateISO(),
+    Session.getActiveUser().getEmail() || 'unknown'
+  ]);
+}
+
+// ============================================================================
+// TRANSFORMS
+// ============================================================================
+
+/**
+ * Renames migration.from[i] → migration.to[i]. When a sheet carries both
+ * spellings (e.g. provisioning appended a legacy column), blank cells in the
+ * new column are filled from the legacy one and the legacy column is dropped.
+ *
+ * @param {Object} table - {headers, rows}
+ * @param {Object} migration - SCHEMA_MIGRATIONS entry
+ * @return {Object} {headers, rows, notes, rowsChanged}
+ * @private
+ */
+function renameSchemaColumns_(table, migration) {
+  let headers = table.headers.slice();
+  let rows = table.rows.map(r => r.slice());
+  const notes = [];
+  const changed = new Set();
+  const isBlank = v => v === '' || v === null || v === undefined;
+
+  migration.from.forEach((legacy, i) => {
+    const legacyCol = headers.indexOf(legacy);
+    if (legacyCol === -1) return;
+
+    const target = migration.to[i];
+    const targetCol = headers.indexOf(target);
+    if (targetCol === -1) {
+      headers[legacyCol] = target;
+      notes.push(`Rename ${legacy} → ${target}`);
+      return;
+    }
+
+    let filled = 0;
+    rows.forEach((row, r) => {
+      if (isBlank(row[targetCol]) && !isBlank(row[legacyCol])) {
+        row[targetCol] = row[legacyCol];
+        changed.add(r);
+        filled++;
+      }
+    });
+    headers = headers.filter((_, c) => c !== legacyCol);
+    rows = rows.map(row => row.filter((_, c) => c !== legacyCol));
+    notes.push(`Merge ${legacy} into ${target} (${filled} cell(s) filled) and drop ${legacy}`);
+  });
+
+  return { headers, rows, notes, rowsChanged: changed.size };
+}
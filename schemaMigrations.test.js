@@ -0,0 +1,156 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * SCHEMA MIGRATIONS - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for the numbered schema migrations: dry-run
+ * report, idempotent apply, Schema_Version bookkeeping, the BP_Total header
+ * rename/merge and Ship-Gate A.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testSchemaMigrations() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testSchemaMigrations() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('SCHEMA MIGRATIONS TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Version Status', testSchemaVersionStatus_, results);
+  runTestSuite_('Dry Run', testSchemaDryRun_, results);
+  runTestSuite_('Apply', testSchemaApply_, results);
+  runTestSuite_('Merge Legacy Columns', testSchemaMerge_, results);
+  runTestSuite_('Ship-Gate A', testSchemaGateA_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * BP_Total as PlayerProvisioning used to write it
+ * @private
+ */
+function resetLegacyBPWorkbook_() {
+  GAS_EMULATOR.reset({
+    BP_Total: [
+      ['preferred_name_id', 'BP_Historical', 'BP_Redeemed', 'BP_Current', 'Flag_Points', 'Attendance_Points', 'Dice_Points', 'LastUpdated'],
+      ['Alex', 40, 5, 35, 10, 20, 10, '2026-01-01'],
+      ['Blake', 12, 0, 12, 2, 10, 0, '2026-01-02']
+    ]
+  });
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testSchemaVersionStatus_(results) {
+  GAS_EMULATOR.reset({});
+  const status = getSchemaMigrationStatus();
+
+  assert_(getSchemaVersion() === 0, 'Workbook without Schema_Version is at v0', results);
+  assert_(status.behind && status.expected === EXPECTED_SCHEMA_VERSION, 'v0 is behind the code', results);
+  assert_(status.pending[0] === '1:bp_total_canonical_headers', 'Pending lists numbered migration IDs', results);
+  assert_(SCHEMA_MIGRATIONS.every((m, i) => m.version === i + 1 && m.from.length === m.to.length),
+    'Migrations are numbered sequentially with paired headers', results);
+}
+
+function testSchemaDryRun_(results) {
+  resetLegacyBPWorkbook_();
+  const report = runSchemaMigrations({ dryRun: true });
+  const bp = report.migrations[0];
+
+  assert_(report.dryRun && report.fromVersion === 0 && report.toVersion === EXPECTED_SCHEMA_VERSION,
+    'Dry run reports the version range', results);
+  assert_(bp.result === 'PENDING' && bp.notes.includes('Rename preferred_name_id → PreferredName'),
+    'Dry run lists the header renames', results);
+  assert_(GAS_EMULATOR.dump('BP_Total')[0][0] === 'preferred_name_id', 'Dry run does not touch the sheet', results);
+  assert_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Schema_Version') === null,
+    'Dry run records no version', results);
+  assert_(formatSchemaMigrationReport(report).indexOf('Would migrate schema v0 → v1') === 0,
+    'Report text names the dry run', results);
+}
+
+function testSchemaApply_(results) {
+  resetLegacyBPWorkbook_();
+  const report = runSchemaMigrations();
+  const rows = GAS_EMULATOR.dump('BP_Total');
+
+  assert_(report.migrations[0].result === 'APPLIED', 'Migration applies', results);
+  assert_(rows[0].slice(0, 7).join('|') ===
+    'PreferredName|Historical_BP|Redeemed_Total|Current_BP|Flag Mission Points|Attendance Mission Points|Dice Roll Points',
+    'Legacy headers become BP_HEADERS names', results);
+  assert_(rows[1][0] === 'Alex' && rows[1][3] === 35 && rows[2][1] === 12, 'Row data is untouched', results);
+  assert_(resolveHeaderIndex(rows[0], BP_HEADERS.CURRENT_BP) === 3, 'Header resolver finds the canonical column', results);
+
+  const version = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Schema_Version');
+  assert_(version.isSheetHidden() && getSchemaVersion() === 1, 'Hidden Schema_Version records v1', results);
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'SCHEMA_MIGRATE' && r.Status === 'SUCCESS'), 'Integrity_Log records the migration', results);
+
+  const again = runSchemaMigrations();
+  assert_(again.migrations.length === 0 && GAS_EMULATOR.dump('Schema_Version').length === 2,
+    'Running again is a no-op', results);
+  assert_(formatSchemaMigrationReport(again).indexOf('Nothing to migrate') !== -1, 'Up-to-date report says so', results);
+
+  const created = provisionToSheet_('BP_Total', 'Casey', PROVISION_TARGETS.BP_Total.keyColumn, PROVISION_TARGETS.BP_Total.defaults);
+  assert_(created.created === true && GAS_EMULATOR.dump('BP_Total')[3][0] === 'Casey',
+    'Provisioning writes to the migrated sheet', results);
+}
+
+function testSchemaMerge_(results) {
+  // Canonical sheet that provisioning appended legacy columns to
+  GAS_EMULATOR.reset({
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'LastUpdated', 'preferred_name_id', 'BP_Current'],
+      ['Alex', 30, '2026-01-01', '', ''],
+      ['', '', '', 'Drew', 0]
+    ]
+  });
+  const report = runSchemaMigrations();
+  const rows = GAS_EMULATOR.dump('BP_Total');
+
+  assert_(report.migrations[0].rowsChanged === 1, 'Only the legacy-keyed row changes', results);
+  assert_(rows[2][0] === 'Drew' && rows[2][1] === 0, 'Legacy values fill the canonical columns', results);
+  assert_(rows[0].slice(0, 3).join('|') === 'PreferredName|Current_BP|LastUpdated' &&
+    !rows[0].includes('preferred_name_id') && !rows[0].includes('BP_Current'),
+    'Legacy columns are dropped', results);
+
+  GAS_EMULATOR.reset({ BP_Total: [['PreferredName', 'Current_BP'], ['Alex', 5]] });
+  const clean = runSchemaMigrations();
+  assert_(clean.migrations[0].result === 'NO_CHANGE' && getSchemaVersion() === 1,
+    'Already-canonical sheet still advances the version', results);
+
+  GAS_EMULATOR.reset({});
+  assert_(runSchemaMigrations().migrations[0].result === 'NO_CHANGE', 'Missing sheet is not an error', results);
+}
+
+function testSchemaGateA_(results) {
+  resetLegacyBPWorkbook_();
+  const before = checkGateA_();
+  assert_(!before.pass && before.details.indexOf('Schema_Version v0 behind code v1') !== -1,
+    'Gate A fails while the workbook is behind', results);
+
+  const fix = runAutoFix('A');
+  assert_(fix.success && fix.message.indexOf('schema v1') !== -1, 'Gate A auto-fix runs the migrations', results);
+
+  const after = checkGateA_();
+  assert_(after.details.indexOf('Schema_Version') === -1 && after.details.indexOf('BP_Total') === -1,
+    'Gate A no longer reports BP_Total or the schema version', results);
+}
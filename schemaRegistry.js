@@ -6,7 +6,6 @@
  * @fileoverview Centralized schema definitions for all sheets in the system.
  * This file contains:
  * - SCHEMA_REGISTRY: Complete registry of all sheets with headers and metadata
- * - BP_HEADERS: Canonical header names for BP system
  * - validateSheetExists(): Check if a sheet exists
  * - validateAllSheets(): Validate all required sheets exist
  * 
@@ -18,29 +17,8 @@
 // CANONICAL HEADER NAMES (from bpHeaderResolver.js)
 // ============================================================================
 
-/**
- * Canonical BP_Total column names (use these EXACTLY in all new code)
- * @const {Object}
- */
-const BP_HEADERS = {
-  // Player Identity
-  PREFERRED_NAME: 'PreferredName',
-  
-  // State Columns (Pipeline writes only)
-  CURRENT_BP: 'Current_BP',           // Wallet (0-100 cap)
-  HISTORICAL_BP: 'Historical_BP',     // Lifetime earned (monotonic ↑)
-  REDEEMED_TOTAL: 'Redeemed_Total',   // Lifetime redeemed (monotonic ↑)
-  PRESTIGE_BP: 'Prestige_BP',         // Spillover above cap (monotonic ↑)
-  
-  // Source Columns (Mission services write, Pipeline reads)
-  ATTENDANCE_POINTS: 'Attendance Mission Points',
-  FLAG_POINTS: 'Flag Mission Points',
-  DICE_POINTS: 'Dice Roll Points',
-  MANUAL_ADJUSTMENT: 'Manual_Adjustment_Points',
-  
-  // Metadata
-  LAST_UPDATED: 'LastUpdated'
-};
+// BP_HEADERS is declared once in bpHeaderResolver.js. All project files share
+// one global scope, so re-declaring the const here stops this file from loading.
 
 // ============================================================================
 // SCHEMA REGISTRY
@@ -150,7 +128,7 @@ const SCHEMA_REGISTRY = {
       'Flag Mission Points',
       'Dice Roll Points',
       'LastUpdated',
-      'BP_Historical'  // Note: MegaBootstrap uses 'BP_Historical', not 'Historical_BP' from BP_HEADERS
+      'Historical_BP'
     ],
     keyColumn: 'PreferredName',
     required: true
@@ -240,6 +218,26 @@ const SCHEMA_REGISTRY = {
     required: true
   },
 
+  Batch_Effects: {
+    name: 'Batch_Effects',
+    headers: [
+      'Batch_ID',
+      'Seq',
+      'Timestamp',
+      'Sheet',
+      'Key_Column',
+      'Key_Value',
+      'Column',
+      'Mode',
+      'Before',
+      'After',
+      'Checksum',
+      'Reverted_At'
+    ],
+    keyColumn: null,
+    required: false
+  },
+
   Event_Outcomes: {
     name: 'Event_Outcomes',
     headers: [
@@ -253,6 +251,139 @@ const SCHEMA_REGISTRY = {
     required: false
   },
 
+  Tournaments: {
+    name: 'Tournaments',
+    headers: [
+      'Event_ID',
+      'Mode',
+      'Rounds',
+      'Seed',
+      'Status',
+      'Dropped',
+      'Started_At',
+      'Finalized_At'
+    ],
+    keyColumn: 'Event_ID',
+    required: false
+  },
+
+  Tournament_Seats: {
+    name: 'Tournament_Seats',
+    headers: [
+      'Event_ID',
+      'Round',
+      'Table',
+      'Seat',
+      'PreferredName',
+      'Game_Wins',
+      'Game_Losses',
+      'Game_Draws',
+      'Result',
+      'Reported_At'
+    ],
+    keyColumn: null,
+    required: false
+  },
+
+  Employee_Log: {
+    name: 'Employee_Log',
+    headers: [
+      'assignment_id',
+      'created_at',
+      'created_by',
+      'preferred_name_id',
+      'customer_name',
+      'task_summary',
+      'details',
+      'urgency',
+      'status',
+      'assigned_employee',
+      'claimed_at',
+      'due_date',
+      'how_did_they_reach_out',
+      'contact_information',
+      'ok_to_text',
+      'expecting_callback',
+      'pickup_date',
+      'picked_up',
+      'completed',
+      'completed_at',
+      'source',
+      'LastUpdated'
+    ],
+    keyColumn: 'assignment_id',
+    required: false
+  },
+
+  Prize_Level_Tables: {
+    name: 'Prize_Level_Tables',
+    headers: [
+      'Suffix',
+      'Min_Players',
+      'Max_Players',
+      'Place_From',
+      'Place_To',
+      'Level',
+      'Qty',
+      'Notes'
+    ],
+    keyColumn: 'Suffix',
+    required: false
+  },
+
+  Prize_Wall_Picks: {
+    name: 'Prize_Wall_Picks',
+    headers: [
+      'Event_ID',
+      'Pick_No',
+      'PreferredName',
+      'Placement',
+      'Code',
+      'Name',
+      'Level',
+      'COGS',
+      'Status',
+      'Picked_At',
+      'Picked_By'
+    ],
+    keyColumn: 'Event_ID',
+    required: false
+  },
+
+  Wishlist: {
+    name: 'Wishlist',
+    headers: [
+      'Wishlist_ID',
+      'PreferredName',
+      'Item_Description',
+      'Date_Added',
+      'Status',
+      'Notes',
+      'Closed_At',
+      'Close_Reason',
+      'Added_By'
+    ],
+    keyColumn: 'Wishlist_ID',
+    required: false
+  },
+
+  Wishlist_Demand: {
+    name: 'Wishlist_Demand',
+    headers: [
+      'Generated_At',
+      'Trigger',
+      'Source',
+      'Item_Code',
+      'Item_Name',
+      'PreferredName',
+      'Wishlist_ID',
+      'Item_Description',
+      'Score'
+    ],
+    keyColumn: 'Generated_At',
+    required: false
+  },
+
   Prestige_Overflow: {
     name: 'Prestige_Overflow',
     headers: [
@@ -263,6 +394,379 @@ const SCHEMA_REGISTRY = {
     ],
     keyColumn: 'PreferredName',
     required: false
+  },
+
+  Schema_Version: {
+    name: 'Schema_Version',
+    headers: [
+      'Version',
+      'Migration_ID',
+      'Sheet',
+      'Description',
+      'Result',
+      'Rows_Changed',
+      'Applied_At',
+      'Applied_By'
+    ],
+    keyColumn: 'Version',
+    required: false
+  },
+
+  BP_Ledger: {
+    name: 'BP_Ledger',
+    headers: [
+      'Entry_ID',
+      'Timestamp',
+      'Effective_Date',
+      'PreferredName',
+      'Type',
+      'Amount',
+      'Source',
+      'Event_ID',
+      'Batch_ID',
+      'Reverses_Entry',
+      'Note',
+      'Operator'
+    ],
+    keyColumn: 'Entry_ID',
+    required: false
+  },
+
+  Prestige_Tiers: {
+    name: 'Prestige_Tiers',
+    headers: [
+      'Tier',
+      'Threshold',
+      'Perks',
+      'Badge_Color',
+      'Reward_Type',
+      'Reward_Value'
+    ],
+    keyColumn: 'Tier',
+    required: false
+  },
+
+  Prestige_Promotions: {
+    name: 'Prestige_Promotions',
+    headers: [
+      'Timestamp',
+      'Promotion_Date',
+      'PreferredName',
+      'Direction',
+      'From_Tier',
+      'To_Tier',
+      'Prestige_BP',
+      'Reward',
+      'Reward_Status'
+    ],
+    keyColumn: 'Timestamp',
+    required: false
+  },
+
+  Key_Seasons: {
+    name: 'Key_Seasons',
+    headers: [
+      'Season_Id',
+      'Name',
+      'Start_Date',
+      'End_Date',
+      'Carry_Over',
+      'Status',
+      'Closed_At',
+      'Closed_By'
+    ],
+    keyColumn: 'Season_Id',
+    required: false
+  },
+
+  Key_Season_Log: {
+    name: 'Key_Season_Log',
+    headers: [
+      'Timestamp',
+      'Season_Id',
+      'PreferredName',
+      'Event',
+      'Color',
+      'Qty',
+      'Note'
+    ],
+    keyColumn: 'Timestamp',
+    required: false
+  },
+
+  Key_Season_Archive: {
+    name: 'Key_Season_Archive',
+    headers: [
+      'Season_Id',
+      'PreferredName',
+      'Keys_Earned',
+      'Unlocks',
+      'Red',
+      'Blue',
+      'Green',
+      'Yellow',
+      'Purple',
+      'Rainbow',
+      'Keys_Held',
+      'Keys_Carried',
+      'Keys_Expired',
+      'Eligible_After_Carry',
+      'Archived_At'
+    ],
+    keyColumn: 'Season_Id',
+    required: false
+  },
+
+  Lockbox_Prizes: {
+    name: 'Lockbox_Prizes',
+    headers: [
+      'Prize_Id',
+      'Prize_Name',
+      'Weight',
+      'Stock',
+      'Value',
+      'Active'
+    ],
+    keyColumn: 'Prize_Id',
+    required: false
+  },
+
+  Lockbox_Unlocks: {
+    name: 'Lockbox_Unlocks',
+    headers: [
+      'Timestamp',
+      'Season_Id',
+      'PreferredName',
+      'Keys_Spent',
+      'Prize_Id',
+      'Prize_Name',
+      'Prize_Value',
+      'Seed',
+      'Roll',
+      'Staff',
+      'Note'
+    ],
+    keyColumn: 'Timestamp',
+    required: false
+  },
+
+  Key_Award_Rules: {
+    name: 'Key_Award_Rules',
+    headers: [
+      'Rule_Id',
+      'Trigger',
+      'Match',
+      'Color',
+      'Qty',
+      'Start_Date',
+      'Active',
+      'Notes'
+    ],
+    keyColumn: 'Rule_Id',
+    required: false
+  },
+
+  Key_Award_Grants: {
+    name: 'Key_Award_Grants',
+    headers: [
+      'Timestamp',
+      'Grant_Key',
+      'Rule_Id',
+      'Event_Id',
+      'PreferredName',
+      'Color',
+      'Qty',
+      'Status',
+      'Details'
+    ],
+    keyColumn: 'Grant_Key',
+    required: false
+  },
+
+  Store_Credit_Buckets: {
+    name: 'Store_Credit_Buckets',
+    headers: [
+      'Bucket',
+      'Categories',
+      'Expires_Days',
+      'Spend_Order',
+      'Notes'
+    ],
+    keyColumn: 'Bucket',
+    required: false
+  },
+
+  Store_Credit_Holds: {
+    name: 'Store_Credit_Holds',
+    headers: [
+      'Hold_Id',
+      'Created_At',
+      'PreferredName',
+      'Amount',
+      'Preorder_Id',
+      'Status',
+      'Closed_At',
+      'Closed_By',
+      'Note'
+    ],
+    keyColumn: 'Hold_Id',
+    required: false
+  },
+
+  Preorder_Payments: {
+    name: 'Preorder_Payments',
+    headers: [
+      'Payment_Id',
+      'Timestamp',
+      'Preorder_ID',
+      'PreferredName',
+      'Amount',
+      'Method',
+      'Reference',
+      'Store_Credit_RowId',
+      'Staff',
+      'Note'
+    ],
+    keyColumn: 'Payment_Id',
+    required: false
+  },
+
+  Preorder_Allocation_Policy: {
+    name: 'Preorder_Allocation_Policy',
+    headers: [
+      'Priority',
+      'Criterion',
+      'Enabled',
+      'Notes'
+    ],
+    keyColumn: 'Criterion',
+    required: false
+  },
+
+  Preorder_Allocations: {
+    name: 'Preorder_Allocations',
+    headers: [
+      'Timestamp',
+      'Allocation_Id',
+      'Preorder_ID',
+      'PreferredName',
+      'Set_Name',
+      'Item_Name',
+      'Item_Code',
+      'Qty_Needed',
+      'Qty_Allocated',
+      'Outcome',
+      'Short_Value',
+      'Instruction'
+    ],
+    keyColumn: 'Timestamp',
+    required: false
+  },
+
+  Snapshots: {
+    name: 'Snapshots',
+    headers: [
+      'Snapshot_Id',
+      'Created_At',
+      'Trigger',
+      'Action',
+      'Event_ID',
+      'Log_Row',
+      'Sheets',
+      'Checksum',
+      'Created_By',
+      'Note'
+    ],
+    keyColumn: 'Snapshot_Id',
+    required: false
+  },
+
+  Snapshot_Data: {
+    name: 'Snapshot_Data',
+    headers: [
+      'Snapshot_Id',
+      'Sheet',
+      'Chunk',
+      'Rows',
+      'Columns',
+      'Checksum',
+      'Data'
+    ],
+    keyColumn: 'Snapshot_Id',
+    required: false
+  },
+
+  Jobs: {
+    name: 'Jobs',
+    headers: [
+      'Job',
+      'Enabled',
+      'Cadence',
+      'Hour',
+      'Weekday',
+      'Timeout_Minutes',
+      'Last_Run',
+      'Last_Status',
+      'Notes'
+    ],
+    keyColumn: 'Job',
+    required: false
+  },
+
+  Job_Runs: {
+    name: 'Job_Runs',
+    headers: [
+      'Run_Id',
+      'Job',
+      'Trigger',
+      'Started_At',
+      'Finished_At',
+      'Duration_Sec',
+      'Status',
+      'Result',
+      'Error'
+    ],
+    keyColumn: 'Run_Id',
+    required: false
+  },
+
+  Event_Batch_Staging: {
+    name: 'Event_Batch_Staging',
+    headers: [
+      'Scan',
+      'Run_Id',
+      'Tab',
+      'Read_At',
+      'Data'
+    ],
+    keyColumn: 'Run_Id',
+    required: false
+  },
+
+  Event_Scan_Cache: {
+    name: 'Event_Scan_Cache',
+    headers: [
+      'Tab',
+      'Extractor',
+      'Content_Hash',
+      'Scanned_At',
+      'Attendance'
+    ],
+    keyColumn: 'Tab',
+    required: false
+  },
+
+  Player_Aliases: {
+    name: 'Player_Aliases',
+    headers: [
+      'Alias',
+      'Player_ID',
+      'Alias_Type',
+      'Added_At',
+      'Note'
+    ],
+    keyColumn: 'Alias',
+    required: false
   }
 };
 
@@ -0,0 +1,603 @@
+/**
+ * Snapshot Service - Point-in-Time Restore
+ * @fileoverview Captures the sheets a commit writes before it writes them,
+ * and the core sheets once a day (the DAILY_SNAPSHOT job); lists snapshots next to the Integrity_Log
+ * action they preceded, diffs a snapshot against the live workbook and
+ * restores selected sheets (emergencyRevert).
+ *
+ * SHEETS:
+ * - Snapshots: one row per snapshot (Trigger COMMIT, DAILY, MANUAL, PRE_RESTORE)
+ * - Snapshot_Data (hidden, plain text): sheet values and formulas as JSON,
+ *   split into chunks that fit a cell
+ *
+ * Core sheets: BP_Total, BP_Ledger, Key_Tracker, Prize_Catalog,
+ * Store_Credit_Ledger and every Preorders_* sheet. The oldest snapshots are
+ * pruned past SNAPSHOT_RETENTION. A restore first snapshots the sheets it
+ * overwrites (PRE_RESTORE), so it can itself be reverted, and writes formula
+ * cells back as formulas.
+ *
+ * Commits that rewrite sheets call snapshotBeforeCommit(): prize runs,
+ * preorder allocation, the BP_Total source sync, key season close, Lockbox
+ * unlocks and key resets. Single postings to the append-only ledgers
+ * (awardBonusPoints, logStoreCreditTransaction) and per-player key edits are
+ * not snapshotted; they are reversed with compensating entries, and the daily
+ * snapshot covers them.
+ *
+ * Sheets coerce what they are given (numeric text → numbers, date text →
+ * Dates), so live sheets are compared to a snapshot on normalizeCellValue()
+ * text; the stored Checksum is over the exact captured values and guards the
+ * Snapshot_Data rows themselves.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SNAPSHOTS_SHEET = 'Snapshots';
+const SNAPSHOT_DATA_SHEET = 'Snapshot_Data';
+
+const SNAPSHOT_HEADERS = [
+  'Snapshot_Id', 'Created_At', 'Trigger', 'Action', 'Event_ID', 'Log_Row', 'Sheets', 'Checksum', 'Created_By', 'Note'
+];
+
+const SNAPSHOT_DATA_HEADERS = ['Snapshot_Id', 'Sheet', 'Chunk', 'Rows', 'Columns', 'Checksum', 'Data'];
+
+const SNAPSHOT_CORE_SHEETS = ['BP_Total', 'BP_Ledger', 'Key_Tracker', 'Prize_Catalog', 'Store_Credit_Ledger'];
+const SNAPSHOT_CORE_PREFIXES = ['Preorders_'];
+
+/** Snapshots kept before the oldest are pruned (the daily one covers older history) */
+const SNAPSHOT_RETENTION = 20;
+
+/** Characters per Data cell (Sheets caps a cell at 50,000) */
+const SNAPSHOT_CHUNK_SIZE = 45000;
+
+const SNAPSHOT_CONFIRMATION = 'REVERT';
+
+// ============================================================================
+// CAPTURE
+// ============================================================================
+
+/**
+ * Captures the core sheets (or the given ones). Serializes on the document
+ * lock, which nothing else takes, so commit paths can call it while holding
+ * the script lock.
+ *
+ * @param {string} trigger - COMMIT, DAILY, MANUAL or PRE_RESTORE
+ * @param {Object} [options] - {action, eventId, note, sheets}
+ *   action: the Integrity_Log action this snapshot precedes
+ * @return {Object} {snapshotId, createdAt, trigger, action, sheets: [{sheet, rows, checksum}], checksum}
+ */
+function captureSnapshot(trigger, options) {
+  const opts = options || {};
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const index = ensureSnapshotsSheet();
+    const dataSheet = ensureSnapshotDataSheet();
+    const logSheet = ss.getSheetByName('Integrity_Log');
+
+    const snapshotId = 'SNAP-' + (readSnapshots_().reduce((max, s) => Math.max(max, snapshotSeq_(s.snapshotId)), 0) + 1);
+    const createdAt = dateISO();
+    const names = opts.sheets || getSnapshotCoreSheetNames();
+
+    const captured = [];
+    const dataRows = [];
+    names.forEach(name => {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return;
+      const values = sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+      const formulas = snapshotFormulaCells_(sheet);
+      const checksum = snapshotDataChecksum_(values, formulas);
+      const json = encodeSnapshotValues_(values, formulas);
+      const columns = values.length > 0 ? values[0].length : 0;
+      for (let offset = 0, chunk = 1; offset < json.length || chunk === 1; offset += SNAPSHOT_CHUNK_SIZE, chunk++) {
+        dataRows.push([snapshotId, name, chunk, values.length, columns, checksum, json.slice(offset, offset + SNAPSHOT_CHUNK_SIZE)]);
+      }
+      captured.push({ sheet: name, rows: values.length, checksum });
+    });
+
+    const checksum = computeChecksum(captured.map(c => c.checksum));
+    if (dataRows.length > 0) {
+      // Plain text, or a chunk starting with =, + or - would be parsed as a formula
+      const range = dataSheet.getRange(dataSheet.getLastRow() + 1, 1, dataRows.length, SNAPSHOT_DATA_HEADERS.length);
+      range.setNumberFormat('@');
+      range.setValues(dataRows);
+    }
+    index.appendRow([
+      snapshotId, createdAt, trigger, opts.action || '', opts.eventId || '', logSheet ? logSheet.getLastRow() : 0,
+      captured.map(c => c.sheet).join(', '), checksum, currentUser(), opts.note || ''
+    ]);
+    pruneSnapshots_();
+
+    return { snapshotId, createdAt, trigger, action: opts.action || '', sheets: captured, checksum };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Commit-path hook: snapshots the sheets a commit is about to write.
+ * A failed snapshot is logged and never blocks the commit.
+ *
+ * @param {string} action - Integrity_Log action the commit will write (e.g. COMMIT)
+ * @param {string} [eventId] - Event being committed
+ * @param {Array<string>} [sheets] - Sheets the commit writes (default: every core sheet)
+ * @return {string|null} Snapshot ID, or null when the capture failed
+ */
+function snapshotBeforeCommit(action, eventId, sheets) {
+  try {
+    return captureSnapshot('COMMIT', { action, eventId, sheets: sheets ? unique(sheets) : null }).snapshotId;
+  } catch (e) {
+    logIntegrityAction('SNAPSHOT', {
+      eventId,
+      details: `Snapshot before ${action} failed: ${e.message}`,
+      status: 'FAILURE'
+    });
+    return null;
+  }
+}
+
+/**
+ * Daily snapshot (DAILY_SNAPSHOT job and menu)
+ * @param {string} [trigger] - DAILY (default) or MANUAL
+ * @return {Object} captureSnapshot() result
+ */
+function runDailySnapshot(trigger) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const snapshot = captureSnapshot(trigger || 'DAILY', { action: 'SNAPSHOT' });
+    logIntegrityAction('SNAPSHOT', {
+      checksumAfter: snapshot.checksum,
+      details: `${snapshot.snapshotId} (${snapshot.trigger}): ` +
+        snapshot.sheets.map(s => `${s.sheet} ${s.rows} row(s)`).join(', '),
+      status: 'SUCCESS'
+    });
+    return snapshot;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Core sheets that exist in this workbook
+ * @return {Array<string>} Sheet names
+ */
+function getSnapshotCoreSheetNames() {
+  const existing = SpreadsheetApp.getActiveSpreadsheet().getSheets().map(s => s.getName());
+  return SNAPSHOT_CORE_SHEETS.filter(name => existing.includes(name))
+    .concat(existing.filter(name => SNAPSHOT_CORE_PREFIXES.some(prefix => name.indexOf(prefix) === 0)).sort());
+}
+
+// ============================================================================
+// LIST + DIFF
+// ============================================================================
+
+/**
+ * Snapshots, newest first, with the Integrity_Log entry each one preceded
+ *
+ * @param {number} [limit] - Most recent N
+ * @return {Array<Object>} [{snapshotId, createdAt, trigger, action, eventId, sheets, checksum, createdBy, note, logEntry}]
+ *   logEntry: {timestamp, action, status, details} or null when nothing was logged (e.g. the commit failed)
+ */
+function listSnapshots(limit) {
+  const snapshots = readSnapshots_().reverse();
+  const shown = limit ? snapshots.slice(0, limit) : snapshots;
+
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Integrity_Log');
+  const log = logSheet && logSheet.getLastRow() > 1 ? logSheet.getDataRange().getValues() : [];
+  const col = name => (log.length > 0 ? log[0].indexOf(name) : -1);
+  const c = { timestamp: col('Timestamp'), eventId: col('Event_ID'), action: col('Action'), details: col('Details'), status: col('Status') };
+
+  return shown.map(snapshot => {
+    let logEntry = null;
+    if (snapshot.action && c.action !== -1) {
+      for (let i = Math.max(1, snapshot.logRow); i < log.length; i++) {
+        const action = String(log[i][c.action]);
+        const sameAction = action === snapshot.action || action.indexOf(snapshot.action + '_') === 0;
+        const sameEvent = !snapshot.eventId || String(log[i][c.eventId]).indexOf(snapshot.eventId) === 0;
+        if (sameAction && sameEvent) {
+          logEntry = {
+            timestamp: String(log[i][c.timestamp]),
+            action,
+            status: String(log[i][c.status]),
+            details: String(log[i][c.details])
+          };
+          break;
+        }
+      }
+    }
+    return Object.assign(snapshot, { logEntry });
+  });
+}
+
+/**
+ * Compares a snapshot with the live sheets, row by row
+ *
+ * @param {string} snapshotId - Snapshot ID
+ * @param {Array<string>} [sheetNames] - Defaults to every sheet in the snapshot
+ * @return {Object} {snapshotId, createdAt, sheets: [{sheet, snapshotRows, liveRows, changedRows, addedRows, removedRows, unchanged, missing, changes}]}
+ *   changes: first 20 differing cells [{row, column, before, after}]
+ * @throws {Error} SNAPSHOT_NOT_FOUND, VALIDATION_ERROR, CHECKSUM_MISMATCH
+ */
+function diffSnapshot(snapshotId, sheetNames) {
+  const snapshot = getSnapshot_(snapshotId);
+  const stored = readSnapshotValues_(snapshot.snapshotId, sheetNames || snapshot.sheets);
+  assertSnapshotVerified_(snapshot, stored);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const sheets = Object.keys(stored).map(name => {
+    const before = stored[name].values;
+    const live = ss.getSheetByName(name);
+    const after = liveSnapshotValues_(ss, name);
+    const headers = before[0] || after[0] || [];
+    const result = {
+      sheet: name,
+      snapshotRows: before.length,
+      liveRows: after.length,
+      changedRows: 0,
+      addedRows: Math.max(0, after.length - before.length),
+      removedRows: Math.max(0, before.length - after.length),
+      unchanged: snapshotComparableChecksum_(after) === snapshotComparableChecksum_(before),
+      missing: !live,
+      changes: []
+    };
+    if (result.unchanged) return result;
+
+    for (let r = 0; r < Math.min(before.length, after.length); r++) {
+      let rowChanged = false;
+      const width = Math.max(before[r].length, after[r].length);
+      for (let col = 0; col < width; col++) {
+        const was = normalizeCellValue(before[r][col]);
+        const now = normalizeCellValue(after[r][col]);
+        if (was === now) continue;
+        rowChanged = true;
+        if (result.changes.length < 20) {
+          result.changes.push({ row: r + 1, column: String(headers[col] || col + 1), before: was, after: now });
+        }
+      }
+      if (rowChanged) result.changedRows++;
+    }
+    return result;
+  });
+
+  return { snapshotId: snapshot.snapshotId, createdAt: snapshot.createdAt, sheets };
+}
+
+/**
+ * Plain-text diff for alerts
+ * @param {Object} diff - diffSnapshot() result
+ * @return {string} Diff text
+ */
+function formatSnapshotDiff(diff) {
+  const lines = [`${diff.snapshotId} (${diff.createdAt}) vs live:`];
+  diff.sheets.forEach(s => {
+    if (s.unchanged) {
+      lines.push(`✓ ${s.sheet}: unchanged`);
+      return;
+    }
+    lines.push(`✗ ${s.sheet}: ` + (s.missing ? 'sheet deleted' :
+      `${s.changedRows} row(s) changed, ${s.addedRows} added, ${s.removedRows} removed`));
+    s.changes.slice(0, 5).forEach(ch => lines.push(`    row ${ch.row} ${ch.column}: ${ch.before} → ${ch.after}`));
+  });
+  return lines.join('\n');
+}
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+/**
+ * Restores sheets from a snapshot. The stored data must match its checksum
+ * before anything is written; the sheets are then snapshotted (PRE_RESTORE)
+ * and put back if the restored values do not read back as the snapshot.
+ *
+ * @param {string} [snapshotId] - Defaults to the latest snapshot
+ * @param {Array<string>} [sheetNames] - Defaults to every sheet that differs from the snapshot
+ * @param {string} confirmation - Must be "REVERT"
+ * @return {Object} {snapshotId, restored: [{sheet, rows, checksum}], preRestoreSnapshotId}
+ * @throws {Error} CONFIRMATION_REQUIRED, SNAPSHOT_NOT_FOUND, VALIDATION_ERROR, CHECKSUM_MISMATCH, REVERT_VERIFY_FAILED
+ */
+function emergencyRevert(snapshotId, sheetNames, confirmation) {
+  if (confirmation !== SNAPSHOT_CONFIRMATION) {
+    throwError('Emergency revert was not confirmed', 'CONFIRMATION_REQUIRED', `Type ${SNAPSHOT_CONFIRMATION} to confirm`);
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const snapshot = getSnapshot_(snapshotId || (readSnapshots_().pop() || {}).snapshotId);
+    const explicit = Boolean(sheetNames && sheetNames.length > 0);
+    const requested = explicit ? sheetNames : snapshot.sheets;
+    const stored = readSnapshotValues_(snapshot.snapshotId, requested);
+    assertSnapshotVerified_(snapshot, stored, true);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const names = explicit ? requested : requested.filter(name =>
+      snapshotComparableChecksum_(liveSnapshotValues_(ss, name)) !== snapshotComparableChecksum_(stored[name].values));
+    if (names.length === 0) {
+      return { snapshotId: snapshot.snapshotId, restored: [], preRestoreSnapshotId: '' };
+    }
+
+    const pre = captureSnapshot('PRE_RESTORE', {
+      action: 'EMERGENCY_REVERT',
+      sheets: names,
+      note: `Before restoring ${snapshot.snapshotId}`
+    });
+    try {
+      names.forEach(name => writeSnapshotValues_(ss, name, stored[name].values, stored[name].formulas));
+      names.forEach(name => {
+        if (snapshotComparableChecksum_(liveSnapshotValues_(ss, name)) !== snapshotComparableChecksum_(stored[name].values)) {
+          throwError(`Restored ${name} does not match ${snapshot.snapshotId}`, 'REVERT_VERIFY_FAILED');
+        }
+      });
+    } catch (e) {
+      const before = readSnapshotValues_(pre.snapshotId, pre.sheets.map(s => s.sheet));
+      Object.keys(before).forEach(name => writeSnapshotValues_(ss, name, before[name].values, before[name].formulas));
+      logIntegrityAction('EMERGENCY_REVERT', {
+        checksumBefore: pre.checksum,
+        details: `${snapshot.snapshotId} rolled back: ${e.message}`,
+        status: 'ABORTED'
+      });
+      throw e;
+    }
+
+    const restored = names.map(name => ({ sheet: name, rows: stored[name].values.length, checksum: stored[name].checksum }));
+    logIntegrityAction('EMERGENCY_REVERT', {
+      checksumBefore: pre.checksum,
+      checksumAfter: computeChecksum(restored.map(r => r.checksum)),
+      details: `Restored ${snapshot.snapshotId} (${snapshot.trigger} ${snapshot.createdAt}): ` +
+        restored.map(r => `${r.sheet} ${r.rows} row(s)`).join(', ') + ` | undo with ${pre.snapshotId}`,
+      status: 'SUCCESS'
+    });
+    return { snapshotId: snapshot.snapshotId, restored, preRestoreSnapshotId: pre.snapshotId };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function readSnapshots_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SNAPSHOTS_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, SNAPSHOT_HEADERS.length).getValues()
+    .filter(r => String(r[0] || '').trim())
+    .map(r => ({
+      snapshotId: String(r[0]).trim(),
+      createdAt: String(r[1] || ''),
+      trigger: String(r[2] || ''),
+      action: String(r[3] || ''),
+      eventId: String(r[4] || ''),
+      logRow: coerceNumber(r[5], 0),
+      sheets: String(r[6] || '').split(',').map(s => s.trim()).filter(Boolean),
+      checksum: String(r[7] || ''),
+      createdBy: String(r[8] || ''),
+      note: String(r[9] || '')
+    }));
+}
+
+/** @private */
+function getSnapshot_(snapshotId) {
+  const snapshot = readSnapshots_().find(s => s.snapshotId === String(snapshotId || '').trim());
+  if (!snapshot) {
+    throwError(snapshotId ? `Snapshot ${snapshotId} not found` : 'No snapshots taken yet', 'SNAPSHOT_NOT_FOUND',
+      'Pick a Snapshot_Id from the Snapshots sheet');
+  }
+  return snapshot;
+}
+
+/**
+ * Reassembles stored sheet values
+ * @return {Object} {sheetName: {values, formulas, checksum, verified}}
+ * @private
+ */
+function readSnapshotValues_(snapshotId, sheetNames) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SNAPSHOT_DATA_SHEET);
+  const rows = sheet && sheet.getLastRow() > 1
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, SNAPSHOT_DATA_HEADERS.length).getValues()
+    : [];
+
+  const parts = {};
+  rows.filter(r => String(r[0]) === snapshotId).forEach(r => {
+    const name = String(r[1]);
+    (parts[name] = parts[name] || { checksum: String(r[5]), chunks: [] }).chunks.push({ n: coerceNumber(r[2], 0), data: String(r[6]) });
+  });
+
+  const missing = sheetNames.filter(name => !parts[name]);
+  if (missing.length > 0) {
+    throwError(`${snapshotId} does not contain ${missing.join(', ')}`, 'VALIDATION_ERROR',
+      'Choose sheets listed on the snapshot');
+  }
+
+  const result = {};
+  sheetNames.forEach(name => {
+    const json = parts[name].chunks.sort((a, b) => a.n - b.n).map(c => c.data).join('');
+    let decoded = null;
+    try {
+      decoded = decodeSnapshotValues_(json);
+    } catch (e) {
+      // Truncated or hand-edited chunks; reported as a checksum failure
+    }
+    result[name] = {
+      values: decoded ? decoded.values : [],
+      formulas: decoded ? decoded.formulas : [],
+      checksum: parts[name].checksum,
+      verified: decoded !== null && snapshotDataChecksum_(decoded.values, decoded.formulas) === parts[name].checksum
+    };
+  });
+  return result;
+}
+
+/**
+ * Refuses stored values that no longer match the checksum taken at capture
+ * @param {Object} snapshot - Snapshots row
+ * @param {Object} stored - readSnapshotValues_() result
+ * @param {boolean} [log] - Record the failure on Integrity_Log (restores)
+ * @throws {Error} CHECKSUM_MISMATCH
+ * @private
+ */
+function assertSnapshotVerified_(snapshot, stored, log) {
+  const tampered = Object.keys(stored).filter(name => !stored[name].verified);
+  if (tampered.length === 0) return;
+  if (log) {
+    logIntegrityAction('EMERGENCY_REVERT', {
+      details: `${snapshot.snapshotId}: ${tampered.join(', ')} failed checksum verification`,
+      status: 'FAILURE'
+    });
+  }
+  throwError('Snapshot data failed checksum verification', 'CHECKSUM_MISMATCH',
+    `Snapshot_Data rows for ${snapshot.snapshotId} were edited. Pick another snapshot.`);
+}
+
+/**
+ * A sheet's current values ([] when it is empty or was deleted)
+ * @private
+ */
+function liveSnapshotValues_(ss, name) {
+  const sheet = ss.getSheetByName(name);
+  return sheet && sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+}
+
+/**
+ * Checksum of values as Sheets displays them, so a restored sheet matches its
+ * snapshot after Sheets has coerced numeric and date text
+ * @private
+ */
+function snapshotComparableChecksum_(values) {
+  return computeChecksum(values.map(row => row.map(normalizeCellValue)));
+}
+
+/**
+ * Replaces a sheet's contents (creating it if it was deleted), writing
+ * formula cells back as formulas rather than their captured values
+ * @private
+ */
+function writeSnapshotValues_(ss, name, values, formulas) {
+  const sheet = ss.getSheetByName(name) || ss.insertSheet(name);
+  sheet.clearContents();
+  if (values.length > 0 && values[0].length > 0) {
+    sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+  }
+  writeSnapshotFormulaCells_(sheet, formulas || []);
+}
+
+/**
+ * A sheet's formula cells as [row, column, formula] (0-based)
+ * @private
+ */
+function snapshotFormulaCells_(sheet) {
+  const cells = [];
+  if (sheet.getLastRow() === 0) return cells;
+  sheet.getDataRange().getFormulas().forEach((row, r) => row.forEach((formula, c) => {
+    if (formula) cells.push([r, c, formula]);
+  }));
+  return cells;
+}
+
+/**
+ * Writes formula cells back, one range per run of adjacent cells in a row
+ * @param {Sheet} sheet - Sheet whose values were just restored
+ * @param {Array<Array>} cells - snapshotFormulaCells_() result (row-major)
+ * @private
+ */
+function writeSnapshotFormulaCells_(sheet, cells) {
+  const runs = [];
+  cells.forEach(([r, c, formula]) => {
+    const run = runs[runs.length - 1];
+    if (run && run.row === r && run.column + run.formulas.length === c) run.formulas.push(formula);
+    else runs.push({ row: r, column: c, formulas: [formula] });
+  });
+  runs.forEach(run => sheet.getRange(run.row + 1, run.column + 1, 1, run.formulas.length).setFormulas([run.formulas]));
+}
+
+/**
+ * Checksum of captured data; formulas count only when the sheet has any, so
+ * formula-free snapshots keep the checksum of their values
+ * @private
+ */
+function snapshotDataChecksum_(values, formulas) {
+  return formulas.length > 0 ? computeChecksum([values, formulas]) : computeChecksum(values);
+}
+
+/**
+ * Drops the oldest snapshots past SNAPSHOT_RETENTION (data rows are in capture order)
+ * @private
+ */
+function pruneSnapshots_() {
+  const snapshots = readSnapshots_();
+  if (snapshots.length <= SNAPSHOT_RETENTION) return;
+
+  const pruned = snapshots.slice(0, snapshots.length - SNAPSHOT_RETENTION).map(s => s.snapshotId);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const dataSheet = ss.getSheetByName(SNAPSHOT_DATA_SHEET);
+  if (dataSheet && dataSheet.getLastRow() > 1) {
+    const ids = dataSheet.getRange(2, 1, dataSheet.getLastRow() - 1, 1).getValues().map(r => String(r[0]));
+    let count = 0;
+    while (count < ids.length && pruned.includes(ids[count])) count++;
+    if (count > 0) dataSheet.deleteRows(2, count);
+  }
+  ss.getSheetByName(SNAPSHOTS_SHEET).deleteRows(2, pruned.length);
+}
+
+/**
+ * Dates survive the JSON round trip as {$date}. Sheets without formulas are
+ * stored as the bare values array.
+ * @private
+ */
+function encodeSnapshotValues_(values, formulas) {
+  const data = formulas && formulas.length > 0 ? { values, formulas } : values;
+  return JSON.stringify(data, function (key, value) {
+    const raw = this[key];
+    return raw instanceof Date ? { $date: raw.toISOString() } : value;
+  });
+}
+
+/**
+ * @return {Object} {values, formulas}
+ * @private
+ */
+function decodeSnapshotValues_(json) {
+  const data = JSON.parse(json || '[]', (key, value) => (value && value.$date ? new Date(value.$date) : value));
+  return Array.isArray(data) ? { values: data, formulas: [] } : { values: data.values, formulas: data.formulas || [] };
+}
+
+/** @private */
+function snapshotSeq_(snapshotId) {
+  return coerceNumber(String(snapshotId).replace('SNAP-', ''), 0);
+}
+
+/**
+ * Creates Snapshots
+ * @return {Sheet}
+ */
+function ensureSnapshotsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SNAPSHOTS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SNAPSHOTS_SHEET);
+    sheet.appendRow(SNAPSHOT_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Creates Snapshot_Data (hidden)
+ * @return {Sheet}
+ */
+function ensureSnapshotDataSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SNAPSHOT_DATA_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SNAPSHOT_DATA_SHEET);
+    sheet.appendRow(SNAPSHOT_DATA_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
@@ -0,0 +1,320 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * SNAPSHOTS - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for point-in-time snapshots: capture (chunks,
+ * dates, retention, commit scope), the Integrity_Log link, diffs and
+ * emergencyRevert, including restores that Sheets coerces.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testSnapshotService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testSnapshotService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('SNAPSHOTS TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Capture', testSnapshotCapture_, results);
+  runTestSuite_('Integrity Log Link', testSnapshotLogLink_, results);
+  runTestSuite_('Diff', testSnapshotDiff_, results);
+  runTestSuite_('Emergency Revert', testSnapshotRevert_, results);
+  runTestSuite_('Commit Scope', testSnapshotCommitScope_, results);
+  runTestSuite_('Coerced Restore', testSnapshotCoercedRestore_, results);
+  runTestSuite_('Formulas and Plain Text', testSnapshotFormulas_, results);
+  runTestSuite_('Lock', testSnapshotLock_, results);
+  runTestSuite_('Retention and Trigger', testSnapshotRetention_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** @private */
+function resetSnapshotWorkbook_() {
+  GAS_EMULATOR.reset({
+    BP_Total: [
+      ['PreferredName', 'Current_BP', 'Historical_BP', 'Prestige_BP'],
+      ['Alex', 10, 60, 60],
+      ['Blake', 5, 5, 5]
+    ],
+    Prize_Catalog: [
+      ['Code', 'Name', 'Level', 'Qty', 'COGS'],
+      ['P-1', 'Playmat', 'L2', 4, 8]
+    ],
+    Preorders_Buckets: [
+      ['Set_Name', 'Item_Name', 'Item_Code', 'Quantity', 'Release_Date'],
+      ['Nova', 'Booster Box', 'NB', 6, new Date('2026-11-01T00:00:00Z')]
+    ],
+    Attendance_Calendar: [
+      ['Date', 'Event'],
+      ['2026-10-01', 'Draft']
+    ]
+  });
+}
+
+/** @private */
+function setSnapshotCell_(sheetName, row, col, value) {
+  const rows = GAS_EMULATOR.dump(sheetName);
+  rows[row - 1][col - 1] = value;
+  GAS_EMULATOR.seedSheet(sheetName, rows);
+}
+
+/** @private */
+function expectSnapshotError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testSnapshotCapture_(results) {
+  resetSnapshotWorkbook_();
+  const snapshot = captureSnapshot('MANUAL');
+  assert_(snapshot.snapshotId === 'SNAP-1' && snapshot.sheets.map(s => s.sheet).join() === 'BP_Total,Prize_Catalog,Preorders_Buckets',
+    'Only the core sheets that exist are captured, Preorders_* included', results);
+  assert_(toObjects(GAS_EMULATOR.dump(SNAPSHOTS_SHEET))[0].Sheets === 'BP_Total, Prize_Catalog, Preorders_Buckets',
+    'The snapshot is listed on Snapshots', results);
+
+  const long = [['Code', 'Name', 'Level', 'Qty', 'COGS']];
+  for (let i = 0; i < 12; i++) long.push(['P-' + i, 'x'.repeat(5000), 'L1', 1, 1]);
+  GAS_EMULATOR.seedSheet('Prize_Catalog', long);
+  const big = captureSnapshot('MANUAL', { sheets: ['Prize_Catalog', 'Preorders_Buckets'] });
+  const chunks = toObjects(GAS_EMULATOR.dump(SNAPSHOT_DATA_SHEET)).filter(r => r.Snapshot_Id === big.snapshotId && r.Sheet === 'Prize_Catalog');
+  assert_(chunks.length === 2 && chunks.every(c => c.Data.length <= SNAPSHOT_CHUNK_SIZE),
+    'Large sheets are split into chunks that fit a cell', results);
+
+  const stored = readSnapshotValues_(big.snapshotId, ['Prize_Catalog', 'Preorders_Buckets']);
+  assert_(stored.Prize_Catalog.values.length === 13 && stored.Prize_Catalog.values[12][1].length === 5000 &&
+    stored.Preorders_Buckets.values[1][4] instanceof Date, 'Chunks and dates round-trip', results);
+}
+
+function testSnapshotLogLink_(results) {
+  resetSnapshotWorkbook_();
+  logIntegrityAction('SOMETHING_ELSE', { details: 'before' });
+  const committed = snapshotBeforeCommit('COMMIT', 'EVT-1');
+  logIntegrityAction('COMMIT', { eventId: 'EVT-2', details: 'other event' });
+  logIntegrityAction('COMMIT', { eventId: 'EVT-1', details: 'Spent: $4.00', status: 'SUCCESS' });
+  const failed = snapshotBeforeCommit('COMMANDER_END_PRIZES', 'EVT-3');
+  const daily = runDailySnapshot();
+
+  const listed = listSnapshots();
+  const find = id => listed.find(s => s.snapshotId === id);
+  assert_(listed[0].snapshotId === daily.snapshotId && listed.length === 3, 'Snapshots are listed newest first', results);
+  assert_(find(committed).logEntry && find(committed).logEntry.details === 'Spent: $4.00',
+    "A commit snapshot shows its own event's log entry", results);
+  assert_(find(failed).logEntry === null, 'A commit that never logged shows no entry', results);
+  assert_(find(daily.snapshotId).logEntry.action === 'SNAPSHOT' && find(daily.snapshotId).trigger === 'DAILY',
+    'Daily snapshots log themselves', results);
+  assert_(listSnapshots(1).length === 1, 'The list can be limited', results);
+}
+
+function testSnapshotDiff_(results) {
+  resetSnapshotWorkbook_();
+  const snapshot = captureSnapshot('MANUAL');
+  setSnapshotCell_('BP_Total', 2, 2, 99);
+  const rows = GAS_EMULATOR.dump('BP_Total');
+  rows.push(['Casey', 1, 1, 1]);
+  GAS_EMULATOR.seedSheet('BP_Total', rows);
+
+  const diff = diffSnapshot(snapshot.snapshotId);
+  const bp = diff.sheets.find(s => s.sheet === 'BP_Total');
+  assert_(!bp.unchanged && bp.changedRows === 1 && bp.addedRows === 1 && bp.changes[0].column === 'Current_BP' &&
+    bp.changes[0].before === '10' && bp.changes[0].after === '99', 'Changed and added rows are reported by column', results);
+  assert_(diff.sheets.filter(s => s.sheet !== 'BP_Total').every(s => s.unchanged),
+    'Untouched sheets (dates included) compare unchanged', results);
+  assert_(formatSnapshotDiff(diff).indexOf('✗ BP_Total: 1 row(s) changed, 1 added, 0 removed') !== -1,
+    'The diff reads as text', results);
+  assert_(expectSnapshotError_(() => diffSnapshot('SNAP-99'), 'SNAPSHOT_NOT_FOUND'), 'Unknown snapshots are refused', results);
+}
+
+function testSnapshotRevert_(results) {
+  resetSnapshotWorkbook_();
+  const snapshot = captureSnapshot('MANUAL');
+  setSnapshotCell_('BP_Total', 2, 2, 99);
+  setSnapshotCell_('Prize_Catalog', 2, 4, 0);
+
+  assert_(expectSnapshotError_(() => emergencyRevert(snapshot.snapshotId, ['BP_Total'], 'yes'), 'CONFIRMATION_REQUIRED') &&
+    toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 99, 'Nothing is restored without typing REVERT', results);
+
+  const one = emergencyRevert(snapshot.snapshotId, ['BP_Total'], 'REVERT');
+  assert_(toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 10 &&
+    toObjects(GAS_EMULATOR.dump('Prize_Catalog'))[0].Qty === 0, 'Only the selected sheets are restored', results);
+  assert_(one.preRestoreSnapshotId && readSnapshots_().find(s => s.snapshotId === one.preRestoreSnapshotId).trigger === 'PRE_RESTORE',
+    'The overwritten state is kept as a PRE_RESTORE snapshot', results);
+
+  emergencyRevert(one.preRestoreSnapshotId, ['BP_Total'], 'REVERT');
+  assert_(toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 99, 'A restore can itself be undone', results);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  ss.deleteSheet(ss.getSheetByName('Preorders_Buckets'));
+  const all = emergencyRevert(snapshot.snapshotId, null, 'REVERT');
+  assert_(all.restored.map(r => r.sheet).join() === 'BP_Total,Prize_Catalog,Preorders_Buckets' &&
+    toObjects(GAS_EMULATOR.dump('Preorders_Buckets'))[0].Release_Date instanceof Date,
+    'By default every changed sheet is restored, deleted sheets included', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log')).filter(r => r.Action === 'EMERGENCY_REVERT');
+  assert_(log.length === 3 && log.every(r => r.Status === 'SUCCESS'), 'Every restore is logged', results);
+
+  const data = GAS_EMULATOR.dump(SNAPSHOT_DATA_SHEET);
+  const row = data.findIndex(r => r[0] === snapshot.snapshotId && r[1] === 'BP_Total');
+  data[row][6] = data[row][6].replace('10', '1000');
+  GAS_EMULATOR.seedSheet(SNAPSHOT_DATA_SHEET, data);
+  setSnapshotCell_('BP_Total', 2, 2, 5);
+  assert_(expectSnapshotError_(() => emergencyRevert(snapshot.snapshotId, ['BP_Total'], 'REVERT'), 'CHECKSUM_MISMATCH') &&
+    toObjects(GAS_EMULATOR.dump('BP_Total'))[0].Current_BP === 5, 'Edited snapshot data is refused', results);
+}
+
+function testSnapshotCommitScope_(results) {
+  resetSnapshotWorkbook_();
+  GAS_EMULATOR.seedSheet('EVT-1', [['PreferredName', 'End_Prizes'], ['Alex', '']]);
+  const id = snapshotBeforeCommit('COMMIT', 'EVT-1', ['Prize_Catalog', 'EVT-1', 'Prize_Catalog', 'Gone']);
+  const stored = unique(toObjects(GAS_EMULATOR.dump(SNAPSHOT_DATA_SHEET)).filter(r => r.Snapshot_Id === id).map(r => r.Sheet));
+  assert_(getSnapshot_(id).sheets.join() === 'Prize_Catalog,EVT-1' && stored.join() === 'Prize_Catalog,EVT-1',
+    'A commit snapshot holds only the sheets the commit writes', results);
+
+  const full = snapshotBeforeCommit('COMMIT', 'EVT-1');
+  assert_(getSnapshot_(full).sheets.join() === 'BP_Total,Prize_Catalog,Preorders_Buckets',
+    'Without a sheet list the core sheets are captured', results);
+
+  GAS_EMULATOR.seedSheet('Key_Tracker', [['PreferredName', 'Red', 'Blue', 'LastUpdated'], ['Alex', 2, 1, '']]);
+  clearPlayerKeys('Alex');
+  const keys = readSnapshots_().pop();
+  assert_(keys.action === 'PLAYER_KEYS_CLEARED' && keys.sheets.join() === 'Key_Tracker' &&
+    readSnapshotValues_(keys.snapshotId, ['Key_Tracker']).Key_Tracker.values[1][1] === 2,
+    'Key_Tracker resets snapshot the keys they clear', results);
+}
+
+function testSnapshotCoercedRestore_(results) {
+  resetSnapshotWorkbook_();
+  GAS_EMULATOR.seedSheet('Prize_Catalog', [
+    ['Code', 'Name', 'Level', 'Qty', 'COGS', 'Added'],
+    ['007', 'Playmat', 'L2', '4', '8.50', '2026-10-01']
+  ]);
+  const snapshot = captureSnapshot('MANUAL', { sheets: ['Prize_Catalog'] });
+  setSnapshotCell_('Prize_Catalog', 2, 4, 0);
+
+  // Sheets stores numeric and date text as numbers and Dates
+  const original = writeSnapshotValues_;
+  writeSnapshotValues_ = function (ss, name, values, formulas) {
+    original(ss, name, values.map(row => row.map(v => {
+      if (typeof v !== 'string') return v;
+      if (/^\d+(\.\d+)?$/.test(v)) return Number(v);
+      return /^\d{4}-\d{2}-\d{2}$/.test(v) ? new Date(v + 'T05:00:00Z') : v;
+    })), formulas);
+  };
+  let restored;
+  try {
+    restored = emergencyRevert(snapshot.snapshotId, null, 'REVERT');
+  } finally {
+    writeSnapshotValues_ = original;
+  }
+  const row = GAS_EMULATOR.dump('Prize_Catalog')[1];
+  assert_(restored.restored.length === 1 && row[0] === 7 && row[3] === 4 && row[5] instanceof Date,
+    'A restore that Sheets coerces still verifies', results);
+  assert_(diffSnapshot(snapshot.snapshotId).sheets[0].unchanged,
+    'Coerced values compare unchanged against the snapshot', results);
+
+  const data = GAS_EMULATOR.dump(SNAPSHOT_DATA_SHEET);
+  const chunk = data.findIndex(r => r[0] === snapshot.snapshotId);
+  data[chunk][6] = data[chunk][6].slice(0, -3);
+  GAS_EMULATOR.seedSheet(SNAPSHOT_DATA_SHEET, data);
+  setSnapshotCell_('Prize_Catalog', 2, 4, 1);
+  const before = readSnapshots_().length;
+  assert_(expectSnapshotError_(() => emergencyRevert(snapshot.snapshotId, null, 'REVERT'), 'CHECKSUM_MISMATCH') &&
+    GAS_EMULATOR.dump('Prize_Catalog')[1][3] === 1 && readSnapshots_().length === before,
+    'Truncated snapshot data is refused before anything is written', results);
+  assert_(expectSnapshotError_(() => diffSnapshot(snapshot.snapshotId), 'CHECKSUM_MISMATCH'),
+    'Diffs refuse unverified data too', results);
+}
+
+function testSnapshotRetention_(results) {
+  resetSnapshotWorkbook_();
+  for (let i = 0; i < SNAPSHOT_RETENTION + 2; i++) {
+    captureSnapshot('MANUAL', { sheets: ['BP_Total'] });
+  }
+  const snapshots = readSnapshots_();
+  const dataIds = unique(toObjects(GAS_EMULATOR.dump(SNAPSHOT_DATA_SHEET)).map(r => r.Snapshot_Id));
+  assert_(snapshots.length === SNAPSHOT_RETENTION && snapshots[0].snapshotId === 'SNAP-3' && dataIds[0] === 'SNAP-3' &&
+    dataIds.length === SNAPSHOT_RETENTION, 'The oldest snapshots and their data are pruned', results);
+  assert_(captureSnapshot('MANUAL', { sheets: ['BP_Total'] }).snapshotId === 'SNAP-' + (SNAPSHOT_RETENTION + 3),
+    'IDs keep counting after pruning', results);
+
+  const run = runJob('DAILY_SNAPSHOT', 'TRIGGER');
+  assert_(run.status === 'SUCCESS' && readSnapshots_().slice(-1)[0].trigger === 'DAILY' &&
+    run.result.snapshotId === readSnapshots_().slice(-1)[0].snapshotId,
+    'The DAILY_SNAPSHOT job takes the daily snapshot', results);
+}
+
+function testSnapshotFormulas_(results) {
+  resetSnapshotWorkbook_();
+  GAS_EMULATOR.seedSheet('Prize_Catalog', [
+    ['Code', 'Name', 'Level', 'Qty', 'COGS', 'Stock_Value', 'Check'],
+    ['P-1', '=not a formula', 'L2', 4, 8, '', ''],
+    ['P-2', '-Sealed-', 'L1', 2, 3, '', '']
+  ]);
+  const catalog = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Prize_Catalog');
+  catalog.getRange(2, 6, 2, 2).setFormulas([['=D2*E2', '=F2>0'], ['=D3*E3', '=F3>0']]);
+
+  const snapshot = captureSnapshot('MANUAL', { sheets: ['Prize_Catalog'] });
+  const data = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SNAPSHOT_DATA_SHEET);
+  const formats = data.getRange(2, 1, data.getLastRow() - 1, SNAPSHOT_DATA_HEADERS.length).getNumberFormats();
+  assert_(formats.every(row => row.every(f => f === '@')), 'Snapshot_Data chunks are written as plain text', results);
+
+  catalog.getRange(2, 6, 2, 2).setValues([[0, 0], [0, 0]]);
+  emergencyRevert(snapshot.snapshotId, ['Prize_Catalog'], 'REVERT');
+  const formulas = catalog.getDataRange().getFormulas();
+  assert_(formulas[1][5] === '=D2*E2' && formulas[2][6] === '=F3>0',
+    'A restore writes formula cells back as formulas', results);
+  assert_(catalog.getRange(2, 2).getValue() === '=not a formula' && formulas[1][1] === '',
+    'Text that only looks like a formula stays text', results);
+
+  const pre = readSnapshots_().pop();
+  assert_(readSnapshotValues_(pre.snapshotId, ['Prize_Catalog']).Prize_Catalog.formulas.length === 0,
+    'The PRE_RESTORE snapshot records that the formulas had been overwritten', results);
+}
+
+function testSnapshotLock_(results) {
+  resetSnapshotWorkbook_();
+  GAS_EMULATOR.holdLock('document');
+  let id;
+  try {
+    id = snapshotBeforeCommit('COMMIT', 'EVT-1');
+  } finally {
+    GAS_EMULATOR.locks.document = null;
+  }
+  assert_(id === null && readSnapshots_().length === 0, 'A capture waits for the snapshot lock', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'SNAPSHOT' && r.Status === 'FAILURE'),
+    'A commit whose snapshot could not be taken logs the failure', results);
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    id = snapshotBeforeCommit('COMMIT', 'EVT-1');
+  } finally {
+    lock.releaseLock();
+  }
+  assert_(id === 'SNAP-1', 'Commit paths holding the script lock can still snapshot', results);
+}
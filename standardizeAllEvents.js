@@ -11,11 +11,7 @@ function standardizeAllEventHeaders() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheets = ss.getSheets();
 
-  // Event tab name pattern:
-  //  MM-DD-YYYY
-  //  MM-DDX-YYYY  (X = A–Z suffix)
-  // Adjust if you have other valid patterns.
-  const eventTabRegex = /^\d{2}-\d{2}[A-Z]?-?\d{4}$/;
+  // Event tabs follow the shared event ID grammar (eventIdGrammar.js)
 
   // Target headers you requested
   const HEADERS = [
@@ -29,7 +25,7 @@ function standardizeAllEventHeaders() {
 
   sheets.forEach(sheet => {
     const name = sheet.getName();
-    if (!eventTabRegex.test(name)) {
+    if (!isEventIdName_(name)) {
       return; // skip non-event sheets
     }
 
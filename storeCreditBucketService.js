@@ -0,0 +1,623 @@
+/**
+ * Store Credit Bucket Service - Expiring Credit, Holds and Spend Order
+ * @fileoverview Splits each player's Store_Credit_Ledger balance into credit
+ * buckets, expires promotional credit and reserves credit against open
+ * preorders. The 12-column ledger is unchanged: buckets are derived by
+ * replaying a player's rows in sheet order.
+ *
+ * - Every IN row is a lot in the first bucket whose Categories match the
+ *   row's Category (then its Reason, then '*'). Expires_Days blank = never.
+ * - Every OUT row spends lots in spend order: expiring lots first (soonest
+ *   expiry), then by the bucket's Spend_Order, then oldest. Expiry rows
+ *   (POSRefType EXPIRY, POSRefId = lot RowId) spend their own lot.
+ * - runStoreCreditExpiry() writes one OUT row per expired lot. Held credit is
+ *   never expired; a lot spared for a hold expires once the hold closes. It
+ *   runs nightly as the STORE_CREDIT_EXPIRY job (jobSchedulerService.js).
+ *
+ * SHEET: Store_Credit_Buckets (optional; STORE_CREDIT_BUCKET_DEFAULTS apply)
+ * SHEET: Store_Credit_Holds (credit reserved against a Preorder_ID)
+ * A hold is OPEN until it is RELEASED (credit freed) or CAPTURED (an OUT row
+ * is written for all of it; a partial capture lowers Amount and stays OPEN). Holds on cancelled or refunded preorders stop counting at once
+ * and are marked RELEASED by the next expiry pass.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const STORE_CREDIT_BUCKETS_SHEET = 'Store_Credit_Buckets';
+const STORE_CREDIT_HOLDS_SHEET = 'Store_Credit_Holds';
+
+const STORE_CREDIT_BUCKET_HEADERS = ['Bucket', 'Categories', 'Expires_Days', 'Spend_Order', 'Notes'];
+
+const STORE_CREDIT_HOLD_HEADERS = [
+  'Hold_Id', 'Created_At', 'PreferredName', 'Amount', 'Preorder_Id', 'Status', 'Closed_At', 'Closed_By', 'Note'
+];
+
+/** Code defaults (same columns as the sheet) */
+const STORE_CREDIT_BUCKET_DEFAULTS = [
+  ['PROMO', 'Promo, Promo/Comp', 30, 1, 'Promotional credit; expires 30 days after it is issued'],
+  ['STANDARD', '*', '', 2, 'Refunds, adjustments and everything else; never expires'],
+  ['PRIZE', 'Prize Payout, Tournament Prize', '', 3, 'Prize payouts; never expire, spent last']
+];
+
+/** POSRefType on OUT rows written by the expiry pass */
+const STORE_CREDIT_EXPIRY_REF_TYPE = 'EXPIRY';
+
+/** Lots expiring within this many days are listed as expiring soon */
+const STORE_CREDIT_EXPIRY_WARN_DAYS = 14;
+
+/** Preorder statuses that release a hold (lowercase) */
+const STORE_CREDIT_HOLD_CLOSED_PREORDER = ['cancelled', 'canceled', 'refunded', 'picked up'];
+
+// ============================================================================
+// BUCKETS
+// ============================================================================
+
+/**
+ * Credit bucket rules, in sheet order
+ *
+ * @return {Array<Object>} [{bucket, categories, expiresDays, spendOrder, notes}]
+ * @throws {Error} STORE_CREDIT_BUCKETS_INVALID if a sheet row cannot be read
+ */
+function getStoreCreditBuckets() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_BUCKETS_SHEET);
+  const fromSheet = sheet && sheet.getLastRow() > 1;
+  const raw = fromSheet
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, STORE_CREDIT_BUCKET_HEADERS.length).getValues()
+    : STORE_CREDIT_BUCKET_DEFAULTS;
+
+  const problems = [];
+  const buckets = [];
+  raw.forEach((r, i) => {
+    const row = i + (fromSheet ? 2 : 1);
+    const bucket = String(r[0] || '').trim().toUpperCase();
+    if (!bucket) return;
+
+    const days = r[2] === '' || r[2] === null ? null : Number(r[2]);
+    if (days !== null && (!Number.isInteger(days) || days <= 0)) {
+      problems.push(`row ${row}: Expires_Days must be a whole number of days or blank`);
+    }
+    if (buckets.some(b => b.bucket === bucket)) {
+      problems.push(`row ${row}: duplicate bucket ${bucket}`);
+    }
+    buckets.push({
+      bucket,
+      categories: String(r[1] || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean),
+      expiresDays: days,
+      spendOrder: coerceNumber(r[3], row),
+      notes: String(r[4] || '')
+    });
+  });
+
+  if (buckets.length > 0 && !buckets.some(b => b.categories.includes('*'))) {
+    problems.push("no catch-all bucket (Categories '*')");
+  }
+  if (problems.length > 0) {
+    throwError(`Store_Credit_Buckets has invalid rows: ${problems.join('; ')}`, 'STORE_CREDIT_BUCKETS_INVALID',
+      'Fix the listed rows on Store_Credit_Buckets');
+  }
+  return buckets;
+}
+
+/**
+ * Bucket for a ledger IN row: Category match, then Reason match, then '*'
+ * @private
+ */
+function classifyStoreCreditRow_(buckets, category, reason) {
+  const cat = String(category || '').trim().toLowerCase();
+  const why = String(reason || '').trim().toLowerCase();
+  return (cat && buckets.find(b => b.categories.includes(cat))) ||
+    (why && buckets.find(b => b.categories.includes(why))) ||
+    buckets.find(b => b.categories.includes('*')) ||
+    { bucket: 'STANDARD', expiresDays: null, spendOrder: 0 };
+}
+
+// ============================================================================
+// LOT REPLAY
+// ============================================================================
+
+/**
+ * Replays the ledger into credit lots per player
+ *
+ * @param {Array<Object>} buckets - getStoreCreditBuckets() result
+ * @param {string} [onlyPlayer] - Replay one player only
+ * @return {Object} {players: {name: {balance, lots, overdraft}}}
+ *   lots: [{lotId, row, bucket, amount, remaining, issuedOn, expiresOn}]
+ * @private
+ */
+function replayStoreCreditLots_(buckets, onlyPlayer) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_SHEET_NAME);
+  const players = {};
+  if (!sheet || sheet.getLastRow() <= 1) return { players };
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => headers.indexOf(name);
+  const c = {
+    ts: col('Timestamp'), name: col('preferred_name_id'), dir: col('InOut'), amount: col('Amount'),
+    reason: col('Reason'), category: col('Category'), refType: col('POSRefType'), refId: col('POSRefId'), rowId: col('RowId')
+  };
+  if (c.name === -1 || c.dir === -1 || c.amount === -1) {
+    throwError('Store_Credit_Ledger is missing required columns', 'SCHEMA_INVALID',
+      'Needs preferred_name_id, InOut and Amount');
+  }
+  const cell = (r, i) => (i === -1 ? '' : r[i]);
+
+  for (let i = 1; i < data.length; i++) {
+    const r = data[i];
+    const preferredName = String(r[c.name] || '').trim();
+    if (!preferredName || (onlyPlayer && preferredName !== onlyPlayer)) continue;
+    const signed = signedStoreCreditAmount_(r[c.dir], r[c.amount]);
+    if (signed === null) continue;
+
+    const p = players[preferredName] || (players[preferredName] = { balance: 0, lots: [], overdraft: 0 });
+    p.balance = roundCredit_(p.balance + signed);
+
+    if (signed > 0) {
+      const b = classifyStoreCreditRow_(buckets, cell(r, c.category), cell(r, c.reason));
+      const issuedOn = storeCreditDay_(cell(r, c.ts));
+      const lot = {
+        lotId: String(cell(r, c.rowId) || '') || `ROW-${i + 1}`,
+        row: i + 1,
+        bucket: b.bucket,
+        spendOrder: b.spendOrder,
+        amount: signed,
+        remaining: signed,
+        issuedOn,
+        expiresOn: b.expiresDays && issuedOn ? addStoreCreditDays_(issuedOn, b.expiresDays) : ''
+      };
+      // New credit settles any earlier overdraft first
+      const settle = Math.min(lot.remaining, p.overdraft);
+      lot.remaining = roundCredit_(lot.remaining - settle);
+      p.overdraft = roundCredit_(p.overdraft - settle);
+      p.lots.push(lot);
+      continue;
+    }
+
+    let owed = -signed;
+    if (String(cell(r, c.refType) || '').trim().toUpperCase() === STORE_CREDIT_EXPIRY_REF_TYPE) {
+      const target = p.lots.find(l => l.lotId === String(cell(r, c.refId) || '').trim());
+      if (target) owed = consumeStoreCreditLot_(target, owed);
+    }
+    sortStoreCreditLots_(p.lots.filter(l => l.remaining > 0)).forEach(lot => {
+      owed = consumeStoreCreditLot_(lot, owed);
+    });
+    p.overdraft = roundCredit_(p.overdraft + owed);
+  }
+  return { players };
+}
+
+/** Spends up to `owed` from a lot; returns what is still owed @private */
+function consumeStoreCreditLot_(lot, owed) {
+  const take = Math.min(lot.remaining, owed);
+  lot.remaining = roundCredit_(lot.remaining - take);
+  return roundCredit_(owed - take);
+}
+
+/** Spend order: expiring first (soonest), then Spend_Order, then oldest @private */
+function sortStoreCreditLots_(lots) {
+  return lots.slice().sort((a, b) => {
+    if (!!a.expiresOn !== !!b.expiresOn) return a.expiresOn ? -1 : 1;
+    if (a.expiresOn !== b.expiresOn) return a.expiresOn < b.expiresOn ? -1 : 1;
+    if (a.spendOrder !== b.spendOrder) return a.spendOrder - b.spendOrder;
+    return a.row - b.row;
+  });
+}
+
+// ============================================================================
+// BREAKDOWN
+// ============================================================================
+
+/**
+ * Player's balance split into buckets, holds and credit about to expire
+ *
+ * @param {string} preferredName - Player identifier
+ * @param {string} [asOf] - yyyy-MM-dd (default today)
+ * @return {Object} {preferredName, balance, held, available, buckets, holds, expiringSoon, overdraft}
+ *   buckets: [{bucket, amount, expiresDays}] (every configured bucket)
+ *   expiringSoon: [{bucket, amount, expiresOn, expired}] soonest first
+ */
+function getStoreCreditBreakdown(preferredName, asOf) {
+  const name = String(preferredName || '').trim();
+  if (!name) {
+    throwError('Player name is required', 'VALIDATION_ERROR');
+  }
+  const day = asOf ? String(asOf) : storeCreditDay_(new Date());
+
+  const buckets = getStoreCreditBuckets();
+  const player = replayStoreCreditLots_(buckets, name).players[name] || { balance: 0, lots: [], overdraft: 0 };
+  const holds = getStoreCreditHolds(name);
+  const held = roundCredit_(holds.reduce((sum, h) => sum + h.amount, 0));
+  const warnBy = addStoreCreditDays_(day, STORE_CREDIT_EXPIRY_WARN_DAYS);
+
+  return {
+    preferredName: name,
+    balance: player.balance,
+    held,
+    available: roundCredit_(player.balance - held),
+    buckets: buckets.map(b => ({
+      bucket: b.bucket,
+      amount: roundCredit_(player.lots.filter(l => l.bucket === b.bucket).reduce((sum, l) => sum + l.remaining, 0)),
+      expiresDays: b.expiresDays
+    })),
+    holds,
+    expiringSoon: sortStoreCreditLots_(player.lots.filter(l => l.remaining > 0 && l.expiresOn && l.expiresOn <= warnBy))
+      .map(l => ({ bucket: l.bucket, amount: l.remaining, expiresOn: l.expiresOn, expired: l.expiresOn <= day })),
+    overdraft: player.overdraft
+  };
+}
+
+// ============================================================================
+// HOLDS
+// ============================================================================
+
+/**
+ * Open holds (holds on cancelled, refunded or picked-up preorders are left out)
+ *
+ * @param {string} [preferredName] - Only this player's holds
+ * @return {Array<Object>} [{holdId, row, createdAt, preferredName, amount, preorderId, note}]
+ */
+function getStoreCreditHolds(preferredName) {
+  const statuses = readStoreCreditPreorderStatuses_();
+  return readStoreCreditHolds_()
+    .filter(h => h.status === 'OPEN' && (!preferredName || h.preferredName === preferredName))
+    .filter(h => !STORE_CREDIT_HOLD_CLOSED_PREORDER.includes(statuses[h.preorderId] || ''));
+}
+
+/**
+ * Reserves credit against an open preorder
+ *
+ * @param {string} preferredName - Player identifier (must own the preorder)
+ * @param {number} amount - Amount to reserve
+ * @param {string} preorderId - Preorder_ID on Preorders_Sold
+ * @param {string} [note] - Optional note
+ * @return {Object} {holdId, preferredName, amount, preorderId, available}
+ * @throws {Error} VALIDATION_ERROR, PREORDER_NOT_FOUND, PREORDER_CLOSED, INSUFFICIENT_CREDIT
+ */
+function placeStoreCreditHold(preferredName, amount, preorderId, note) {
+  const name = String(preferredName || '').trim();
+  const value = roundCredit_(parseFloat(amount));
+  const orderId = String(preorderId || '').trim();
+  if (!name || !orderId || isNaN(value) || value <= 0) {
+    throwError('A hold needs a player, a Preorder_ID and a positive amount', 'VALIDATION_ERROR');
+  }
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const preorder = getPreorderById(orderId);
+    if (!preorder) {
+      throwError(`Preorder ${orderId} not found`, 'PREORDER_NOT_FOUND', 'Check the Preorder_ID on Preorders_Sold');
+    }
+    const status = String(preorder.Status || '').trim().toLowerCase();
+    if (STORE_CREDIT_HOLD_CLOSED_PREORDER.includes(status)) {
+      throwError(`Preorder ${orderId} is ${preorder.Status}`, 'PREORDER_CLOSED', 'Holds can only be placed on open preorders');
+    }
+    if (String(preorder.PreferredName || '').trim().toLowerCase() !== name.toLowerCase()) {
+      throwError(`Preorder ${orderId} belongs to ${preorder.PreferredName}, not ${name}`, 'VALIDATION_ERROR');
+    }
+
+    const breakdown = getStoreCreditBreakdown(name);
+    if (value > breakdown.available + 0.005) {
+      throwError(`${name} has ${formatCurrency(breakdown.available)} available; cannot hold ${formatCurrency(value)}`,
+        'INSUFFICIENT_CREDIT', 'Release another hold or hold a smaller amount');
+    }
+
+    const sheet = ensureStoreCreditHoldsSheet();
+    const holdId = nextSequentialId(sheet, 1, 'HOLD-');
+    sheet.appendRow([holdId, new Date().toISOString(), name, value, orderId, 'OPEN', '', '', note || '']);
+
+    logIntegrityAction('STORE_CREDIT_HOLD', {
+      preferredName: name,
+      details: `${holdId}: ${formatCurrency(value)} held for preorder ${orderId}${note ? ` (${note})` : ''}`,
+      status: 'SUCCESS'
+    });
+    return { holdId, preferredName: name, amount: value, preorderId: orderId, available: roundCredit_(breakdown.available - value) };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Frees a hold's credit without spending it
+ *
+ * @param {string} holdId - Hold_Id
+ * @param {string} [note] - Reason
+ * @return {Object} The released hold
+ * @throws {Error} HOLD_NOT_FOUND, HOLD_CLOSED
+ */
+function releaseStoreCreditHold(holdId, note) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const hold = getOpenStoreCreditHold_(holdId);
+    closeStoreCreditHold_(hold, 'RELEASED', note);
+    logIntegrityAction('STORE_CREDIT_HOLD_RELEASE', {
+      preferredName: hold.preferredName,
+      details: `${hold.holdId}: ${formatCurrency(hold.amount)} released (preorder ${hold.preorderId})${note ? ` - ${note}` : ''}`,
+      status: 'SUCCESS'
+    });
+    return hold;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Spends a hold: writes the OUT row against its preorder. Capturing the whole
+ * hold closes it as CAPTURED; a smaller amount leaves the rest OPEN.
+ *
+ * @param {string} holdId - Hold_Id
+ * @param {string} [note] - Description for the ledger row
+ * @param {number} [amount] - Amount to capture (default the whole hold)
+ * @return {Object} logStoreCreditTransaction() result plus holdId and stillHeld
+ * @throws {Error} HOLD_NOT_FOUND, HOLD_CLOSED, VALIDATION_ERROR
+ */
+function captureStoreCreditHold(holdId, note, amount) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const hold = getOpenStoreCreditHold_(holdId);
+    const value = amount === undefined ? hold.amount : roundCredit_(parseFloat(amount));
+    if (isNaN(value) || value <= 0 || value > hold.amount + 0.005) {
+      throwError(`Capture must be between ${formatCurrency(0.01)} and ${formatCurrency(hold.amount)}`, 'VALIDATION_ERROR');
+    }
+    const result = logStoreCreditTransaction({
+      preferred_name_id: hold.preferredName,
+      direction: 'OUT',
+      amount: value,
+      reason: 'Preorder Payment',
+      category: 'Sales',
+      tenderType: 'Store Credit',
+      description: note || `Captured ${hold.holdId}`,
+      posRefType: 'OrderID',
+      posRefId: hold.preorderId,
+      holdId: hold.holdId
+    });
+    applyStoreCreditHoldCapture_(hold, value, note);
+    return Object.assign(result, { holdId: hold.holdId, stillHeld: hold.status === 'OPEN' ? hold.amount : 0 });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Total held for a player, optionally ignoring one hold (the one being captured)
+ * @private
+ */
+function getHeldStoreCredit_(preferredName, exceptHoldId) {
+  return roundCredit_(getStoreCreditHolds(preferredName)
+    .filter(h => h.holdId !== exceptHoldId)
+    .reduce((sum, h) => sum + h.amount, 0));
+}
+
+/** @private */
+function getOpenStoreCreditHold_(holdId) {
+  const id = String(holdId || '').trim();
+  const hold = readStoreCreditHolds_().find(h => h.holdId === id);
+  if (!hold) {
+    throwError(`Hold ${id} not found`, 'HOLD_NOT_FOUND', 'Check the Hold_Id on Store_Credit_Holds');
+  }
+  if (hold.status !== 'OPEN') {
+    throwError(`Hold ${id} is already ${hold.status}`, 'HOLD_CLOSED');
+  }
+  return hold;
+}
+
+/** @private */
+function closeStoreCreditHold_(hold, status, note) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_HOLDS_SHEET);
+  sheet.getRange(hold.row, 6, 1, 3).setValues([[status, new Date().toISOString(), currentUser()]]);
+  if (note) {
+    sheet.getRange(hold.row, 9).setValue(hold.note ? `${hold.note}; ${note}` : note);
+  }
+  hold.status = status;
+}
+
+/**
+ * Books a capture on an open hold. Capturing the whole hold closes it as
+ * CAPTURED; a smaller capture lowers Amount to what is still reserved and
+ * keeps the hold OPEN. Caller holds the script lock.
+ *
+ * @param {Object} hold - From readStoreCreditHolds_() (updated in place)
+ * @param {number} amount - Amount spent from the hold
+ * @param {string} [note] - Note appended to the hold
+ * @return {Array} Hold row before the capture, for restoreStoreCreditHoldRow_()
+ * @private
+ */
+function applyStoreCreditHoldCapture_(hold, amount, note) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_HOLDS_SHEET);
+  const before = sheet.getRange(hold.row, 1, 1, STORE_CREDIT_HOLD_HEADERS.length).getValues()[0];
+  if (amount >= hold.amount - 0.005) {
+    closeStoreCreditHold_(hold, 'CAPTURED', note);
+    return before;
+  }
+  const remaining = roundCredit_(hold.amount - amount);
+  const text = `${note || 'Captured'} (${formatCurrency(amount)}); ${formatCurrency(remaining)} still held`;
+  sheet.getRange(hold.row, 4).setValue(remaining);
+  sheet.getRange(hold.row, 9).setValue(hold.note ? `${hold.note}; ${text}` : text);
+  hold.amount = remaining;
+  hold.note = sheet.getRange(hold.row, 9).getValue();
+  return before;
+}
+
+/**
+ * Puts a hold row back as it was before applyStoreCreditHoldCapture_()
+ * @private
+ */
+function restoreStoreCreditHoldRow_(hold, before) {
+  SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_HOLDS_SHEET)
+    .getRange(hold.row, 1, 1, before.length).setValues([before]);
+}
+
+/** @private */
+function readStoreCreditHolds_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_HOLDS_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, STORE_CREDIT_HOLD_HEADERS.length).getValues()
+    .map((r, i) => ({
+      holdId: String(r[0] || '').trim(),
+      row: i + 2,
+      createdAt: String(r[1] || ''),
+      preferredName: String(r[2] || '').trim(),
+      amount: roundCredit_(coerceNumber(r[3], 0)),
+      preorderId: String(r[4] || '').trim(),
+      status: String(r[5] || '').trim().toUpperCase(),
+      note: String(r[8] || '')
+    }))
+    .filter(h => h.holdId);
+}
+
+/**
+ * Lowercase Status per Preorder_ID
+ * @private
+ */
+function readStoreCreditPreorderStatuses_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Preorders_Sold');
+  const statuses = {};
+  if (!sheet || sheet.getLastRow() <= 1) return statuses;
+
+  const data = sheet.getDataRange().getValues();
+  const idCol = data[0].indexOf('Preorder_ID');
+  const statusCol = data[0].indexOf('Status');
+  if (idCol === -1 || statusCol === -1) return statuses;
+  for (let i = 1; i < data.length; i++) {
+    statuses[String(data[i][idCol]).trim()] = String(data[i][statusCol] || '').trim().toLowerCase();
+  }
+  return statuses;
+}
+
+// ============================================================================
+// EXPIRY PASS
+// ============================================================================
+
+/**
+ * Nightly pass: writes an OUT row for every expired lot and releases holds on
+ * cancelled/refunded preorders. Safe to re-run; expired lots are spent by
+ * their own expiry row.
+ *
+ * @param {string} [asOf] - yyyy-MM-dd; lots with Expires On this day or earlier expire (default today)
+ * @return {Object} {asOf, expired: [{preferredName, lotId, bucket, amount, expiresOn}], total, spared, holdsReleased}
+ */
+function runStoreCreditExpiry(asOf) {
+  const day = typeof asOf === 'string' && asOf ? asOf : storeCreditDay_(new Date());
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const holdsReleased = releaseClosedPreorderHolds_();
+    const replay = replayStoreCreditLots_(getStoreCreditBuckets());
+    const report = { asOf: day, expired: [], total: 0, spared: 0, holdsReleased };
+
+    Object.keys(replay.players).forEach(preferredName => {
+      const player = replay.players[preferredName];
+      // Only credit above what is held may expire
+      let headroom = roundCredit_(player.balance - getHeldStoreCredit_(preferredName));
+
+      sortStoreCreditLots_(player.lots.filter(l => l.remaining > 0 && l.expiresOn && l.expiresOn <= day)).forEach(lot => {
+        const amount = roundCredit_(Math.min(lot.remaining, Math.max(0, headroom)));
+        report.spared = roundCredit_(report.spared + lot.remaining - amount);
+        if (amount <= 0) return;
+
+        logStoreCreditTransaction({
+          preferred_name_id: preferredName,
+          direction: 'OUT',
+          amount,
+          reason: 'Credit Expired',
+          category: 'Expiry',
+          description: `${lot.bucket} credit issued ${lot.issuedOn} expired ${lot.expiresOn}`,
+          posRefType: STORE_CREDIT_EXPIRY_REF_TYPE,
+          posRefId: lot.lotId
+        });
+        headroom = roundCredit_(headroom - amount);
+        report.expired.push({ preferredName, lotId: lot.lotId, bucket: lot.bucket, amount, expiresOn: lot.expiresOn });
+        report.total = roundCredit_(report.total + amount);
+      });
+    });
+
+    logIntegrityAction('STORE_CREDIT_EXPIRY', {
+      details: `As of ${day}: ${report.expired.length} lot(s) expired, ${formatCurrency(report.total)} total` +
+        (report.spared > 0 ? `, ${formatCurrency(report.spared)} kept for open holds` : '') +
+        (holdsReleased > 0 ? `, ${holdsReleased} hold(s) released` : ''),
+      status: 'SUCCESS'
+    });
+    return report;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Marks OPEN holds on cancelled, refunded or picked-up preorders RELEASED
+ * @return {number} Holds released
+ * @private
+ */
+function releaseClosedPreorderHolds_() {
+  const statuses = readStoreCreditPreorderStatuses_();
+  const stale = readStoreCreditHolds_()
+    .filter(h => h.status === 'OPEN' && STORE_CREDIT_HOLD_CLOSED_PREORDER.includes(statuses[h.preorderId] || ''));
+  stale.forEach(hold => {
+    closeStoreCreditHold_(hold, 'RELEASED', `Preorder ${statuses[hold.preorderId]}`);
+    logIntegrityAction('STORE_CREDIT_HOLD_RELEASE', {
+      preferredName: hold.preferredName,
+      details: `${hold.holdId}: ${formatCurrency(hold.amount)} released, preorder ${hold.preorderId} ${statuses[hold.preorderId]}`,
+      status: 'SUCCESS'
+    });
+  });
+  return stale.length;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * yyyy-MM-dd for a ledger Timestamp (ISO string or Date)
+ * @private
+ */
+function storeCreditDay_(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : '';
+}
+
+/** @private */
+function addStoreCreditDays_(day, days) {
+  const date = new Date(day + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Creates Store_Credit_Buckets seeded with STORE_CREDIT_BUCKET_DEFAULTS
+ * @return {Sheet}
+ */
+function ensureStoreCreditBucketsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(STORE_CREDIT_BUCKETS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(STORE_CREDIT_BUCKETS_SHEET);
+    sheet.appendRow(STORE_CREDIT_BUCKET_HEADERS);
+    sheet.getRange(2, 1, STORE_CREDIT_BUCKET_DEFAULTS.length, STORE_CREDIT_BUCKET_HEADERS.length)
+      .setValues(STORE_CREDIT_BUCKET_DEFAULTS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Creates Store_Credit_Holds
+ * @return {Sheet}
+ */
+function ensureStoreCreditHoldsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(STORE_CREDIT_HOLDS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(STORE_CREDIT_HOLDS_SHEET);
+    sheet.appendRow(STORE_CREDIT_HOLD_HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,263 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * STORE CREDIT BUCKETS - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for credit buckets: classification, spend
+ * order, the nightly expiry pass, preorder holds and the balance breakdown.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testStoreCreditBuckets() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testStoreCreditBuckets() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('STORE CREDIT BUCKETS TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Bucket Rules', testCreditBucketRules_, results);
+  runTestSuite_('Spend Order', testCreditSpendOrder_, results);
+  runTestSuite_('Expiry Pass', testCreditExpiryPass_, results);
+  runTestSuite_('Holds', testCreditHolds_, results);
+  runTestSuite_('Holds and Expiry', testCreditHoldsAndExpiry_, results);
+  runTestSuite_('Profile and Trigger', testCreditProfileAndTrigger_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Ledger row: [day, player, InOut, amount, reason, category, POSRefType, POSRefId, RowId]
+ * @private
+ */
+function creditBucketRow_(day, name, dir, amount, reason, category, refType, refId, rowId) {
+  return [day + 'T12:00:00.000+0000', name, dir, dir === 'OUT' ? -amount : amount, reason, category || '',
+    '', '', refType || '', refId || '', '', rowId];
+}
+
+/** @private */
+function resetCreditBucketWorkbook_(rows) {
+  GAS_EMULATOR.reset({
+    Store_Credit_Ledger: [[
+      'Timestamp', 'preferred_name_id', 'InOut', 'Amount', 'Reason', 'Category', 'TenderType',
+      'Description', 'POSRefType', 'POSRefId', 'RunningBalance', 'RowId'
+    ]].concat(rows),
+    Preorders_Sold: [
+      ['Preorder_ID', 'PreferredName', 'Item_Name', 'Qty', 'Status'],
+      ['PO-1', 'Casey', 'Booster Box', 1, 'Open'],
+      ['PO-2', 'Drew', 'Collector Box', 1, 'Open'],
+      ['PO-3', 'Casey', 'Bundle', 1, 'Picked Up']
+    ]
+  });
+}
+
+/** @private */
+function creditBucketAmount_(breakdown, bucket) {
+  return breakdown.buckets.find(b => b.bucket === bucket).amount;
+}
+
+/** @private */
+function expectCreditError_(fn, code) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.indexOf('[' + code + ']') !== -1;
+  }
+  return false;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testCreditBucketRules_(results) {
+  GAS_EMULATOR.reset();
+  const defaults = getStoreCreditBuckets();
+  assert_(defaults.map(b => b.bucket).join(',') === 'PROMO,STANDARD,PRIZE', 'Code defaults apply without a sheet', results);
+  assert_(classifyStoreCreditRow_(defaults, 'Promo', '').bucket === 'PROMO' &&
+    classifyStoreCreditRow_(defaults, 'Sales', 'Promo/Comp').bucket === 'PROMO' &&
+    classifyStoreCreditRow_(defaults, 'Prize Payout', '').bucket === 'PRIZE' &&
+    classifyStoreCreditRow_(defaults, 'Sales', 'Refund').bucket === 'STANDARD',
+    'Rows are classified by Category, then Reason, then the catch-all', results);
+
+  ensureStoreCreditBucketsSheet();
+  assert_(GAS_EMULATOR.dump(STORE_CREDIT_BUCKETS_SHEET).length === STORE_CREDIT_BUCKET_DEFAULTS.length + 1,
+    'ensureStoreCreditBucketsSheet seeds the defaults', results);
+
+  GAS_EMULATOR.seedSheet(STORE_CREDIT_BUCKETS_SHEET, [
+    STORE_CREDIT_BUCKET_HEADERS,
+    ['PROMO', 'Promo', -5, 1, ''],
+    ['PROMO', 'Comp', 10, 2, '']
+  ]);
+  let error = null;
+  try {
+    getStoreCreditBuckets();
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[STORE_CREDIT_BUCKETS_INVALID]') === 0 &&
+    ['row 2: Expires_Days', 'row 3: duplicate bucket PROMO', 'no catch-all'].every(t => error.message.indexOf(t) !== -1),
+    'Invalid bucket rows are named', results);
+}
+
+function testCreditSpendOrder_(results) {
+  resetCreditBucketWorkbook_([
+    creditBucketRow_('2026-10-01', 'Alex', 'IN', 20, 'Prize Payout', 'Prize Payout', '', '', 'a1'),
+    creditBucketRow_('2026-10-05', 'Alex', 'IN', 10, 'Promo/Comp', 'Promo', '', '', 'a2'),
+    creditBucketRow_('2026-10-06', 'Alex', 'IN', 15, 'Refund', 'Customer Service', '', '', 'a3'),
+    creditBucketRow_('2026-10-07', 'Alex', 'OUT', 12, 'Product Purchase', 'Sales', 'Invoice', 'INV-9', 'a4')
+  ]);
+  const breakdown = getStoreCreditBreakdown('Alex', '2026-10-08');
+
+  assert_(breakdown.balance === 33 && breakdown.available === 33 && breakdown.held === 0, 'Balance is unchanged by bucketing', results);
+  assert_(creditBucketAmount_(breakdown, 'PROMO') === 0 && creditBucketAmount_(breakdown, 'STANDARD') === 13 &&
+    creditBucketAmount_(breakdown, 'PRIZE') === 20, 'Spending uses expiring credit first, prize credit last', results);
+
+  GAS_EMULATOR.seedSheet(STORE_CREDIT_SHEET_NAME, GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).concat([
+    creditBucketRow_('2026-10-09', 'Alex', 'IN', 5, '', 'Promo', '', '', 'a5')
+  ]));
+  const later = getStoreCreditBreakdown('Alex', '2026-10-30');
+  assert_(later.expiringSoon.length === 1 && later.expiringSoon[0].amount === 5 &&
+    later.expiringSoon[0].expiresOn === '2026-11-08' && !later.expiringSoon[0].expired,
+    'Promo credit expiring within two weeks is flagged', results);
+  assert_(getStoreCreditBreakdown('Alex', '2026-10-09').expiringSoon.length === 0, 'Credit expiring later is not flagged yet', results);
+}
+
+function testCreditExpiryPass_(results) {
+  resetCreditBucketWorkbook_([
+    creditBucketRow_('2026-09-01', 'Blake', 'IN', 10, '', 'Promo', '', '', 'b1'),
+    creditBucketRow_('2026-09-10', 'Blake', 'IN', 8, 'Refund', '', '', '', 'b2'),
+    creditBucketRow_('2026-09-15', 'Blake', 'OUT', 3, 'Product Purchase', '', '', '', 'b3'),
+    creditBucketRow_('2026-10-10', 'Blake', 'IN', 5, '', 'Promo', '', '', 'b4')
+  ]);
+  const report = runStoreCreditExpiry('2026-10-19');
+  const rows = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME));
+  const expiryRow = rows[rows.length - 1];
+
+  assert_(report.expired.length === 1 && report.expired[0].lotId === 'b1' && report.expired[0].amount === 7 &&
+    report.total === 7, 'Only the unspent part of the expired lot is written off', results);
+  assert_(expiryRow.InOut === 'OUT' && expiryRow.Amount === -7 && expiryRow.POSRefType === 'EXPIRY' &&
+    expiryRow.POSRefId === 'b1' && expiryRow.Category === 'Expiry', 'The expiry is an OUT row pointing at its lot', results);
+  assert_(getStoreCreditBalance('Blake').balance === 13, 'The balance drops by the expired amount', results);
+
+  const again = runStoreCreditExpiry('2026-10-19');
+  assert_(again.expired.length === 0 && GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).length === rows.length + 1,
+    'Re-running the pass writes nothing', results);
+
+  const breakdown = getStoreCreditBreakdown('Blake', '2026-10-19');
+  assert_(creditBucketAmount_(breakdown, 'STANDARD') === 8 && creditBucketAmount_(breakdown, 'PROMO') === 5,
+    'Expiry rows spend their own lot, not the next in spend order', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'STORE_CREDIT_EXPIRY'),
+    'The pass is logged', results);
+}
+
+function testCreditHolds_(results) {
+  resetCreditBucketWorkbook_([
+    creditBucketRow_('2026-10-01', 'Casey', 'IN', 40, 'Refund', '', '', '', 'c1')
+  ]);
+
+  const hold = placeStoreCreditHold('Casey', 25, 'PO-1', 'deposit');
+  let breakdown = getStoreCreditBreakdown('Casey');
+  assert_(hold.holdId === 'HOLD-1' && hold.available === 15 && breakdown.held === 25 && breakdown.available === 15 &&
+    breakdown.holds[0].preorderId === 'PO-1', 'A hold reserves credit against the preorder', results);
+
+  assert_(expectCreditError_(() => placeStoreCreditHold('Casey', 20, 'PO-1'), 'INSUFFICIENT_CREDIT'),
+    'Holds cannot exceed the available credit', results);
+  assert_(expectCreditError_(() => placeStoreCreditHold('Casey', 5, 'PO-2'), 'VALIDATION_ERROR') &&
+    expectCreditError_(() => placeStoreCreditHold('Casey', 5, 'PO-3'), 'PREORDER_CLOSED') &&
+    expectCreditError_(() => placeStoreCreditHold('Casey', 5, 'PO-9'), 'PREORDER_NOT_FOUND'),
+    "Holds need the player's own open preorder", results);
+
+  assert_(expectCreditError_(() => logStoreCreditTransaction({ preferred_name_id: 'Casey', direction: 'OUT', amount: 20 }),
+    'INSUFFICIENT_CREDIT'), 'Held credit cannot be spent directly', results);
+  logStoreCreditTransaction({ preferred_name_id: 'Casey', direction: 'OUT', amount: 15 });
+
+  const captured = captureStoreCreditHold(hold.holdId);
+  const holdRow = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET))[0];
+  const ledger = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME));
+  assert_(captured.newBalance === 0 && holdRow.Status === 'CAPTURED' &&
+    ledger[ledger.length - 1].POSRefId === 'PO-1' && ledger[ledger.length - 1].Amount === -25,
+    'Capturing writes the OUT row against the preorder', results);
+  assert_(expectCreditError_(() => captureStoreCreditHold(hold.holdId), 'HOLD_CLOSED') &&
+    expectCreditError_(() => releaseStoreCreditHold('HOLD-99'), 'HOLD_NOT_FOUND'), 'Closed and unknown holds are refused', results);
+
+  logStoreCreditTransaction({ preferred_name_id: 'Casey', direction: 'IN', amount: 10 });
+  const second = placeStoreCreditHold('Casey', 10, 'PO-1');
+  releaseStoreCreditHold(second.holdId, 'customer paid cash');
+  breakdown = getStoreCreditBreakdown('Casey');
+  assert_(breakdown.held === 0 && breakdown.available === 10, 'Releasing frees the credit without spending it', results);
+
+  // Deleting an old hold row must not hand out an ID that is still in use
+  const third = placeStoreCreditHold('Casey', 2, 'PO-1');
+  SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_HOLDS_SHEET).deleteRow(2);
+  const fourth = placeStoreCreditHold('Casey', 2, 'PO-1');
+  assert_(third.holdId === 'HOLD-3' && fourth.holdId === 'HOLD-4', 'Hold IDs continue from the highest existing ID', results);
+}
+
+function testCreditHoldsAndExpiry_(results) {
+  resetCreditBucketWorkbook_([
+    creditBucketRow_('2026-10-01', 'Casey', 'IN', 30, 'Refund', '', '', '', 'c1'),
+    creditBucketRow_('2026-09-01', 'Casey', 'IN', 10, '', 'Promo', '', '', 'c2')
+  ]);
+  const hold = placeStoreCreditHold('Casey', 35, 'PO-1');
+
+  const first = runStoreCreditExpiry('2026-10-19');
+  assert_(first.total === 5 && first.spared === 5 && getStoreCreditBreakdown('Casey').available === 0,
+    'Credit covering an open hold is not expired', results);
+
+  const statuses = GAS_EMULATOR.dump('Preorders_Sold');
+  statuses[1][4] = 'Cancelled';
+  GAS_EMULATOR.seedSheet('Preorders_Sold', statuses);
+  assert_(getStoreCreditBreakdown('Casey').held === 0, 'A cancelled preorder stops holding credit at once', results);
+
+  const second = runStoreCreditExpiry('2026-10-20');
+  const holdRow = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET)).find(h => h.Hold_Id === hold.holdId);
+  assert_(second.holdsReleased === 1 && holdRow.Status === 'RELEASED', 'The next pass marks the hold released', results);
+  assert_(second.total === 5 && getStoreCreditBalance('Casey').balance === 30, 'The spared credit then expires', results);
+
+  const reconcile = reconcileStoreCreditLedger();
+  assert_(reconcile.duplicatePosRefs.length === 0, 'Partial expiries of one lot are not reported as duplicate POSRefIds', results);
+
+  // A hold left open when the preorder is picked up must not stay OPEN forever
+  logStoreCreditTransaction({ preferred_name_id: 'Casey', direction: 'IN', amount: 10 });
+  statuses[1][4] = 'Open';
+  GAS_EMULATOR.seedSheet('Preorders_Sold', statuses);
+  const pickedUp = placeStoreCreditHold('Casey', 10, 'PO-1');
+  statuses[1][4] = 'Picked Up';
+  GAS_EMULATOR.seedSheet('Preorders_Sold', statuses);
+  assert_(getStoreCreditHolds('Casey').length === 0 && getStoreCreditBreakdown('Casey').held === 0,
+    'A picked-up preorder stops holding credit', results);
+  const third = runStoreCreditExpiry('2026-10-21');
+  const pickedUpRow = toObjects(GAS_EMULATOR.dump(STORE_CREDIT_HOLDS_SHEET)).find(h => h.Hold_Id === pickedUp.holdId);
+  assert_(third.holdsReleased === 1 && pickedUpRow.Status === 'RELEASED', 'Holds on picked-up preorders are released', results);
+}
+
+function testCreditProfileAndTrigger_(results) {
+  resetCreditBucketWorkbook_([
+    creditBucketRow_('2026-10-01', 'Casey', 'IN', 12, 'Prize Payout', '', '', '', 'c1')
+  ]);
+  placeStoreCreditHold('Casey', 2, 'PO-1');
+  const info = getStoreCreditInfo_('casey', []);
+  assert_(info.balance === 12 && info.held === 2 && info.available === 10 && info.buckets[0].bucket === 'PRIZE',
+    'Player lookup shows the balance breakdown', results);
+
+  const run = runJob('STORE_CREDIT_EXPIRY', 'TRIGGER');
+  assert_(run.status === 'SUCCESS' && run.result.expired === 0 && run.result.holdsReleased === 0,
+    'The STORE_CREDIT_EXPIRY job runs the expiry pass', results);
+}
@@ -0,0 +1,212 @@
+/**
+ * Store Credit Reconciliation Service
+ * @fileoverview Recomputes every player's running balance on
+ * Store_Credit_Ledger from the signed amounts (sheet order), reports each row
+ * whose RunningBalance diverges, negative balances, duplicate POSRefIds and
+ * unreadable rows, and optionally writes the corrected balances back with an
+ * Integrity_Log audit entry per player.
+ *
+ * The ledger's amounts are never changed; only RunningBalance is rewritten.
+ */
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Reconciles Store_Credit_Ledger
+ *
+ * @param {Object} [options] - {apply?: boolean} write corrected RunningBalance values
+ * @return {Object} {applied, rows, players, balances, divergences, negatives, duplicatePosRefs, invalidRows, corrected}
+ *   divergences: [{row, preferredName, rowId, recorded, expected}]
+ *   negatives: [{row, preferredName, balance}]
+ *   duplicatePosRefs: [{posRefId, posRefType, rows, players}]
+ *   invalidRows: [{row, reason}]
+ * @throws {Error} SHEET_MISSING, SCHEMA_INVALID
+ */
+function reconcileStoreCreditLedger(options) {
+  const apply = !!(options && options.apply);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_SHEET_NAME);
+    if (!sheet) {
+      throwError('Store_Credit_Ledger not found', 'SHEET_MISSING', 'Record a store credit transaction first');
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const cols = getStoreCreditReconcileColumns_(data[0]);
+    const report = {
+      applied: false,
+      rows: data.length - 1,
+      players: 0,
+      balances: {},
+      divergences: [],
+      negatives: [],
+      duplicatePosRefs: [],
+      invalidRows: [],
+      corrected: 0
+    };
+
+    const posRefs = {};
+
+    for (let i = 1; i < data.length; i++) {
+      const row = i + 1;
+      const preferredName = String(data[i][cols.name] || '').trim();
+      const recordedRaw = data[i][cols.balance];
+
+      if (!preferredName) {
+        if (data[i].some(v => v !== '' && v !== null)) report.invalidRows.push({ row, reason: 'No preferred_name_id' });
+        continue;
+      }
+
+      const signed = signedStoreCreditAmount_(data[i][cols.direction], data[i][cols.amount]);
+      if (signed === null) {
+        report.invalidRows.push({
+          row,
+          reason: `Unreadable InOut/Amount "${data[i][cols.direction]}" / "${data[i][cols.amount]}"`
+        });
+        continue;
+      }
+
+      const balance = roundCredit_((report.balances[preferredName] || 0) + signed);
+      report.balances[preferredName] = balance;
+
+      const recorded = recordedRaw === '' || recordedRaw === null ? NaN : parseFloat(recordedRaw);
+      if (isNaN(recorded) || Math.abs(recorded - balance) > 0.005) {
+        report.divergences.push({
+          row,
+          preferredName,
+          rowId: cols.rowId === -1 ? '' : String(data[i][cols.rowId] || ''),
+          recorded: isNaN(recorded) ? '' : recorded,
+          expected: balance
+        });
+      }
+      if (balance < 0) {
+        report.negatives.push({ row, preferredName, balance });
+      }
+
+      // Expiry rows reference the expired lot, which can expire in parts
+      const posRefId = cols.posRefId === -1 ? '' : String(data[i][cols.posRefId] || '').trim();
+      const posRefType = cols.posRefType === -1 ? '' : String(data[i][cols.posRefType] || '').trim();
+      if (posRefId && posRefType.toUpperCase() !== STORE_CREDIT_EXPIRY_REF_TYPE) {
+        if (!posRefs[posRefId]) {
+          posRefs[posRefId] = {
+            posRefId,
+            posRefType,
+            rows: [],
+            players: []
+          };
+        }
+        posRefs[posRefId].rows.push(row);
+        if (!posRefs[posRefId].players.includes(preferredName)) posRefs[posRefId].players.push(preferredName);
+      }
+    }
+
+    report.players = Object.keys(report.balances).length;
+    report.duplicatePosRefs = Object.keys(posRefs).map(id => posRefs[id]).filter(ref => ref.rows.length > 1);
+
+    if (apply && report.divergences.length > 0) {
+      // Contiguous runs of diverging rows, so correct balances are never rewritten
+      const runs = [];
+      report.divergences.forEach(d => {
+        const run = runs[runs.length - 1];
+        if (run && d.row === run.start + run.values.length) run.values.push([d.expected]);
+        else runs.push({ start: d.row, values: [[d.expected]] });
+      });
+      runs.forEach(run => sheet.getRange(run.start, cols.balance + 1, run.values.length, 1).setValues(run.values));
+      report.applied = true;
+      report.corrected = report.divergences.length;
+      logStoreCreditCorrections_(report.divergences);
+    }
+
+    logIntegrityAction('STORE_CREDIT_RECONCILE', {
+      details: `${report.rows} row(s), ${report.players} player(s): ${report.divergences.length} divergent, ` +
+        `${report.negatives.length} negative, ${report.duplicatePosRefs.length} duplicate POSRefId(s), ` +
+        `${report.invalidRows.length} unreadable` + (report.applied ? ` | corrected ${report.corrected}` : ''),
+      status: report.applied ? 'APPLIED' : (isStoreCreditLedgerClean_(report) ? 'SUCCESS' : 'WARNING')
+    });
+    return report;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Plain-text reconciliation report for alerts (first 10 items per section)
+ * @param {Object} report - reconcileStoreCreditLedger() result
+ * @return {string} Report text
+ */
+function formatStoreCreditReconciliation(report) {
+  const lines = [`${report.rows} ledger row(s) across ${report.players} player(s).`];
+  if (isStoreCreditLedgerClean_(report)) {
+    lines.push('', 'Every RunningBalance matches the signed amounts. No issues found.');
+    return lines.join('\n');
+  }
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', `${title} (${items.length}):`);
+    items.slice(0, 10).forEach(item => lines.push('  • ' + format(item)));
+    if (items.length > 10) lines.push(`  … and ${items.length - 10} more`);
+  };
+
+  section(report.applied ? 'Corrected RunningBalance' : 'RunningBalance divergences', report.divergences,
+    d => `Row ${d.row} ${d.preferredName}: ${d.recorded === '' ? '(blank)' : formatCurrency(d.recorded)} → ${formatCurrency(d.expected)}`);
+  section('Negative balances', report.negatives,
+    n => `Row ${n.row} ${n.preferredName}: ${formatCurrency(n.balance)}`);
+  section('Duplicate POSRefId', report.duplicatePosRefs,
+    d => `${d.posRefType ? d.posRefType + ' ' : ''}${d.posRefId}: rows ${d.rows.join(', ')} (${d.players.join(', ')})`);
+  section('Unreadable rows', report.invalidRows, r => `Row ${r.row}: ${r.reason}`);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function getStoreCreditReconcileColumns_(headers) {
+  const cols = {
+    name: headers.indexOf('preferred_name_id'),
+    direction: headers.indexOf('InOut'),
+    amount: headers.indexOf('Amount'),
+    balance: headers.indexOf('RunningBalance'),
+    posRefType: headers.indexOf('POSRefType'),
+    posRefId: headers.indexOf('POSRefId'),
+    rowId: headers.indexOf('RowId')
+  };
+  const missing = ['name', 'direction', 'amount', 'balance'].filter(key => cols[key] === -1);
+  if (missing.length > 0) {
+    throwError('Store_Credit_Ledger is missing required columns', 'SCHEMA_INVALID',
+      'Needs preferred_name_id, InOut, Amount and RunningBalance');
+  }
+  return cols;
+}
+
+/** @private */
+function isStoreCreditLedgerClean_(report) {
+  return report.divergences.length === 0 && report.negatives.length === 0 &&
+    report.duplicatePosRefs.length === 0 && report.invalidRows.length === 0;
+}
+
+/**
+ * One STORE_CREDIT_BALANCE_FIX audit entry per player listing each corrected row
+ * @private
+ */
+function logStoreCreditCorrections_(divergences) {
+  const byPlayer = {};
+  divergences.forEach(d => {
+    (byPlayer[d.preferredName] = byPlayer[d.preferredName] || []).push(d);
+  });
+
+  Object.keys(byPlayer).forEach(preferredName => {
+    logIntegrityAction('STORE_CREDIT_BALANCE_FIX', {
+      preferredName,
+      details: byPlayer[preferredName]
+        .map(d => `row ${d.row}${d.rowId ? ` (${d.rowId})` : ''}: ${d.recorded === '' ? '(blank)' : d.recorded} → ${d.expected}`)
+        .join('; '),
+      status: 'SUCCESS'
+    });
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * STORE CREDIT RECONCILIATION - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for reconcileStoreCreditLedger(): row-level
+ * divergences, negative balances, duplicate POSRefIds, unreadable rows and
+ * the audited write-back of corrected RunningBalance values.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testStoreCreditReconciliation() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testStoreCreditReconciliation() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('STORE CREDIT RECONCILIATION TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Clean Ledger', testReconcileClean_, results);
+  runTestSuite_('Divergences', testReconcileDivergences_, results);
+  runTestSuite_('Negatives and Duplicates', testReconcileNegativesAndDuplicates_, results);
+  runTestSuite_('Apply Corrections', testReconcileApply_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+const RECONCILE_LEDGER_HEADERS_ = [
+  'Timestamp', 'preferred_name_id', 'InOut', 'Amount', 'Reason', 'Category', 'TenderType',
+  'Description', 'POSRefType', 'POSRefId', 'RunningBalance', 'RowId'
+];
+
+/**
+ * Alex's row 3 was hand-edited to 99, which logStoreCreditTransaction used to
+ * carry into row 5; row 6 is a legacy unsigned OUT amount.
+ * @private
+ */
+function resetReconcileWorkbook_() {
+  GAS_EMULATOR.reset({
+    Store_Credit_Ledger: [
+      RECONCILE_LEDGER_HEADERS_,
+      ['2026-10-01', 'Alex', 'IN', 20, 'Prize Payout', '', '', '', 'Invoice', 'INV-1', 20, 'r1'],
+      ['2026-10-02', 'Alex', 'OUT', -5, 'Product Purchase', '', '', '', 'Invoice', 'INV-2', 99, 'r2'],
+      ['2026-10-02', 'Blake', 'IN', 10, 'Refund', '', '', '', 'Invoice', 'INV-3', 10, 'r3'],
+      ['2026-10-03', 'Alex', 'OUT', -4, 'Product Purchase', '', '', '', 'Invoice', 'INV-4', 95, 'r4'],
+      ['2026-10-04', 'Blake', 'OUT', 3, 'Product Purchase', '', '', '', '', '', 7, 'r5']
+    ]
+  });
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testReconcileClean_(results) {
+  GAS_EMULATOR.reset();
+  ensureStoreCreditLedger();
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 25, posRefId: 'INV-1' });
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'OUT', amount: 7.5, posRefId: 'INV-2' });
+
+  const report = reconcileStoreCreditLedger();
+  assert_(report.rows === 2 && report.players === 1 && report.balances.Alex === 17.5,
+    'Balances are recomputed from signed amounts', results);
+  assert_(report.divergences.length === 0 && report.negatives.length === 0 &&
+    report.duplicatePosRefs.length === 0 && report.invalidRows.length === 0, 'A clean ledger has no issues', results);
+  assert_(formatStoreCreditReconciliation(report).indexOf('No issues found') !== -1, 'Report says the ledger is clean', results);
+
+  let error = null;
+  GAS_EMULATOR.reset();
+  try {
+    reconcileStoreCreditLedger();
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[SHEET_MISSING]') === 0, 'A missing ledger is reported', results);
+}
+
+function testReconcileDivergences_(results) {
+  resetReconcileWorkbook_();
+  const report = reconcileStoreCreditLedger();
+
+  assert_(report.balances.Alex === 11 && report.balances.Blake === 7,
+    'Legacy unsigned OUT amounts count as debits', results);
+  assert_(report.divergences.length === 2, 'Every divergent row is reported', results);
+  assert_(report.divergences[0].row === 3 && report.divergences[0].recorded === 99 && report.divergences[0].expected === 15 &&
+    report.divergences[0].rowId === 'r2', 'Divergence names the row, RowId, recorded and expected balance', results);
+  assert_(report.divergences[1].row === 5 && report.divergences[1].expected === 11,
+    'Later rows that inherited the bad edit are reported too', results);
+  assert_(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME)[2][10] === 99, 'A report-only run writes nothing', results);
+  assert_(toObjects(GAS_EMULATOR.dump('Integrity_Log')).some(r => r.Action === 'STORE_CREDIT_RECONCILE' && r.Status === 'WARNING'),
+    'The run is logged as a warning', results);
+
+  assert_(getStoreCreditBalance('Alex').balance === 11, 'getStoreCreditBalance ignores the corrupted RunningBalance', results);
+  const next = logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 1 });
+  assert_(next.newBalance === 12, 'New transactions no longer inherit a bad RunningBalance', results);
+}
+
+function testReconcileNegativesAndDuplicates_(results) {
+  resetReconcileWorkbook_();
+  GAS_EMULATOR.seedSheet(STORE_CREDIT_SHEET_NAME, GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).concat([
+    ['2026-10-05', 'Casey', 'OUT', -8, 'Product Purchase', '', '', '', 'Invoice', 'INV-2', -8, 'r6'],
+    ['2026-10-05', 'Casey', 'SIDEWAYS', 3, '', '', '', '', '', '', '', 'r7'],
+    ['2026-10-06', '', 'IN', 5, '', '', '', '', '', '', '', 'r8']
+  ]));
+  const report = reconcileStoreCreditLedger();
+
+  assert_(report.negatives.length === 1 && report.negatives[0].preferredName === 'Casey' && report.negatives[0].balance === -8,
+    'Negative balances are detected', results);
+  assert_(report.duplicatePosRefs.length === 1 && report.duplicatePosRefs[0].posRefId === 'INV-2' &&
+    report.duplicatePosRefs[0].rows.join(',') === '3,7' && report.duplicatePosRefs[0].players.join(',') === 'Alex,Casey',
+    'Duplicate POSRefIds list every row and player', results);
+  assert_(report.invalidRows.length === 2 && report.invalidRows[0].row === 8 && report.invalidRows[1].reason === 'No preferred_name_id',
+    'Unreadable rows are reported, not counted', results);
+
+  const text = formatStoreCreditReconciliation(report);
+  assert_(text.indexOf('Negative balances (1)') !== -1 && text.indexOf('Invoice INV-2: rows 3, 7') !== -1,
+    'Report text lists each section', results);
+}
+
+function testReconcileApply_(results) {
+  resetReconcileWorkbook_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STORE_CREDIT_SHEET_NAME);
+  const getRange = sheet.getRange;
+  const written = [];
+  sheet.getRange = function (row, column, numRows) {
+    const range = getRange.apply(this, arguments);
+    const setValues = range.setValues;
+    range.setValues = function (values) {
+      written.push(row + 'x' + (numRows || 1));
+      return setValues.apply(this, arguments);
+    };
+    return range;
+  };
+  let applied;
+  try {
+    applied = reconcileStoreCreditLedger({ apply: true });
+  } finally {
+    sheet.getRange = getRange;
+  }
+  const rows = GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME);
+
+  assert_(applied.applied && applied.corrected === 2, 'Apply reports the corrected rows', results);
+  assert_(rows[2][10] === 15 && rows[4][10] === 11 && rows[1][10] === 20 && rows[5][10] === 7,
+    'Corrected balances are written; correct rows keep their values', results);
+  assert_(written.join() === '3x1,5x1', 'Only the diverging rows are written', results);
+  assert_(rows[2][3] === -5 && rows[5][3] === 3, 'Amounts are never changed', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  const fix = log.find(r => r.Action === 'STORE_CREDIT_BALANCE_FIX');
+  assert_(fix && String(fix.Details).indexOf('row 3 (r2): 99 → 15') !== -1 && String(fix.Details).indexOf('row 5 (r4): 95 → 11') !== -1,
+    'An audit entry lists each corrected row', results);
+  assert_(log.some(r => r.Action === 'STORE_CREDIT_RECONCILE' && r.Status === 'APPLIED'), 'The applied run is logged', results);
+
+  const again = reconcileStoreCreditLedger({ apply: true });
+  assert_(again.divergences.length === 0 && !again.applied, 'A second run finds nothing to correct', results);
+}
@@ -1,6 +1,11 @@
 /**
  * Store Credit Service
  * @fileoverview Handles store credit transactions for the Store_Credit_Ledger
+ *
+ * Balances are the sum of each player's signed amounts (InOut decides the
+ * sign); RunningBalance is written for display and checked by
+ * reconcileStoreCreditLedger() (storeCreditReconciliationService.js).
+ * Buckets, expiry and holds are in storeCreditBucketService.js.
  */
 
 const STORE_CREDIT_SHEET_NAME = 'Store_Credit_Ledger';
@@ -17,6 +22,7 @@ const STORE_CREDIT_SHEET_NAME = 'Store_Credit_Ledger';
  * @param {string} payload.description - Additional description
  * @param {string} payload.posRefType - POS reference type (e.g., "Invoice", "TicketID")
  * @param {string} payload.posRefId - POS reference ID
+ * @param {string} [payload.holdId] - Hold being captured (its credit may be spent)
  * @return {Object} Result object with success status and transaction details
  */
 function logStoreCreditTransaction(payload) {
@@ -47,10 +53,21 @@ function logStoreCreditTransaction(payload) {
     // Calculate signed amount
     const signedAmount = direction === 'IN' ? amount : -amount;
 
-    // Get player's last running balance
+    // Balance from the ledger's amounts, not the last (editable) RunningBalance
     const preferredNameId = String(payload.preferred_name_id).trim();
-    const lastBalance = getLastRunningBalance_(sheet, preferredNameId);
-    const newBalance = lastBalance + signedAmount;
+    const lastBalance = computeLedgerBalance_(sheet, preferredNameId);
+    const newBalance = roundCredit_(lastBalance + signedAmount);
+
+    // Credit held against open preorders can only be spent by capturing the
+    // hold (storeCreditBucketService.js)
+    if (direction === 'OUT') {
+      const held = getHeldStoreCredit_(preferredNameId, payload.holdId);
+      if (held > 0 && newBalance < held - 0.005) {
+        throwError(`${formatCurrency(held)} of ${preferredNameId}'s credit is held for preorders; ` +
+          `${formatCurrency(Math.max(0, lastBalance - held))} is available`, 'INSUFFICIENT_CREDIT',
+          'Capture or release the hold first');
+      }
+    }
     
     // Phase 5: Queue unknown names (retail-friendly mode)
     // Check if name is canonical, queue if not (but don't block transaction)
@@ -123,14 +140,13 @@ function logStoreCreditTransaction(payload) {
 }
 
 /**
- * Gets the last running balance for a player from the ledger
- * Scans from bottom up for efficiency
+ * Computes a player's balance from the ledger's signed amounts
  * @param {Sheet} sheet - The Store_Credit_Ledger sheet
  * @param {string} preferredNameId - The player identifier
- * @return {number} Last running balance (0 if none found)
+ * @return {number} Balance (0 if no rows)
  * @private
  */
-function getLastRunningBalance_(sheet, preferredNameId) {
+function computeLedgerBalance_(sheet, preferredNameId) {
   const lastRow = sheet.getLastRow();
 
   // If only header row exists, return 0
@@ -138,21 +154,38 @@ function getLastRunningBalance_(sheet, preferredNameId) {
     return 0;
   }
 
-  // Get all data (excluding header)
-  const data = sheet.getRange(2, 1, lastRow - 1, 12).getValues();
-
-  // Scan from bottom up looking for matching preferred_name_id (column B = index 1)
-  for (let i = data.length - 1; i >= 0; i--) {
-    const rowPreferredNameId = String(data[i][1]).trim();
-    if (rowPreferredNameId === preferredNameId) {
-      // Column K (RunningBalance) = index 10
-      const balance = parseFloat(data[i][10]);
-      return isNaN(balance) ? 0 : balance;
-    }
+  // Columns B:D = preferred_name_id, InOut, Amount
+  const data = sheet.getRange(2, 2, lastRow - 1, 3).getValues();
+  let balance = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (String(data[i][0]).trim() !== preferredNameId) continue;
+    const signed = signedStoreCreditAmount_(data[i][1], data[i][2]);
+    if (signed !== null) balance += signed;
   }
+  return roundCredit_(balance);
+}
 
-  // No matching rows found
-  return 0;
+/**
+ * Signed effect of a ledger row on the balance. InOut decides the sign, so
+ * older rows that stored OUT amounts unsigned count the same as new ones.
+ * @param {string} direction - InOut value
+ * @param {number|string} amount - Amount value
+ * @return {number|null} Signed amount, or null if the row is unreadable
+ * @private
+ */
+function signedStoreCreditAmount_(direction, amount) {
+  const dir = String(direction || '').trim().toUpperCase();
+  const value = parseFloat(amount);
+  if ((dir !== 'IN' && dir !== 'OUT') || isNaN(value)) return null;
+  return dir === 'IN' ? Math.abs(value) : -Math.abs(value);
+}
+
+/**
+ * Rounds a credit amount to cents
+ * @private
+ */
+function roundCredit_(value) {
+  return Math.round(value * 100) / 100;
 }
 
 /**
@@ -178,7 +211,7 @@ function getStoreCreditBalance(preferredNameId) {
       };
     }
 
-    const balance = getLastRunningBalance_(sheet, String(preferredNameId).trim());
+    const balance = computeLedgerBalance_(sheet, String(preferredNameId).trim());
 
     return {
       success: true,
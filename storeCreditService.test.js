@@ -0,0 +1,117 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * STORE CREDIT SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for Store_Credit_Ledger writes and balances.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testStoreCreditService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testStoreCreditService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('STORE CREDIT SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Ledger Creation', testStoreCreditLedgerCreation_, results);
+  runTestSuite_('Running Balance', testStoreCreditRunningBalance_, results);
+  runTestSuite_('Validation', testStoreCreditValidation_, results);
+  runTestSuite_('UI Wrappers', testStoreCreditUiWrappers_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testStoreCreditLedgerCreation_(results) {
+  GAS_EMULATOR.reset();
+  const sheet = ensureStoreCreditLedger();
+  const headers = GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME)[0];
+
+  assert_(sheet.getName() === STORE_CREDIT_SHEET_NAME, 'ensureStoreCreditLedger creates the ledger', results);
+  assert_(headers.length === 12 && headers[10] === 'RunningBalance' && headers[11] === 'RowId',
+    'Ledger has the 12-column header ending in RunningBalance, RowId', results);
+
+  ensureStoreCreditLedger();
+  assert_(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).length === 1, 'Calling it again does not duplicate headers', results);
+}
+
+function testStoreCreditRunningBalance_(results) {
+  GAS_EMULATOR.reset();
+  ensureStoreCreditLedger();
+
+  logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'IN', amount: 25, reason: 'Prize Payout' });
+  logStoreCreditTransaction({ preferred_name_id: 'Blake', direction: 'IN', amount: 10 });
+  const spend = logStoreCreditTransaction({ preferred_name_id: 'Alex', direction: 'out', amount: '7.5' });
+
+  assert_(spend.amount === -7.5 && spend.direction === 'OUT', 'OUT rows store a negative signed amount', results);
+  assert_(spend.newBalance === 17.5, 'Running balance = 25 - 7.5', results);
+
+  const rows = GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).slice(1);
+  assert_(rows.length === 3 && rows[2][10] === 17.5, 'RunningBalance column is written on the new row', results);
+  assert_(rows.every(r => r[11]), 'Every row gets a RowId', results);
+
+  assert_(getStoreCreditBalance('Alex').balance === 17.5, 'getStoreCreditBalance reads the last running balance', results);
+  assert_(getStoreCreditBalance('Blake').balance === 10, 'Balances are tracked per player', results);
+  assert_(getStoreCreditBalance('Nobody').found === false, 'Unknown player reports found = false', results);
+
+  assert_(PropertiesService.getScriptProperties().getProperty('LEDGER_LAST_UPDATED') !== null,
+    'LEDGER_LAST_UPDATED is stamped for polling', results);
+}
+
+function testStoreCreditValidation_(results) {
+  GAS_EMULATOR.reset();
+
+  const expectFailure = (payload, fragment, message) => {
+    let error = null;
+    try {
+      logStoreCreditTransaction(payload);
+    } catch (e) {
+      error = e;
+    }
+    assert_(error !== null && error.message.indexOf(fragment) !== -1, message, results);
+  };
+
+  expectFailure({ preferred_name_id: 'Alex', direction: 'IN', amount: 5 },
+    'sheet not found', 'Missing ledger sheet is reported', results);
+
+  ensureStoreCreditLedger();
+  expectFailure({ direction: 'IN', amount: 5 }, 'preferred_name_id is required', 'Player is required', results);
+  expectFailure({ preferred_name_id: 'Alex', direction: 'SIDEWAYS', amount: 5 },
+    'direction must be', 'Direction must be IN or OUT', results);
+  expectFailure({ preferred_name_id: 'Alex', direction: 'IN', amount: -5 },
+    'positive number', 'Amount must be positive', results);
+
+  assert_(GAS_EMULATOR.dump(STORE_CREDIT_SHEET_NAME).length === 1, 'Rejected transactions write no rows', results);
+}
+
+function testStoreCreditUiWrappers_(results) {
+  GAS_EMULATOR.reset();
+  ensureStoreCreditLedger();
+
+  const first = submitStoreCredit({ playerName: 'Casey', direction: 'IN', amount: 40, reason: 'Refund' });
+  const second = submitStoreCredit({ playerName: 'Casey', direction: 'OUT', amount: 15 });
+
+  assert_(first.newBalance === 40 && second.newBalance === 25, 'submitStoreCredit returns the new balance', results);
+  assert_(getCurrentBalance('Casey') === 25, 'getCurrentBalance returns a plain number', results);
+
+  const history = getPlayerHistory('Casey', 5);
+  assert_(history.length === 2 && history[0].amount === -15 && history[1].reason === 'Refund',
+    'getPlayerHistory lists newest first', results);
+}
@@ -1,10 +1,14 @@
 /**
  * Suffix Configuration Service
- * @fileoverview Canonical suffix map and helper functions for event classification
+ * @fileoverview Suffix registry and helper functions for event classification
  * Version 7.9.7+
  *
- * This module defines the single source of truth for all event suffixes A-Z,
- * including Commander brackets, Limited formats, and mission tags.
+ * This module is the single source of truth for all event suffixes, including
+ * Commander brackets, Limited formats, mission triggers and scanner categories.
+ * SUFFIX_MAP holds the code defaults; rows on the Suffix_Registry sheet
+ * override or extend them (see getSuffixRegistry_). Event creation, mission
+ * triggers, the attendance calendar, the dashboard and tab organization all
+ * read suffix metadata through getSuffixMeta_().
  */
 
 // ============================================================================
@@ -12,10 +16,10 @@
 // ============================================================================
 
 /**
- * SUFFIX_MAP - Single source of truth for all event suffixes.
+ * SUFFIX_MAP - Code defaults for the suffix registry.
  *
  * Keys:
- *   code              - Single-letter suffix A–Z
+ *   code              - Suffix code: a letter, optionally followed by letters/digits
  *   name              - Human-readable name
  *   game              - Primary game/line (or "MULTI" / "GENERIC")
  *   formatType        - "CONSTRUCTED" | "LIMITED" | "PROGRAM" | "HOBBY" | "INTERNAL"
@@ -23,6 +27,10 @@
  *   commanderRange    - null | [minBracket, maxBracket]
  *   requiresKitPrompt - true if D/R/S/P RL95 needs kit-cost prompt
  *   missionTags       - Array of tags used by MissionLog / KPI engine
+ *   category          - Attendance scanner category (e.g. "DRAFT", "CEDH")
+ *   missionIds        - Missions this suffix triggers (MissionScanService / MissionLog)
+ *
+ * Every entry is ACTIVE unless the Suffix_Registry sheet sets Status = RETIRED.
  */
 const SUFFIX_MAP = {
   "A": {
@@ -33,7 +41,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["ACADEMY", "ONBOARDING", "NEW_PLAYER"]
+    missionTags: ["ACADEMY", "ONBOARDING", "NEW_PLAYER"],
+    category: "ACADEMY",
+    missionIds: ["ATTEND_ACADEMY", "STELLAR_SCHOLAR"]
   },
   "B": {
     code: "B",
@@ -43,7 +53,9 @@ const SUFFIX_MAP = {
     commanderBracket: 2,
     commanderRange: [1, 2],
     requiresKitPrompt: false,
-    missionTags: ["COMMANDER", "BRK_1_2", "CASUAL"]
+    missionTags: ["COMMANDER", "BRK_1_2", "CASUAL"],
+    category: "CASUAL_COMMANDER",
+    missionIds: ["ATTEND_CMD_CASUAL"]
   },
   "C": {
     code: "C",
@@ -53,7 +65,9 @@ const SUFFIX_MAP = {
     commanderBracket: 4,
     commanderRange: [3, 4],
     requiresKitPrompt: false,
-    missionTags: ["COMMANDER", "BRK_3_4", "TRANSITION"]
+    missionTags: ["COMMANDER", "BRK_3_4", "TRANSITION"],
+    category: "TRANSITIONAL_COMMANDER",
+    missionIds: ["ATTEND_CMD_TRANSITION"]
   },
   "D": {
     code: "D",
@@ -63,7 +77,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: true,
-    missionTags: ["MTG", "DRAFT", "LIMITED"]
+    missionTags: ["MTG", "DRAFT", "LIMITED"],
+    category: "DRAFT",
+    missionIds: ["ATTEND_LIMITED_EVENT", "DRAFT_NAVIGATOR", "SEALED_VOYAGER"]
   },
   "E": {
     code: "E",
@@ -73,7 +89,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["OUTREACH", "OFFSITE", "MARKETING"]
+    missionTags: ["OUTREACH", "OFFSITE", "MARKETING"],
+    category: "OUTREACH",
+    missionIds: ["ATTEND_OUTREACH"]
   },
   "F": {
     code: "F",
@@ -83,7 +101,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["FREE_PLAY", "COMMUNITY"]
+    missionTags: ["FREE_PLAY", "COMMUNITY"],
+    category: "FREE_PLAY",
+    missionIds: ["ATTEND_FREE_PLAY"]
   },
   "G": {
     code: "G",
@@ -93,7 +113,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["GUNPLA", "HOBBY"]
+    missionTags: ["GUNPLA", "HOBBY"],
+    category: "GUNDAM",
+    missionIds: []
   },
   "H": {
     code: "H",
@@ -103,7 +125,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["MTG", "HISTORIC_LEGACY"]
+    missionTags: ["MTG", "HISTORIC_LEGACY"],
+    category: "HISTORIC_LEGACY",
+    missionIds: []
   },
   "I": {
     code: "I",
@@ -113,7 +137,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["YUGIOH"]
+    missionTags: ["YUGIOH"],
+    category: "YUGIOH",
+    missionIds: []
   },
   "J": {
     code: "J",
@@ -123,7 +149,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["JUNIOR", "YOUTH"]
+    missionTags: ["JUNIOR", "YOUTH"],
+    category: "JUNIOR",
+    missionIds: []
   },
   "K": {
     code: "K",
@@ -133,7 +161,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["MINIATURES", "KILL_TEAM"]
+    missionTags: ["MINIATURES", "KILL_TEAM"],
+    category: "KILL_TEAM",
+    missionIds: []
   },
   "L": {
     code: "L",
@@ -143,7 +173,9 @@ const SUFFIX_MAP = {
     commanderBracket: null, // League can host B/C/T internally
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["COMMANDER", "LEAGUE"]
+    missionTags: ["COMMANDER", "LEAGUE"],
+    category: "COMMANDER_LEAGUE",
+    missionIds: []
   },
   "M": {
     code: "M",
@@ -153,7 +185,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["MTG", "MODERN"]
+    missionTags: ["MTG", "MODERN"],
+    category: "MODERN",
+    missionIds: []
   },
   "N": {
     code: "N",
@@ -163,7 +197,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["POKEMON"]
+    missionTags: ["POKEMON"],
+    category: "POKEMON",
+    missionIds: []
   },
   "O": {
     code: "O",
@@ -173,7 +209,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["ONE_PIECE"]
+    missionTags: ["ONE_PIECE"],
+    category: "ONE_PIECE",
+    missionIds: []
   },
   "P": {
     code: "P",
@@ -183,7 +221,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: true, // limited packs / kit cost behavior
-    missionTags: ["MTG", "CUBE", "PROXY", "LIMITED"]
+    missionTags: ["MTG", "CUBE", "PROXY", "LIMITED"],
+    category: "DRAFT",
+    missionIds: ["ATTEND_LIMITED_EVENT"]
   },
   "Q": {
     code: "Q",
@@ -193,7 +233,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["MTG", "PRECON"]
+    missionTags: ["MTG", "PRECON"],
+    category: "PRECON_EVENT",
+    missionIds: []
   },
   "R": {
     code: "R",
@@ -203,7 +245,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: true,
-    missionTags: ["MTG", "PRERELEASE", "LIMITED"]
+    missionTags: ["MTG", "PRERELEASE", "LIMITED"],
+    category: "PRERELEASE",
+    missionIds: ["ATTEND_LIMITED_EVENT", "SEALED_VOYAGER"]
   },
   "S": {
     code: "S",
@@ -213,7 +257,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: true,
-    missionTags: ["MTG", "SEALED", "LIMITED"]
+    missionTags: ["MTG", "SEALED", "LIMITED"],
+    category: "SEALED",
+    missionIds: ["ATTEND_LIMITED_EVENT", "SEALED_VOYAGER"]
   },
   "T": {
     code: "T",
@@ -223,7 +269,9 @@ const SUFFIX_MAP = {
     commanderBracket: 5,
     commanderRange: [5, 5],
     requiresKitPrompt: false,
-    missionTags: ["COMMANDER", "BRK_1_3", "Casual"]
+    missionTags: ["COMMANDER", "BRK_1_3", "CASUAL"],
+    category: "TWO_HEADED_GIANT",
+    missionIds: []
   },
   "U": {
     code: "U",
@@ -233,7 +281,9 @@ const SUFFIX_MAP = {
     commanderBracket: 5,
     commanderRange: [5, 5],
     requiresKitPrompt: false,
-    missionTags: ["COMMANDER", "BRK_5", "CEDH"]
+    missionTags: ["COMMANDER", "BRK_5", "CEDH"],
+    category: "CEDH",
+    missionIds: ["ATTEND_CMD_CEDH"]
   },
   "V": {
     code: "V",
@@ -243,7 +293,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["RIFTBOUND"]
+    missionTags: ["RIFTBOUND"],
+    category: "RIFTBOUND",
+    missionIds: []
   },
   "W": {
     code: "W",
@@ -253,7 +305,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["HOBBY", "WORKSHOP"]
+    missionTags: ["HOBBY", "WORKSHOP"],
+    category: "WORKSHOP",
+    missionIds: ["STELLAR_SCHOLAR"]
   },
   "X": {
     code: "X",
@@ -263,7 +317,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["MULTI_EVENT", "FESTIVAL"]
+    missionTags: ["MULTI_EVENT", "FESTIVAL"],
+    category: "MULTI_EVENT",
+    missionIds: []
   },
   "Y": {
     code: "Y",
@@ -273,7 +329,9 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["LORCANA"]
+    missionTags: ["LORCANA"],
+    category: "LORCANA",
+    missionIds: []
   },
   "Z": {
     code: "Z",
@@ -283,61 +341,208 @@ const SUFFIX_MAP = {
     commanderBracket: null,
     commanderRange: null,
     requiresKitPrompt: false,
-    missionTags: ["STAFF", "INTERNAL"]
+    missionTags: ["STAFF", "INTERNAL"],
+    category: "STAFF_INTERNAL",
+    missionIds: []
   }
 };
 
+// ============================================================================
+// SUFFIX REGISTRY (Suffix_Registry sheet + code defaults)
+// ============================================================================
+
+const SUFFIX_REGISTRY_SHEET = 'Suffix_Registry';
+
+const SUFFIX_REGISTRY_HEADERS = [
+  'Code',
+  'Name',
+  'Game',
+  'Format_Type',
+  'Category',
+  'Commander_Range',
+  'Requires_Kit_Prompt',
+  'Mission_IDs',
+  'Mission_Tags',
+  'Status'
+];
+
+/** Per-execution cache of the merged registry */
+let suffixRegistryCache_ = null;
+
+/**
+ * Returns the merged suffix registry: SUFFIX_MAP overlaid with Suffix_Registry
+ * sheet rows. Falls back to code defaults when the sheet is missing or cannot
+ * be read (e.g. plain Node test runners).
+ * @return {Object} Map of code → suffix metadata
+ * @private
+ */
+function getSuffixRegistry_() {
+  if (suffixRegistryCache_) return suffixRegistryCache_;
+
+  let rows = [];
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SUFFIX_REGISTRY_SHEET);
+    if (sheet && sheet.getLastRow() > 1) {
+      rows = toObjects(sheet.getDataRange().getValues());
+    }
+  } catch (e) {
+    // No spreadsheet available – code defaults only
+  }
+
+  suffixRegistryCache_ = mergeSuffixRegistryRows_(SUFFIX_MAP, rows);
+  return suffixRegistryCache_;
+}
+
+/**
+ * Drops the cached registry so the next lookup re-reads Suffix_Registry
+ */
+function clearSuffixRegistryCache_() {
+  suffixRegistryCache_ = null;
+}
+
+/**
+ * Merges Suffix_Registry rows over the code defaults.
+ * Blank cells keep the default; unknown codes are added as new suffixes.
+ * @param {Object} defaults - SUFFIX_MAP
+ * @param {Array<Object>} rows - Sheet rows keyed by SUFFIX_REGISTRY_HEADERS
+ * @return {Object} Map of code → suffix metadata (with status)
+ * @private
+ */
+function mergeSuffixRegistryRows_(defaults, rows) {
+  const registry = {};
+  Object.keys(defaults).forEach(code => {
+    registry[code] = Object.assign({ status: 'ACTIVE' }, defaults[code]);
+  });
+
+  const isSet = value => value !== '' && value !== null && value !== undefined;
+  const toList = value => String(value).split(',').map(v => v.trim()).filter(v => v);
+
+  rows.forEach(row => {
+    const code = String(row.Code || '').trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9]*$/.test(code)) return; // Must be usable in an event ID
+
+    const meta = registry[code] || {
+      code,
+      name: code,
+      game: 'GENERIC',
+      formatType: 'PROGRAM',
+      commanderBracket: null,
+      commanderRange: null,
+      requiresKitPrompt: false,
+      missionTags: [],
+      category: 'OTHER',
+      missionIds: [],
+      status: 'ACTIVE'
+    };
+
+    if (isSet(row.Name)) meta.name = String(row.Name).trim();
+    if (isSet(row.Game)) meta.game = String(row.Game).trim().toUpperCase();
+    if (isSet(row.Format_Type)) meta.formatType = String(row.Format_Type).trim().toUpperCase();
+    if (isSet(row.Category)) meta.category = String(row.Category).trim().toUpperCase();
+    if (isSet(row.Commander_Range)) {
+      const bounds = String(row.Commander_Range).split('-').map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+      meta.commanderRange = bounds.length ? [bounds[0], bounds[bounds.length - 1]] : null;
+      meta.commanderBracket = bounds.length ? bounds[bounds.length - 1] : null;
+    }
+    if (isSet(row.Requires_Kit_Prompt)) meta.requiresKitPrompt = coerceBoolean(row.Requires_Kit_Prompt);
+    if (isSet(row.Mission_IDs)) meta.missionIds = toList(row.Mission_IDs);
+    if (isSet(row.Mission_Tags)) meta.missionTags = toList(row.Mission_Tags);
+    if (isSet(row.Status)) meta.status = String(row.Status).trim().toUpperCase() === 'RETIRED' ? 'RETIRED' : 'ACTIVE';
+
+    registry[code] = meta;
+  });
+
+  return registry;
+}
+
+/**
+ * Creates Suffix_Registry seeded with the code defaults (no-op if it exists)
+ * @return {Sheet} Suffix_Registry sheet
+ */
+function ensureSuffixRegistrySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SUFFIX_REGISTRY_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(SUFFIX_REGISTRY_SHEET);
+  const rows = Object.keys(SUFFIX_MAP).map(code => {
+    const meta = SUFFIX_MAP[code];
+    return [
+      code,
+      meta.name,
+      meta.game,
+      meta.formatType,
+      meta.category,
+      meta.commanderRange ? meta.commanderRange.join('-') : '',
+      meta.requiresKitPrompt,
+      meta.missionIds.join(', '),
+      meta.missionTags.join(', '),
+      'ACTIVE'
+    ];
+  });
+  sheet.getRange(1, 1, 1, SUFFIX_REGISTRY_HEADERS.length).setValues([SUFFIX_REGISTRY_HEADERS]);
+  sheet.getRange(2, 1, rows.length, SUFFIX_REGISTRY_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, SUFFIX_REGISTRY_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+
+  clearSuffixRegistryCache_();
+  logIntegrityAction('SUFFIX_REGISTRY_CREATE', {
+    details: `Seeded ${rows.length} suffixes from code defaults`,
+    status: 'SUCCESS'
+  });
+  return sheet;
+}
+
 // ============================================================================
 // SUFFIX HELPERS
 // ============================================================================
 
 /**
- * Get suffix metadata by code
- * @param {string} code - Single-letter suffix code (A-Z)
+ * Get suffix metadata by code (active or retired)
+ * @param {string} code - Suffix code (case-insensitive)
  * @return {Object|null} Suffix metadata or null if not found
  */
 function getSuffixMeta_(code) {
   if (!code) return null;
-  return SUFFIX_MAP[code] || null;
+  return getSuffixRegistry_()[String(code).toUpperCase()] || null;
 }
 
 /**
- * Parse suffix from an event sheet name.
- * Valid patterns:
- *   MM-DD-YYYY        -> null (no suffix)
- *   MM-DDX-YYYY       -> X (where X is A–Z suffix)
+ * Parse suffix from an event sheet name (event ID grammar, eventIdGrammar.js).
  *
  * Examples:
- *   "11-23-2025"   -> null
- *   "11-23B-2025"  -> "B"
- *   "05-01T-2026"  -> "T"
+ *   "11-23-2025"        -> null (no suffix)
+ *   "11-23B-2025"       -> "B"
+ *   "11-23B-2025-2"     -> "B"
+ *   "12-01Draft-2025"   -> "DRAFT"
+ *   "11-29X(B+D)-2025"  -> "X" (components via parseEventIdParts_().components)
  *
  * @param {string} eventId - Event sheet name
- * @return {string|null} Suffix letter or null
+ * @return {string|null} Uppercase suffix or null
  */
 function getSuffixFromEventId_(eventId) {
-  if (!eventId) return null;
-  const parts = eventId.split("-");
-  if (parts.length !== 3) return null;
-
-  // parts[1] may be "23" or "23B"
-  const dayPart = parts[1];
-  const maybeSuffix = dayPart.replace(/[0-9]/g, "");
-  if (!maybeSuffix) return null;
-  if (maybeSuffix.length !== 1) return null;
-
-  // Validate it's uppercase A-Z
-  if (!/^[A-Z]$/.test(maybeSuffix)) return null;
-
-  return maybeSuffix;
+  const parsed = parseEventIdParts_(eventId);
+  return parsed && parsed.suffix ? parsed.suffix : null;
 }
 
 /**
- * Get all valid suffix codes
- * @return {Array<string>} Array of suffix codes A-Z
+ * Get all registered suffix codes (active and retired)
+ * @return {Array<string>} Array of suffix codes
  */
 function getAllSuffixCodes_() {
-  return Object.keys(SUFFIX_MAP);
+  return Object.keys(getSuffixRegistry_());
+}
+
+/**
+ * Get suffix codes that may be used for new events
+ * @return {Array<string>} Array of active suffix codes
+ */
+function getActiveSuffixCodes_() {
+  const registry = getSuffixRegistry_();
+  return Object.keys(registry).filter(code => registry[code].status !== 'RETIRED');
 }
 
 /**
@@ -352,11 +557,11 @@ function getSuffixDisplayName_(code) {
 }
 
 /**
- * Get all suffix options for UI dropdowns
+ * Get active suffix options for UI dropdowns
  * @return {Array<Object>} Array of {code, display}
  */
 function getSuffixOptions_() {
-  return getAllSuffixCodes_().map(code => ({
+  return getActiveSuffixCodes_().map(code => ({
     code: code,
     display: getSuffixDisplayName_(code)
   }));
@@ -385,17 +590,98 @@ function getCommanderBracketRange_(code) {
 /**
  * Check if suffix is a Commander format
  * @param {string} code - Suffix code
- * @return {boolean} True if B/C/T/L
+ * @return {boolean} True if the suffix carries the COMMANDER mission tag
  */
 function isCommanderSuffix_(code) {
-  return ['B', 'C', 'T', 'L'].includes(code);
+  const meta = getSuffixMeta_(code);
+  return meta ? meta.missionTags.includes('COMMANDER') : false;
 }
 
 /**
  * Check if suffix is Limited format
  * @param {string} code - Suffix code
- * @return {boolean} True if D/P/R/S
+ * @return {boolean} True if formatType is LIMITED
  */
 function isLimitedSuffix_(code) {
-  return ['D', 'P', 'R', 'S'].includes(code);
-}
\ No newline at end of file
+  const meta = getSuffixMeta_(code);
+  return meta ? meta.formatType === 'LIMITED' : false;
+}
+/**
+ * Suffixes that trigger a mission. Registry missionIds win; the mission's own
+ * trigger.suffixes list is only used for missions no suffix points at.
+ * @param {Object} mission - Mission definition ({id, trigger})
+ * @return {Array<string>} Suffix codes
+ */
+function getMissionTriggerSuffixes_(mission) {
+  const registry = getSuffixRegistry_();
+  const codes = Object.keys(registry).filter(code =>
+    (registry[code].missionIds || []).includes(mission.id)
+  );
+  if (codes.length > 0) return codes;
+  return (mission.trigger && mission.trigger.suffixes) || [];
+}
+
+// ============================================================================
+// STARTUP CHECK
+// ============================================================================
+
+/**
+ * Reports event tabs whose suffix (or declared X component) is unknown to the
+ * registry or retired.
+ * @return {Object} {checked, unknown: [{tab, suffix}], retired: [{tab, suffix}]}
+ */
+function checkEventTabSuffixes() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const result = { checked: 0, unknown: [], retired: [] };
+
+  ss.getSheets().forEach(sheet => {
+    const parsed = parseEventIdParts_(sheet.getName());
+    if (!parsed) return;
+
+    result.checked++;
+    if (!parsed.suffix) return;
+
+    const codes = [parsed.suffix].concat(parsed.components);
+    codes.forEach(suffix => {
+      const meta = getSuffixMeta_(suffix);
+      if (!meta) {
+        result.unknown.push({ tab: parsed.eventId, suffix });
+      } else if (meta.status === 'RETIRED') {
+        result.retired.push({ tab: parsed.eventId, suffix });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Runs checkEventTabSuffixes() on open; logs and toasts only when something is off.
+ * Never throws – a broken check must not block the menus.
+ * @private
+ */
+function runSuffixStartupCheck_() {
+  try {
+    const result = checkEventTabSuffixes();
+    const problems = result.unknown.length + result.retired.length;
+    if (problems === 0) return;
+
+    const describe = list => list.map(p => `${p.tab} (${p.suffix})`).join(', ');
+    const details = [
+      result.unknown.length ? `Unknown: ${describe(result.unknown)}` : '',
+      result.retired.length ? `Retired: ${describe(result.retired)}` : ''
+    ].filter(d => d).join(' | ');
+
+    logIntegrityAction('SUFFIX_CHECK', {
+      details,
+      status: 'WARNING'
+    });
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `${problems} event tab(s) use unknown or retired suffixes. See Integrity_Log (SUFFIX_CHECK).`,
+      'Suffix Registry',
+      10
+    );
+  } catch (e) {
+    console.error('Suffix startup check failed:', e);
+  }
+}
@@ -32,6 +32,8 @@ function testSuffixSystem() {
   runTestSuite_('Mission Triggers', testMissionTriggers_, results);
   runTestSuite_('Commander Brackets', testCommanderBrackets_, results);
   runTestSuite_('Limited Formats', testLimitedFormats_, results);
+  runTestSuite_('Suffix Registry', testSuffixRegistry_, results);
+  runTestSuite_('Event ID Grammar', testEventIdGrammar_, results);
 
   // Summary
   Logger.log('\n========================================');
@@ -118,6 +120,16 @@ function testSuffixParsing_(results) {
 
   suffix = getSuffixFromEventId_('');
   assert_(suffix === null, 'Parse empty string → null', results);
+
+  // Multi-character, sequenced and multi-event tabs
+  suffix = getSuffixFromEventId_('12-01Draft-2025');
+  assert_(suffix === 'DRAFT', 'Parse "12-01Draft-2025" → "DRAFT"', results);
+
+  suffix = getSuffixFromEventId_('11-23B-2025-2');
+  assert_(suffix === 'B', 'Parse "11-23B-2025-2" → "B"', results);
+
+  suffix = getSuffixFromEventId_('11-29X(B+D)-2025');
+  assert_(suffix === 'X', 'Parse "11-29X(B+D)-2025" → "X"', results);
 }
 
 /**
@@ -133,9 +145,9 @@ function testSuffixMetadata_(results) {
   assert_(meta.commanderBracket === 2, 'B.commanderBracket === 2', results);
   assert_(meta.requiresKitPrompt === false, 'B.requiresKitPrompt === false', results);
 
-  meta = getSuffixMeta_('T');
-  assert_(meta !== null, 'Get metadata for "T" (cEDH)', results);
-  assert_(meta.commanderBracket === 5, 'T.commanderBracket === 5', results);
+  meta = getSuffixMeta_('U');
+  assert_(meta !== null, 'Get metadata for "U" (cEDH)', results);
+  assert_(meta.commanderBracket === 5, 'U.commanderBracket === 5', results);
 
   meta = getSuffixMeta_('D');
   assert_(meta !== null, 'Get metadata for "D" (Booster Draft)', results);
@@ -190,13 +202,20 @@ function testCommanderBrackets_(results) {
   assert_(meta.commanderRange[1] === 4, 'C.commanderRange[1] === 4', results);
   assert_(meta.missionTags.includes('BRK_3_4'), 'C has BRK_3_4 tag', results);
 
-  // Test T = Bracket 5 (cEDH)
+  // Test U = Bracket 5 (cEDH)
+  meta = getSuffixMeta_('U');
+  assert_(meta.commanderRange !== null, 'U has commanderRange', results);
+  assert_(meta.commanderRange[0] === 5, 'U.commanderRange[0] === 5', results);
+  assert_(meta.commanderRange[1] === 5, 'U.commanderRange[1] === 5', results);
+  assert_(meta.missionTags.includes('BRK_5'), 'U has BRK_5 tag', results);
+  assert_(meta.missionTags.includes('CEDH'), 'U has CEDH tag', results);
+
+  // Test T = Two-Headed Giant Commander (Bracket 5)
   meta = getSuffixMeta_('T');
-  assert_(meta.commanderRange !== null, 'T has commanderRange', results);
+  assert_(meta.commanderBracket === 5, 'T.commanderBracket === 5', results);
   assert_(meta.commanderRange[0] === 5, 'T.commanderRange[0] === 5', results);
   assert_(meta.commanderRange[1] === 5, 'T.commanderRange[1] === 5', results);
-  assert_(meta.missionTags.includes('BRK_5'), 'T has BRK_5 tag', results);
-  assert_(meta.missionTags.includes('CEDH'), 'T has CEDH tag', results);
+  assert_(isCommanderSuffix_('T') === true, 'T is a Commander suffix', results);
 
   // Test L = Commander League (no specific bracket)
   meta = getSuffixMeta_('L');
@@ -240,6 +259,84 @@ function testLimitedFormats_(results) {
   assert_(meta.requiresKitPrompt === false, 'B does NOT require kit prompt', results);
 }
 
+/**
+ * Tests Suffix_Registry rows overlaying the code defaults
+ * @private
+ */
+function testSuffixRegistry_(results) {
+  const registry = mergeSuffixRegistryRows_(SUFFIX_MAP, [
+    { Code: 'h', Name: 'Helped Out', Category: 'HELPED_OUT', Status: '' },
+    { Code: 'K', Status: 'Retired' },
+    { Code: 'SW', Name: 'Star Wars: Unlimited', Game: 'swu', Format_Type: 'constructed', Mission_IDs: '' },
+    { Code: 'Q', Commander_Range: '1-4', Requires_Kit_Prompt: 'TRUE', Mission_IDs: 'ATTEND_CMD_CASUAL, ATTEND_CMD_TRANSITION' }
+  ]);
+
+  assert_(registry.H.name === 'Helped Out' && registry.H.category === 'HELPED_OUT',
+    'Sheet row overrides default name/category (case-insensitive code)', results);
+  assert_(registry.H.game === 'MTG', 'Blank cells keep the default', results);
+  assert_(registry.K.status === 'RETIRED' && registry.A.status === 'ACTIVE', 'Status defaults to ACTIVE, sheet can retire', results);
+  assert_(registry.SW && registry.SW.game === 'SWU' && registry.SW.formatType === 'CONSTRUCTED',
+    'Unknown codes are added as new suffixes', results);
+  assert_(registry.Q.commanderBracket === 4 && registry.Q.commanderRange[0] === 1, 'Commander_Range "1-4" parses', results);
+  assert_(registry.Q.requiresKitPrompt === true && registry.Q.missionIds.length === 2, 'Booleans and lists parse', results);
+  assert_(SUFFIX_MAP.H.name === 'Historic / Legacy MTG', 'Merging never mutates SUFFIX_MAP', results);
+
+  // Defaults agree across every consumer
+  assert_(getEventCategoryFromSuffix('U') === 'CEDH', 'Scanner category for U is CEDH', results);
+  assert_(getMissionTriggerSuffixes_({ id: 'ATTEND_CMD_CEDH', trigger: {} }).join(',') === 'U',
+    'ATTEND_CMD_CEDH is triggered by U only', results);
+  assert_(getMissionTriggerSuffixes_({ id: 'ATTEND_LIMITED_EVENT', trigger: {} }).join(',') === 'D,P,R,S',
+    'ATTEND_LIMITED_EVENT is triggered by D/P/R/S', results);
+}
+
+/**
+ * Tests the shared event ID grammar (eventIdGrammar.js)
+ * @private
+ */
+function testEventIdGrammar_(results) {
+  const plain = parseEventIdParts_('11-23-2025');
+  assert_(plain && plain.suffix === '' && plain.formats.length === 0 && plain.sequence === 1,
+    'Plain event has no suffix and sequence 1', results);
+  assert_(plain.dateStr === '2025-11-23', 'dateStr is YYYY-MM-DD', results);
+
+  const short = parseEventIdParts_(' 9-6c-2025 ');
+  assert_(short && short.canonicalId === '09-06C-2025', 'Short, lowercase, padded names canonicalize', results);
+
+  const second = parseEventIdParts_('11-23B-2025-2');
+  assert_(second && second.sequence === 2 && second.canonicalId === '11-23B-2025-2',
+    'Trailing -N is the same-day sequence', results);
+
+  const multi = parseEventIdParts_('11-29x(b + d)-2025');
+  assert_(multi && multi.isMultiEvent && multi.components.join(',') === 'B,D',
+    'X tabs declare their component formats', results);
+  assert_(multi.formats.join(',') === 'B,D' && multi.canonicalId === '11-29X(B+D)-2025',
+    'Components become the event formats', results);
+
+  const legacy = parseEventIdParts_('12-25-A-2024');
+  assert_(legacy && legacy.legacy && legacy.canonicalId === '12-25A-2024',
+    'Legacy MM-DD-S-YYYY is accepted and canonicalized', results);
+
+  assert_(parseEventIdParts_('02-30-2025') === null, 'Impossible dates are rejected', results);
+  assert_(parseEventIdParts_('11-23B(D)-2025') === null, 'Only X tabs may declare components', results);
+  assert_(parseEventIdParts_('11-29X(B+X)-2025') === null, 'X cannot be its own component', results);
+  assert_(parseEventIdParts_('11-23-2025-B') === null, 'Trailing letters are not a sequence', results);
+  assert_(parseEventIdParts_('BP_Total') === null, 'Non-event tabs do not parse', results);
+
+  assert_(formatEventId_({ date: new Date(2025, 0, 5), suffix: 'cl', sequence: 3 }) === '01-05CL-2025-3',
+    'formatEventId_ builds the canonical ID', results);
+
+  // Every consumer agrees with the grammar
+  ['11-23B-2025-2', '12-01Draft-2025', '11-29X(B+D)-2025', '12-25-A-2024'].forEach(name => {
+    assert_(isEventSheet(name) && isSheetAllowed(name), `onEdit router accepts ${name}`, results);
+    assert_(parseEventTabDate_(name) !== null, `Tab organizer dates ${name}`, results);
+    assert_(parseEventDateFromName_(name) !== null, `Event index parses ${name}`, results);
+    assert_(parseEventId_(name) !== null, `Event service parses ${name}`, results);
+    assert_(MISSION_SCANNER_CONFIG.EVENT_PATTERN.test(name), `Mission scanner pattern matches ${name}`, results);
+  });
+  assert_(parseEventSheetName_('11-29X(B+D)-2025').formats.join(',') === 'B,D',
+    'Mission scanner counts X components as formats', results);
+}
+
 // ============================================================================
 // INTEGRATION TEST HELPERS
 // ============================================================================
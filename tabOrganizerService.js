@@ -6,8 +6,7 @@
  * 2. Event tabs sorted by date (right, chronological)
  *
  * FEATURES:
- * - Trims whitespace from tab names before pattern matching
- * - Case-insensitive letter suffix matching
+ * - Event tabs recognized by the shared event ID grammar (eventIdGrammar.js)
  * - Comprehensive logging to identify stragglers
  * - Integrity logging for audit trail
  *
@@ -15,66 +14,30 @@
  * @author Cosmic Event Manager Team
  */
 
-/**
- * Event tab name pattern (case-insensitive):
- * - MM-DD-YYYY or M-D-YYYY (1-2 digits for month/day)
- * - MM-DDX-YYYY (X = letter, any case)
- * Each may optionally have a trailing -N duplicate suffix.
- *
- * Examples that match:
- *   01-10-2025, 1-10-2025, 09-6C-2025, 10-4c-2025, 11-1C-2025
- */
-const EVENT_NAME_REGEX = /^(\d{1,2})-(\d{1,2})([A-Za-z])?-(\d{4})(-\d+)?$/;
-
 /**
  * Parses a Date from an event tab name.
- * TRIMS whitespace and handles case-insensitive letter suffixes.
- * Accepts 1-2 digits for month and day.
+ * Event tabs follow the shared event ID grammar (parseEventIdParts_ in
+ * eventIdGrammar.js), which trims whitespace, ignores suffix case and
+ * accepts 1-2 digits for month and day.
  *
  * Examples:
- *   "01-10-2025"      → Date(2025, 0, 10)
- *   "1-10-2025"       → Date(2025, 0, 10)   // Single-digit month!
- *   "09-6C-2025"      → Date(2025, 8, 6)    // Single-digit day!
- *   "10-4c-2025"      → Date(2025, 9, 4)    // Lowercase letter!
- *   "01-10C-2025"     → Date(2025, 0, 10)
- *   "01-10-2025 "     → Date(2025, 0, 10)   // Trimmed!
- *   " 01-10-2025"     → Date(2025, 0, 10)   // Trimmed!
- *   "PreferredNames"  → null
+ *   "01-10-2025"        → Date(2025, 0, 10)
+ *   "1-10-2025"         → Date(2025, 0, 10)   // Single-digit month!
+ *   "09-6C-2025"        → Date(2025, 8, 6)    // Single-digit day!
+ *   "10-4c-2025"        → Date(2025, 9, 4)    // Lowercase letter!
+ *   "12-01Draft-2025"   → Date(2025, 11, 1)   // Multi-character suffix
+ *   "11-23B-2025-2"     → Date(2025, 10, 23)  // Second event that day
+ *   "11-29X(B+D)-2025"  → Date(2025, 10, 29)  // Multi-event tab
+ *   "01-10-2025 "       → Date(2025, 0, 10)   // Trimmed!
+ *   "PreferredNames"    → null
  *
  * @param {string} name - The sheet name to parse
  * @return {Date|null} Parsed Date object or null if not an event tab
  * @private
  */
 function parseEventTabDate_(name) {
-  // CRITICAL FIX: Trim whitespace before matching
-  const trimmed = name.trim();
-  const match = trimmed.match(EVENT_NAME_REGEX);
-
-  if (!match) {
-    return null;
-  }
-
-  const month = parseInt(match[1], 10);
-  const day = parseInt(match[2], 10);
-  const year = parseInt(match[4], 10);
-
-  // Validate date ranges
-  if (month < 1 || month > 12) {
-    Logger.log('WARNING: Invalid month in: ' + name + ' (month=' + month + ')');
-    return null;
-  }
-  if (day < 1 || day > 31) {
-    Logger.log('WARNING: Invalid day in: ' + name + ' (day=' + day + ')');
-    return null;
-  }
-
-  const date = new Date(year, month - 1, day);
-  if (isNaN(date.getTime())) {
-    Logger.log('WARNING: Invalid date calculation for: ' + name);
-    return null;
-  }
-
-  return date;
+  const parsed = parseEventIdParts_(name);
+  return parsed ? parsed.date : null;
 }
 
 /**
@@ -226,15 +189,24 @@ function organizeTabsLayout() {
   // Apply the new order
   applySheetOrder_(finalOrder);
 
+  // Event tabs whose suffix is unknown or retired in the suffix registry
+  const suffixCheck = checkEventTabSuffixes();
+  const suffixIssues = suffixCheck.unknown.concat(suffixCheck.retired).map(function(p) {
+    return p.tab;
+  });
+  suffixIssues.forEach(function(tab) {
+    Logger.log('   WARNING: Unknown or retired suffix: "' + tab + '"');
+  });
+
   // Log to integrity log
   try {
-    logIntegrityAction(
-      'TAB_ORGANIZE',
-      'SYSTEM',
-      'Organized ' + nonEventSheets.length + ' non-event tab(s) and ' +
-      eventSheets.length + ' event tab(s)' +
-      (stragglers.length > 0 ? '; ' + stragglers.length + ' stragglers found' : '')
-    );
+    logIntegrityAction('TAB_ORGANIZE', {
+      details: 'Organized ' + nonEventSheets.length + ' non-event tab(s) and ' +
+        eventSheets.length + ' event tab(s)' +
+        (stragglers.length > 0 ? '; ' + stragglers.length + ' stragglers found' : '') +
+        (suffixIssues.length > 0 ? '; ' + suffixIssues.length + ' unknown/retired suffix tab(s)' : ''),
+      status: 'SUCCESS'
+    });
   } catch (e) {
     Logger.log('WARNING: Could not log to integrity log: ' + e.message);
   }
@@ -249,9 +221,11 @@ function organizeTabsLayout() {
     eventCount: eventSheets.length,
     stragglerCount: stragglers.length,
     stragglers: stragglers,
+    suffixIssues: suffixIssues,
     message: 'Organized ' + nonEventSheets.length + ' non-event tab(s) and ' +
              eventSheets.length + ' event tab(s).' +
-             (stragglers.length > 0 ? '\n\nWARNING: Found ' + stragglers.length + ' potential straggler(s). Check logs.' : '')
+             (stragglers.length > 0 ? '\n\nWARNING: Found ' + stragglers.length + ' potential straggler(s). Check logs.' : '') +
+             (suffixIssues.length > 0 ? '\n\nWARNING: ' + suffixIssues.length + ' event tab(s) use unknown or retired suffixes: ' + suffixIssues.join(', ') : '')
   };
 }
 
@@ -0,0 +1,687 @@
+/**
+ * Tournament Service - Swiss Pairings, Commander Pods and Standings
+ * @fileoverview In-workbook tournament runner. Pairs Swiss rounds for 1v1
+ * formats and seats 4-player Commander pods, records per-round results,
+ * computes MTR tiebreakers (OMW%, GW%, OGW%) and writes the final standings
+ * back to the event tab, where previewEndPrizes() picks them up (Rank column,
+ * PreferredName in column B).
+ *
+ * SHEETS:
+ * - Tournaments:      one row per event (mode, planned rounds, seed, drops)
+ * - Tournament_Seats: one row per player per table per round
+ *
+ * SCORING (Magic Tournament Rules):
+ * - Match points: win 3, draw 1, loss 0; a bye is a 2-0 match win
+ * - MWP / GWP are floored at 0.33; OMW% / OGW% average the opponents' MWP / GWP
+ * - Pods: the single top finisher wins, everyone else loses; a shared top is a draw
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const TOURNAMENTS_SHEET = 'Tournaments';
+const TOURNAMENT_SEATS_SHEET = 'Tournament_Seats';
+
+const TOURNAMENTS_HEADERS = [
+  'Event_ID', 'Mode', 'Rounds', 'Seed', 'Status', 'Dropped', 'Started_At', 'Finalized_At'
+];
+
+const TOURNAMENT_SEATS_HEADERS = [
+  'Event_ID', 'Round', 'Table', 'Seat', 'PreferredName',
+  'Game_Wins', 'Game_Losses', 'Game_Draws', 'Result', 'Reported_At'
+];
+
+/** Pairing modes */
+const TOURNAMENT_MODES = {
+  SWISS: 'SWISS', // 1v1 Swiss
+  PODS: 'PODS'    // Commander pods of 4 (3 when the count does not divide)
+};
+
+/** Match points by result */
+const MATCH_POINTS = { WIN: 3, DRAW: 1, LOSS: 0, BYE: 3 };
+
+/** MTR floor for match/game win percentages */
+const TIEBREAKER_FLOOR = 0.33;
+
+/** Max pairing attempts before Swiss falls back to allowing rematches */
+const SWISS_SEARCH_BUDGET = 20000;
+
+// ============================================================================
+// TOURNAMENT LIFECYCLE
+// ============================================================================
+
+/**
+ * Starts a tournament for an event tab using its current roster.
+ *
+ * @param {string} eventId - Event tab name
+ * @param {Object} options - {mode?: 'SWISS'|'PODS', rounds?: number, seed?: string}
+ *   Mode defaults to PODS for Commander suffixes, SWISS otherwise. Rounds
+ *   default to ceil(log2(players)) for Swiss (min 3) and 3 for pods.
+ * @return {Object} {eventId, mode, rounds, seed, players}
+ */
+function startTournament(eventId, options = {}) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const eventSheet = ss.getSheetByName(eventId);
+  if (!eventSheet) {
+    throwError('Event not found', 'EVENT_NOT_FOUND', `No tab named "${eventId}"`);
+  }
+  if (getTournament_(eventId)) {
+    throwError('Tournament already started', 'TOURNAMENT_EXISTS', `Use Pair Next Round for ${eventId}`);
+  }
+
+  const players = getTournamentRoster_(eventSheet);
+  if (players.length < 2) {
+    throwError('Need at least 2 players to run a tournament', 'NO_PLAYERS');
+  }
+
+  const parsed = parseEventIdParts_(eventId);
+  const mode = String(options.mode || (parsed && isCommanderSuffix_(parsed.suffix) ? 'PODS' : 'SWISS')).toUpperCase();
+  if (!TOURNAMENT_MODES[mode]) {
+    throwError('Invalid tournament mode', 'INVALID_MODE', 'Must be SWISS or PODS');
+  }
+  const rounds = coerceNumber(options.rounds, 0) > 0
+    ? Math.floor(coerceNumber(options.rounds, 0))
+    : defaultTournamentRounds_(mode, players.length);
+  const seed = options.seed || generateSeed();
+
+  const sheet = ensureTournamentSheets_().tournaments;
+  sheet.appendRow([eventId, mode, rounds, seed, 'RUNNING', '', dateISO(), '']);
+
+  logIntegrityAction('TOURNAMENT_START', {
+    eventId,
+    seed,
+    details: `${mode}, ${rounds} rounds, ${players.length} players`,
+    status: 'SUCCESS'
+  });
+
+  return { eventId, mode, rounds, seed, players: players.length };
+}
+
+/**
+ * Pairs the next round. Round 1 is seeded-random; later rounds pair by
+ * standings while avoiding repeat opponents.
+ *
+ * @param {string} eventId - Event tab name
+ * @return {Object} {round, tables: [{table, players: string[]}], bye: string|null}
+ */
+function pairNextRound(eventId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const tournament = requireRunningTournament_(eventId);
+    const seats = getTournamentSeats_(eventId);
+    const lastRound = seats.reduce((max, s) => Math.max(max, s.round), 0);
+
+    if (lastRound > 0 && seats.some(s => s.round === lastRound && !s.result)) {
+      throwError(`Round ${lastRound} still has open tables`, 'ROUND_OPEN', 'Report every table before pairing the next round');
+    }
+    if (lastRound >= tournament.rounds) {
+      throwError(`All ${tournament.rounds} rounds have been played`, 'ROUNDS_COMPLETE', 'Finalize standings instead');
+    }
+
+    const round = lastRound + 1;
+    const eventSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+    const active = getTournamentRoster_(eventSheet).filter(name => !tournament.dropped.includes(name));
+    if (active.length < 2) {
+      throwError('Fewer than 2 active players', 'NO_PLAYERS');
+    }
+
+    const stats = computeTournamentStats_(seats);
+    const rng = createSeededRandom(tournament.seed + ':' + round);
+    const ordered = round === 1
+      ? seededShuffle(active, rng)
+      : orderByStandings_(seededShuffle(active, rng), stats);
+
+    const pairing = tournament.mode === TOURNAMENT_MODES.PODS
+      ? seatPods_(ordered, stats)
+      : pairSwiss_(ordered, stats);
+
+    const rows = [];
+    const now = dateISO();
+    pairing.tables.forEach((players, idx) => {
+      players.forEach((name, seat) => {
+        rows.push([eventId, round, idx + 1, seat + 1, name, '', '', '', '', '']);
+      });
+    });
+    if (pairing.bye) {
+      rows.push([eventId, round, 0, 1, pairing.bye, 2, 0, 0, 'BYE', now]);
+    }
+
+    const sheet = ensureTournamentSheets_().seats;
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, TOURNAMENT_SEATS_HEADERS.length).setValues(rows);
+
+    logIntegrityAction('TOURNAMENT_PAIR', {
+      eventId,
+      seed: tournament.seed,
+      details: `Round ${round}: ${pairing.tables.length} tables` +
+        (pairing.bye ? `, bye ${pairing.bye}` : '') +
+        (pairing.repeats > 0 ? `, ${pairing.repeats} unavoidable rematch(es)` : ''),
+      status: 'SUCCESS'
+    });
+
+    return {
+      round,
+      tables: pairing.tables.map((players, idx) => ({ table: idx + 1, players })),
+      bye: pairing.bye || null
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Records the result of one table. Re-reporting overwrites the table until
+ * the next round is paired.
+ *
+ * @param {string} eventId - Event tab name
+ * @param {number} round - Round number
+ * @param {number} table - Table number
+ * @param {Object} gameWins - {PreferredName: games won}; pods use {winner: 1}
+ * @param {number} draws - Drawn games (1v1) or 1 for a drawn pod
+ * @return {Object} {round, table, results: {PreferredName: 'WIN'|'LOSS'|'DRAW'}}
+ */
+function reportTournamentResult(eventId, round, table, gameWins = {}, draws = 0) {
+  const tournament = requireRunningTournament_(eventId);
+  round = Math.floor(coerceNumber(round, 0));
+  table = Math.floor(coerceNumber(table, 0));
+  draws = Math.max(0, Math.floor(coerceNumber(draws, 0)));
+
+  const seats = getTournamentSeats_(eventId);
+  const tableSeats = seats.filter(s => s.round === round && s.table === table && table > 0);
+  if (tableSeats.length === 0) {
+    throwError(`Round ${round} table ${table} not found`, 'TABLE_NOT_FOUND');
+  }
+  if (seats.some(s => s.round > round)) {
+    throwError(`Round ${round} is closed`, 'ROUND_CLOSED', 'A later round has already been paired');
+  }
+
+  const names = tableSeats.map(s => s.preferredName);
+  Object.keys(gameWins).forEach(name => {
+    if (!names.includes(name)) {
+      throwError(`${name} is not seated at round ${round} table ${table}`, 'NOT_AT_TABLE', `Players: ${names.join(', ')}`);
+    }
+  });
+
+  const wins = names.map(name => Math.max(0, Math.floor(coerceNumber(gameWins[name], 0))));
+  if (wins.every(w => w === 0) && draws === 0) {
+    throwError('No result entered', 'NO_RESULT', 'Enter game wins or draws');
+  }
+  const top = Math.max(...wins);
+  const leaders = wins.filter(w => w === top).length;
+  const isPod = tournament.mode === TOURNAMENT_MODES.PODS;
+
+  const results = {};
+  const sheet = ensureTournamentSheets_().seats;
+  const now = dateISO();
+  tableSeats.forEach((seat, idx) => {
+    let result;
+    if (top > 0 && leaders === 1) {
+      result = wins[idx] === top ? 'WIN' : 'LOSS';
+    } else {
+      result = wins[idx] === top ? 'DRAW' : 'LOSS';
+    }
+
+    // Pods are a single game: winner 1-0, others 0-1, drawn pod 0-0-1
+    const record = isPod
+      ? [result === 'WIN' ? 1 : 0, result === 'LOSS' ? 1 : 0, result === 'DRAW' ? 1 : 0]
+      : [wins[idx], wins.reduce((sum, w, j) => (j === idx ? sum : sum + w), 0), draws];
+
+    sheet.getRange(seat.row, 6, 1, 5).setValues([[record[0], record[1], record[2], result, now]]);
+    results[seat.preferredName] = result;
+  });
+
+  logIntegrityAction('TOURNAMENT_RESULT', {
+    eventId,
+    details: `Round ${round} table ${table}: ` + names.map(n => `${n} ${results[n]}`).join(', '),
+    status: 'SUCCESS'
+  });
+
+  return { round, table, results };
+}
+
+/**
+ * Drops a player: they keep their record but are not paired again.
+ * @param {string} eventId - Event tab name
+ * @param {string} preferredName - Player to drop
+ * @return {Object} {eventId, dropped: string[]}
+ */
+function dropTournamentPlayer(eventId, preferredName) {
+  const tournament = requireRunningTournament_(eventId);
+  if (!tournament.dropped.includes(preferredName)) {
+    tournament.dropped.push(preferredName);
+    const sheet = ensureTournamentSheets_().tournaments;
+    sheet.getRange(tournament.row, TOURNAMENTS_HEADERS.indexOf('Dropped') + 1).setValue(tournament.dropped.join(', '));
+
+    logIntegrityAction('TOURNAMENT_DROP', {
+      eventId,
+      preferredName,
+      details: `Dropped after round ${getTournamentSeats_(eventId).reduce((max, s) => Math.max(max, s.round), 0)}`,
+      status: 'SUCCESS'
+    });
+  }
+  return { eventId, dropped: tournament.dropped.slice() };
+}
+
+/**
+ * Current standings with MTR tiebreakers.
+ * @param {string} eventId - Event tab name
+ * @return {Array<Object>} [{rank, preferredName, matchPoints, record, omw, gw, ogw, dropped}]
+ */
+function getTournamentStandings(eventId) {
+  const tournament = getTournament_(eventId);
+  if (!tournament) {
+    throwError('No tournament for this event', 'TOURNAMENT_NOT_FOUND', 'Start a tournament first');
+  }
+
+  const eventSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(eventId);
+  const roster = eventSheet ? getTournamentRoster_(eventSheet) : [];
+  const stats = computeTournamentStats_(getTournamentSeats_(eventId));
+  const names = unique(roster.concat(Object.keys(stats)));
+
+  return orderByStandings_(names.sort(), stats).map((name, idx) => {
+    const s = stats[name] || emptyTournamentStats_();
+    return {
+      rank: idx + 1,
+      preferredName: name,
+      matchPoints: s.matchPoints,
+      record: `${s.wins}-${s.losses}-${s.draws}`,
+      omw: round4_(s.omw),
+      gw: round4_(s.gwp),
+      ogw: round4_(s.ogw),
+      dropped: tournament.dropped.includes(name)
+    };
+  });
+}
+
+/**
+ * Writes the final standings to the event tab (Rank + row order), which is
+ * what previewEndPrizes() reads. Other columns travel with their player.
+ *
+ * @param {string} eventId - Event tab name
+ * @return {Object} {eventId, written, roundsPlayed, checksumBefore, checksumAfter}
+ */
+function finalizeTournamentStandings(eventId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const tournament = requireRunningTournament_(eventId);
+    const seats = getTournamentSeats_(eventId);
+    const roundsPlayed = seats.reduce((max, s) => Math.max(max, s.round), 0);
+    if (roundsPlayed === 0) {
+      throwError('No rounds have been played', 'NO_ROUNDS');
+    }
+    if (seats.some(s => !s.result)) {
+      throwError(`Round ${roundsPlayed} still has open tables`, 'ROUND_OPEN', 'Report every table before finalizing');
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const eventSheet = ss.getSheetByName(eventId);
+    const data = eventSheet.getDataRange().getValues();
+    const headers = data[0];
+    const nameCol = tournamentNameColumn_(headers);
+    const rankCol = headers.indexOf('Rank') >= 0 ? headers.indexOf('Rank') : 0;
+    const endCol = headers.indexOf('End_Prizes');
+
+    if (endCol >= 0 && data.slice(1).some(row => row[endCol] !== '' && row[endCol] !== null)) {
+      throwError('End prizes already awarded', 'ALREADY_AWARDED', 'Revert the prize batch before re-finalizing');
+    }
+
+    const rowsByName = new Map();
+    const others = [];
+    data.slice(1).forEach(row => {
+      const name = String(row[nameCol] || '').trim();
+      if (name && !rowsByName.has(name)) {
+        rowsByName.set(name, row);
+      } else if (row.some(v => v !== '' && v !== null)) {
+        others.push(row);
+      }
+    });
+
+    const standings = getTournamentStandings(eventId);
+    const out = standings.map(st => {
+      const row = (rowsByName.get(st.preferredName) || new Array(headers.length).fill('')).slice();
+      row[nameCol] = st.preferredName;
+      row[rankCol] = st.rank;
+      rowsByName.delete(st.preferredName);
+      return row;
+    });
+    rowsByName.forEach(row => out.push(row));
+    others.forEach(row => out.push(row));
+
+    const checksumBefore = computeChecksum(data);
+    if (data.length > 1) {
+      eventSheet.getRange(2, 1, data.length - 1, headers.length).clearContent();
+    }
+    eventSheet.getRange(2, 1, out.length, headers.length).setValues(out);
+    const checksumAfter = computeChecksum(eventSheet.getDataRange().getValues());
+
+    const sheet = ensureTournamentSheets_().tournaments;
+    sheet.getRange(tournament.row, TOURNAMENTS_HEADERS.indexOf('Status') + 1).setValue('FINALIZED');
+    sheet.getRange(tournament.row, TOURNAMENTS_HEADERS.indexOf('Finalized_At') + 1).setValue(dateISO());
+
+    logIntegrityAction('TOURNAMENT_FINALIZE', {
+      eventId,
+      seed: tournament.seed,
+      checksumBefore,
+      checksumAfter,
+      details: `${standings.length} players ranked after ${roundsPlayed} of ${tournament.rounds} rounds`,
+      status: 'SUCCESS'
+    });
+
+    return { eventId, written: standings.length, roundsPlayed, checksumBefore, checksumAfter };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ============================================================================
+// PAIRING
+// ============================================================================
+
+/**
+ * Swiss pairing for 1v1. The lowest-ranked player without a bye gets the
+ * bye; everyone else is paired top-down, backtracking to avoid rematches.
+ *
+ * @param {Array<string>} ordered - Active players in standings order
+ * @param {Object} stats - computeTournamentStats_() output
+ * @return {Object} {tables: string[][], bye: string|null, repeats: number}
+ * @private
+ */
+function pairSwiss_(ordered, stats) {
+  let players = ordered.slice();
+  let bye = null;
+
+  if (players.length % 2 === 1) {
+    const withoutBye = players.filter(name => !(stats[name] && stats[name].byes > 0));
+    const pool = withoutBye.length > 0 ? withoutBye : players;
+    bye = pool[pool.length - 1];
+    players = players.filter(name => name !== bye);
+  }
+
+  const played = (a, b) => !!(stats[a] && stats[a].opponents.includes(b));
+
+  // Depth-first, top-down; the step budget keeps impossible rounds cheap
+  let steps = 0;
+  const solve = remaining => {
+    if (remaining.length === 0) return [];
+    const [first, ...rest] = remaining;
+    for (let i = 0; i < rest.length && steps < SWISS_SEARCH_BUDGET; i++) {
+      steps++;
+      if (played(first, rest[i])) continue;
+      const tail = solve(rest.filter((_, j) => j !== i));
+      if (tail) return [[first, rest[i]]].concat(tail);
+    }
+    return null;
+  };
+
+  let tables = solve(players);
+  if (!tables) {
+    // No rematch-free pairing exists: pair straight down the standings
+    tables = [];
+    for (let i = 0; i < players.length; i += 2) {
+      tables.push([players[i], players[i + 1]]);
+    }
+  }
+  const repeats = tables.filter(([a, b]) => played(a, b)).length;
+  return { tables, bye, repeats };
+}
+
+/**
+ * Seats Commander pods of 4 (3 when needed) in standings order, pulling
+ * forward whichever waiting player has met the fewest people already seated.
+ *
+ * @param {Array<string>} ordered - Active players in standings order
+ * @param {Object} stats - computeTournamentStats_() output
+ * @return {Object} {tables: string[][], bye: null, repeats: number}
+ * @private
+ */
+function seatPods_(ordered, stats) {
+  const met = (a, b) => !!(stats[a] && stats[a].opponents.includes(b));
+  const waiting = ordered.slice();
+  const tables = [];
+  let repeats = 0;
+
+  getPodSizes_(ordered.length).forEach(size => {
+    const pod = [waiting.shift()];
+    while (pod.length < size) {
+      let best = 0;
+      let bestConflicts = Infinity;
+      waiting.forEach((name, idx) => {
+        const conflicts = pod.filter(seated => met(seated, name)).length;
+        if (conflicts < bestConflicts) {
+          best = idx;
+          bestConflicts = conflicts;
+        }
+      });
+      repeats += bestConflicts;
+      pod.push(waiting.splice(best, 1)[0]);
+    }
+    tables.push(pod);
+  });
+
+  return { tables, bye: null, repeats };
+}
+
+/**
+ * Pod sizes for n players: 4s, with 3s absorbing the remainder
+ * (5 players sit as one pod of 5, fewer than 3 as a single table).
+ * @param {number} n - Player count
+ * @return {Array<number>} Pod sizes, largest first
+ * @private
+ */
+function getPodSizes_(n) {
+  if (n <= 5) return [n];
+  const pods = Math.ceil(n / 4);
+  const threes = pods * 4 - n;
+  return new Array(pods - threes).fill(4).concat(new Array(threes).fill(3));
+}
+
+/**
+ * Default round count per mode
+ * @private
+ */
+function defaultTournamentRounds_(mode, players) {
+  if (mode === TOURNAMENT_MODES.PODS) return 3;
+  return Math.max(3, Math.ceil(Math.log2(players)));
+}
+
+// ============================================================================
+// STANDINGS
+// ============================================================================
+
+/**
+ * Aggregates reported seats into per-player stats with MTR tiebreakers.
+ * Unreported seats are ignored.
+ *
+ * @param {Array<Object>} seats - getTournamentSeats_() rows
+ * @return {Object} {name: {matchPoints, matches, gamePoints, games, wins, losses,
+ *   draws, byes, opponents, mwp, gwp, omw, ogw}}
+ * @private
+ */
+function computeTournamentStats_(seats) {
+  const stats = {};
+  const get = name => (stats[name] = stats[name] || emptyTournamentStats_());
+
+  const tables = groupBy(seats.filter(s => s.result), s => s.round + ':' + s.table);
+  tables.forEach(tableSeats => {
+    tableSeats.forEach(seat => {
+      const s = get(seat.preferredName);
+      s.matches++;
+      s.matchPoints += MATCH_POINTS[seat.result] || 0;
+      if (seat.result === 'WIN' || seat.result === 'BYE') s.wins++;
+      if (seat.result === 'LOSS') s.losses++;
+      if (seat.result === 'DRAW') s.draws++;
+      if (seat.result === 'BYE') s.byes++;
+
+      s.games += seat.gameWins + seat.gameLosses + seat.gameDraws;
+      s.gamePoints += seat.gameWins * 3 + seat.gameDraws;
+
+      // Byes are not opponents
+      tableSeats.forEach(other => {
+        if (other.preferredName !== seat.preferredName) s.opponents.push(other.preferredName);
+      });
+    });
+  });
+
+  Object.keys(stats).forEach(name => {
+    const s = stats[name];
+    s.mwp = s.matches > 0 ? Math.max(TIEBREAKER_FLOOR, s.matchPoints / (3 * s.matches)) : 0;
+    s.gwp = s.games > 0 ? Math.max(TIEBREAKER_FLOOR, s.gamePoints / (3 * s.games)) : 0;
+  });
+  Object.keys(stats).forEach(name => {
+    const s = stats[name];
+    const opps = s.opponents.map(o => stats[o]).filter(o => o);
+    s.omw = opps.length > 0 ? sumBy(opps, o => o.mwp) / opps.length : 0;
+    s.ogw = opps.length > 0 ? sumBy(opps, o => o.gwp) / opps.length : 0;
+  });
+
+  return stats;
+}
+
+/**
+ * Sorts players by match points, OMW%, GW%, OGW%; input order breaks
+ * remaining ties (seeded shuffle for pairing, name order for standings).
+ * @private
+ */
+function orderByStandings_(names, stats) {
+  const empty = emptyTournamentStats_();
+  return names
+    .map((name, idx) => ({ name, idx, s: stats[name] || empty }))
+    .sort((a, b) =>
+      (b.s.matchPoints - a.s.matchPoints) ||
+      (b.s.omw - a.s.omw) ||
+      (b.s.gwp - a.s.gwp) ||
+      (b.s.ogw - a.s.ogw) ||
+      (a.idx - b.idx))
+    .map(entry => entry.name);
+}
+
+/** @private */
+function emptyTournamentStats_() {
+  return {
+    matchPoints: 0, matches: 0, gamePoints: 0, games: 0,
+    wins: 0, losses: 0, draws: 0, byes: 0, opponents: [],
+    mwp: 0, gwp: 0, omw: 0, ogw: 0
+  };
+}
+
+/** @private */
+function round4_(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// ============================================================================
+// SHEET ACCESS
+// ============================================================================
+
+/**
+ * Creates Tournaments / Tournament_Seats if missing
+ * @return {Object} {tournaments: Sheet, seats: Sheet}
+ * @private
+ */
+function ensureTournamentSheets_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ensure = (name, headers) => {
+    let sheet = ss.getSheetByName(name);
+    if (!sheet) {
+      sheet = ss.insertSheet(name);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  };
+  return {
+    tournaments: ensure(TOURNAMENTS_SHEET, TOURNAMENTS_HEADERS),
+    seats: ensure(TOURNAMENT_SEATS_SHEET, TOURNAMENT_SEATS_HEADERS)
+  };
+}
+
+/**
+ * Reads the tournament row for an event
+ * @return {Object|null} {row, eventId, mode, rounds, seed, status, dropped}
+ * @private
+ */
+function getTournament_(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TOURNAMENTS_SHEET);
+  if (!sheet) return null;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][headers.indexOf('Event_ID')] !== eventId) continue;
+    const dropped = String(data[i][headers.indexOf('Dropped')] || '');
+    return {
+      row: i + 1,
+      eventId,
+      mode: String(data[i][headers.indexOf('Mode')]).toUpperCase(),
+      rounds: coerceNumber(data[i][headers.indexOf('Rounds')], 3),
+      seed: String(data[i][headers.indexOf('Seed')]),
+      status: String(data[i][headers.indexOf('Status')]).toUpperCase(),
+      dropped: dropped.split(',').map(n => n.trim()).filter(n => n)
+    };
+  }
+  return null;
+}
+
+/** @private */
+function requireRunningTournament_(eventId) {
+  const tournament = getTournament_(eventId);
+  if (!tournament) {
+    throwError('No tournament for this event', 'TOURNAMENT_NOT_FOUND', 'Start a tournament first');
+  }
+  if (tournament.status !== 'RUNNING') {
+    throwError('Tournament is finalized', 'TOURNAMENT_FINALIZED', `${eventId} standings were already written`);
+  }
+  return tournament;
+}
+
+/**
+ * Reads all seats of an event
+ * @return {Array<Object>} [{row, round, table, seat, preferredName, gameWins,
+ *   gameLosses, gameDraws, result}]
+ * @private
+ */
+function getTournamentSeats_(eventId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TOURNAMENT_SEATS_SHEET);
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => headers.indexOf(name);
+  const seats = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][col('Event_ID')] !== eventId) continue;
+    seats.push({
+      row: i + 1,
+      round: coerceNumber(data[i][col('Round')], 0),
+      table: coerceNumber(data[i][col('Table')], 0),
+      seat: coerceNumber(data[i][col('Seat')], 0),
+      preferredName: String(data[i][col('PreferredName')]).trim(),
+      gameWins: coerceNumber(data[i][col('Game_Wins')], 0),
+      gameLosses: coerceNumber(data[i][col('Game_Losses')], 0),
+      gameDraws: coerceNumber(data[i][col('Game_Draws')], 0),
+      result: String(data[i][col('Result')] || '').toUpperCase()
+    });
+  }
+  return seats;
+}
+
+/**
+ * Roster of an event tab (PreferredName column, else column B), in sheet order
+ * @param {Sheet} sheet - Event tab
+ * @return {Array<string>} Unique player names
+ * @private
+ */
+function getTournamentRoster_(sheet) {
+  const data = sheet.getDataRange().getValues();
+  if (data.length <= 1) return [];
+  const nameCol = tournamentNameColumn_(data[0]);
+  return unique(data.slice(1).map(row => String(row[nameCol] || '').trim()).filter(n => n));
+}
+
+/** @private */
+function tournamentNameColumn_(headers) {
+  const idx = headers.indexOf('PreferredName');
+  return idx >= 0 ? idx : 1;
+}
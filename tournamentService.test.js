@@ -0,0 +1,262 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * TOURNAMENT SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for Swiss pairings, Commander pod seating,
+ * MTR tiebreakers and the final standings write.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testTournamentService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testTournamentService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('TOURNAMENT SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Swiss Pairing', testTournamentSwiss_, results);
+  runTestSuite_('Commander Pods', testTournamentPods_, results);
+  runTestSuite_('Tiebreakers', testTournamentTiebreakers_, results);
+  runTestSuite_('Result Entry', testTournamentResultEntry_, results);
+  runTestSuite_('Final Standings', testTournamentFinalize_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Seeds an event tab with the given roster
+ * @param {string} eventId - Event tab name
+ * @param {number} count - Number of players (Player01, Player02, …)
+ * @return {Array<string>} Roster names
+ */
+function seedTournamentEvent_(eventId, count) {
+  const roster = [['Rank', 'PreferredName', 'R1_Prize', 'R2_Prize', 'R3_Prize', 'End_Prizes']];
+  const names = [];
+  for (let i = 1; i <= count; i++) {
+    const name = 'Player' + String(i).padStart(2, '0');
+    names.push(name);
+    roster.push([i, name, '', '', '', '']);
+  }
+  GAS_EMULATOR.reset({ [eventId]: roster });
+  return names;
+}
+
+/**
+ * Reports every table of a pairing: the first seat wins 2-0 (or the pod)
+ * @private
+ */
+function reportFirstSeatWins_(eventId, pairing) {
+  pairing.tables.forEach(t => {
+    reportTournamentResult(eventId, pairing.round, t.table, { [t.players[0]]: t.players.length === 2 ? 2 : 1 });
+  });
+}
+
+/**
+ * Pairs of players that met more than once
+ * @private
+ */
+function countRematches_(eventId) {
+  const seen = {};
+  let repeats = 0;
+  const tables = groupBy(getTournamentSeats_(eventId).filter(s => s.table > 0), s => s.round + ':' + s.table);
+  tables.forEach(seats => {
+    const names = seats.map(s => s.preferredName).sort();
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const key = names[i] + '|' + names[j];
+        if (seen[key]) repeats++;
+        seen[key] = true;
+      }
+    }
+  });
+  return repeats;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testTournamentSwiss_(results) {
+  const eventId = '11-08M-2025';
+  const names = seedTournamentEvent_(eventId, 9);
+
+  const started = startTournament(eventId, { seed: 'SWISS00001' });
+  assert_(started.mode === 'SWISS' && started.rounds === 4, 'Non-Commander events default to Swiss, ceil(log2 9) rounds', results);
+
+  const r1 = pairNextRound(eventId);
+  const seated = r1.tables.reduce((all, t) => all.concat(t.players), []).concat([r1.bye]);
+  assert_(r1.tables.length === 4 && r1.bye !== null, '9 players → 4 tables and a bye', results);
+  assert_(unique(seated).length === 9 && names.every(n => seated.includes(n)), 'Every player is seated exactly once', results);
+
+  let error = null;
+  try {
+    pairNextRound(eventId);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[ROUND_OPEN]') === 0, 'Cannot pair while tables are open', results);
+
+  const byes = [r1.bye];
+  reportFirstSeatWins_(eventId, r1);
+  for (let round = 2; round <= 4; round++) {
+    const pairing = pairNextRound(eventId);
+    byes.push(pairing.bye);
+    reportFirstSeatWins_(eventId, pairing);
+  }
+  assert_(countRematches_(eventId) === 0, 'Four Swiss rounds produce no rematches', results);
+  assert_(unique(byes).length === 4, 'No player receives a second bye', results);
+
+  const standings = getTournamentStandings(eventId);
+  assert_(standings[0].matchPoints >= standings[1].matchPoints &&
+    standings[standings.length - 2].matchPoints >= standings[standings.length - 1].matchPoints,
+    'Standings are sorted by match points', results);
+
+  const again = seedTournamentEvent_(eventId, 9);
+  startTournament(eventId, { seed: 'SWISS00001' });
+  assert_(JSON.stringify(pairNextRound(eventId)) === JSON.stringify(r1) && again.length === 9,
+    'Same seed → same round-1 pairings', results);
+}
+
+function testTournamentPods_(results) {
+  const eventId = '11-09B-2025';
+  seedTournamentEvent_(eventId, 10);
+
+  const started = startTournament(eventId, { seed: 'PODS000001' });
+  assert_(started.mode === 'PODS' && started.rounds === 3, 'Commander suffixes default to 3 rounds of pods', results);
+
+  const r1 = pairNextRound(eventId);
+  assert_(r1.tables.map(t => t.players.length).join(',') === '4,3,3', '10 players → pods of 4, 3, 3', results);
+  assert_(r1.bye === null, 'Pods never hand out a bye', results);
+  reportFirstSeatWins_(eventId, r1);
+
+  const r2 = pairNextRound(eventId);
+  assert_(countRematches_(eventId) <= 2, 'Round 2 pods keep repeat opponents to a minimum', results);
+
+  const winner = r2.tables[0].players[1];
+  const reported = reportTournamentResult(eventId, 2, 1, { [winner]: 1 });
+  assert_(reported.results[winner] === 'WIN' &&
+    r2.tables[0].players.filter(p => p !== winner).every(p => reported.results[p] === 'LOSS'),
+    'Pod winner gets the WIN, everyone else a LOSS', results);
+
+  const drawn = reportTournamentResult(eventId, 2, 2, {}, 1);
+  assert_(Object.keys(drawn.results).every(p => drawn.results[p] === 'DRAW'), 'A drawn pod is a DRAW for every seat', results);
+
+  assert_(getPodSizes_(8).join(',') === '4,4' && getPodSizes_(7).join(',') === '4,3' &&
+    getPodSizes_(9).join(',') === '3,3,3' && getPodSizes_(5).join(',') === '5',
+    'Pod sizes favour 4s and absorb remainders with 3s', results);
+}
+
+function testTournamentTiebreakers_(results) {
+  // R1: A beats B 2-0, C beats D 2-1. R2: A beats C 2-1, B and D draw 1-1-1.
+  const seat = (round, table, name, w, l, d, result) =>
+    ({ round, table, preferredName: name, gameWins: w, gameLosses: l, gameDraws: d, result });
+  const stats = computeTournamentStats_([
+    seat(1, 1, 'A', 2, 0, 0, 'WIN'), seat(1, 1, 'B', 0, 2, 0, 'LOSS'),
+    seat(1, 2, 'C', 2, 1, 0, 'WIN'), seat(1, 2, 'D', 1, 2, 0, 'LOSS'),
+    seat(2, 1, 'A', 2, 1, 0, 'WIN'), seat(2, 1, 'C', 1, 2, 0, 'LOSS'),
+    seat(2, 2, 'B', 1, 1, 1, 'DRAW'), seat(2, 2, 'D', 1, 1, 1, 'DRAW')
+  ]);
+  const near = (a, b) => Math.abs(a - b) < 0.0001;
+
+  assert_(stats.A.matchPoints === 6 && stats.B.matchPoints === 1, 'Match points: win 3, draw 1', results);
+  assert_(near(stats.B.mwp, 0.33) && near(stats.C.mwp, 0.5), 'MWP is floored at 0.33', results);
+  assert_(near(stats.A.gwp, 0.8) && near(stats.D.gwp, 7 / 18), 'GWP = game points / (3 × games)', results);
+  assert_(near(stats.A.omw, (0.33 + 0.5) / 2) && near(stats.B.omw, (1 + 0.33) / 2), 'OMW% averages opponents\' MWP', results);
+  assert_(near(stats.C.ogw, (7 / 18 + 0.8) / 2), 'OGW% averages opponents\' GWP', results);
+  assert_(orderByStandings_(['D', 'C', 'B', 'A'], stats).join(',') === 'A,C,B,D',
+    'OMW% breaks the tie between B and D', results);
+
+  const bye = computeTournamentStats_([seat(1, 0, 'E', 2, 0, 0, 'BYE')]).E;
+  assert_(bye.matchPoints === 3 && bye.opponents.length === 0 && bye.omw === 0,
+    'A bye is a 2-0 win with no opponent', results);
+}
+
+function testTournamentResultEntry_(results) {
+  const eventId = '11-10M-2025';
+  seedTournamentEvent_(eventId, 4);
+  startTournament(eventId, { seed: 'ENTRY00001', rounds: 2 });
+  const r1 = pairNextRound(eventId);
+  const [a, b] = r1.tables[0].players;
+
+  const expectCode = (fn, code, message) => {
+    let error = null;
+    try {
+      fn();
+    } catch (e) {
+      error = e;
+    }
+    assert_(error !== null && error.message.indexOf('[' + code + ']') === 0, message, results);
+  };
+
+  expectCode(() => reportTournamentResult(eventId, 1, 9, { [a]: 2 }), 'TABLE_NOT_FOUND', 'Unknown tables are rejected');
+  expectCode(() => reportTournamentResult(eventId, 1, 1, { Stranger: 2 }), 'NOT_AT_TABLE', 'Players must be seated at the table');
+  expectCode(() => reportTournamentResult(eventId, 1, 1, {}), 'NO_RESULT', 'Empty results are rejected');
+
+  reportTournamentResult(eventId, 1, 1, { [a]: 2, [b]: 1 });
+  const corrected = reportTournamentResult(eventId, 1, 1, { [a]: 1, [b]: 2 });
+  assert_(corrected.results[b] === 'WIN' && corrected.results[a] === 'LOSS', 'Re-reporting corrects the table', results);
+
+  const seatB = getTournamentSeats_(eventId).find(s => s.preferredName === b);
+  assert_(seatB.gameWins === 2 && seatB.gameLosses === 1, 'Game record is stored per seat', results);
+
+  reportFirstSeatWins_(eventId, { round: 1, tables: r1.tables.slice(1) });
+  dropTournamentPlayer(eventId, a);
+  const r2 = pairNextRound(eventId);
+  assert_(r2.tables.every(t => !t.players.includes(a)) && r2.bye !== null, 'Dropped players are not paired again', results);
+  expectCode(() => reportTournamentResult(eventId, 1, 1, { [a]: 2 }), 'ROUND_CLOSED', 'Earlier rounds close once the next is paired');
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.filter(r => r.Action === 'TOURNAMENT_RESULT').length === 3, 'Each report is logged as TOURNAMENT_RESULT', results);
+}
+
+function testTournamentFinalize_(results) {
+  const eventId = seedPrizeWorkbook_();
+  startTournament(eventId, { seed: 'FINAL00001', mode: 'SWISS', rounds: 3 });
+  for (let round = 1; round <= 3; round++) {
+    reportFirstSeatWins_(eventId, pairNextRound(eventId));
+  }
+
+  const standings = getTournamentStandings(eventId);
+  const finalized = finalizeTournamentStandings(eventId);
+  assert_(finalized.written === 8 && finalized.roundsPlayed === 3, 'All 8 players are ranked after 3 rounds', results);
+
+  const rows = GAS_EMULATOR.dump(eventId).slice(1);
+  assert_(rows.map(r => r[1]).join(',') === standings.map(s => s.preferredName).join(','),
+    'Event tab rows follow the final standings', results);
+  assert_(rows.every((r, i) => r[0] === i + 1), 'Rank column is rewritten 1..n', results);
+
+  const preview = previewEndPrizes(eventId, null, 'SEED000009');
+  const topFour = standings.slice(0, 4).map(s => s.preferredName);
+  assert_(preview.allocations.filter(a => topFour.includes(a.preferredName)).every(a => a.level === 'L3'),
+    'The end-prize preview gives the top 4 of the standings L3 prizes', results);
+
+  let error = null;
+  try {
+    pairNextRound(eventId);
+  } catch (e) {
+    error = e;
+  }
+  assert_(error !== null && error.message.indexOf('[TOURNAMENT_FINALIZED]') === 0, 'Finalized tournaments cannot pair again', results);
+
+  const log = toObjects(GAS_EMULATOR.dump('Integrity_Log'));
+  assert_(log.some(r => r.Action === 'TOURNAMENT_FINALIZE' && r.Checksum_Before && r.Checksum_After),
+    'Finalize is logged with checksums', results);
+}
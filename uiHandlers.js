@@ -83,10 +83,11 @@ function previewEndPrizesFromUI(eventId) {
  * Commits end prizes from UI
  * @param {string} eventId - Event ID
  * @param {string} previewHash - Preview hash
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes
  * @return {Object} Commit result
  */
-function commitEndPrizesFromUI(eventId, previewHash) {
-  return commitEndPrizes(eventId, previewHash);
+function commitEndPrizesFromUI(eventId, previewHash, bpAwards) {
+  return commitEndPrizes(eventId, previewHash, bpAwards);
 }
 
 /**
@@ -104,10 +105,11 @@ function previewCommanderRoundFromUI(eventId, roundId) {
  * @param {string} eventId - Event ID
  * @param {number} roundId - Round number
  * @param {string} previewHash - Preview hash
+ * @param {Array<Object>} [bpAwards] - BP awarded with the prizes
  * @return {Object} Commit result
  */
-function commitCommanderRoundFromUI(eventId, roundId, previewHash) {
-  return commitCommanderRound(eventId, roundId, previewHash);
+function commitCommanderRoundFromUI(eventId, roundId, previewHash, bpAwards) {
+  return commitCommanderRound(eventId, roundId, previewHash, bpAwards);
 }
 
 // ============================================================================
@@ -260,6 +260,35 @@ function coerceBoolean(value) {
   return Boolean(value);
 }
 
+/**
+ * Canonical text for a cell value, stable across Sheets' write coercion:
+ * numeric strings ("001", "1.50") compare equal to the number Sheets stores,
+ * date strings to the Date it parses them into, "TRUE"/"FALSE" to booleans.
+ * Use it when hashing or comparing values that round-trip through a sheet.
+ * @param {*} value - Cell value
+ * @return {string} Normalized text
+ */
+function normalizeCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const tz = Session.getScriptTimeZone();
+    const time = Utilities.formatDate(value, tz, 'HH:mm:ss');
+    return Utilities.formatDate(value, tz, 'yyyy-MM-dd') + (time === '00:00:00' ? '' : ' ' + time);
+  }
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return String(value);
+  const text = String(value).trim();
+  if (text === '') return '';
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase();
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return String(Number(text));
+  const date = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?)?$/);
+  if (date) {
+    const time = date[2] ? date[2] + (date[3] || ':00') : '00:00:00';
+    return date[1] + (time === '00:00:00' ? '' : ' ' + time);
+  }
+  return text;
+}
+
 /**
  * Validates and parses ratio string (e.g., "3:1")
  * @param {string} ratioStr - Ratio string "X:Y"
@@ -429,6 +458,26 @@ function unique(array) {
   return [...new Set(array)];
 }
 
+/**
+ * Next ID in a column of prefixed sequential IDs ("HOLD-7" → "HOLD-8").
+ * Derived from the highest existing number, so deleting rows never hands
+ * out an ID that is already referenced elsewhere.
+ * @param {Sheet} sheet - Sheet holding the IDs (header in row 1)
+ * @param {number} column - 1-based ID column
+ * @param {string} prefix - ID prefix including the dash (e.g. 'HOLD-')
+ * @return {string} Next ID
+ */
+function nextSequentialId(sheet, column, prefix) {
+  let max = 0;
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, column, sheet.getLastRow() - 1, 1).getValues().forEach(r => {
+      const id = String(r[0] || '').trim();
+      if (id.indexOf(prefix) === 0) max = Math.max(max, coerceNumber(id.substring(prefix.length), 0));
+    });
+  }
+  return prefix + (max + 1);
+}
+
 /**
  * Deep clones object/array
  * @param {*} obj - Object to clone
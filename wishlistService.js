@@ -0,0 +1,440 @@
+/**
+ * Wishlist Service - Player Wishlists and Stock Matching
+ * @fileoverview Players tell staff what they are hunting for; the wishlist
+ * keeps it and cross-references every open item against Prize_Catalog and
+ * Preorders_Buckets. When stock arrives or a preorder bucket opens, the
+ * "who wants this" report lists the players to call.
+ *
+ * SHEETS:
+ * - Wishlist:        one row per wished-for item (Open → Fulfilled / Cancelled)
+ * - Wishlist_Demand: append-only report rows written when stock arrives
+ *
+ * MATCHING: wishlist text is free-form ("foundations collector box"). A
+ * candidate matches when its code appears in the text, or the word overlap
+ * score (typo-tolerant) reaches WISHLIST_MATCH_THRESHOLD.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const WISHLIST_SHEET = 'Wishlist';
+const WISHLIST_DEMAND_SHEET = 'Wishlist_Demand';
+
+const WISHLIST_HEADERS = [
+  'Wishlist_ID', 'PreferredName', 'Item_Description', 'Date_Added', 'Status',
+  'Notes', 'Closed_At', 'Close_Reason', 'Added_By'
+];
+
+const WISHLIST_DEMAND_HEADERS = [
+  'Generated_At', 'Trigger', 'Source', 'Item_Code', 'Item_Name',
+  'PreferredName', 'Wishlist_ID', 'Item_Description', 'Score'
+];
+
+/** Wishlist statuses */
+const WISHLIST_STATUS = {
+  OPEN: 'Open',
+  FULFILLED: 'Fulfilled',
+  CANCELLED: 'Cancelled'
+};
+
+/** Minimum score (0–1) for a wishlist item to match a catalog/bucket item */
+const WISHLIST_MATCH_THRESHOLD = 0.7;
+
+/** Words that carry no product meaning in wishlist text */
+const WISHLIST_STOP_WORDS = ['a', 'an', 'the', 'of', 'and', 'for', 'some', 'any', 'wants', 'want', 'looking'];
+
+/** Bucket statuses that no longer take preorders */
+const CLOSED_BUCKET_STATUSES = ['closed', 'cancelled', 'canceled', 'archived', 'inactive'];
+
+// ============================================================================
+// WISHLIST ITEMS
+// ============================================================================
+
+/**
+ * Adds a wishlist item for a player.
+ *
+ * @param {string} preferredName - Player (must be in PreferredNames)
+ * @param {string} itemDescription - What they want, free text
+ * @param {string} notes - Optional notes
+ * @return {Object} Created item with current matches
+ */
+function addWishlistItem(preferredName, itemDescription, notes = '') {
+  const description = String(itemDescription || '').trim();
+  if (!description) {
+    throwError('Item description is required', 'WISHLIST_ITEM_REQUIRED', 'Describe what the player is looking for');
+  }
+
+  const player = findExactMatch_(String(preferredName || '').trim(),
+    loadPreferredNamesList_(SpreadsheetApp.getActiveSpreadsheet()));
+  if (!player) {
+    throwError(`"${preferredName}" is not in PreferredNames`, 'PLAYER_NOT_FOUND', 'Add the player first');
+  }
+
+  let nextId;
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const sheet = ensureWishlistSheet_();
+    const data = sheet.getDataRange().getValues();
+    const idCol = data[0].indexOf('Wishlist_ID');
+    nextId = data.slice(1).reduce((max, row) => Math.max(max, coerceNumber(row[idCol], 0)), 0) + 1;
+
+    const item = {
+      Wishlist_ID: nextId,
+      PreferredName: player,
+      Item_Description: description,
+      Date_Added: dateISO(),
+      Status: WISHLIST_STATUS.OPEN,
+      Notes: String(notes || '').trim(),
+      Closed_At: '',
+      Close_Reason: '',
+      Added_By: Session.getActiveUser().getEmail() || 'system'
+    };
+    sheet.appendRow(data[0].map(h => (h in item ? item[h] : '')));
+
+    logIntegrityAction('WISHLIST_ADD', {
+      preferredName: player,
+      details: `#${nextId}: ${description}`,
+      status: 'SUCCESS'
+    });
+  } finally {
+    lock.releaseLock();
+  }
+
+  return getPlayerWishlist(player).find(i => i.wishlistId === nextId);
+}
+
+/**
+ * Closes a wishlist item.
+ *
+ * @param {number} wishlistId - Wishlist_ID
+ * @param {string} reason - 'Fulfilled' (default) or 'Cancelled', plus optional note
+ * @return {Object} {wishlistId, status}
+ */
+function closeWishlistItem(wishlistId, reason = WISHLIST_STATUS.FULFILLED) {
+  const status = /^cancel/i.test(String(reason)) ? WISHLIST_STATUS.CANCELLED : WISHLIST_STATUS.FULFILLED;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const item = getWishlistItems_().find(i => i.wishlistId === Number(wishlistId));
+    if (!item) {
+      throwError(`Wishlist item #${wishlistId} not found`, 'WISHLIST_NOT_FOUND');
+    }
+    if (item.status !== WISHLIST_STATUS.OPEN) {
+      throwError(`Wishlist item #${wishlistId} is already ${item.status.toLowerCase()}`, 'WISHLIST_CLOSED');
+    }
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WISHLIST_SHEET);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const row = sheet.getRange(item.row, 1, 1, headers.length).getValues()[0];
+    row[headers.indexOf('Status')] = status;
+    if (headers.indexOf('Closed_At') !== -1) row[headers.indexOf('Closed_At')] = dateISO();
+    if (headers.indexOf('Close_Reason') !== -1) row[headers.indexOf('Close_Reason')] = String(reason || '');
+    sheet.getRange(item.row, 1, 1, headers.length).setValues([row]);
+
+    logIntegrityAction('WISHLIST_CLOSE', {
+      preferredName: item.preferredName,
+      details: `#${item.wishlistId}: ${item.itemDescription} → ${status}`,
+      status: 'SUCCESS'
+    });
+
+    return { wishlistId: item.wishlistId, status: status };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * A player's open wishlist items with their current catalog/bucket matches.
+ *
+ * @param {string} preferredName - Player
+ * @return {Array<Object>} [{wishlistId, itemDescription, dateAdded, notes, matches}]
+ *   matches: [{source, code, name, available, score}], best first
+ */
+function getPlayerWishlist(preferredName) {
+  const key = String(preferredName || '').trim().toLowerCase();
+  const candidates = getWishlistCandidates_();
+
+  return getWishlistItems_()
+    .filter(i => i.status === WISHLIST_STATUS.OPEN && i.preferredName.toLowerCase() === key)
+    .map(i => ({
+      wishlistId: i.wishlistId,
+      itemDescription: i.itemDescription,
+      dateAdded: i.dateAdded,
+      notes: i.notes,
+      matches: matchWishlistText(i.itemDescription, candidates)
+    }));
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Scores wishlist text against catalog / bucket items.
+ *
+ * @param {string} text - Wishlist description
+ * @param {Array<Object>} candidates - [{source, code, name, available}]
+ *   (defaults to the live Prize_Catalog + Preorders_Buckets)
+ * @return {Array<Object>} Candidates scoring ≥ WISHLIST_MATCH_THRESHOLD,
+ *   with score, best first
+ */
+function matchWishlistText(text, candidates) {
+  const pool = candidates || getWishlistCandidates_();
+  const wishTokens = wishlistTokens_(text);
+  if (wishTokens.length === 0) return [];
+
+  return pool
+    .map(c => Object.assign({}, c, { score: scoreWishlistMatch_(wishTokens, c) }))
+    .filter(c => c.score >= WISHLIST_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || Number(b.available) - Number(a.available) ||
+      String(a.code).localeCompare(String(b.code)));
+}
+
+/**
+ * Players whose open wishlist items match the given item.
+ *
+ * @param {Object|string} item - {code, name} or a code / name string
+ * @return {Array<Object>} [{preferredName, wishlistId, itemDescription, score}], best first
+ */
+function getWishlistDemand(item) {
+  const target = typeof item === 'string'
+    ? (getWishlistCandidates_().find(c => c.code && c.code.toLowerCase() === item.trim().toLowerCase()) ||
+      { code: '', name: item })
+    : item;
+
+  const demand = [];
+  getWishlistItems_()
+    .filter(i => i.status === WISHLIST_STATUS.OPEN)
+    .forEach(i => {
+      const score = scoreWishlistMatch_(wishlistTokens_(i.itemDescription), target);
+      if (score >= WISHLIST_MATCH_THRESHOLD) {
+        demand.push({
+          preferredName: i.preferredName,
+          wishlistId: i.wishlistId,
+          itemDescription: i.itemDescription,
+          score: score
+        });
+      }
+    });
+
+  return demand.sort((a, b) => b.score - a.score || a.wishlistId - b.wishlistId);
+}
+
+/**
+ * "Who wants this" report for items that just arrived: looks up demand for
+ * each item, appends it to Wishlist_Demand and logs the run.
+ *
+ * @param {Array<Object>} items - [{source, code, name}]
+ * @param {string} trigger - What happened, e.g. 'STOCK_ARRIVED', 'BUCKET_OPENED'
+ * @return {Array<Object>} [{source, code, name, players: [...]}] (items with demand only)
+ */
+function reportWishlistDemand(items, trigger) {
+  const report = (items || [])
+    .map(item => Object.assign({}, item, { players: getWishlistDemand(item) }))
+    .filter(entry => entry.players.length > 0);
+  if (report.length === 0) return report;
+
+  const now = dateISO();
+  const rows = [];
+  report.forEach(entry => {
+    entry.players.forEach(p => {
+      rows.push([now, trigger, entry.source || '', entry.code || '', entry.name || '',
+        p.preferredName, p.wishlistId, p.itemDescription, Math.round(p.score * 100) / 100]);
+    });
+  });
+
+  const sheet = ensureWishlistDemandSheet_();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, WISHLIST_DEMAND_HEADERS.length).setValues(rows);
+
+  logIntegrityAction('WISHLIST_DEMAND', {
+    details: `${trigger}: ${report.map(e => `${e.code || e.name} (${e.players.length})`).join(', ')}`,
+    status: 'SUCCESS'
+  });
+
+  return report;
+}
+
+/**
+ * True if any of the player's open wishlist items matches something that
+ * can be bought now (in-stock catalog item or an open preorder bucket).
+ *
+ * @param {string} preferredName - Player
+ * @return {boolean}
+ */
+function hasAvailableWishlistMatch(preferredName) {
+  return getPlayerWishlist(preferredName).some(item => item.matches.some(m => m.available));
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Lowercased product words of a text (stop words removed)
+ * @private
+ */
+function wishlistTokens_(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !WISHLIST_STOP_WORDS.includes(t));
+}
+
+/**
+ * Scores wishlist words against one candidate: 1 when the candidate code is
+ * in the text, otherwise 70% wish-word coverage + 30% candidate-word coverage.
+ * Words match exactly, by prefix (4+ letters) or within one typo (5+ letters);
+ * a wish word equal to part of the code ("fdn") also counts.
+ *
+ * @param {Array<string>} wishTokens - wishlistTokens_() of the wish
+ * @param {Object} candidate - {code, name}
+ * @return {number} 0–1
+ * @private
+ */
+function scoreWishlistMatch_(wishTokens, candidate) {
+  const code = String(candidate.code || '').toLowerCase();
+  if (code && (' ' + wishTokens.join(' ') + ' ').includes(' ' + wishlistTokens_(code).join(' ') + ' ')) return 1;
+
+  const itemTokens = wishlistTokens_(candidate.name);
+  if (itemTokens.length === 0 || wishTokens.length === 0) return 0;
+
+  const same = (a, b) => a === b ||
+    (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a))) ||
+    (Math.min(a.length, b.length) >= 5 && levenshteinDistance_(a, b) <= 1);
+
+  // Set codes ("fdn") count as wish words for the item they belong to
+  const codeTokens = wishlistTokens_(code);
+  const wishHits = wishTokens.filter(w => itemTokens.some(t => same(w, t)) || codeTokens.includes(w)).length;
+  const itemHits = itemTokens.filter(t => wishTokens.some(w => same(w, t))).length;
+
+  return Math.round((0.7 * wishHits / wishTokens.length + 0.3 * itemHits / itemTokens.length) * 1000) / 1000;
+}
+
+/**
+ * Catalog and preorder bucket items a wish can match
+ * @return {Array<Object>} [{source: 'CATALOG'|'PREORDER', code, name, available}]
+ * @private
+ */
+function getWishlistCandidates_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const candidates = [];
+
+  const catalog = ss.getSheetByName('Prize_Catalog');
+  if (catalog && catalog.getLastRow() > 1) {
+    toObjects(catalog.getDataRange().getValues()).forEach(item => {
+      if (!item.Code && !item.Name) return;
+      const inStock = item.InStock === undefined || item.InStock === '' ? true : coerceBoolean(item.InStock);
+      candidates.push({
+        source: 'CATALOG',
+        code: String(item.Code || ''),
+        name: String(item.Name || item.Code),
+        available: inStock && coerceNumber(item.Qty, 0) > 0
+      });
+    });
+  }
+
+  const buckets = ss.getSheetByName('Preorders_Buckets');
+  if (buckets && buckets.getLastRow() > 1) {
+    const data = buckets.getDataRange().getValues();
+    const headers = data[0];
+    const setCol = findHeaderIndex(headers, ['Set_Name', 'SetName', 'Set']);
+    const nameCol = findHeaderIndex(headers, ['Item_Name', 'ItemName', 'Name', 'Product_Name', 'Product']);
+    const codeCol = findHeaderIndex(headers, ['Item_Code', 'ItemCode', 'Code', 'SKU']);
+    const qtyCol = findHeaderIndex(headers, ['Quantity', 'Qty', 'Total_Qty']);
+    const availableCol = findHeaderIndex(headers, ['Available']);
+    const statusCol = findHeaderIndex(headers, ['Status']);
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const setName = setCol !== -1 ? String(row[setCol] || '').trim() : '';
+      const itemName = nameCol !== -1 ? String(row[nameCol] || '').trim() : '';
+      const code = codeCol !== -1 ? String(row[codeCol] || '').trim() : '';
+      if (!setName && !itemName && !code) continue;
+
+      const status = statusCol !== -1 ? String(row[statusCol] || '').trim().toLowerCase() : '';
+      const remaining = availableCol !== -1 && row[availableCol] !== ''
+        ? coerceNumber(row[availableCol], 0)
+        : (qtyCol !== -1 ? coerceNumber(row[qtyCol], 0) : 0);
+
+      candidates.push({
+        source: 'PREORDER',
+        code: code,
+        name: [setName, itemName].filter(s => s).join(' '),
+        available: !CLOSED_BUCKET_STATUSES.includes(status) && remaining > 0
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Reads all wishlist rows
+ * @return {Array<Object>} [{row, wishlistId, preferredName, itemDescription, dateAdded, status, notes}]
+ * @private
+ */
+function getWishlistItems_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WISHLIST_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => headers.indexOf(name);
+  const items = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const name = String(data[i][col('PreferredName')] || '').trim();
+    if (!name) continue;
+    const status = col('Status') !== -1 ? String(data[i][col('Status')] || '').trim() : '';
+    items.push({
+      row: i + 1,
+      wishlistId: col('Wishlist_ID') !== -1 ? coerceNumber(data[i][col('Wishlist_ID')], 0) : 0,
+      preferredName: name,
+      itemDescription: String(data[i][col('Item_Description')] || ''),
+      dateAdded: col('Date_Added') !== -1 ? String(data[i][col('Date_Added')] || '') : '',
+      status: !status || status.toLowerCase() === 'open' ? WISHLIST_STATUS.OPEN : status,
+      notes: col('Notes') !== -1 ? String(data[i][col('Notes')] || '') : ''
+    });
+  }
+  return items;
+}
+
+/**
+ * Creates Wishlist, or appends any columns an older sheet lacks
+ * @private
+ */
+function ensureWishlistSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WISHLIST_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(WISHLIST_SHEET);
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, WISHLIST_HEADERS.length).setValues([WISHLIST_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    return sheet;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = WISHLIST_HEADERS.filter(h => !headers.includes(h));
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+  }
+  return sheet;
+}
+
+/** @private */
+function ensureWishlistDemandSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WISHLIST_DEMAND_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(WISHLIST_DEMAND_SHEET);
+    sheet.getRange(1, 1, 1, WISHLIST_DEMAND_HEADERS.length).setValues([WISHLIST_DEMAND_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,175 @@
+/**
+ * ════════════════════════════════════════════════════════════════════════════
+ * WISHLIST SERVICE - TEST SUITE
+ * ════════════════════════════════════════════════════════════════════════════
+ *
+ * @fileoverview Regression tests for wishlist add/close, fuzzy matching against
+ * Prize_Catalog / Preorders_Buckets, the "who wants this" report fired by
+ * catalog restocks and bucket imports, and the player lookup alert.
+ * Runs against the offline workbook from appsScriptEmulator.js:
+ *   node runServiceTests.js
+ * ════════════════════════════════════════════════════════════════════════════
+ */
+
+function testWishlistService() {
+  if (typeof GAS_EMULATOR === 'undefined') {
+    throw new Error('testWishlistService() writes to sheets; run it offline with: node runServiceTests.js');
+  }
+
+  Logger.log('========================================');
+  Logger.log('WISHLIST SERVICE TEST SUITE');
+  Logger.log('========================================\n');
+
+  const results = { total: 0, passed: 0, failed: 0, errors: [] };
+
+  runTestSuite_('Add and Close', testWishlistAddClose_, results);
+  runTestSuite_('Matching', testWishlistMatching_, results);
+  runTestSuite_('Who Wants This', testWishlistDemand_, results);
+  runTestSuite_('Stock Hooks', testWishlistStockHooks_, results);
+  runTestSuite_('Player Lookup Alert', testWishlistAlert_, results);
+
+  Logger.log('\n========================================');
+  Logger.log('RESULTS: ' + results.passed + '/' + results.total + ' passed');
+  if (results.failed > 0) {
+    Logger.log('FAILED: ' + results.errors.join(', '));
+  }
+  Logger.log('========================================');
+
+  return results;
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ════════════════════════════════════════════════════════════════════════════
+
+/** @private */
+function resetWishlistWorkbook_() {
+  GAS_EMULATOR.reset({
+    PreferredNames: [['PreferredName'], ['Blake'], ['Casey Jones'], ['Harper']],
+    Prize_Catalog: [
+      ['Code', 'Name', 'Level', 'COGS', 'EV_Cost', 'Qty', 'InStock'],
+      ['FDN-CB', 'Foundations Collector Booster', 3, 20, 25, 0, false],
+      ['BLB-PB', 'Bloomburrow Play Booster', 1, 4, 5, 12, true],
+      ['DICE-20', 'Spindown Life Counter', 1, 1, 2, 30, true]
+    ],
+    Preorders_Buckets: [
+      ['Set_Name', 'Item_Name', 'Item_Code', 'Unit_Cost', 'Unit_Price', 'Quantity', 'Date_Added', 'Status'],
+      ['Duskmourn', 'Collector Booster Box', 'DSK-CBB', 200, 250, 4, '2026-01-02', 'Active']
+    ]
+  });
+}
+
+/** @private */
+function wishlistThrows_(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message;
+  }
+  return '';
+}
+
+// ════════════════════════════════════════════════════════════════════════════
+// TEST CASES
+// ════════════════════════════════════════════════════════════════════════════
+
+function testWishlistAddClose_(results) {
+  resetWishlistWorkbook_();
+
+  const item = addWishlistItem('blake', 'Foundations collector booster', 'wants two');
+  assert_(item.wishlistId === 1, 'First item gets Wishlist_ID 1', results);
+  assert_(item.matches[0].code === 'FDN-CB', 'Returned item carries its catalog match', results);
+  assert_(GAS_EMULATOR.dump('Wishlist')[1][1] === 'Blake', 'Player name is stored canonically', results);
+  assert_(addWishlistItem('Harper', 'dice').wishlistId === 2, 'IDs are sequential', results);
+
+  assert_(wishlistThrows_(() => addWishlistItem('Blake', '  ')).indexOf('[WISHLIST_ITEM_REQUIRED]') === 0,
+    'Empty description is rejected', results);
+  assert_(wishlistThrows_(() => addWishlistItem('Nobody', 'dice')).indexOf('[PLAYER_NOT_FOUND]') === 0,
+    'Unknown player is rejected', results);
+
+  assert_(getPlayerWishlist('Blake').length === 1, 'Player wishlist lists open items', results);
+  assert_(closeWishlistItem(1).status === 'Fulfilled', 'Default close reason is Fulfilled', results);
+  assert_(closeWishlistItem(2, 'Cancelled - found elsewhere').status === 'Cancelled', 'Cancel reason cancels', results);
+  assert_(getPlayerWishlist('Blake').length === 0, 'Closed items leave the open list', results);
+  assert_(wishlistThrows_(() => closeWishlistItem(1)).indexOf('[WISHLIST_CLOSED]') === 0,
+    'Closing twice is rejected', results);
+  assert_(wishlistThrows_(() => closeWishlistItem(99)).indexOf('[WISHLIST_NOT_FOUND]') === 0,
+    'Unknown ID is rejected', results);
+}
+
+function testWishlistMatching_(results) {
+  resetWishlistWorkbook_();
+  const codes = text => matchWishlistText(text).map(m => m.code);
+
+  assert_(codes('looking for BLB-PB')[0] === 'BLB-PB', 'Code in the text is an exact match', results);
+  assert_(codes('bloomburow play boosters')[0] === 'BLB-PB', 'Typos and plurals still match', results);
+  assert_(codes('duskmourn collector box')[0] === 'DSK-CBB', 'Preorder buckets match on set + item name', results);
+  assert_(codes('foundations collector')[0] === 'FDN-CB', 'Partial names match', results);
+  assert_(codes('a spindown').length === 1, 'Stop words do not count against the wish', results);
+  assert_(codes('commander precon').length === 0, 'Unrelated text does not match', results);
+  assert_(codes('foundations collector booster').length === 1, 'Sharing generic words with another product is not a match', results);
+  assert_(codes('fdn collector boosters please')[0] === 'FDN-CB', 'Set code abbreviations count as wish words', results);
+
+  const fdn = matchWishlistText('foundations collector booster')[0];
+  assert_(fdn.source === 'CATALOG' && fdn.available === false, 'Out-of-stock catalog item matches but is unavailable', results);
+  assert_(matchWishlistText('duskmourn collector box')[0].available === true, 'Active bucket with quantity is available', results);
+}
+
+function testWishlistDemand_(results) {
+  resetWishlistWorkbook_();
+  addWishlistItem('Blake', 'Foundations collector booster');
+  addWishlistItem('Harper', 'fdn collector boosters please');
+  addWishlistItem('Casey Jones', 'Bloomburrow play booster');
+  closeWishlistItem(addWishlistItem('Harper', 'foundations collector booster box').wishlistId);
+
+  const demand = getWishlistDemand('FDN-CB');
+  assert_(demand.length === 2 && demand[0].preferredName === 'Blake', 'Code lookup finds the wanting players', results);
+  assert_(demand.every(d => d.wishlistId !== 4), 'Closed items are not in demand', results);
+  assert_(getWishlistDemand('Bloomburrow Play Booster')[0].preferredName === 'Casey Jones', 'Name lookup works', results);
+
+  const report = reportWishlistDemand([
+    { source: 'CATALOG', code: 'FDN-CB', name: 'Foundations Collector Booster' },
+    { source: 'CATALOG', code: 'DICE-20', name: 'Spindown Life Counter' }
+  ], 'STOCK_ARRIVED');
+  assert_(report.length === 1 && report[0].players.length === 2, 'Report keeps only items with demand', results);
+
+  const rows = GAS_EMULATOR.dump('Wishlist_Demand');
+  assert_(rows.length === 3 && rows[1][1] === 'STOCK_ARRIVED' && rows[1][5] === 'Blake',
+    'Report rows are written to Wishlist_Demand', results);
+  assert_(reportWishlistDemand([], 'STOCK_ARRIVED').length === 0, 'Empty report writes nothing', results);
+}
+
+function testWishlistStockHooks_(results) {
+  resetWishlistWorkbook_();
+  addWishlistItem('Blake', 'Foundations collector booster');
+  addWishlistItem('Harper', 'Aetherdrift collector box');
+
+  const restock = updateItems([{ code: 'FDN-CB', field: 'Qty', value: 6 }]);
+  assert_(restock.changed === 1, 'Catalog edit still applies', results);
+  assert_(restock.wishlistDemand.length === 1 && restock.wishlistDemand[0].players[0].preferredName === 'Blake',
+    'Restock from 0 reports who wants it', results);
+
+  const topUp = updateItems([{ code: 'FDN-CB', field: 'Qty', value: 10 }]);
+  assert_(topUp.wishlistDemand.length === 0, 'Topping up existing stock does not re-report', results);
+
+  const opened = importPreorderAllocationFromUI({
+    setName: 'Aetherdrift',
+    items: [{ itemName: 'Collector Booster Box', itemCode: 'DFT-CBB', quantity: 3 }]
+  });
+  assert_(opened.wishlistDemand.length === 1 && opened.wishlistDemand[0].players[0].preferredName === 'Harper',
+    'Opening a bucket reports who wants it', results);
+  assert_(GAS_EMULATOR.dump('Wishlist_Demand').some(r => r[1] === 'BUCKET_OPENED'), 'Bucket trigger is recorded', results);
+}
+
+function testWishlistAlert_(results) {
+  resetWishlistWorkbook_();
+  addWishlistItem('Blake', 'Foundations collector booster');
+  addWishlistItem('Harper', 'Bloomburrow play booster');
+
+  const blake = getWishlistInfo_('Blake', []);
+  const harper = getWishlistInfo_('Harper', []);
+  assert_(blake.count === 1 && blake.hasAvailableMatch === false, 'Out-of-stock match does not light the alert', results);
+  assert_(harper.hasAvailableMatch === true, 'In-stock match lights the alert', results);
+  assert_(computeAlerts_({ wishlist: harper }).wishlistMatch === true, 'computeAlerts_ uses the wishlist match', results);
+  assert_(computeAlerts_({ wishlist: blake }).wishlistMatch === false, 'No available match → no alert', results);
+}